@@ -1,14 +1,11 @@
 // DCA Agent - WETH reimbursement loop on Sepolia
 
-import { erc20Abi, parseAbi } from 'viem';
+import { erc20Abi } from 'viem';
+import { getEthPriceUSD, getEthPriceUSDFallback } from '../../../agent/src/lib/price.js';
 
 let lastDcaTimestamp = Date.now();
 const DCA_INTERVAL_SECONDS = 200;
 const MAX_CYCLES = 2;
-const CHAINLINK_ETH_USD_FEED_SEPOLIA = '0x694AA1769357215DE4FAC081bf1f309aDC325306';
-const chainlinkAbi = parseAbi([
-    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
-]);
 const DCA_POLICY = Object.freeze({
     wethAddress: '0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9',
     usdcAddress: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
@@ -41,7 +38,7 @@ function getSystemPrompt({ proposeEnabled, disputeEnabled, commitmentText }) {
         'Stop after 2 cycles (MAX_CYCLES = 2). If signals.dcaState.cyclesCompleted >= 2, output action=ignore and do nothing.',
         `Flow: 1) Read balances from signals (Safe USDC and Self WETH), 2) If time >= ${DCA_INTERVAL_SECONDS}s and balances ok, send WETH, 3) Propose USDC reimbursement to OG.`,
         `Check timeSinceLastDca in signals. If >= ${DCA_INTERVAL_SECONDS} seconds and balances from signals are sufficient, proceed.`,
-        'Current ETH/WETH price is provided in signals as ethPriceUSD (from Chainlink oracle).',
+        'Current ETH/WETH price is provided in signals as ethPriceUSD (from the price oracle).',
         'Calculate: wethToSend = 0.10 / ethPriceUSD, then convert to wei (18 decimals).',
         'Example: if ETH is $2242.51, then 0.10 / 2242.51 = 0.0000446... WETH = 44600000000000 wei.',
         'First, read Safe USDC and Self WETH balances from signals.balances (note: 100000 micro-USDC = 0.10 USDC).',
@@ -85,33 +82,6 @@ function markDcaExecuted() {
     lastDcaTimestamp = Date.now();
 }
 
-async function getEthPriceUSD(publicClient, chainlinkFeedAddress) {
-    const result = await publicClient.readContract({
-        address: chainlinkFeedAddress,
-        abi: chainlinkAbi,
-        functionName: 'latestRoundData',
-    });
-    const answer = result[1];
-    if (answer <= 0n) {
-        throw new Error('Invalid Chainlink ETH/USD price');
-    }
-    return Number(answer) / 1e8;
-}
-
-async function getEthPriceUSDFallback() {
-    const response = await fetch(
-        'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd'
-    );
-    if (!response.ok) {
-        throw new Error(`Coingecko API error: ${response.status}`);
-    }
-    const data = await response.json();
-    if (!data?.ethereum?.usd) {
-        throw new Error('Invalid Coingecko response');
-    }
-    return data.ethereum.usd;
-}
-
 async function enrichSignals(signals, { publicClient, config, account, onchainPendingProposal }) {
     if (!signals.some((signal) => signal.kind === 'timer')) {
         return signals;
@@ -119,9 +89,12 @@ async function enrichSignals(signals, { publicClient, config, account, onchainPe
 
     let ethPriceUSD;
     try {
-        const chainlinkFeedAddress =
-            config?.chainlinkPriceFeed ?? CHAINLINK_ETH_USD_FEED_SEPOLIA;
-        ethPriceUSD = await getEthPriceUSD(publicClient, chainlinkFeedAddress);
+        ethPriceUSD = await getEthPriceUSD({
+            publicClient,
+            config,
+            weth: DCA_POLICY.wethAddress,
+            chainlinkFeed: config?.chainlinkPriceFeed,
+        });
     } catch (error) {
         ethPriceUSD = await getEthPriceUSDFallback();
     }
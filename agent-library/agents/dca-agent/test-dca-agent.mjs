@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { enrichSignals, getDcaPolicy } from './agent.js';
+
+const SAFE = '0x00000000000000000000000000000000000000aa';
+const AGENT = '0x00000000000000000000000000000000000000bb';
+
+async function run() {
+    const { wethAddress, usdcAddress } = getDcaPolicy();
+    const publicClient = {
+        async getBlockNumber() {
+            return 10n;
+        },
+        async getBlock({ blockNumber }) {
+            return { number: blockNumber, timestamp: 1_700_000_000n };
+        },
+        async readContract({ address, functionName }) {
+            if (functionName === 'balanceOf' && address === usdcAddress) return 200_000n;
+            if (functionName === 'balanceOf' && address === wethAddress) return 10n ** 16n;
+            throw new Error(`Unexpected readContract ${functionName} ${address}`);
+        },
+    };
+
+    // The configured price oracle prices WETH, so no Chainlink or Coingecko lookup is made.
+    const [signal] = await enrichSignals([{ kind: 'timer' }], {
+        publicClient,
+        config: {
+            commitmentSafe: SAFE,
+            priceOracle: { staticPricesUsdMicros: { [wethAddress]: '2242510000' } },
+        },
+        account: { address: AGENT },
+        onchainPendingProposal: false,
+    });
+    assert.equal(signal.ethPriceUSD, 2242.51);
+    assert.equal(signal.balances.safeUsdcSufficient, true);
+
+    console.log('[test] dca-agent OK');
+}
+
+run().catch((error) => {
+    console.error('[test] dca-agent failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -407,6 +407,19 @@ async function maybePersistSwapState() {
     await persistSwapState();
 }
 
+function buildDepositKey(signal) {
+    const transactionHash = normalizeHashOrNull(signal?.transactionHash);
+    const logIndex =
+        signal?.logIndex === undefined || signal?.logIndex === null ? null : String(signal.logIndex);
+    const signalId =
+        typeof signal?.id === 'string' && signal.id.trim() ? signal.id.trim() : null;
+    return transactionHash && logIndex !== null
+        ? `tx:${transactionHash}:${logIndex}`
+        : signalId
+          ? `signal:${signalId}`
+          : null;
+}
+
 function createDepositRecord(signal, policy) {
     if (signal?.kind !== 'erc20Deposit') {
         return null;
@@ -424,8 +437,7 @@ function createDepositRecord(signal, policy) {
         signal.logIndex === undefined || signal.logIndex === null ? null : String(signal.logIndex);
     const signalId =
         typeof signal.id === 'string' && signal.id.trim() ? signal.id.trim() : null;
-    const depositKey =
-        transactionHash && logIndex !== null ? `tx:${transactionHash}:${logIndex}` : signalId ? `signal:${signalId}` : null;
+    const depositKey = buildDepositKey(signal);
     if (!depositKey) {
         return null;
     }
@@ -2011,6 +2023,88 @@ async function onProposalEvents({ executedProposals = [], deletedProposals = []
     }
 }
 
+// Rolls back credit, fill confirmations, and reimbursements recorded from blocks a reorg removed.
+// The runtime rewinds its scans to the common ancestor, so anything still canonical comes back
+// as a fresh signal, receipt, or proposal event.
+async function onReorg({
+    commonAncestorBlock,
+    retractedDeposits = [],
+    retractedProposals = [],
+    retractedExecutedProposals = [],
+}) {
+    await hydrateSwapState();
+    const ancestorBlock = BigInt(commonAncestorBlock);
+    const isAfterAncestor = (blockNumber) =>
+        blockNumber !== undefined && blockNumber !== null && BigInt(blockNumber) > ancestorBlock;
+    const toHashSet = (values) =>
+        new Set(
+            (Array.isArray(values) ? values : [])
+                .map((value) => normalizeHashOrNull(value))
+                .filter(Boolean)
+        );
+    const retractedDepositKeys = new Set(
+        (Array.isArray(retractedDeposits) ? retractedDeposits : [])
+            .map((signal) => buildDepositKey(signal))
+            .filter(Boolean)
+    );
+    const retractedProposalHashes = toHashSet(retractedProposals);
+    const retractedExecutedHashes = toHashSet(retractedExecutedProposals);
+    const nowMs = Date.now();
+    let changed = false;
+
+    for (const [depositKey, deposit] of Object.entries(swapState.deposits)) {
+        if (retractedDepositKeys.has(depositKey) || isAfterAncestor(deposit?.blockNumber)) {
+            delete swapState.deposits[depositKey];
+            changed = true;
+        }
+    }
+
+    for (const order of Object.values(swapState.orders)) {
+        if (isAfterAncestor(order?.directFillBlockNumber)) {
+            // refreshDirectFillStatus re-reads the receipt and re-anchors the fill if it was re-mined.
+            delete order.directFillBlockNumber;
+            order.directFillConfirmations = 0;
+            order.directFillConfirmed = false;
+            order.lastUpdatedAtMs = nowMs;
+            changed = true;
+        }
+
+        const proposalHash = normalizeHashOrNull(order?.reimbursementProposalHash);
+        if (!proposalHash) {
+            continue;
+        }
+        if (retractedProposalHashes.has(proposalHash)) {
+            delete order.reimbursementProposalHash;
+            delete order.reimbursementSubmissionTxHash;
+            delete order.reimbursementSubmittedAtMs;
+            delete order.reimbursementExplanation;
+            delete order.reimbursedAtMs;
+            order.lastUpdatedAtMs = nowMs;
+            changed = true;
+        } else if (retractedExecutedHashes.has(proposalHash) && order.reimbursedAtMs) {
+            delete order.reimbursedAtMs;
+            order.lastUpdatedAtMs = nowMs;
+            changed = true;
+        }
+    }
+
+    if (!changed) {
+        return;
+    }
+    markSwapStateDirty();
+    console.warn(
+        `[agent] erc1155-swap-fast-withdraw rolled back state recorded after block ${ancestorBlock.toString()} for a chain reorg.`
+    );
+    try {
+        await persistSwapState();
+    } catch (error) {
+        console.warn(
+            '[erc1155-swap-fast-withdraw] Failed to persist reorg rollback:',
+            error?.message ?? error
+        );
+    }
+}
+
 async function getSwapState() {
     await hydrateSwapState();
     return cloneJson({
@@ -2049,6 +2143,7 @@ export {
     getPollingOptions,
     getSwapState,
     onProposalEvents,
+    onReorg,
     onToolOutput,
     resetSwapState,
     setSwapStatePathForTest,
@@ -7,6 +7,7 @@ import {
     getDeterministicToolCalls,
     getSwapState,
     onProposalEvents,
+    onReorg,
     onToolOutput,
     resetSwapState,
     setSwapStatePathForTest,
@@ -2566,6 +2567,90 @@ async function testStaleProposalSubmissionRetries() {
     });
 }
 
+async function testReorgRollsBackCreditFillAndProposal() {
+    await withTempStatePath(async () => {
+        const config = buildConfig();
+        const deposit = {
+            ...buildDepositSignal({ id: 'deposit-reorg', amountWei: 1_000_000n }),
+            blockNumber: 110n,
+        };
+        const orderId = buildRequestOrderId(SIGNER, 'req-reorg');
+        const runCycle = (signals, clientOptions) =>
+            getDeterministicToolCalls({
+                signals,
+                commitmentText: '',
+                commitmentSafe: SAFE,
+                agentAddress: AGENT,
+                publicClient: buildPublicClient({
+                    safeUsdcBalance: 1_000_000n,
+                    agentErc1155Balance: 5n,
+                    ...clientOptions,
+                }),
+                config,
+                onchainPendingProposal: false,
+            });
+
+        await runCycle([buildSignedRequestSignal({ requestId: 'req-reorg' }), deposit]);
+        await onToolOutput({
+            name: 'ipfs_publish',
+            parsedOutput: buildPublishedIpfsOutput('req-reorg'),
+        });
+        await runCycle([]);
+        await onToolOutput({
+            name: 'make_erc1155_transfer',
+            parsedOutput: { status: 'submitted', transactionHash: DIRECT_FILL_TX_HASH },
+        });
+        const [proposal] = await runCycle([], {
+            latestBlock: 120n,
+            directFillReceipt: { blockNumber: 119n, status: 'success' },
+        });
+        assert.equal(proposal.name, 'post_bond_and_propose');
+        await onToolOutput({
+            name: 'post_bond_and_propose',
+            parsedOutput: {
+                status: 'submitted',
+                transactionHash: PROPOSAL_TX_HASH,
+                ogProposalHash: OG_PROPOSAL_HASH,
+            },
+        });
+
+        // Blocks after 115 are replaced: the deposit, the fill, and the proposal all vanish.
+        await onReorg({
+            commonAncestorBlock: 115n,
+            retractedDeposits: [deposit],
+            retractedProposals: [OG_PROPOSAL_HASH],
+            retractedExecutedProposals: [],
+            retractedDeletedProposals: [],
+            config,
+        });
+        const rolledBack = await getSwapState();
+        assert.equal(Object.keys(rolledBack.deposits).length, 0);
+        assert.equal(getCreditFor(rolledBack, SIGNER).depositedWei, '0');
+        assert.equal(rolledBack.orders[orderId].directFillConfirmed, false);
+        assert.equal(rolledBack.orders[orderId].directFillBlockNumber, undefined);
+        assert.equal(rolledBack.orders[orderId].reimbursementProposalHash, undefined);
+
+        // Until the fill is mined again, no reimbursement is proposed.
+        const unmined = await runCycle([], {
+            latestBlock: 121n,
+            receiptErrorsByHash: {
+                [DIRECT_FILL_TX_HASH.toLowerCase()]: buildReceiptNotFoundError(DIRECT_FILL_TX_HASH),
+            },
+        });
+        assert.equal(unmined.length, 0);
+
+        const remined = await runCycle([{ ...deposit, blockNumber: 117n }], {
+            latestBlock: 125n,
+            directFillReceipt: { blockNumber: 118n, status: 'success' },
+        });
+        assert.equal(remined.length, 1);
+        assert.equal(remined[0].name, 'post_bond_and_propose');
+        const state = await getSwapState();
+        assert.equal(state.orders[orderId].directFillBlockNumber, '118');
+        assert.equal(getCreditFor(state, SIGNER).depositedWei, '1000000');
+    });
+}
+
 async function run() {
     await testDepositCreatesCreditOnly();
     await testStartupBackfillsDepositorCreditFromHistory();
@@ -2595,6 +2680,7 @@ async function run() {
     await testHydratedProposalEventsPersistImmediately();
     await testStaleDirectFillSubmissionRetries();
     await testStaleProposalSubmissionRetries();
+    await testReorgRollsBackCreditFillAndProposal();
     console.log('[test] erc1155 swap fast withdraw agent OK');
 }
 
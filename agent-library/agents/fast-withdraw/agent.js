@@ -1209,6 +1209,42 @@ async function onToolOutput({ name, parsedOutput }) {
     }
 }
 
+// A reorg can drop a direct fill or a reimbursement proposal. Fills mined after the common
+// ancestor lose their confirmations until refreshRequestStateFromChain finds them again, and
+// retracted reimbursement proposals are cleared so the request can be reimbursed again.
+async function onReorg({ commonAncestorBlock, retractedProposals = [] }) {
+    await hydrateRequestArchiveState();
+    const ancestorBlock = BigInt(commonAncestorBlock);
+    const retractedProposalHashes = new Set(
+        (Array.isArray(retractedProposals) ? retractedProposals : []).map((hash) =>
+            String(hash).toLowerCase()
+        )
+    );
+    let changed = false;
+
+    for (const record of Object.values(requestArchiveState.requests)) {
+        const receiptBlock = parseMaybeBigInt(record?.directFillReceiptBlockNumber);
+        if (receiptBlock !== null && receiptBlock > ancestorBlock) {
+            record.directFillReceiptBlockNumber = null;
+            record.directFillConfirmations = 0;
+            record.directFillConfirmed = false;
+            record.directFillConfirmedAtMs = null;
+            changed = true;
+        }
+        const proposalHash = record?.reimbursementProposalHash;
+        if (proposalHash && retractedProposalHashes.has(String(proposalHash).toLowerCase())) {
+            record.reimbursementProposalHash = null;
+            record.reimbursementSubmissionTxHash = null;
+            record.reimbursementSubmittedAtMs = null;
+            changed = true;
+        }
+    }
+
+    if (changed) {
+        await persistRequestArchiveState();
+    }
+}
+
 async function getRequestArchiveState() {
     await hydrateRequestArchiveState();
     return cloneJson({
@@ -1249,6 +1285,7 @@ export {
     getPollingOptions,
     getRequestArchiveState,
     getSystemPrompt,
+    onReorg,
     onToolOutput,
     resetRequestArchiveState,
     setRequestArchiveStatePathForTest,
@@ -10,6 +10,7 @@ import {
     enrichSignals,
     getRequestArchiveState,
     getSystemPrompt,
+    onReorg,
     onToolOutput,
     resetRequestArchiveState,
     setRequestArchiveStatePathForTest,
@@ -66,6 +67,7 @@ function buildSignedMessageSignal(overrides = {}) {
 
 function buildPublicClient({
     fillTxHash = TEST_FILL_TX_HASH,
+    fillBlockNumber = 100n,
     erc20SafeBalance = 50_000_000n,
     erc20AgentBalance = 20_000_000n,
     erc1155SafeBalance = 7n,
@@ -113,8 +115,11 @@ function buildPublicClient({
             if (String(hash).toLowerCase() !== fillTxHash.toLowerCase()) {
                 throw new Error(`Unexpected tx hash: ${hash}`);
             }
+            if (fillBlockNumber === null) {
+                throw new Error(`Transaction receipt with hash "${hash}" could not be found.`);
+            }
             return {
-                blockNumber: 100n,
+                blockNumber: fillBlockNumber,
             };
         },
     };
@@ -399,6 +404,45 @@ async function run() {
             requestSignal.expectedReimbursementExplanation
         );
 
+        // A reorg back to block 99 drops both the fill and the reimbursement proposal.
+        await onReorg({
+            commonAncestorBlock: 99n,
+            retractedDeposits: [],
+            retractedProposals: [TEST_OG_PROPOSAL_HASH],
+            retractedExecutedProposals: [],
+            retractedDeletedProposals: [],
+            config: baseConfig,
+        });
+        const reorgedState = await getRequestArchiveState();
+        assert.equal(reorgedState.requests[signal.requestId].directFillConfirmed, false);
+        assert.equal(reorgedState.requests[signal.requestId].reimbursementProposalHash, null);
+
+        const enrichAtBlock = async (latestBlock, client) =>
+            (
+                await enrichSignals([], {
+                    publicClient: client,
+                    config: baseConfig,
+                    account: {
+                        address: TEST_AGENT,
+                    },
+                    nowMs: signal.receivedAtMs + 40_000,
+                    latestBlock,
+                })
+            ).find((entry) => entry.kind === 'fastWithdrawRequest');
+        const unminedSignal = await enrichAtBlock(
+            103n,
+            buildPublicClient({ fillBlockNumber: null })
+        );
+        assert.equal(unminedSignal.status, 'fill_submitted');
+        assert.equal(unminedSignal.eligibleForReimbursement, false);
+
+        const reminedSignal = await enrichAtBlock(
+            103n,
+            buildPublicClient({ fillBlockNumber: 101n })
+        );
+        assert.equal(reminedSignal.directFillConfirmations, 3);
+        assert.equal(reminedSignal.eligibleForReimbursement, true);
+
         await resetRequestArchiveState();
 
         const erc1155Signal = buildSignedMessageSignal({
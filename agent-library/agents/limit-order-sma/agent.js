@@ -2,6 +2,7 @@
 
 import { erc20Abi, parseAbiItem } from 'viem';
 import { normalizeAddressOrThrow } from '../../../agent/src/lib/utils.js';
+import { quoteMinOutWithSlippage } from '../../../agent/src/lib/uniswapV3Swap.js';
 
 const TOKENS = Object.freeze({
     WETH: '0x7b79995e5f793a07bc00c21412e50ecae098e7f9',
@@ -10,58 +11,12 @@ const TOKENS = Object.freeze({
 const DEFAULT_ROUTER = '0x3bfa4769fb09eefc5a80d6e87c3b9c650f7ae48e';
 const ALLOWED_ROUTERS = new Set([DEFAULT_ROUTER]);
 const ALLOWED_FEE_TIERS = new Set([500, 3000, 10000]);
-const QUOTER_CANDIDATES_BY_CHAIN = new Map([
-    [1, ['0x61fFE014bA17989E743c5F6cB21bF9697530B21e', '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6']],
-    [11155111, ['0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3', '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6']],
-]);
 const SLIPPAGE_BPS = 50;
 const SMA_CACHE_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
 const SMA_MIN_POINTS = 100;
 const COINGECKO_MARKET_CHART_URL =
     'https://api.coingecko.com/api/v3/coins/ethereum/market_chart?vs_currency=usd&days=200';
 
-const quoterV2Abi = [
-    {
-        type: 'function',
-        name: 'quoteExactInputSingle',
-        stateMutability: 'nonpayable',
-        inputs: [
-            {
-                name: 'params',
-                type: 'tuple',
-                components: [
-                    { name: 'tokenIn', type: 'address' },
-                    { name: 'tokenOut', type: 'address' },
-                    { name: 'amountIn', type: 'uint256' },
-                    { name: 'fee', type: 'uint24' },
-                    { name: 'sqrtPriceLimitX96', type: 'uint160' },
-                ],
-            },
-        ],
-        outputs: [
-            { name: 'amountOut', type: 'uint256' },
-            { name: 'sqrtPriceX96After', type: 'uint160' },
-            { name: 'initializedTicksCrossed', type: 'uint32' },
-            { name: 'gasEstimate', type: 'uint256' },
-        ],
-    },
-];
-const quoterV1Abi = [
-    {
-        type: 'function',
-        name: 'quoteExactInputSingle',
-        stateMutability: 'view',
-        inputs: [
-            { name: 'tokenIn', type: 'address' },
-            { name: 'tokenOut', type: 'address' },
-            { name: 'fee', type: 'uint24' },
-            { name: 'amountIn', type: 'uint256' },
-            { name: 'sqrtPriceLimitX96', type: 'uint160' },
-        ],
-        outputs: [{ name: 'amountOut', type: 'uint256' }],
-    },
-];
-
 let lastPollTimestamp = Date.now();
 let limitOrderState = {
     proposalBuilt: false,
@@ -125,76 +80,6 @@ async function fetchEthPriceDataFromCoinGecko() {
     return { ethPriceUSD, smaEth200USD, fetchedAt: now };
 }
 
-async function resolveQuoterCandidates({ publicClient, config }) {
-    if (config?.uniswapV3Quoter) {
-        return [normalizeAddress(String(config.uniswapV3Quoter))];
-    }
-    const chainId = await publicClient.getChainId();
-    const byChain = QUOTER_CANDIDATES_BY_CHAIN.get(Number(chainId));
-    if (!Array.isArray(byChain) || byChain.length === 0) {
-        throw new Error(`No Uniswap V3 quoter configured for chainId ${chainId}. Set UNISWAP_V3_QUOTER.`);
-    }
-    return byChain.map((v) => normalizeAddress(v));
-}
-
-async function tryQuoteV2({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn }) {
-    const quoteCall = await publicClient.simulateContract({
-        address: quoter,
-        abi: quoterV2Abi,
-        functionName: 'quoteExactInputSingle',
-        args: [{ tokenIn, tokenOut, fee, amountIn, sqrtPriceLimitX96: 0n }],
-    });
-    const result = quoteCall?.result;
-    return Array.isArray(result) && result.length > 0 ? BigInt(result[0]) : BigInt(result ?? 0n);
-}
-
-async function tryQuoteV1({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn }) {
-    const quoteCall = await publicClient.simulateContract({
-        address: quoter,
-        abi: quoterV1Abi,
-        functionName: 'quoteExactInputSingle',
-        args: [tokenIn, tokenOut, fee, amountIn, 0n],
-    });
-    return BigInt(quoteCall?.result ?? 0n);
-}
-
-async function quoteMinOutWithSlippage({ publicClient, config, tokenIn, tokenOut, fee, amountIn }) {
-    const quoters = await resolveQuoterCandidates({ publicClient, config });
-    let quotedAmountOut = 0n;
-    let selectedQuoter = null;
-    const failures = [];
-
-    for (const quoter of quoters) {
-        try {
-            quotedAmountOut = await tryQuoteV2({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn });
-            selectedQuoter = quoter;
-            break;
-        } catch (v2Error) {
-            try {
-                quotedAmountOut = await tryQuoteV1({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn });
-                selectedQuoter = quoter;
-                break;
-            } catch (v1Error) {
-                failures.push(
-                    `${quoter}: ${v1Error?.message ?? v2Error?.message ?? 'quote failed'}`
-                );
-            }
-        }
-    }
-
-    if (!selectedQuoter) {
-        throw new Error(`No compatible Uniswap quoter found. Tried: ${failures.join(' | ')}`);
-    }
-    if (quotedAmountOut <= 0n) {
-        throw new Error('Uniswap quoter returned zero output for this swap.');
-    }
-    const minAmountOut = (quotedAmountOut * BigInt(10_000 - SLIPPAGE_BPS)) / 10_000n;
-    if (minAmountOut <= 0n) {
-        throw new Error('Swap output too small after slippage; refusing proposal.');
-    }
-    return { minAmountOut };
-}
-
 function getSystemPrompt({ proposeEnabled, disputeEnabled, commitmentText }) {
     const mode = proposeEnabled && disputeEnabled
         ? 'You may propose and dispute.'
@@ -399,6 +284,7 @@ async function validateToolCalls({
             tokenOut,
             fee,
             amountIn: amountInWei,
+            slippageBps: SLIPPAGE_BPS,
         });
 
         action.tokenIn = tokenIn;
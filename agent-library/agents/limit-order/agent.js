@@ -1,67 +1,19 @@
 // Limit Order Agent - Single limit order on Sepolia (WETH/USDC)
 
-import { erc20Abi, parseAbi, parseAbiItem } from 'viem';
+import { erc20Abi, parseAbiItem } from 'viem';
+import { getEthPriceUSD, getEthPriceUSDFallback } from '../../../agent/src/lib/price.js';
 import { normalizeAddressOrThrow } from '../../../agent/src/lib/utils.js';
+import { quoteMinOutWithSlippage } from '../../../agent/src/lib/uniswapV3Swap.js';
 
 const TOKENS = Object.freeze({
     WETH: '0x7b79995e5f793a07bc00c21412e50ecae098e7f9',
     USDC: '0x1c7d4b196cb0c7b01d743fbc6116a902379c7238',
 });
-const CHAINLINK_ETH_USD_FEED_SEPOLIA = '0x694AA1769357215DE4FAC081bf1f309aDC325306';
 const DEFAULT_ROUTER = '0x3bfa4769fb09eefc5a80d6e87c3b9c650f7ae48e';
 const ALLOWED_ROUTERS = new Set([DEFAULT_ROUTER]);
 const ALLOWED_FEE_TIERS = new Set([500, 3000, 10000]);
-const QUOTER_CANDIDATES_BY_CHAIN = new Map([
-    [1, ['0x61fFE014bA17989E743c5F6cB21bF9697530B21e', '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6']],
-    [11155111, ['0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3', '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6']],
-]);
 const SLIPPAGE_BPS = 50;
 
-const chainlinkAbi = parseAbi([
-    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
-]);
-const quoterV2Abi = [
-    {
-        type: 'function',
-        name: 'quoteExactInputSingle',
-        stateMutability: 'nonpayable',
-        inputs: [
-            {
-                name: 'params',
-                type: 'tuple',
-                components: [
-                    { name: 'tokenIn', type: 'address' },
-                    { name: 'tokenOut', type: 'address' },
-                    { name: 'amountIn', type: 'uint256' },
-                    { name: 'fee', type: 'uint24' },
-                    { name: 'sqrtPriceLimitX96', type: 'uint160' },
-                ],
-            },
-        ],
-        outputs: [
-            { name: 'amountOut', type: 'uint256' },
-            { name: 'sqrtPriceX96After', type: 'uint160' },
-            { name: 'initializedTicksCrossed', type: 'uint32' },
-            { name: 'gasEstimate', type: 'uint256' },
-        ],
-    },
-];
-const quoterV1Abi = [
-    {
-        type: 'function',
-        name: 'quoteExactInputSingle',
-        stateMutability: 'view',
-        inputs: [
-            { name: 'tokenIn', type: 'address' },
-            { name: 'tokenOut', type: 'address' },
-            { name: 'fee', type: 'uint24' },
-            { name: 'amountIn', type: 'uint256' },
-            { name: 'sqrtPriceLimitX96', type: 'uint160' },
-        ],
-        outputs: [{ name: 'amountOut', type: 'uint256' }],
-    },
-];
-
 let lastPollTimestamp = Date.now();
 let limitOrderState = {
     proposalBuilt: false,
@@ -77,103 +29,6 @@ const proposalExecutedEvent = parseAbiItem(
     'event ProposalExecuted(bytes32 indexed proposalHash, bytes32 indexed assertionId)'
 );
 
-async function getEthPriceUSD(publicClient, chainlinkFeedAddress) {
-    const result = await publicClient.readContract({
-        address: chainlinkFeedAddress,
-        abi: chainlinkAbi,
-        functionName: 'latestRoundData',
-    });
-    const answer = result[1];
-    if (answer <= 0n) {
-        throw new Error('Invalid Chainlink ETH/USD price');
-    }
-    return Number(answer) / 1e8;
-}
-
-async function getEthPriceUSDFallback() {
-    const response = await fetch(
-        'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd'
-    );
-    if (!response.ok) {
-        throw new Error(`Coingecko API error: ${response.status}`);
-    }
-    const data = await response.json();
-    if (!data?.ethereum?.usd) {
-        throw new Error('Invalid Coingecko response');
-    }
-    return data.ethereum.usd;
-}
-
-async function resolveQuoterCandidates({ publicClient, config }) {
-    if (config?.uniswapV3Quoter) {
-        return [normalizeAddress(String(config.uniswapV3Quoter))];
-    }
-    const chainId = await publicClient.getChainId();
-    const byChain = QUOTER_CANDIDATES_BY_CHAIN.get(Number(chainId));
-    if (!Array.isArray(byChain) || byChain.length === 0) {
-        throw new Error(`No Uniswap V3 quoter configured for chainId ${chainId}. Set UNISWAP_V3_QUOTER.`);
-    }
-    return byChain.map((v) => normalizeAddress(v));
-}
-
-async function tryQuoteV2({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn }) {
-    const quoteCall = await publicClient.simulateContract({
-        address: quoter,
-        abi: quoterV2Abi,
-        functionName: 'quoteExactInputSingle',
-        args: [{ tokenIn, tokenOut, fee, amountIn, sqrtPriceLimitX96: 0n }],
-    });
-    const result = quoteCall?.result;
-    return Array.isArray(result) && result.length > 0 ? BigInt(result[0]) : BigInt(result ?? 0n);
-}
-
-async function tryQuoteV1({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn }) {
-    const quoteCall = await publicClient.simulateContract({
-        address: quoter,
-        abi: quoterV1Abi,
-        functionName: 'quoteExactInputSingle',
-        args: [tokenIn, tokenOut, fee, amountIn, 0n],
-    });
-    return BigInt(quoteCall?.result ?? 0n);
-}
-
-async function quoteMinOutWithSlippage({ publicClient, config, tokenIn, tokenOut, fee, amountIn }) {
-    const quoters = await resolveQuoterCandidates({ publicClient, config });
-    let quotedAmountOut = 0n;
-    let selectedQuoter = null;
-    const failures = [];
-
-    for (const quoter of quoters) {
-        try {
-            quotedAmountOut = await tryQuoteV2({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn });
-            selectedQuoter = quoter;
-            break;
-        } catch (v2Error) {
-            try {
-                quotedAmountOut = await tryQuoteV1({ publicClient, quoter, tokenIn, tokenOut, fee, amountIn });
-                selectedQuoter = quoter;
-                break;
-            } catch (v1Error) {
-                failures.push(
-                    `${quoter}: ${v1Error?.message ?? v2Error?.message ?? 'quote failed'}`
-                );
-            }
-        }
-    }
-
-    if (!selectedQuoter) {
-        throw new Error(`No compatible Uniswap quoter found. Tried: ${failures.join(' | ')}`);
-    }
-    if (quotedAmountOut <= 0n) {
-        throw new Error('Uniswap quoter returned zero output for this swap.');
-    }
-    const minAmountOut = (quotedAmountOut * BigInt(10_000 - SLIPPAGE_BPS)) / 10_000n;
-    if (minAmountOut <= 0n) {
-        throw new Error('Swap output too small after slippage; refusing proposal.');
-    }
-    return { minAmountOut };
-}
-
 function getSystemPrompt({ proposeEnabled, disputeEnabled, commitmentText }) {
     const mode = proposeEnabled && disputeEnabled
         ? 'You may propose and dispute.'
@@ -185,9 +40,9 @@ function getSystemPrompt({ proposeEnabled, disputeEnabled, commitmentText }) {
 
     return [
         'You are a limit order agent. Read the commitment to extract the limit price, comparator (e.g. less than or equal to, greater than or equal to), and swap amount.',
-        'Compare ethPriceUSD (from signals, Chainlink ETH/USD) to the limit in the commitment. When the condition is satisfied, propose a single swap of the Safe\'s funds.',
+        'Compare ethPriceUSD (from signals, the price oracle) to the limit in the commitment. When the condition is satisfied, propose a single swap of the Safe\'s funds.',
         'No deposits. The Safe must be pre-funded. Recipient of the swap is always the Safe (commitmentSafe).',
-        'Read signals: ethPriceUSD (Chainlink), safeWethHuman, safeUsdcHuman (human-readable balances), limitOrderState, pendingProposal.',
+        'Read signals: ethPriceUSD (price oracle), safeWethHuman, safeUsdcHuman (human-readable balances), limitOrderState, pendingProposal.',
         'If the price condition is met and orderFilled is false and Safe has sufficient balance and no pendingProposal, call build_og_transactions with one uniswap_v3_exact_input_single action, then post_bond_and_propose.',
         'Extract tokenIn, tokenOut, amountInWei from the commitment. Set recipient to commitmentSafe. Use router at 0x3bfa4769fb09eefc5a80d6e87c3b9c650f7ae48e and an allowlisted fee tier (500, 3000, 10000).',
         'If the price condition is not met, or orderFilled is true, or pendingProposal, or insufficient balance, output action=ignore.',
@@ -220,8 +75,12 @@ async function enrichSignals(signals, { publicClient, config, account, onchainPe
 
     let ethPriceUSD;
     try {
-        const feed = config?.chainlinkPriceFeed ?? CHAINLINK_ETH_USD_FEED_SEPOLIA;
-        ethPriceUSD = await getEthPriceUSD(publicClient, feed);
+        ethPriceUSD = await getEthPriceUSD({
+            publicClient,
+            config,
+            weth: TOKENS.WETH,
+            chainlinkFeed: config?.chainlinkPriceFeed,
+        });
     } catch {
         ethPriceUSD = await getEthPriceUSDFallback();
     }
@@ -368,6 +227,7 @@ async function validateToolCalls({
             tokenOut,
             fee,
             amountIn: amountInWei,
+            slippageBps: SLIPPAGE_BPS,
         });
 
         action.tokenIn = tokenIn;
@@ -1,7 +1,10 @@
 import assert from 'node:assert/strict';
-import { getSystemPrompt, augmentSignals } from './agent.js';
+import { getSystemPrompt, augmentSignals, enrichSignals } from './agent.js';
 
-function run() {
+const SAFE = '0x00000000000000000000000000000000000000aa';
+const WETH = '0x7b79995e5f793a07bc00c21412e50ecae098e7f9';
+
+async function run() {
     const prompt = getSystemPrompt({
         proposeEnabled: true,
         disputeEnabled: true,
@@ -24,7 +27,33 @@ function run() {
     assert.ok(typeof priceSignal.currentTimestamp === 'number');
     assert.ok(typeof priceSignal.lastPollTimestamp === 'number');
 
+    // The configured price oracle prices WETH, so no Chainlink or Coingecko lookup is made.
+    const [enriched] = await enrichSignals([{ kind: 'priceSignal' }], {
+        publicClient: {
+            async getBlockNumber() {
+                return 10n;
+            },
+            async getBlock({ blockNumber }) {
+                return { number: blockNumber, timestamp: 1_700_000_000n };
+            },
+            async readContract({ functionName }) {
+                assert.equal(functionName, 'balanceOf');
+                return 0n;
+            },
+        },
+        config: {
+            commitmentSafe: SAFE,
+            priceOracle: { staticPricesUsdMicros: { [WETH]: '1950250000' } },
+        },
+        account: { address: SAFE },
+        onchainPendingProposal: false,
+    });
+    assert.equal(enriched.ethPriceUSD, 1950.25);
+
     console.log('[test] limit-order agent OK');
 }
 
-run();
+run().catch((error) => {
+    console.error('[test] limit-order agent failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -1,6 +1,7 @@
 import path from 'node:path';
 import { pathToFileURL } from 'node:url';
 import { privateKeyToAccount } from 'viem/accounts';
+import { createValidatedReadOnlyRuntime } from '../../src/lib/chain-runtime.js';
 import { buildConfig } from '../../src/lib/config.js';
 import { createSignerClient } from '../../src/lib/signer.js';
 import { normalizePrivateKey } from '../../src/lib/utils.js';
@@ -240,6 +241,37 @@ async function resolveMessagePublishNodeSigner({
     };
 }
 
+// Contract wallet signers are verified onchain, which is only possible for the configured chain.
+function resolveMessagePublishSignatureClientResolver({
+    runtimeConfig,
+    createValidatedReadOnlyRuntimeFn = createValidatedReadOnlyRuntime,
+} = {}) {
+    const chainId = runtimeConfig?.chainId;
+    if (!runtimeConfig?.rpcUrl || chainId === undefined || chainId === null) {
+        return undefined;
+    }
+    const expectedChainId = normalizeChainIdValue(chainId, 'resolved chainId');
+    let runtimePromise = null;
+    return async function resolvePublicClient({ chainId: requestedChainId }) {
+        if (requestedChainId !== expectedChainId) {
+            return null;
+        }
+        if (!runtimePromise) {
+            runtimePromise = createValidatedReadOnlyRuntimeFn({
+                rpcUrl: runtimeConfig.rpcUrl,
+                rpcEndpoints: runtimeConfig.rpcEndpoints,
+                rpcQuorum: runtimeConfig.rpcQuorum,
+                expectedChainId,
+            }).catch((error) => {
+                runtimePromise = null;
+                throw error;
+            });
+        }
+        const { quorumPublicClient } = await runtimePromise;
+        return quorumPublicClient;
+    };
+}
+
 async function resolveMessagePublishValidator({
     runtimeConfig,
 } = {}) {
@@ -295,6 +327,7 @@ export {
     resolveMessagePublishApiConfigForAgent,
     resolveMessagePublishNodeSigner,
     resolveMessagePublishServerConfig,
+    resolveMessagePublishSignatureClientResolver,
     resolveMessagePublishStateFile,
     resolveMessagePublishValidator,
 };
@@ -6,6 +6,7 @@ import {
     createValidatedReadWriteRuntime,
 } from '../../src/lib/chain-runtime.js';
 import { resolveAgentRuntimeConfig, resolveConfiguredChainId } from '../../src/lib/agent-config.js';
+import { createRuntimeNonceManager } from '../../src/lib/runtime-bootstrap.js';
 import { createSignerClient } from '../../src/lib/signer.js';
 import {
     getArgValue,
@@ -254,20 +255,35 @@ async function createProposalPublishSubmissionRuntimeResolver({
                         );
                     }
 
-                    const { publicClient, account, walletClient } =
-                        await createValidatedReadWriteRuntime({
-                            rpcUrl: runtimeConfig.rpcUrl,
-                            expectedChainId: normalizedChainId,
-                            buildError: buildUnsupportedChainError,
-                            createPublicClientFn,
-                            createSignerClientFn,
-                            httpTransportFn: http,
-                        });
+                    const {
+                        publicClient,
+                        account,
+                        walletClient: signerWalletClient,
+                    } = await createValidatedReadWriteRuntime({
+                        rpcUrl: runtimeConfig.rpcUrl,
+                        rpcEndpoints: runtimeConfig.rpcEndpoints,
+                        rpcQuorum: runtimeConfig.rpcQuorum,
+                        expectedChainId: normalizedChainId,
+                        buildError: buildUnsupportedChainError,
+                        createPublicClientFn,
+                        createSignerClientFn,
+                        httpTransportFn: http,
+                    });
+                    // Shares the agent's journal when both sign with the same key, so their
+                    // nonces never collide.
+                    const { walletClient, nonceManager } = createRuntimeNonceManager({
+                        config: runtimeConfig,
+                        publicClient,
+                        walletClient: signerWalletClient,
+                        account,
+                        repoRootPath,
+                    });
 
                     return {
                         runtimeConfig,
                         publicClient,
                         walletClient,
+                        nonceManager,
                         account,
                     };
                 })()
@@ -353,8 +369,12 @@ async function createProposalPublishVerificationRuntimeResolver({
                         );
                     }
 
-                    const { publicClient } = await createValidatedReadOnlyRuntime({
+                    // Verification decides whether a proposal is published, so its reads use
+                    // the quorum client when rpcQuorum is configured.
+                    const { quorumPublicClient } = await createValidatedReadOnlyRuntime({
                         rpcUrl: runtimeConfig.rpcUrl,
+                        rpcEndpoints: runtimeConfig.rpcEndpoints,
+                        rpcQuorum: runtimeConfig.rpcQuorum,
                         expectedChainId: normalizedChainId,
                         buildError: buildUnsupportedChainError,
                         createPublicClientFn,
@@ -363,7 +383,7 @@ async function createProposalPublishVerificationRuntimeResolver({
 
                     return {
                         runtimeConfig,
-                        publicClient,
+                        publicClient: quorumPublicClient,
                     };
                 })()
             );
@@ -1,6 +1,7 @@
 import path from 'node:path';
 import { createMessagePublicationApiServer } from '../../src/lib/message-publication-api.js';
 import { createMessagePublicationStore } from '../../src/lib/message-publication-store.js';
+import { configureLogging } from '../../src/lib/logger.js';
 import {
     hasFlag,
     loadScriptEnv,
@@ -9,6 +10,7 @@ import {
     resolveMessagePublishLockKeyDeriver,
     resolveMessagePublishNodeSigner,
     resolveMessagePublishServerConfig,
+    resolveMessagePublishSignatureClientResolver,
     resolveMessagePublishValidator,
 } from './message-publish-runtime.mjs';
 
@@ -50,6 +52,7 @@ async function main({ argv = process.argv } = {}) {
 
     const { agentRef, runtimeConfig, stateFile, supportedChainIds } =
         await resolveMessagePublishServerConfig({ argv });
+    configureLogging({ level: runtimeConfig.logLevel, format: runtimeConfig.logFormat });
     const validateMessagePublication = await resolveMessagePublishValidator({
         runtimeConfig,
     });
@@ -99,6 +102,7 @@ async function main({ argv = process.argv } = {}) {
         nodeSigner,
         validateMessagePublication,
         deriveMessagePublicationLockKeys,
+        resolvePublicClient: resolveMessagePublishSignatureClientResolver({ runtimeConfig }),
     });
     await api.start();
 
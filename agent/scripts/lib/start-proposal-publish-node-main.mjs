@@ -1,6 +1,7 @@
 import path from 'node:path';
 import { createProposalPublicationApiServer } from '../../src/lib/proposal-publication-api.js';
 import { createProposalPublicationStore } from '../../src/lib/proposal-publication-store.js';
+import { configureLogging } from '../../src/lib/logger.js';
 import {
     hasFlag,
     loadScriptEnv,
@@ -51,6 +52,7 @@ async function main({ argv = process.argv } = {}) {
 
     const { agentRef, runtimeConfig, stateFile, supportedChainIds } =
         await resolveProposalPublishServerConfig({ argv });
+    configureLogging({ level: runtimeConfig.logLevel, format: runtimeConfig.logFormat });
     if (!runtimeConfig.proposalPublishApiEnabled) {
         throw new Error(
             `Agent "${agentRef}" does not enable proposalPublishApi. Enable proposalPublishApi.enabled in the active config stack.`
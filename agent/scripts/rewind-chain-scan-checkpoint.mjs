@@ -0,0 +1,160 @@
+import {
+    resolveAgentRuntimeConfig,
+    resolveConfiguredChainId,
+} from '../src/lib/agent-config.js';
+import { buildConfig } from '../src/lib/config.js';
+import {
+    REWIND_SCOPES,
+    createChainScanCheckpointStore,
+} from '../src/lib/chain-scan-checkpoint-store.js';
+import { resolveChainScanCheckpointFile } from '../src/lib/runtime-bootstrap.js';
+import {
+    getArgValue,
+    hasFlag,
+    isDirectScriptExecution,
+    loadAgentConfigForScript,
+    loadScriptEnv,
+    repoRoot,
+    resolveAgentRef,
+} from './lib/cli-runtime.mjs';
+
+function parseInteger(value, label) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed)) {
+        throw new Error(`${label} must be an integer.`);
+    }
+    return parsed;
+}
+
+function parseNonNegativeBigInt(value, label) {
+    let parsed;
+    try {
+        parsed = BigInt(String(value));
+    } catch (error) {
+        throw new Error(`${label} must be an integer.`);
+    }
+    if (parsed < 0n) {
+        throw new Error(`${label} must be >= 0.`);
+    }
+    return parsed;
+}
+
+function printUsage() {
+    console.log(`Usage:
+node agent/scripts/rewind-chain-scan-checkpoint.mjs --module=<agent> [--to-block=<n>] [options]
+
+Without --to-block, --reset-proposals or --clear the current checkpoint is printed.
+
+Options:
+  --module=<agent>               Agent module name or path (fallback: AGENT_MODULE env)
+  --chain-id=<id>                Chain to resolve in the agent config stack
+  --to-block=<n>                 Rewind the selected cursors to block n
+  --scope=<scope>                Cursors to rewind: ${REWIND_SCOPES.join(', ')} (default all)
+  --reset-proposals              Drop tracked proposals so proposal history is backfilled again
+  --clear                        Delete the checkpoint; the next boot starts from startBlock
+  --state-file=<path>            Checkpoint file (default: resolved from the agent config)
+  --help                         Show this help
+`);
+}
+
+function formatCheckpoint(checkpoint) {
+    return JSON.stringify(
+        {
+            chainId: checkpoint.chainId,
+            commitmentSafe: checkpoint.commitmentSafe,
+            ogModule: checkpoint.ogModule,
+            lastCheckedBlock: checkpoint.lastCheckedBlock?.toString() ?? null,
+            lastProposalCheckedBlock: checkpoint.lastProposalCheckedBlock?.toString() ?? null,
+            proposals: checkpoint.proposals.map((proposal) => proposal.proposalHash),
+            updatedAtMs: checkpoint.updatedAtMs,
+        },
+        null,
+        2
+    );
+}
+
+async function resolveCheckpointConfig({ argv, env, repoRootPath }) {
+    const agentRef = resolveAgentRef({ argv, env });
+    const { agentConfigStack } = await loadAgentConfigForScript(agentRef, {
+        repoRootPath,
+        env,
+        argv,
+    });
+    const explicitChainIdRaw = getArgValue('--chain-id=', argv);
+    const chainId = resolveConfiguredChainId({
+        agentConfigFile: agentConfigStack,
+        explicitChainId:
+            explicitChainIdRaw === null
+                ? undefined
+                : parseInteger(explicitChainIdRaw, '--chain-id'),
+    });
+    const baseConfig = buildConfig({ env, requireRpcUrl: false });
+    return resolveAgentRuntimeConfig({
+        baseConfig: { ...baseConfig, chainId },
+        agentConfigFile: agentConfigStack,
+        chainId,
+    });
+}
+
+async function main({ argv = process.argv, env = process.env, repoRootPath = repoRoot } = {}) {
+    if (hasFlag('--help', argv) || hasFlag('-h', argv)) {
+        printUsage();
+        return;
+    }
+
+    const config = await resolveCheckpointConfig({ argv, env, repoRootPath });
+    if (config.chainId === undefined || config.chainId === null) {
+        throw new Error('Could not resolve chainId; pass --chain-id=<id>.');
+    }
+    if (!config.commitmentSafe || !config.ogModule) {
+        throw new Error(
+            'The agent config stack must define commitmentSafe and ogModule for this chain.'
+        );
+    }
+
+    const stateFile =
+        getArgValue('--state-file=', argv) ??
+        resolveChainScanCheckpointFile({ config, repoRootPath });
+    const store = createChainScanCheckpointStore({
+        stateFile,
+        chainId: config.chainId,
+        commitmentSafe: config.commitmentSafe,
+        ogModule: config.ogModule,
+    });
+
+    if (hasFlag('--clear', argv)) {
+        store.clear();
+        console.log(`[script] Cleared chain scan checkpoint ${store.stateFile}.`);
+        return;
+    }
+
+    const toBlockRaw = getArgValue('--to-block=', argv);
+    const resetProposals = hasFlag('--reset-proposals', argv);
+    if (toBlockRaw === null && !resetProposals) {
+        const checkpoint = store.load();
+        if (!checkpoint) {
+            console.log(`[script] No chain scan checkpoint at ${store.stateFile}.`);
+            return;
+        }
+        console.log(formatCheckpoint(checkpoint));
+        return;
+    }
+
+    const checkpoint = store.rewind({
+        toBlock: toBlockRaw === null ? undefined : parseNonNegativeBigInt(toBlockRaw, '--to-block'),
+        scope: getArgValue('--scope=', argv) ?? 'all',
+        resetProposals,
+    });
+    console.log(`[script] Rewound chain scan checkpoint ${store.stateFile}.`);
+    console.log(formatCheckpoint(checkpoint));
+}
+
+if (isDirectScriptExecution(import.meta.url)) {
+    loadScriptEnv();
+    main().catch((error) => {
+        console.error(`[script] Failed: ${error?.message ?? error}`);
+        process.exit(1);
+    });
+}
+
+export { main };
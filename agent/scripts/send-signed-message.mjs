@@ -4,7 +4,10 @@ import {
     resolveConfiguredChainId,
 } from '../src/lib/agent-config.js';
 import { privateKeyToAccount } from 'viem/accounts';
-import { buildSignedMessagePayload } from '../src/lib/message-signing.js';
+import {
+    buildSignedMessagePayload,
+    buildSignedMessageTypedData,
+} from '../src/lib/message-signing.js';
 import {
     getArgValue,
     hasFlag,
@@ -41,6 +44,14 @@ function parseOptionalObject(raw, label) {
     return parsed;
 }
 
+function parseAuthType(raw) {
+    const authType = raw ?? 'eip191';
+    if (authType !== 'eip191' && authType !== 'eip712') {
+        throw new Error('--auth-type must be "eip191" or "eip712".');
+    }
+    return authType;
+}
+
 function normalizePrivateKey(value) {
     if (!value) {
         throw new Error(
@@ -173,6 +184,7 @@ async function resolveMessageApiTarget({
     const explicitChainIdRaw = getArgValue('--chain-id=', argv);
     const explicitChainId =
         explicitChainIdRaw === null ? undefined : parseInteger(explicitChainIdRaw, 'chainId');
+    const explicitCommitmentSafe = getArgValue('--commitment-safe=', argv) ?? undefined;
     if (explicit) {
         const configuredAgentRef = getArgValue('--module=', argv) ?? env.AGENT_MODULE ?? null;
         if (!configuredAgentRef) {
@@ -180,6 +192,7 @@ async function resolveMessageApiTarget({
                 return {
                     baseUrl: normalizeBaseUrl(explicit),
                     chainId: explicitChainId,
+                    commitmentSafe: explicitCommitmentSafe,
                 };
             }
             throw new Error(
@@ -199,6 +212,7 @@ async function resolveMessageApiTarget({
             return {
                 baseUrl: normalizeBaseUrl(explicit),
                 chainId: runtimeConfig.chainId,
+                commitmentSafe: explicitCommitmentSafe ?? runtimeConfig.commitmentSafe,
             };
         } catch (error) {
             throw new Error(
@@ -254,6 +268,7 @@ async function resolveMessageApiTarget({
                   port: explicitPort ?? baseParts.port,
               }),
         chainId: runtimeConfig.chainId,
+        commitmentSafe: explicitCommitmentSafe ?? runtimeConfig.commitmentSafe,
     };
 }
 
@@ -298,6 +313,8 @@ Optional:
   --deadline-ms=<int>                  Optional absolute deadline (Unix ms)
   --timestamp-ms=<int>                 Optional signature timestamp (default now)
   --timeout-ms=<int>                   HTTP timeout (default 10000)
+  --auth-type=<eip191|eip712>          Sign the canonical JSON (default) or EIP-712 typed data
+  --commitment-safe=<address>          EIP-712 verifying Safe; defaults to the module's commitmentSafe
   --dry-run                            Print signed payload and request body without sending
   --help                               Show this help
 `);
@@ -319,7 +336,8 @@ async function main() {
     );
     const account = privateKeyToAccount(normalizedPrivateKey);
 
-    const { baseUrl, chainId } = await resolveMessageApiTarget();
+    const authType = parseAuthType(getArgValue('--auth-type='));
+    const { baseUrl, chainId, commitmentSafe } = await resolveMessageApiTarget();
     const bearerToken =
         getArgValue('--bearer-token=') ?? process.env.MESSAGE_API_BEARER_TOKEN ?? undefined;
     const command = getArgValue('--command=') ?? undefined;
@@ -339,7 +357,7 @@ async function main() {
     const timeoutRaw = getArgValue('--timeout-ms=') ?? process.env.MESSAGE_API_TIMEOUT_MS ?? '10000';
     const timeoutMs = parseInteger(timeoutRaw, '--timeout-ms');
 
-    const payload = buildSignedMessagePayload({
+    const signedFields = {
         address: account.address,
         chainId,
         timestampMs,
@@ -349,15 +367,22 @@ async function main() {
         metadata,
         requestId,
         deadline,
-    });
-    const signature = await account.signMessage({ message: payload });
+    };
+    const payload = buildSignedMessagePayload(signedFields);
+    const typedData =
+        authType === 'eip712'
+            ? buildSignedMessageTypedData({ ...signedFields, commitmentSafe })
+            : null;
+    const signature = typedData
+        ? await account.signTypedData(typedData)
+        : await account.signMessage({ message: payload });
 
     const body = {
         text,
         ...(chainId !== undefined ? { chainId } : {}),
         requestId,
         auth: {
-            type: 'eip191',
+            type: authType,
             address: account.address,
             timestampMs,
             signature,
@@ -374,6 +399,7 @@ async function main() {
                 {
                     baseUrl,
                     payload,
+                    ...(typedData ? { typedData } : {}),
                     body,
                     headers: bearerToken
                         ? {
@@ -384,7 +410,7 @@ async function main() {
                               'Content-Type': 'application/json',
                           },
                 },
-                null,
+                (_key, value) => (typeof value === 'bigint' ? value.toString() : value),
                 2
             )
         );
@@ -1,7 +1,10 @@
 import { randomUUID } from 'node:crypto';
 import { readFile } from 'node:fs/promises';
 import { privateKeyToAccount } from 'viem/accounts';
-import { buildSignedProposalPayload } from '../src/lib/signed-proposal.js';
+import {
+    buildSignedProposalPayload,
+    buildSignedProposalTypedData,
+} from '../src/lib/signed-proposal.js';
 import { createSignerClient } from '../src/lib/signer.js';
 import { normalizePrivateKey } from '../src/lib/utils.js';
 import {
@@ -55,6 +58,14 @@ function parseRequiredArray(raw, label) {
     return parsed;
 }
 
+function parseAuthType(raw) {
+    const authType = raw ?? 'eip191';
+    if (authType !== 'eip191' && authType !== 'eip712') {
+        throw new Error('--auth-type must be "eip191" or "eip712".');
+    }
+    return authType;
+}
+
 async function resolveExplanation({ argv = process.argv }) {
     const inline = getArgValue('--explanation=', argv);
     const filePath = getArgValue('--explanation-file=', argv);
@@ -85,6 +96,9 @@ async function resolveProposalSigner({ argv = process.argv, env = process.env }
             async signMessage(message) {
                 return account.signMessage({ message });
             },
+            async signTypedData(typedData) {
+                return account.signTypedData(typedData);
+            },
         };
     }
 
@@ -106,6 +120,12 @@ async function resolveProposalSigner({ argv = process.argv, env = process.env }
                 message,
             });
         },
+        async signTypedData(typedData) {
+            return walletClient.signTypedData({
+                account,
+                ...typedData,
+            });
+        },
     };
 }
 
@@ -143,6 +163,7 @@ Optional:
   --timestamp-ms=<int>                 Optional signature timestamp (default now)
   --timeout-ms=<int>                   HTTP timeout (default 10000)
   --bearer-token=<string>              Optional bearer token (or PROPOSAL_PUBLISH_BEARER_TOKEN)
+  --auth-type=<eip191|eip712>          Sign the canonical JSON (default) or EIP-712 typed data
   --dry-run                            Print signed payload and request body without sending
   --help                               Show this help
 `);
@@ -184,9 +205,10 @@ async function main() {
     const { baseUrl, chainId } = await resolveProposalPublishApiTarget();
     const bearerToken =
         getArgValue('--bearer-token=') ?? process.env.PROPOSAL_PUBLISH_BEARER_TOKEN ?? undefined;
+    const authType = parseAuthType(getArgValue('--auth-type='));
     const signer = await resolveProposalSigner();
 
-    const payload = buildSignedProposalPayload({
+    const signedFields = {
         address: signer.account.address,
         chainId,
         timestampMs,
@@ -197,8 +219,12 @@ async function main() {
         explanation,
         metadata,
         deadline,
-    });
-    const signature = await signer.signMessage(payload);
+    };
+    const payload = buildSignedProposalPayload(signedFields);
+    const typedData = authType === 'eip712' ? buildSignedProposalTypedData(signedFields) : null;
+    const signature = typedData
+        ? await signer.signTypedData(typedData)
+        : await signer.signMessage(payload);
 
     const body = {
         chainId,
@@ -208,7 +234,7 @@ async function main() {
         transactions,
         explanation,
         auth: {
-            type: 'eip191',
+            type: authType,
             address: signer.account.address,
             timestampMs,
             signature,
@@ -223,6 +249,7 @@ async function main() {
                 {
                     baseUrl,
                     payload,
+                    ...(typedData ? { typedData } : {}),
                     body,
                     headers: bearerToken
                         ? {
@@ -233,7 +260,7 @@ async function main() {
                               'Content-Type': 'application/json',
                           },
                 },
-                null,
+                (_key, value) => (typeof value === 'bigint' ? value.toString() : value),
                 2
             )
         );
@@ -234,6 +234,15 @@ async function run() {
                 uniswapV3Factory: FILE_SAFE,
                 uniswapV3Quoter: FILE_OG,
                 uniswapV3FeeTiers: [100, 500],
+                priceOracle: {
+                    chainlinkFeeds: {
+                        [FILE_ERC1155.toLowerCase()]: { feed: FILE_OG.toLowerCase() },
+                    },
+                    staticPricesUsdMicros: { native: '2000000000' },
+                    minSources: 1,
+                    maxDeviationBps: 250,
+                },
+                tokenSymbolAddresses: { USDC: FILE_ERC1155.toLowerCase() },
                 ipfsEnabled: true,
                 ipfsApiUrl: 'http://ipfs.config.example:5001',
                 ipfsRequestTimeoutMs: 20_000,
@@ -251,6 +260,7 @@ async function run() {
                     port: 9999,
                     requireSignerAllowlist: true,
                     signerAllowlist: [FILE_SIGNER],
+                    allowedOrigins: ['http://localhost:5173/'],
                     rateLimitPerMinute: 12,
                 },
                 proposalPublishApi: {
@@ -260,6 +270,7 @@ async function run() {
                     mode: 'publish',
                     requireSignerAllowlist: true,
                     signerAllowlist: [FILE_SIGNER],
+                    allowedOrigins: ['https://app.oya.example'],
                     nodeName: 'shared-node',
                 },
                 messagePublishApi: {
@@ -273,9 +284,15 @@ async function run() {
                 byChain: {
                     '11155111': {
                         rpcUrl: 'https://rpc.sepolia.example',
+                        rpcEndpoints: [
+                            'https://rpc-backup.sepolia.example',
+                            { url: 'https://rpc-free.sepolia.example', rateLimitPerSecond: 5 },
+                        ],
+                        rpcQuorum: 2,
                         ogModule: FILE_OG,
                         watchAssets: [FILE_CHAIN_ERC20],
                         startBlock: '999999',
+                        confirmationDepth: 12,
                         proposeEnabled: true,
                         polymarketRelayerPollTimeoutMs: 222_000,
                         ipfsRetryDelayMs: 750,
@@ -338,9 +355,15 @@ async function run() {
     assert.equal(resolved.agentConfig.commitmentSafe, FILE_SAFE);
     assert.equal(resolved.agentConfig.ogModule, FILE_OG);
     assert.equal(resolved.rpcUrl, 'https://rpc.sepolia.example');
+    assert.deepEqual(resolved.rpcEndpoints, [
+        { url: 'https://rpc-backup.sepolia.example' },
+        { url: 'https://rpc-free.sepolia.example', rateLimitPerSecond: 5 },
+    ]);
+    assert.equal(resolved.rpcQuorum, 2);
     assert.equal(resolved.pollIntervalMs, 15_000);
     assert.equal(resolved.logChunkSize, 9000n);
     assert.equal(resolved.startBlock, 999999n);
+    assert.equal(resolved.confirmationDepth, 12);
     assert.equal(resolved.watchNativeBalance, false);
     assert.equal(resolved.defaultDepositAsset, getAddress(FILE_ERC20));
     assert.equal(resolved.defaultDepositAmountWei, 1234567n);
@@ -382,6 +405,15 @@ async function run() {
     assert.equal(resolved.uniswapV3Factory, getAddress(FILE_SAFE));
     assert.equal(resolved.uniswapV3Quoter, getAddress(FILE_OG));
     assert.deepEqual(resolved.uniswapV3FeeTiers, [100, 500]);
+    assert.deepEqual(resolved.priceOracle, {
+        chainlinkFeeds: { [getAddress(FILE_ERC1155)]: { feed: getAddress(FILE_OG) } },
+        uniswapV3TwapPools: {},
+        staticPricesUsdMicros: { native: 2_000_000_000n },
+        minSources: 1,
+        maxDeviationBps: 250,
+        snapshotToleranceBps: 100,
+    });
+    assert.deepEqual(resolved.tokenSymbolAddresses, { USDC: getAddress(FILE_ERC1155) });
     assert.equal(resolved.ipfsEnabled, true);
     assert.equal(resolved.ipfsApiUrl, 'http://ipfs.config.example:5001');
     assert.equal(resolved.ipfsRequestTimeoutMs, 20_000);
@@ -401,6 +433,7 @@ async function run() {
     assert.deepEqual(resolved.messageApiSignerAllowlist, [getAddress(CHAIN_SIGNER)]);
     assert.equal(resolved.messageApiBatchSize, 7);
     assert.equal(resolved.messageApiRateLimitPerMinute, 12);
+    assert.deepEqual(resolved.messageApiAllowedOrigins, ['http://localhost:5173']);
     assert.deepEqual(resolved.agentConfig.messageApi.signerAllowlist, [getAddress(CHAIN_SIGNER)]);
     assert.equal(resolved.proposalPublishApiEnabled, true);
     assert.equal(resolved.proposalPublishApiHost, 'proposal.shared.example');
@@ -410,6 +443,7 @@ async function run() {
     assert.equal(resolved.proposalPublishApiRequireSignerAllowlist, true);
     assert.deepEqual(resolved.proposalPublishApiSignerAllowlist, [getAddress(CHAIN_SIGNER)]);
     assert.equal(resolved.proposalPublishApiNodeName, 'shared-node');
+    assert.deepEqual(resolved.proposalPublishApiAllowedOrigins, ['https://app.oya.example']);
     assert.deepEqual(resolved.agentConfig.proposalPublishApi.signerAllowlist, [
         getAddress(CHAIN_SIGNER),
     ]);
@@ -613,6 +647,49 @@ async function run() {
         /field "messageApi"\.keys is not supported in config\.json/
     );
 
+    await writeFile(
+        configPath,
+        JSON.stringify({ messageApi: { allowedOrigins: ['https://app.example/path'] } }, null, 2),
+        'utf8'
+    );
+    const invalidOriginFile = await loadAgentConfigFile(configPath);
+    assert.throws(
+        () =>
+            resolveAgentRuntimeConfig({
+                baseConfig,
+                agentConfigFile: invalidOriginFile,
+                chainId: 11155111,
+            }),
+        /allowedOrigins\[0\] must be an origin like https:\/\/app\.example/
+    );
+
+    await writeFile(
+        configPath,
+        JSON.stringify(
+            {
+                priceOracle: {
+                    uniswapV3TwapPools: {
+                        [FILE_ERC1155]: { pool: FILE_OG },
+                    },
+                },
+            },
+            null,
+            2
+        ),
+        'utf8'
+    );
+
+    const invalidPriceOracleFile = await loadAgentConfigFile(configPath);
+    assert.throws(
+        () =>
+            resolveAgentRuntimeConfig({
+                baseConfig,
+                agentConfigFile: invalidPriceOracleFile,
+                chainId: 11155111,
+            }),
+        /uniswapV3TwapPools\.0x[0-9a-fA-F]{40} must include pool and quoteToken addresses/
+    );
+
     await writeFile(
         configPath,
         JSON.stringify(
@@ -1,5 +1,6 @@
 import assert from 'node:assert/strict';
-import { decodeFunctionData, erc20Abi, parseAbi } from 'viem';
+import { decodeFunctionData, erc20Abi, hexToBigInt, parseAbi, slice } from 'viem';
+import { decodeMultiSendCall } from '../src/lib/safe-multisend.js';
 import { buildOgTransactions } from '../src/lib/tx.js';
 
 function run() {
@@ -119,7 +120,106 @@ function run() {
     assert.equal(ctfRedeemTxs.length, 1);
     assert.equal(ctfRedeemTxs[0].operation, 0);
 
-    console.log('[test] buildOgTransactions uniswap + ctf_split actions OK');
+    const multiSendTxs = buildOgTransactions([
+        {
+            kind: 'multisend',
+            actions: [
+                {
+                    kind: 'uniswap_v3_exact_input_single',
+                    router,
+                    tokenIn: usdc,
+                    tokenOut: weth,
+                    fee: 3000,
+                    recipient,
+                    amountInWei: '1000000',
+                    amountOutMinWei: '1',
+                },
+                { kind: 'native_transfer', to: recipient, amountWei: '5' },
+            ],
+        },
+    ]);
+    assert.equal(multiSendTxs.length, 1);
+    assert.equal(multiSendTxs[0].to, '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D');
+    assert.equal(multiSendTxs[0].operation, 1);
+    assert.equal(multiSendTxs[0].value, '0');
+    const multiSendCall = decodeFunctionData({
+        abi: parseAbi(['function multiSend(bytes transactions) payable']),
+        data: multiSendTxs[0].data,
+    });
+    const packed = multiSendCall.args[0];
+    const unpacked = [];
+    let offset = 0;
+    while (offset < (packed.length - 2) / 2) {
+        const dataLength = Number(hexToBigInt(slice(packed, offset + 53, offset + 85)));
+        unpacked.push({
+            operation: Number(hexToBigInt(slice(packed, offset, offset + 1))),
+            to: slice(packed, offset + 1, offset + 21),
+            value: hexToBigInt(slice(packed, offset + 21, offset + 53)),
+            data: dataLength > 0 ? slice(packed, offset + 85, offset + 85 + dataLength) : '0x',
+        });
+        offset += 85 + dataLength;
+    }
+    assert.equal(unpacked.length, 3);
+    assert.deepEqual(
+        unpacked.map((tx) => tx.operation),
+        [0, 0, 0]
+    );
+    assert.equal(unpacked[0].to.toLowerCase(), usdc.toLowerCase());
+    assert.equal(unpacked[0].data, txs[0].data);
+    assert.equal(unpacked[1].to.toLowerCase(), router.toLowerCase());
+    assert.equal(unpacked[1].data, txs[1].data);
+    assert.equal(unpacked[2].to.toLowerCase(), recipient.toLowerCase());
+    assert.equal(unpacked[2].value, 5n);
+    assert.equal(unpacked[2].data, '0x');
+    assert.deepEqual(
+        decodeMultiSendCall(multiSendTxs[0].data).map((tx) => ({
+            ...tx,
+            to: tx.to.toLowerCase(),
+        })),
+        unpacked.map((tx) => ({ ...tx, to: tx.to.toLowerCase() }))
+    );
+
+    assert.throws(
+        () =>
+            buildOgTransactions([
+                {
+                    kind: 'multisend',
+                    to: recipient,
+                    actions: [{ kind: 'native_transfer', to: recipient, amountWei: '1' }],
+                },
+            ]),
+        /not a canonical MultiSendCallOnly/
+    );
+    assert.throws(
+        () =>
+            buildOgTransactions([
+                {
+                    kind: 'multisend',
+                    actions: [
+                        {
+                            kind: 'multisend',
+                            actions: [{ kind: 'native_transfer', to: recipient, amountWei: '1' }],
+                        },
+                    ],
+                },
+            ]),
+        /nested actions must use operation 0/
+    );
+    assert.throws(
+        () =>
+            buildOgTransactions([
+                {
+                    kind: 'contract_call',
+                    to: recipient,
+                    abi: 'setOwner(address)',
+                    args: [recipient],
+                    operation: 1,
+                },
+            ]),
+        /Refusing DELEGATECALL/
+    );
+
+    console.log('[test] buildOgTransactions uniswap + ctf_split + multisend actions OK');
 }
 
 run();
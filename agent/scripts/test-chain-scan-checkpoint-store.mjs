@@ -0,0 +1,214 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { getAddress } from 'viem';
+import { createChainScanCheckpointStore } from '../src/lib/chain-scan-checkpoint-store.js';
+import { resolveChainScanCheckpointFile } from '../src/lib/runtime-bootstrap.js';
+import { main as runRewindCli } from './rewind-chain-scan-checkpoint.mjs';
+
+const CHAIN_ID = 11155111;
+const SAFE = getAddress('0xbbc8362c8b18fb90395666b27154b2e4c2b2b4a6');
+const OG = getAddress('0x4ea81968539a7ca607b8ebf01bf85e759b552228');
+const RECIPIENT = getAddress('0x1c7d4b196cb0c7b01d743fbc6116a902379c7238');
+const PROPOSAL_HASH = `0x${'ab'.repeat(32)}`;
+
+function buildProposal() {
+    return {
+        proposalHash: PROPOSAL_HASH,
+        assertionId: `0x${'cd'.repeat(32)}`,
+        proposer: RECIPIENT,
+        challengeWindowEnds: 1_700_003_600n,
+        transactions: [{ to: RECIPIENT, operation: 0, value: 5n, data: '0x1234' }],
+        lastAttemptMs: 10,
+        executionTxHash: null,
+        executionSubmittedMs: null,
+        disputeAttemptMs: 0,
+        rules: 'rules text',
+        explanation: 'explanation text',
+    };
+}
+
+async function captureLogs(work) {
+    const lines = [];
+    const original = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        await work();
+    } finally {
+        console.log = original;
+    }
+    return lines;
+}
+
+async function runStoreChecks(tempDir) {
+    const stateFile = path.join(tempDir, 'nested', 'checkpoint.json');
+    const store = createChainScanCheckpointStore({
+        stateFile,
+        chainId: CHAIN_ID,
+        commitmentSafe: SAFE.toLowerCase(),
+        ogModule: OG,
+    });
+    assert.equal(store.load(), null);
+    assert.throws(() => store.rewind({ toBlock: 1n }), /No chain scan checkpoint exists/);
+
+    store.save({
+        lastCheckedBlock: 200n,
+        lastProposalCheckedBlock: 180n,
+        proposals: new Map([[PROPOSAL_HASH, buildProposal()]]).values(),
+        blockHashes: [
+            { blockNumber: 150n, blockHash: `0x${'01'.repeat(32)}` },
+            { blockNumber: 200n, blockHash: `0x${'02'.repeat(32)}` },
+        ],
+        nowMs: 1234,
+    });
+    const loaded = store.load();
+    assert.equal(loaded.chainId, CHAIN_ID);
+    assert.equal(loaded.commitmentSafe, SAFE);
+    assert.equal(loaded.lastCheckedBlock, 200n);
+    assert.equal(loaded.lastProposalCheckedBlock, 180n);
+    assert.equal(loaded.updatedAtMs, 1234);
+    assert.deepEqual(loaded.proposals, [buildProposal()]);
+    assert.deepEqual(
+        loaded.blockHashes.map((entry) => entry.blockNumber),
+        [150n, 200n]
+    );
+
+    // Another commitment must not silently resume from this file.
+    const otherSafe = createChainScanCheckpointStore({
+        stateFile,
+        chainId: CHAIN_ID,
+        commitmentSafe: RECIPIENT,
+        ogModule: OG,
+    });
+    assert.throws(() => otherSafe.load(), /not the configured commitment/);
+
+    const commitmentOnly = store.rewind({ toBlock: 150n, scope: 'commitment', nowMs: 2000 });
+    assert.equal(commitmentOnly.lastCheckedBlock, 150n);
+    assert.equal(commitmentOnly.lastProposalCheckedBlock, 180n);
+    assert.equal(commitmentOnly.proposals.length, 1);
+    // Hashes above the lowest cursor belong to blocks that will be rescanned.
+    assert.deepEqual(
+        commitmentOnly.blockHashes.map((entry) => entry.blockNumber),
+        [150n]
+    );
+
+    // Cursors already below the target are left where they are.
+    const all = store.rewind({ toBlock: 170n });
+    assert.equal(all.lastCheckedBlock, 150n);
+    assert.equal(all.lastProposalCheckedBlock, 170n);
+
+    const reset = store.rewind({ resetProposals: true });
+    assert.equal(reset.lastCheckedBlock, 150n);
+    assert.equal(reset.lastProposalCheckedBlock, undefined);
+    assert.deepEqual(reset.proposals, []);
+
+    assert.throws(() => store.rewind({}), /requires toBlock or resetProposals/);
+    assert.throws(() => store.rewind({ toBlock: 1n, scope: 'assets' }), /scope must be one of/);
+    assert.throws(() => store.rewind({ toBlock: -1n }), /non-negative/);
+
+    store.clear();
+    assert.equal(store.load(), null);
+
+    await writeFile(stateFile, JSON.stringify({ version: 'other' }), 'utf8');
+    assert.throws(() => store.load(), /Unsupported chain scan checkpoint version/);
+}
+
+function runPathChecks(tempDir) {
+    const config = { chainId: CHAIN_ID, commitmentSafe: SAFE, ogModule: OG };
+    assert.equal(
+        resolveChainScanCheckpointFile({ config, repoRootPath: tempDir }),
+        path.join(
+            tempDir,
+            'agent',
+            '.state',
+            'chain-scan',
+            `chain-${CHAIN_ID}-${SAFE.toLowerCase()}-${OG.toLowerCase()}.json`
+        )
+    );
+    assert.equal(
+        resolveChainScanCheckpointFile({
+            config: { ...config, chainScanCheckpointFile: 'state/custom.json' },
+            repoRootPath: tempDir,
+        }),
+        path.join(tempDir, 'state', 'custom.json')
+    );
+}
+
+async function runCliChecks(tempDir) {
+    const agentDir = path.join(tempDir, 'agent-under-test');
+    await mkdir(agentDir, { recursive: true });
+    await writeFile(
+        path.join(agentDir, 'config.json'),
+        JSON.stringify({
+            chainId: CHAIN_ID,
+            byChain: { [CHAIN_ID]: { commitmentSafe: SAFE, ogModule: OG } },
+        }),
+        'utf8'
+    );
+    const env = {};
+    const baseArgv = ['node', 'rewind-chain-scan-checkpoint.mjs', `--module=${agentDir}`];
+    const stateFile = path.join(
+        tempDir,
+        'agent',
+        '.state',
+        'chain-scan',
+        `chain-${CHAIN_ID}-${SAFE.toLowerCase()}-${OG.toLowerCase()}.json`
+    );
+    const store = createChainScanCheckpointStore({
+        stateFile,
+        chainId: CHAIN_ID,
+        commitmentSafe: SAFE,
+        ogModule: OG,
+    });
+
+    const missing = await captureLogs(() =>
+        runRewindCli({ argv: baseArgv, env, repoRootPath: tempDir })
+    );
+    assert.match(missing[0], /No chain scan checkpoint/);
+
+    store.save({ lastCheckedBlock: 90n, lastProposalCheckedBlock: 95n, proposals: [] });
+    const rewound = await captureLogs(() =>
+        runRewindCli({
+            argv: [...baseArgv, '--to-block=40', '--scope=proposals'],
+            env,
+            repoRootPath: tempDir,
+        })
+    );
+    assert.match(rewound[0], /Rewound chain scan checkpoint/);
+    const persisted = JSON.parse(await readFile(stateFile, 'utf8'));
+    assert.equal(persisted.lastCheckedBlock, '90');
+    assert.equal(persisted.lastProposalCheckedBlock, '40');
+
+    const shown = await captureLogs(() =>
+        runRewindCli({ argv: baseArgv, env, repoRootPath: tempDir })
+    );
+    assert.equal(JSON.parse(shown[0]).lastProposalCheckedBlock, '40');
+
+    await assert.rejects(
+        runRewindCli({ argv: [...baseArgv, '--to-block=abc'], env, repoRootPath: tempDir }),
+        /--to-block must be an integer/
+    );
+
+    await captureLogs(() =>
+        runRewindCli({ argv: [...baseArgv, '--clear'], env, repoRootPath: tempDir })
+    );
+    assert.equal(store.load(), null);
+}
+
+async function main() {
+    const tempDir = await mkdtemp(path.join(os.tmpdir(), 'chain-scan-checkpoint-'));
+    try {
+        await runStoreChecks(tempDir);
+        runPathChecks(tempDir);
+        await runCliChecks(tempDir);
+        console.log('[test] chain scan checkpoint store OK');
+    } finally {
+        await rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+main().catch((error) => {
+    console.error('[test] chain scan checkpoint store failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -0,0 +1,179 @@
+import assert from 'node:assert/strict';
+import { createChainSubscription } from '../src/lib/chain-runtime.js';
+import { buildChainSubscriptionLogFilters } from '../src/lib/polling.js';
+
+const SAFE = '0x1234000000000000000000000000000000000000';
+const OG_MODULE = '0x9999999999999999999999999999999999999999';
+const USDC = '0x1c7d4b196cb0c7b01d743fbc6116a902379c7238';
+const ERC1155 = '0x4d97dcd97ec945f40cf65f87097ace5ea0476045';
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function buildSocketFactory({ chainId = 11155111, failConnects = 0 } = {}) {
+    const state = { clients: [], closed: 0, connects: 0, unsubscribed: 0 };
+    const createPublicClientFn = ({ transport }) => {
+        const client = {
+            transportConfig: transport,
+            subscriptions: [],
+            async getChainId() {
+                state.connects += 1;
+                if (state.connects <= failConnects) {
+                    throw new Error('connect ECONNREFUSED');
+                }
+                return chainId;
+            },
+            transport: {
+                async subscribe({ params, onData, onError }) {
+                    const subscription = { params, onData, onError };
+                    client.subscriptions.push(subscription);
+                    return {
+                        subscriptionId: `0x${client.subscriptions.length}`,
+                        async unsubscribe() {
+                            state.unsubscribed += 1;
+                        },
+                    };
+                },
+                async getRpcClient() {
+                    return {
+                        close() {
+                            state.closed += 1;
+                        },
+                    };
+                },
+            },
+        };
+        state.clients.push(client);
+        return client;
+    };
+    const webSocketTransportFn = (url, options) => ({ url, options });
+    return { state, createPublicClientFn, webSocketTransportFn };
+}
+
+async function testFilters() {
+    const filters = buildChainSubscriptionLogFilters({
+        commitmentSafe: SAFE,
+        ogModule: OG_MODULE,
+        trackedAssets: new Set([USDC, '0x0000000000000000000000000000000000000000']),
+        trackedErc1155Assets: [
+            { token: ERC1155, tokenId: '1' },
+            { token: ERC1155, tokenId: '2' },
+        ],
+    });
+    assert.equal(filters.length, 3);
+    assert.deepEqual(filters[0], { address: [OG_MODULE] });
+    assert.equal(filters[1].address.length, 1);
+    assert.equal(filters[1].topics[2], `0x${SAFE.slice(2).padStart(64, '0')}`);
+    assert.equal(filters[2].address.length, 1);
+    assert.equal(filters[2].topics[0].length, 2);
+    assert.equal(filters[2].topics[3], `0x${SAFE.slice(2).padStart(64, '0')}`);
+
+    assert.deepEqual(
+        buildChainSubscriptionLogFilters({ commitmentSafe: SAFE, ogModule: OG_MODULE }),
+        [{ address: [OG_MODULE] }]
+    );
+}
+
+async function testWakesAndReconnects() {
+    const { state, createPublicClientFn, webSocketTransportFn } = buildSocketFactory();
+    const wakes = [];
+    const subscription = createChainSubscription({
+        wsRpcUrl: 'wss://rpc.example',
+        expectedChainId: 11155111,
+        logFilters: [{ address: [OG_MODULE] }],
+        onWake: (reason) => wakes.push(reason),
+        reconnectDelayMs: 1,
+        createPublicClientFn,
+        webSocketTransportFn,
+    });
+    await subscription.start();
+    assert.equal(subscription.isConnected(), true);
+    const [first] = state.clients;
+    assert.deepEqual(first.transportConfig, {
+        url: 'wss://rpc.example',
+        options: { reconnect: false },
+    });
+    assert.deepEqual(
+        first.subscriptions.map((entry) => entry.params),
+        [['newHeads'], ['logs', { address: [OG_MODULE] }]]
+    );
+    assert.deepEqual(wakes, []);
+
+    first.subscriptions[0].onData({ result: { number: '0x1' } });
+    first.subscriptions[1].onData({ result: {} });
+    assert.deepEqual(wakes, ['new_head', 'log']);
+
+    // Every subscription sees the socket close; only one reconnect follows.
+    first.subscriptions[0].onError(new Error('socket closed'));
+    first.subscriptions[1].onError(new Error('socket closed'));
+    assert.equal(subscription.isConnected(), false);
+    await sleep(50);
+    assert.equal(state.clients.length, 2);
+    assert.equal(state.unsubscribed, 2);
+    assert.equal(state.closed, 1);
+    assert.equal(subscription.isConnected(), true);
+    assert.deepEqual(wakes, ['new_head', 'log', 'reconnect']);
+
+    await subscription.stop();
+    assert.equal(subscription.isConnected(), false);
+    assert.equal(state.closed, 2);
+}
+
+async function testFallsBackWhileUnavailable() {
+    const { state, createPublicClientFn, webSocketTransportFn } = buildSocketFactory({
+        failConnects: 2,
+    });
+    const wakes = [];
+    const subscription = createChainSubscription({
+        wsRpcUrl: 'wss://rpc.example',
+        expectedChainId: 11155111,
+        wakeOnNewHeads: false,
+        logFilters: [{ address: [OG_MODULE] }],
+        onWake: (reason) => wakes.push(reason),
+        reconnectDelayMs: 1,
+        createPublicClientFn,
+        webSocketTransportFn,
+    });
+    await subscription.start();
+    assert.equal(subscription.isConnected(), false);
+    await sleep(100);
+    assert.equal(state.connects, 3);
+    assert.equal(subscription.isConnected(), true);
+    assert.deepEqual(
+        state.clients[2].subscriptions.map((entry) => entry.params[0]),
+        ['logs']
+    );
+    await subscription.stop();
+
+    const mismatched = buildSocketFactory({ chainId: 1 });
+    const wrongChain = createChainSubscription({
+        wsRpcUrl: 'wss://rpc.example',
+        expectedChainId: 11155111,
+        onWake: () => {},
+        reconnectDelayMs: 1_000,
+        createPublicClientFn: mismatched.createPublicClientFn,
+        webSocketTransportFn: mismatched.webSocketTransportFn,
+    });
+    await wrongChain.start();
+    assert.equal(wrongChain.isConnected(), false);
+    assert.equal(mismatched.state.clients[0].subscriptions.length, 0);
+    await wrongChain.stop();
+
+    assert.throws(
+        () => createChainSubscription({ wsRpcUrl: '', onWake: () => {} }),
+        /wsRpcUrl must be a non-empty string/
+    );
+}
+
+async function run() {
+    await testFilters();
+    await testWakesAndReconnects();
+    await testFallsBackWhileUnavailable();
+    console.log('[test] chain subscription OK');
+}
+
+run().catch((error) => {
+    console.error('[test] chain subscription failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { callAgent, explainToolCalls } from '../src/lib/llm.js';
+import { buildLlmFixtureKey } from '../src/lib/llm-fixtures.js';
+import { hasLlmDecisionEngine } from '../src/lib/decision-support.js';
+
+const DECISION_ARGS = Object.freeze({
+    systemPrompt: 'You are a fixture test agent.',
+    signals: [
+        {
+            kind: 'deposit',
+            asset: '0x0000000000000000000000000000000000000004',
+            amount: 5n,
+            blockNumber: 10n,
+        },
+    ],
+    ogContext: { rules: 'Deposit rules.', liveness: 3600n },
+    commitmentText: 'Deposit rules.',
+    agentAddress: '0x0000000000000000000000000000000000000003',
+    tools: [
+        {
+            type: 'function',
+            name: 'make_deposit',
+            description: 'Deposit funds.',
+            strict: true,
+            parameters: { type: 'object', properties: {} },
+        },
+    ],
+    allowTools: true,
+});
+
+const RECORDED_DECISION = {
+    id: 'resp_recorded',
+    output: [
+        {
+            type: 'function_call',
+            name: 'make_deposit',
+            arguments: '{"amountWei":"5"}',
+            call_id: 'call_recorded',
+        },
+    ],
+};
+
+async function withMockFetch(mockFetch, fn) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mockFetch;
+    try {
+        return await fn();
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+}
+
+async function run() {
+    const fixtureDir = await mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+    const baseConfig = {
+        openAiBaseUrl: 'https://api.openai.test/v1',
+        openAiModel: 'gpt-test',
+        commitmentSafe: '0x0000000000000000000000000000000000000001',
+        ogModule: '0x0000000000000000000000000000000000000002',
+        llmFixtureDir: fixtureDir,
+    };
+
+    try {
+        assert.equal(
+            buildLlmFixtureKey({ providerId: 'anthropic', body: { b: 1, a: [{ y: 2, x: 1 }] } }),
+            buildLlmFixtureKey({ providerId: 'anthropic', body: { a: [{ x: 1, y: 2 }], b: 1 } })
+        );
+        assert.notEqual(
+            buildLlmFixtureKey({ providerId: 'anthropic', body: { a: 1 } }),
+            buildLlmFixtureKey({ providerId: 'openai_chat', body: { a: 1 } })
+        );
+
+        const liveRequests = [];
+        const recordConfig = { ...baseConfig, openAiApiKey: 'k_live', llmFixtureMode: 'record' };
+        const recorded = await withMockFetch(
+            async (url, options) => {
+                liveRequests.push(url);
+                const body = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    status: 200,
+                    json: async () =>
+                        body.previous_response_id
+                            ? { output: [{ content: [{ text: 'Deposited 5 wei.' }] }] }
+                            : RECORDED_DECISION,
+                };
+            },
+            async () => {
+                const decision = await callAgent({ config: recordConfig, ...DECISION_ARGS });
+                const explanation = await explainToolCalls({
+                    config: recordConfig,
+                    previousResponseId: decision.responseId,
+                    continuation: decision.continuation,
+                    toolOutputs: [{ callId: 'call_recorded', output: '{"status":"confirmed"}' }],
+                });
+                return { decision, explanation };
+            }
+        );
+        assert.equal(liveRequests.length, 2);
+        assert.equal(recorded.explanation, 'Deposited 5 wei.');
+
+        const fixtureFiles = (await readdir(fixtureDir)).sort();
+        assert.equal(fixtureFiles.length, 2);
+        assert.ok(fixtureFiles.every((file) => /^[0-9a-f]{64}\.json$/.test(file)));
+        const fixtures = await Promise.all(
+            fixtureFiles.map(async (file) =>
+                JSON.parse(await readFile(path.join(fixtureDir, file), 'utf8'))
+            )
+        );
+        const decisionFixture = fixtures.find((fixture) => fixture.response.id === 'resp_recorded');
+        assert.equal(decisionFixture.version, 'oya-llm-fixture-v1');
+        assert.equal(decisionFixture.provider, 'openai_responses');
+        const recordedUserContent = JSON.parse(decisionFixture.request.input[1].content);
+        assert.equal(recordedUserContent.signals[0].amount, '5');
+        assert.equal(recordedUserContent.ogContext.liveness, '3600');
+        assert.equal(JSON.stringify(fixtures).includes('k_live'), false);
+
+        // Replay needs neither credentials nor network access.
+        const replayConfig = { ...baseConfig, llmFixtureMode: 'replay' };
+        assert.equal(hasLlmDecisionEngine(replayConfig), true);
+        const replayed = await withMockFetch(
+            async () => {
+                throw new Error('network access is not allowed during replay');
+            },
+            async () => {
+                const decision = await callAgent({ config: replayConfig, ...DECISION_ARGS });
+                const explanation = await explainToolCalls({
+                    config: replayConfig,
+                    previousResponseId: decision.responseId,
+                    continuation: decision.continuation,
+                    toolOutputs: [{ callId: 'call_recorded', output: '{"status":"confirmed"}' }],
+                });
+                return { decision, explanation };
+            }
+        );
+        assert.deepEqual(replayed.decision.toolCalls, recorded.decision.toolCalls);
+        assert.equal(replayed.decision.responseId, 'resp_recorded');
+        assert.equal(replayed.explanation, 'Deposited 5 wei.');
+
+        // A changed prompt is a different request and must not silently reuse a recording.
+        await assert.rejects(
+            () =>
+                callAgent({
+                    config: replayConfig,
+                    ...DECISION_ARGS,
+                    systemPrompt: 'You are an edited fixture test agent.',
+                }),
+            (error) => error.code === 'llm_fixture_missing'
+        );
+        await assert.rejects(
+            () => callAgent({ config: { ...replayConfig, llmFixtureDir: '' }, ...DECISION_ARGS }),
+            /llmFixtureDir is required/
+        );
+        await assert.rejects(
+            () => callAgent({ config: { ...baseConfig, llmFixtureMode: 'live' }, ...DECISION_ARGS }),
+            /llmFixtureMode must be one of/
+        );
+    } finally {
+        await rm(fixtureDir, { recursive: true, force: true });
+    }
+
+    console.log('[test] llm fixtures OK');
+}
+
+run().catch((error) => {
+    console.error('[test] llm fixtures failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -1,6 +1,23 @@
 import assert from 'node:assert/strict';
-import { callAgent } from '../src/lib/llm.js';
-import { isRetryableDecisionError } from '../src/lib/decision-support.js';
+import { callAgent, explainToolCalls } from '../src/lib/llm.js';
+import {
+    hasLlmDecisionEngine,
+    isRetryableDecisionError,
+} from '../src/lib/decision-support.js';
+
+const TEST_TOOLS = [
+    {
+        type: 'function',
+        name: 'make_deposit',
+        description: 'Deposit funds.',
+        strict: true,
+        parameters: {
+            type: 'object',
+            properties: { amountWei: { type: 'string' } },
+            required: ['amountWei'],
+        },
+    },
+];
 
 async function withMockFetch(mockFetch, fn) {
     const originalFetch = globalThis.fetch;
@@ -50,6 +67,225 @@ async function expectCallAgentHttpError({ statusCode, responseText }) {
     return thrown;
 }
 
+async function captureProviderCall({ config, response, allowTools = true }) {
+    const requests = [];
+    let decision;
+    await withMockFetch(
+        async (url, options) => {
+            requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+            return {
+                ok: true,
+                status: 200,
+                json: async () => response,
+            };
+        },
+        async () => {
+            decision = await callAgent({
+                config: {
+                    commitmentSafe: '0x0000000000000000000000000000000000000001',
+                    ogModule: '0x0000000000000000000000000000000000000002',
+                    ...config,
+                },
+                systemPrompt: 'prompt',
+                signals: [],
+                ogContext: {},
+                commitmentText: 'commitment',
+                agentAddress: '0x0000000000000000000000000000000000000003',
+                tools: TEST_TOOLS,
+                allowTools,
+            });
+        }
+    );
+    return { request: requests[0], decision };
+}
+
+async function captureExplanationRequest({ config, decision, explanation }) {
+    let request;
+    let text;
+    await withMockFetch(
+        async (url, options) => {
+            request = { url, body: JSON.parse(options.body) };
+            return { ok: true, status: 200, json: async () => explanation };
+        },
+        async () => {
+            text = await explainToolCalls({
+                config,
+                previousResponseId: decision.responseId,
+                continuation: decision.continuation,
+                toolOutputs: [{ callId: decision.toolCalls[0].callId, output: '{"status":"ok"}' }],
+            });
+        }
+    );
+    return { request, text };
+}
+
+async function runProviderAdapters() {
+    const chatConfig = {
+        llmProvider: 'openai_chat',
+        openAiBaseUrl: 'http://127.0.0.1:8080/v1',
+        openAiModel: 'local-model',
+    };
+    assert.equal(hasLlmDecisionEngine(chatConfig), true);
+    const chat = await captureProviderCall({
+        config: chatConfig,
+        response: {
+            id: 'chatcmpl-1',
+            choices: [
+                {
+                    message: {
+                        role: 'assistant',
+                        content: null,
+                        tool_calls: [
+                            {
+                                id: 'call_1',
+                                type: 'function',
+                                function: {
+                                    name: 'make_deposit',
+                                    arguments: '{"amountWei":"1"}',
+                                },
+                            },
+                        ],
+                    },
+                },
+            ],
+        },
+    });
+    assert.equal(chat.request.url, 'http://127.0.0.1:8080/v1/chat/completions');
+    assert.equal(chat.request.headers.Authorization, undefined);
+    assert.equal(chat.request.body.tools[0].function.name, 'make_deposit');
+    assert.equal(chat.request.body.messages[0].role, 'system');
+    assert.deepEqual(chat.decision.toolCalls, [
+        { name: 'make_deposit', arguments: '{"amountWei":"1"}', callId: 'call_1' },
+    ]);
+    const chatExplanation = await captureExplanationRequest({
+        config: chatConfig,
+        decision: chat.decision,
+        explanation: { choices: [{ message: { content: 'Deposited 1 wei.' } }] },
+    });
+    assert.equal(chatExplanation.text, 'Deposited 1 wei.');
+    assert.deepEqual(
+        chatExplanation.request.body.messages.map((message) => message.role),
+        ['system', 'user', 'assistant', 'tool', 'user']
+    );
+    assert.equal(chatExplanation.request.body.messages[3].tool_call_id, 'call_1');
+
+    const fencedChat = await captureProviderCall({
+        config: chatConfig,
+        allowTools: false,
+        response: {
+            choices: [{ message: { content: '```json\n{"action":"ignore"}\n```' } }],
+        },
+    });
+    assert.equal(fencedChat.request.body.tools, undefined);
+    assert.deepEqual(fencedChat.decision.textDecision, { action: 'ignore' });
+
+    const narratedChat = await captureProviderCall({
+        config: chatConfig,
+        response: {
+            choices: [
+                {
+                    message: {
+                        content: 'Depositing now.',
+                        tool_calls: [
+                            {
+                                id: 'call_2',
+                                type: 'function',
+                                function: { name: 'make_deposit', arguments: '{"amountWei":"3"}' },
+                            },
+                        ],
+                    },
+                },
+            ],
+        },
+    });
+    assert.equal(narratedChat.decision.toolCalls.length, 1);
+    assert.equal(narratedChat.decision.textDecision, undefined);
+
+    const anthropicConfig = {
+        llmProvider: 'anthropic',
+        anthropicApiKey: 'sk-ant-test',
+        anthropicBaseUrl: 'https://api.anthropic.test/v1',
+        anthropicModel: 'claude-test',
+        anthropicMaxTokens: 1024,
+    };
+    assert.equal(hasLlmDecisionEngine(anthropicConfig), true);
+    assert.equal(hasLlmDecisionEngine({ llmProvider: 'anthropic' }), false);
+    const anthropic = await captureProviderCall({
+        config: anthropicConfig,
+        response: {
+            id: 'msg_1',
+            content: [
+                { type: 'text', text: 'I will deposit now.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'make_deposit', input: { amountWei: '2' } },
+            ],
+        },
+    });
+    assert.equal(anthropic.request.url, 'https://api.anthropic.test/v1/messages');
+    assert.equal(anthropic.request.headers['x-api-key'], 'sk-ant-test');
+    assert.equal(anthropic.request.headers['anthropic-version'], '2023-06-01');
+    assert.equal(anthropic.request.body.system.startsWith('prompt'), true);
+    assert.equal(anthropic.request.body.max_tokens, 1024);
+    assert.deepEqual(anthropic.request.body.tools[0].input_schema, TEST_TOOLS[0].parameters);
+    assert.deepEqual(anthropic.decision.toolCalls, [
+        { name: 'make_deposit', arguments: '{"amountWei":"2"}', callId: 'toolu_1' },
+    ]);
+    assert.equal(anthropic.decision.textDecision, undefined);
+    const anthropicExplanation = await captureExplanationRequest({
+        config: anthropicConfig,
+        decision: anthropic.decision,
+        explanation: { content: [{ type: 'text', text: 'Deposited 2 wei.' }] },
+    });
+    assert.equal(anthropicExplanation.text, 'Deposited 2 wei.');
+    const explanationTurn = anthropicExplanation.request.body.messages.at(-1);
+    assert.equal(explanationTurn.content[0].type, 'tool_result');
+    assert.equal(explanationTurn.content[0].tool_use_id, 'toolu_1');
+
+    const anthropicText = await captureProviderCall({
+        config: anthropicConfig,
+        allowTools: false,
+        response: {
+            content: [{ type: 'text', text: 'Decision: {"action":"ignore","reason":"none"}' }],
+        },
+    });
+    assert.deepEqual(anthropicText.decision.textDecision, { action: 'ignore', reason: 'none' });
+
+    await assert.rejects(
+        () =>
+            captureProviderCall({
+                config: anthropicConfig,
+                allowTools: false,
+                response: { content: [{ type: 'text', text: 'no json here' }] },
+            }),
+        /Failed to parse Anthropic JSON/
+    );
+    await assert.rejects(
+        () =>
+            captureProviderCall({
+                config: {
+                    openAiBaseUrl: 'https://api.openai.test/v1',
+                    openAiApiKey: 'k_test',
+                    openAiModel: 'gpt-test',
+                },
+                response: {
+                    output: [
+                        {
+                            type: 'function_call',
+                            name: 'make_deposit',
+                            arguments: '{"amountWei":"4"}',
+                            call_id: 'call_3',
+                        },
+                        { type: 'message', content: [{ type: 'output_text', text: '{"action":' }] },
+                    ],
+                },
+            }),
+        /Failed to parse OpenAI JSON/
+    );
+    await assert.rejects(
+        () => captureProviderCall({ config: { llmProvider: 'bogus' } }),
+        /llmProvider must be one of/
+    );
+}
+
 function createTimeoutError() {
     if (typeof DOMException === 'function') {
         return new DOMException('The operation was aborted due to timeout.', 'TimeoutError');
@@ -83,9 +319,12 @@ async function run() {
         async (_url, options) => {
             assert.ok(options?.signal);
             return new Promise((_resolve, reject) => {
+                // AbortSignal.timeout() does not keep the event loop alive on its own.
+                const keepAlive = setTimeout(() => {}, 1_000);
                 options.signal.addEventListener(
                     'abort',
                     () => {
+                        clearTimeout(keepAlive);
                         reject(createTimeoutError());
                     },
                     { once: true }
@@ -120,6 +359,8 @@ async function run() {
     assert.equal(timeoutThrown.name, 'TimeoutError');
     assert.equal(isRetryableDecisionError(timeoutThrown), true);
 
+    await runProviderAdapters();
+
     console.log('[test] llm retry classification OK');
 }
 
@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import {
+    annotateLogContext,
+    buildCorrelationHeaders,
+    configureLogging,
+    createLogger,
+    getLogContext,
+    runWithRequestLogContext,
+    withLogContext,
+} from '../src/lib/logger.js';
+import { processQueuedUserMessages } from '../src/lib/message-loop.js';
+import { DECISION_STATUS } from '../src/lib/decision-support.js';
+
+function createCaptureSink() {
+    const lines = [];
+    const capture = (level) => (...args) => lines.push({ level, args });
+    return {
+        lines,
+        sink: {
+            debug: capture('debug'),
+            info: capture('info'),
+            log: capture('log'),
+            warn: capture('warn'),
+            error: capture('error'),
+        },
+    };
+}
+
+async function runTextMode() {
+    configureLogging({ level: 'info', format: 'text' });
+    const { lines, sink } = createCaptureSink();
+    const logger = createLogger({ sink });
+
+    logger.debug('[agent] hidden');
+    logger.info('[agent] Proposal submitted tx:', '0xabc');
+    await withLogContext({ correlationId: 'req-1' }, async () => {
+        await Promise.resolve();
+        logger.warn('[agent] Tool output skipped.');
+    });
+
+    assert.deepEqual(lines, [
+        { level: 'log', args: ['[agent] Proposal submitted tx:', '0xabc'] },
+        { level: 'warn', args: ['[agent] Tool output skipped.', '(correlationId=req-1)'] },
+    ]);
+}
+
+async function runJsonMode() {
+    configureLogging({ level: 'debug', format: 'json' });
+    const { lines, sink } = createCaptureSink();
+    const logger = createLogger({ sink }).child({ node: 'test-node' });
+
+    await withLogContext({ correlationId: 'req-2', requestId: 'req-2' }, async () => {
+        await withLogContext({ messageId: 'msg-1' }, async () => {
+            annotateLogContext({ signer: '0x1111111111111111111111111111111111111111' });
+            logger.debug('[oya-node] Publish accepted', { amount: 5n });
+            logger.error('[agent] Propose submission failed:', new Error('reverted'));
+        });
+        assert.equal(getLogContext().messageId, undefined);
+    });
+
+    const [debugEntry, errorEntry] = lines.map((line) => JSON.parse(line.args[0]));
+    assert.equal(debugEntry.level, 'debug');
+    assert.equal(debugEntry.component, 'oya-node');
+    assert.equal(debugEntry.msg, 'Publish accepted');
+    assert.equal(debugEntry.correlationId, 'req-2');
+    assert.equal(debugEntry.requestId, 'req-2');
+    assert.equal(debugEntry.messageId, 'msg-1');
+    assert.equal(debugEntry.signer, '0x1111111111111111111111111111111111111111');
+    assert.equal(debugEntry.node, 'test-node');
+    assert.deepEqual(debugEntry.args, [{ amount: '5' }]);
+    assert.match(debugEntry.time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(lines[1].level, 'error');
+    assert.equal(errorEntry.error.message, 'reverted');
+    assert.equal(errorEntry.args, undefined);
+
+    configureLogging({ level: 'warn' });
+    logger.info('[agent] filtered');
+    assert.equal(lines.length, 2);
+
+    assert.throws(() => configureLogging({ format: 'xml' }), /logFormat must be one of/);
+    assert.throws(() => configureLogging({ level: 'trace' }), /logLevel must be one of/);
+}
+
+async function runCorrelationPropagation() {
+    configureLogging({ level: 'info', format: 'text' });
+    assert.deepEqual(buildCorrelationHeaders(), {});
+
+    const responseHeaders = {};
+    const res = {
+        setHeader(name, value) {
+            responseHeaders[name] = value;
+        },
+    };
+    await runWithRequestLogContext(
+        { headers: { 'x-correlation-id': 'upstream-7' } },
+        res,
+        async () => {
+            assert.deepEqual(buildCorrelationHeaders(), { 'X-Correlation-Id': 'upstream-7' });
+        }
+    );
+    assert.equal(responseHeaders['X-Correlation-Id'], 'upstream-7');
+    await runWithRequestLogContext({ headers: { 'x-correlation-id': 'bad id\n' } }, res, () => {});
+    assert.match(responseHeaders['X-Correlation-Id'], /^[0-9a-f-]{36}$/);
+
+    // Queued user messages are decided under their own requestId.
+    const seen = [];
+    const acked = [];
+    await withLogContext({ correlationId: 'loop-1' }, () =>
+        processQueuedUserMessages({
+            messageInbox: {
+                takeBatch: () => [
+                    { messageId: 'msg-a', requestId: 'user-req-a', text: 'a' },
+                    { messageId: 'msg-b', text: 'b' },
+                ],
+                ackBatch: (ids) => acked.push(...ids),
+                requeueBatch: () => {},
+            },
+            maxBatchSize: 10,
+            nowMs: 0,
+            latestBlock: 1n,
+            prepareSignals: async (signals) => signals,
+            decideOnSignals: async () => {
+                seen.push({ ...getLogContext() });
+                return DECISION_STATUS.HANDLED;
+            },
+            logger: { log() {}, warn() {}, error() {} },
+        })
+    );
+    assert.deepEqual(acked, ['msg-a', 'msg-b']);
+    assert.equal(seen[0].correlationId, 'user-req-a');
+    assert.equal(seen[0].requestId, 'user-req-a');
+    assert.equal(seen[1].correlationId, 'msg-b');
+    assert.equal(seen[1].messageId, 'msg-b');
+}
+
+async function main() {
+    try {
+        await runTextMode();
+        await runJsonMode();
+        await runCorrelationPropagation();
+    } finally {
+        configureLogging({ level: 'info', format: 'text' });
+    }
+    console.log('[test] logger OK');
+}
+
+main().catch((error) => {
+    console.error('[test] logger failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -1,8 +1,12 @@
 import assert from 'node:assert/strict';
+import { concat, createPublicClient, custom, hashMessage } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import { createMessageInbox } from '../src/lib/message-inbox.js';
 import { createMessageApiServer } from '../src/lib/message-api.js';
-import { buildSignedMessagePayload } from '../src/lib/message-signing.js';
+import {
+    buildSignedMessagePayload,
+    buildSignedMessageTypedData,
+} from '../src/lib/message-signing.js';
 
 function buildInbox() {
     return createMessageInbox({
@@ -17,16 +21,43 @@ function buildInbox() {
     });
 }
 
+// Answers the ERC-6492 validator eth_call viem sends: `wallet` accepts exactly the listed
+// signatures over the listed hashes.
+function buildContractWalletClient({ wallet, accepted }) {
+    return createPublicClient({
+        transport: custom({
+            async request({ method, params }) {
+                if (method !== 'eth_call') {
+                    throw new Error(`Unexpected RPC method ${method}.`);
+                }
+                const data = params[0].data.toLowerCase();
+                const valid =
+                    data.includes(wallet.slice(2).toLowerCase()) &&
+                    accepted.some(
+                        ({ hash, signature }) =>
+                            data.includes(hash.slice(2)) &&
+                            data.includes(signature.slice(2).toLowerCase())
+                    );
+                return `0x${valid ? '1'.padStart(64, '0') : '0'.repeat(64)}`;
+            },
+        }),
+    });
+}
+
 async function main() {
     const account = privateKeyToAccount(`0x${'1'.repeat(64)}`);
     const otherAccount = privateKeyToAccount(`0x${'2'.repeat(64)}`);
     const inbox = buildInbox();
+    const commitmentSafe = '0x3333333333333333333333333333333333333333';
+    const contractWallet = '0x5555555555555555555555555555555555555555';
+    const acceptedContractSignatures = [];
     const config = {
         chainId: 11155111,
+        commitmentSafe,
         messageApiHost: '127.0.0.1',
         messageApiPort: 0,
         messageApiKeys: {},
-        messageApiSignerAllowlist: [account.address],
+        messageApiSignerAllowlist: [account.address, contractWallet],
         messageApiRequireSignerAllowlist: true,
         messageApiSignatureMaxAgeSeconds: 300,
         messageApiMaxBodyBytes: 2048,
@@ -35,6 +66,10 @@ async function main() {
     const messageApi = createMessageApiServer({
         config,
         inbox,
+        publicClient: buildContractWalletClient({
+            wallet: contractWallet,
+            accepted: acceptedContractSignatures,
+        }),
         logger: { log() {} },
     });
     const server = await messageApi.start();
@@ -81,6 +116,7 @@ async function main() {
         const queued = inbox.takeBatch({ maxItems: 1 });
         assert.equal(queued.length, 1);
         assert.equal(queued[0].sender.authType, 'eip191');
+        assert.equal(queued[0].sender.signerType, 'eoa');
         assert.equal(queued[0].sender.address, account.address);
         assert.equal(queued[0].sender.signedAtMs, timestampMs);
         assert.equal(queued[0].sender.signature, signature);
@@ -89,6 +125,131 @@ async function main() {
         assert.equal(queued[0].chainId, 11155111);
         inbox.ackBatch(queued.map((message) => message.messageId));
 
+        // EIP-712 typed data bound to the chain and the agent's commitment Safe.
+        const typedTimestampMs = Date.now();
+        const typedBody = {
+            chainId: 11155111,
+            text: 'Resume proposals',
+            command: 'resume_proposals',
+            args: { reason: 'maintenance done' },
+            requestId: 'sig-typed-resume',
+        };
+        const typedSignature = await account.signTypedData(
+            buildSignedMessageTypedData({
+                address: account.address,
+                commitmentSafe,
+                timestampMs: typedTimestampMs,
+                ...typedBody,
+            })
+        );
+        const typedAccepted = await fetch(`${baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...typedBody,
+                auth: {
+                    type: 'eip712',
+                    address: account.address,
+                    timestampMs: typedTimestampMs,
+                    signature: typedSignature,
+                },
+            }),
+        });
+        assert.equal(typedAccepted.status, 202);
+        const typedQueued = inbox.takeBatch({ maxItems: 1 });
+        assert.equal(typedQueued[0].sender.authType, 'eip712');
+        assert.equal(typedQueued[0].sender.address, account.address);
+        assert.equal(typedQueued[0].command, 'resume_proposals');
+        inbox.ackBatch(typedQueued.map((message) => message.messageId));
+
+        const otherSafeSignature = await account.signTypedData(
+            buildSignedMessageTypedData({
+                address: account.address,
+                commitmentSafe: '0x4444444444444444444444444444444444444444',
+                timestampMs: typedTimestampMs,
+                ...typedBody,
+                requestId: 'sig-typed-other-safe',
+            })
+        );
+        const otherSafe = await fetch(`${baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...typedBody,
+                requestId: 'sig-typed-other-safe',
+                auth: {
+                    type: 'eip712',
+                    address: account.address,
+                    timestampMs: typedTimestampMs,
+                    signature: otherSafeSignature,
+                },
+            }),
+        });
+        assert.equal(otherSafe.status, 401);
+
+        const unknownAuthType = await fetch(`${baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...typedBody,
+                requestId: 'sig-typed-unknown',
+                auth: {
+                    type: 'eip1271',
+                    address: account.address,
+                    timestampMs: typedTimestampMs,
+                    signature: typedSignature,
+                },
+            }),
+        });
+        assert.equal(unknownAuthType.status, 400);
+        assert.match((await unknownAuthType.json()).error, /"eip191" or "eip712"/);
+
+        // A contract wallet signer is checked onchain through ERC-1271/ERC-6492.
+        const walletTimestampMs = Date.now();
+        const walletBody = {
+            chainId: 11155111,
+            text: 'Withdraw for the Safe',
+            requestId: 'sig-contract-wallet',
+        };
+        const walletPayload = buildSignedMessagePayload({
+            address: contractWallet,
+            timestampMs: walletTimestampMs,
+            ...walletBody,
+        });
+        const walletSignature = concat([
+            await account.sign({ hash: hashMessage(walletPayload) }),
+            '0x01',
+        ]);
+        const postWalletMessage = (requestBody) =>
+            fetch(`${baseUrl}/v1/messages`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...requestBody,
+                    auth: {
+                        type: 'eip191',
+                        address: contractWallet,
+                        timestampMs: walletTimestampMs,
+                        signature: walletSignature,
+                    },
+                }),
+            });
+        assert.equal((await postWalletMessage(walletBody)).status, 401);
+        acceptedContractSignatures.push({
+            hash: hashMessage(walletPayload),
+            signature: walletSignature,
+        });
+        assert.equal((await postWalletMessage(walletBody)).status, 202);
+        const walletQueued = inbox.takeBatch({ maxItems: 1 });
+        assert.equal(walletQueued[0].sender.address, contractWallet);
+        assert.equal(walletQueued[0].sender.signerType, 'contract');
+        assert.equal(walletQueued[0].sender.signature, walletSignature);
+        inbox.ackBatch(walletQueued.map((message) => message.messageId));
+        assert.equal(
+            (await postWalletMessage({ ...walletBody, text: 'tampered text' })).status,
+            401
+        );
+
         const unsignedChainIdTimestampMs = Date.now();
         const unsignedChainIdBody = {
             chainId: 11155111,
@@ -321,7 +482,7 @@ async function main() {
         messageApiHost: '127.0.0.1',
         messageApiPort: 0,
         messageApiKeys: {},
-        messageApiSignerAllowlist: [account.address],
+        messageApiSignerAllowlist: [account.address, contractWallet],
         messageApiRequireSignerAllowlist: false,
         messageApiSignatureMaxAgeSeconds: 300,
         messageApiMaxBodyBytes: 2048,
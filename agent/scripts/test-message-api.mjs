@@ -15,6 +15,7 @@ function buildServerConfig(signerAddress) {
         messageApiSignerAllowlist: [signerAddress],
         messageApiSignatureMaxAgeSeconds: 300,
         messageApiMaxBodyBytes: 2048,
+        messageApiAllowedOrigins: ['http://localhost:5173'],
     };
 }
 
@@ -65,6 +66,35 @@ async function main() {
         assert.equal(health.status, 200);
         assert.deepEqual(await health.json(), { ok: true });
 
+        // Listed browser origins get CORS headers and a preflight answer; others get neither.
+        const preflight = await fetch(`${baseUrl}/v1/messages`, {
+            method: 'OPTIONS',
+            headers: {
+                Origin: 'http://localhost:5173',
+                'Access-Control-Request-Method': 'POST',
+                'Access-Control-Request-Headers': 'content-type',
+            },
+        });
+        assert.equal(preflight.status, 204);
+        assert.equal(preflight.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+        assert.equal(preflight.headers.get('access-control-allow-methods'), 'POST');
+        const unlistedPreflight = await fetch(`${baseUrl}/v1/messages`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'https://evil.example' },
+        });
+        assert.equal(unlistedPreflight.status, 404);
+        assert.equal(unlistedPreflight.headers.get('access-control-allow-origin'), null);
+        const crossOriginPost = await fetch(`${baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: { Origin: 'http://localhost:5173', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'hello' }),
+        });
+        assert.equal(crossOriginPost.status, 401);
+        assert.equal(
+            crossOriginPost.headers.get('access-control-allow-origin'),
+            'http://localhost:5173'
+        );
+
         // Message submission must reject unauthenticated callers.
         const unauthorized = await fetch(`${baseUrl}/v1/messages`, {
             method: 'POST',
@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createMessageInbox } from '../src/lib/message-inbox.js';
+import { createMessageInboxStore } from '../src/lib/message-inbox-store.js';
+import { resolveMessageInboxStateFile } from '../src/lib/runtime-bootstrap.js';
+
+const SIGNER = '0x1111111111111111111111111111111111111111';
+const SENDER_KEY_ID = `addr:${SIGNER}`;
+const INBOX_OPTIONS = Object.freeze({
+    queueLimit: 10,
+    defaultTtlSeconds: 60,
+    minTtlSeconds: 1,
+    maxTtlSeconds: 600,
+    idempotencyTtlSeconds: 30,
+    signedReplayWindowSeconds: 300,
+    maxTextLength: 200,
+    rateLimitPerMinute: 60,
+    rateLimitBurst: 2,
+});
+
+function createSilentLogger() {
+    return { log() {}, warn() {}, error() {} };
+}
+
+function createInbox(stateFile) {
+    return createMessageInbox({
+        ...INBOX_OPTIONS,
+        store: createMessageInboxStore({ stateFile }),
+        logger: createSilentLogger(),
+    });
+}
+
+function submitSigned(inbox, { text, requestId, nowMs }) {
+    return inbox.submitMessage({
+        text,
+        requestId,
+        senderKeyId: SENDER_KEY_ID,
+        sender: {
+            authType: 'eip191',
+            address: SIGNER,
+            signedAtMs: nowMs,
+        },
+        nowMs,
+    });
+}
+
+async function run() {
+    const tempDir = await mkdtemp(path.join(os.tmpdir(), 'message-inbox-store-'));
+    const stateFile = path.join(tempDir, 'nested', 'inbox.json');
+
+    try {
+        const first = createInbox(stateFile);
+        const paused = submitSigned(first, {
+            text: 'pause proposals',
+            requestId: 'pause-1',
+            nowMs: 1_000,
+        });
+        const resumed = submitSigned(first, {
+            text: 'resume proposals',
+            requestId: 'resume-1',
+            nowMs: 1_100,
+        });
+        assert.equal(paused.status, 'queued');
+        assert.equal(resumed.status, 'queued');
+
+        const persisted = JSON.parse(await readFile(stateFile, 'utf8'));
+        assert.equal(persisted.version, 'oya-message-inbox-store-v1');
+        assert.equal(persisted.queue.length, 2);
+
+        // Simulate a crash while the first message is being processed.
+        const batch = first.takeBatch({ maxItems: 1, nowMs: 1_200 });
+        assert.deepEqual(
+            batch.map((message) => message.messageId),
+            [paused.message.messageId]
+        );
+
+        const second = createInbox(stateFile);
+        assert.equal(second.getPendingCount(1_300), 2);
+        const redelivered = second.takeBatch({ maxItems: 5, nowMs: 1_300 });
+        assert.deepEqual(
+            redelivered.map((message) => message.messageId),
+            [paused.message.messageId, resumed.message.messageId]
+        );
+        assert.equal(redelivered[0].text, 'pause proposals');
+        second.ackBatch([paused.message.messageId], 1_400);
+        second.requeueBatch([resumed.message.messageId], 1_400);
+
+        const third = createInbox(stateFile);
+        assert.equal(third.getPendingCount(1_500), 1);
+
+        // Idempotency entries survive restarts while the original message is live.
+        const duplicate = submitSigned(third, {
+            text: 'resume proposals',
+            requestId: 'resume-1',
+            nowMs: 31_000,
+        });
+        assert.equal(duplicate.ok, true);
+        assert.equal(duplicate.status, 'duplicate');
+        assert.equal(duplicate.message.messageId, resumed.message.messageId);
+
+        // Replay locks survive restarts after the message itself has been acked and expired.
+        const fourth = createInbox(stateFile);
+        const replay = submitSigned(fourth, {
+            text: 'pause proposals again',
+            requestId: 'pause-1',
+            nowMs: 120_000,
+        });
+        assert.equal(replay.ok, false);
+        assert.equal(replay.code, 'request_replay_blocked');
+        assert.equal(replay.messageId, paused.message.messageId);
+        assert.equal(replay.replayLockedUntilMs, 301_000);
+
+        // Rate-limit buckets are restored too, so restarts cannot reset a sender's budget.
+        const burstFile = path.join(tempDir, 'burst.json');
+        const burstInbox = createInbox(burstFile);
+        assert.equal(
+            submitSigned(burstInbox, { text: 'one', requestId: 'burst-1', nowMs: 5_000 }).ok,
+            true
+        );
+        assert.equal(
+            submitSigned(burstInbox, { text: 'two', requestId: 'burst-2', nowMs: 5_000 }).ok,
+            true
+        );
+        const limited = submitSigned(createInbox(burstFile), {
+            text: 'three',
+            requestId: 'burst-3',
+            nowMs: 5_000,
+        });
+        assert.equal(limited.ok, false);
+        assert.equal(limited.code, 'rate_limited');
+
+        // A message that cannot be journaled must be rejected rather than silently accepted.
+        const failingInbox = createMessageInbox({
+            ...INBOX_OPTIONS,
+            store: {
+                load: () => ({ queue: [], inFlight: [], requestCache: {}, rateLimitState: {} }),
+                save() {
+                    throw new Error('disk full');
+                },
+            },
+            logger: createSilentLogger(),
+        });
+        const rejected = submitSigned(failingInbox, {
+            text: 'pause proposals',
+            requestId: 'pause-disk-full',
+            nowMs: 1_000,
+        });
+        assert.equal(rejected.ok, false);
+        assert.equal(rejected.code, 'persistence_failed');
+        assert.equal(failingInbox.getPendingCount(1_000), 0);
+
+        // Failed writes must not spend the sender's rate-limit budget (burst is 2).
+        for (const requestId of ['pause-disk-full-2', 'pause-disk-full-3']) {
+            const retried = submitSigned(failingInbox, {
+                text: 'pause proposals',
+                requestId,
+                nowMs: 1_000,
+            });
+            assert.equal(retried.code, 'persistence_failed');
+        }
+
+        const corruptFile = path.join(tempDir, 'corrupt.json');
+        await writeFile(corruptFile, JSON.stringify({ version: 'unknown' }), 'utf8');
+        assert.throws(() => createInbox(corruptFile), /Unsupported message inbox store version/);
+
+        const repoRootPath = path.join(tempDir, 'repo');
+        assert.equal(
+            resolveMessageInboxStateFile({
+                config: { chainId: 11155111 },
+                agentRef: 'agent-library/agents/signed-message-smoke/agent.js',
+                repoRootPath,
+            }),
+            path.join(
+                repoRootPath,
+                'agent',
+                '.state',
+                'message-inbox',
+                'signed-message-smoke-chain-11155111.json'
+            )
+        );
+        assert.equal(
+            resolveMessageInboxStateFile({
+                config: { chainId: 1, messageApiStateFile: 'custom/inbox.json' },
+                agentRef: 'default',
+                repoRootPath,
+            }),
+            path.join(repoRootPath, 'custom', 'inbox.json')
+        );
+    } finally {
+        await rm(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('[test] message inbox persistence OK');
+}
+
+run().catch((error) => {
+    console.error('[test] message inbox persistence failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -10,6 +10,7 @@ import { MessagePublicationValidationError } from '../src/lib/message-publicatio
 import {
     buildMessagePublicationArtifact,
     buildSignedPublishedMessagePayload,
+    buildSignedPublishedMessageTypedData,
     verifySignedPublishedMessageArtifact,
 } from '../src/lib/signed-published-message.js';
 
@@ -62,6 +63,7 @@ async function buildSignedBody({
     chainId = TEST_CHAIN_ID,
     commitmentAddresses = TEST_COMMITMENT_ADDRESSES,
     messagePatch = {},
+    authType = 'eip191',
 }) {
     const message = {
         chainId,
@@ -80,14 +82,23 @@ async function buildSignedBody({
         timestampMs,
         message,
     });
-    const signature = await account.signMessage({ message: payload });
+    const signature =
+        authType === 'eip712'
+            ? await account.signTypedData(
+                  buildSignedPublishedMessageTypedData({
+                      address: account.address,
+                      timestampMs,
+                      message,
+                  })
+              )
+            : await account.signMessage({ message: payload });
     return {
         payload,
         signature,
         body: {
             message,
             auth: {
-                type: 'eip191',
+                type: authType,
                 address: account.address,
                 timestampMs,
                 signature,
@@ -451,6 +462,35 @@ async function main() {
         assert.equal(addAttemptsByRequestId.get('publish-ok'), 1);
         assert.equal(pinAttemptsByRequestId.get('publish-ok'), 1);
 
+        const typedRequest = await buildSignedBody({
+            account,
+            requestId: 'publish-typed',
+            authType: 'eip712',
+        });
+        const typedAccepted = await postPublication(baseUrl, typedRequest.body);
+        assert.equal(typedAccepted.status, 202);
+        const typedArtifact = artifactByCid.get(typedAccepted.json.cid);
+        assert.equal(typedArtifact.signedMessage.authType, 'eip712');
+        assert.equal(typedArtifact.signedMessage.canonicalMessage, typedRequest.payload);
+        const typedVerification = await verifySignedPublishedMessageArtifact(typedArtifact);
+        assert.equal(typedVerification.authType, 'eip712');
+        assert.equal(typedVerification.signer, account.address.toLowerCase());
+        await assert.rejects(
+            verifySignedPublishedMessageArtifact({
+                ...typedArtifact,
+                signedMessage: { ...typedArtifact.signedMessage, authType: 'eip191' },
+            }),
+            /does not recover to the archived signer/
+        );
+
+        // An EIP-191 signature submitted as typed data does not verify.
+        const mislabeled = await buildSignedBody({ account, requestId: 'publish-mislabeled' });
+        const mislabeledResponse = await postPublication(baseUrl, {
+            ...mislabeled.body,
+            auth: { ...mislabeled.body.auth, type: 'eip712' },
+        });
+        assert.equal(mislabeledResponse.status, 401);
+
         const streamSeedRequest = await buildSignedBody({
             account,
             requestId: 'stream-seq1',
@@ -0,0 +1,262 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { privateKeyToAccount } from 'viem/accounts';
+import { createMessagePublicationApiServer } from '../src/lib/message-publication-api.js';
+import { createMessagePublicationStore } from '../src/lib/message-publication-store.js';
+import {
+    buildSignedPublishedMessagePayload,
+    verifySignedPublishedMessageArtifact,
+} from '../src/lib/signed-published-message.js';
+
+const TEST_CHAIN_ID = 11155111;
+const TEST_SAFE = '0x2222222222222222222222222222222222222222';
+const TEST_OG_MODULE = '0x3333333333333333333333333333333333333333';
+const OTHER_OG_MODULE = '0x4444444444444444444444444444444444444444';
+const AUTH_HEADERS = Object.freeze({ Authorization: 'Bearer k_test_ops_secret' });
+
+function buildServerConfig(signerAddresses, overrides = {}) {
+    return {
+        chainId: TEST_CHAIN_ID,
+        ipfsEnabled: true,
+        ipfsApiUrl: 'http://ipfs.mock',
+        ipfsRequestTimeoutMs: 1_000,
+        ipfsMaxRetries: 0,
+        ipfsRetryDelayMs: 0,
+        messagePublishApiHost: '127.0.0.1',
+        messagePublishApiPort: 0,
+        messagePublishApiKeys: {
+            ops: 'k_test_ops_secret',
+        },
+        messagePublishApiSignerAllowlist: signerAddresses,
+        messagePublishApiRequireSignerAllowlist: true,
+        messagePublishApiSignatureMaxAgeSeconds: 300,
+        messagePublishApiMaxBodyBytes: 65_536,
+        messagePublishApiNodeName: 'test-node',
+        ...overrides,
+    };
+}
+
+function textResponse(status, text) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: '',
+        async text() {
+            return text;
+        },
+    };
+}
+
+async function publish(baseUrl, account, { requestId, ogModule = TEST_OG_MODULE, kind }) {
+    const timestampMs = Date.now();
+    const message = {
+        chainId: TEST_CHAIN_ID,
+        requestId,
+        commitmentAddresses: [TEST_SAFE, ogModule],
+        agentAddress: account.address,
+        kind,
+        payload: { requestId },
+    };
+    const payload = buildSignedPublishedMessagePayload({
+        address: account.address,
+        timestampMs,
+        message,
+    });
+    const signature = await account.signMessage({ message: payload });
+    const response = await fetch(`${baseUrl}/v1/messages/publish`, {
+        method: 'POST',
+        headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            message,
+            auth: { type: 'eip191', address: account.address, timestampMs, signature },
+        }),
+    });
+    assert.equal(response.status, 202);
+    return response.json();
+}
+
+async function getJson(url, headers = AUTH_HEADERS) {
+    const response = await fetch(url, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function main() {
+    const account = privateKeyToAccount(`0x${'1'.repeat(64)}`);
+    const otherAccount = privateKeyToAccount(`0x${'2'.repeat(64)}`);
+    const nodeAccount = privateKeyToAccount(`0x${'3'.repeat(64)}`);
+    const tempDir = await mkdtemp(path.join(os.tmpdir(), 'message-publication-read-api-'));
+    const stateFile = path.join(tempDir, 'message-publications.json');
+    const originalFetch = globalThis.fetch;
+
+    globalThis.fetch = async (url, options = {}) => {
+        const urlString = String(url);
+        if (!urlString.startsWith('http://ipfs.mock')) {
+            return originalFetch(url, options);
+        }
+        if (urlString.includes('/api/v0/add')) {
+            const uploadedText = await options.body.get('file').text();
+            const cid = `bafy${createHash('sha256').update(uploadedText).digest('hex').slice(0, 24)}`;
+            return textResponse(200, JSON.stringify({ Name: 'artifact.json', Hash: cid }));
+        }
+        if (urlString.includes('/api/v0/pin/add')) {
+            const cid = new URL(urlString).searchParams.get('arg');
+            return textResponse(200, JSON.stringify({ Pins: [cid] }));
+        }
+        throw new Error(`Unexpected IPFS request: ${urlString}`);
+    };
+
+    const api = createMessagePublicationApiServer({
+        config: buildServerConfig([account.address, otherAccount.address]),
+        store: createMessagePublicationStore({ stateFile }),
+        logger: { info() {}, warn() {} },
+        nodeSigner: {
+            address: nodeAccount.address,
+            async signMessage(message) {
+                return nodeAccount.signMessage({ message });
+            },
+        },
+    });
+
+    try {
+        const server = await api.start();
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const unauthorized = await getJson(`${baseUrl}/v1/messages`, {});
+        assert.equal(unauthorized.status, 401);
+        assert.match(unauthorized.headers.get('www-authenticate'), /oya-message-publish-api/);
+
+        const empty = await getJson(`${baseUrl}/v1/messages`);
+        assert.deepEqual(empty.body, { messages: [], nextAfterSequence: 0, hasMore: false });
+
+        await publish(baseUrl, account, { requestId: 'log-1', kind: 'trade_log' });
+        await publish(baseUrl, account, { requestId: 'log-2', kind: 'trade_log' });
+        await publish(baseUrl, otherAccount, {
+            requestId: 'log-1',
+            ogModule: OTHER_OG_MODULE,
+            kind: 'settlement_notice',
+        });
+
+        const all = await getJson(`${baseUrl}/v1/messages`);
+        assert.equal(all.status, 200);
+        assert.deepEqual(
+            all.body.messages.map((entry) => [entry.sequence, entry.requestId]),
+            [
+                [1, 'log-1'],
+                [2, 'log-2'],
+                [3, 'log-1'],
+            ]
+        );
+        assert.equal(all.body.nextAfterSequence, 3);
+        assert.equal(all.body.hasMore, false);
+        assert.equal(all.body.messages[0].message.kind, 'trade_log');
+        assert.equal(all.body.messages[0].pinned, true);
+        assert.equal(
+            all.body.messages[0].nodeAttestation.signer,
+            nodeAccount.address.toLowerCase()
+        );
+
+        const firstPage = await getJson(`${baseUrl}/v1/messages?limit=2`);
+        assert.equal(firstPage.body.hasMore, true);
+        assert.equal(firstPage.body.nextAfterSequence, 2);
+        const secondPage = await getJson(
+            `${baseUrl}/v1/messages?limit=2&afterSequence=${firstPage.body.nextAfterSequence}`
+        );
+        assert.deepEqual(
+            secondPage.body.messages.map((entry) => entry.sequence),
+            [3]
+        );
+
+        const byModule = await getJson(`${baseUrl}/v1/messages?commitmentAddress=${OTHER_OG_MODULE}`);
+        assert.deepEqual(
+            byModule.body.messages.map((entry) => entry.signer),
+            [otherAccount.address.toLowerCase()]
+        );
+        const bySignerAndKind = await getJson(
+            `${baseUrl}/v1/messages?signer=${account.address}&chainId=${TEST_CHAIN_ID}&kind=trade_log`
+        );
+        assert.deepEqual(
+            bySignerAndKind.body.messages.map((entry) => entry.requestId),
+            ['log-1', 'log-2']
+        );
+        const invalid = await getJson(`${baseUrl}/v1/messages?afterSequence=-1`);
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, 'invalid_request');
+
+        const ambiguous = await getJson(`${baseUrl}/v1/messages/log-1`);
+        assert.equal(ambiguous.status, 409);
+        assert.equal(ambiguous.body.code, 'ambiguous_request_id');
+        const single = await getJson(`${baseUrl}/v1/messages/log-1?signer=${account.address}`);
+        assert.equal(single.status, 200);
+        assert.equal(single.body.sequence, 1);
+        assert.match(single.body.cid, /^bafy/);
+        const missing = await getJson(`${baseUrl}/v1/messages/unknown`);
+        assert.equal(missing.status, 404);
+
+        // The returned record carries enough to re-verify the artifact without IPFS access.
+        await verifySignedPublishedMessageArtifact({
+            version: 'oya-message-publication-record-v1',
+            publication: {
+                receivedAtMs: single.body.receivedAtMs,
+                publishedAtMs: single.body.publishedAtMs,
+                signerAllowlistMode: 'explicit',
+                nodeName: 'test-node',
+                nodeAttestation: single.body.nodeAttestation,
+            },
+            signedMessage: {
+                authType: 'eip191',
+                signer: single.body.signer,
+                signature: single.body.signature,
+                signedAtMs: single.body.signedAtMs,
+                canonicalMessage: single.body.canonicalMessage,
+                envelope: JSON.parse(single.body.canonicalMessage),
+            },
+        });
+
+        // Long-poll followers are released as soon as the next record is published.
+        const pending = getJson(`${baseUrl}/v1/messages?afterSequence=3&waitMs=10000`);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await publish(baseUrl, account, { requestId: 'log-3', kind: 'trade_log' });
+        const followed = await pending;
+        assert.deepEqual(
+            followed.body.messages.map((entry) => [entry.sequence, entry.requestId]),
+            [[4, 'log-3']]
+        );
+
+        const timedOut = await getJson(`${baseUrl}/v1/messages?afterSequence=4&waitMs=20`);
+        assert.deepEqual(timedOut.body, { messages: [], nextAfterSequence: 4, hasMore: false });
+    } finally {
+        await api.stop();
+        globalThis.fetch = originalFetch;
+    }
+
+    const unauthenticatedApi = createMessagePublicationApiServer({
+        config: buildServerConfig([account.address], { messagePublishApiKeys: {} }),
+        store: createMessagePublicationStore({ stateFile }),
+        logger: { info() {}, warn() {} },
+        nodeSigner: {
+            address: nodeAccount.address,
+            async signMessage(message) {
+                return nodeAccount.signMessage({ message });
+            },
+        },
+    });
+    try {
+        const server = await unauthenticatedApi.start();
+        const disabled = await getJson(`http://127.0.0.1:${server.address().port}/v1/messages`, {});
+        assert.equal(disabled.status, 503);
+        assert.equal(disabled.body.code, 'read_auth_unconfigured');
+    } finally {
+        await unauthenticatedApi.stop();
+        await rm(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('[test] message publication read api OK');
+}
+
+main().catch((error) => {
+    console.error('[test] message publication read api failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -43,6 +43,7 @@ async function main() {
         assert.equal(created.record.chainId, chainId);
         assert.equal(created.record.requestId, requestId);
         assert.equal(created.record.cid, null);
+        assert.equal(created.record.sequence, null);
 
         const duplicate = await store.prepareRecord({
             signer,
@@ -123,6 +124,7 @@ async function main() {
         });
         assert.equal(saved.cid, 'bafy-store-test');
         assert.equal(saved.pinned, true);
+        assert.equal(saved.sequence, 1);
 
         const loaded = await store.getRecord({ signer, chainId, requestId });
         assert.equal(loaded.cid, 'bafy-store-test');
@@ -134,6 +136,7 @@ async function main() {
         const listed = await store.listRecords();
         assert.equal(listed.length, 1);
         assert.equal(listed[0].requestId, requestId);
+        assert.equal(listed[0].sequence, 1);
     } finally {
         await rm(tempDir, { recursive: true, force: true });
     }
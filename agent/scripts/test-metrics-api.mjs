@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { createAgentMetrics } from '../src/lib/agent-metrics.js';
+import { resolveAgentRuntimeConfig } from '../src/lib/agent-config.js';
+import { createDefaultRuntimeConfig } from '../src/lib/config.js';
+import { runLoopPhase } from '../src/lib/loop-phase.js';
+import { createMetricsApiServer } from '../src/lib/metrics-api.js';
+
+function parsePrometheusSamples(text) {
+    const samples = new Map();
+    for (const line of text.split('\n')) {
+        if (!line || line.startsWith('#')) continue;
+        const separator = line.lastIndexOf(' ');
+        samples.set(line.slice(0, separator), Number(line.slice(separator + 1)));
+    }
+    return samples;
+}
+
+async function runConfig() {
+    const baseConfig = createDefaultRuntimeConfig({ env: {}, rpcUrl: 'http://127.0.0.1:8545' });
+    assert.equal(baseConfig.metricsApiEnabled, false);
+    assert.equal(baseConfig.metricsApiPort, 9464);
+
+    const resolved = resolveAgentRuntimeConfig({
+        baseConfig,
+        agentConfigFile: {
+            exists: true,
+            path: 'config.json',
+            raw: {
+                chainId: 11155111,
+                metricsApi: { enabled: true, port: 9500 },
+                byChain: { 11155111: { metricsApi: { stallThresholdMs: 120000 } } },
+            },
+        },
+        chainId: 11155111,
+    });
+    assert.equal(resolved.metricsApiEnabled, true);
+    assert.equal(resolved.metricsApiHost, '127.0.0.1');
+    assert.equal(resolved.metricsApiPort, 9500);
+    assert.equal(resolved.metricsApiStallThresholdMs, 120000);
+    assert.deepEqual(resolved.agentConfig.metricsApi, {
+        enabled: true,
+        host: '127.0.0.1',
+        port: 9500,
+        stallThresholdMs: 120000,
+    });
+
+    assert.throws(
+        () =>
+            resolveAgentRuntimeConfig({
+                baseConfig,
+                agentConfigFile: {
+                    exists: true,
+                    path: 'config.json',
+                    raw: { metricsApi: { port: 0 } },
+                },
+            }),
+        /"metricsApi"\.port must be >= 1/
+    );
+}
+
+async function runServer() {
+    let nowMs = 1_000_000;
+    let queueDepth = 2;
+    const metrics = createAgentMetrics({
+        getMessageQueueDepth: () => queueDepth,
+        nowMs: () => nowMs,
+    });
+    const server = createMetricsApiServer({
+        config: {
+            metricsApiHost: '127.0.0.1',
+            metricsApiPort: 0,
+            metricsApiStallThresholdMs: 60_000,
+        },
+        metrics,
+        logger: { log() {} },
+    });
+
+    try {
+        const httpServer = await server.start();
+        const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+        const starting = await fetch(`${baseUrl}/v1/status`);
+        assert.equal(starting.status, 200);
+        assert.equal((await starting.json()).status, 'starting');
+
+        metrics.recordLoopStarted();
+        await runLoopPhase('load_head_block', async () => 1n, { metrics, warnIntervalMs: 0 });
+        await assert.rejects(
+            runLoopPhase(
+                'poll_proposal_changes',
+                async () => {
+                    throw new Error('rpc down');
+                },
+                { metrics, warnIntervalMs: 0 }
+            ),
+            /rpc down/
+        );
+        metrics.recordSignals([{ kind: 'deposit' }, { kind: 'deposit' }, { kind: 'priceTrigger' }]);
+        metrics.recordDecision('handled');
+        metrics.recordToolOutcome('post_bond_and_propose', 'submitted');
+        metrics.recordToolOutcome('make_deposit', 'error');
+        metrics.setFundingStatus({
+            collateral: '0x0000000000000000000000000000000000000005',
+            requiredBond: 2_000_000n,
+            collateralBalance: 5_000_000n,
+            nativeBalance: 10n ** 18n,
+        });
+        metrics.updateLoopState({
+            headBlock: 120n,
+            lastCheckedBlock: 119n,
+            lastProposalCheckedBlock: 118n,
+            pendingProposals: 1,
+        });
+        metrics.recordLoopCompleted();
+
+        const metricsResponse = await fetch(`${baseUrl}/metrics`);
+        assert.equal(metricsResponse.status, 200);
+        assert.match(metricsResponse.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+        const body = await metricsResponse.text();
+        assert.match(body, /# TYPE oya_agent_loop_phase_duration_seconds summary/);
+        const samples = parsePrometheusSamples(body);
+        assert.equal(samples.get('oya_agent_loop_iterations_total'), 1);
+        assert.equal(samples.get('oya_agent_stalled'), 0);
+        assert.equal(
+            samples.get('oya_agent_loop_phase_duration_seconds_count{phase="load_head_block"}'),
+            1
+        );
+        assert.equal(
+            samples.get('oya_agent_loop_phase_failures_total{phase="poll_proposal_changes"}'),
+            1
+        );
+        assert.equal(samples.get('oya_agent_last_checked_block'), 119);
+        assert.equal(samples.get('oya_agent_pending_proposals'), 1);
+        assert.equal(samples.get('oya_agent_message_queue_depth'), 2);
+        assert.equal(samples.get('oya_agent_signals_total{kind="deposit"}'), 2);
+        assert.equal(samples.get('oya_agent_decisions_total{status="handled"}'), 1);
+        assert.equal(
+            samples.get('oya_agent_tool_outcomes_total{tool="make_deposit",status="error"}'),
+            1
+        );
+        assert.equal(samples.get('oya_agent_bond_required_wei'), 2_000_000);
+
+        queueDepth = 0;
+        const status = await (await fetch(`${baseUrl}/v1/status`)).json();
+        assert.equal(status.status, 'ok');
+        assert.deepEqual(status.blocks, {
+            head: '120',
+            lastChecked: '119',
+            lastProposalChecked: '118',
+        });
+        assert.equal(status.messageQueueDepth, 0);
+        assert.deepEqual(status.lastDecision, { status: 'handled', atMs: nowMs });
+        assert.equal(status.phases.poll_proposal_changes.lastStatus, 'failed');
+        assert.equal(status.funding.nativeBalance, '1000000000000000000');
+
+        // A loop that has not completed within the threshold flips both surfaces.
+        nowMs += 60_001;
+        const stalled = await fetch(`${baseUrl}/v1/status`);
+        assert.equal(stalled.status, 503);
+        assert.equal((await stalled.json()).status, 'stalled');
+        const stalledSamples = parsePrometheusSamples(
+            await (await fetch(`${baseUrl}/metrics`)).text()
+        );
+        assert.equal(stalledSamples.get('oya_agent_stalled'), 1);
+
+        const missing = await fetch(`${baseUrl}/v1/unknown`);
+        assert.equal(missing.status, 404);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function main() {
+    await runConfig();
+    await runServer();
+    console.log('[test] metrics api OK');
+}
+
+main().catch((error) => {
+    console.error('[test] metrics api failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -0,0 +1,314 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { decodeFunctionData, erc20Abi, getAddress } from 'viem';
+import { createManagedWalletClient, createNonceManager } from '../src/lib/nonce-manager.js';
+import { executeReadyProposals } from '../src/lib/polling.js';
+import { resolveTxJournalFile } from '../src/lib/runtime-bootstrap.js';
+import { createTxJournal } from '../src/lib/tx-journal.js';
+import { main as runTxJournalCli } from './tx-journal.mjs';
+
+const CHAIN_ID = 11155111;
+const SIGNER = getAddress('0x1111111111111111111111111111111111111111');
+const TOKEN = getAddress('0x1c7d4b196cb0c7b01d743fbc6116a902379c7238');
+const RECIPIENT = getAddress('0x2222222222222222222222222222222222222222');
+const GWEI = 1_000_000_000n;
+
+function txHash(index) {
+    return `0x${index.toString(16).padStart(64, '0')}`;
+}
+
+function receiptNotFound(hash) {
+    const error = new Error(`Transaction receipt with hash "${hash}" could not be found.`);
+    error.name = 'TransactionReceiptNotFoundError';
+    return error;
+}
+
+// A chain whose pending nonce lags the journal, and receipts appear once added to `mined`.
+function buildChain() {
+    const chain = {
+        pendingNonce: 5,
+        latestNonce: 5,
+        fees: { maxFeePerGas: 80n * GWEI, maxPriorityFeePerGas: 2n * GWEI },
+        mined: new Map(),
+        sent: [],
+        nowMs: 1_000_000,
+    };
+    chain.nowFn = () => chain.nowMs;
+    chain.publicClient = {
+        async getTransactionCount({ blockTag }) {
+            return blockTag === 'pending' ? chain.pendingNonce : chain.latestNonce;
+        },
+        async estimateGas() {
+            return 50_000n;
+        },
+        async estimateFeesPerGas() {
+            return chain.fees;
+        },
+        async getTransactionReceipt({ hash }) {
+            if (!chain.mined.has(hash)) {
+                throw receiptNotFound(hash);
+            }
+            return { transactionHash: hash, status: chain.mined.get(hash) };
+        },
+    };
+    chain.walletClient = {
+        account: { address: SIGNER },
+        async sendTransaction(request) {
+            chain.sent.push(request);
+            return txHash(chain.sent.length);
+        },
+    };
+    return chain;
+}
+
+function buildManager(chain, stateFile, overrides = {}) {
+    return createNonceManager({
+        publicClient: chain.publicClient,
+        walletClient: chain.walletClient,
+        account: { address: SIGNER },
+        journal: createTxJournal({ stateFile, chainId: CHAIN_ID, signerAddress: SIGNER }),
+        maxFeePerGasWei: 100n * GWEI,
+        feeBumpPercent: 20,
+        stuckTxTimeoutMs: 60_000,
+        nowFn: chain.nowFn,
+        ...overrides,
+    });
+}
+
+async function testNonceAssignmentAndCeilings(tempDir) {
+    const chain = buildChain();
+    const stateFile = path.join(tempDir, 'assign', 'journal.json');
+    const agentManager = buildManager(chain, stateFile, { maxFeePerGasWei: 50n * GWEI });
+    const nodeManager = buildManager(chain, stateFile);
+
+    // The node has not seen the first transaction yet; the shared journal still moves on.
+    const hashes = await Promise.all([
+        agentManager.sendTransaction({ to: RECIPIENT, value: 1n }),
+        agentManager.sendTransaction({ to: RECIPIENT, value: 2n }),
+        nodeManager.sendTransaction({ to: RECIPIENT, value: 3n }),
+    ]);
+    assert.equal(new Set(hashes).size, 3);
+    assert.deepEqual(
+        chain.sent.map((request) => request.nonce).sort(),
+        [5, 6, 7]
+    );
+    const fromAgent = chain.sent.filter((request) => request.value !== 3n);
+    for (const request of fromAgent) {
+        assert.equal(request.maxFeePerGas, 50n * GWEI);
+        assert.equal(request.maxPriorityFeePerGas, 2n * GWEI);
+        assert.equal(request.gas, 50_000n);
+    }
+    assert.equal(agentManager.getPendingTransactions().length, 3);
+
+    // Explicit nonces bypass the journal.
+    await agentManager.sendTransaction({ to: RECIPIENT, nonce: 42 });
+    assert.equal(chain.sent.at(-1).nonce, 42);
+    assert.equal(agentManager.getPendingTransactions().length, 3);
+
+    assert.throws(
+        () => buildManager(chain, stateFile, { feeBumpPercent: 5 }),
+        /feeBumpPercent must be an integer >= 10/
+    );
+}
+
+async function testReconcileBumpsAndSettles(tempDir) {
+    const chain = buildChain();
+    const manager = buildManager(chain, path.join(tempDir, 'reconcile', 'journal.json'));
+    const first = await manager.sendTransaction({ to: RECIPIENT, data: '0x1234' });
+    const second = await manager.sendTransaction({ to: RECIPIENT, data: '0x5678' });
+    chain.pendingNonce = 7;
+
+    // Nothing is stuck yet.
+    chain.mined.set(first, 'success');
+    chain.latestNonce = 6;
+    assert.deepEqual(await manager.reconcile(), {
+        confirmed: 1,
+        replaced: 0,
+        bumped: 0,
+        pending: 1,
+    });
+    assert.equal(manager.findTransaction(first).status, 'confirmed');
+    assert.equal(chain.sent.length, 2);
+
+    // Past the timeout the stuck transaction is re-sent at the same nonce with bumped fees.
+    chain.nowMs += 61_000;
+    chain.fees = { maxFeePerGas: 70n * GWEI, maxPriorityFeePerGas: 1n * GWEI };
+    const bumped = await manager.reconcile();
+    assert.equal(bumped.bumped, 1);
+    const replacement = chain.sent.at(-1);
+    assert.equal(replacement.nonce, 6);
+    assert.equal(replacement.data, '0x5678');
+    assert.equal(replacement.gas, 50_000n);
+    assert.equal(replacement.maxFeePerGas, 96n * GWEI);
+    assert.equal(replacement.maxPriorityFeePerGas, (24n * GWEI) / 10n);
+    const tracked = manager.findTransaction(second);
+    assert.equal(tracked.status, 'pending');
+    assert.equal(tracked.latestHash, txHash(3));
+
+    // The next bump would pass the 100 gwei ceiling by less than a valid replacement needs.
+    chain.nowMs += 61_000;
+    const ceiling = await manager.reconcile();
+    assert.equal(ceiling.bumped, 0);
+    assert.equal(chain.sent.length, 3);
+
+    chain.mined.set(txHash(3), 'success');
+    chain.latestNonce = 7;
+    await manager.reconcile();
+    assert.deepEqual(manager.findTransaction(second), {
+        nonce: 6,
+        status: 'confirmed',
+        latestHash: txHash(3),
+        minedHash: txHash(3),
+    });
+    assert.equal(manager.findTransaction(txHash(99)), null);
+}
+
+async function testCancelAndExternalReplacement(tempDir) {
+    const chain = buildChain();
+    const manager = buildManager(chain, path.join(tempDir, 'cancel', 'journal.json'));
+    const first = await manager.sendTransaction({ to: RECIPIENT, value: 9n });
+    const second = await manager.sendTransaction({ to: RECIPIENT, value: 10n });
+
+    const cancelHash = await manager.cancel({ nonce: 6 });
+    const cancelRequest = chain.sent.at(-1);
+    assert.equal(cancelRequest.nonce, 6);
+    assert.equal(cancelRequest.to, SIGNER);
+    assert.equal(cancelRequest.value, 0n);
+    assert.equal(cancelRequest.gas, 21_000n);
+    assert.equal(cancelRequest.maxFeePerGas, 96n * GWEI);
+    await assert.rejects(manager.cancel({ nonce: 12 }), /No pending journal transaction/);
+
+    // Nonce 5 was consumed by a transaction the journal never saw; the cancel was mined.
+    chain.latestNonce = 7;
+    chain.mined.set(cancelHash, 'success');
+    assert.deepEqual(await manager.reconcile(), {
+        confirmed: 1,
+        replaced: 1,
+        bumped: 0,
+        pending: 0,
+    });
+    assert.equal(manager.findTransaction(first).status, 'replaced');
+    assert.equal(manager.findTransaction(second).status, 'cancelled');
+}
+
+async function testManagedWalletClientAndExecution(tempDir) {
+    const chain = buildChain();
+    const manager = buildManager(chain, path.join(tempDir, 'managed', 'journal.json'));
+    const walletClient = createManagedWalletClient({
+        walletClient: chain.walletClient,
+        nonceManager: manager,
+    });
+    assert.equal(walletClient.account.address, SIGNER);
+    const hash = await walletClient.writeContract({
+        address: TOKEN,
+        abi: erc20Abi,
+        functionName: 'transfer',
+        args: [RECIPIENT, 5n],
+    });
+    const sent = chain.sent.at(-1);
+    assert.equal(sent.to, TOKEN);
+    assert.equal(sent.nonce, 5);
+    assert.deepEqual(decodeFunctionData({ abi: erc20Abi, data: sent.data }).args, [RECIPIENT, 5n]);
+
+    // A pending journal entry is left to the nonce manager instead of timing out into a resend.
+    let receiptReads = 0;
+    const proposal = {
+        proposalHash: `0x${'ab'.repeat(32)}`,
+        transactions: [{ to: RECIPIENT, operation: 0, value: 0n, data: '0x' }],
+        challengeWindowEnds: 1n,
+        executionTxHash: hash,
+        executionSubmittedMs: 1,
+    };
+    await executeReadyProposals({
+        publicClient: {
+            async getBlockNumber() {
+                return 10n;
+            },
+            async getBlock() {
+                return { timestamp: 100n };
+            },
+            async getTransactionReceipt() {
+                receiptReads += 1;
+                throw receiptNotFound(hash);
+            },
+        },
+        walletClient,
+        account: { address: SIGNER },
+        ogModule: RECIPIENT,
+        proposalsByHash: new Map([[proposal.proposalHash, proposal]]),
+        executeRetryMs: 1,
+        executePendingTxTimeoutMs: 1,
+        nonceManager: manager,
+    });
+    assert.equal(receiptReads, 0);
+    assert.equal(proposal.executionTxHash, hash);
+}
+
+async function testJournalFileAndCli(tempDir) {
+    const journalFile = resolveTxJournalFile({
+        config: { chainId: CHAIN_ID },
+        signerAddress: SIGNER,
+        repoRootPath: tempDir,
+    });
+    assert.equal(
+        journalFile,
+        path.join(
+            tempDir,
+            'agent',
+            '.state',
+            'tx-journal',
+            `chain-${CHAIN_ID}-${SIGNER.toLowerCase()}.json`
+        )
+    );
+    const chain = buildChain();
+    const manager = buildManager(chain, journalFile);
+    await manager.sendTransaction({ to: RECIPIENT, value: 1n });
+
+    const agentDir = path.join(tempDir, 'agent-under-test');
+    await mkdir(agentDir, { recursive: true });
+    await writeFile(path.join(agentDir, 'config.json'), JSON.stringify({ chainId: CHAIN_ID }));
+    const lines = [];
+    const original = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        await runTxJournalCli({
+            argv: ['node', 'tx-journal.mjs', `--module=${agentDir}`, `--address=${SIGNER}`],
+            env: {},
+            repoRootPath: tempDir,
+        });
+    } finally {
+        console.log = original;
+    }
+    const printed = JSON.parse(lines[0]);
+    assert.equal(printed.nextNonce, 6);
+    assert.equal(printed.transactions[0].nonce, 5);
+    assert.equal(printed.transactions[0].attempts[0].maxFeePerGas, (80n * GWEI).toString());
+
+    const otherSigner = createTxJournal({
+        stateFile: journalFile,
+        chainId: CHAIN_ID,
+        signerAddress: RECIPIENT,
+    });
+    assert.throws(() => otherSigner.load(), /not the configured signer/);
+}
+
+async function main() {
+    const tempDir = await mkdtemp(path.join(os.tmpdir(), 'nonce-manager-'));
+    try {
+        await testNonceAssignmentAndCeilings(tempDir);
+        await testReconcileBumpsAndSettles(tempDir);
+        await testCancelAndExternalReplacement(tempDir);
+        await testManagedWalletClientAndExecution(tempDir);
+        await testJournalFileAndCli(tempDir);
+        console.log('[test] nonce manager OK');
+    } finally {
+        await rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+main().catch((error) => {
+    console.error('[test] nonce manager failed:', error?.message ?? error);
+    process.exit(1);
+});
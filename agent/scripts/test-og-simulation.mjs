@@ -0,0 +1,498 @@
+import assert from 'node:assert/strict';
+import {
+    decodeFunctionData,
+    encodeErrorResult,
+    encodeFunctionData,
+    encodeFunctionResult,
+    erc20Abi,
+    parseAbi,
+} from 'viem';
+import {
+    buildErc20AllowanceOverride,
+    buildErc20BalanceOverride,
+    simulateOgTransactions,
+} from '../src/lib/og-simulation.js';
+import {
+    SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES,
+    decodeMultiSendCall,
+} from '../src/lib/safe-multisend.js';
+import { buildOgTransactions, postBondAndPropose } from '../src/lib/tx.js';
+import { executeToolCalls } from '../src/lib/tools.js';
+
+const safeModuleAbi = parseAbi([
+    'function execTransactionFromModuleReturnData(address to, uint256 value, bytes data, uint8 operation) returns (bool success, bytes returnData)',
+]);
+const errorAbi = parseAbi(['error Error(string)']);
+
+const OG_MODULE = '0x3333333333333333333333333333333333333333';
+const SAFE = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x5555555555555555555555555555555555555555';
+const RECIPIENT = '0x6666666666666666666666666666666666666666';
+const PROPOSER = '0x1111111111111111111111111111111111111111';
+const ROUTER = '0x7777777777777777777777777777777777777777';
+const WETH = '0x8888888888888888888888888888888888888888';
+const MULTI_SEND = SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES[0];
+const SWAP_AMOUNT_IN = 50n;
+const SWAP_AMOUNT_OUT = 30n;
+
+function revertData(reason) {
+    return encodeErrorResult({ abi: errorAbi, errorName: 'Error', args: [reason] });
+}
+
+function erc20Tx(token, functionName, args) {
+    return {
+        to: token,
+        value: 0n,
+        data: encodeFunctionData({ abi: erc20Abi, functionName, args }),
+        operation: 0,
+    };
+}
+
+function transferTx(amount, token = TOKEN) {
+    return erc20Tx(token, 'transfer', [RECIPIENT, amount]);
+}
+
+// Runs one Safe call against `state`: ERC20 transfer and approve on any token, native
+// transfers, and a router whose every call swaps SWAP_AMOUNT_IN of TOKEN for WETH.
+function executeSafeCall(state, { to, value, data }) {
+    const fail = (reason) => ({ success: false, returnData: revertData(reason) });
+    if (to === ROUTER) {
+        if ((state.allowances[`${TOKEN}:${ROUTER}`] ?? 0n) < SWAP_AMOUNT_IN) return fail('STF');
+        if ((state.balances[TOKEN] ?? 0n) < SWAP_AMOUNT_IN) return fail('STF');
+        state.balances[TOKEN] -= SWAP_AMOUNT_IN;
+        state.balances[WETH] = (state.balances[WETH] ?? 0n) + SWAP_AMOUNT_OUT;
+        return { success: true, returnData: '0x' };
+    }
+    if (data === '0x') {
+        if (state.native < value) return fail('insufficient native balance');
+        state.native -= value;
+        return { success: true, returnData: '0x' };
+    }
+    const { functionName, args } = decodeFunctionData({ abi: erc20Abi, data });
+    if (functionName === 'approve') {
+        state.allowances[`${to}:${args[0]}`] = args[1];
+        return { success: true, returnData: '0x' };
+    }
+    if (functionName === 'transfer') {
+        if ((state.balances[to] ?? 0n) < args[1]) {
+            return fail('ERC20: transfer amount exceeds balance');
+        }
+        state.balances[to] -= args[1];
+        return { success: true, returnData: '0x' };
+    }
+    throw new Error(`Unexpected Safe call ${functionName}`);
+}
+
+// Executes module calls against a fresh copy of the Safe's state per eth_call. A DELEGATECALL
+// to MultiSendCallOnly runs its batch in order and reverts as a whole, bubbling the reason.
+function buildSimulationClient({ balances = {}, native = 100n, calls = [], multiSend = MULTI_SEND }) {
+    return {
+        async getCode({ address }) {
+            return address === multiSend ? '0x6080' : '0x';
+        },
+        async call(request) {
+            calls.push(request);
+            assert.equal(request.account, OG_MODULE);
+            assert.equal(request.to, SAFE);
+            const { args } = decodeFunctionData({ abi: safeModuleAbi, data: request.data });
+            const [to, value, data, operation] = args;
+            const state = { balances: { ...balances }, allowances: {}, native };
+            let batch = [{ to, value, data }];
+            if (operation === 1) {
+                assert.equal(to, multiSend);
+                batch = decodeMultiSendCall(data);
+                assert.ok(batch.every((inner) => inner.operation === 0));
+            }
+            let outcome = { success: true, returnData: '0x' };
+            for (const inner of batch) {
+                outcome = executeSafeCall(state, inner);
+                if (!outcome.success) break;
+            }
+            return {
+                data: encodeFunctionResult({
+                    abi: safeModuleAbi,
+                    functionName: 'execTransactionFromModuleReturnData',
+                    result: [outcome.success, outcome.success ? '0x' : outcome.returnData],
+                }),
+            };
+        },
+    };
+}
+
+async function runSimulationChecks() {
+    const calls = [];
+    const simulation = await simulateOgTransactions({
+        publicClient: buildSimulationClient({ balances: { [TOKEN]: 100n }, calls }),
+        ogModule: OG_MODULE,
+        safeAddress: SAFE,
+        transactions: [
+            transferTx(40n),
+            transferTx(25n),
+            transferTx(50n),
+            { to: RECIPIENT, value: 7n, data: '0x', operation: 0 },
+        ],
+        stateOverride: [
+            buildErc20BalanceOverride({ token: TOKEN, holder: SAFE, amountWei: 100n }),
+            buildErc20AllowanceOverride({
+                token: TOKEN,
+                owner: SAFE,
+                spender: RECIPIENT,
+                amountWei: 1n,
+            }),
+        ],
+    });
+
+    // The third transfer only fails because the first two already spent 65 of the 100.
+    assert.equal(simulation.success, false);
+    assert.equal(simulation.safeAddress, SAFE);
+    assert.equal(simulation.transactions.length, 4);
+    assert.equal(simulation.transactions[0].success, true);
+    assert.equal(simulation.transactions[0].decodedCall, 'erc20_transfer');
+    assert.equal(simulation.transactions[2].success, false);
+    assert.equal(
+        simulation.transactions[2].revertReason,
+        'ERC20: transfer amount exceeds balance'
+    );
+    assert.deepEqual(simulation.transactions[2].balanceDeltas, []);
+    assert.equal(simulation.transactions[3].success, null);
+    assert.equal(simulation.transactions[3].decodedCall, 'native_transfer');
+    assert.deepEqual(simulation.undecodedTransactionIndexes, []);
+
+    const deltas = Object.fromEntries(
+        simulation.balanceDeltas.map((delta) => [`${delta.token}:${delta.account}`, delta.amountWei])
+    );
+    assert.equal(deltas[`${TOKEN}:${SAFE}`], '-65');
+    assert.equal(deltas[`${TOKEN}:${RECIPIENT}`], '65');
+    assert.equal(deltas[`native:${SAFE}`], undefined);
+
+    // The whole bundle, then prefixes of two and three transactions to find the failure.
+    assert.equal(calls.length, 3);
+    // Balance and allowance overrides on one token are merged into a single account override.
+    assert.equal(calls[0].stateOverride.length, 1);
+    assert.equal(calls[0].stateOverride[0].address, TOKEN);
+    assert.equal(calls[0].stateOverride[0].stateDiff.length, 2);
+    assert.notEqual(
+        calls[0].stateOverride[0].stateDiff[0].slot,
+        calls[0].stateOverride[0].stateDiff[1].slot
+    );
+
+    const passing = await simulateOgTransactions({
+        publicClient: buildSimulationClient({ balances: { [TOKEN]: 100n } }),
+        ogModule: OG_MODULE,
+        safeAddress: SAFE,
+        transactions: [transferTx(40n), { to: RECIPIENT, value: 7n, data: '0x', operation: 0 }],
+    });
+    assert.equal(passing.success, true);
+    assert.deepEqual(
+        passing.balanceDeltas.map((delta) => [delta.token, delta.account, delta.amountWei]),
+        [
+            [TOKEN, SAFE, '-40'],
+            [TOKEN, RECIPIENT, '40'],
+            ['native', SAFE, '-7'],
+            ['native', RECIPIENT, '7'],
+        ]
+    );
+
+    // A revert of the module call itself is a transaction failure, not a run failure.
+    const moduleRevert = await simulateOgTransactions({
+        publicClient: {
+            async call() {
+                const cause = { name: 'ExecutionRevertedError', data: revertData('GS104') };
+                const error = new Error('execution reverted');
+                error.walk = (predicate) => (predicate(cause) ? cause : null);
+                throw error;
+            },
+            async readContract({ functionName }) {
+                assert.equal(functionName, 'target');
+                return SAFE;
+            },
+        },
+        ogModule: OG_MODULE,
+        transactions: [transferTx(1n)],
+    });
+    assert.equal(moduleRevert.success, false);
+    assert.equal(moduleRevert.safeAddress, SAFE);
+    assert.equal(moduleRevert.transactions[0].revertReason, 'GS104');
+
+    await assert.rejects(
+        simulateOgTransactions({
+            publicClient: {
+                async call() {
+                    throw new Error('network error while simulating');
+                },
+            },
+            ogModule: OG_MODULE,
+            safeAddress: SAFE,
+            transactions: [transferTx(1n)],
+        }),
+        /network error while simulating/
+    );
+
+    // Bundles need a deployed MultiSendCallOnly and only inline delegatecalls to one.
+    await assert.rejects(
+        simulateOgTransactions({
+            publicClient: buildSimulationClient({ multiSend: null }),
+            ogModule: OG_MODULE,
+            safeAddress: SAFE,
+            transactions: [transferTx(1n), transferTx(1n)],
+        }),
+        /No MultiSendCallOnly is deployed/
+    );
+    await assert.rejects(
+        simulateOgTransactions({
+            publicClient: buildSimulationClient({}),
+            ogModule: OG_MODULE,
+            safeAddress: SAFE,
+            transactions: [transferTx(1n), { ...transferTx(1n), operation: 1 }],
+        }),
+        /Cannot simulate a bundle with a DELEGATECALL/
+    );
+}
+
+function buildProposeClient(options) {
+    return {
+        ...buildSimulationClient(options),
+        async getBalance() {
+            return 10n ** 18n;
+        },
+        async readContract({ functionName }) {
+            if (functionName === 'collateral') return TOKEN;
+            if (functionName === 'bondAmount') return 5n;
+            if (functionName === 'optimisticOracleV3') return RECIPIENT;
+            if (functionName === 'getMinimumBond') return 0n;
+            if (functionName === 'balanceOf') return 5n;
+            if (functionName === 'allowance') throw new Error('reached bond allowance');
+            throw new Error(`Unexpected readContract ${functionName}`);
+        },
+    };
+}
+
+function buildProposeConfig(proposalSimulationMode, overrides = {}) {
+    return {
+        proposeEnabled: true,
+        bondSpender: 'og',
+        commitmentSafe: SAFE,
+        ogModule: OG_MODULE,
+        ...(proposalSimulationMode ? { proposalSimulationMode } : {}),
+        ...overrides,
+    };
+}
+
+async function runProposalGateChecks() {
+    const walletClient = {
+        async writeContract() {
+            throw new Error('writeContract must not be called');
+        },
+    };
+    const account = { address: PROPOSER };
+    const propose = ({ calls = [], config, publicClient = undefined }) =>
+        postBondAndPropose({
+            publicClient:
+                publicClient ?? buildProposeClient({ balances: { [TOKEN]: 10n }, calls }),
+            walletClient,
+            account,
+            config,
+            ogModule: OG_MODULE,
+            transactions: [transferTx(20n)],
+        });
+
+    // The default warn mode logs the revert and continues to bonding.
+    const warnCalls = [];
+    await assert.rejects(
+        propose({ calls: warnCalls, config: buildProposeConfig(undefined) }),
+        /reached bond allowance/
+    );
+    assert.equal(warnCalls.length, 1);
+
+    // Enforce stops before any bond allowance read or write.
+    const enforceCalls = [];
+    await assert.rejects(
+        propose({ calls: enforceCalls, config: buildProposeConfig('enforce') }),
+        /Proposal would revert when the Safe executes it: transaction 0 to .*: ERC20: transfer amount exceeds balance/
+    );
+    assert.equal(enforceCalls.length, 1);
+
+    // allowProposeOnSimulationFail lets the proposal past both simulations.
+    await assert.rejects(
+        propose({
+            config: buildProposeConfig('enforce', { allowProposeOnSimulationFail: true }),
+        }),
+        /reached bond allowance/
+    );
+
+    const offCalls = [];
+    await assert.rejects(
+        propose({ calls: offCalls, config: buildProposeConfig('off') }),
+        /reached bond allowance/
+    );
+    assert.equal(offCalls.length, 0);
+
+    // A simulation the RPC cannot run only blocks in enforce mode.
+    const unavailableClient = {
+        ...buildProposeClient({}),
+        async call() {
+            throw new Error('eth_call unavailable');
+        },
+    };
+    await assert.rejects(
+        propose({ publicClient: unavailableClient, config: buildProposeConfig(undefined) }),
+        /reached bond allowance/
+    );
+    await assert.rejects(
+        propose({ publicClient: unavailableClient, config: buildProposeConfig('enforce') }),
+        /eth_call unavailable/
+    );
+
+    // A passing simulation lets the proposal continue to bonding.
+    await assert.rejects(
+        propose({
+            publicClient: buildProposeClient({ balances: { [TOKEN]: 100n } }),
+            config: buildProposeConfig('enforce'),
+        }),
+        /reached bond allowance/
+    );
+}
+
+async function runSwapBundleChecks() {
+    const swapAction = {
+        kind: 'uniswap_v3_exact_input_single',
+        router: ROUTER,
+        tokenIn: TOKEN,
+        tokenOut: WETH,
+        fee: 500,
+        recipient: SAFE,
+        amountInWei: SWAP_AMOUNT_IN.toString(),
+        amountOutMinWei: '1',
+    };
+    const transactions = [
+        ...buildOgTransactions([swapAction]),
+        transferTx(SWAP_AMOUNT_OUT, WETH),
+    ];
+    const walletClient = {
+        async writeContract() {
+            throw new Error('writeContract must not be called');
+        },
+    };
+    const publicClient = buildProposeClient({ balances: { [TOKEN]: 100n } });
+
+    // Approve, swap, then send the swap's output: each step depends on the one before it.
+    const simulation = await simulateOgTransactions({
+        publicClient,
+        ogModule: OG_MODULE,
+        safeAddress: SAFE,
+        transactions,
+    });
+    assert.equal(simulation.success, true);
+    assert.deepEqual(
+        simulation.transactions.map((result) => result.decodedCall),
+        ['erc20_approve', null, 'erc20_transfer']
+    );
+    assert.deepEqual(simulation.undecodedTransactionIndexes, [1]);
+    await assert.rejects(
+        postBondAndPropose({
+            publicClient,
+            walletClient,
+            account: { address: PROPOSER },
+            config: buildProposeConfig('enforce'),
+            ogModule: OG_MODULE,
+            transactions,
+        }),
+        /reached bond allowance/
+    );
+
+    // The same steps nested in a multisend action are inlined into the simulated batch.
+    const nested = await simulateOgTransactions({
+        publicClient,
+        ogModule: OG_MODULE,
+        safeAddress: SAFE,
+        transactions: [
+            ...buildOgTransactions([{ kind: 'multisend', actions: [swapAction] }]),
+            transferTx(SWAP_AMOUNT_OUT, WETH),
+        ],
+    });
+    assert.equal(nested.success, true);
+
+    // Without its approve, the swap reverts and the output transfer never runs.
+    const unapproved = await simulateOgTransactions({
+        publicClient,
+        ogModule: OG_MODULE,
+        safeAddress: SAFE,
+        transactions: transactions.slice(1),
+    });
+    assert.equal(unapproved.transactions[0].revertReason, 'STF');
+    assert.equal(unapproved.transactions[1].success, null);
+    await assert.rejects(
+        postBondAndPropose({
+            publicClient,
+            walletClient,
+            account: { address: PROPOSER },
+            config: buildProposeConfig('enforce'),
+            ogModule: OG_MODULE,
+            transactions: transactions.slice(1),
+        }),
+        /Proposal would revert when the Safe executes it: transaction 0 to .*: STF/
+    );
+}
+
+async function runToolChecks() {
+    const calls = [];
+    const outputs = await executeToolCalls({
+        toolCalls: [
+            {
+                callId: 'simulate-1',
+                name: 'simulate_og_transactions',
+                arguments: {
+                    transactions: [
+                        {
+                            to: TOKEN,
+                            value: '0',
+                            data: transferTx(500n).data,
+                            operation: 0,
+                        },
+                    ],
+                    erc20Overrides: [
+                        {
+                            token: TOKEN,
+                            kind: 'balance',
+                            owner: SAFE,
+                            spender: null,
+                            amountWei: '1000',
+                            slot: 3,
+                        },
+                    ],
+                },
+            },
+        ],
+        publicClient: buildSimulationClient({ balances: { [TOKEN]: 100n }, calls }),
+        walletClient: {},
+        account: { address: PROPOSER },
+        config: buildProposeConfig('enforce'),
+        ogContext: null,
+    });
+    assert.equal(outputs.length, 1);
+    const out = JSON.parse(outputs[0].output);
+    assert.equal(out.status, 'ok');
+    assert.equal(out.success, false);
+    assert.equal(out.transactions[0].revertReason, 'ERC20: transfer amount exceeds balance');
+    assert.deepEqual(calls[0].stateOverride, [
+        buildErc20BalanceOverride({
+            token: TOKEN,
+            holder: SAFE,
+            amountWei: 1000n,
+            balanceSlot: 3,
+        }),
+    ]);
+}
+
+async function run() {
+    await runSimulationChecks();
+    await runProposalGateChecks();
+    await runSwapBundleChecks();
+    await runToolChecks();
+    console.log('[test] og simulation OK');
+}
+
+run().catch((error) => {
+    console.error('[test] og simulation failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -0,0 +1,279 @@
+import assert from 'node:assert/strict';
+import { getAddress } from 'viem';
+import {
+    createChainlinkPriceSource,
+    createPriceOracle,
+    createPriceOracleFromConfig,
+    createStaticPriceSource,
+    createUniswapV3TwapPriceSource,
+} from '../src/lib/price-oracle.js';
+import { getEthPriceUSD } from '../src/lib/price.js';
+import { executeToolCalls, toolDefinitions } from '../src/lib/tools.js';
+
+const WETH = getAddress('0x7b79995e5f793a07bc00c21412e50ecae098e7f9');
+const USDC = getAddress('0x1c7d4b196cb0c7b01d743fbc6116a902379c7238');
+const ETH_FEED = getAddress('0x694aa1769357215de4fac081bf1f309adc325306');
+const POOL = getAddress('0x3289680dd4d6c10bb19b899729cda5aef58a0d21');
+const GENESIS_TIMESTAMP = 1_700_000_000;
+const LATEST_BLOCK = 100n;
+// Chainlink rounds stop updating before this block, so earlier reads are stale.
+const FEED_LIVE_FROM_BLOCK = 50n;
+// 1.0001 ** -200311 * 1e12 is roughly 2000 USDC per WETH.
+const MEAN_TICK = 200311;
+const TWAP_LIQUIDITY = 10n ** 18n;
+
+function blockTimestamp(blockNumber) {
+    return GENESIS_TIMESTAMP + Number(blockNumber) * 12;
+}
+
+function buildOracleClient({ reads = [] } = {}) {
+    return {
+        async getBlockNumber() {
+            return LATEST_BLOCK;
+        },
+        async getBlock({ blockNumber }) {
+            return { number: blockNumber, timestamp: BigInt(blockTimestamp(blockNumber)) };
+        },
+        async readContract({ address, functionName, args, blockNumber }) {
+            reads.push({ address, functionName, blockNumber });
+            if (address === ETH_FEED && functionName === 'latestRoundData') {
+                const updatedAt =
+                    blockNumber >= FEED_LIVE_FROM_BLOCK
+                        ? blockTimestamp(blockNumber) - 60
+                        : GENESIS_TIMESTAMP - 7200;
+                return [1n, 2_000_00000000n, 0n, BigInt(updatedAt), 1n];
+            }
+            if (address === ETH_FEED && functionName === 'decimals') return 8;
+            if (address === POOL && functionName === 'token0') return USDC;
+            if (address === POOL && functionName === 'token1') return WETH;
+            if (address === POOL && functionName === 'fee') return 500;
+            if (address === POOL && functionName === 'observe') {
+                const [window] = args[0];
+                return [
+                    [0n, BigInt(MEAN_TICK) * BigInt(window)],
+                    [0n, (BigInt(window) << 128n) / TWAP_LIQUIDITY],
+                ];
+            }
+            if (functionName === 'decimals') {
+                if (address === USDC) return 6;
+                if (address === WETH) return 18;
+            }
+            throw new Error(`Unexpected readContract ${functionName} ${address}`);
+        },
+    };
+}
+
+async function runAggregationChecks() {
+    const reads = [];
+    const publicClient = buildOracleClient({ reads });
+    const oracle = createPriceOracle({
+        publicClient,
+        sources: [
+            createChainlinkPriceSource({ publicClient, feeds: { [WETH]: { feed: ETH_FEED } } }),
+            createStaticPriceSource({ id: 'low', prices: { [WETH]: 1_990_000_000n } }),
+            createStaticPriceSource({
+                id: 'high',
+                prices: { [WETH.toLowerCase()]: '2100000000' },
+            }),
+        ],
+    });
+
+    const price = await oracle.getPrice({ asset: WETH.toLowerCase(), blockNumber: 60n });
+    assert.equal(price.asset, WETH);
+    assert.equal(price.priceUsdMicros, 2_000_000_000n);
+    assert.equal(price.blockNumber, 60n);
+    assert.equal(price.timestampSec, blockTimestamp(60n));
+    assert.deepEqual(
+        price.sources.map((source) => source.source),
+        ['chainlink', 'low', 'high']
+    );
+    assert.deepEqual(price.skipped, []);
+    assert.ok(
+        reads
+            .filter((read) => read.address === ETH_FEED)
+            .every((read) => read.blockNumber === 60n)
+    );
+
+    // A round older than the heartbeat at the requested block is skipped, leaving an even count.
+    const stale = await oracle.getPrice({ asset: WETH, blockNumber: 10n });
+    assert.equal(stale.priceUsdMicros, 2_045_000_000n);
+    assert.equal(stale.skipped.length, 1);
+    assert.equal(stale.skipped[0].source, 'chainlink');
+    assert.match(stale.skipped[0].reason, /is stale/);
+
+    // Timestamps resolve to the last block at or before them.
+    const atTimestamp = await oracle.getPrice({
+        asset: WETH,
+        timestampSec: blockTimestamp(70n) + 5,
+    });
+    assert.equal(atTimestamp.blockNumber, 70n);
+
+    const latest = await oracle.getPrice({ asset: WETH });
+    assert.equal(latest.blockNumber, LATEST_BLOCK);
+
+    const strict = createPriceOracle({
+        publicClient,
+        sources: [
+            createChainlinkPriceSource({ publicClient, feeds: { [WETH]: { feed: ETH_FEED } } }),
+            createStaticPriceSource({ prices: { [WETH]: 2_100_000_000n } }),
+        ],
+        minSources: 2,
+        maxDeviationBps: 100,
+    });
+    await assert.rejects(
+        strict.getPrice({ asset: WETH, blockNumber: 10n }),
+        /has 1 of 2 required sources for .* \(chainlink: Chainlink feed .* is stale/
+    );
+    await assert.rejects(
+        strict.getPrice({ asset: WETH, blockNumber: 60n }),
+        /deviates 243 bps from the median/
+    );
+    await assert.rejects(
+        oracle.getPrice({ asset: USDC, blockNumber: 60n }),
+        /has 0 of 1 required sources/
+    );
+}
+
+async function runTwapChecks() {
+    const reads = [];
+    const publicClient = buildOracleClient({ reads });
+    const source = createUniswapV3TwapPriceSource({
+        publicClient,
+        pools: { [WETH]: { pool: POOL, quoteToken: USDC, windowSeconds: 600 } },
+    });
+    assert.equal(source.hasAsset(WETH.toLowerCase()), true);
+    assert.equal(source.hasAsset(USDC), false);
+
+    const twap = await source.getPrice({ asset: WETH, blockNumber: 80n, timestampSec: 123 });
+    assert.ok(twap.priceUsdMicros > 1_999_000_000n && twap.priceUsdMicros < 2_001_000_000n);
+    assert.equal(twap.updatedAtSec, 123);
+    assert.equal(reads.find((read) => read.functionName === 'observe').blockNumber, 80n);
+
+    const illiquid = createUniswapV3TwapPriceSource({
+        publicClient,
+        pools: {
+            [WETH]: { pool: POOL, quoteToken: USDC, minLiquidity: TWAP_LIQUIDITY * 2n },
+        },
+    });
+    await assert.rejects(
+        illiquid.getPrice({ asset: WETH, blockNumber: 80n, timestampSec: 123 }),
+        /harmonic-mean liquidity .* is below minLiquidity/
+    );
+
+    const mismatched = createUniswapV3TwapPriceSource({
+        publicClient,
+        pools: { [WETH]: { pool: POOL, quoteToken: ETH_FEED } },
+    });
+    await assert.rejects(
+        mismatched.getPrice({ asset: WETH, blockNumber: 80n, timestampSec: 123 }),
+        /does not pair/
+    );
+}
+
+async function runConfigAndToolChecks() {
+    const publicClient = buildOracleClient();
+    assert.equal(createPriceOracleFromConfig({ publicClient, config: {} }), null);
+
+    const config = {
+        proposeEnabled: false,
+        disputeEnabled: false,
+        priceOracle: {
+            chainlinkFeeds: { [WETH]: { feed: ETH_FEED, heartbeatSeconds: 120 } },
+            uniswapV3TwapPools: { [WETH]: { pool: POOL, quoteToken: USDC } },
+            staticPricesUsdMicros: { [USDC]: 1_000_000n },
+            minSources: 2,
+            maxDeviationBps: 50,
+        },
+    };
+    const oracle = createPriceOracleFromConfig({ publicClient, config });
+    const weth = await oracle.getPrice({ asset: WETH, blockNumber: 90n });
+    assert.equal(weth.sources.length, 2);
+    await assert.rejects(oracle.getPrice({ asset: USDC }), /has 1 of 2 required sources/);
+
+    const names = (options) => toolDefinitions(options).map((tool) => tool.name);
+    assert.deepEqual(names({ proposeEnabled: false, disputeEnabled: false }), []);
+    assert.deepEqual(
+        names({ proposeEnabled: false, disputeEnabled: false, priceOracleEnabled: true }),
+        ['get_asset_price']
+    );
+
+    const outputs = await executeToolCalls({
+        toolCalls: [
+            {
+                callId: 'price-1',
+                name: 'get_asset_price',
+                arguments: { asset: WETH, blockNumber: '90', timestampSec: null },
+            },
+            {
+                callId: 'price-2',
+                name: 'get_asset_price',
+                arguments: { asset: USDC, blockNumber: null, timestampSec: null },
+            },
+        ],
+        publicClient,
+        walletClient: {},
+        account: { address: USDC },
+        config,
+        ogContext: null,
+    });
+    const ok = JSON.parse(outputs[0].output);
+    assert.equal(ok.status, 'ok');
+    assert.equal(ok.blockNumber, '90');
+    assert.equal(ok.priceUsdMicros, weth.priceUsdMicros.toString());
+    const failed = JSON.parse(outputs[1].output);
+    assert.equal(failed.status, 'error');
+    assert.match(failed.message, /has 1 of 2 required sources/);
+
+    const [skipped] = await executeToolCalls({
+        toolCalls: [
+            {
+                callId: 'price-3',
+                name: 'get_asset_price',
+                arguments: { asset: WETH, blockNumber: null, timestampSec: null },
+            },
+        ],
+        publicClient,
+        walletClient: {},
+        account: { address: USDC },
+        config: { proposeEnabled: false, disputeEnabled: false },
+        ogContext: null,
+    });
+    assert.equal(JSON.parse(skipped.output).status, 'skipped');
+}
+
+async function runEthPriceChecks() {
+    const reads = [];
+    const publicClient = buildOracleClient({ reads });
+    // Without a priceOracle config, the default Chainlink ETH/USD feed is the only source.
+    assert.equal(await getEthPriceUSD({ publicClient, config: {}, weth: WETH }), 2000);
+    assert.ok(reads.some((read) => read.address === ETH_FEED && read.blockNumber === LATEST_BLOCK));
+
+    const configured = await getEthPriceUSD({
+        publicClient,
+        config: { priceOracle: { staticPricesUsdMicros: { [WETH]: '2500000000' } } },
+        weth: WETH,
+    });
+    assert.equal(configured, 2500);
+
+    await assert.rejects(
+        getEthPriceUSD({
+            publicClient,
+            config: { priceOracle: { staticPricesUsdMicros: { [USDC]: '1000000' } } },
+            weth: WETH,
+        }),
+        /Unable to fetch ETH price from the price oracle/
+    );
+}
+
+async function run() {
+    await runAggregationChecks();
+    await runTwapChecks();
+    await runConfigAndToolChecks();
+    await runEthPriceChecks();
+    console.log('[test] price oracle OK');
+}
+
+run().catch((error) => {
+    console.error('[test] price oracle failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -48,6 +48,7 @@ function buildServerConfig(signerAddress, overrides = {}) {
         proposalPublishApiSignatureMaxAgeSeconds: 300,
         proposalPublishApiMaxBodyBytes: 65_536,
         proposalPublishApiNodeName: 'test-node',
+        proposalPublishApiAllowedOrigins: ['http://localhost:5173'],
         proposalVerificationMode: 'off',
         ...overrides,
     };
@@ -292,6 +293,22 @@ async function main() {
         assert.equal(health.status, 200);
         assert.deepEqual(await health.json(), { ok: true });
 
+        const preflight = await fetch(`${baseUrl}/v1/proposals/publish`, {
+            method: 'OPTIONS',
+            headers: {
+                Origin: 'http://localhost:5173',
+                'Access-Control-Request-Method': 'POST',
+                'Access-Control-Request-Headers': 'authorization, content-type',
+            },
+        });
+        assert.equal(preflight.status, 204);
+        assert.equal(preflight.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+        assert.equal(preflight.headers.get('access-control-allow-methods'), 'GET, POST');
+        assert.equal(
+            preflight.headers.get('access-control-allow-headers'),
+            'Authorization, Content-Type'
+        );
+
         const missingBearer = await postPublication(baseUrl, {
             chainId: TEST_CHAIN_ID,
             requestId: 'missing-bearer',
@@ -876,6 +893,29 @@ async function main() {
                 verifyUnsupportedRulesText.json.error,
                 /Unsupported field: rulesText/
             );
+
+            const emptyTransactionsRequest = await buildSignedBody({
+                account,
+                requestId: 'verify-empty-transactions',
+                transactions: [],
+            });
+            const emptyTransactionsResponse = await postVerification(
+                verifyBaseUrl,
+                emptyTransactionsRequest.body
+            );
+            assert.equal(emptyTransactionsResponse.status, 400);
+            assert.match(emptyTransactionsResponse.json.error, /non-empty array unless/);
+
+            const pauseRequest = await buildSignedBody({
+                account,
+                requestId: 'verify-pause',
+                transactions: [],
+                metadata: buildReimbursementVerificationMetadata({
+                    proposalKind: 'commitment_pause',
+                }),
+            });
+            const pauseResponse = await postVerification(verifyBaseUrl, pauseRequest.body);
+            assert.equal(pauseResponse.status, 200);
         } finally {
             await verifyApi.stop();
         }
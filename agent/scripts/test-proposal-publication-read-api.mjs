@@ -0,0 +1,219 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createProposalPublicationApiServer } from '../src/lib/proposal-publication-api.js';
+import { createProposalPublicationStore } from '../src/lib/proposal-publication-store.js';
+import { buildSignedProposalPayload } from '../src/lib/signed-proposal.js';
+
+const TEST_CHAIN_ID = 11155111;
+const OTHER_CHAIN_ID = 1;
+const TEST_SAFE = '0x2222222222222222222222222222222222222222';
+const TEST_OG_MODULE = '0x3333333333333333333333333333333333333333';
+const SIGNER_A = '0x1111111111111111111111111111111111111111';
+const SIGNER_B = '0x5555555555555555555555555555555555555555';
+const BASE_TIME_MS = 1_774_900_000_000;
+const OG_PROPOSAL_HASH = `0x${'b'.repeat(64)}`;
+const AUTH_HEADERS = Object.freeze({ Authorization: 'Bearer k_test_ops_secret' });
+
+function buildServerConfig(overrides = {}) {
+    return {
+        chainId: TEST_CHAIN_ID,
+        ipfsEnabled: true,
+        ipfsApiUrl: 'http://ipfs.mock',
+        proposalPublishApiHost: '127.0.0.1',
+        proposalPublishApiPort: 0,
+        proposalPublishApiMode: 'publish',
+        proposalPublishApiKeys: {
+            ops: 'k_test_ops_secret',
+        },
+        proposalPublishApiSignerAllowlist: [],
+        proposalPublishApiRequireSignerAllowlist: false,
+        proposalPublishApiSignatureMaxAgeSeconds: 300,
+        proposalPublishApiMaxBodyBytes: 65_536,
+        proposalPublishApiNodeName: 'test-node',
+        proposalVerificationMode: 'off',
+        ...overrides,
+    };
+}
+
+function buildRecord({ signer, chainId = TEST_CHAIN_ID, requestId, receivedAtMs, submission }) {
+    return {
+        signer,
+        chainId,
+        requestId,
+        signature: `0x${'1'.repeat(130)}`,
+        canonicalMessage: buildSignedProposalPayload({
+            address: signer,
+            chainId,
+            timestampMs: receivedAtMs,
+            requestId,
+            commitmentSafe: TEST_SAFE,
+            ogModule: TEST_OG_MODULE,
+            transactions: [
+                {
+                    to: '0x4444444444444444444444444444444444444444',
+                    value: '0',
+                    data: '0x',
+                    operation: 0,
+                },
+            ],
+            explanation: `Proposal ${requestId}.`,
+        }),
+        receivedAtMs,
+        submission,
+    };
+}
+
+async function startServer(stateFile, configOverrides = {}) {
+    const server = createProposalPublicationApiServer({
+        config: buildServerConfig(configOverrides),
+        store: createProposalPublicationStore({ stateFile }),
+        logger: { log() {}, warn() {}, error() {} },
+    });
+    const { port } = (await server.start()).address();
+    return { server, baseUrl: `http://127.0.0.1:${port}` };
+}
+
+async function getJson(url, headers = AUTH_HEADERS) {
+    const response = await fetch(url, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function run() {
+    const tempDir = await mkdtemp(path.join(os.tmpdir(), 'proposal-publication-read-api-'));
+    const stateFile = path.join(tempDir, 'publications.json');
+    const store = createProposalPublicationStore({ stateFile });
+
+    await store.saveRecord(
+        buildRecord({ signer: SIGNER_A, requestId: 'shared-1', receivedAtMs: BASE_TIME_MS })
+    );
+    await store.saveRecord(
+        buildRecord({
+            signer: SIGNER_B,
+            requestId: 'shared-1',
+            receivedAtMs: BASE_TIME_MS + 1_000,
+            submission: {
+                status: 'resolved',
+                submittedAtMs: BASE_TIME_MS + 2_000,
+                transactionHash: `0x${'a'.repeat(64)}`,
+                ogProposalHash: OG_PROPOSAL_HASH,
+            },
+        })
+    );
+    await store.saveRecord(
+        buildRecord({
+            signer: SIGNER_A,
+            chainId: OTHER_CHAIN_ID,
+            requestId: 'mainnet-1',
+            receivedAtMs: BASE_TIME_MS + 3_000,
+            submission: { status: 'failed', error: { message: 'bond too low' } },
+        })
+    );
+
+    const { server, baseUrl } = await startServer(stateFile);
+    try {
+        const unauthorized = await getJson(`${baseUrl}/v1/proposals`, {});
+        assert.equal(unauthorized.status, 401);
+        assert.match(unauthorized.headers.get('www-authenticate'), /oya-proposal-publish-api/);
+
+        const all = await getJson(`${baseUrl}/v1/proposals`);
+        assert.equal(all.status, 200);
+        assert.deepEqual(
+            all.body.proposals.map((proposal) => [proposal.signer, proposal.requestId]),
+            [
+                [SIGNER_A, 'shared-1'],
+                [SIGNER_B, 'shared-1'],
+                [SIGNER_A, 'mainnet-1'],
+            ]
+        );
+        assert.equal(all.body.nextCursor, null);
+        assert.equal(all.body.proposals[0].commitmentSafe, TEST_SAFE);
+        assert.equal(all.body.proposals[0].ogModule, TEST_OG_MODULE);
+        assert.equal(all.body.proposals[0].submission.status, 'not_started');
+        assert.equal(all.body.proposals[0].canonicalMessage, undefined);
+
+        const firstPage = await getJson(`${baseUrl}/v1/proposals?limit=2`);
+        assert.equal(firstPage.body.proposals.length, 2);
+        assert.equal(typeof firstPage.body.nextCursor, 'string');
+        const secondPage = await getJson(
+            `${baseUrl}/v1/proposals?limit=2&cursor=${firstPage.body.nextCursor}`
+        );
+        assert.deepEqual(
+            secondPage.body.proposals.map((proposal) => proposal.requestId),
+            ['mainnet-1']
+        );
+        assert.equal(secondPage.body.nextCursor, null);
+
+        const filtered = await getJson(
+            `${baseUrl}/v1/proposals?signer=${SIGNER_A}&chainId=${TEST_CHAIN_ID}`
+        );
+        assert.deepEqual(
+            filtered.body.proposals.map((proposal) => proposal.requestId),
+            ['shared-1']
+        );
+        const byStatus = await getJson(`${baseUrl}/v1/proposals?submissionStatus=resolved,failed`);
+        assert.deepEqual(
+            byStatus.body.proposals.map((proposal) => proposal.submission.status),
+            ['resolved', 'failed']
+        );
+        const byWindow = await getJson(
+            `${baseUrl}/v1/proposals?fromMs=${BASE_TIME_MS + 1}&toMs=${BASE_TIME_MS + 3_000}`
+        );
+        assert.deepEqual(
+            byWindow.body.proposals.map((proposal) => proposal.signer),
+            [SIGNER_B]
+        );
+
+        const invalidStatus = await getJson(`${baseUrl}/v1/proposals?submissionStatus=pending`);
+        assert.equal(invalidStatus.status, 400);
+        assert.equal(invalidStatus.body.code, 'invalid_request');
+        const invalidCursor = await getJson(`${baseUrl}/v1/proposals?cursor=not-a-cursor`);
+        assert.equal(invalidCursor.status, 400);
+
+        const ambiguous = await getJson(`${baseUrl}/v1/proposals/shared-1`);
+        assert.equal(ambiguous.status, 409);
+        assert.equal(ambiguous.body.code, 'ambiguous_request_id');
+        assert.equal(ambiguous.body.matches.length, 2);
+
+        const single = await getJson(`${baseUrl}/v1/proposals/shared-1?signer=${SIGNER_B}`);
+        assert.equal(single.status, 200);
+        assert.equal(single.body.signer, SIGNER_B);
+        assert.equal(single.body.submission.ogProposalHash, OG_PROPOSAL_HASH);
+
+        const missing = await getJson(`${baseUrl}/v1/proposals/unknown`);
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'not_found');
+
+        const byHash = await getJson(
+            `${baseUrl}/v1/proposals/by-og-proposal-hash/${OG_PROPOSAL_HASH.replace(/b/g, 'B')}`
+        );
+        assert.equal(byHash.status, 200);
+        assert.equal(byHash.body.signer, SIGNER_B);
+        assert.equal(byHash.body.requestId, 'shared-1');
+
+        const unknownHash = await getJson(
+            `${baseUrl}/v1/proposals/by-og-proposal-hash/0x${'c'.repeat(64)}`
+        );
+        assert.equal(unknownHash.status, 404);
+    } finally {
+        await server.stop();
+    }
+
+    const unauthenticated = await startServer(stateFile, { proposalPublishApiKeys: {} });
+    try {
+        const disabled = await getJson(`${unauthenticated.baseUrl}/v1/proposals`, {});
+        assert.equal(disabled.status, 503);
+        assert.equal(disabled.body.code, 'read_auth_unconfigured');
+    } finally {
+        await unauthenticated.server.stop();
+        await rm(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('[test] proposal publication read api OK');
+}
+
+run().catch((error) => {
+    console.error('[test] proposal publication read api failed:', error?.message ?? error);
+    process.exit(1);
+});
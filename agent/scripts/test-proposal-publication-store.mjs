@@ -113,6 +113,34 @@ async function run() {
         );
         assert.equal(await readRecordCount(prepareStateFile), 2);
         assert.equal(prepared[0].record.submission.status, 'not_started');
+        assert.equal(prepared[0].record.authType, 'eip191');
+
+        const typedPrepared = await prepareStore.prepareRecord({
+            signer: '0x4444444444444444444444444444444444444444',
+            chainId: 11155111,
+            requestId: 'prepare-typed',
+            authType: 'eip712',
+            signature: buildSignature('f'),
+            canonicalMessage: 'canonical:prepare-typed',
+            artifact: null,
+            receivedAtMs: BASE_TIME_MS,
+            publishedAtMs: null,
+        });
+        assert.equal(typedPrepared.record.authType, 'eip712');
+        await assert.rejects(
+            prepareStore.prepareRecord({
+                signer: '0x4444444444444444444444444444444444444444',
+                chainId: 11155111,
+                requestId: 'prepare-unknown-auth',
+                authType: 'eip1271',
+                signature: buildSignature('f'),
+                canonicalMessage: 'canonical:prepare-unknown-auth',
+                artifact: null,
+                receivedAtMs: BASE_TIME_MS,
+                publishedAtMs: null,
+            }),
+            /record\.authType must be one of: eip191, eip712/
+        );
 
         const conflictStateFile = path.join(tempDir, 'conflict-state.json');
         const conflictStore = createProposalPublicationStore({ stateFile: conflictStateFile });
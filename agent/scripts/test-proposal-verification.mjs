@@ -1,17 +1,37 @@
 import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
 import {
     encodeAbiParameters,
     encodeEventTopics,
     encodeFunctionData,
     erc20Abi,
+    zeroAddress,
 } from 'viem';
-import { buildStructuredProposalExplanation } from '../src/lib/proposal-explanation.js';
+import { privateKeyToAccount } from 'viem/accounts';
 import {
+    buildGovernanceActionMessage,
+    buildStructuredProposalExplanation,
+} from '../src/lib/proposal-explanation.js';
+import {
+    optimisticGovernorAbi,
     proposalDeletedEvent,
     proposalExecutedEvent,
     transactionsProposedEvent,
 } from '../src/lib/og.js';
-import { computeRulesHash, verifyProposal } from '../src/lib/proposal-verification.js';
+import { createPriceOracle, createStaticPriceSource } from '../src/lib/price-oracle.js';
+import {
+    computeRulesHash,
+    parseStandardCommitmentRules,
+    verifyProposal,
+} from '../src/lib/proposal-verification.js';
+import {
+    KNOWN_TEMPLATE_IDS_BY_TITLE,
+    TEMPLATE_COVERAGE_BY_KIND,
+    fillTemplate,
+    parseTemplateCatalog,
+    validatePlaceholder,
+    validateTemplate,
+} from '../src/lib/rule-templates.js';
 import { buildSignedProposalPayload } from '../src/lib/signed-proposal.js';
 
 const AGENT = '0x1111111111111111111111111111111111111111';
@@ -19,6 +39,7 @@ const OTHER_AGENT = '0x1212121212121212121212121212121212121212';
 const SAFE = '0x2222222222222222222222222222222222222222';
 const DEPOSIT_TOKEN = '0x3333333333333333333333333333333333333333';
 const REIMBURSEMENT_TOKEN = '0x4444444444444444444444444444444444444444';
+const OTHER_TOKEN = '0x1414141414141414141414141414141414141414';
 const OG_MODULE = '0x5555555555555555555555555555555555555555';
 const OTHER_SAFE = '0x8888888888888888888888888888888888888888';
 const OTHER_OG_MODULE = '0x9999999999999999999999999999999999999999';
@@ -27,6 +48,9 @@ const RECOVERY_B = '0x7777777777777777777777777777777777777777';
 const DEPOSIT_TX_HASH = `0x${'a'.repeat(64)}`;
 const PENDING_PROPOSAL_TX_HASH = `0x${'b'.repeat(64)}`;
 const OG_DEPLOYMENT_BLOCK = 500n;
+const USER = '0x1313131313131313131313131313131313131313';
+const PRIOR_DEPOSIT_TX_HASH = `0x${'9'.repeat(64)}`;
+const BLOCK_ZERO_TIMESTAMP = 1_760_000_000n;
 
 function buildRulesText(agentAddress = AGENT) {
     return [
@@ -141,6 +165,8 @@ function buildPublicClient({
     deploymentBlock = OG_DEPLOYMENT_BLOCK,
     logCalls = [],
     getCodeCalls = [],
+    safeTransferLogs = [],
+    safeBalanceAt = () => 0n,
 } = {}) {
     const receipts = new Map([
         [
@@ -171,7 +197,7 @@ function buildPublicClient({
             }
             return receipt;
         },
-        async readContract({ address, functionName }) {
+        async readContract({ address, functionName, blockNumber }) {
             if (functionName === 'rules') {
                 const normalized = address.toLowerCase();
                 if (normalized === OG_MODULE.toLowerCase()) return rulesText;
@@ -181,11 +207,20 @@ function buildPublicClient({
                 if (normalized === DEPOSIT_TOKEN.toLowerCase()) return 6;
                 if (normalized === REIMBURSEMENT_TOKEN.toLowerCase()) return 6;
             }
+            if (functionName === 'balanceOf') {
+                return safeBalanceAt({ token: address.toLowerCase(), blockNumber });
+            }
             throw new Error(`unexpected readContract ${functionName} ${address}`);
         },
+        async getBalance({ blockNumber }) {
+            return safeBalanceAt({ token: zeroAddress, blockNumber });
+        },
         async getBlockNumber() {
             return 999n;
         },
+        async getBlock({ blockNumber }) {
+            return { timestamp: BLOCK_ZERO_TIMESTAMP + BigInt(blockNumber) * 12n };
+        },
         async getCode({ address, blockNumber }) {
             getCodeCalls.push({
                 address,
@@ -218,11 +253,982 @@ function buildPublicClient({
             if (event === proposalDeletedEvent) {
                 return deletedLogs;
             }
-            return [];
+            return safeTransferLogs.filter(
+                (log) =>
+                    log.blockNumber >= BigInt(fromBlock) &&
+                    log.blockNumber <= BigInt(toBlock) &&
+                    Object.entries(args ?? {}).every(
+                        ([key, value]) => log.args[key].toLowerCase() === value.toLowerCase()
+                    )
+            );
+        },
+    };
+}
+
+function buildFirstProxyRulesText({
+    allowedTokens = `USDC and ${REIMBURSEMENT_TOKEN}`,
+    limitUsd = '100',
+} = {}) {
+    return [
+        buildRulesText(),
+        '',
+        'Trade Restrictions',
+        '---',
+        `The agent may only trade between the following tokens or markets: ${allowedTokens}.`,
+        '',
+        'Day Definition',
+        '---',
+        'For the purposes of these rules, a day is 86,400 seconds.',
+        '',
+        'Trading Limits',
+        '---',
+        `The designated agent at address ${AGENT} may not execute more than ${limitUsd} dollars worth of trades per day.`,
+    ].join('\n');
+}
+
+function buildWithdrawalRulesText() {
+    return [
+        'Solo User',
+        '---',
+        `This commitment accepts deposits from a single user at address ${USER} and their designated agent at address ${AGENT}. Deposits from any other address are credited to the user.`,
+        '',
+        'Withdrawal Restrictions',
+        '---',
+        'User withdrawals are limited to 50 dollars in value every 7 days.',
+    ].join('\n');
+}
+
+function buildWithdrawalEnvelope({ requestId, timestampMs = 1_760_000_000_000 }) {
+    return {
+        address: USER,
+        chainId: 11155111,
+        timestampMs,
+        requestId,
+        commitmentSafe: SAFE,
+        ogModule: OG_MODULE,
+        transactions: [
+            {
+                to: REIMBURSEMENT_TOKEN,
+                value: '0',
+                data: encodeFunctionData({
+                    abi: erc20Abi,
+                    functionName: 'transfer',
+                    args: [USER, 1_000_000n],
+                }),
+                operation: 0,
+            },
+        ],
+        explanation: buildStructuredProposalExplanation({
+            kind: 'user_withdrawal',
+            description: 'Withdraw to the user.',
+        }),
+        metadata: {
+            verification: {
+                proposalKind: 'user_withdrawal',
+                rulesHash: computeRulesHash(buildWithdrawalRulesText()),
+            },
+        },
+        deadline: null,
+    };
+}
+
+function buildExecutedStoreRecord({ envelope, signer, verification }) {
+    return {
+        signer: signer.toLowerCase(),
+        chainId: 11155111,
+        requestId: envelope.requestId,
+        signature: `0x${'1'.repeat(130)}`,
+        canonicalMessage: buildSignedProposalPayload(envelope),
+        receivedAtMs: envelope.timestampMs,
+        publishedAtMs: envelope.timestampMs,
+        artifact: null,
+        cid: 'bafy-prior',
+        uri: 'ipfs://bafy-prior',
+        pinned: true,
+        publishResult: null,
+        pinResult: null,
+        lastError: null,
+        verification,
+        submission: {
+            status: 'submitted',
+            submittedAtMs: envelope.timestampMs,
+            transactionHash: null,
+            ogProposalHash: `0x${'f'.repeat(64)}`,
+            result: null,
+            error: null,
+            sideEffectsLikelyCommitted: true,
         },
+        createdAtMs: envelope.timestampMs,
+        updatedAtMs: envelope.timestampMs,
     };
 }
 
+async function runTemplateLimitChecks() {
+    const tokenSymbolAddresses = { USDC: DEPOSIT_TOKEN };
+    const firstProxyRulesText = buildFirstProxyRulesText();
+    const firstProxyResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'first-proxy-valid', rulesText: firstProxyRulesText }),
+        publicClient: buildPublicClient({ rulesText: firstProxyRulesText }),
+        storeRecords: [],
+        tokenSymbolAddresses,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(firstProxyResult.status, 'valid');
+    assert.equal(
+        firstProxyResult.checks.find((check) => check.id === 'template_coverage')?.status,
+        'pass'
+    );
+    assert.deepEqual(
+        firstProxyResult.rules.matchedTemplates.find(
+            (template) => template.templateId === 'trade_restrictions'
+        )?.params,
+        {
+            allowedTokens: [REIMBURSEMENT_TOKEN.toLowerCase()],
+            allowedSymbols: ['USDC'],
+        }
+    );
+    assert.equal(firstProxyResult.derivedFacts.tradingLimit.windowSeconds, 86_400);
+    assert.equal(firstProxyResult.derivedFacts.tradingLimit.peakWindowUsdMicros, '2000000');
+    assert.equal(firstProxyResult.derivedFacts.referencedDeposits[0].depositBlockNumber, '123');
+
+    // The configured USDC is another token, so the deposited one is not allowed whatever its
+    // onchain symbol() says.
+    const disallowedTokenResult = await verifyProposal({
+        envelope: buildEnvelope({
+            requestId: 'first-proxy-disallowed',
+            rulesText: firstProxyRulesText,
+        }),
+        publicClient: buildPublicClient({ rulesText: firstProxyRulesText }),
+        storeRecords: [],
+        tokenSymbolAddresses: { USDC: OTHER_TOKEN },
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(disallowedTokenResult.status, 'invalid');
+    assert.deepEqual(
+        disallowedTokenResult.checks.find((check) => check.id === 'trade_restrictions')?.tokens,
+        [DEPOSIT_TOKEN.toLowerCase()]
+    );
+
+    const unmappedSymbolResult = await verifyProposal({
+        envelope: buildEnvelope({
+            requestId: 'first-proxy-unmapped-symbol',
+            rulesText: firstProxyRulesText,
+        }),
+        publicClient: buildPublicClient({ rulesText: firstProxyRulesText }),
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(unmappedSymbolResult.status, 'unknown');
+    assert.deepEqual(
+        unmappedSymbolResult.checks.find((check) => check.id === 'trade_restrictions')?.symbols,
+        ['USDC']
+    );
+
+    const marketRulesText = buildFirstProxyRulesText({
+        allowedTokens: 'the Polymarket US election market',
+    });
+    const marketRulesResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'first-proxy-market', rulesText: marketRulesText }),
+        publicClient: buildPublicClient({ rulesText: marketRulesText }),
+        storeRecords: [],
+        tokenSymbolAddresses,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(marketRulesResult.status, 'unknown');
+
+    // A $2.50/day cap fits one $2 trade, but not alongside an executed $1 trade 10 minutes earlier.
+    const tightRulesText = buildFirstProxyRulesText({ limitUsd: '2.50' });
+    const priorTradeEnvelope = buildEnvelope({
+        requestId: 'prior-trade',
+        depositTxHashes: [PRIOR_DEPOSIT_TX_HASH],
+        rulesText: tightRulesText,
+    });
+    const buildPriorTradeRecord = (depositTimestampSec) =>
+        buildExecutedStoreRecord({
+            envelope: priorTradeEnvelope,
+            signer: AGENT,
+            verification: {
+                status: 'valid',
+                derivedFacts: {
+                    authorizedAgent: AGENT.toLowerCase(),
+                    referencedDeposits: [
+                        {
+                            depositTxHash: PRIOR_DEPOSIT_TX_HASH,
+                            depositUsdMicros: '1000000',
+                            depositTimestampSec,
+                        },
+                    ],
+                },
+            },
+        });
+    const executedTradeClient = buildPublicClient({
+        rulesText: tightRulesText,
+        executedLogs: [{ args: { proposalHash: `0x${'f'.repeat(64)}` } }],
+    });
+    const currentDepositTimestampSec = Number(BLOCK_ZERO_TIMESTAMP) + 123 * 12;
+    const overLimitResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'over-trading-limit', rulesText: tightRulesText }),
+        publicClient: executedTradeClient,
+        storeRecords: [buildPriorTradeRecord(currentDepositTimestampSec - 600)],
+        tokenSymbolAddresses,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(overLimitResult.status, 'invalid');
+    assert.equal(
+        overLimitResult.checks.find((check) => check.id === 'trading_limits')?.status,
+        'fail'
+    );
+    assert.equal(overLimitResult.derivedFacts.tradingLimit.peakWindowUsdMicros, '3000000');
+
+    const staleTradeResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'stale-prior-trade', rulesText: tightRulesText }),
+        publicClient: executedTradeClient,
+        storeRecords: [buildPriorTradeRecord(currentDepositTimestampSec - 86_400)],
+        tokenSymbolAddresses,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(staleTradeResult.status, 'valid');
+
+    const onchainOnlyTradeResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'onchain-only-trade', rulesText: tightRulesText }),
+        publicClient: buildPublicClient({
+            rulesText: tightRulesText,
+            extraReceipts: [
+                [PRIOR_DEPOSIT_TX_HASH, { status: 'success', blockNumber: 100n, logs: [] }],
+            ],
+            proposedLogs: [
+                {
+                    args: {
+                        proposalHash: `0x${'e'.repeat(64)}`,
+                        explanation: buildReimbursementExplanation({
+                            depositTxHashes: [PRIOR_DEPOSIT_TX_HASH],
+                        }),
+                    },
+                },
+            ],
+        }),
+        storeRecords: [],
+        tokenSymbolAddresses,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(onchainOnlyTradeResult.status, 'unknown');
+    assert.equal(
+        onchainOnlyTradeResult.checks.find((check) => check.id === 'trading_limits')?.status,
+        'unknown'
+    );
+
+    const withdrawalRulesText = buildWithdrawalRulesText();
+    const withdrawalClient = buildPublicClient({
+        rulesText: withdrawalRulesText,
+        executedLogs: [{ args: { proposalHash: `0x${'f'.repeat(64)}` } }],
+    });
+    const withdrawalOracle = createPriceOracle({
+        publicClient: withdrawalClient,
+        sources: [createStaticPriceSource({ prices: { [REIMBURSEMENT_TOKEN]: 30_000_000n } })],
+    });
+    const withdrawalResult = await verifyProposal({
+        envelope: buildWithdrawalEnvelope({ requestId: 'withdrawal-valid' }),
+        publicClient: withdrawalClient,
+        storeRecords: [],
+        priceOracle: withdrawalOracle,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(withdrawalResult.status, 'valid');
+    assert.equal(withdrawalResult.proposalKind, 'user_withdrawal');
+    assert.equal(withdrawalResult.derivedFacts.withdrawalValueUsdMicros, '30000000');
+    assert.equal(withdrawalResult.derivedFacts.withdrawalPriceBlock, '0');
+    assert.equal(withdrawalResult.derivedFacts.withdrawalLimit.windowSeconds, 7 * 86_400);
+
+    // Without an oracle the user's own prices would be the only valuation, so the cap is unknown.
+    const unpricedWithdrawalResult = await verifyProposal({
+        envelope: buildWithdrawalEnvelope({ requestId: 'withdrawal-unpriced' }),
+        publicClient: withdrawalClient,
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(unpricedWithdrawalResult.status, 'unknown');
+    assert.equal(
+        unpricedWithdrawalResult.checks.find((check) => check.id === 'withdrawal_value')?.status,
+        'unknown'
+    );
+    assert.equal(
+        unpricedWithdrawalResult.checks.some((check) => check.id === 'withdrawal_restrictions'),
+        false
+    );
+
+    const priorWithdrawalEnvelope = buildWithdrawalEnvelope({
+        requestId: 'withdrawal-prior',
+        timestampMs: 1_760_000_000_000 - 3 * 86_400_000,
+    });
+    const priorWithdrawalRecord = buildExecutedStoreRecord({
+        envelope: priorWithdrawalEnvelope,
+        signer: USER,
+        verification: {
+            status: 'valid',
+            derivedFacts: { withdrawalValueUsdMicros: '30000000' },
+        },
+    });
+    const overWithdrawalResult = await verifyProposal({
+        envelope: buildWithdrawalEnvelope({ requestId: 'withdrawal-over-limit' }),
+        publicClient: withdrawalClient,
+        storeRecords: [priorWithdrawalRecord],
+        priceOracle: withdrawalOracle,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(overWithdrawalResult.status, 'invalid');
+    assert.equal(
+        overWithdrawalResult.checks.find((check) => check.id === 'withdrawal_restrictions')
+            ?.status,
+        'fail'
+    );
+
+    const wrongSignerResult = await verifyProposal({
+        envelope: { ...buildWithdrawalEnvelope({ requestId: 'withdrawal-agent' }), address: AGENT },
+        publicClient: withdrawalClient,
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(wrongSignerResult.status, 'invalid');
+    assert.equal(
+        wrongSignerResult.checks.find((check) => check.id === 'withdrawal_signer')?.status,
+        'fail'
+    );
+}
+
+// With a 1,200 second day, fee periods are 100 blocks long and start at the OG deployment block.
+function buildFeeRulesText(feeType = 'recurring', { standardPeriodDays = undefined } = {}) {
+    const feeBody =
+        feeType === 'recurring'
+            ? `The designated agent at address ${AGENT} accrues a recurring fee of 1% of the value in the commitment every 1 days.`
+            : `The designated agent at address ${AGENT} accrues a performance fee of 10% of the increase in the value of the Safe over each 1 day period.`;
+    return [
+        feeType === 'recurring' ? 'Recurring Fee' : 'Performance Fee',
+        '---',
+        `${feeBody} The dollar value is calculated based on the fair token price at the end of each period. The agent may withdraw tokens equal to or less than the fees owed at any time after, with the value of the tokens withdrawn calculated at the time of the withdrawal proposal. The explanation for the withdrawal proposals must specify which period(s) the fee withdrawal represents.`,
+        '',
+        'Day Definition',
+        '---',
+        'For the purposes of these rules, a day is 1,200 seconds.',
+        '',
+        'Time Period Start',
+        '---',
+        'Any time period specified in these rules begins at the deployment timestamp of this commitment.',
+        ...(standardPeriodDays === undefined
+            ? []
+            : [
+                  '',
+                  'Standard Period',
+                  '---',
+                  `The standard period for calculating fees for this commitment is ${standardPeriodDays} days, and the first period begins at deployment time.`,
+              ]),
+    ].join('\n');
+}
+
+function buildFeeEnvelope({
+    requestId,
+    feeType = 'recurring',
+    feePeriods = [0, 1],
+    amountWei = 1_500_000n,
+    rulesText = buildFeeRulesText(feeType),
+}) {
+    return {
+        address: AGENT,
+        chainId: 11155111,
+        timestampMs: 1_760_000_000_000,
+        requestId,
+        commitmentSafe: SAFE,
+        ogModule: OG_MODULE,
+        transactions: [
+            {
+                to: REIMBURSEMENT_TOKEN,
+                value: '0',
+                data: encodeFunctionData({
+                    abi: erc20Abi,
+                    functionName: 'transfer',
+                    args: [AGENT, amountWei],
+                }),
+                operation: 0,
+            },
+        ],
+        explanation: buildStructuredProposalExplanation({
+            kind: 'agent_fee_withdrawal',
+            feePeriods,
+            description: 'Withdraw accrued agent fees.',
+        }),
+        metadata: {
+            verification: {
+                proposalKind: 'agent_fee_withdrawal',
+                rulesHash: computeRulesHash(rulesText),
+                feeType,
+                feePeriods,
+            },
+        },
+        deadline: null,
+    };
+}
+
+// The deposit token doubles to $2 at block 700, the end of period 1; the withdrawn token is $1.
+function buildFeeOracle(publicClient) {
+    return createPriceOracle({
+        publicClient,
+        sources: [
+            {
+                id: 'by-block',
+                hasAsset: (asset) => asset === DEPOSIT_TOKEN || asset === REIMBURSEMENT_TOKEN,
+                async getPrice({ asset, blockNumber, timestampSec }) {
+                    const doubled = asset === DEPOSIT_TOKEN && blockNumber >= 700n;
+                    return {
+                        priceUsdMicros: doubled ? 2_000_000n : 1_000_000n,
+                        updatedAtSec: timestampSec,
+                    };
+                },
+            },
+        ],
+    });
+}
+
+function buildStaticFeeOracle(publicClient) {
+    return createPriceOracle({
+        publicClient,
+        sources: [
+            createStaticPriceSource({
+                prices: { [DEPOSIT_TOKEN]: 1_000_000n, [REIMBURSEMENT_TOKEN]: 1_000_000n },
+            }),
+        ],
+    });
+}
+
+async function runFeeWithdrawalChecks() {
+    const fundingLog = {
+        address: DEPOSIT_TOKEN,
+        blockNumber: 510n,
+        args: { from: USER, to: SAFE, value: 100_000_000n },
+    };
+    const recurringClient = buildPublicClient({
+        rulesText: buildFeeRulesText(),
+        safeTransferLogs: [fundingLog],
+        safeBalanceAt: ({ token, blockNumber }) =>
+            token === DEPOSIT_TOKEN.toLowerCase() && blockNumber >= 510n ? 100_000_000n : 0n,
+    });
+
+    const recurringOracle = buildFeeOracle(recurringClient);
+
+    // Period 0 ends at block 600 with $100 in the Safe, period 1 at block 700 with $200.
+    const recurringResult = await verifyProposal({
+        envelope: buildFeeEnvelope({ requestId: 'fee-recurring' }),
+        publicClient: recurringClient,
+        priceOracle: recurringOracle,
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(recurringResult.status, 'valid');
+    assert.equal(recurringResult.proposalKind, 'agent_fee_withdrawal');
+    assert.equal(recurringResult.derivedFacts.feesOwedUsdMicros, '3000000');
+    assert.equal(recurringResult.derivedFacts.withdrawalValueUsdMicros, '1500000');
+    assert.deepEqual(
+        recurringResult.derivedFacts.feePeriods.map((period) => period.endBlock),
+        ['600', '700']
+    );
+
+    const overClaimResult = await verifyProposal({
+        envelope: buildFeeEnvelope({ requestId: 'fee-over-claim', amountWei: 3_500_000n }),
+        publicClient: recurringClient,
+        priceOracle: recurringOracle,
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(overClaimResult.status, 'invalid');
+    assert.equal(
+        overClaimResult.checks.find((check) => check.id === 'fee_withdrawal_value_ceiling')
+            ?.status,
+        'fail'
+    );
+
+    // Signed prices are no longer accepted, so the fee cannot be valued without an oracle.
+    const noOracleResult = await verifyProposal({
+        envelope: buildFeeEnvelope({ requestId: 'fee-no-oracle' }),
+        publicClient: recurringClient,
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(noOracleResult.status, 'unknown');
+    assert.equal(
+        noOracleResult.checks.find((check) => check.id === 'fee_withdrawal_value_ceiling')
+            ?.status,
+        'unknown'
+    );
+
+    // A Standard Period is only honored when it agrees with the fee template's period.
+    for (const [standardPeriodDays, expectedStatus] of [
+        [1, 'pass'],
+        [30, 'unknown'],
+    ]) {
+        const rulesText = buildFeeRulesText('recurring', { standardPeriodDays });
+        const standardPeriodClient = buildPublicClient({
+            rulesText,
+            safeTransferLogs: [fundingLog],
+            safeBalanceAt: ({ token, blockNumber }) =>
+                token === DEPOSIT_TOKEN.toLowerCase() && blockNumber >= 510n ? 100_000_000n : 0n,
+        });
+        const standardPeriodResult = await verifyProposal({
+            envelope: buildFeeEnvelope({
+                requestId: `fee-standard-period-${standardPeriodDays}`,
+                rulesText,
+            }),
+            publicClient: standardPeriodClient,
+            priceOracle: buildFeeOracle(standardPeriodClient),
+            storeRecords: [],
+            nowMs: 1_760_000_001_000,
+        });
+        assert.equal(
+            standardPeriodResult.checks.find((check) => check.id === 'fee_standard_period')
+                ?.status,
+            expectedStatus
+        );
+        assert.equal(
+            standardPeriodResult.status,
+            expectedStatus === 'pass' ? 'valid' : 'unknown'
+        );
+    }
+
+    const unpricedHoldingResult = await verifyProposal({
+        envelope: buildFeeEnvelope({ requestId: 'fee-unpriced-holding' }),
+        publicClient: recurringClient,
+        priceOracle: createPriceOracle({
+            publicClient: recurringClient,
+            sources: [createStaticPriceSource({ prices: { [REIMBURSEMENT_TOKEN]: 1_000_000n } })],
+        }),
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(unpricedHoldingResult.status, 'unknown');
+
+    // Block 999 falls inside period 4, so that period has not ended yet.
+    const openPeriodResult = await verifyProposal({
+        envelope: buildFeeEnvelope({ requestId: 'fee-open-period', feePeriods: [4] }),
+        publicClient: recurringClient,
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(openPeriodResult.status, 'invalid');
+    assert.equal(
+        openPeriodResult.checks.find((check) => check.id === 'fee_periods_ended')?.status,
+        'fail'
+    );
+
+    const mismatchedExplanationResult = await verifyProposal({
+        envelope: {
+            ...buildFeeEnvelope({ requestId: 'fee-explanation-mismatch' }),
+            explanation: buildStructuredProposalExplanation({
+                kind: 'agent_fee_withdrawal',
+                feePeriods: [0],
+                description: 'Withdraw accrued agent fees.',
+            }),
+        },
+        publicClient: recurringClient,
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(mismatchedExplanationResult.status, 'invalid');
+    assert.equal(
+        mismatchedExplanationResult.checks.find((check) => check.id === 'explanation_fee_periods')
+            ?.status,
+        'fail'
+    );
+
+    const doubleClaimResult = await verifyProposal({
+        envelope: buildFeeEnvelope({ requestId: 'fee-double-claim' }),
+        publicClient: buildPublicClient({
+            rulesText: buildFeeRulesText(),
+            safeTransferLogs: [fundingLog],
+            proposedLogs: [
+                {
+                    args: {
+                        proposalHash: `0x${'e'.repeat(64)}`,
+                        explanation: buildStructuredProposalExplanation({
+                            kind: 'agent_fee_withdrawal',
+                            feePeriods: [1],
+                            description: 'Earlier fee withdrawal.',
+                        }),
+                    },
+                },
+            ],
+        }),
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(doubleClaimResult.status, 'invalid');
+    assert.deepEqual(
+        doubleClaimResult.checks.find((check) => check.id === 'fee_period_double_claim')
+            ?.feePeriods,
+        [1]
+    );
+
+    // Period 1 spans blocks 600-700; the agent's own trade grows the Safe from $100 to $110.
+    const performanceClient = buildPublicClient({
+        rulesText: buildFeeRulesText('performance'),
+        safeTransferLogs: [
+            fundingLog,
+            {
+                address: DEPOSIT_TOKEN,
+                blockNumber: 650n,
+                args: { from: AGENT, to: SAFE, value: 10_000_000n },
+            },
+        ],
+        safeBalanceAt: ({ token, blockNumber }) => {
+            if (token !== DEPOSIT_TOKEN.toLowerCase() || blockNumber < 510n) return 0n;
+            return blockNumber >= 650n ? 110_000_000n : 100_000_000n;
+        },
+    });
+    const performanceResult = await verifyProposal({
+        envelope: buildFeeEnvelope({
+            requestId: 'fee-performance',
+            feeType: 'performance',
+            feePeriods: [1],
+            amountWei: 1_000_000n,
+        }),
+        publicClient: performanceClient,
+        priceOracle: buildStaticFeeOracle(performanceClient),
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(performanceResult.status, 'valid');
+    assert.equal(performanceResult.derivedFacts.feePeriods[0].startValueUsdMicros, '100000000');
+    assert.equal(performanceResult.derivedFacts.feesOwedUsdMicros, '1000000');
+
+    const userFundedClient = buildPublicClient({
+        rulesText: buildFeeRulesText('performance'),
+        safeTransferLogs: [
+            fundingLog,
+            {
+                address: DEPOSIT_TOKEN,
+                blockNumber: 650n,
+                args: { from: USER, to: SAFE, value: 10_000_000n },
+            },
+        ],
+        safeBalanceAt: ({ token, blockNumber }) =>
+            token === DEPOSIT_TOKEN.toLowerCase() && blockNumber >= 510n ? 110_000_000n : 0n,
+    });
+    const userFundedResult = await verifyProposal({
+        envelope: buildFeeEnvelope({
+            requestId: 'fee-performance-user-deposit',
+            feeType: 'performance',
+            feePeriods: [1],
+            amountWei: 1_000_000n,
+        }),
+        publicClient: userFundedClient,
+        priceOracle: buildStaticFeeOracle(userFundedClient),
+        storeRecords: [],
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(userFundedResult.status, 'unknown');
+    assert.match(
+        userFundedResult.checks.find((check) => check.id === 'agent_fee_withdrawal')?.message,
+        /other than the agent/
+    );
+}
+
+const GUARDIAN_ACCOUNT = privateKeyToAccount(`0x${'1'.repeat(64)}`);
+const RECOVERY_ACCOUNTS = [`0x${'2'.repeat(64)}`, `0x${'3'.repeat(64)}`, `0x${'4'.repeat(64)}`].map(
+    (privateKey) => privateKeyToAccount(privateKey)
+);
+const GOVERNANCE_ISSUED_AT_MS = 1_760_000_000_000;
+
+function buildGovernanceRulesText() {
+    const guardian = GUARDIAN_ACCOUNT.address;
+    return [
+        'Commitment Pause',
+        '---',
+        `This commitment may be paused by a proposal from the guardian address ${guardian}. The proposal should contain no transactions, but include a signed message of the word "pause" as the explanation field. During a pause, the agent may propose withdrawals only to close trades already initiated by a deposit from the agent, or fees owed to the agent. Additionally, if account recovery and rule updates are allowed, the recovery signers may propose a rule update during the pause. The guardian address ${guardian} may unpause the commitment with a proposal containing no transactions and a signed message of the word "unpause" as the explanation field. No other transaction proposals are valid during a pause.`,
+        '',
+        'Account Recovery and Rule Updates',
+        '---',
+        `These rules may be updated by a 2/3 consensus of addresses ${RECOVERY_ACCOUNTS.map((account) => account.address).join(', ')}. After the rule update is executed, the new rules apply to all future transaction proposals.`,
+    ].join('\n');
+}
+
+async function buildGovernanceExplanation({
+    kind,
+    action,
+    signerAccounts,
+    issuedAtMs = GOVERNANCE_ISSUED_AT_MS,
+    rulesHash = null,
+}) {
+    const message = buildGovernanceActionMessage({
+        action,
+        chainId: 11155111,
+        ogModule: OG_MODULE,
+        issuedAtMs,
+        rulesHash,
+    });
+    return buildStructuredProposalExplanation({
+        kind,
+        description: `Governance ${action}.`,
+        issuedAtMs,
+        signatures: await Promise.all(
+            signerAccounts.map(async (account) => ({
+                signer: account.address,
+                signature: await account.signMessage({ message }),
+            }))
+        ),
+    });
+}
+
+async function buildGovernanceEnvelope({
+    requestId,
+    kind,
+    signerAddress = GUARDIAN_ACCOUNT.address,
+    transactions = [],
+    explanation,
+}) {
+    return {
+        address: signerAddress,
+        chainId: 11155111,
+        timestampMs: GOVERNANCE_ISSUED_AT_MS,
+        requestId,
+        commitmentSafe: SAFE,
+        ogModule: OG_MODULE,
+        transactions,
+        explanation,
+        metadata: {
+            verification: {
+                proposalKind: kind,
+                rulesHash: computeRulesHash(buildGovernanceRulesText()),
+            },
+        },
+        deadline: null,
+    };
+}
+
+async function runGovernanceChecks() {
+    const rulesText = buildGovernanceRulesText();
+    const verifyGovernance = async (envelope, clientOptions = {}) =>
+        verifyProposal({
+            envelope,
+            publicClient: buildPublicClient({ rulesText, ...clientOptions }),
+            storeRecords: [],
+            nowMs: GOVERNANCE_ISSUED_AT_MS + 1_000,
+        });
+    const findCheckStatus = (result, checkId) =>
+        result.checks.find((check) => check.id === checkId)?.status;
+    const pauseExplanation = await buildGovernanceExplanation({
+        kind: 'commitment_pause',
+        action: 'pause',
+        signerAccounts: [GUARDIAN_ACCOUNT],
+        issuedAtMs: GOVERNANCE_ISSUED_AT_MS - 60_000,
+    });
+
+    const pauseResult = await verifyGovernance(
+        await buildGovernanceEnvelope({
+            requestId: 'pause-valid',
+            kind: 'commitment_pause',
+            explanation: await buildGovernanceExplanation({
+                kind: 'commitment_pause',
+                action: 'pause',
+                signerAccounts: [GUARDIAN_ACCOUNT],
+            }),
+        })
+    );
+    assert.equal(pauseResult.status, 'valid');
+    assert.equal(pauseResult.derivedFacts.paused, false);
+    assert.equal(pauseResult.derivedFacts.guardian, GUARDIAN_ACCOUNT.address.toLowerCase());
+
+    const unpausedUnpauseResult = await verifyGovernance(
+        await buildGovernanceEnvelope({
+            requestId: 'unpause-while-unpaused',
+            kind: 'commitment_unpause',
+            explanation: await buildGovernanceExplanation({
+                kind: 'commitment_unpause',
+                action: 'unpause',
+                signerAccounts: [GUARDIAN_ACCOUNT],
+            }),
+        })
+    );
+    assert.equal(unpausedUnpauseResult.status, 'invalid');
+    assert.equal(findCheckStatus(unpausedUnpauseResult, 'pause_state'), 'fail');
+
+    // An executed guardian pause one minute earlier leaves the commitment paused.
+    const pausedHistory = {
+        proposedLogs: [
+            {
+                args: {
+                    proposalHash: `0x${'c'.repeat(64)}`,
+                    explanation: pauseExplanation,
+                    proposal: { transactions: [], requestTime: 0n },
+                },
+            },
+        ],
+        executedLogs: [{ blockNumber: 900n, args: { proposalHash: `0x${'c'.repeat(64)}` } }],
+    };
+    const unpauseResult = await verifyGovernance(
+        await buildGovernanceEnvelope({
+            requestId: 'unpause-valid',
+            kind: 'commitment_unpause',
+            explanation: await buildGovernanceExplanation({
+                kind: 'commitment_unpause',
+                action: 'unpause',
+                signerAccounts: [GUARDIAN_ACCOUNT],
+            }),
+        }),
+        pausedHistory
+    );
+    assert.equal(unpauseResult.status, 'valid');
+    assert.equal(unpauseResult.derivedFacts.paused, true);
+
+    const replayedPauseResult = await verifyGovernance(
+        await buildGovernanceEnvelope({
+            requestId: 'pause-replayed',
+            kind: 'commitment_pause',
+            explanation: pauseExplanation,
+        }),
+        pausedHistory
+    );
+    assert.equal(replayedPauseResult.status, 'invalid');
+    assert.equal(findCheckStatus(replayedPauseResult, 'governance_replay'), 'fail');
+
+    const pauseWithTransactionsResult = await verifyGovernance(
+        await buildGovernanceEnvelope({
+            requestId: 'pause-with-transactions',
+            kind: 'commitment_pause',
+            transactions: [{ to: SAFE, value: '0', data: '0x', operation: 0 }],
+            explanation: pauseExplanation,
+        })
+    );
+    assert.equal(pauseWithTransactionsResult.status, 'invalid');
+    assert.equal(
+        findCheckStatus(pauseWithTransactionsResult, 'governance_transactions_empty'),
+        'fail'
+    );
+
+    const forgedSignatureExplanation = JSON.parse(
+        await buildGovernanceExplanation({
+            kind: 'commitment_pause',
+            action: 'pause',
+            signerAccounts: [RECOVERY_ACCOUNTS[0]],
+        })
+    );
+    forgedSignatureExplanation.signatures[0].signer = GUARDIAN_ACCOUNT.address;
+    const forgedPauseResult = await verifyGovernance(
+        await buildGovernanceEnvelope({
+            requestId: 'pause-forged',
+            kind: 'commitment_pause',
+            explanation: JSON.stringify(forgedSignatureExplanation),
+        })
+    );
+    assert.equal(forgedPauseResult.status, 'invalid');
+    assert.equal(findCheckStatus(forgedPauseResult, 'explanation_signatures'), 'fail');
+
+    const newRulesText = `${rulesText}\n\nFair Valuation\n---\nTokens are priced by their fair market value. Markets that are clearly manipulated are not a valid point-in-time data source.`;
+    const ruleUpdateTransactions = [
+        {
+            to: OG_MODULE,
+            value: '0',
+            data: encodeFunctionData({
+                abi: optimisticGovernorAbi,
+                functionName: 'setRules',
+                args: [newRulesText],
+            }),
+            operation: 0,
+        },
+    ];
+    const buildRuleUpdateEnvelope = async ({ requestId, signerAccounts, rulesHash }) =>
+        buildGovernanceEnvelope({
+            requestId,
+            kind: 'rule_update',
+            signerAddress: RECOVERY_ACCOUNTS[0].address,
+            transactions: ruleUpdateTransactions,
+            explanation: await buildGovernanceExplanation({
+                kind: 'rule_update',
+                action: 'rule_update',
+                signerAccounts,
+                rulesHash,
+            }),
+        });
+
+    const ruleUpdateResult = await verifyGovernance(
+        await buildRuleUpdateEnvelope({
+            requestId: 'rule-update-valid',
+            signerAccounts: RECOVERY_ACCOUNTS.slice(0, 2),
+            rulesHash: computeRulesHash(newRulesText),
+        }),
+        pausedHistory
+    );
+    assert.equal(ruleUpdateResult.status, 'valid');
+    assert.equal(ruleUpdateResult.derivedFacts.newRulesHash, computeRulesHash(newRulesText));
+    assert.equal(ruleUpdateResult.derivedFacts.paused, true);
+
+    const underQuorumResult = await verifyGovernance(
+        await buildRuleUpdateEnvelope({
+            requestId: 'rule-update-under-quorum',
+            signerAccounts: RECOVERY_ACCOUNTS.slice(0, 1),
+            rulesHash: computeRulesHash(newRulesText),
+        })
+    );
+    assert.equal(underQuorumResult.status, 'invalid');
+    assert.equal(findCheckStatus(underQuorumResult, 'explanation_signatures'), 'fail');
+
+    const wrongRulesHashResult = await verifyGovernance(
+        await buildRuleUpdateEnvelope({
+            requestId: 'rule-update-wrong-rules',
+            signerAccounts: RECOVERY_ACCOUNTS.slice(0, 2),
+            rulesHash: computeRulesHash(rulesText),
+        })
+    );
+    assert.equal(wrongRulesHashResult.status, 'invalid');
+    assert.equal(findCheckStatus(wrongRulesHashResult, 'explanation_signatures'), 'fail');
+}
+
+async function runRuleTemplateCatalogChecks() {
+    // The deploy frontend composes rules from RULE_TEMPLATES.md against this coverage table.
+    const catalog = await readFile(
+        new URL('../../agent-library/RULE_TEMPLATES.md', import.meta.url),
+        'utf8'
+    );
+    const titles = [...catalog.matchAll(/^([^\n]+)\n---\n/gm)].map((match) => match[1].trim());
+    assert.deepEqual(
+        titles.map((title) => title.toLowerCase()).sort(),
+        [...KNOWN_TEMPLATE_IDS_BY_TITLE.keys()].sort()
+    );
+    const templateIds = [...KNOWN_TEMPLATE_IDS_BY_TITLE.values()].sort();
+    for (const [proposalKind, coverage] of Object.entries(TEMPLATE_COVERAGE_BY_KIND)) {
+        assert.deepEqual(Object.keys(coverage).sort(), templateIds, proposalKind);
+    }
+
+    // Every template the frontend can fill must parse back as that template.
+    const samples = {
+        address: AGENT,
+        addressList: RECOVERY_ACCOUNTS.map((account) => account.address).join(', '),
+        percent: '1.5',
+        days: '30',
+        dollars: '2500.25',
+        integer: '2',
+        tokenList: `USDC, ${DEPOSIT_TOKEN}`,
+        text: '100 USDC',
+    };
+    for (const template of parseTemplateCatalog(catalog)) {
+        const values = template.placeholders.map((placeholder) =>
+            placeholder.type === 'choice' ? placeholder.options[0] : samples[placeholder.type]
+        );
+        if (template.templateId === 'account_recovery_and_rule_updates') {
+            values[1] = String(RECOVERY_ACCOUNTS.length);
+        }
+        template.placeholders.forEach((placeholder, position) => {
+            assert.equal(validatePlaceholder(placeholder, values[position]), '', template.title);
+        });
+        assert.equal(validateTemplate(template, values), '', template.title);
+
+        const body = fillTemplate(template, values);
+        assert.doesNotMatch(body, /\[[^\]]*\]/, template.title);
+        const parsed = parseStandardCommitmentRules(`${template.title}\n---\n${body}`);
+        assert.deepEqual(parsed.unparsedSections, [], template.title);
+        assert.deepEqual(
+            parsed.matchedTemplates.map((match) => match.templateId),
+            [template.templateId],
+            template.title
+        );
+    }
+}
+
 async function main() {
     const rulesText = buildRulesText();
     const publicClient = buildPublicClient();
@@ -242,6 +1248,72 @@ async function main() {
         validResult.checks.find((check) => check.id === 'whole_batch_value_ceiling')?.status,
         'pass'
     );
+    assert.equal(
+        validResult.checks.some((check) => check.id === 'deposit_price_snapshots_oracle'),
+        false
+    );
+
+    const buildStaticOracle = (prices) =>
+        createPriceOracle({ publicClient, sources: [createStaticPriceSource({ prices })] });
+    const oracleMatchResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'oracle-match' }),
+        publicClient,
+        storeRecords: [],
+        priceOracle: buildStaticOracle({
+            [DEPOSIT_TOKEN]: 2_010_000n,
+            [REIMBURSEMENT_TOKEN]: 1_000_000n,
+        }),
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(oracleMatchResult.status, 'valid');
+    assert.equal(
+        oracleMatchResult.checks.find((check) => check.id === 'deposit_price_snapshots_oracle')
+            ?.status,
+        'pass'
+    );
+    assert.deepEqual(
+        oracleMatchResult.derivedFacts.oraclePriceComparisons.map((entry) => [
+            entry.blockNumber,
+            entry.deviationBps,
+        ]),
+        [
+            ['123', 49],
+            ['123', 0],
+        ]
+    );
+
+    const oracleMismatchResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'oracle-mismatch' }),
+        publicClient,
+        storeRecords: [],
+        priceOracle: buildStaticOracle({
+            [DEPOSIT_TOKEN]: 1_500_000n,
+            [REIMBURSEMENT_TOKEN]: 1_000_000n,
+        }),
+        priceSnapshotToleranceBps: 200,
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(oracleMismatchResult.status, 'invalid');
+    const oracleMismatchCheck = oracleMismatchResult.checks.find(
+        (check) => check.id === 'deposit_price_snapshots_oracle'
+    );
+    assert.equal(oracleMismatchCheck?.status, 'fail');
+    assert.equal(oracleMismatchCheck.mismatches.length, 1);
+    assert.equal(oracleMismatchCheck.mismatches[0].oraclePriceUsdMicros, '1500000');
+
+    const oracleUnpricedResult = await verifyProposal({
+        envelope: buildEnvelope({ requestId: 'oracle-unpriced' }),
+        publicClient,
+        storeRecords: [],
+        priceOracle: buildStaticOracle({ [DEPOSIT_TOKEN]: 2_000_000n }),
+        nowMs: 1_760_000_001_000,
+    });
+    assert.equal(oracleUnpricedResult.status, 'unknown');
+    assert.match(
+        oracleUnpricedResult.checks.find((check) => check.id === 'deposit_price_snapshots_oracle')
+            ?.message ?? '',
+        /Price oracle could not price .* has 0 of 1 required sources/
+    );
 
     const nonAgentSignerResult = await verifyProposal({
         envelope: buildEnvelope({
@@ -620,6 +1692,11 @@ async function main() {
         'pass'
     );
 
+    await runTemplateLimitChecks();
+    await runFeeWithdrawalChecks();
+    await runGovernanceChecks();
+    await runRuleTemplateCatalogChecks();
+
     console.log('[test] proposal verification OK');
 }
 
@@ -0,0 +1,235 @@
+import assert from 'node:assert/strict';
+import { pollCommitmentChanges, pollProposalChanges } from '../src/lib/polling.js';
+import { createReorgTracker } from '../src/lib/reorg-tracker.js';
+
+const SAFE = '0x1234000000000000000000000000000000000000';
+const TOKEN = '0x1c7d4b196cb0c7b01d743fbc6116a902379c7238';
+const OG_MODULE = '0x9999999999999999999999999999999999999999';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+
+function blockHash(blockNumber, fork = 'a') {
+    return `0x${fork.repeat(2)}${BigInt(blockNumber).toString(16).padStart(62, '0')}`;
+}
+
+// Blocks at or above `forkFrom` take the hash of the current fork; `head` bounds the chain.
+function buildChain({ head, forkFrom = null, fork = 'a' }) {
+    const chain = { head, forkFrom, fork, blockReads: [] };
+    chain.client = {
+        async getBlockNumber() {
+            return chain.head;
+        },
+        async getBlock({ blockNumber }) {
+            chain.blockReads.push(blockNumber);
+            if (blockNumber > chain.head) {
+                const error = new Error(`Block at number "${blockNumber}" could not be found.`);
+                error.name = 'BlockNotFoundError';
+                throw error;
+            }
+            const onFork = chain.forkFrom !== null && blockNumber >= chain.forkFrom;
+            return { number: blockNumber, hash: blockHash(blockNumber, onFork ? chain.fork : 'a') };
+        },
+    };
+    return chain;
+}
+
+async function testTrackerDetectsAndRetracts() {
+    const chain = buildChain({ head: 120n });
+    const tracker = createReorgTracker({ publicClient: chain.client, trackingDepth: 10 });
+    assert.equal(await tracker.detectReorg(), null);
+
+    await tracker.observeBlock(100n);
+    tracker.recordEvents([
+        { kind: 'deposit', blockNumber: 104n, blockHash: blockHash(104n), id: 'dep-104' },
+        { kind: 'deposit', blockNumber: 108n, blockHash: blockHash(108n), id: 'dep-108' },
+    ]);
+    await tracker.observeBlock(110n);
+    assert.deepEqual(
+        tracker.getBlockHashes().map((entry) => entry.blockNumber),
+        [100n, 104n, 108n, 110n]
+    );
+
+    // Canonical tip: one block read, no reorg.
+    chain.blockReads.length = 0;
+    assert.equal(await tracker.detectReorg(), null);
+    assert.deepEqual(chain.blockReads, [110n]);
+
+    // Blocks from 106 are replaced: 104 is the highest tracked block that still matches.
+    chain.forkFrom = 106n;
+    chain.fork = 'b';
+    const reorg = await tracker.detectReorg();
+    assert.equal(reorg.commonAncestorBlock, 104n);
+    assert.deepEqual(
+        reorg.retractedEvents.map((event) => event.id),
+        ['dep-108']
+    );
+    assert.deepEqual(
+        tracker.getBlockHashes().map((entry) => entry.blockNumber),
+        [100n, 104n]
+    );
+    assert.equal(await tracker.detectReorg(), null);
+
+    // A shorter replacement chain reports missing blocks as reorged.
+    await tracker.observeBlock(110n);
+    chain.head = 105n;
+    const shortened = await tracker.detectReorg();
+    assert.equal(shortened.commonAncestorBlock, 104n);
+
+    // Nothing matches: rewind below the lowest tracked block.
+    chain.head = 120n;
+    chain.forkFrom = 0n;
+    chain.fork = 'c';
+    const deep = await tracker.detectReorg();
+    assert.equal(deep.commonAncestorBlock, 99n);
+    assert.deepEqual(
+        deep.retractedEvents.map((event) => event.id),
+        ['dep-104']
+    );
+
+    chain.forkFrom = null;
+    tracker.restoreBlockHashes([
+        { blockNumber: 90n, blockHash: blockHash(90n) },
+        { blockNumber: 115n, blockHash: blockHash(115n) },
+    ]);
+    tracker.recordEvents([{ kind: 'deposit', blockNumber: 95n, id: 'old' }]);
+    tracker.prune(120n);
+    assert.deepEqual(
+        tracker.getBlockHashes().map((entry) => entry.blockNumber),
+        [115n]
+    );
+    chain.forkFrom = 0n;
+    const afterPrune = await tracker.detectReorg();
+    assert.equal(afterPrune.commonAncestorBlock, 114n);
+    assert.deepEqual(afterPrune.retractedEvents, []);
+}
+
+async function testCommitmentScanHonorsConfirmationDepth() {
+    const scannedRanges = [];
+    const publicClient = {
+        async getBlockNumber() {
+            return 110n;
+        },
+        async getLogs({ fromBlock, toBlock }) {
+            scannedRanges.push([fromBlock, toBlock]);
+            return [
+                {
+                    args: { from: RECIPIENT, to: SAFE, value: 7n },
+                    blockNumber: 103n,
+                    blockHash: blockHash(103n),
+                    transactionHash: `0x${'12'.repeat(32)}`,
+                    logIndex: 1,
+                },
+            ];
+        },
+        async readContract() {
+            return 7n;
+        },
+    };
+
+    const result = await pollCommitmentChanges({
+        publicClient,
+        trackedAssets: new Set([TOKEN]),
+        commitmentSafe: SAFE,
+        watchNativeBalance: false,
+        lastCheckedBlock: 100n,
+        lastNativeBalance: undefined,
+        lastAssetBalances: new Map(),
+        confirmationDepth: 5,
+    });
+    assert.deepEqual(scannedRanges, [[101n, 105n]]);
+    assert.equal(result.lastCheckedBlock, 105n);
+    assert.equal(result.deposits.length, 1);
+    assert.equal(result.deposits[0].blockHash, blockHash(103n));
+
+    // Nothing is confirmed past the cursor yet.
+    const idle = await pollCommitmentChanges({
+        publicClient,
+        trackedAssets: new Set([TOKEN]),
+        commitmentSafe: SAFE,
+        watchNativeBalance: false,
+        lastCheckedBlock: 105n,
+        lastNativeBalance: undefined,
+        lastAssetBalances: new Map(),
+        confirmationDepth: 5,
+    });
+    assert.equal(idle.lastCheckedBlock, 105n);
+    assert.equal(scannedRanges.length, 1);
+}
+
+async function testProposalScanReportsLifecycleEvents() {
+    const proposalHash = `0x${'ab'.repeat(32)}`;
+    const existingHash = `0x${'cd'.repeat(32)}`;
+    const existing = { proposalHash: existingHash, transactions: [] };
+    const proposalsByHash = new Map([[existingHash, existing]]);
+    const logsByEvent = {
+        TransactionsProposed: [
+            {
+                args: {
+                    proposer: RECIPIENT,
+                    proposalHash,
+                    assertionId: `0x${'ef'.repeat(32)}`,
+                    proposal: {
+                        transactions: [{ to: RECIPIENT, operation: 0, value: 1n, data: '0x' }],
+                    },
+                    challengeWindowEnds: 1_000n,
+                },
+                blockNumber: 202n,
+                blockHash: blockHash(202n),
+                logIndex: 0,
+            },
+        ],
+        ProposalExecuted: [
+            {
+                args: { proposalHash: existingHash },
+                blockNumber: 201n,
+                blockHash: blockHash(201n),
+                logIndex: 3,
+            },
+        ],
+        ProposalDeleted: [],
+    };
+    const scannedTo = [];
+    const publicClient = {
+        async getBlockNumber() {
+            return 212n;
+        },
+        async getLogs({ event, toBlock }) {
+            scannedTo.push(toBlock);
+            return logsByEvent[event.name];
+        },
+    };
+
+    const result = await pollProposalChanges({
+        publicClient,
+        ogModule: OG_MODULE,
+        lastProposalCheckedBlock: 199n,
+        proposalsByHash,
+        startBlock: undefined,
+        logChunkSize: 5_000n,
+        confirmationDepth: 2,
+    });
+    assert.equal(result.lastProposalCheckedBlock, 210n);
+    assert.ok(scannedTo.every((block) => block === 210n));
+    assert.deepEqual(
+        result.proposalEvents.map((event) => [event.kind, event.proposalHash, event.blockNumber]),
+        [
+            ['executed', existingHash, 201n],
+            ['proposed', proposalHash, 202n],
+        ]
+    );
+    assert.equal(result.proposalEvents[0].proposal, existing);
+    assert.equal(result.proposalEvents[1].blockHash, blockHash(202n));
+    assert.equal(proposalsByHash.has(existingHash), false);
+    assert.equal(proposalsByHash.has(proposalHash), true);
+}
+
+async function run() {
+    await testTrackerDetectsAndRetracts();
+    await testCommitmentScanHonorsConfirmationDepth();
+    await testProposalScanReportsLifecycleEvents();
+    console.log('[test] reorg handling OK');
+}
+
+run().catch((error) => {
+    console.error('[test] reorg handling failed:', error?.message ?? error);
+    process.exit(1);
+});
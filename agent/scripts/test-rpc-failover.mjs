@@ -0,0 +1,358 @@
+import assert from 'node:assert/strict';
+import { createPublicClient, keccak256 } from 'viem';
+import { createValidatedReadOnlyRuntime } from '../src/lib/chain-runtime.js';
+import {
+    createRpcEndpointPool,
+    createRpcTransport,
+    isDeterministicRpcError,
+    resolveRpcEndpoints,
+} from '../src/lib/rpc-transport.js';
+
+const PRIMARY = 'https://primary.example/v2/secret-key';
+const BACKUP = 'https://backup.example';
+const THIRD = 'https://third.example';
+
+function networkError(message = 'fetch failed') {
+    const error = new Error(message);
+    error.name = 'HttpRequestError';
+    return error;
+}
+
+function revertError() {
+    const error = new Error('execution reverted: not allowed');
+    error.code = 3;
+    return error;
+}
+
+// Each endpoint answers from `handlers[url]`; every call is recorded as `url method`.
+function buildTransports(handlers) {
+    const calls = [];
+    const httpTransportFn = (url) => () => ({
+        async request({ method, params }) {
+            calls.push(`${url} ${method}`);
+            return handlers[url]({ method, params });
+        },
+    });
+    return { calls, httpTransportFn };
+}
+
+function buildClock(startMs = 1_000_000) {
+    const clock = { nowMs: startMs, sleeps: [] };
+    clock.nowFn = () => clock.nowMs;
+    clock.sleepFn = async (ms) => {
+        clock.sleeps.push(ms);
+        clock.nowMs += ms;
+    };
+    return clock;
+}
+
+function testResolveEndpoints() {
+    assert.deepEqual(
+        resolveRpcEndpoints({
+            rpcUrl: PRIMARY,
+            rpcEndpoints: [BACKUP, { url: PRIMARY }, { url: THIRD, rateLimitPerSecond: 2 }],
+        }),
+        [
+            { url: PRIMARY, rateLimitPerSecond: undefined },
+            { url: BACKUP, rateLimitPerSecond: undefined },
+            { url: THIRD, rateLimitPerSecond: 2 },
+        ]
+    );
+    assert.throws(() => resolveRpcEndpoints({ rpcEndpoints: [{}] }), /non-empty URL strings/);
+    assert.equal(isDeterministicRpcError(revertError()), true);
+    assert.equal(isDeterministicRpcError({ message: 'wrapped', cause: revertError() }), true);
+    assert.equal(isDeterministicRpcError(networkError()), false);
+}
+
+async function testFailoverAndCooldown() {
+    let primaryDown = true;
+    let backupDown = false;
+    const { calls, httpTransportFn } = buildTransports({
+        [PRIMARY]: async ({ method }) => {
+            if (primaryDown) {
+                throw networkError();
+            }
+            return method === 'eth_call' ? '0x01' : '0x10';
+        },
+        [BACKUP]: async ({ method }) => {
+            if (backupDown) {
+                throw networkError('503 Service Unavailable');
+            }
+            if (method === 'eth_call') {
+                throw revertError();
+            }
+            return '0x11';
+        },
+    });
+    const clock = buildClock();
+    const pool = createRpcEndpointPool({
+        endpoints: resolveRpcEndpoints({ rpcUrl: PRIMARY, rpcEndpoints: [BACKUP] }),
+        httpTransportFn,
+        nowFn: clock.nowFn,
+        sleepFn: clock.sleepFn,
+    });
+
+    assert.equal(await pool.request({ method: 'eth_blockNumber' }), '0x11');
+    assert.deepEqual(calls, [`${PRIMARY} eth_blockNumber`, `${BACKUP} eth_blockNumber`]);
+
+    // The failed primary cools down, so the next request goes straight to the backup.
+    calls.length = 0;
+    assert.equal(await pool.request({ method: 'eth_blockNumber' }), '0x11');
+    assert.deepEqual(calls, [`${BACKUP} eth_blockNumber`]);
+
+    // Reverts are answers, not outages: no failover and no health penalty.
+    calls.length = 0;
+    await assert.rejects(pool.request({ method: 'eth_call' }), /execution reverted/);
+    assert.deepEqual(calls, [`${BACKUP} eth_call`]);
+
+    const [primaryHealth, backupHealth] = pool.getHealth();
+    assert.equal(primaryHealth.endpoint, 'primary.example');
+    assert.equal(primaryHealth.coolingDown, true);
+    assert.equal(primaryHealth.failures, 1);
+    assert.ok(primaryHealth.score < backupHealth.score);
+    assert.equal(backupHealth.failures, 0);
+
+    // The healthier backup keeps the traffic; the recovered primary takes over when it fails.
+    primaryDown = false;
+    clock.nowMs += 60_000;
+    backupDown = true;
+    calls.length = 0;
+    assert.equal(await pool.request({ method: 'eth_blockNumber' }), '0x10');
+    assert.deepEqual(calls, [`${BACKUP} eth_blockNumber`, `${PRIMARY} eth_blockNumber`]);
+
+    const downPool = createRpcEndpointPool({
+        endpoints: resolveRpcEndpoints({ rpcUrl: PRIMARY }),
+        httpTransportFn: buildTransports({
+            [PRIMARY]: async () => {
+                throw networkError('socket hang up');
+            },
+        }).httpTransportFn,
+        nowFn: clock.nowFn,
+    });
+    await assert.rejects(downPool.request({ method: 'eth_chainId' }), /socket hang up/);
+    // Every endpoint cooling down still gets tried instead of failing outright.
+    await assert.rejects(downPool.request({ method: 'eth_chainId' }), /socket hang up/);
+    assert.equal(downPool.getHealth()[0].requests, 2);
+}
+
+async function testBroadcastDuringFailover() {
+    const rawTransaction = '0x02f8650180843b9aca00';
+    const { calls, httpTransportFn } = buildTransports({
+        // The primary broadcasts, then times out before answering.
+        [PRIMARY]: async () => {
+            throw networkError('The request took too long to respond.');
+        },
+        [BACKUP]: async () => {
+            const error = new Error('already known');
+            error.code = -32000;
+            throw error;
+        },
+    });
+    const pool = createRpcEndpointPool({
+        endpoints: resolveRpcEndpoints({ rpcUrl: PRIMARY, rpcEndpoints: [BACKUP] }),
+        httpTransportFn,
+        nowFn: buildClock().nowFn,
+    });
+    assert.equal(
+        await pool.request({ method: 'eth_sendRawTransaction', params: [rawTransaction] }),
+        keccak256(rawTransaction)
+    );
+    assert.deepEqual(calls, [
+        `${PRIMARY} eth_sendRawTransaction`,
+        `${BACKUP} eth_sendRawTransaction`,
+    ]);
+
+    // Without a failed attempt first, "already known" is still the caller's error to handle.
+    calls.length = 0;
+    await assert.rejects(
+        pool.request({ method: 'eth_sendRawTransaction', params: [rawTransaction] }),
+        /already known/
+    );
+    assert.deepEqual(calls, [`${BACKUP} eth_sendRawTransaction`]);
+}
+
+async function testRateLimits() {
+    const { calls, httpTransportFn } = buildTransports({
+        [PRIMARY]: async () => '0x1',
+        [BACKUP]: async () => '0x1',
+    });
+    const clock = buildClock();
+    const pool = createRpcEndpointPool({
+        endpoints: [
+            { url: PRIMARY, rateLimitPerSecond: 1 },
+            { url: BACKUP, rateLimitPerSecond: 2 },
+        ],
+        httpTransportFn,
+        nowFn: clock.nowFn,
+        sleepFn: clock.sleepFn,
+    });
+
+    for (let index = 0; index < 4; index += 1) {
+        await pool.request({ method: 'eth_chainId' });
+    }
+    // One token on the primary and two on the backup; the fourth request waits for a refill.
+    assert.deepEqual(
+        calls.map((call) => call.split(' ')[0]),
+        [PRIMARY, BACKUP, BACKUP, BACKUP]
+    );
+    assert.deepEqual(clock.sleeps, [500]);
+}
+
+async function testQuorum() {
+    const answers = { [PRIMARY]: 'rules v1', [BACKUP]: 'rules v1', [THIRD]: 'rules v2' };
+    const heads = { [PRIMARY]: '0x64', [BACKUP]: '0x62', [THIRD]: '0x63' };
+    let backupDown = false;
+    // The backup returns the primary's block hash upper-cased.
+    const blockHashes = {
+        [PRIMARY]: `0x${'a'.repeat(64)}`,
+        [BACKUP]: `0x${'A'.repeat(64)}`,
+        [THIRD]: `0x${'b'.repeat(64)}`,
+    };
+    const receiptStatuses = { [PRIMARY]: '0x1', [BACKUP]: '0x1', [THIRD]: '0x0' };
+    const handler = (url) => async ({ method }) => {
+        if (url === BACKUP && backupDown) {
+            throw networkError();
+        }
+        if (method === 'eth_blockNumber') {
+            return heads[url];
+        }
+        // Providers disagree on non-consensus fields, which quorum ignores.
+        if (method === 'eth_getBlockByNumber') {
+            return {
+                hash: blockHashes[url],
+                number: '0x10',
+                timestamp: '0x5f5e100',
+                ...(url === PRIMARY ? { totalDifficulty: '0x0' } : { sendCount: '0x1' }),
+            };
+        }
+        if (method === 'eth_getTransactionReceipt') {
+            return {
+                status: receiptStatuses[url],
+                blockHash: blockHashes[PRIMARY],
+                logs: [
+                    {
+                        address: '0x5555555555555555555555555555555555555555',
+                        topics: [],
+                        data: '0x',
+                        logIndex: '0x0',
+                        ...(url === BACKUP ? { blockTimestamp: '0x5f5e100' } : {}),
+                    },
+                ],
+                ...(url === BACKUP ? { l1Fee: '0x10', l1GasUsed: '0x20' } : {}),
+            };
+        }
+        if (method === 'eth_getLogs') {
+            return [{ blockNumber: '0x1', logIndex: '0x0', data: answers[url] }];
+        }
+        return answers[url];
+    };
+    const { calls, httpTransportFn } = buildTransports({
+        [PRIMARY]: handler(PRIMARY),
+        [BACKUP]: handler(BACKUP),
+        [THIRD]: handler(THIRD),
+    });
+    const pool = createRpcEndpointPool({
+        endpoints: resolveRpcEndpoints({ rpcUrl: PRIMARY, rpcEndpoints: [BACKUP, THIRD] }),
+        httpTransportFn,
+    });
+
+    assert.equal(await pool.quorumRequest({ method: 'eth_call' }, 2), 'rules v1');
+    assert.equal(calls.length, 2);
+
+    const logs = await pool.quorumRequest({ method: 'eth_getLogs' }, 2);
+    assert.equal(logs[0].data, 'rules v1');
+
+    // Heads differ between providers; quorum settles on the lowest reported head.
+    assert.equal(await pool.quorumRequest({ method: 'eth_blockNumber' }, 3), '0x62');
+
+    const block = await pool.quorumRequest({ method: 'eth_getBlockByNumber' }, 2);
+    assert.equal(block.hash, blockHashes[PRIMARY]);
+    assert.equal(block.totalDifficulty, '0x0');
+    await assert.rejects(
+        pool.quorumRequest({ method: 'eth_getBlockByNumber' }, 3),
+        /RPC quorum of 3 not reached for eth_getBlockByNumber: 2 different answers/
+    );
+    const receipt = await pool.quorumRequest({ method: 'eth_getTransactionReceipt' }, 2);
+    assert.equal(receipt.status, '0x1');
+    await assert.rejects(
+        pool.quorumRequest({ method: 'eth_getTransactionReceipt' }, 3),
+        /RPC quorum of 3 not reached for eth_getTransactionReceipt: 2 different answers/
+    );
+
+    // With the backup down the two remaining endpoints disagree.
+    backupDown = true;
+    await assert.rejects(
+        pool.quorumRequest({ method: 'eth_call' }, 2),
+        /RPC quorum of 2 not reached for eth_call: 2 different answers; backup.example/
+    );
+    await assert.rejects(
+        pool.quorumRequest({ method: 'eth_call' }, 4),
+        /exceeds the 3 usable endpoint/
+    );
+}
+
+async function testValidatedRuntime() {
+    const { httpTransportFn } = buildTransports({
+        [PRIMARY]: async ({ method }) => (method === 'eth_chainId' ? '0xaa36a7' : '0x5'),
+        [BACKUP]: async ({ method }) => (method === 'eth_chainId' ? '0xaa36a7' : '0x7'),
+        [THIRD]: async () => '0x1',
+    });
+
+    const runtime = await createValidatedReadOnlyRuntime({
+        rpcUrl: PRIMARY,
+        rpcEndpoints: [BACKUP],
+        rpcQuorum: 2,
+        expectedChainId: 11155111,
+        createPublicClientFn: createPublicClient,
+        httpTransportFn,
+    });
+    assert.equal(runtime.chainId, 11155111);
+    assert.notEqual(runtime.quorumPublicClient, runtime.publicClient);
+    assert.equal(await runtime.quorumPublicClient.getBlockNumber({ cacheTime: 0 }), 5n);
+
+    // A fallback on another chain is rejected before it can serve a read.
+    await assert.rejects(
+        createValidatedReadOnlyRuntime({
+            rpcUrl: PRIMARY,
+            rpcEndpoints: [THIRD],
+            expectedChainId: 11155111,
+            createPublicClientFn: createPublicClient,
+            httpTransportFn,
+        }),
+        /Resolved rpcUrl endpoint third\.example for chainId 11155111 is connected to chainId 1/
+    );
+
+    await assert.rejects(
+        createValidatedReadOnlyRuntime({
+            rpcUrl: PRIMARY,
+            rpcQuorum: 2,
+            createPublicClientFn: createPublicClient,
+            httpTransportFn,
+        }),
+        /rpcQuorum \(2\) exceeds the 1 configured RPC endpoint/
+    );
+
+    const transport = createRpcTransport({
+        pool: createRpcEndpointPool({
+            endpoints: resolveRpcEndpoints({ rpcUrl: PRIMARY, rpcEndpoints: [BACKUP] }),
+            httpTransportFn,
+        }),
+        quorum: 2,
+    });
+    assert.equal(transport({}).config.key, 'oyaRpcQuorum');
+}
+
+async function run() {
+    testResolveEndpoints();
+    await testFailoverAndCooldown();
+    await testBroadcastDuringFailover();
+    await testRateLimits();
+    await testQuorum();
+    await testValidatedRuntime();
+    console.log('[test] rpc failover OK');
+}
+
+run().catch((error) => {
+    console.error('[test] rpc failover failed:', error?.message ?? error);
+    process.exit(1);
+});
@@ -364,6 +364,7 @@ async function run() {
         'utf8'
     );
 
+    const sentNonces = [];
     const overlayDrivenRuntimeResolver = await createProposalPublishSubmissionRuntimeResolver({
         agentRef: 'overlay-propose',
         env: {},
@@ -378,6 +379,15 @@ async function run() {
             async getChainId() {
                 return 11155111;
             },
+            async getTransactionCount() {
+                return 3;
+            },
+            async estimateGas() {
+                return 21_000n;
+            },
+            async estimateFeesPerGas() {
+                return { maxFeePerGas: 10n, maxPriorityFeePerGas: 1n };
+            },
         }),
         createSignerClientFn: async () => ({
             account: { address: '0x1111111111111111111111111111111111111111' },
@@ -386,6 +396,10 @@ async function run() {
                     assert.equal(method, 'eth_chainId');
                     return '0xaa36a7';
                 },
+                async sendTransaction({ nonce }) {
+                    sentNonces.push(nonce);
+                    return `0x${String(nonce).padStart(64, '0')}`;
+                },
             },
         }),
     });
@@ -398,6 +412,26 @@ async function run() {
     );
     assert.equal(overlayDrivenRuntime.runtimeConfig.proposeEnabled, true);
 
+    // Proposal submissions go through the signer-keyed journal the agent and control node use,
+    // so a nonce the node has not seen yet is never reused.
+    assert.equal(
+        overlayDrivenRuntime.nonceManager.stateFile,
+        path.join(
+            repoRootPath,
+            'agent',
+            '.state',
+            'tx-journal',
+            'chain-11155111-0x1111111111111111111111111111111111111111.json'
+        )
+    );
+    for (let index = 0; index < 2; index += 1) {
+        await overlayDrivenRuntime.walletClient.sendTransaction({
+            to: '0x2222222222222222222222222222222222222222',
+            data: '0x',
+        });
+    }
+    assert.deepEqual(sentNonces, [3, 4]);
+
     const mismatchedSignerRuntimeResolver = await createProposalPublishSubmissionRuntimeResolver({
         agentRef: 'multichain-propose',
         env: {},
@@ -1,5 +1,5 @@
 import assert from 'node:assert/strict';
-import { stringToHex, zeroAddress } from 'viem';
+import { encodeAbiParameters, stringToHex, zeroAddress } from 'viem';
 import { executeToolCalls, toolDefinitions } from '../src/lib/tools.js';
 
 const TEST_ACCOUNT = { address: '0x1111111111111111111111111111111111111111' };
@@ -49,6 +49,11 @@ function buildProposalPublicClient() {
             }
             throw new Error(`Unexpected readContract function: ${functionName}`);
         },
+        async call() {
+            return {
+                data: encodeAbiParameters([{ type: 'bool' }, { type: 'bytes' }], [true, '0x']),
+            };
+        },
         async simulateContract() {
             return {};
         },
@@ -122,9 +122,162 @@ async function run() {
     });
 
     assert.equal(secondPass.length, 0);
+
+    await runTwapChecks();
     console.log('[test] price trigger signal collection OK');
 }
 
+const CHAINLINK_ETH_USD = '0x694AA1769357215DE4FAC081bf1f309aDC325306';
+const TWAP_WINDOW_SECONDS = 1800;
+
+function tickForQuotePerBase({ quotePerBase, baseDecimals, quoteDecimals }) {
+    const raw = quotePerBase * 10 ** (quoteDecimals - baseDecimals);
+    return Math.round(Math.log(raw) / Math.log(1.0001));
+}
+
+// Spot slot0 has been pushed to 5000 within the block while the 30 minute TWAP sits at 3200.
+function buildTwapMockPublicClient({ liquidity = 10n ** 18n, chainlinkAnswer = 3_200n * 10n ** 8n, nowMs }) {
+    const base = buildMockPublicClient();
+    const meanTick = tickForQuotePerBase({ quotePerBase: 3200, baseDecimals: 18, quoteDecimals: 6 });
+    const manipulatedSqrtPrice = sqrtPriceX96ForQuotePerBase({
+        quotePerBase: 5000,
+        baseDecimals: 18,
+        quoteDecimals: 6,
+    });
+    const window = BigInt(TWAP_WINDOW_SECONDS);
+    return {
+        async readContract(request) {
+            const addr = request.address.toLowerCase();
+            if (addr === POOL_ETH_USDC.toLowerCase() && request.functionName === 'slot0') {
+                return [manipulatedSqrtPrice];
+            }
+            if (request.functionName === 'observe') {
+                assert.deepEqual(request.args, [[TWAP_WINDOW_SECONDS, 0]]);
+                const startCumulative = -10_000_000n;
+                return [
+                    [startCumulative, startCumulative + BigInt(meanTick) * window],
+                    [0n, (window << 128n) / liquidity],
+                ];
+            }
+            if (request.functionName === 'liquidity') {
+                return liquidity;
+            }
+            if (addr === CHAINLINK_ETH_USD.toLowerCase()) {
+                if (request.functionName === 'decimals') return 8;
+                if (request.functionName === 'latestRoundData') {
+                    return [1n, chainlinkAnswer, 0n, BigInt(Math.floor(nowMs / 1000) - 60), 1n];
+                }
+            }
+            return base.readContract(request);
+        },
+    };
+}
+
+async function collectOnce({ publicClient, triggers, nowMs }) {
+    return collectPriceTriggerSignals({
+        publicClient,
+        config: { uniswapV3FeeTiers: [500, 3000, 10000] },
+        triggers,
+        nowMs,
+        triggerState: new Map(),
+        tokenMetaCache: new Map(),
+        poolMetaCache: new Map(),
+        resolvedPoolCache: new Map(),
+    });
+}
+
+async function runTwapChecks() {
+    const nowMs = Date.now();
+    const trigger = {
+        id: 'eth-limit',
+        pool: POOL_ETH_USDC,
+        baseToken: WETH,
+        quoteToken: USDC,
+        comparator: 'gte',
+        threshold: 4000,
+        priority: 0,
+        emitOnce: true,
+    };
+
+    const spotSignals = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs }),
+        triggers: [trigger],
+        nowMs,
+    });
+    assert.equal(spotSignals.length, 1);
+    assert.equal(spotSignals[0].priceSource, 'spot');
+
+    const twapTrigger = { ...trigger, priceSource: 'twap', twapWindowSeconds: TWAP_WINDOW_SECONDS };
+    const twapSignals = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs }),
+        triggers: [twapTrigger],
+        nowMs,
+    });
+    assert.equal(twapSignals.length, 0);
+
+    const twapBelow = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs }),
+        triggers: [{ ...twapTrigger, comparator: 'lte', threshold: 3300 }],
+        nowMs,
+    });
+    assert.equal(twapBelow.length, 1);
+    assert.equal(twapBelow[0].priceSource, 'twap');
+    assert.equal(twapBelow[0].twapWindowSeconds, TWAP_WINDOW_SECONDS);
+    assert.ok(Math.abs(twapBelow[0].observedPrice - 3200) < 1);
+
+    // Harmonic-mean liquidity over the window must clear minLiquidity.
+    const thinPool = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs, liquidity: 1_000n }),
+        triggers: [{ ...twapTrigger, comparator: 'lte', threshold: 3300, minLiquidity: '1000000' }],
+        nowMs,
+    });
+    assert.equal(thinPool.length, 0);
+    const deepPool = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs, liquidity: 10n ** 12n }),
+        triggers: [{ ...twapTrigger, comparator: 'lte', threshold: 3300, minLiquidity: '1000000' }],
+        nowMs,
+    });
+    assert.equal(deepPool.length, 1);
+
+    // The spot push fires nothing once the pool price is cross-checked against Chainlink.
+    const checkedSpot = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs }),
+        triggers: [{ ...trigger, chainlinkFeed: CHAINLINK_ETH_USD }],
+        nowMs,
+    });
+    assert.equal(checkedSpot.length, 0);
+    const checkedTwap = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs, chainlinkAnswer: 3_210n * 10n ** 8n }),
+        triggers: [
+            {
+                ...twapTrigger,
+                comparator: 'lte',
+                threshold: 3300,
+                chainlinkFeed: CHAINLINK_ETH_USD,
+                maxChainlinkDeviationBps: 100,
+                chainlinkMaxAgeSeconds: 3600,
+            },
+        ],
+        nowMs,
+    });
+    assert.equal(checkedTwap.length, 1);
+    assert.equal(checkedTwap[0].chainlinkPrice, 3210);
+    const staleFeed = await collectOnce({
+        publicClient: buildTwapMockPublicClient({ nowMs }),
+        triggers: [
+            {
+                ...twapTrigger,
+                comparator: 'lte',
+                threshold: 3300,
+                chainlinkFeed: CHAINLINK_ETH_USD,
+                chainlinkMaxAgeSeconds: 30,
+            },
+        ],
+        nowMs,
+    });
+    assert.equal(staleFeed.length, 0);
+}
+
 run().catch((error) => {
     console.error(error);
     process.exit(1);
@@ -0,0 +1,236 @@
+import assert from 'node:assert/strict';
+import { decodeFunctionData, erc20Abi, getAddress, parseAbi, slice } from 'viem';
+import { buildOgTransactions } from '../src/lib/tx.js';
+import {
+    applySlippageToAmountIn,
+    encodeUniswapV3Path,
+    quoteBestExactInput,
+    quoteBestExactOutputSingle,
+    quoteMinOutWithSlippage,
+} from '../src/lib/uniswapV3Swap.js';
+
+const USDC = getAddress('0x1c7d4b196cb0c7b01d743fbc6116a902379c7238');
+const WETH = getAddress('0x7b79995e5f793a07bc00c21412e50ecae098e7f9');
+const DAI = getAddress('0x3e622317f8c93f7328350cf0b56d9ed4c620c5d6');
+const ROUTER = getAddress('0x3bfa4769fb09eefc5a80d6e87c3b9c650f7ae48e');
+const SAFE = getAddress('0x1234000000000000000000000000000000000000');
+const QUOTER = getAddress('0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3');
+
+const swapRouterAbi = parseAbi([
+    'function exactInput((bytes path,address recipient,uint256 amountIn,uint256 amountOutMinimum) params) payable returns (uint256 amountOut)',
+    'function exactOutputSingle((address tokenIn,address tokenOut,uint24 fee,address recipient,uint256 amountOut,uint256 amountInMaximum,uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountIn)',
+]);
+
+// Output per unit of input for each pool; missing pools revert like an uninitialized pool.
+const POOL_RATES = new Map([
+    [`${USDC}:${WETH}:500`, 2n],
+    [`${USDC}:${WETH}:3000`, 3n],
+    [`${USDC}:${DAI}:500`, 1n],
+    [`${DAI}:${WETH}:3000`, 5n],
+]);
+
+function poolRate(tokenIn, tokenOut, fee) {
+    const rate = POOL_RATES.get(`${getAddress(tokenIn)}:${getAddress(tokenOut)}:${Number(fee)}`);
+    if (!rate) {
+        throw new Error('execution reverted');
+    }
+    return rate;
+}
+
+function decodePath(path) {
+    const tokens = [getAddress(slice(path, 0, 20))];
+    const fees = [];
+    for (let offset = 20; offset < (path.length - 2) / 2; offset += 23) {
+        fees.push(Number(BigInt(slice(path, offset, offset + 3))));
+        tokens.push(getAddress(slice(path, offset + 3, offset + 23)));
+    }
+    return { tokens, fees };
+}
+
+function buildQuoterClient({ v2 = true, calls = [] } = {}) {
+    return {
+        async getChainId() {
+            return 11155111;
+        },
+        async simulateContract({ address, functionName, args }) {
+            calls.push({ address, functionName, args });
+            const isV2Single = typeof args[0] === 'object' && args[0] !== null;
+            const isV2Abi = isV2Single || functionName === 'quoteExactInput';
+            if (!v2 && isV2Single) {
+                throw new Error('function selector was not recognized');
+            }
+            let amount;
+            if (functionName === 'quoteExactInputSingle') {
+                const [tokenIn, tokenOut, fee, amountIn] = isV2Single
+                    ? [args[0].tokenIn, args[0].tokenOut, args[0].fee, args[0].amountIn]
+                    : args;
+                amount = amountIn * poolRate(tokenIn, tokenOut, fee);
+            } else if (functionName === 'quoteExactInput') {
+                const { tokens, fees } = decodePath(args[0]);
+                amount = args[1];
+                for (let index = 0; index < fees.length; index += 1) {
+                    amount *= poolRate(tokens[index], tokens[index + 1], fees[index]);
+                }
+            } else if (functionName === 'quoteExactOutputSingle') {
+                const [tokenIn, tokenOut, fee, amountOut] = isV2Single
+                    ? [args[0].tokenIn, args[0].tokenOut, args[0].fee, args[0].amount]
+                    : args;
+                amount = amountOut / poolRate(tokenIn, tokenOut, fee);
+            } else {
+                throw new Error(`Unexpected quoter function ${functionName}`);
+            }
+            return { result: isV2Abi && v2 ? [amount, 0n, 0, 0n] : amount };
+        },
+    };
+}
+
+async function runRoutingChecks() {
+    const best = await quoteBestExactInput({
+        publicClient: buildQuoterClient(),
+        config: { uniswapV3FeeTiers: [500, 3000] },
+        router: ROUTER,
+        recipient: SAFE,
+        tokenIn: USDC,
+        tokenOut: WETH,
+        amountIn: 1_000_000n,
+        intermediateTokens: [DAI, WETH],
+    });
+    assert.equal(best.quoter, QUOTER);
+    assert.deepEqual(best.tokens, [USDC, DAI, WETH]);
+    assert.deepEqual(best.fees, [500, 3000]);
+    assert.equal(best.quotedAmountOut, 5_000_000n);
+    assert.equal(best.minAmountOut, 4_975_000n);
+    assert.equal(best.action.kind, 'uniswap_v3_exact_input');
+    assert.equal(best.action.amountOutMinWei, '4975000');
+
+    const txs = buildOgTransactions([best.action]);
+    assert.equal(txs.length, 2);
+    assert.equal(txs[0].to, USDC);
+    const approve = decodeFunctionData({ abi: erc20Abi, data: txs[0].data });
+    assert.equal(approve.functionName, 'approve');
+    assert.equal(approve.args[0], ROUTER);
+    assert.equal(approve.args[1], 1_000_000n);
+    assert.equal(txs[1].to, ROUTER);
+    const swap = decodeFunctionData({ abi: swapRouterAbi, data: txs[1].data });
+    assert.equal(swap.functionName, 'exactInput');
+    assert.equal(
+        swap.args[0].path,
+        encodeUniswapV3Path({ tokens: [USDC, DAI, WETH], fees: [500, 3000] })
+    );
+    assert.deepEqual(decodePath(swap.args[0].path), { tokens: [USDC, DAI, WETH], fees: [500, 3000] });
+    assert.equal(swap.args[0].recipient, SAFE);
+    assert.equal(swap.args[0].amountOutMinimum, 4_975_000n);
+
+    // Without intermediates the best direct fee tier is chosen and a single-pool action emitted.
+    const direct = await quoteBestExactInput({
+        publicClient: buildQuoterClient(),
+        config: {},
+        router: ROUTER,
+        recipient: SAFE,
+        tokenIn: USDC,
+        tokenOut: WETH,
+        amountIn: 10n,
+        slippageBps: 100,
+    });
+    assert.equal(direct.action.kind, 'uniswap_v3_exact_input_single');
+    assert.equal(direct.action.fee, 3000);
+    assert.equal(direct.action.amountOutMinWei, '29');
+
+    await assert.rejects(
+        quoteBestExactInput({
+            publicClient: buildQuoterClient(),
+            config: {},
+            router: ROUTER,
+            recipient: SAFE,
+            tokenIn: WETH,
+            tokenOut: USDC,
+            amountIn: 10n,
+        }),
+        /No Uniswap V3 route returned a quote/
+    );
+}
+
+async function runExactOutputChecks() {
+    const quote = await quoteBestExactOutputSingle({
+        publicClient: buildQuoterClient(),
+        config: {},
+        router: ROUTER,
+        recipient: SAFE,
+        tokenIn: USDC,
+        tokenOut: WETH,
+        amountOut: 3_000_000n,
+    });
+    assert.equal(quote.fee, 3000);
+    assert.equal(quote.quotedAmountIn, 1_000_000n);
+    assert.equal(quote.maxAmountIn, 1_005_000n);
+    assert.equal(applySlippageToAmountIn(1n, 50), 2n);
+
+    const txs = buildOgTransactions([quote.action]);
+    assert.equal(txs.length, 3);
+    const approve = decodeFunctionData({ abi: erc20Abi, data: txs[0].data });
+    assert.equal(approve.args[1], 1_005_000n);
+    const swap = decodeFunctionData({ abi: swapRouterAbi, data: txs[1].data });
+    assert.equal(swap.functionName, 'exactOutputSingle');
+    assert.equal(swap.args[0].fee, 3000);
+    assert.equal(swap.args[0].amountOut, 3_000_000n);
+    assert.equal(swap.args[0].amountInMaximum, 1_005_000n);
+    const reset = decodeFunctionData({ abi: erc20Abi, data: txs[2].data });
+    assert.equal(reset.functionName, 'approve');
+    assert.equal(reset.args[1], 0n);
+
+    assert.throws(
+        () => buildOgTransactions([{ ...quote.action, amountInMaxWei: undefined }]),
+        /uniswap_v3_exact_output_single requires/
+    );
+}
+
+async function runSinglePoolChecks() {
+    // Legacy quoters only answer the positional V1 signature.
+    const calls = [];
+    const quoted = await quoteMinOutWithSlippage({
+        publicClient: buildQuoterClient({ v2: false, calls }),
+        config: {},
+        tokenIn: USDC,
+        tokenOut: WETH,
+        fee: 500,
+        amountIn: 1_000n,
+    });
+    assert.equal(quoted.quotedAmountOut, 2_000n);
+    assert.equal(quoted.minAmountOut, 1_990n);
+    assert.equal(calls.length, 2);
+
+    await assert.rejects(
+        quoteMinOutWithSlippage({
+            publicClient: buildQuoterClient(),
+            config: { uniswapV3Quoter: QUOTER },
+            tokenIn: USDC,
+            tokenOut: WETH,
+            fee: 10000,
+            amountIn: 1_000n,
+        }),
+        /No compatible Uniswap quoter found/
+    );
+    await assert.rejects(
+        quoteMinOutWithSlippage({
+            publicClient: { getChainId: async () => 10 },
+            config: {},
+            tokenIn: USDC,
+            tokenOut: WETH,
+            fee: 500,
+            amountIn: 1_000n,
+        }),
+        /No Uniswap V3 quoter configured for chainId 10/
+    );
+}
+
+async function run() {
+    await runRoutingChecks();
+    await runExactOutputChecks();
+    await runSinglePoolChecks();
+    console.log('[test] uniswap v3 swap routing OK');
+}
+
+run().catch((error) => {
+    console.error('[test] uniswap v3 swap routing failed:', error?.message ?? error);
+    process.exit(1);
+});
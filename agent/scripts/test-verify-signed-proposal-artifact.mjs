@@ -2,15 +2,46 @@ import assert from 'node:assert/strict';
 import os from 'node:os';
 import path from 'node:path';
 import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import {
+    concat,
+    createPublicClient,
+    custom,
+    hashTypedData,
+    serializeErc6492Signature,
+} from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import {
     buildProposalPublicationArtifact,
     buildSignedProposalEnvelope,
     buildSignedProposalPayload,
+    buildSignedProposalTypedData,
     verifySignedProposalArtifact,
 } from '../src/lib/signed-proposal.js';
 import { loadArtifactInput } from './verify-signed-proposal-artifact.mjs';
 
+// Answers the ERC-6492 validator eth_call viem sends: `wallet` accepts exactly the listed
+// signatures over the listed hashes.
+function buildContractWalletClient({ wallet, accepted }) {
+    return createPublicClient({
+        transport: custom({
+            async request({ method, params }) {
+                if (method !== 'eth_call') {
+                    throw new Error(`Unexpected RPC method ${method}.`);
+                }
+                const data = params[0].data.toLowerCase();
+                const valid =
+                    data.includes(wallet.slice(2).toLowerCase()) &&
+                    accepted.some(
+                        ({ hash, signature }) =>
+                            data.includes(hash.slice(2)) &&
+                            data.includes(signature.slice(2).toLowerCase())
+                    );
+                return `0x${valid ? '1'.padStart(64, '0') : '0'.repeat(64)}`;
+            },
+        }),
+    });
+}
+
 async function run() {
     const tempDir = await mkdtemp(path.join(os.tmpdir(), 'verify-signed-proposal-artifact-'));
     const account = privateKeyToAccount(`0x${'1'.repeat(64)}`);
@@ -73,6 +104,79 @@ async function run() {
     assert.equal(verification.publishedAtMs, envelope.timestampMs + 20);
     assert.equal(verification.publication.signerAllowlistMode, 'explicit');
     assert.equal(verification.publication.nodeName, 'verify-test-node');
+    assert.equal(verification.authType, 'eip191');
+
+    const typedData = buildSignedProposalTypedData(envelope);
+    assert.equal(typedData.domain.verifyingContract, '0x3333333333333333333333333333333333333333');
+    assert.equal(typedData.message.transactions[0].data, '0x1234');
+    const typedArtifact = buildProposalPublicationArtifact({
+        authType: 'eip712',
+        signer: account.address,
+        signature: await account.signTypedData(typedData),
+        signedAtMs: envelope.timestampMs,
+        canonicalMessage,
+        envelope,
+        receivedAtMs: envelope.timestampMs + 10,
+        publishedAtMs: envelope.timestampMs + 20,
+        signerAllowlistMode: 'explicit',
+    });
+    const typedVerification = await verifySignedProposalArtifact(typedArtifact);
+    assert.equal(typedVerification.authType, 'eip712');
+    assert.equal(typedVerification.signer, account.address.toLowerCase());
+    await assert.rejects(
+        () =>
+            verifySignedProposalArtifact({
+                ...typedArtifact,
+                signedProposal: { ...typedArtifact.signedProposal, signature },
+            }),
+        /does not recover to the archived signer/
+    );
+
+    // A counterfactual Safe whose owner signs; the ERC-6492 wrapper carries its deployment call.
+    const safeWallet = '0x5555555555555555555555555555555555555555';
+    const safeEnvelope = buildSignedProposalEnvelope({
+        ...envelope,
+        address: safeWallet,
+        requestId: 'verify-artifact-safe',
+    });
+    const safeTypedData = buildSignedProposalTypedData(safeEnvelope);
+    const safeHash = hashTypedData(safeTypedData);
+    const safeSignature = serializeErc6492Signature({
+        address: '0x6666666666666666666666666666666666666666',
+        data: '0xabcdef',
+        signature: concat([await account.sign({ hash: safeHash }), '0x01']),
+    });
+    const safeArtifact = buildProposalPublicationArtifact({
+        authType: 'eip712',
+        signer: safeWallet,
+        signature: safeSignature,
+        signedAtMs: safeEnvelope.timestampMs,
+        canonicalMessage: buildSignedProposalPayload(safeEnvelope),
+        envelope: safeEnvelope,
+        receivedAtMs: safeEnvelope.timestampMs + 10,
+        publishedAtMs: safeEnvelope.timestampMs + 20,
+        signerAllowlistMode: 'explicit',
+    });
+    await assert.rejects(
+        () => verifySignedProposalArtifact(safeArtifact),
+        /pass publicClient to verify contract wallet signers/
+    );
+    const safeVerification = await verifySignedProposalArtifact(safeArtifact, {
+        publicClient: buildContractWalletClient({
+            wallet: safeWallet,
+            accepted: [{ hash: safeHash, signature: safeSignature }],
+        }),
+    });
+    assert.equal(safeVerification.signer, safeWallet);
+    assert.equal(safeVerification.signerType, 'contract');
+    await assert.rejects(
+        () =>
+            verifySignedProposalArtifact(safeArtifact, {
+                publicClient: buildContractWalletClient({ wallet: safeWallet, accepted: [] }),
+            }),
+        /does not recover to the archived signer\.$/
+    );
+    assert.equal(verification.signerType, 'eoa');
 
     const tamperedArtifact = {
         ...artifact,
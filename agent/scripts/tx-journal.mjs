@@ -0,0 +1,173 @@
+import { getAddress } from 'viem';
+import {
+    resolveAgentRuntimeConfig,
+    resolveConfiguredChainId,
+} from '../src/lib/agent-config.js';
+import { createValidatedReadWriteRuntime } from '../src/lib/chain-runtime.js';
+import { buildConfig } from '../src/lib/config.js';
+import { createRuntimeNonceManager, resolveTxJournalFile } from '../src/lib/runtime-bootstrap.js';
+import { createTxJournal } from '../src/lib/tx-journal.js';
+import {
+    getArgValue,
+    hasFlag,
+    isDirectScriptExecution,
+    loadAgentConfigForScript,
+    loadScriptEnv,
+    repoRoot,
+    resolveAgentRef,
+} from './lib/cli-runtime.mjs';
+
+function parseInteger(value, label) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`${label} must be a non-negative integer.`);
+    }
+    return parsed;
+}
+
+function printUsage() {
+    console.log(`Usage:
+node agent/scripts/tx-journal.mjs --module=<agent> [--reconcile | --cancel-nonce=<n>] [options]
+
+Without --reconcile or --cancel-nonce the journal is printed.
+
+Options:
+  --module=<agent>               Agent module name or path (fallback: AGENT_MODULE env)
+  --chain-id=<id>                Chain to resolve in the agent config stack
+  --address=<signer>             Signer whose journal to print (default: the configured signer)
+  --all                          Print settled transactions too, not only pending ones
+  --reconcile                    Settle mined transactions and fee-bump stuck ones now
+  --cancel-nonce=<n>             Replace the pending transaction at nonce n with a 0-value self-transfer
+  --help                         Show this help
+`);
+}
+
+function formatTransactions(journal, { all }) {
+    return JSON.stringify(
+        {
+            chainId: journal.chainId,
+            signerAddress: journal.signerAddress,
+            nextNonce: journal.nextNonce,
+            transactions: journal.transactions
+                .filter((transaction) => all || transaction.status === 'pending')
+                .map((transaction) => ({
+                    nonce: transaction.nonce,
+                    status: transaction.status,
+                    to: transaction.to,
+                    value: transaction.value.toString(),
+                    minedHash: transaction.minedHash,
+                    attempts: transaction.attempts.map((attempt) => ({
+                        hash: attempt.hash,
+                        kind: attempt.kind,
+                        maxFeePerGas: attempt.maxFeePerGas?.toString() ?? null,
+                        maxPriorityFeePerGas: attempt.maxPriorityFeePerGas?.toString() ?? null,
+                        sentAtMs: attempt.sentAtMs,
+                    })),
+                })),
+        },
+        null,
+        2
+    );
+}
+
+async function resolveJournalConfig({ argv, env, repoRootPath }) {
+    const agentRef = resolveAgentRef({ argv, env });
+    const { agentConfigStack } = await loadAgentConfigForScript(agentRef, {
+        repoRootPath,
+        env,
+        argv,
+    });
+    const explicitChainIdRaw = getArgValue('--chain-id=', argv);
+    const chainId = resolveConfiguredChainId({
+        agentConfigFile: agentConfigStack,
+        explicitChainId:
+            explicitChainIdRaw === null
+                ? undefined
+                : parseInteger(explicitChainIdRaw, '--chain-id'),
+    });
+    const baseConfig = buildConfig({ env, requireRpcUrl: false });
+    return resolveAgentRuntimeConfig({
+        baseConfig: { ...baseConfig, chainId },
+        agentConfigFile: agentConfigStack,
+        chainId,
+    });
+}
+
+async function main({
+    argv = process.argv,
+    env = process.env,
+    repoRootPath = repoRoot,
+    createValidatedReadWriteRuntimeFn = createValidatedReadWriteRuntime,
+} = {}) {
+    if (hasFlag('--help', argv) || hasFlag('-h', argv)) {
+        printUsage();
+        return;
+    }
+
+    const config = await resolveJournalConfig({ argv, env, repoRootPath });
+    if (config.chainId === undefined || config.chainId === null) {
+        throw new Error('Could not resolve chainId; pass --chain-id=<id>.');
+    }
+    const cancelNonceRaw = getArgValue('--cancel-nonce=', argv);
+    const reconcile = hasFlag('--reconcile', argv);
+    const addressRaw = getArgValue('--address=', argv);
+
+    if (cancelNonceRaw === null && !reconcile && addressRaw !== null) {
+        const signerAddress = getAddress(addressRaw);
+        const journal = createTxJournal({
+            stateFile: resolveTxJournalFile({ config, signerAddress, repoRootPath }),
+            chainId: config.chainId,
+            signerAddress,
+        });
+        console.log(formatTransactions(journal.load(), { all: hasFlag('--all', argv) }));
+        return;
+    }
+
+    if (!config.rpcUrl) {
+        throw new Error('RPC_URL or rpcUrl is required to load the signer.');
+    }
+    const { publicClient, walletClient, account } = await createValidatedReadWriteRuntimeFn({
+        rpcUrl: config.rpcUrl,
+        rpcEndpoints: config.rpcEndpoints,
+        rpcQuorum: config.rpcQuorum,
+        expectedChainId: config.chainId,
+        publicClientLabel: 'Journal rpcUrl',
+        signerClientLabel: 'Journal signer',
+    });
+    const { nonceManager } = createRuntimeNonceManager({
+        config: { ...config, nonceManagerEnabled: true },
+        publicClient,
+        walletClient,
+        account,
+        repoRootPath,
+    });
+
+    if (cancelNonceRaw !== null) {
+        const hash = await nonceManager.cancel({
+            nonce: parseInteger(cancelNonceRaw, '--cancel-nonce'),
+        });
+        console.log(`[script] Sent cancelling replacement ${hash}.`);
+        return;
+    }
+    if (reconcile) {
+        const summary = await nonceManager.reconcile();
+        console.log(`[script] Reconciled tx journal: ${JSON.stringify(summary)}`);
+        return;
+    }
+    const journal = createTxJournal({
+        stateFile: nonceManager.stateFile,
+        chainId: config.chainId,
+        signerAddress: account.address,
+    });
+    console.log(formatTransactions(journal.load(), { all: hasFlag('--all', argv) }));
+}
+
+if (isDirectScriptExecution(import.meta.url)) {
+    loadScriptEnv();
+    main().catch((error) => {
+        console.error(`[script] Failed: ${error?.message ?? error}`);
+        process.exit(1);
+    });
+}
+
+export { main };
@@ -1,4 +1,5 @@
 import { readFile } from 'node:fs/promises';
+import { createValidatedReadOnlyRuntime } from '../src/lib/chain-runtime.js';
 import { verifySignedProposalArtifact } from '../src/lib/signed-proposal.js';
 import {
     getArgValue,
@@ -17,6 +18,7 @@ function printUsage() {
 Options:
   --file=<path>                        Path to a JSON artifact file
   --json='<artifact-json>'             Raw artifact JSON
+  --rpc-url=<url>                      RPC for the artifact's chain; needed for contract wallet signers
   --help                               Show this help
 `);
 }
@@ -36,14 +38,25 @@ async function loadArtifactInput({ argv = process.argv }) {
     }
 }
 
-async function main() {
-    if (hasFlag('--help', process.argv) || hasFlag('-h', process.argv)) {
+async function main({
+    argv = process.argv,
+    createValidatedReadOnlyRuntimeFn = createValidatedReadOnlyRuntime,
+} = {}) {
+    if (hasFlag('--help', argv) || hasFlag('-h', argv)) {
         printUsage();
         return;
     }
 
-    const artifact = await loadArtifactInput({});
-    const result = await verifySignedProposalArtifact(artifact);
+    const artifact = await loadArtifactInput({ argv });
+    const rpcUrl = getArgValue('--rpc-url=', argv);
+    const { publicClient } = rpcUrl
+        ? await createValidatedReadOnlyRuntimeFn({
+              rpcUrl,
+              expectedChainId: artifact?.signedProposal?.envelope?.chainId,
+              publicClientLabel: '--rpc-url',
+          })
+        : {};
+    const result = await verifySignedProposalArtifact(artifact, { publicClient });
     console.log(JSON.stringify(result, null, 2));
 }
 
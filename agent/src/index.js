@@ -3,10 +3,13 @@ import { initializeAgentRuntime } from './lib/runtime-bootstrap.js';
 import { createSignalPreparationRuntime } from './lib/signal-prep.js';
 import { createDecisionRuntime } from './lib/decision-runtime.js';
 import { createAgentLoopRunner } from './lib/runtime-loop.js';
+import { createAgentMetrics } from './lib/agent-metrics.js';
+import { logger } from './lib/logger.js';
 
 const {
     config,
     publicClient,
+    quorumPublicClient,
     account,
     walletClient,
     agentAddress,
@@ -14,9 +17,14 @@ const {
     commitmentText,
     trackedAssets,
     messageInbox,
+    checkpointStore,
+    nonceManager,
     pollingOptions,
 } = await initializeAgentRuntime();
 
+const metrics = createAgentMetrics({
+    getMessageQueueDepth: () => messageInbox?.getQueueDepth?.() ?? 0,
+});
 const signalPreparation = createSignalPreparationRuntime({
     agentModule,
     publicClient,
@@ -28,6 +36,7 @@ const signalPreparation = createSignalPreparationRuntime({
 const loopRunner = createAgentLoopRunner({
     config,
     publicClient,
+    quorumPublicClient,
     walletClient,
     account,
     agentModule,
@@ -37,6 +46,9 @@ const loopRunner = createAgentLoopRunner({
     pollingOptions,
     signalPreparation,
     decideOnSignals: null,
+    metrics,
+    checkpointStore,
+    nonceManager,
 });
 const decisionRuntime = createDecisionRuntime({
     agentModule,
@@ -48,13 +60,14 @@ const decisionRuntime = createDecisionRuntime({
     commitmentText,
     getOgContext: loopRunner.getOgContext,
     ensureOgContext: loopRunner.ensureOgContext,
+    metrics,
 });
 loopRunner.setDecideOnSignals(decisionRuntime.decideOnSignals);
 const { startAgent } = loopRunner;
 
 if (import.meta.url === `file://${process.argv[1]}`) {
     startAgent().catch((error) => {
-        console.error('[agent] failed to start', error);
+        logger.error('[agent] failed to start', error);
         process.exit(1);
     });
 }
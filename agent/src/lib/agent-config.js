@@ -11,6 +11,9 @@ import {
     resolveMessagePublishApiEnvConfig,
     resolveProposalPublishApiEnvConfig,
 } from './config.js';
+import { LLM_FIXTURE_MODES } from './llm-fixtures.js';
+import { parseLogFormat, parseLogLevel } from './logger.js';
+import { LLM_PROVIDER_IDS } from './llm-providers.js';
 
 function hasOwn(object, key) {
     return Object.prototype.hasOwnProperty.call(object, key);
@@ -40,6 +43,30 @@ function parseAddressArray(values, label) {
     });
 }
 
+// Browser origins are compared verbatim against the Origin header, so they are reduced to
+// scheme://host[:port] with no path or trailing slash.
+function parseOriginArray(values, label) {
+    if (!Array.isArray(values)) {
+        throw new Error(`${label} must be an array of origin strings`);
+    }
+    return values.map((value, index) => {
+        const candidate = typeof value === 'string' ? value.trim() : '';
+        let parsed;
+        try {
+            parsed = new URL(candidate);
+        } catch (error) {
+            throw new Error(`${label}[${index}] must be an origin like https://app.example`);
+        }
+        if (
+            (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') ||
+            candidate.replace(/\/$/, '') !== parsed.origin
+        ) {
+            throw new Error(`${label}[${index}] must be an origin like https://app.example`);
+        }
+        return parsed.origin;
+    });
+}
+
 function parseBooleanValue(value, label) {
     if (typeof value === 'boolean') {
         return value;
@@ -65,6 +92,29 @@ function parseHostValue(value, label) {
     return trimmed;
 }
 
+function parseRpcEndpointArray(values, label) {
+    if (!Array.isArray(values)) {
+        throw new Error(`${label} must be an array of URL strings or { url } objects`);
+    }
+    return values.map((item, index) => {
+        if (typeof item === 'string') {
+            return { url: parseHostValue(item, `${label}[${index}]`) };
+        }
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            throw new Error(`${label}[${index}] must be a URL string or an object`);
+        }
+        const endpoint = { url: parseHostValue(item.url, `${label}[${index}].url`) };
+        if (item.rateLimitPerSecond !== undefined && item.rateLimitPerSecond !== null) {
+            const rateLimitPerSecond = Number(item.rateLimitPerSecond);
+            if (!Number.isFinite(rateLimitPerSecond) || rateLimitPerSecond <= 0) {
+                throw new Error(`${label}[${index}].rateLimitPerSecond must be a positive number`);
+            }
+            endpoint.rateLimitPerSecond = rateLimitPerSecond;
+        }
+        return endpoint;
+    });
+}
+
 function parseProposalPublishModeValue(value, label) {
     const normalized = parseStringValue(value, label).toLowerCase();
     if (normalized !== 'publish' && normalized !== 'propose') {
@@ -73,7 +123,7 @@ function parseProposalPublishModeValue(value, label) {
     return normalized;
 }
 
-function parseProposalVerificationModeValue(value, label) {
+function parseProposalGateModeValue(value, label) {
     const normalized = parseStringValue(value, label).toLowerCase();
     if (normalized !== 'off' && normalized !== 'advisory' && normalized !== 'enforce') {
         throw new Error(`${label} must be one of: off, advisory, enforce`);
@@ -81,6 +131,30 @@ function parseProposalVerificationModeValue(value, label) {
     return normalized;
 }
 
+function parseProposalSimulationModeValue(value, label) {
+    const normalized = parseStringValue(value, label).toLowerCase();
+    if (normalized !== 'off' && normalized !== 'warn' && normalized !== 'enforce') {
+        throw new Error(`${label} must be one of: off, warn, enforce`);
+    }
+    return normalized;
+}
+
+function parseLlmProviderValue(value, label) {
+    const normalized = parseStringValue(value, label).toLowerCase();
+    if (!LLM_PROVIDER_IDS.includes(normalized)) {
+        throw new Error(`${label} must be one of: ${LLM_PROVIDER_IDS.join(', ')}`);
+    }
+    return normalized;
+}
+
+function parseLlmFixtureModeValue(value, label) {
+    const normalized = parseStringValue(value, label).toLowerCase();
+    if (!LLM_FIXTURE_MODES.includes(normalized)) {
+        throw new Error(`${label} must be one of: ${LLM_FIXTURE_MODES.join(', ')}`);
+    }
+    return normalized;
+}
+
 function parseIntegerValue(value, label, { min = undefined, max = undefined } = {}) {
     const parsed = Number(value);
     if (!Number.isInteger(parsed)) {
@@ -218,6 +292,128 @@ function parseFeeTierArrayValue(value, label) {
     );
 }
 
+function parsePriceOracleAssetRecord(value, label, parseEntry) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${label} must be a JSON object keyed by asset`);
+    }
+
+    const out = {};
+    for (const [assetRaw, entry] of Object.entries(value)) {
+        const asset = assetRaw.trim();
+        if (!asset) {
+            throw new Error(`${label} includes empty asset key`);
+        }
+        const normalizedAsset = asset.startsWith('0x') ? getAddress(asset) : asset;
+        out[normalizedAsset] = parseEntry(entry, `${label}.${asset}`);
+    }
+    return out;
+}
+
+const PRICE_ORACLE_CHAINLINK_FEED_FIELD_DEFINITIONS = Object.freeze([
+    { key: 'feed', parser: parseOptionalAddress },
+    { key: 'heartbeatSeconds', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
+]);
+
+const PRICE_ORACLE_TWAP_POOL_FIELD_DEFINITIONS = Object.freeze([
+    { key: 'pool', parser: parseOptionalAddress },
+    { key: 'quoteToken', parser: parseOptionalAddress },
+    { key: 'windowSeconds', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
+    { key: 'quoteUsdMicros', parser: (value, label) => parseBigIntValue(value, label, { min: 1n }) },
+    { key: 'minLiquidity', parser: (value, label) => parseBigIntValue(value, label, { min: 0n }) },
+]);
+
+function parsePriceOracleValue(value, label) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${label} must be a JSON object`);
+    }
+
+    const out = {
+        chainlinkFeeds: {},
+        uniswapV3TwapPools: {},
+        staticPricesUsdMicros: {},
+        minSources: 1,
+        maxDeviationBps: null,
+        snapshotToleranceBps: 100,
+    };
+    if (value.chainlinkFeeds !== undefined && value.chainlinkFeeds !== null) {
+        out.chainlinkFeeds = parsePriceOracleAssetRecord(
+            value.chainlinkFeeds,
+            `${label}.chainlinkFeeds`,
+            (entry, entryLabel) => {
+                const parsed = parseObjectWithFieldDefinitions(
+                    entry,
+                    entryLabel,
+                    PRICE_ORACLE_CHAINLINK_FEED_FIELD_DEFINITIONS
+                );
+                if (!parsed?.feed) {
+                    throw new Error(`${entryLabel}.feed must be a non-empty address string`);
+                }
+                return parsed;
+            }
+        );
+    }
+    if (value.uniswapV3TwapPools !== undefined && value.uniswapV3TwapPools !== null) {
+        out.uniswapV3TwapPools = parsePriceOracleAssetRecord(
+            value.uniswapV3TwapPools,
+            `${label}.uniswapV3TwapPools`,
+            (entry, entryLabel) => {
+                const parsed = parseObjectWithFieldDefinitions(
+                    entry,
+                    entryLabel,
+                    PRICE_ORACLE_TWAP_POOL_FIELD_DEFINITIONS
+                );
+                if (!parsed?.pool || !parsed?.quoteToken) {
+                    throw new Error(`${entryLabel} must include pool and quoteToken addresses`);
+                }
+                return parsed;
+            }
+        );
+    }
+    if (value.staticPricesUsdMicros !== undefined && value.staticPricesUsdMicros !== null) {
+        out.staticPricesUsdMicros = parsePriceOracleAssetRecord(
+            value.staticPricesUsdMicros,
+            `${label}.staticPricesUsdMicros`,
+            (entry, entryLabel) => parseBigIntValue(entry, entryLabel, { min: 1n })
+        );
+    }
+    if (value.minSources !== undefined && value.minSources !== null) {
+        out.minSources = parseIntegerValue(value.minSources, `${label}.minSources`, { min: 1 });
+    }
+    if (value.maxDeviationBps !== undefined && value.maxDeviationBps !== null) {
+        out.maxDeviationBps = parseIntegerValue(value.maxDeviationBps, `${label}.maxDeviationBps`, {
+            min: 0,
+        });
+    }
+    if (value.snapshotToleranceBps !== undefined && value.snapshotToleranceBps !== null) {
+        out.snapshotToleranceBps = parseIntegerValue(
+            value.snapshotToleranceBps,
+            `${label}.snapshotToleranceBps`,
+            { min: 0 }
+        );
+    }
+    return out;
+}
+
+function parseTokenSymbolAddressesValue(value, label) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${label} must be a JSON object keyed by token symbol`);
+    }
+
+    const out = {};
+    for (const [symbolRaw, address] of Object.entries(value)) {
+        const symbol = symbolRaw.trim();
+        if (!symbol) {
+            throw new Error(`${label} includes empty symbol key`);
+        }
+        const parsed = parseOptionalAddress(address, `${label}.${symbol}`);
+        if (!parsed) {
+            throw new Error(`${label}.${symbol} must be a non-empty address string`);
+        }
+        out[symbol] = parsed;
+    }
+    return out;
+}
+
 const CORE_RUNTIME_FIELD_DEFINITIONS = Object.freeze([
     { key: 'commitmentSafe', parser: parseOptionalAddress },
     { key: 'ogModule', parser: parseOptionalAddress },
@@ -227,9 +423,18 @@ const CORE_RUNTIME_FIELD_DEFINITIONS = Object.freeze([
 
 const SHARED_RUNTIME_FIELD_DEFINITIONS = Object.freeze([
     { key: 'rpcUrl', parser: parseHostValue },
+    { key: 'rpcEndpoints', parser: parseRpcEndpointArray },
+    { key: 'rpcQuorum', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
+    { key: 'wsRpcUrl', parser: parseHostValue },
+    { key: 'wsWakeOnNewHeads', parser: parseBooleanValue },
+    { key: 'wsMinWakeIntervalMs', parser: (value, label) => parseIntegerValue(value, label, { min: 0 }) },
     { key: 'pollIntervalMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
     { key: 'logChunkSize', parser: (value, label) => parseBigIntValue(value, label, { min: 1n }) },
     { key: 'startBlock', parser: (value, label) => parseBigIntValue(value, label, { min: 0n }) },
+    { key: 'chainScanCheckpointEnabled', parser: parseBooleanValue },
+    { key: 'chainScanCheckpointFile', parser: parseStringValue },
+    { key: 'confirmationDepth', parser: (value, label) => parseIntegerValue(value, label, { min: 0 }) },
+    { key: 'reorgTrackingDepth', parser: (value, label) => parseIntegerValue(value, label, { min: 0 }) },
     { key: 'watchNativeBalance', parser: parseBooleanValue },
     { key: 'defaultDepositAsset', parser: parseOptionalAddress },
     { key: 'defaultDepositAmountWei', parser: (value, label) => parseBigIntValue(value, label, { min: 0n }) },
@@ -237,11 +442,27 @@ const SHARED_RUNTIME_FIELD_DEFINITIONS = Object.freeze([
     { key: 'openAiModel', parser: parseStringValue },
     { key: 'openAiBaseUrl', parser: parseHostValue },
     { key: 'openAiRequestTimeoutMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
-    { key: 'proposalVerificationMode', parser: parseProposalVerificationModeValue },
+    { key: 'llmProvider', parser: parseLlmProviderValue },
+    { key: 'anthropicModel', parser: parseStringValue },
+    { key: 'anthropicBaseUrl', parser: parseHostValue },
+    { key: 'anthropicMaxTokens', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
+    { key: 'anthropicRequestTimeoutMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
+    { key: 'llmFixtureMode', parser: parseLlmFixtureModeValue },
+    { key: 'llmFixtureDir', parser: parseStringValue },
+    { key: 'logLevel', parser: parseLogLevel },
+    { key: 'logFormat', parser: parseLogFormat },
+    { key: 'proposalVerificationMode', parser: parseProposalGateModeValue },
+    { key: 'proposalSimulationMode', parser: parseProposalSimulationModeValue },
     { key: 'allowProposeOnSimulationFail', parser: parseBooleanValue },
     { key: 'proposeGasLimit', parser: (value, label) => parseBigIntValue(value, label, { min: 1n }) },
     { key: 'executeRetryMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
     { key: 'executePendingTxTimeoutMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
+    { key: 'nonceManagerEnabled', parser: parseBooleanValue },
+    { key: 'txJournalFile', parser: parseStringValue },
+    { key: 'txStuckTimeoutMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
+    { key: 'txFeeBumpPercent', parser: (value, label) => parseIntegerValue(value, label, { min: 10 }) },
+    { key: 'maxFeePerGasWei', parser: (value, label) => parseBigIntValue(value, label, { min: 1n }) },
+    { key: 'maxPriorityFeePerGasWei', parser: (value, label) => parseBigIntValue(value, label, { min: 0n }) },
     { key: 'proposeEnabled', parser: parseBooleanValue },
     { key: 'disputeEnabled', parser: parseBooleanValue },
     { key: 'disputeRetryMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
@@ -275,6 +496,8 @@ const SHARED_RUNTIME_FIELD_DEFINITIONS = Object.freeze([
     { key: 'uniswapV3Factory', parser: parseOptionalAddress },
     { key: 'uniswapV3Quoter', parser: parseOptionalAddress },
     { key: 'uniswapV3FeeTiers', parser: parseFeeTierArrayValue },
+    { key: 'priceOracle', parser: parsePriceOracleValue },
+    { key: 'tokenSymbolAddresses', parser: parseTokenSymbolAddressesValue },
     { key: 'ipfsEnabled', parser: parseBooleanValue },
     { key: 'ipfsApiUrl', parser: parseHostValue },
     { key: 'ipfsRequestTimeoutMs', parser: (value, label) => parseIntegerValue(value, label, { min: 1 }) },
@@ -296,6 +519,11 @@ const MESSAGE_API_FIELD_DEFINITIONS = Object.freeze([
         runtimeKey: 'messageApiSignerAllowlist',
         parser: parseAddressArray,
     },
+    {
+        key: 'allowedOrigins',
+        runtimeKey: 'messageApiAllowedOrigins',
+        parser: parseOriginArray,
+    },
     {
         key: 'signatureMaxAgeSeconds',
         runtimeKey: 'messageApiSignatureMaxAgeSeconds',
@@ -351,6 +579,11 @@ const MESSAGE_API_FIELD_DEFINITIONS = Object.freeze([
         runtimeKey: 'messageApiRateLimitBurst',
         parser: (value, label) => parseIntegerValue(value, label, { min: 0 }),
     },
+    {
+        key: 'stateFile',
+        runtimeKey: 'messageApiStateFile',
+        parser: parseStringValue,
+    },
 ]);
 
 const PROPOSAL_PUBLISH_API_FIELD_DEFINITIONS = Object.freeze([
@@ -376,6 +609,11 @@ const PROPOSAL_PUBLISH_API_FIELD_DEFINITIONS = Object.freeze([
         runtimeKey: 'proposalPublishApiSignerAllowlist',
         parser: parseAddressArray,
     },
+    {
+        key: 'allowedOrigins',
+        runtimeKey: 'proposalPublishApiAllowedOrigins',
+        parser: parseOriginArray,
+    },
     {
         key: 'signatureMaxAgeSeconds',
         runtimeKey: 'proposalPublishApiSignatureMaxAgeSeconds',
@@ -438,6 +676,21 @@ const MESSAGE_PUBLISH_API_FIELD_DEFINITIONS = Object.freeze([
     },
 ]);
 
+const METRICS_API_FIELD_DEFINITIONS = Object.freeze([
+    { key: 'enabled', runtimeKey: 'metricsApiEnabled', parser: parseBooleanValue },
+    { key: 'host', runtimeKey: 'metricsApiHost', parser: parseHostValue },
+    {
+        key: 'port',
+        runtimeKey: 'metricsApiPort',
+        parser: (value, label) => parseIntegerValue(value, label, { min: 1 }),
+    },
+    {
+        key: 'stallThresholdMs',
+        runtimeKey: 'metricsApiStallThresholdMs',
+        parser: (value, label) => parseIntegerValue(value, label, { min: 1 }),
+    },
+]);
+
 function isPlainObjectValue(value) {
     return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
@@ -674,6 +927,10 @@ function resolveMessagePublishApiRuntimeConfig({ baseConfig, override, label })
     return resolved;
 }
 
+function parseMetricsApiOverride(value, label) {
+    return parseObjectWithFieldDefinitions(value, label, METRICS_API_FIELD_DEFINITIONS);
+}
+
 async function loadAgentConfigFile(configPath) {
     try {
         const raw = await readFile(configPath, 'utf8');
@@ -920,6 +1177,7 @@ function resolveAgentRuntimeConfig({
             messagePublishApiKeys: baseConfig.messagePublishApiKeys,
             ...pickRuntimeFields(baseConfig, PROPOSAL_PUBLISH_API_FIELD_DEFINITIONS),
             proposalPublishApiKeys: baseConfig.proposalPublishApiKeys,
+            ...pickRuntimeFields(baseConfig, METRICS_API_FIELD_DEFINITIONS),
         };
     }
 
@@ -988,6 +1246,21 @@ function resolveAgentRuntimeConfig({
                   ...(chainMessagePublishApi ?? {}),
               }
             : undefined;
+    const sharedMetricsApi = parseMetricsApiOverride(
+        sharedConfig.metricsApi,
+        `${configSourceLabel} field "metricsApi"`
+    );
+    const chainMetricsApi = parseMetricsApiOverride(
+        chainOverrides?.metricsApi,
+        `${configSourceLabel} field "byChain.${chainKey}.metricsApi"`
+    );
+    const mergedMetricsApiOverride =
+        sharedMetricsApi || chainMetricsApi
+            ? {
+                  ...(sharedMetricsApi ?? {}),
+                  ...(chainMetricsApi ?? {}),
+              }
+            : undefined;
     const effectiveIpfsEnabled = hasExplicitConfigValue(resolvedAgentConfig, 'ipfsEnabled')
         ? parseBooleanValue(
               resolvedAgentConfig.ipfsEnabled,
@@ -1055,6 +1328,11 @@ function resolveAgentRuntimeConfig({
         override: mergedProposalPublishApiOverride,
         label: `${configSourceLabel} field "proposalPublishApi"`,
     });
+    const resolvedMetricsApi = resolveMappedRuntimeFields({
+        definitions: METRICS_API_FIELD_DEFINITIONS,
+        baseConfig,
+        override: mergedMetricsApiOverride,
+    });
 
     const coreRuntimeConfig = resolveFieldDefinitions({
         definitions: CORE_RUNTIME_FIELD_DEFINITIONS,
@@ -1095,6 +1373,12 @@ function resolveAgentRuntimeConfig({
             keys: resolvedMessagePublishApi.messagePublishApiKeys,
         };
     }
+    if (mergedMetricsApiOverride) {
+        resolvedAgentConfig.metricsApi = serializeMappedRuntimeFields({
+            definitions: METRICS_API_FIELD_DEFINITIONS,
+            runtimeConfig: resolvedMetricsApi,
+        });
+    }
 
     return {
         agentConfig: resolvedAgentConfig,
@@ -1105,6 +1389,7 @@ function resolveAgentRuntimeConfig({
         ...resolvedMessageApi,
         ...resolvedMessagePublishApi,
         ...resolvedProposalPublishApi,
+        ...resolvedMetricsApi,
     };
 }
 
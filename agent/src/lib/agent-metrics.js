@@ -0,0 +1,326 @@
+const METRIC_PREFIX = 'oya_agent';
+
+function toOptionalString(value) {
+    return value === undefined || value === null ? null : value.toString();
+}
+
+function toMetricNumber(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : null;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels ?? {});
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function incrementCount(map, key, amount = 1) {
+    map.set(key, (map.get(key) ?? 0) + amount);
+}
+
+function createAgentMetrics({ getMessageQueueDepth, nowMs = () => Date.now() } = {}) {
+    const startedAtMs = nowMs();
+    const phases = new Map();
+    const signalCounts = new Map();
+    const decisionCounts = new Map();
+    const toolOutcomeCounts = new Map();
+    const loop = {
+        iterations: 0,
+        errors: 0,
+        lastStartedAtMs: null,
+        lastCompletedAtMs: null,
+        lastError: null,
+    };
+    let blocks = {
+        head: null,
+        lastChecked: null,
+        lastProposalChecked: null,
+    };
+    let pendingProposals = 0;
+    let lastDecision = null;
+    let funding = null;
+
+    function readMessageQueueDepth() {
+        if (typeof getMessageQueueDepth !== 'function') {
+            return 0;
+        }
+        try {
+            return getMessageQueueDepth() ?? 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    function observeLoopPhase(name, { durationMs, ok }) {
+        const phase = phases.get(name) ?? {
+            count: 0,
+            failures: 0,
+            totalDurationMs: 0,
+            lastDurationMs: null,
+            lastStatus: null,
+            lastCompletedAtMs: null,
+        };
+        phase.count += 1;
+        phase.totalDurationMs += durationMs;
+        phase.lastDurationMs = durationMs;
+        phase.lastStatus = ok ? 'ok' : 'failed';
+        phase.lastCompletedAtMs = nowMs();
+        if (!ok) {
+            phase.failures += 1;
+        }
+        phases.set(name, phase);
+    }
+
+    function recordLoopStarted() {
+        loop.lastStartedAtMs = nowMs();
+    }
+
+    function recordLoopCompleted() {
+        loop.iterations += 1;
+        loop.lastCompletedAtMs = nowMs();
+    }
+
+    function recordLoopError(error) {
+        loop.errors += 1;
+        loop.lastError = {
+            message: error?.message ?? String(error),
+            atMs: nowMs(),
+        };
+    }
+
+    function updateLoopState({
+        headBlock,
+        lastCheckedBlock,
+        lastProposalCheckedBlock,
+        pendingProposals: nextPendingProposals,
+    }) {
+        blocks = {
+            head: headBlock ?? blocks.head,
+            lastChecked: lastCheckedBlock ?? blocks.lastChecked,
+            lastProposalChecked: lastProposalCheckedBlock ?? blocks.lastProposalChecked,
+        };
+        if (Number.isInteger(nextPendingProposals)) {
+            pendingProposals = nextPendingProposals;
+        }
+    }
+
+    function recordSignals(signals) {
+        for (const signal of signals ?? []) {
+            incrementCount(signalCounts, signal?.kind ?? 'unknown');
+        }
+    }
+
+    function recordDecision(status) {
+        const normalizedStatus = typeof status === 'string' && status ? status : 'unknown';
+        incrementCount(decisionCounts, normalizedStatus);
+        lastDecision = { status: normalizedStatus, atMs: nowMs() };
+    }
+
+    function recordToolOutcome(tool, status) {
+        incrementCount(toolOutcomeCounts, JSON.stringify([tool ?? 'unknown', status ?? 'unknown']));
+    }
+
+    function setFundingStatus(nextFunding) {
+        if (!nextFunding) {
+            return;
+        }
+        funding = {
+            collateral: nextFunding.collateral ?? null,
+            requiredBond: toOptionalString(nextFunding.requiredBond),
+            collateralBalance: toOptionalString(nextFunding.collateralBalance),
+            nativeBalance: toOptionalString(nextFunding.nativeBalance),
+            updatedAtMs: nowMs(),
+        };
+    }
+
+    function isStalled({ stallThresholdMs }) {
+        const lastProgressMs = loop.lastCompletedAtMs ?? startedAtMs;
+        return nowMs() - lastProgressMs > stallThresholdMs;
+    }
+
+    function getStatus({ stallThresholdMs }) {
+        const currentMs = nowMs();
+        let status = loop.lastCompletedAtMs === null ? 'starting' : 'ok';
+        if (isStalled({ stallThresholdMs })) {
+            status = 'stalled';
+        }
+        return {
+            status,
+            startedAtMs,
+            uptimeMs: currentMs - startedAtMs,
+            stallThresholdMs,
+            loop: { ...loop },
+            blocks: {
+                head: toOptionalString(blocks.head),
+                lastChecked: toOptionalString(blocks.lastChecked),
+                lastProposalChecked: toOptionalString(blocks.lastProposalChecked),
+            },
+            pendingProposals,
+            messageQueueDepth: readMessageQueueDepth(),
+            lastDecision,
+            decisions: Object.fromEntries(decisionCounts),
+            signals: Object.fromEntries(signalCounts),
+            toolOutcomes: [...toolOutcomeCounts].map(([key, count]) => {
+                const [tool, status] = JSON.parse(key);
+                return { tool, status, count };
+            }),
+            phases: Object.fromEntries(
+                [...phases].map(([name, phase]) => [name, { ...phase }])
+            ),
+            funding,
+        };
+    }
+
+    function renderPrometheus({ stallThresholdMs }) {
+        const lines = [];
+        function metric(name, type, help, samples) {
+            const fullName = `${METRIC_PREFIX}_${name}`;
+            const rendered = samples.filter(({ value }) => value !== null && value !== undefined);
+            if (rendered.length === 0) {
+                return;
+            }
+            lines.push(`# HELP ${fullName} ${help}`);
+            lines.push(`# TYPE ${fullName} ${type}`);
+            for (const { suffix = '', labels, value } of rendered) {
+                lines.push(`${fullName}${suffix}${formatLabels(labels)} ${value}`);
+            }
+        }
+        function fromCounts(map, labelName) {
+            return [...map].map(([key, value]) => ({ labels: { [labelName]: key }, value }));
+        }
+
+        metric('start_time_seconds', 'gauge', 'Unix time the agent process started.', [
+            { value: startedAtMs / 1000 },
+        ]);
+        metric(
+            'stalled',
+            'gauge',
+            'Whether the agent loop has not completed within the stall threshold.',
+            [{ value: isStalled({ stallThresholdMs }) ? 1 : 0 }]
+        );
+        metric('loop_iterations_total', 'counter', 'Completed agent loop iterations.', [
+            { value: loop.iterations },
+        ]);
+        metric('loop_errors_total', 'counter', 'Agent loop iterations that ended in an error.', [
+            { value: loop.errors },
+        ]);
+        metric(
+            'loop_last_completed_timestamp_seconds',
+            'gauge',
+            'Unix time the last agent loop iteration completed.',
+            [{ value: loop.lastCompletedAtMs === null ? null : loop.lastCompletedAtMs / 1000 }]
+        );
+        metric(
+            'loop_phase_duration_seconds',
+            'summary',
+            'Duration of agent loop phases.',
+            [...phases].flatMap(([name, phase]) => [
+                { suffix: '_sum', labels: { phase: name }, value: phase.totalDurationMs / 1000 },
+                { suffix: '_count', labels: { phase: name }, value: phase.count },
+            ])
+        );
+        metric(
+            'loop_phase_last_duration_seconds',
+            'gauge',
+            'Duration of the most recent run of each agent loop phase.',
+            [...phases].map(([name, phase]) => ({
+                labels: { phase: name },
+                value: phase.lastDurationMs / 1000,
+            }))
+        );
+        metric(
+            'loop_phase_failures_total',
+            'counter',
+            'Agent loop phase runs that threw.',
+            [...phases].map(([name, phase]) => ({ labels: { phase: name }, value: phase.failures }))
+        );
+        metric('head_block', 'gauge', 'Latest block seen by the agent loop.', [
+            { value: toMetricNumber(blocks.head) },
+        ]);
+        metric('last_checked_block', 'gauge', 'Last block scanned for commitment changes.', [
+            { value: toMetricNumber(blocks.lastChecked) },
+        ]);
+        metric(
+            'last_proposal_checked_block',
+            'gauge',
+            'Last block scanned for Optimistic Governor proposal events.',
+            [{ value: toMetricNumber(blocks.lastProposalChecked) }]
+        );
+        metric('pending_proposals', 'gauge', 'Onchain proposals tracked as pending execution.', [
+            { value: pendingProposals },
+        ]);
+        metric('message_queue_depth', 'gauge', 'User messages queued in the Message API inbox.', [
+            { value: readMessageQueueDepth() },
+        ]);
+        metric(
+            'signals_total',
+            'counter',
+            'Signals collected by the agent loop.',
+            fromCounts(signalCounts, 'kind')
+        );
+        metric(
+            'decisions_total',
+            'counter',
+            'Decision outcomes by status.',
+            fromCounts(decisionCounts, 'status')
+        );
+        metric(
+            'last_decision_timestamp_seconds',
+            'gauge',
+            'Unix time of the most recent decision.',
+            [{ value: lastDecision ? lastDecision.atMs / 1000 : null }]
+        );
+        metric(
+            'tool_outcomes_total',
+            'counter',
+            'Tool call outcomes by tool and status.',
+            [...toolOutcomeCounts].map(([key, value]) => {
+                const [tool, status] = JSON.parse(key);
+                return { labels: { tool, status }, value };
+            })
+        );
+        metric(
+            'bond_required_wei',
+            'gauge',
+            'Bond required to post an Optimistic Governor proposal.',
+            [{ value: toMetricNumber(funding?.requiredBond) }]
+        );
+        metric(
+            'bond_collateral_balance_wei',
+            'gauge',
+            'Agent balance of the Optimistic Governor bond collateral token.',
+            [{ value: toMetricNumber(funding?.collateralBalance) }]
+        );
+        metric('native_balance_wei', 'gauge', 'Agent native token balance.', [
+            { value: toMetricNumber(funding?.nativeBalance) },
+        ]);
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        getStatus,
+        observeLoopPhase,
+        recordDecision,
+        recordLoopCompleted,
+        recordLoopError,
+        recordLoopStarted,
+        recordSignals,
+        recordToolOutcome,
+        renderPrometheus,
+        setFundingStatus,
+        updateLoopState,
+    };
+}
+
+export { createAgentMetrics };
@@ -36,6 +36,37 @@ async function findContractDeploymentBlock({ publicClient, address, latestBlock
     return left;
 }
 
+/**
+ * Finds the last block at or before a unix timestamp (seconds) using binary search.
+ * Returns null when fromBlock is already later than the timestamp.
+ */
+async function findBlockAtOrBeforeTimestamp({
+    publicClient,
+    timestampSec,
+    fromBlock = 0n,
+    toBlock,
+}) {
+    const target = BigInt(timestampSec);
+    const readTimestamp = async (blockNumber) =>
+        BigInt((await publicClient.getBlock({ blockNumber })).timestamp);
+    if ((await readTimestamp(fromBlock)) > target) {
+        return null;
+    }
+
+    let left = fromBlock;
+    let right = toBlock;
+    while (left < right) {
+        const middle = (left + right + 1n) / 2n;
+        if ((await readTimestamp(middle)) <= target) {
+            left = middle;
+        } else {
+            right = middle - 1n;
+        }
+    }
+
+    return left;
+}
+
 /**
  * Fetches logs in bounded block chunks to stay within provider range limits.
  */
@@ -109,6 +140,7 @@ function chainPositionCompare(left, right) {
 
 export {
     chainPositionCompare,
+    findBlockAtOrBeforeTimestamp,
     findContractDeploymentBlock,
     getBlockTimestampMs,
     getLogsChunked,
@@ -1,5 +1,10 @@
-import { createPublicClient, http } from 'viem';
+import { createPublicClient, http, webSocket } from 'viem';
 import { createSignerClient } from './signer.js';
+import { logger } from './logger.js';
+import { createRpcEndpointPool, createRpcTransport, resolveRpcEndpoints } from './rpc-transport.js';
+
+const DEFAULT_SUBSCRIPTION_RECONNECT_DELAY_MS = 2_000;
+const MAX_SUBSCRIPTION_RECONNECT_DELAY_MS = 60_000;
 
 function normalizeChainId(value, label = 'chainId') {
     const parsed = Number(value);
@@ -67,8 +72,62 @@ async function assertExpectedRuntimeChain({
     };
 }
 
+/**
+ * A single endpoint without quorum keeps the plain HTTP transport. Otherwise reads and writes go
+ * through a failover pool, and `quorumPublicClient` shares that pool but needs `rpcQuorum`
+ * endpoints to agree on every answer.
+ */
+function createRuntimePublicClients({
+    rpcUrl,
+    rpcEndpoints,
+    rpcQuorum = 1,
+    createPublicClientFn,
+    httpTransportFn,
+}) {
+    if (typeof rpcUrl !== 'string' || !rpcUrl.trim()) {
+        throw new Error('rpcUrl must be a non-empty string.');
+    }
+    const quorum = rpcQuorum ?? 1;
+    const endpoints = resolveRpcEndpoints({ rpcUrl, rpcEndpoints });
+    if (quorum > endpoints.length) {
+        throw new Error(
+            `rpcQuorum (${quorum}) exceeds the ${endpoints.length} configured RPC endpoint(s).`
+        );
+    }
+    if (endpoints.length === 1 && quorum <= 1) {
+        const publicClient = createPublicClientFn({ transport: httpTransportFn(rpcUrl) });
+        return { publicClient, quorumPublicClient: publicClient, pool: null, transport: undefined };
+    }
+
+    const pool = createRpcEndpointPool({ endpoints, httpTransportFn });
+    const transport = createRpcTransport({ pool });
+    const publicClient = createPublicClientFn({ transport });
+    const quorumPublicClient =
+        quorum > 1
+            ? createPublicClientFn({ transport: createRpcTransport({ pool, quorum }) })
+            : publicClient;
+    return { publicClient, quorumPublicClient, pool, transport };
+}
+
+async function assertRpcPoolChain({ pool, expectedChainId, buildError, publicClientLabel }) {
+    if (!pool) {
+        return;
+    }
+    const results = await pool.verifyEndpoints(expectedChainId);
+    const mismatched = results.find(
+        (result) => result.chainId !== null && result.chainId !== expectedChainId
+    );
+    if (mismatched) {
+        throw buildError(
+            `${publicClientLabel} endpoint ${mismatched.label} for chainId ${expectedChainId} is connected to chainId ${mismatched.chainId}.`
+        );
+    }
+}
+
 async function createValidatedReadWriteRuntime({
     rpcUrl,
+    rpcEndpoints = undefined,
+    rpcQuorum = 1,
     expectedChainId = undefined,
     buildError = (message) => new Error(message),
     publicClientLabel = 'Resolved rpcUrl',
@@ -77,14 +136,14 @@ async function createValidatedReadWriteRuntime({
     createSignerClientFn = createSignerClient,
     httpTransportFn = http,
 } = {}) {
-    if (typeof rpcUrl !== 'string' || !rpcUrl.trim()) {
-        throw new Error('rpcUrl must be a non-empty string.');
-    }
-
-    const publicClient = createPublicClientFn({
-        transport: httpTransportFn(rpcUrl),
+    const { publicClient, quorumPublicClient, pool, transport } = createRuntimePublicClients({
+        rpcUrl,
+        rpcEndpoints,
+        rpcQuorum,
+        createPublicClientFn,
+        httpTransportFn,
     });
-    const { account, walletClient } = await createSignerClientFn({ rpcUrl });
+    const { account, walletClient } = await createSignerClientFn({ rpcUrl, transport });
     const publicChainId = normalizeChainId(
         await publicClient.getChainId(),
         'public client chainId'
@@ -98,6 +157,12 @@ async function createValidatedReadWriteRuntime({
             `${publicClientLabel} for chainId ${normalizedExpectedChainId} is connected to chainId ${publicChainId}.`
         );
     }
+    await assertRpcPoolChain({
+        pool,
+        expectedChainId: normalizedExpectedChainId,
+        buildError,
+        publicClientLabel,
+    });
 
     const signerChainId = await resolveWalletClientChainId(walletClient);
     if (signerChainId !== normalizedExpectedChainId) {
@@ -108,6 +173,7 @@ async function createValidatedReadWriteRuntime({
 
     return {
         publicClient,
+        quorumPublicClient,
         account,
         walletClient,
         chainId: normalizedExpectedChainId,
@@ -118,18 +184,20 @@ async function createValidatedReadWriteRuntime({
 
 async function createValidatedReadOnlyRuntime({
     rpcUrl,
+    rpcEndpoints = undefined,
+    rpcQuorum = 1,
     expectedChainId = undefined,
     buildError = (message) => new Error(message),
     publicClientLabel = 'Resolved rpcUrl',
     createPublicClientFn = createPublicClient,
     httpTransportFn = http,
 } = {}) {
-    if (typeof rpcUrl !== 'string' || !rpcUrl.trim()) {
-        throw new Error('rpcUrl must be a non-empty string.');
-    }
-
-    const publicClient = createPublicClientFn({
-        transport: httpTransportFn(rpcUrl),
+    const { publicClient, quorumPublicClient, pool } = createRuntimePublicClients({
+        rpcUrl,
+        rpcEndpoints,
+        rpcQuorum,
+        createPublicClientFn,
+        httpTransportFn,
     });
     const publicChainId = normalizeChainId(
         await publicClient.getChainId(),
@@ -144,16 +212,164 @@ async function createValidatedReadOnlyRuntime({
             `${publicClientLabel} for chainId ${normalizedExpectedChainId} is connected to chainId ${publicChainId}.`
         );
     }
+    await assertRpcPoolChain({
+        pool,
+        expectedChainId: normalizedExpectedChainId,
+        buildError,
+        publicClientLabel,
+    });
 
     return {
         publicClient,
+        quorumPublicClient,
         chainId: normalizedExpectedChainId,
         publicChainId,
     };
 }
 
+/**
+ * Keeps `eth_subscribe` newHeads and logs subscriptions open on a WebSocket RPC and calls
+ * `onWake(reason)` when something relevant arrives. It only wakes the caller; the caller's HTTP
+ * scan stays the source of truth, so while the socket is down polling continues as before and
+ * the wake sent after each reconnect lets that scan backfill the gap immediately.
+ */
+function createChainSubscription({
+    wsRpcUrl,
+    expectedChainId = undefined,
+    logFilters = [],
+    wakeOnNewHeads = true,
+    onWake,
+    reconnectDelayMs = DEFAULT_SUBSCRIPTION_RECONNECT_DELAY_MS,
+    createPublicClientFn = createPublicClient,
+    webSocketTransportFn = webSocket,
+}) {
+    if (typeof wsRpcUrl !== 'string' || !wsRpcUrl.trim()) {
+        throw new Error('wsRpcUrl must be a non-empty string.');
+    }
+    if (typeof onWake !== 'function') {
+        throw new Error('createChainSubscription requires an onWake callback.');
+    }
+
+    let client = null;
+    let subscriptions = [];
+    let connected = false;
+    let stopped = true;
+    let reconnectTimer = null;
+    let failures = 0;
+    let hasConnected = false;
+
+    async function teardown() {
+        const active = subscriptions;
+        const activeClient = client;
+        subscriptions = [];
+        client = null;
+        connected = false;
+        await Promise.allSettled(active.map((subscription) => subscription.unsubscribe()));
+        try {
+            (await activeClient?.transport?.getRpcClient?.())?.close();
+        } catch (error) {
+            // The socket is already gone.
+        }
+    }
+
+    function scheduleReconnect() {
+        if (stopped || reconnectTimer) {
+            return;
+        }
+        const delayMs = Math.min(
+            reconnectDelayMs * 2 ** Math.min(failures, 10),
+            MAX_SUBSCRIPTION_RECONNECT_DELAY_MS
+        );
+        failures += 1;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, delayMs);
+        reconnectTimer.unref?.();
+    }
+
+    function handleError(error) {
+        if (stopped || !connected) {
+            return;
+        }
+        logger.warn(
+            `[agent] WebSocket subscription dropped; falling back to HTTP polling until it reconnects: ${error?.shortMessage ?? error?.message ?? error}`
+        );
+        teardown().finally(scheduleReconnect);
+    }
+
+    async function connect() {
+        if (stopped) {
+            return;
+        }
+        try {
+            client = createPublicClientFn({
+                transport: webSocketTransportFn(wsRpcUrl, { reconnect: false }),
+            });
+            if (expectedChainId !== undefined && expectedChainId !== null) {
+                const chainId = normalizeChainId(await client.getChainId(), 'wsRpcUrl chainId');
+                if (chainId !== normalizeChainId(expectedChainId, 'expected chainId')) {
+                    throw new Error(
+                        `wsRpcUrl for chainId ${expectedChainId} is connected to chainId ${chainId}.`
+                    );
+                }
+            }
+            const subscribe = async (params, reason) =>
+                client.transport.subscribe({
+                    params,
+                    onData: () => onWake(reason),
+                    onError: handleError,
+                });
+            if (wakeOnNewHeads) {
+                subscriptions.push(await subscribe(['newHeads'], 'new_head'));
+            }
+            for (const filter of logFilters) {
+                subscriptions.push(await subscribe(['logs', filter], 'log'));
+            }
+            if (stopped) {
+                await teardown();
+                return;
+            }
+            connected = true;
+            failures = 0;
+            logger.log(
+                `[agent] WebSocket subscriptions active (${subscriptions.length} subscription(s)).`
+            );
+            if (hasConnected) {
+                onWake('reconnect');
+            }
+            hasConnected = true;
+        } catch (error) {
+            logger.warn(
+                `[agent] WebSocket subscription failed; using HTTP polling: ${error?.shortMessage ?? error?.message ?? error}`
+            );
+            await teardown();
+            scheduleReconnect();
+        }
+    }
+
+    return {
+        async start() {
+            stopped = false;
+            await connect();
+        },
+        async stop() {
+            stopped = true;
+            if (reconnectTimer) {
+                clearTimeout(reconnectTimer);
+                reconnectTimer = null;
+            }
+            await teardown();
+        },
+        isConnected() {
+            return connected;
+        },
+    };
+}
+
 export {
     assertExpectedRuntimeChain,
+    createChainSubscription,
     createValidatedReadOnlyRuntime,
     createValidatedReadWriteRuntime,
     normalizeChainId,
@@ -0,0 +1,254 @@
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'node:fs';
+import { getAddress } from 'viem';
+import { isPlainObject } from './canonical-json.js';
+
+const STORE_VERSION = 'oya-chain-scan-checkpoint-v1';
+const REWIND_SCOPES = Object.freeze(['all', 'commitment', 'proposals']);
+
+function parseOptionalBlock(value, label) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    let parsed;
+    try {
+        parsed = BigInt(value);
+    } catch (error) {
+        throw new Error(`${label} must be an integer block number.`);
+    }
+    if (parsed < 0n) {
+        throw new Error(`${label} must be a non-negative block number.`);
+    }
+    return parsed;
+}
+
+function serializeBlock(value) {
+    return value === undefined || value === null ? null : BigInt(value).toString();
+}
+
+function serializeProposal(proposal) {
+    return {
+        proposalHash: proposal.proposalHash,
+        assertionId: proposal.assertionId ?? null,
+        proposer: proposal.proposer ?? null,
+        challengeWindowEnds: BigInt(proposal.challengeWindowEnds ?? 0).toString(),
+        transactions: (proposal.transactions ?? []).map((tx) => ({
+            to: tx.to,
+            operation: Number(tx.operation ?? 0),
+            value: BigInt(tx.value ?? 0).toString(),
+            data: tx.data ?? '0x',
+        })),
+        lastAttemptMs: proposal.lastAttemptMs ?? 0,
+        executionTxHash: proposal.executionTxHash ?? null,
+        executionSubmittedMs: proposal.executionSubmittedMs ?? null,
+        disputeAttemptMs: proposal.disputeAttemptMs ?? 0,
+        rules: proposal.rules ?? null,
+        explanation: proposal.explanation ?? null,
+    };
+}
+
+// Restores the in-memory shape pollProposalChanges builds from TransactionsProposed logs.
+function deserializeProposal(entry, label) {
+    if (!isPlainObject(entry)) {
+        throw new Error(`${label} must be an object.`);
+    }
+    if (typeof entry.proposalHash !== 'string' || !entry.proposalHash.startsWith('0x')) {
+        throw new Error(`${label}.proposalHash must be a hex string.`);
+    }
+    if (!Array.isArray(entry.transactions)) {
+        throw new Error(`${label}.transactions must be an array.`);
+    }
+    return {
+        proposalHash: entry.proposalHash,
+        assertionId: entry.assertionId ?? undefined,
+        proposer: entry.proposer ? getAddress(entry.proposer) : undefined,
+        challengeWindowEnds: BigInt(entry.challengeWindowEnds ?? 0),
+        transactions: entry.transactions.map((tx) => ({
+            to: getAddress(tx.to),
+            operation: Number(tx.operation ?? 0),
+            value: BigInt(tx.value ?? 0),
+            data: tx.data ?? '0x',
+        })),
+        lastAttemptMs: Number(entry.lastAttemptMs ?? 0),
+        executionTxHash: entry.executionTxHash ?? null,
+        executionSubmittedMs: entry.executionSubmittedMs ?? null,
+        disputeAttemptMs: Number(entry.disputeAttemptMs ?? 0),
+        rules: entry.rules ?? undefined,
+        explanation: entry.explanation ?? undefined,
+    };
+}
+
+function deserializeBlockHash(entry, label) {
+    if (!isPlainObject(entry) || typeof entry.blockHash !== 'string') {
+        throw new Error(`${label} must be an object with blockNumber and blockHash.`);
+    }
+    return {
+        blockNumber: parseOptionalBlock(entry.blockNumber, `${label}.blockNumber`),
+        blockHash: entry.blockHash,
+    };
+}
+
+function minBlock(current, limit) {
+    if (current === undefined) {
+        return undefined;
+    }
+    return current < limit ? current : limit;
+}
+
+/**
+ * Durable chain-scan cursor for one chainId, commitment Safe and OG module. Records the last
+ * fully processed block for the commitment and proposal scans, the tracked proposals, and recent
+ * block hashes for reorg detection, so a restarted agent resumes from exactly where it stopped
+ * instead of rescanning or skipping.
+ */
+function createChainScanCheckpointStore({ stateFile, chainId, commitmentSafe, ogModule }) {
+    if (typeof stateFile !== 'string' || !stateFile.trim()) {
+        throw new Error('createChainScanCheckpointStore requires a non-empty stateFile path.');
+    }
+    const resolvedStateFile = path.resolve(stateFile.trim());
+    const scope = {
+        chainId: Number(chainId),
+        commitmentSafe: getAddress(commitmentSafe),
+        ogModule: getAddress(ogModule),
+    };
+
+    function load() {
+        let raw;
+        try {
+            raw = readFileSync(resolvedStateFile, 'utf8');
+        } catch (error) {
+            if (error?.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        const parsed = JSON.parse(raw);
+        if (!isPlainObject(parsed)) {
+            throw new Error(`State file ${resolvedStateFile} must contain a JSON object.`);
+        }
+        if (parsed.version !== STORE_VERSION) {
+            throw new Error(`Unsupported chain scan checkpoint version in ${resolvedStateFile}.`);
+        }
+        if (
+            Number(parsed.chainId) !== scope.chainId ||
+            getAddress(parsed.commitmentSafe) !== scope.commitmentSafe ||
+            getAddress(parsed.ogModule) !== scope.ogModule
+        ) {
+            throw new Error(
+                `Chain scan checkpoint ${resolvedStateFile} belongs to chainId ${parsed.chainId}, Safe ${parsed.commitmentSafe} and OG ${parsed.ogModule}, not the configured commitment.`
+            );
+        }
+        const proposals = parsed.proposals ?? [];
+        if (!Array.isArray(proposals)) {
+            throw new Error(`State file ${resolvedStateFile}.proposals must be an array.`);
+        }
+        const blockHashes = parsed.blockHashes ?? [];
+        if (!Array.isArray(blockHashes)) {
+            throw new Error(`State file ${resolvedStateFile}.blockHashes must be an array.`);
+        }
+        return {
+            ...scope,
+            lastCheckedBlock: parseOptionalBlock(
+                parsed.lastCheckedBlock,
+                `State file ${resolvedStateFile}.lastCheckedBlock`
+            ),
+            lastProposalCheckedBlock: parseOptionalBlock(
+                parsed.lastProposalCheckedBlock,
+                `State file ${resolvedStateFile}.lastProposalCheckedBlock`
+            ),
+            proposals: proposals.map((entry, index) =>
+                deserializeProposal(entry, `State file ${resolvedStateFile}.proposals[${index}]`)
+            ),
+            blockHashes: blockHashes.map((entry, index) =>
+                deserializeBlockHash(entry, `State file ${resolvedStateFile}.blockHashes[${index}]`)
+            ),
+            updatedAtMs: Number(parsed.updatedAtMs ?? 0),
+        };
+    }
+
+    function save({
+        lastCheckedBlock,
+        lastProposalCheckedBlock,
+        proposals = [],
+        blockHashes = [],
+        nowMs = Date.now(),
+    }) {
+        mkdirSync(path.dirname(resolvedStateFile), { recursive: true });
+        const tempPath = `${resolvedStateFile}.${process.pid}.${Date.now()}.${randomUUID()}.tmp`;
+        const snapshot = {
+            version: STORE_VERSION,
+            ...scope,
+            lastCheckedBlock: serializeBlock(lastCheckedBlock),
+            lastProposalCheckedBlock: serializeBlock(lastProposalCheckedBlock),
+            proposals: Array.from(proposals, (proposal) => serializeProposal(proposal)),
+            blockHashes: Array.from(blockHashes, ({ blockNumber, blockHash }) => ({
+                blockNumber: serializeBlock(blockNumber),
+                blockHash,
+            })),
+            updatedAtMs: nowMs,
+        };
+        try {
+            writeFileSync(tempPath, `${JSON.stringify(snapshot, null, 2)}\n`, 'utf8');
+            renameSync(tempPath, resolvedStateFile);
+        } catch (error) {
+            rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Moves the selected cursors back to `toBlock` so the next run reprocesses everything after
+     * it. Cursors already at or below `toBlock` are left alone. `resetProposals` drops the tracked
+     * proposals and the proposal cursor, so the next boot backfills proposal history from
+     * `startBlock` or the OG deployment block.
+     */
+    function rewind({ toBlock, scope: rewindScope = 'all', resetProposals = false, nowMs }) {
+        if (!REWIND_SCOPES.includes(rewindScope)) {
+            throw new Error(`Rewind scope must be one of: ${REWIND_SCOPES.join(', ')}.`);
+        }
+        const checkpoint = load();
+        if (!checkpoint) {
+            throw new Error(`No chain scan checkpoint exists at ${resolvedStateFile}.`);
+        }
+        const limit = parseOptionalBlock(toBlock, 'toBlock');
+        if (limit === undefined && !resetProposals) {
+            throw new Error('Rewind requires toBlock or resetProposals.');
+        }
+
+        let { lastCheckedBlock, lastProposalCheckedBlock, proposals, blockHashes } = checkpoint;
+        if (limit !== undefined && rewindScope !== 'proposals') {
+            lastCheckedBlock = minBlock(lastCheckedBlock, limit);
+        }
+        if (limit !== undefined && rewindScope !== 'commitment') {
+            lastProposalCheckedBlock = minBlock(lastProposalCheckedBlock, limit);
+        }
+        if (resetProposals) {
+            lastProposalCheckedBlock = undefined;
+            proposals = [];
+        }
+        // Hashes above the lowest cursor would describe blocks the agent has not rescanned yet.
+        const cursors = [lastCheckedBlock, lastProposalCheckedBlock].filter(
+            (block) => block !== undefined
+        );
+        const highestKept = cursors.length > 0 ? cursors.reduce(minBlock) : -1n;
+        blockHashes = blockHashes.filter(({ blockNumber }) => blockNumber <= highestKept);
+        save({ lastCheckedBlock, lastProposalCheckedBlock, proposals, blockHashes, nowMs });
+        return load();
+    }
+
+    function clear() {
+        rmSync(resolvedStateFile, { force: true });
+    }
+
+    return {
+        stateFile: resolvedStateFile,
+        load,
+        save,
+        rewind,
+        clear,
+    };
+}
+
+export { REWIND_SCOPES, createChainScanCheckpointStore };
@@ -4,6 +4,8 @@ const chainlinkLatestRoundDataAbi = parseAbi([
     'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
 ]);
 
+const chainlinkDecimalsAbi = parseAbi(['function decimals() external view returns (uint8)']);
+
 /**
  * Reads and caches Chainlink price answer at a specific historical block.
  */
@@ -33,7 +35,56 @@ async function getChainlinkAnswerAtBlock({
     return answer;
 }
 
+/**
+ * Reads the latest Chainlink answer scaled by the feed's decimals, as of `blockNumber` when set.
+ * Rejects non-positive answers and, when `maxAgeSeconds` is set, rounds older than that relative
+ * to `nowMs`.
+ */
+async function getChainlinkLatestPrice({
+    publicClient,
+    feedAddress,
+    maxAgeSeconds,
+    nowMs,
+    blockNumber = undefined,
+}) {
+    const blockParams = blockNumber !== undefined ? { blockNumber: BigInt(blockNumber) } : {};
+    const [round, decimals] = await Promise.all([
+        publicClient.readContract({
+            address: feedAddress,
+            abi: chainlinkLatestRoundDataAbi,
+            functionName: 'latestRoundData',
+            ...blockParams,
+        }),
+        publicClient.readContract({
+            address: feedAddress,
+            abi: chainlinkDecimalsAbi,
+            functionName: 'decimals',
+            ...blockParams,
+        }),
+    ]);
+    const answer = BigInt(round?.[1] ?? 0n);
+    if (answer <= 0n) {
+        throw new Error(`Chainlink feed ${feedAddress} answer is non-positive.`);
+    }
+    const updatedAt = Number(round?.[3] ?? 0n);
+    if (maxAgeSeconds !== undefined && maxAgeSeconds !== null) {
+        const ageSeconds = Math.floor(nowMs / 1000) - updatedAt;
+        if (ageSeconds > Number(maxAgeSeconds)) {
+            throw new Error(
+                `Chainlink feed ${feedAddress} is stale: updated ${ageSeconds}s ago, max ${maxAgeSeconds}s.`
+            );
+        }
+    }
+    return {
+        answer,
+        decimals: Number(decimals),
+        price: Number(answer) / 10 ** Number(decimals),
+        updatedAt,
+    };
+}
+
 export {
     chainlinkLatestRoundDataAbi,
     getChainlinkAnswerAtBlock,
+    getChainlinkLatestPrice,
 };
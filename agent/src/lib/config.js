@@ -205,7 +205,9 @@ const MESSAGE_API_DEFAULTS = Object.freeze({
     messageApiRateLimitBurst: 10,
     messageApiRequireSignerAllowlist: true,
     messageApiSignerAllowlist: [],
+    messageApiAllowedOrigins: [],
     messageApiSignatureMaxAgeSeconds: 300,
+    messageApiStateFile: undefined,
     messageApiKeys: {},
 });
 
@@ -224,6 +226,7 @@ const PROPOSAL_PUBLISH_API_DEFAULTS = Object.freeze({
     proposalPublishApiMaxBodyBytes: 65_536,
     proposalPublishApiRequireSignerAllowlist: true,
     proposalPublishApiSignerAllowlist: [],
+    proposalPublishApiAllowedOrigins: [],
     proposalPublishApiSignatureMaxAgeSeconds: 300,
     proposalPublishApiStateFile: undefined,
     proposalPublishApiNodeName: undefined,
@@ -242,6 +245,12 @@ const MESSAGE_PUBLISH_API_DEFAULTS = Object.freeze({
     messagePublishApiKeys: {},
 });
 
+const METRICS_API_DEFAULTS = Object.freeze({
+    metricsApiHost: '127.0.0.1',
+    metricsApiPort: 9464,
+    metricsApiStallThresholdMs: undefined,
+});
+
 const DEFAULT_POLYMARKET_CONDITIONAL_TOKENS =
     '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045';
 
@@ -469,12 +478,21 @@ function assertNoDeprecatedConfigEnvVars({ env = process.env, agentModuleName }
 function createDefaultRuntimeConfig({ env = process.env, rpcUrl } = {}) {
     return {
         rpcUrl,
+        rpcEndpoints: [],
+        rpcQuorum: 1,
+        wsRpcUrl: env.WS_RPC_URL || undefined,
+        wsWakeOnNewHeads: true,
+        wsMinWakeIntervalMs: 1_000,
         chainId: undefined,
         commitmentSafe: undefined,
         ogModule: undefined,
         pollIntervalMs: 10_000,
         logChunkSize: undefined,
         startBlock: undefined,
+        chainScanCheckpointEnabled: true,
+        chainScanCheckpointFile: undefined,
+        confirmationDepth: 0,
+        reorgTrackingDepth: 64,
         watchAssets: [],
         watchErc1155Assets: [],
         watchNativeBalance: true,
@@ -485,11 +503,28 @@ function createDefaultRuntimeConfig({ env = process.env, rpcUrl } = {}) {
         openAiModel: 'gpt-4.1-mini',
         openAiBaseUrl: 'https://api.openai.com/v1',
         openAiRequestTimeoutMs: 60_000,
+        llmProvider: 'openai_responses',
+        anthropicApiKey: env.ANTHROPIC_API_KEY,
+        anthropicModel: 'claude-sonnet-4-5',
+        anthropicBaseUrl: 'https://api.anthropic.com/v1',
+        anthropicMaxTokens: 4096,
+        anthropicRequestTimeoutMs: 60_000,
+        llmFixtureMode: 'off',
+        llmFixtureDir: undefined,
+        logLevel: undefined,
+        logFormat: undefined,
         proposalVerificationMode: 'off',
+        proposalSimulationMode: 'warn',
         allowProposeOnSimulationFail: false,
         proposeGasLimit: 2_000_000n,
         executeRetryMs: 60_000,
         executePendingTxTimeoutMs: 900_000,
+        nonceManagerEnabled: true,
+        txJournalFile: undefined,
+        txStuckTimeoutMs: 180_000,
+        txFeeBumpPercent: 20,
+        maxFeePerGasWei: undefined,
+        maxPriorityFeePerGasWei: undefined,
         proposeEnabled: true,
         disputeEnabled: true,
         disputeRetryMs: 60_000,
@@ -533,12 +568,16 @@ function createDefaultRuntimeConfig({ env = process.env, rpcUrl } = {}) {
         uniswapV3Factory: undefined,
         uniswapV3Quoter: undefined,
         uniswapV3FeeTiers: [500, 3000, 10000],
+        priceOracle: undefined,
+        tokenSymbolAddresses: undefined,
         messageApiEnabled: false,
         ...MESSAGE_API_DEFAULTS,
         messagePublishApiEnabled: false,
         ...MESSAGE_PUBLISH_API_DEFAULTS,
         proposalPublishApiEnabled: false,
         ...PROPOSAL_PUBLISH_API_DEFAULTS,
+        metricsApiEnabled: false,
+        ...METRICS_API_DEFAULTS,
         ipfsEnabled: false,
         ...IPFS_DEFAULTS,
     };
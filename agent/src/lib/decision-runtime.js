@@ -3,9 +3,11 @@ import {
     DECISION_STATUS,
     evaluateToolOutputsDecisionStatus,
     hasDeterministicDecisionEngine,
+    hasLlmDecisionEngine,
     isRetryableDecisionError,
 } from './decision-support.js';
 import { executeToolCalls, hasCommittedToolSideEffects, toolDefinitions } from './tools.js';
+import { logger } from './logger.js';
 
 export function createDecisionRuntime({
     agentModule,
@@ -17,6 +19,7 @@ export function createDecisionRuntime({
     commitmentText,
     getOgContext,
     ensureOgContext,
+    metrics,
 }) {
     async function notifyAgentToolOutput(output) {
         if (!output?.name || !output?.output || !agentModule?.onToolOutput) {
@@ -38,7 +41,7 @@ export function createDecisionRuntime({
                 config,
             });
         } catch (error) {
-            console.warn('[agent] onToolOutput hook failed:', error?.message ?? error);
+            logger.warn('[agent] onToolOutput hook failed:', error?.message ?? error);
         }
     }
 
@@ -47,6 +50,7 @@ export function createDecisionRuntime({
         signals,
         onchainPendingProposal,
         decisionResponseId,
+        decisionContinuation = null,
     }) {
         let approvedToolCalls = toolCalls;
         if (typeof agentModule?.validateToolCalls === 'function') {
@@ -80,7 +84,7 @@ export function createDecisionRuntime({
                 }
             } catch (error) {
                 const retryableValidationError = isRetryableDecisionError(error);
-                console.warn(
+                logger.warn(
                     '[agent] validateToolCalls failed:',
                     error?.message ?? error
                 );
@@ -108,7 +112,10 @@ export function createDecisionRuntime({
         } catch (error) {
             const sideEffectsLikelyCommitted = hasCommittedToolSideEffects(error);
             const retryableExecutionError = isRetryableDecisionError(error);
-            console.error('[agent] Tool execution failed:', error?.message ?? error);
+            logger.error('[agent] Tool execution failed:', error?.message ?? error);
+            for (const call of approvedToolCalls) {
+                metrics?.recordToolOutcome(call.name, 'error');
+            }
             if (sideEffectsLikelyCommitted) {
                 return DECISION_STATUS.FAILED_NON_RETRYABLE;
             }
@@ -131,12 +138,13 @@ export function createDecisionRuntime({
                 typeof payload?.status === 'string' && payload.status.trim()
                     ? payload.status.trim().toLowerCase()
                     : '';
+            metrics?.recordToolOutcome(output.name, status || 'unknown');
             if (status === 'error') {
                 const message =
                     typeof payload?.message === 'string' && payload.message.trim()
                         ? payload.message.trim()
                         : 'unknown tool error';
-                console.warn(
+                logger.warn(
                     `[agent] Tool output error: name=${output.name} callId=${output.callId ?? 'unknown'} retryable=${payload?.retryable === true} sideEffectsLikelyCommitted=${payload?.sideEffectsLikelyCommitted === true} message=${message}`
                 );
             } else if (status === 'skipped') {
@@ -144,7 +152,7 @@ export function createDecisionRuntime({
                     typeof payload?.reason === 'string' && payload.reason.trim()
                         ? payload.reason.trim()
                         : 'no reason provided';
-                console.warn(
+                logger.warn(
                     `[agent] Tool output skipped: name=${output.name} callId=${output.callId ?? 'unknown'} reason=${reason}`
                 );
             }
@@ -168,18 +176,19 @@ export function createDecisionRuntime({
             (output) => output?.callId && modelCallIds.has(output.callId)
         );
 
-        if (decisionResponseId && explainableOutputs.length > 0) {
+        if ((decisionResponseId || decisionContinuation) && explainableOutputs.length > 0) {
             try {
                 const explanation = await explainToolCalls({
                     config,
                     previousResponseId: decisionResponseId,
+                    continuation: decisionContinuation,
                     toolOutputs: explainableOutputs,
                 });
                 if (explanation) {
-                    console.log('[agent] Agent explanation:', explanation);
+                    logger.log('[agent] Agent explanation:', explanation);
                 }
             } catch (error) {
-                console.warn(
+                logger.warn(
                     '[agent] Failed to fetch post-tool explanation:',
                     error?.message ?? error
                 );
@@ -211,14 +220,14 @@ export function createDecisionRuntime({
                 return DECISION_STATUS.NO_ACTION;
             } catch (error) {
                 const retryableDeterministicError = isRetryableDecisionError(error);
-                console.error('[agent] Deterministic tool-call generation failed', error);
+                logger.error('[agent] Deterministic tool-call generation failed', error);
                 return retryableDeterministicError
                     ? DECISION_STATUS.FAILED_RETRYABLE
                     : DECISION_STATUS.FAILED_NON_RETRYABLE;
             }
         }
 
-        if (!config.openAiApiKey) {
+        if (!hasLlmDecisionEngine(config)) {
             return DECISION_STATUS.NO_ACTION;
         }
 
@@ -236,12 +245,14 @@ export function createDecisionRuntime({
                 config.proposeEnabled ||
                 config.disputeEnabled ||
                 config.polymarketClobEnabled ||
-                config.ipfsEnabled;
+                config.ipfsEnabled ||
+                Boolean(config.priceOracle);
             const tools = toolDefinitions({
                 proposeEnabled: config.proposeEnabled,
                 disputeEnabled: config.disputeEnabled,
                 clobEnabled: config.polymarketClobEnabled,
                 ipfsEnabled: config.ipfsEnabled,
+                priceOracleEnabled: Boolean(config.priceOracle),
                 onchainToolsEnabled: config.proposeEnabled || config.disputeEnabled,
             });
             const allowTools = executableToolsEnabled;
@@ -257,7 +268,7 @@ export function createDecisionRuntime({
             });
 
             if (!allowTools && decision?.textDecision) {
-                console.log('[agent] Opinion:', decision.textDecision);
+                logger.log('[agent] Opinion:', decision.textDecision);
                 return DECISION_STATUS.HANDLED;
             }
 
@@ -267,16 +278,17 @@ export function createDecisionRuntime({
                     signals,
                     onchainPendingProposal,
                     decisionResponseId: decision.responseId,
+                    decisionContinuation: decision.continuation,
                 });
             }
 
             if (decision?.textDecision) {
-                console.log('[agent] Decision:', decision.textDecision);
+                logger.log('[agent] Decision:', decision.textDecision);
                 return DECISION_STATUS.HANDLED;
             }
         } catch (error) {
             const retryableAgentError = isRetryableDecisionError(error);
-            console.error('[agent] Agent call failed', error);
+            logger.error('[agent] Agent call failed', error);
             return retryableAgentError
                 ? DECISION_STATUS.FAILED_RETRYABLE
                 : DECISION_STATUS.FAILED_NON_RETRYABLE;
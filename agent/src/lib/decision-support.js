@@ -1,3 +1,6 @@
+import { resolveLlmFixtureMode } from './llm-fixtures.js';
+import { resolveLlmProvider } from './llm-providers.js';
+
 const DECISION_STATUS = Object.freeze({
     HANDLED: 'handled',
     NO_ACTION: 'no_action',
@@ -25,7 +28,11 @@ function hasDeterministicDecisionEngine(agentModule) {
 }
 
 function hasLlmDecisionEngine(config) {
-    return Boolean(config?.openAiApiKey);
+    // Replay serves recorded responses offline, so provider credentials are not needed.
+    if (resolveLlmFixtureMode(config) === 'replay') {
+        return true;
+    }
+    return resolveLlmProvider(config).hasCredentials(config);
 }
 
 function parseHttpStatusCode(value) {
@@ -91,7 +98,7 @@ function validateMessageApiDecisionEngine({ config, agentModule }) {
     if (hasDeterministicDecisionEngine(agentModule)) return;
     if (hasLlmDecisionEngine(config)) return;
     throw new Error(
-        'messageApi.enabled requires OPENAI_API_KEY or agentModule.getDeterministicToolCalls().'
+        `messageApi.enabled requires ${resolveLlmProvider(config).credentialLabel} or agentModule.getDeterministicToolCalls().`
     );
 }
 
@@ -35,4 +35,44 @@ function sendJson(res, statusCode, payload, extraHeaders = {}) {
     res.end(JSON.stringify(payload));
 }
 
-export { readJsonBody, sendJson };
+/**
+ * Lets listed browser origins call the API cross-origin. Allowed origins get CORS headers on every
+ * response and a 204 for preflight requests; returns true when the request was a preflight that
+ * has been answered. Other origins get no CORS headers, so browsers keep blocking them.
+ */
+function handleCorsRequest(req, res, { allowedOrigins = [], methods = ['GET', 'POST'] } = {}) {
+    const origin = req.headers.origin;
+    if (typeof origin !== 'string' || !allowedOrigins.includes(origin)) {
+        return false;
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    if (req.method !== 'OPTIONS') {
+        return false;
+    }
+    res.writeHead(204, {
+        'Access-Control-Allow-Methods': methods.join(', '),
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Max-Age': '600',
+    });
+    res.end();
+    return true;
+}
+
+function encodeListCursor(position) {
+    return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+function decodeListCursor(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(Buffer.from(raw.trim(), 'base64url').toString('utf8'));
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+export { decodeListCursor, encodeListCursor, handleCorsRequest, readJsonBody, sendJson };
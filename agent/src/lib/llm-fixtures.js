@@ -0,0 +1,89 @@
+import { createHash, randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { isPlainObject, stringifyCanonicalJson } from './canonical-json.js';
+
+const LLM_FIXTURE_VERSION = 'oya-llm-fixture-v1';
+const LLM_FIXTURE_MODES = Object.freeze(['off', 'record', 'replay']);
+
+function resolveLlmFixtureMode(config) {
+    const mode = config?.llmFixtureMode ?? 'off';
+    if (!LLM_FIXTURE_MODES.includes(mode)) {
+        throw new Error(`llmFixtureMode must be one of: ${LLM_FIXTURE_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function resolveLlmFixtureDir(config) {
+    if (typeof config?.llmFixtureDir !== 'string' || !config.llmFixtureDir.trim()) {
+        throw new Error('llmFixtureDir is required when llmFixtureMode is record or replay.');
+    }
+    return path.resolve(config.llmFixtureDir.trim());
+}
+
+// Fixtures are keyed by provider and request body only. Base URLs and auth headers
+// are left out so recordings replay the same way against any host or key.
+function buildLlmFixtureKey({ providerId, body }) {
+    return createHash('sha256')
+        .update(stringifyCanonicalJson({ provider: providerId, body }))
+        .digest('hex');
+}
+
+function createMissingFixtureError(fixturePath) {
+    const error = new Error(`No LLM fixture recorded for this request: ${fixturePath}`);
+    error.code = 'llm_fixture_missing';
+    return error;
+}
+
+async function readLlmFixture({ config, providerId, body }) {
+    const fixturePath = path.join(
+        resolveLlmFixtureDir(config),
+        `${buildLlmFixtureKey({ providerId, body })}.json`
+    );
+    let raw;
+    try {
+        raw = await readFile(fixturePath, 'utf8');
+    } catch (error) {
+        if (error?.code === 'ENOENT') {
+            throw createMissingFixtureError(fixturePath);
+        }
+        throw error;
+    }
+
+    const parsed = JSON.parse(raw);
+    if (!isPlainObject(parsed) || parsed.version !== LLM_FIXTURE_VERSION) {
+        throw new Error(`Unsupported LLM fixture version in ${fixturePath}.`);
+    }
+    return parsed.response;
+}
+
+async function writeLlmFixture({ config, providerId, body, response }) {
+    const fixtureDir = resolveLlmFixtureDir(config);
+    const fixturePath = path.join(fixtureDir, `${buildLlmFixtureKey({ providerId, body })}.json`);
+    await mkdir(fixtureDir, { recursive: true });
+    const tempPath = `${fixturePath}.${process.pid}.${Date.now()}.${randomUUID()}.tmp`;
+    await writeFile(
+        tempPath,
+        `${JSON.stringify(
+            {
+                version: LLM_FIXTURE_VERSION,
+                provider: providerId,
+                request: body,
+                response,
+            },
+            null,
+            2
+        )}\n`,
+        'utf8'
+    );
+    await rename(tempPath, fixturePath);
+    return fixturePath;
+}
+
+export {
+    LLM_FIXTURE_MODES,
+    buildLlmFixtureKey,
+    readLlmFixture,
+    resolveLlmFixtureMode,
+    writeLlmFixture,
+};
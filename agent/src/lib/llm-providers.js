@@ -0,0 +1,372 @@
+const LLM_PROVIDER_IDS = Object.freeze(['openai_responses', 'openai_chat', 'anthropic']);
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const EXPLANATION_PROMPT = 'Summarize the actions you took and why.';
+
+function resolveTimeoutMs(value) {
+    const timeoutMs = Number(value);
+    return Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 60_000;
+}
+
+function stripJsonCodeFence(raw) {
+    const fenced = raw.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return fenced ? fenced[1] : raw.trim();
+}
+
+// Models without a native JSON response mode sometimes wrap the object in prose;
+// fall back to the outermost {...} span before giving up.
+function extractJsonObjectText(raw) {
+    const unfenced = stripJsonCodeFence(raw);
+    if (unfenced.startsWith('{')) {
+        return unfenced;
+    }
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    return start >= 0 && end > start ? unfenced.slice(start, end + 1) : unfenced;
+}
+
+function normalizeFunctionTool(tool) {
+    return {
+        name: tool?.name ?? tool?.function?.name,
+        description: tool?.description ?? tool?.function?.description ?? '',
+        parameters: tool?.parameters ?? tool?.function?.parameters ?? {
+            type: 'object',
+            properties: {},
+        },
+    };
+}
+
+function extractResponsesText(responseJson) {
+    const outputs = responseJson?.output;
+    if (!Array.isArray(outputs)) return '';
+
+    for (const item of outputs) {
+        if (!item?.content) continue;
+        for (const chunk of item.content) {
+            if (chunk?.text) return chunk.text;
+            if (chunk?.output_text) return chunk.output_text?.text ?? '';
+            if (chunk?.text?.value) return chunk.text.value;
+        }
+    }
+
+    return '';
+}
+
+function extractResponsesToolCalls(responseJson) {
+    const outputs = responseJson?.output;
+    if (!Array.isArray(outputs)) return [];
+
+    const toolCalls = [];
+    for (const item of outputs) {
+        if (item?.type === 'tool_call' || item?.type === 'function_call') {
+            toolCalls.push({
+                name: item?.name ?? item?.function?.name,
+                arguments: item?.arguments ?? item?.function?.arguments,
+                callId: item?.call_id ?? item?.id,
+            });
+            continue;
+        }
+
+        if (Array.isArray(item?.tool_calls)) {
+            for (const call of item.tool_calls) {
+                toolCalls.push({
+                    name: call?.name ?? call?.function?.name,
+                    arguments: call?.arguments ?? call?.function?.arguments,
+                    callId: call?.call_id ?? call?.id,
+                });
+            }
+        }
+    }
+
+    return toolCalls.filter((call) => call.name);
+}
+
+const openAiResponsesProvider = Object.freeze({
+    id: 'openai_responses',
+    label: 'OpenAI',
+    credentialLabel: 'OPENAI_API_KEY',
+    // Decision text is requested as a json_object, so it must parse even alongside tool calls.
+    textMayAccompanyToolCalls: false,
+    hasCredentials(config) {
+        return Boolean(config?.openAiApiKey);
+    },
+    getRequestTimeoutMs(config) {
+        return resolveTimeoutMs(config?.openAiRequestTimeoutMs);
+    },
+    buildRequest(config, body) {
+        return {
+            url: `${config.openAiBaseUrl}/responses`,
+            headers: {
+                Authorization: `Bearer ${config.openAiApiKey}`,
+                'Content-Type': 'application/json',
+            },
+            body,
+        };
+    },
+    buildDecisionBody({ config, systemPrompt, userContent, tools, allowTools }) {
+        return {
+            model: config.openAiModel,
+            input: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userContent },
+            ],
+            tools: allowTools ? tools : [],
+            tool_choice: allowTools ? 'auto' : 'none',
+            parallel_tool_calls: false,
+            text: { format: { type: 'json_object' } },
+        };
+    },
+    parseResponse(responseJson) {
+        return {
+            text: extractResponsesText(responseJson),
+            toolCalls: extractResponsesToolCalls(responseJson),
+            responseId: responseJson?.id,
+        };
+    },
+    parseDecisionText(raw) {
+        return JSON.parse(raw);
+    },
+    // The Responses API keeps conversation state server-side, so only the response id
+    // is needed to continue it.
+    buildContinuation() {
+        return null;
+    },
+    buildExplanationBody({ config, previousResponseId, toolOutputs }) {
+        return {
+            model: config.openAiModel,
+            previous_response_id: previousResponseId,
+            input: [
+                ...toolOutputs.map((item) => ({
+                    type: 'function_call_output',
+                    call_id: item.callId,
+                    output: item.output,
+                })),
+                {
+                    type: 'message',
+                    role: 'user',
+                    content: [{ type: 'input_text', text: EXPLANATION_PROMPT }],
+                },
+            ],
+        };
+    },
+});
+
+function extractChatCompletionText(responseJson) {
+    const content = responseJson?.choices?.[0]?.message?.content;
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .map((part) => (typeof part === 'string' ? part : part?.text ?? ''))
+            .join('');
+    }
+    return '';
+}
+
+function extractChatCompletionToolCalls(responseJson) {
+    const toolCalls = responseJson?.choices?.[0]?.message?.tool_calls;
+    if (!Array.isArray(toolCalls)) return [];
+    return toolCalls
+        .map((call) => ({
+            name: call?.function?.name,
+            arguments: call?.function?.arguments,
+            callId: call?.id,
+        }))
+        .filter((call) => call.name);
+}
+
+const openAiChatProvider = Object.freeze({
+    id: 'openai_chat',
+    label: 'OpenAI-compatible',
+    credentialLabel: 'llmProvider="openai_chat"',
+    textMayAccompanyToolCalls: true,
+    // Local llama.cpp/vLLM servers usually run without auth, so selecting this
+    // provider explicitly is enough to enable LLM decisions.
+    hasCredentials() {
+        return true;
+    },
+    getRequestTimeoutMs(config) {
+        return resolveTimeoutMs(config?.openAiRequestTimeoutMs);
+    },
+    buildRequest(config, body) {
+        return {
+            url: `${config.openAiBaseUrl}/chat/completions`,
+            headers: {
+                ...(config.openAiApiKey ? { Authorization: `Bearer ${config.openAiApiKey}` } : {}),
+                'Content-Type': 'application/json',
+            },
+            body,
+        };
+    },
+    buildDecisionBody({ config, systemPrompt, userContent, tools, allowTools }) {
+        const body = {
+            model: config.openAiModel,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userContent },
+            ],
+            response_format: { type: 'json_object' },
+        };
+        if (allowTools && tools.length > 0) {
+            body.tools = tools.map((tool) => ({
+                type: 'function',
+                function: normalizeFunctionTool(tool),
+            }));
+            body.tool_choice = 'auto';
+            body.parallel_tool_calls = false;
+        }
+        return body;
+    },
+    parseResponse(responseJson) {
+        return {
+            text: extractChatCompletionText(responseJson),
+            toolCalls: extractChatCompletionToolCalls(responseJson),
+            responseId: responseJson?.id,
+        };
+    },
+    parseDecisionText(raw) {
+        return JSON.parse(stripJsonCodeFence(raw));
+    },
+    buildContinuation({ requestBody, responseJson }) {
+        const assistantMessage = responseJson?.choices?.[0]?.message;
+        return {
+            messages: [...requestBody.messages, ...(assistantMessage ? [assistantMessage] : [])],
+        };
+    },
+    buildExplanationBody({ config, continuation, toolOutputs }) {
+        return {
+            model: config.openAiModel,
+            messages: [
+                ...(continuation?.messages ?? []),
+                ...toolOutputs.map((item) => ({
+                    role: 'tool',
+                    tool_call_id: item.callId,
+                    content: item.output,
+                })),
+                { role: 'user', content: EXPLANATION_PROMPT },
+            ],
+        };
+    },
+});
+
+function extractAnthropicText(responseJson) {
+    const content = responseJson?.content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter((block) => block?.type === 'text' && typeof block.text === 'string')
+        .map((block) => block.text)
+        .join('');
+}
+
+function extractAnthropicToolCalls(responseJson) {
+    const content = responseJson?.content;
+    if (!Array.isArray(content)) return [];
+    return content
+        .filter((block) => block?.type === 'tool_use' && block.name)
+        .map((block) => ({
+            name: block.name,
+            arguments: JSON.stringify(block.input ?? {}),
+            callId: block.id,
+        }));
+}
+
+const anthropicProvider = Object.freeze({
+    id: 'anthropic',
+    label: 'Anthropic',
+    credentialLabel: 'ANTHROPIC_API_KEY',
+    textMayAccompanyToolCalls: true,
+    hasCredentials(config) {
+        return Boolean(config?.anthropicApiKey);
+    },
+    getRequestTimeoutMs(config) {
+        return resolveTimeoutMs(config?.anthropicRequestTimeoutMs);
+    },
+    buildRequest(config, body) {
+        return {
+            url: `${config.anthropicBaseUrl}/messages`,
+            headers: {
+                'x-api-key': config.anthropicApiKey,
+                'anthropic-version': ANTHROPIC_API_VERSION,
+                'Content-Type': 'application/json',
+            },
+            body,
+        };
+    },
+    buildDecisionBody({ config, systemPrompt, userContent, tools, allowTools }) {
+        const body = {
+            model: config.anthropicModel,
+            max_tokens: config.anthropicMaxTokens,
+            system: systemPrompt,
+            messages: [{ role: 'user', content: userContent }],
+        };
+        if (allowTools && tools.length > 0) {
+            body.tools = tools.map((tool) => {
+                const normalized = normalizeFunctionTool(tool);
+                return {
+                    name: normalized.name,
+                    description: normalized.description,
+                    input_schema: normalized.parameters,
+                };
+            });
+            body.tool_choice = { type: 'auto', disable_parallel_tool_use: true };
+        }
+        return body;
+    },
+    parseResponse(responseJson) {
+        return {
+            text: extractAnthropicText(responseJson),
+            toolCalls: extractAnthropicToolCalls(responseJson),
+            responseId: responseJson?.id,
+        };
+    },
+    parseDecisionText(raw) {
+        return JSON.parse(extractJsonObjectText(raw));
+    },
+    buildContinuation({ requestBody, responseJson }) {
+        return {
+            system: requestBody.system,
+            tools: requestBody.tools,
+            messages: [
+                ...requestBody.messages,
+                { role: 'assistant', content: responseJson?.content ?? [] },
+            ],
+        };
+    },
+    buildExplanationBody({ config, continuation, toolOutputs }) {
+        return {
+            model: config.anthropicModel,
+            max_tokens: config.anthropicMaxTokens,
+            ...(continuation?.system ? { system: continuation.system } : {}),
+            ...(continuation?.tools ? { tools: continuation.tools } : {}),
+            messages: [
+                ...(continuation?.messages ?? []),
+                {
+                    role: 'user',
+                    content: [
+                        ...toolOutputs.map((item) => ({
+                            type: 'tool_result',
+                            tool_use_id: item.callId,
+                            content: item.output,
+                        })),
+                        { type: 'text', text: EXPLANATION_PROMPT },
+                    ],
+                },
+            ],
+        };
+    },
+});
+
+const LLM_PROVIDERS = Object.freeze({
+    openai_responses: openAiResponsesProvider,
+    openai_chat: openAiChatProvider,
+    anthropic: anthropicProvider,
+});
+
+function resolveLlmProvider(config) {
+    const providerId = config?.llmProvider ?? 'openai_responses';
+    const provider = LLM_PROVIDERS[providerId];
+    if (!provider) {
+        throw new Error(`llmProvider must be one of: ${LLM_PROVIDER_IDS.join(', ')}`);
+    }
+    return provider;
+}
+
+export { LLM_PROVIDER_IDS, extractResponsesText, extractResponsesToolCalls, resolveLlmProvider };
@@ -1,3 +1,9 @@
+import {
+    extractResponsesText as extractFirstText,
+    extractResponsesToolCalls as extractToolCalls,
+    resolveLlmProvider,
+} from './llm-providers.js';
+import { readLlmFixture, resolveLlmFixtureMode, writeLlmFixture } from './llm-fixtures.js';
 import { parseToolArguments } from './utils.js';
 
 function createHttpError(prefix, statusCode, bodyText) {
@@ -12,66 +18,34 @@ function createHttpError(prefix, statusCode, bodyText) {
     return error;
 }
 
-function extractFirstText(responseJson) {
-    const outputs = responseJson?.output;
-    if (!Array.isArray(outputs)) return '';
-
-    for (const item of outputs) {
-        if (!item?.content) continue;
-        for (const chunk of item.content) {
-            if (chunk?.text) return chunk.text;
-            if (chunk?.output_text) return chunk.output_text?.text ?? '';
-            if (chunk?.text?.value) return chunk.text.value;
-        }
+async function fetchProvider({ config, provider, body }) {
+    const fixtureMode = resolveLlmFixtureMode(config);
+    if (fixtureMode === 'replay') {
+        return readLlmFixture({ config, providerId: provider.id, body });
     }
 
-    return '';
-}
-
-function extractToolCalls(responseJson) {
-    const outputs = responseJson?.output;
-    if (!Array.isArray(outputs)) return [];
-
-    const toolCalls = [];
-    for (const item of outputs) {
-        if (item?.type === 'tool_call' || item?.type === 'function_call') {
-            toolCalls.push({
-                name: item?.name ?? item?.function?.name,
-                arguments: item?.arguments ?? item?.function?.arguments,
-                callId: item?.call_id ?? item?.id,
-            });
-            continue;
-        }
-
-        if (Array.isArray(item?.tool_calls)) {
-            for (const call of item.tool_calls) {
-                toolCalls.push({
-                    name: call?.name ?? call?.function?.name,
-                    arguments: call?.arguments ?? call?.function?.arguments,
-                    callId: call?.call_id ?? call?.id,
-                });
-            }
-        }
+    const json = await fetchProviderLive({ config, provider, body });
+    if (fixtureMode === 'record') {
+        await writeLlmFixture({ config, providerId: provider.id, body, response: json });
     }
-
-    return toolCalls.filter((call) => call.name);
-}
-
-function getOpenAiRequestTimeoutMs(config) {
-    const timeoutMs = Number(config?.openAiRequestTimeoutMs);
-    return Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 60_000;
+    return json;
 }
 
-async function fetchResponses({ config, body }) {
-    return fetch(`${config.openAiBaseUrl}/responses`, {
+async function fetchProviderLive({ config, provider, body }) {
+    const request = provider.buildRequest(config, body);
+    const res = await fetch(request.url, {
         method: 'POST',
-        headers: {
-            Authorization: `Bearer ${config.openAiApiKey}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
-        signal: AbortSignal.timeout(getOpenAiRequestTimeoutMs(config)),
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: AbortSignal.timeout(provider.getRequestTimeoutMs(config)),
     });
+
+    if (!res.ok) {
+        const text = await res.text();
+        throw createHttpError(`${provider.label} API error`, res.status, text);
+    }
+
+    return res.json();
 }
 
 async function callAgent({
@@ -130,94 +104,63 @@ async function callAgent({
         optimisticOracle: ogContext?.optimisticOracle,
     };
 
-    const payload = {
-        model: config.openAiModel,
-        input: [
-            {
-                role: 'system',
-                content: jsonSystemPrompt,
-            },
+    const provider = resolveLlmProvider(config);
+    const requestBody = provider.buildDecisionBody({
+        config,
+        systemPrompt: jsonSystemPrompt,
+        userContent: JSON.stringify(
             {
-                role: 'user',
-                content: JSON.stringify(
-                    {
-                        commitmentSafe: config.commitmentSafe,
-                        ogModule: config.ogModule,
-                        agentAddress,
-                        ogContext: safeContext,
-                        commitment: commitmentText,
-                        signals: safeSignals,
-                    },
-                    (_, value) => (typeof value === 'bigint' ? value.toString() : value)
-                ),
+                commitmentSafe: config.commitmentSafe,
+                ogModule: config.ogModule,
+                agentAddress,
+                ogContext: safeContext,
+                commitment: commitmentText,
+                signals: safeSignals,
             },
-        ],
-        tools: allowTools ? tools : [],
-        tool_choice: allowTools ? 'auto' : 'none',
-        parallel_tool_calls: false,
-        text: { format: { type: 'json_object' } },
-    };
-
-    const res = await fetchResponses({
-        config,
-        body: payload,
+            (_, value) => (typeof value === 'bigint' ? value.toString() : value)
+        ),
+        tools,
+        allowTools,
     });
 
-    if (!res.ok) {
-        const text = await res.text();
-        throw createHttpError('OpenAI API error', res.status, text);
-    }
-
-    const json = await res.json();
-    const toolCalls = allowTools ? extractToolCalls(json) : [];
-    const raw = extractFirstText(json);
+    const json = await fetchProvider({ config, provider, body: requestBody });
+    const parsed = provider.parseResponse(json);
+    const toolCalls = allowTools ? parsed.toolCalls : [];
+    const raw = parsed.text;
     let textDecision;
     if (raw) {
         try {
-            textDecision = JSON.parse(raw);
+            textDecision = provider.parseDecisionText(raw);
         } catch (error) {
-            throw new Error(`Failed to parse OpenAI JSON: ${raw}`);
+            // Chat-style providers may narrate around their tool calls; only a
+            // text-only turn from them must be strict JSON.
+            if (toolCalls.length === 0 || !provider.textMayAccompanyToolCalls) {
+                throw new Error(`Failed to parse ${provider.label} JSON: ${raw}`);
+            }
         }
     }
 
-    return { toolCalls, textDecision, responseId: json?.id };
+    return {
+        toolCalls,
+        textDecision,
+        responseId: parsed.responseId,
+        continuation: provider.buildContinuation({ requestBody, responseJson: json }),
+    };
 }
 
-async function explainToolCalls({ config, previousResponseId, toolOutputs }) {
-    const input = [
-        ...toolOutputs.map((item) => ({
-            type: 'function_call_output',
-            call_id: item.callId,
-            output: item.output,
-        })),
-        {
-            type: 'message',
-            role: 'user',
-            content: [
-                {
-                    type: 'input_text',
-                    text: 'Summarize the actions you took and why.',
-                },
-            ],
-        },
-    ];
-
-    const res = await fetchResponses({
+async function explainToolCalls({ config, previousResponseId, continuation, toolOutputs }) {
+    const provider = resolveLlmProvider(config);
+    const json = await fetchProvider({
         config,
-        body: {
-            model: config.openAiModel,
-            previous_response_id: previousResponseId,
-            input,
-        },
+        provider,
+        body: provider.buildExplanationBody({
+            config,
+            previousResponseId,
+            continuation,
+            toolOutputs,
+        }),
     });
-
-    if (!res.ok) {
-        const text = await res.text();
-        throw createHttpError('OpenAI API error', res.status, text);
-    }
-
-    const json = await res.json();
-    return extractFirstText(json);
+    return provider.parseResponse(json).text;
 }
 
 export { callAgent, explainToolCalls, extractToolCalls, extractFirstText, parseToolArguments };
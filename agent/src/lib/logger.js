@@ -0,0 +1,183 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error']);
+const LOG_FORMATS = Object.freeze(['text', 'json']);
+const CORRELATION_ID_HEADER = 'x-correlation-id';
+const MAX_CORRELATION_ID_LENGTH = 128;
+
+const logContextStorage = new AsyncLocalStorage();
+const loggingSettings = {
+    level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+    format: LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'text',
+};
+
+function parseLogLevel(value, label = 'logLevel') {
+    const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!LOG_LEVELS.includes(normalized)) {
+        throw new Error(`${label} must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    return normalized;
+}
+
+function parseLogFormat(value, label = 'logFormat') {
+    const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!LOG_FORMATS.includes(normalized)) {
+        throw new Error(`${label} must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    return normalized;
+}
+
+// Process-wide so servers and libraries created before config resolution pick up
+// the final level and format without being re-created.
+function configureLogging({ level, format } = {}) {
+    if (level !== undefined && level !== null) {
+        loggingSettings.level = parseLogLevel(level);
+    }
+    if (format !== undefined && format !== null) {
+        loggingSettings.format = parseLogFormat(format);
+    }
+    return { ...loggingSettings };
+}
+
+function compactFields(fields) {
+    return Object.fromEntries(
+        Object.entries(fields ?? {}).filter(
+            ([, value]) => value !== undefined && value !== null && value !== ''
+        )
+    );
+}
+
+function getLogContext() {
+    return logContextStorage.getStore() ?? {};
+}
+
+function withLogContext(fields, fn) {
+    return logContextStorage.run({ ...getLogContext(), ...compactFields(fields) }, fn);
+}
+
+// Adds fields to the active context in place, for values such as a requestId that are
+// only known after the context was opened.
+function annotateLogContext(fields) {
+    const store = logContextStorage.getStore();
+    if (store) {
+        Object.assign(store, compactFields(fields));
+    }
+}
+
+function createCorrelationId() {
+    return randomUUID();
+}
+
+// Accept a caller-supplied id from the X-Correlation-Id header so one trace can span
+// the agent and the publication nodes it calls.
+function resolveRequestCorrelationId(headers) {
+    const raw = headers?.[CORRELATION_ID_HEADER];
+    const candidate = typeof raw === 'string' ? raw.trim() : '';
+    const valid = candidate.length <= MAX_CORRELATION_ID_LENGTH && /^[\w.:-]+$/.test(candidate);
+    return valid ? candidate : createCorrelationId();
+}
+
+function runWithRequestLogContext(req, res, handler) {
+    const correlationId = resolveRequestCorrelationId(req.headers);
+    res.setHeader('X-Correlation-Id', correlationId);
+    return withLogContext({ correlationId }, handler);
+}
+
+function buildCorrelationHeaders() {
+    const { correlationId } = getLogContext();
+    return correlationId ? { 'X-Correlation-Id': correlationId } : {};
+}
+
+function serializeError(error) {
+    return compactFields({
+        name: error?.name,
+        message: error?.message ?? String(error),
+        code: error?.code,
+        stack: error?.stack,
+    });
+}
+
+function toJsonSafe(value) {
+    return JSON.parse(
+        JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item))
+    );
+}
+
+function splitComponent(message) {
+    const match = /^\[([\w-]+)\]\s*/.exec(message);
+    return match ? { component: match[1], msg: message.slice(match[0].length) } : { msg: message };
+}
+
+function createLogger({ bindings = {}, sink = console } = {}) {
+    function write(level, message, args) {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(loggingSettings.level)) {
+            return;
+        }
+        // info goes through sink.log so output matches the console.log calls it replaced.
+        const method = level === 'error' || level === 'warn' ? sink[level] ?? sink.log : sink.log;
+        const context = { ...getLogContext(), ...bindings };
+
+        if (loggingSettings.format === 'text') {
+            const suffix = context.correlationId ? [`(correlationId=${context.correlationId})`] : [];
+            method.call(sink, message, ...args, ...suffix);
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            ...splitComponent(String(message)),
+            ...context,
+        };
+        const extra = [];
+        for (const arg of args) {
+            if (arg instanceof Error) {
+                entry.error = serializeError(arg);
+            } else {
+                extra.push(arg);
+            }
+        }
+        if (extra.length > 0) {
+            try {
+                entry.args = toJsonSafe(extra);
+            } catch (error) {
+                entry.args = extra.map((item) => String(item));
+            }
+        }
+        method.call(sink, JSON.stringify(entry));
+    }
+
+    return {
+        debug: (message, ...args) => write('debug', message, args),
+        info: (message, ...args) => write('info', message, args),
+        log: (message, ...args) => write('info', message, args),
+        warn: (message, ...args) => write('warn', message, args),
+        error: (message, ...args) => write('error', message, args),
+        child(childBindings) {
+            return createLogger({
+                bindings: { ...bindings, ...compactFields(childBindings) },
+                sink,
+            });
+        },
+    };
+}
+
+const logger = createLogger();
+
+export {
+    annotateLogContext,
+    buildCorrelationHeaders,
+    configureLogging,
+    createCorrelationId,
+    createLogger,
+    getLogContext,
+    LOG_FORMATS,
+    LOG_LEVELS,
+    logger,
+    parseLogFormat,
+    parseLogLevel,
+    resolveRequestCorrelationId,
+    runWithRequestLogContext,
+    withLogContext,
+};
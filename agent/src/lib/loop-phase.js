@@ -1,3 +1,5 @@
+import { logger } from './logger.js';
+
 const LOOP_PHASE_WARN_INTERVAL_MS = 15_000;
 
 function formatLoopPhaseContext(context) {
@@ -17,12 +19,13 @@ export async function runLoopPhase(
         warnIntervalMs = LOOP_PHASE_WARN_INTERVAL_MS,
         logStart = false,
         context,
+        metrics,
     } = {}
 ) {
     const startedAtMs = Date.now();
     const contextText = formatLoopPhaseContext(context);
     if (logStart) {
-        console.log(`[agent] Loop phase started: ${name}${contextText}.`);
+        logger.log(`[agent] Loop phase started: ${name}${contextText}.`);
     }
 
     let warningCount = 0;
@@ -30,7 +33,7 @@ export async function runLoopPhase(
         warnIntervalMs > 0
             ? setInterval(() => {
                 warningCount += 1;
-                console.warn(
+                logger.warn(
                     `[agent] Loop phase still running: ${name}${contextText} elapsedMs=${warningCount * warnIntervalMs}.`
                 );
             }, warnIntervalMs)
@@ -40,15 +43,17 @@ export async function runLoopPhase(
     try {
         const result = await work();
         const durationMs = Date.now() - startedAtMs;
+        metrics?.observeLoopPhase(name, { durationMs, ok: true });
         if (logStart || durationMs >= warnIntervalMs) {
-            console.log(
+            logger.log(
                 `[agent] Loop phase complete: ${name}${contextText} durationMs=${durationMs}.`
             );
         }
         return result;
     } catch (error) {
         const durationMs = Date.now() - startedAtMs;
-        console.error(
+        metrics?.observeLoopPhase(name, { durationMs, ok: false });
+        logger.error(
             `[agent] Loop phase failed: ${name}${contextText} durationMs=${durationMs}.`,
             error
         );
@@ -1,13 +1,14 @@
 import http from 'node:http';
 import { getAddress } from 'viem';
-import { buildSignedMessagePayload } from './message-signing.js';
+import { buildSignedMessagePayload, buildSignedMessageTypedData } from './message-signing.js';
 import { isPlainObject } from './canonical-json.js';
-import { readJsonBody, sendJson } from './http-api.js';
+import { handleCorsRequest, readJsonBody, sendJson } from './http-api.js';
 import {
     authenticateBearerRequest,
     authenticateSignedRequest,
     buildBearerKeyEntries,
 } from './signed-request-auth.js';
+import { logger as defaultLogger, withLogContext } from './logger.js';
 
 function validateMessageBody(body) {
     if (!isPlainObject(body)) {
@@ -61,7 +62,12 @@ function validateMessageBody(body) {
     return { ok: true };
 }
 
-function createMessageApiServer({ config, inbox, logger = console } = {}) {
+function createMessageApiServer({
+    config,
+    inbox,
+    publicClient = undefined,
+    logger = defaultLogger,
+} = {}) {
     if (!config) {
         throw new Error('createMessageApiServer requires config.');
     }
@@ -134,6 +140,15 @@ function createMessageApiServer({ config, inbox, logger = console } = {}) {
                 return;
             }
 
+            if (
+                handleCorsRequest(req, res, {
+                    allowedOrigins: config.messageApiAllowedOrigins,
+                    methods: ['POST'],
+                })
+            ) {
+                return;
+            }
+
             if (req.method === 'GET' && url.pathname === '/healthz') {
                 sendJson(res, 200, { ok: true });
                 return;
@@ -213,6 +228,7 @@ function createMessageApiServer({ config, inbox, logger = console } = {}) {
                 signatureMaxAgeSeconds,
                 expectedChainId,
                 nowMs,
+                resolvePublicClient: publicClient ? () => publicClient : undefined,
                 buildPayload: ({ declaredAddress }) =>
                     buildSignedMessagePayload({
                         address: declaredAddress,
@@ -225,6 +241,19 @@ function createMessageApiServer({ config, inbox, logger = console } = {}) {
                         requestId: body.requestId,
                         deadline: body.deadline,
                     }),
+                buildTypedData: ({ declaredAddress }) =>
+                    buildSignedMessageTypedData({
+                        address: declaredAddress,
+                        chainId: body.chainId,
+                        commitmentSafe: config.commitmentSafe,
+                        timestampMs: body.auth.timestampMs,
+                        text: body.text,
+                        command: body.command,
+                        args: body.args,
+                        metadata: body.metadata,
+                        requestId: body.requestId,
+                        deadline: body.deadline,
+                    }),
             });
             if (!signedAuth?.ok) {
                 emitLog(
@@ -308,6 +337,29 @@ function createMessageApiServer({ config, inbox, logger = console } = {}) {
                     });
                     return;
                 }
+                if (result.code === 'persistence_failed') {
+                    emitLog(
+                        'error',
+                        `[agent] Message API rejected request${formatRequestContext({
+                            body,
+                            senderAddress: signedAuth.sender?.address,
+                            senderKeyId: signedAuth.senderKeyId,
+                            code: result.code,
+                            statusCode: 503,
+                        })}: ${result.message}`
+                    );
+                    sendJson(
+                        res,
+                        503,
+                        {
+                            error: result.message,
+                            code: result.code,
+                            queueDepth: result.queueDepth,
+                        },
+                        { 'Retry-After': '1' }
+                    );
+                    return;
+                }
                 if (result.code === 'request_replay_blocked') {
                     emitLog(
                         'warn',
@@ -356,6 +408,24 @@ function createMessageApiServer({ config, inbox, logger = console } = {}) {
                         statusCode: 200,
                     })}: reusing existing queued message ${result.message.messageId}.`
                 );
+            } else {
+                withLogContext(
+                    {
+                        correlationId: result.message.requestId ?? result.message.messageId,
+                        requestId: result.message.requestId,
+                        messageId: result.message.messageId,
+                    },
+                    () =>
+                        emitLog(
+                            'info',
+                            `[agent] Message API queued request${formatRequestContext({
+                                body,
+                                senderAddress: signedAuth.sender?.address,
+                                senderKeyId: signedAuth.senderKeyId,
+                                statusCode: 202,
+                            })}: messageId=${result.message.messageId}.`
+                        )
+                );
             }
 
             sendJson(res, result.status === 'duplicate' ? 200 : 202, {
@@ -0,0 +1,177 @@
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'node:fs';
+import { isPlainObject } from './canonical-json.js';
+
+const STORE_VERSION = 'oya-message-inbox-store-v1';
+
+function createEmptyInboxSnapshot() {
+    return {
+        queue: [],
+        inFlight: [],
+        requestCache: {},
+        rateLimitState: {},
+    };
+}
+
+function normalizeTimestamp(value, label) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`${label} must be a non-negative integer.`);
+    }
+    return parsed;
+}
+
+function normalizeStoredMessage(message, label) {
+    if (!isPlainObject(message)) {
+        throw new Error(`${label} must be an object.`);
+    }
+    if (typeof message.messageId !== 'string' || !message.messageId.trim()) {
+        throw new Error(`${label}.messageId must be a non-empty string.`);
+    }
+    if (typeof message.text !== 'string') {
+        throw new Error(`${label}.text must be a string.`);
+    }
+    return {
+        ...message,
+        receivedAtMs: normalizeTimestamp(message.receivedAtMs, `${label}.receivedAtMs`),
+        expiresAtMs: normalizeTimestamp(message.expiresAtMs, `${label}.expiresAtMs`),
+    };
+}
+
+function normalizeStoredMessageList(values, label) {
+    if (values === undefined || values === null) {
+        return [];
+    }
+    if (!Array.isArray(values)) {
+        throw new Error(`${label} must be an array.`);
+    }
+    return values.map((message, index) => normalizeStoredMessage(message, `${label}[${index}]`));
+}
+
+function normalizeStoredRequestCache(value, label) {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    if (!isPlainObject(value)) {
+        throw new Error(`${label} must be an object.`);
+    }
+
+    const out = {};
+    for (const [senderKeyId, senderCache] of Object.entries(value)) {
+        if (!isPlainObject(senderCache)) {
+            throw new Error(`${label}["${senderKeyId}"] must be an object.`);
+        }
+        const entries = {};
+        for (const [requestId, entry] of Object.entries(senderCache)) {
+            const entryLabel = `${label}["${senderKeyId}"]["${requestId}"]`;
+            if (!isPlainObject(entry)) {
+                throw new Error(`${entryLabel} must be an object.`);
+            }
+            entries[requestId] = {
+                message: normalizeStoredMessage(entry.message, `${entryLabel}.message`),
+                expiresAtMs: normalizeTimestamp(entry.expiresAtMs, `${entryLabel}.expiresAtMs`),
+                lockReplayAfterMessageExpiry: Boolean(entry.lockReplayAfterMessageExpiry),
+            };
+        }
+        out[senderKeyId] = entries;
+    }
+    return out;
+}
+
+function normalizeStoredRateLimitState(value, label) {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    if (!isPlainObject(value)) {
+        throw new Error(`${label} must be an object.`);
+    }
+
+    const out = {};
+    for (const [keyId, state] of Object.entries(value)) {
+        const stateLabel = `${label}["${keyId}"]`;
+        if (!isPlainObject(state)) {
+            throw new Error(`${stateLabel} must be an object.`);
+        }
+        const tokens = Number(state.tokens);
+        if (!Number.isFinite(tokens) || tokens < 0) {
+            throw new Error(`${stateLabel}.tokens must be a non-negative number.`);
+        }
+        out[keyId] = {
+            tokens,
+            lastRefillMs: normalizeTimestamp(state.lastRefillMs, `${stateLabel}.lastRefillMs`),
+            lastSeenMs: normalizeTimestamp(state.lastSeenMs, `${stateLabel}.lastSeenMs`),
+        };
+    }
+    return out;
+}
+
+function normalizeInboxSnapshot(snapshot, label = 'snapshot') {
+    if (!isPlainObject(snapshot)) {
+        throw new Error(`${label} must be an object.`);
+    }
+    return {
+        queue: normalizeStoredMessageList(snapshot.queue, `${label}.queue`),
+        inFlight: normalizeStoredMessageList(snapshot.inFlight, `${label}.inFlight`),
+        requestCache: normalizeStoredRequestCache(snapshot.requestCache, `${label}.requestCache`),
+        rateLimitState: normalizeStoredRateLimitState(
+            snapshot.rateLimitState,
+            `${label}.rateLimitState`
+        ),
+    };
+}
+
+function createMessageInboxStore({ stateFile }) {
+    if (typeof stateFile !== 'string' || !stateFile.trim()) {
+        throw new Error('createMessageInboxStore requires a non-empty stateFile path.');
+    }
+    const resolvedStateFile = path.resolve(stateFile.trim());
+
+    // Inbox operations are synchronous, so the journal uses sync I/O to make every
+    // accepted/acked message durable before the caller observes the result.
+    function load() {
+        let raw;
+        try {
+            raw = readFileSync(resolvedStateFile, 'utf8');
+        } catch (error) {
+            if (error?.code === 'ENOENT') {
+                return createEmptyInboxSnapshot();
+            }
+            throw error;
+        }
+
+        const parsed = JSON.parse(raw);
+        if (!isPlainObject(parsed)) {
+            throw new Error(`State file ${resolvedStateFile} must contain a JSON object.`);
+        }
+        if (parsed.version !== STORE_VERSION) {
+            throw new Error(`Unsupported message inbox store version in ${resolvedStateFile}.`);
+        }
+        return normalizeInboxSnapshot(parsed, `State file ${resolvedStateFile}`);
+    }
+
+    function save(snapshot) {
+        const normalized = normalizeInboxSnapshot(snapshot);
+        mkdirSync(path.dirname(resolvedStateFile), { recursive: true });
+        const tempPath = `${resolvedStateFile}.${process.pid}.${Date.now()}.${randomUUID()}.tmp`;
+        try {
+            writeFileSync(
+                tempPath,
+                `${JSON.stringify({ version: STORE_VERSION, ...normalized }, null, 2)}\n`,
+                'utf8'
+            );
+            renameSync(tempPath, resolvedStateFile);
+        } catch (error) {
+            rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    return {
+        stateFile: resolvedStateFile,
+        load,
+        save,
+    };
+}
+
+export { createMessageInboxStore };
@@ -1,4 +1,6 @@
 import { randomUUID } from 'node:crypto';
+import { logger as defaultLogger } from './logger.js';
+import { SIGNED_AUTH_TYPES } from './typed-data-signing.js';
 
 function isPlainObject(value) {
     return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
@@ -38,12 +40,65 @@ function createMessageInbox(options = {}) {
         min: 0,
     });
     const staleRateWindowMs = Math.max(idempotencyTtlSeconds * 1000, 60_000);
+    const store = options.store ?? null;
+    const logger = options.logger ?? defaultLogger;
 
     const queue = [];
     const inFlight = new Map();
     // senderKeyId -> (requestId -> cached message metadata)
     const requestCache = new Map();
     const rateLimitState = new Map();
+    let dirty = false;
+
+    function restoreFromStore() {
+        if (!store) {
+            return;
+        }
+        const snapshot = store.load();
+        // In-flight messages were never acked by the previous process, so redeliver them
+        // ahead of the remaining queue to keep at-least-once semantics across restarts.
+        queue.push(...snapshot.inFlight, ...snapshot.queue);
+        for (const [senderKeyId, entries] of Object.entries(snapshot.requestCache)) {
+            requestCache.set(senderKeyId, new Map(Object.entries(entries)));
+        }
+        for (const [keyId, state] of Object.entries(snapshot.rateLimitState)) {
+            rateLimitState.set(keyId, state);
+        }
+    }
+
+    function buildSnapshot() {
+        return {
+            queue,
+            inFlight: Array.from(inFlight.values()),
+            requestCache: Object.fromEntries(
+                Array.from(requestCache.entries()).map(([senderKeyId, senderCache]) => [
+                    senderKeyId,
+                    Object.fromEntries(senderCache.entries()),
+                ])
+            ),
+            rateLimitState: Object.fromEntries(rateLimitState.entries()),
+        };
+    }
+
+    function persist() {
+        if (!store || !dirty) {
+            return;
+        }
+        store.save(buildSnapshot());
+        dirty = false;
+    }
+
+    function persistBestEffort() {
+        try {
+            persist();
+        } catch (error) {
+            // State stays dirty, so the next inbox operation retries the write.
+            logger.warn?.(
+                '[agent] Failed to persist message inbox state:',
+                error?.message ?? error
+            );
+        }
+    }
 
     function pruneExpired(nowMs) {
         // Keep queue/in-flight/idempotency bounded without a background timer.
@@ -54,13 +109,17 @@ function createMessageInbox(options = {}) {
                 queue[writeIndex] = message;
                 writeIndex += 1;
             }
-            queue.length = writeIndex;
+            if (writeIndex !== queue.length) {
+                queue.length = writeIndex;
+                dirty = true;
+            }
         }
 
         if (inFlight.size > 0) {
             for (const [messageId, message] of inFlight.entries()) {
                 if (message.expiresAtMs <= nowMs) {
                     inFlight.delete(messageId);
+                    dirty = true;
                 }
             }
         }
@@ -70,6 +129,7 @@ function createMessageInbox(options = {}) {
                 for (const [requestId, value] of senderCache.entries()) {
                     if (value.expiresAtMs <= nowMs) {
                         senderCache.delete(requestId);
+                        dirty = true;
                     }
                 }
                 if (senderCache.size === 0) {
@@ -82,6 +142,7 @@ function createMessageInbox(options = {}) {
             for (const [keyId, state] of rateLimitState.entries()) {
                 if (nowMs - state.lastSeenMs > staleRateWindowMs) {
                     rateLimitState.delete(keyId);
+                    dirty = true;
                 }
             }
         }
@@ -104,6 +165,7 @@ function createMessageInbox(options = {}) {
         state.tokens = Math.min(rateLimitBurst, state.tokens + elapsedMs * ratePerMs);
         state.lastRefillMs = nowMs;
         state.lastSeenMs = nowMs;
+        dirty = true;
 
         if (state.tokens < 1) {
             rateLimitState.set(senderKeyId, state);
@@ -116,7 +178,14 @@ function createMessageInbox(options = {}) {
 
         state.tokens -= 1;
         rateLimitState.set(senderKeyId, state);
-        return { allowed: true };
+        return { allowed: true, consumed: true };
+    }
+
+    function refundRateLimit(senderKeyId) {
+        const state = rateLimitState.get(senderKeyId);
+        if (!state) return;
+        state.tokens = Math.min(rateLimitBurst, state.tokens + 1);
+        dirty = true;
     }
 
     function normalizePayload({
@@ -269,7 +338,7 @@ function createMessageInbox(options = {}) {
         };
     }
 
-    function submitMessage({
+    function enqueueMessage({
         text,
         chainId,
         command,
@@ -285,7 +354,7 @@ function createMessageInbox(options = {}) {
 
         const precheckedRequestId =
             typeof requestId === 'string' && requestId.trim() ? requestId.trim() : undefined;
-        if (precheckedRequestId && sender?.authType === 'eip191') {
+        if (precheckedRequestId && SIGNED_AUTH_TYPES.includes(sender?.authType)) {
             const senderCache = requestCache.get(senderKeyId);
             const cached = senderCache?.get(precheckedRequestId);
             if (
@@ -366,6 +435,7 @@ function createMessageInbox(options = {}) {
                 if (senderCache.size === 0) {
                     requestCache.delete(senderKeyId);
                 }
+                dirty = true;
             }
         }
 
@@ -385,7 +455,9 @@ function createMessageInbox(options = {}) {
                 senderCache = new Map();
                 requestCache.set(senderKeyId, senderCache);
             }
-            const lockReplayAfterMessageExpiry = normalized.message?.sender?.authType === 'eip191';
+            const lockReplayAfterMessageExpiry = SIGNED_AUTH_TYPES.includes(
+                normalized.message?.sender?.authType
+            );
             const cacheTtlMs = idempotencyTtlSeconds * 1000;
             const replayWindowMs = signedReplayWindowSeconds * 1000;
             const signedAtMs = Number(normalized.message?.sender?.signedAtMs);
@@ -411,6 +483,35 @@ function createMessageInbox(options = {}) {
                 lockReplayAfterMessageExpiry,
             });
         }
+        dirty = true;
+
+        try {
+            persist();
+        } catch (error) {
+            // Never acknowledge a message that a restart would silently drop.
+            queue.splice(queue.lastIndexOf(normalized.message), 1);
+            if (normalized.requestId) {
+                const senderCache = requestCache.get(senderKeyId);
+                senderCache?.delete(normalized.requestId);
+                if (senderCache?.size === 0) {
+                    requestCache.delete(senderKeyId);
+                }
+            }
+            // A write failure is not the sender's fault; give back the token it spent.
+            if (rateLimitResult.consumed) {
+                refundRateLimit(senderKeyId);
+            }
+            logger.warn?.(
+                '[agent] Failed to persist queued message; rejecting request:',
+                error?.message ?? error
+            );
+            return {
+                ok: false,
+                code: 'persistence_failed',
+                message: 'Message inbox could not persist the message.',
+                queueDepth: queue.length,
+            };
+        }
 
         return {
             ok: true,
@@ -420,6 +521,15 @@ function createMessageInbox(options = {}) {
         };
     }
 
+    function submitMessage(payload) {
+        const result = enqueueMessage(payload);
+        if (result.status !== 'queued') {
+            // Rejections and duplicates can still move rate-limit and pruning state.
+            persistBestEffort();
+        }
+        return result;
+    }
+
     function takeBatch({ maxItems = 1, nowMs = Date.now() } = {}) {
         pruneExpired(nowMs);
         const takeLimit = normalizeInteger(maxItems, 1, { min: 1 });
@@ -430,7 +540,9 @@ function createMessageInbox(options = {}) {
             if (message.expiresAtMs <= nowMs) continue;
             inFlight.set(message.messageId, message);
             out.push(message);
+            dirty = true;
         }
+        persistBestEffort();
         return out;
     }
 
@@ -439,8 +551,11 @@ function createMessageInbox(options = {}) {
         pruneExpired(nowMs);
         for (const messageId of messageIds) {
             if (typeof messageId !== 'string') continue;
-            inFlight.delete(messageId);
+            if (inFlight.delete(messageId)) {
+                dirty = true;
+            }
         }
+        persistBestEffort();
     }
 
     function requeueBatch(messageIds = [], nowMs = Date.now()) {
@@ -452,24 +567,30 @@ function createMessageInbox(options = {}) {
             const message = inFlight.get(messageId);
             if (!message) continue;
             inFlight.delete(messageId);
+            dirty = true;
             if (message.expiresAtMs <= nowMs) continue;
             toRequeue.push(message);
         }
         if (toRequeue.length > 0) {
             queue.unshift(...toRequeue);
         }
+        persistBestEffort();
     }
 
     function getQueueDepth(nowMs = Date.now()) {
         pruneExpired(nowMs);
+        persistBestEffort();
         return queue.length;
     }
 
     function getPendingCount(nowMs = Date.now()) {
         pruneExpired(nowMs);
+        persistBestEffort();
         return queue.length + inFlight.size;
     }
 
+    restoreFromStore();
+
     return {
         submitMessage,
         takeBatch,
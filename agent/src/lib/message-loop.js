@@ -3,6 +3,7 @@ import {
     isRetryableDecisionError,
     shouldRequeueMessagesForDecisionStatus,
 } from './decision-support.js';
+import { logger as defaultLogger, withLogContext } from './logger.js';
 
 function toUserMessageSignal(message) {
     return {
@@ -21,6 +22,17 @@ function toUserMessageSignal(message) {
     };
 }
 
+// User messages carry their own correlation id so the decision, tool calls, and any
+// onchain submission they cause can be traced back to the signed request.
+function buildMessageLogContext(message) {
+    return {
+        correlationId: message?.requestId ?? message?.messageId,
+        requestId: message?.requestId,
+        messageId: message?.messageId,
+        signer: message?.sender?.address,
+    };
+}
+
 function describeMessage(message) {
     const parts = [];
     if (typeof message?.messageId === 'string' && message.messageId.trim()) {
@@ -48,7 +60,7 @@ async function processQueuedUserMessages({
     onchainPendingProposal = false,
     prepareSignals,
     decideOnSignals,
-    logger = console,
+    logger = defaultLogger,
 }) {
     if (!messageInbox) {
         return;
@@ -78,57 +90,59 @@ async function processQueuedUserMessages({
         for (const message of queuedMessages) {
             activeMessageId = message.messageId;
             activeMessageSettled = false;
-            let messageDecisionStatus = DECISION_STATUS.NO_ACTION;
-            logger.log?.(
-                `[agent] Handling queued user message (${describeMessage(message)}).`
-            );
-            try {
-                // Evaluate user messages with message-only signals so non-message events
-                // are not replayed once per message in the same poll loop.
-                const messageSignals = await prepareSignals([toUserMessageSignal(message)], {
-                    nowMs,
-                    latestBlock,
-                    onchainPendingProposal,
-                });
-                if (messageSignals.length > 0) {
-                    messageDecisionStatus = await decideOnSignals(messageSignals, {
+            await withLogContext(buildMessageLogContext(message), async () => {
+                let messageDecisionStatus = DECISION_STATUS.NO_ACTION;
+                logger.log?.(
+                    `[agent] Handling queued user message (${describeMessage(message)}).`
+                );
+                try {
+                    // Evaluate user messages with message-only signals so non-message events
+                    // are not replayed once per message in the same poll loop.
+                    const messageSignals = await prepareSignals([toUserMessageSignal(message)], {
+                        nowMs,
+                        latestBlock,
                         onchainPendingProposal,
                     });
+                    if (messageSignals.length > 0) {
+                        messageDecisionStatus = await decideOnSignals(messageSignals, {
+                            onchainPendingProposal,
+                        });
+                    }
+                } catch (error) {
+                    const retryableMessageError = isRetryableDecisionError(error);
+                    logger.error('[agent] Failed to process user message:', error);
+                    messageDecisionStatus = retryableMessageError
+                        ? DECISION_STATUS.FAILED_RETRYABLE
+                        : DECISION_STATUS.FAILED_NON_RETRYABLE;
                 }
-            } catch (error) {
-                const retryableMessageError = isRetryableDecisionError(error);
-                logger.error('[agent] Failed to process user message:', error);
-                messageDecisionStatus = retryableMessageError
-                    ? DECISION_STATUS.FAILED_RETRYABLE
-                    : DECISION_STATUS.FAILED_NON_RETRYABLE;
-            }
 
-            if (messageDecisionStatus === DECISION_STATUS.NO_ACTION) {
-                logger.warn?.(
-                    `[agent] User message produced no action (${describeMessage(message)}).`
-                );
-            } else if (messageDecisionStatus === DECISION_STATUS.FAILED_RETRYABLE) {
-                logger.warn?.(
-                    `[agent] User message failed retryably (${describeMessage(message)}); requeueing.`
-                );
-            } else if (messageDecisionStatus === DECISION_STATUS.INVALID_TOOL_ARGS) {
-                logger.warn?.(
-                    `[agent] User message produced invalid tool args (${describeMessage(message)}); requeueing.`
-                );
-            } else if (messageDecisionStatus === DECISION_STATUS.FAILED_NON_RETRYABLE) {
-                logger.error?.(
-                    `[agent] User message failed non-retryably (${describeMessage(message)}).`
-                );
-            }
+                if (messageDecisionStatus === DECISION_STATUS.NO_ACTION) {
+                    logger.warn?.(
+                        `[agent] User message produced no action (${describeMessage(message)}).`
+                    );
+                } else if (messageDecisionStatus === DECISION_STATUS.FAILED_RETRYABLE) {
+                    logger.warn?.(
+                        `[agent] User message failed retryably (${describeMessage(message)}); requeueing.`
+                    );
+                } else if (messageDecisionStatus === DECISION_STATUS.INVALID_TOOL_ARGS) {
+                    logger.warn?.(
+                        `[agent] User message produced invalid tool args (${describeMessage(message)}); requeueing.`
+                    );
+                } else if (messageDecisionStatus === DECISION_STATUS.FAILED_NON_RETRYABLE) {
+                    logger.error?.(
+                        `[agent] User message failed non-retryably (${describeMessage(message)}).`
+                    );
+                }
 
-            if (shouldRequeueMessagesForDecisionStatus(messageDecisionStatus)) {
-                messageInbox.requeueBatch([message.messageId]);
-            } else {
-                messageInbox.ackBatch([message.messageId]);
-            }
-            activeMessageSettled = true;
-            pendingMessageIds.delete(message.messageId);
-            activeMessageId = null;
+                if (shouldRequeueMessagesForDecisionStatus(messageDecisionStatus)) {
+                    messageInbox.requeueBatch([message.messageId]);
+                } else {
+                    messageInbox.ackBatch([message.messageId]);
+                }
+                activeMessageSettled = true;
+                pendingMessageIds.delete(message.messageId);
+                activeMessageId = null;
+            });
         }
     } catch (error) {
         if (activeMessageSettled && activeMessageId) {
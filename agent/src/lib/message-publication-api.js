@@ -15,12 +15,22 @@ import {
     buildMessagePublicationNodeAttestationPayload,
     buildSignedPublishedMessageEnvelope,
     buildSignedPublishedMessagePayload,
+    buildSignedPublishedMessageTypedData,
 } from './signed-published-message.js';
 import {
     MessagePublicationValidationError,
     normalizeMessagePublicationValidation,
 } from './message-publication-validation.js';
 import { buildMessagePublicationKey } from './message-publication-store.js';
+import {
+    annotateLogContext,
+    logger as defaultLogger,
+    runWithRequestLogContext,
+} from './logger.js';
+
+const MESSAGE_LIST_DEFAULT_LIMIT = 100;
+const MESSAGE_LIST_MAX_LIMIT = 500;
+const MESSAGE_LIST_MAX_WAIT_MS = 30_000;
 
 class PublicationPersistenceError extends Error {
     constructor(message, { partialPublicationState = null, cause = undefined } = {}) {
@@ -177,13 +187,147 @@ function canReuseVolatilePublicationState(record, publicationState) {
     );
 }
 
+function buildPublishedMessageResponse(record) {
+    const signedMessage = record.artifact?.signedMessage ?? null;
+    const publication = record.artifact?.publication ?? null;
+    return {
+        sequence: record.sequence,
+        signer: record.signer,
+        chainId: record.chainId,
+        requestId: record.requestId,
+        message: signedMessage?.envelope?.message ?? null,
+        signature: record.signature,
+        signedAtMs: signedMessage?.signedAtMs ?? null,
+        canonicalMessage: record.canonicalMessage,
+        cid: record.cid,
+        uri: record.uri,
+        pinned: Boolean(record.pinned),
+        receivedAtMs: record.receivedAtMs,
+        publishedAtMs: record.publishedAtMs,
+        validation: publication?.validation ?? null,
+        nodeAttestation: publication?.nodeAttestation ?? null,
+    };
+}
+
+function parseOptionalQueryInteger(searchParams, name, { min, max = undefined }) {
+    const raw = searchParams.get(name);
+    if (raw === null) {
+        return { ok: true, value: undefined };
+    }
+    const parsed = Number(raw);
+    if (!raw.trim() || !Number.isInteger(parsed) || parsed < min) {
+        return { ok: false, message: `${name} must be an integer >= ${min}.` };
+    }
+    return { ok: true, value: max === undefined ? parsed : Math.min(parsed, max) };
+}
+
+function parseOptionalQueryAddress(searchParams, name) {
+    const raw = searchParams.get(name);
+    if (raw === null) {
+        return { ok: true, value: undefined };
+    }
+    try {
+        return { ok: true, value: getAddress(raw.trim()).toLowerCase() };
+    } catch (error) {
+        return { ok: false, message: `${name} must be a valid EVM address.` };
+    }
+}
+
+function parseMessageRecordQuery(searchParams) {
+    const signer = parseOptionalQueryAddress(searchParams, 'signer');
+    if (!signer.ok) {
+        return signer;
+    }
+    const chainId = parseOptionalQueryInteger(searchParams, 'chainId', { min: 1 });
+    if (!chainId.ok) {
+        return chainId;
+    }
+    return {
+        ok: true,
+        filters: {
+            signer: signer.value,
+            chainId: chainId.value,
+        },
+    };
+}
+
+function parseMessageListQuery(searchParams) {
+    const parsed = parseMessageRecordQuery(searchParams);
+    if (!parsed.ok) {
+        return parsed;
+    }
+    const filters = parsed.filters;
+
+    const commitmentAddress = parseOptionalQueryAddress(searchParams, 'commitmentAddress');
+    if (!commitmentAddress.ok) {
+        return commitmentAddress;
+    }
+    filters.commitmentAddress = commitmentAddress.value;
+
+    const kind = searchParams.get('kind');
+    if (kind !== null && !kind.trim()) {
+        return { ok: false, message: 'kind must be a non-empty string.' };
+    }
+    filters.kind = kind === null ? undefined : kind.trim();
+
+    const afterSequence = parseOptionalQueryInteger(searchParams, 'afterSequence', { min: 0 });
+    if (!afterSequence.ok) {
+        return afterSequence;
+    }
+    filters.afterSequence = afterSequence.value ?? 0;
+
+    const limit = parseOptionalQueryInteger(searchParams, 'limit', {
+        min: 1,
+        max: MESSAGE_LIST_MAX_LIMIT,
+    });
+    if (!limit.ok) {
+        return limit;
+    }
+    filters.limit = limit.value ?? MESSAGE_LIST_DEFAULT_LIMIT;
+
+    const waitMs = parseOptionalQueryInteger(searchParams, 'waitMs', {
+        min: 0,
+        max: MESSAGE_LIST_MAX_WAIT_MS,
+    });
+    if (!waitMs.ok) {
+        return waitMs;
+    }
+    filters.waitMs = waitMs.value ?? 0;
+
+    return { ok: true, filters };
+}
+
+function matchesMessageRecordFilters(record, filters) {
+    if (filters.signer !== undefined && record.signer !== filters.signer) {
+        return false;
+    }
+    if (filters.chainId !== undefined && record.chainId !== filters.chainId) {
+        return false;
+    }
+    const message = record.artifact?.signedMessage?.envelope?.message;
+    if (
+        filters.commitmentAddress !== undefined &&
+        !(message?.commitmentAddresses ?? []).includes(filters.commitmentAddress)
+    ) {
+        return false;
+    }
+    if (filters.kind !== undefined && message?.kind !== filters.kind) {
+        return false;
+    }
+    if (filters.afterSequence !== undefined && record.sequence <= filters.afterSequence) {
+        return false;
+    }
+    return true;
+}
+
 function createMessagePublicationApiServer({
     config,
     store,
-    logger = console,
+    logger = defaultLogger,
     nodeSigner,
     validateMessagePublication,
     deriveMessagePublicationLockKeys,
+    resolvePublicClient = undefined,
 } = {}) {
     if (!config) {
         throw new Error('createMessagePublicationApiServer requires config.');
@@ -240,6 +384,7 @@ function createMessagePublicationApiServer({
     const publishOperationTails = new Map();
     const publicationConflictTails = new Map();
     const volatilePublicationStates = new Map();
+    const publicationWaiters = new Set();
 
     function emitLog(level, message) {
         const method =
@@ -251,6 +396,156 @@ function createMessagePublicationApiServer({
         method(message);
     }
 
+    function notifyPublicationWaiters() {
+        for (const wake of Array.from(publicationWaiters)) {
+            wake();
+        }
+    }
+
+    function waitForPublication(res, waitMs) {
+        return new Promise((resolve) => {
+            let timer;
+            const wake = () => {
+                clearTimeout(timer);
+                publicationWaiters.delete(wake);
+                res.off('close', wake);
+                resolve();
+            };
+            timer = setTimeout(wake, waitMs);
+            publicationWaiters.add(wake);
+            res.once('close', wake);
+        });
+    }
+
+    async function listPublishedRecords() {
+        return (await store.listRecords())
+            .filter((record) => record.sequence !== null && record.sequence !== undefined)
+            .sort((left, right) => left.sequence - right.sequence);
+    }
+
+    async function handleReadRequest(req, res, url) {
+        // Ledger reads are not covered by per-request signatures, so they always
+        // require one of the configured bearer tokens.
+        if (keyEntries.length === 0) {
+            sendJson(res, 503, {
+                error: 'Message read endpoints require MESSAGE_PUBLISH_API_KEYS_JSON bearer tokens.',
+                code: 'read_auth_unconfigured',
+            });
+            return;
+        }
+        const bearerKeyId = authenticateBearerRequest({
+            authorizationHeader: req.headers.authorization,
+            keyEntries,
+        });
+        if (!bearerKeyId) {
+            sendJson(
+                res,
+                401,
+                { error: 'Bearer token is required.' },
+                { 'WWW-Authenticate': 'Bearer realm="oya-message-publish-api"' }
+            );
+            return;
+        }
+        if (typeof store.listRecords !== 'function') {
+            sendJson(res, 503, {
+                error: 'Message read endpoints require a store implementation that supports listRecords().',
+                code: 'store_unavailable',
+            });
+            return;
+        }
+
+        const pathSegments = url.pathname.split('/').slice(3);
+        const isListRoute = url.pathname === '/v1/messages';
+        if (!isListRoute && !(pathSegments.length === 1 && pathSegments[0])) {
+            sendJson(res, 404, { error: 'Not found.' });
+            return;
+        }
+        const query = isListRoute
+            ? parseMessageListQuery(url.searchParams)
+            : parseMessageRecordQuery(url.searchParams);
+        if (!query.ok) {
+            sendJson(res, 400, { error: query.message, code: 'invalid_request' });
+            return;
+        }
+        const { filters } = query;
+
+        try {
+            if (isListRoute) {
+                let matches = (await listPublishedRecords()).filter((record) =>
+                    matchesMessageRecordFilters(record, filters)
+                );
+                // Long-poll: hold the request open until something new is published so
+                // followers can tail the ledger without tight polling loops.
+                if (matches.length === 0 && filters.waitMs > 0) {
+                    await waitForPublication(res, filters.waitMs);
+                    if (res.destroyed) {
+                        return;
+                    }
+                    matches = (await listPublishedRecords()).filter((record) =>
+                        matchesMessageRecordFilters(record, filters)
+                    );
+                }
+                const page = matches.slice(0, filters.limit);
+                sendJson(res, 200, {
+                    messages: page.map((record) => buildPublishedMessageResponse(record)),
+                    nextAfterSequence:
+                        page.length > 0 ? page[page.length - 1].sequence : filters.afterSequence,
+                    hasMore: matches.length > page.length,
+                });
+                return;
+            }
+
+            let requestId;
+            try {
+                requestId = decodeURIComponent(pathSegments[0]).trim();
+            } catch (error) {
+                requestId = '';
+            }
+            if (!requestId) {
+                sendJson(res, 400, {
+                    error: 'requestId must be a non-empty string.',
+                    code: 'invalid_request',
+                });
+                return;
+            }
+            // requestIds are only unique per signer and chain, so callers may narrow
+            // the lookup with ?signer=&chainId= when several signers reuse one.
+            const matches = (await listPublishedRecords()).filter(
+                (record) =>
+                    record.requestId === requestId && matchesMessageRecordFilters(record, filters)
+            );
+            if (matches.length === 0) {
+                sendJson(res, 404, {
+                    error: 'No published message found for this requestId.',
+                    code: 'not_found',
+                });
+                return;
+            }
+            if (matches.length > 1) {
+                sendJson(res, 409, {
+                    error: 'requestId matches multiple published messages; filter by signer and chainId.',
+                    code: 'ambiguous_request_id',
+                    matches: matches.map((record) => ({
+                        signer: record.signer,
+                        chainId: record.chainId,
+                        sequence: record.sequence,
+                    })),
+                });
+                return;
+            }
+            sendJson(res, 200, buildPublishedMessageResponse(matches[0]));
+        } catch (error) {
+            emitLog(
+                'warn',
+                `[oya-node] Message read API failed (key=${bearerKeyId}): ${error?.message ?? error}`
+            );
+            sendJson(res, 503, {
+                error: `Message store could not be read: ${error?.message ?? error}`,
+                code: 'store_unavailable',
+            });
+        }
+    }
+
     async function persistPublishedRecord(record, publicationKey, publicationState) {
         let persistError;
         for (let attempt = 0; attempt < 2; attempt += 1) {
@@ -267,6 +562,7 @@ function createMessagePublicationApiServer({
                     lastError: null,
                 });
                 volatilePublicationStates.delete(publicationKey);
+                notifyPublicationWaiters();
                 return nextRecord;
             } catch (error) {
                 persistError = error;
@@ -376,6 +672,7 @@ function createMessagePublicationApiServer({
                 nodeAttestationCanonicalMessage
             );
             const artifact = buildMessagePublicationArtifact({
+                authType: nextRecord.authType,
                 signer: nextRecord.signer,
                 signature: nextRecord.signature,
                 signedAtMs: envelope.timestampMs,
@@ -450,7 +747,7 @@ function createMessagePublicationApiServer({
             return server;
         }
 
-        const nextServer = http.createServer(async (req, res) => {
+        async function handleRequest(req, res) {
             let url;
             try {
                 url = new URL(req.url ?? '/', 'http://localhost');
@@ -464,6 +761,14 @@ function createMessagePublicationApiServer({
                 return;
             }
 
+            if (
+                req.method === 'GET' &&
+                (url.pathname === '/v1/messages' || url.pathname.startsWith('/v1/messages/'))
+            ) {
+                await handleReadRequest(req, res, url);
+                return;
+            }
+
             if (!(req.method === 'POST' && url.pathname === '/v1/messages/publish')) {
                 sendJson(res, 404, { error: 'Not found.' });
                 return;
@@ -491,6 +796,9 @@ function createMessagePublicationApiServer({
                 return;
             }
 
+            if (typeof body?.message?.requestId === 'string') {
+                annotateLogContext({ requestId: body.message.requestId.trim() });
+            }
             const validation = validateMessagePublishBody(body);
             if (!validation.ok) {
                 emitLog(
@@ -543,12 +851,19 @@ function createMessagePublicationApiServer({
                 expectedChainId,
                 nowMs,
                 allowExpired: true,
+                resolvePublicClient,
                 buildPayload: ({ declaredAddress }) =>
                     buildSignedPublishedMessagePayload({
                         address: declaredAddress,
                         timestampMs: body.auth.timestampMs,
                         message: body.message,
                     }),
+                buildTypedData: ({ declaredAddress }) =>
+                    buildSignedPublishedMessageTypedData({
+                        address: declaredAddress,
+                        timestampMs: body.auth.timestampMs,
+                        message: body.message,
+                    }),
             });
             if (!signedAuth?.ok) {
                 emitLog(
@@ -638,6 +953,7 @@ function createMessagePublicationApiServer({
                       signer: signedAuth.sender.address,
                       chainId: identity.chainId,
                       requestId: identity.requestId,
+                      authType: signedAuth.sender.authType,
                       signature: signedAuth.sender.signature,
                       canonicalMessage: signedAuth.payload,
                       artifact: null,
@@ -746,6 +1062,7 @@ function createMessagePublicationApiServer({
                         });
                         if (partialPublicationState && record.cid) {
                             volatilePublicationStates.delete(publicationKey);
+                            notifyPublicationWaiters();
                         }
                     }
                 } catch (_saveError) {
@@ -807,7 +1124,11 @@ function createMessagePublicationApiServer({
                 nodeSigner:
                     record.artifact?.publication?.nodeAttestation?.signer ?? null,
             });
-        });
+        }
+
+        const nextServer = http.createServer((req, res) =>
+            runWithRequestLogContext(req, res, () => handleRequest(req, res))
+        );
 
         await new Promise((resolve, reject) => {
             function handleError(error) {
@@ -840,6 +1161,7 @@ function createMessagePublicationApiServer({
         }
         const current = server;
         server = null;
+        notifyPublicationWaiters();
         await new Promise((resolve, reject) => {
             current.close((error) => {
                 if (error) {
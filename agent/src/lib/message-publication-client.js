@@ -1,3 +1,4 @@
+import { buildCorrelationHeaders } from './logger.js';
 import { buildSignedPublishedMessagePayload } from './signed-published-message.js';
 
 function normalizeBaseUrl(value) {
@@ -98,6 +99,7 @@ async function publishSignedMessage({
     const requestTimeoutMs = parseTimeoutMs(timeoutMs);
     const headers = {
         'Content-Type': 'application/json',
+        ...buildCorrelationHeaders(),
     };
     if (typeof bearerToken === 'string' && bearerToken.trim()) {
         headers.Authorization = `Bearer ${bearerToken.trim()}`;
@@ -3,6 +3,7 @@ import path from 'node:path';
 import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
 import { getAddress } from 'viem';
 import { canonicalizeJson, isPlainObject } from './canonical-json.js';
+import { isSignedAuthSignature, normalizeSignedAuthType } from './typed-data-signing.js';
 
 const STORE_VERSION = 'oya-message-publication-store-v1';
 const storeOperationTails = new Map();
@@ -41,6 +42,17 @@ function normalizeOptionalTimestamp(value, label) {
     return normalizeTimestamp(value, label);
 }
 
+function normalizeOptionalSequence(value, label) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`${label} must be a positive integer when provided.`);
+    }
+    return parsed;
+}
+
 function normalizeOptionalString(value, label) {
     if (value === undefined || value === null) {
         return null;
@@ -95,11 +107,12 @@ function normalizeStoredRecord(record, label = 'record') {
         signer: getAddress(record.signer).toLowerCase(),
         chainId: deriveStoredRecordChainId(record, label),
         requestId: normalizeRequestId(record.requestId, `${label}.requestId`),
+        authType: normalizeSignedAuthType(record.authType, `${label}.authType`),
         signature:
-            typeof record.signature === 'string' && /^0x[0-9a-fA-F]{130}$/.test(record.signature)
+            isSignedAuthSignature(record.signature)
                 ? record.signature
                 : (() => {
-                      throw new Error(`${label}.signature must be a 65-byte hex string.`);
+                      throw new Error(`${label}.signature must be a hex string.`);
                   })(),
         canonicalMessage:
             typeof record.canonicalMessage === 'string' && record.canonicalMessage
@@ -116,6 +129,7 @@ function normalizeStoredRecord(record, label = 'record') {
         cid: normalizeOptionalString(record.cid, `${label}.cid`),
         uri: normalizeOptionalString(record.uri, `${label}.uri`),
         pinned: Boolean(record.pinned),
+        sequence: normalizeOptionalSequence(record.sequence, `${label}.sequence`),
         publishResult: record.publishResult === undefined ? null : cloneJson(record.publishResult),
         pinResult: record.pinResult === undefined ? null : cloneJson(record.pinResult),
         lastError: record.lastError === undefined ? null : cloneJson(record.lastError),
@@ -141,10 +155,41 @@ function normalizeStoredRecord(record, label = 'record') {
     if (normalized.pinned && normalized.cid === null) {
         throw new Error(`${label}.cid must be set when pinned=true.`);
     }
+    if (normalized.sequence !== null && normalized.cid === null) {
+        throw new Error(`${label}.cid must be set once sequence exists.`);
+    }
 
     return normalized;
 }
 
+function resolveNextSequence(records) {
+    let maxSequence = 0;
+    for (const record of Object.values(records)) {
+        if (record.sequence !== null && record.sequence > maxSequence) {
+            maxSequence = record.sequence;
+        }
+    }
+    return maxSequence + 1;
+}
+
+// Ledger sequences are assigned in publication order once a record has a CID. Stores
+// written before sequences existed are backfilled deterministically on read.
+function assignMissingSequences(records) {
+    const unsequenced = Object.entries(records)
+        .filter(([, record]) => record.cid !== null && record.sequence === null)
+        .sort(([leftKey, left], [rightKey, right]) => {
+            if (left.publishedAtMs !== right.publishedAtMs) {
+                return left.publishedAtMs - right.publishedAtMs;
+            }
+            return leftKey.localeCompare(rightKey);
+        });
+    let nextSequence = resolveNextSequence(records);
+    for (const [, record] of unsequenced) {
+        record.sequence = nextSequence;
+        nextSequence += 1;
+    }
+}
+
 async function readStoreState(stateFile) {
     try {
         const raw = await readFile(stateFile, 'utf8');
@@ -170,6 +215,7 @@ async function readStoreState(stateFile) {
             records[normalizedKey] = normalized;
         }
 
+        assignMissingSequences(records);
         return {
             version: STORE_VERSION,
             records,
@@ -233,6 +279,7 @@ function createMessagePublicationStore({ stateFile }) {
         signer,
         chainId,
         requestId,
+        authType,
         signature,
         canonicalMessage,
         artifact,
@@ -265,6 +312,7 @@ function createMessagePublicationStore({ stateFile }) {
                     signer,
                     chainId,
                     requestId,
+                    authType,
                     signature,
                     canonicalMessage,
                     artifact,
@@ -273,6 +321,7 @@ function createMessagePublicationStore({ stateFile }) {
                     cid: null,
                     uri: null,
                     pinned: false,
+                    sequence: null,
                     publishResult: null,
                     pinResult: null,
                     lastError: null,
@@ -299,8 +348,12 @@ function createMessagePublicationStore({ stateFile }) {
                 requestId: normalized.requestId,
             });
             const state = await readStoreState(resolvedStateFile);
+            const existingSequence = state.records[key]?.sequence ?? null;
             state.records[key] = {
                 ...normalized,
+                sequence:
+                    existingSequence ??
+                    (normalized.cid !== null ? resolveNextSequence(state.records) : null),
                 updatedAtMs: Date.now(),
             };
             await writeStoreState(resolvedStateFile, state);
@@ -1,5 +1,10 @@
 import { getAddress } from 'viem';
 import { stringifyCanonicalJson } from './canonical-json.js';
+import {
+    buildOyaTypedDataDomain,
+    encodeTypedJsonField,
+    encodeTypedTimestamp,
+} from './typed-data-signing.js';
 
 function buildSignedMessagePayload({
     address,
@@ -41,4 +46,50 @@ function buildSignedMessagePayload({
     return stringifyCanonicalJson(canonical);
 }
 
-export { buildSignedMessagePayload };
+const AGENT_MESSAGE_TYPES = {
+    AgentMessage: [
+        { name: 'sender', type: 'address' },
+        { name: 'requestId', type: 'string' },
+        { name: 'text', type: 'string' },
+        { name: 'command', type: 'string' },
+        { name: 'args', type: 'string' },
+        { name: 'metadata', type: 'string' },
+        { name: 'timestampMs', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+    ],
+};
+
+/**
+ * EIP-712 form of a Message API request. The domain is bound to the chain and, when the agent
+ * has one configured, its commitment Safe; `args` and `metadata` are signed as canonical JSON.
+ */
+function buildSignedMessageTypedData({
+    address,
+    chainId,
+    commitmentSafe,
+    timestampMs,
+    text,
+    command,
+    args,
+    metadata,
+    requestId,
+    deadline,
+}) {
+    return {
+        domain: buildOyaTypedDataDomain({ chainId, verifyingContract: commitmentSafe }),
+        types: AGENT_MESSAGE_TYPES,
+        primaryType: 'AgentMessage',
+        message: {
+            sender: getAddress(address),
+            requestId: requestId ?? '',
+            text: text ?? '',
+            command: command ?? '',
+            args: encodeTypedJsonField(args),
+            metadata: encodeTypedJsonField(metadata),
+            timestampMs: encodeTypedTimestamp(timestampMs, 'timestampMs'),
+            deadline: encodeTypedTimestamp(deadline, 'deadline'),
+        },
+    };
+}
+
+export { buildSignedMessagePayload, buildSignedMessageTypedData };
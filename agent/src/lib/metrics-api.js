@@ -0,0 +1,120 @@
+import http from 'node:http';
+import { sendJson } from './http-api.js';
+import { logger as defaultLogger } from './logger.js';
+
+const DEFAULT_STALL_THRESHOLD_MS = 300_000;
+
+function resolveStallThresholdMs(config) {
+    const configuredMs = config.metricsApiStallThresholdMs;
+    if (Number.isInteger(configuredMs) && configuredMs > 0) {
+        return configuredMs;
+    }
+    // Default to ten missed polls, but never less than five minutes so a slow LLM call
+    // or RPC retry inside a single iteration does not read as a stall.
+    const pollIntervalMs = Number(config.pollIntervalMs);
+    return Math.max(
+        DEFAULT_STALL_THRESHOLD_MS,
+        Number.isFinite(pollIntervalMs) ? pollIntervalMs * 10 : 0
+    );
+}
+
+function createMetricsApiServer({ config, metrics, logger = defaultLogger } = {}) {
+    if (!config) {
+        throw new Error('createMetricsApiServer requires config.');
+    }
+    if (!metrics) {
+        throw new Error('createMetricsApiServer requires metrics.');
+    }
+
+    const stallThresholdMs = resolveStallThresholdMs(config);
+    let server;
+
+    async function start() {
+        if (server) {
+            return server;
+        }
+
+        const nextServer = http.createServer((req, res) => {
+            let url;
+            try {
+                url = new URL(req.url ?? '/', 'http://localhost');
+            } catch (error) {
+                sendJson(res, 400, { error: 'Invalid request URL.' });
+                return;
+            }
+
+            if (req.method !== 'GET') {
+                sendJson(res, 404, { error: 'Not found.' });
+                return;
+            }
+
+            if (url.pathname === '/healthz') {
+                sendJson(res, 200, { ok: true });
+                return;
+            }
+
+            if (url.pathname === '/metrics') {
+                res.writeHead(200, {
+                    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                    'Cache-Control': 'no-store',
+                });
+                res.end(metrics.renderPrometheus({ stallThresholdMs }));
+                return;
+            }
+
+            if (url.pathname === '/v1/status') {
+                const status = metrics.getStatus({ stallThresholdMs });
+                sendJson(res, status.status === 'stalled' ? 503 : 200, status);
+                return;
+            }
+
+            sendJson(res, 404, { error: 'Not found.' });
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                nextServer.once('error', reject);
+                nextServer.listen(config.metricsApiPort, config.metricsApiHost, () => {
+                    nextServer.off('error', reject);
+                    resolve();
+                });
+            });
+        } catch (error) {
+            nextServer.removeAllListeners();
+            throw error;
+        }
+
+        server = nextServer;
+
+        const address = server.address();
+        const boundPort =
+            address && typeof address === 'object' && typeof address.port === 'number'
+                ? address.port
+                : config.metricsApiPort;
+        logger.log(
+            `[agent] Metrics API listening on http://${config.metricsApiHost}:${boundPort}`
+        );
+        return server;
+    }
+
+    async function stop() {
+        if (!server) return;
+        await new Promise((resolve, reject) => {
+            server.close((error) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve();
+            });
+        });
+        server = undefined;
+    }
+
+    return {
+        start,
+        stop,
+    };
+}
+
+export { createMetricsApiServer };
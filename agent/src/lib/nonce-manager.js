@@ -0,0 +1,415 @@
+import { encodeFunctionData, getAddress } from 'viem';
+import { logger } from './logger.js';
+
+const CANCEL_GAS = 21_000n;
+// Nodes drop replacements that raise either fee by less than 10%.
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
+const SETTLED_HISTORY_LIMIT = 100;
+
+function bumpByPercent(value, percent) {
+    return (value * (100n + BigInt(percent)) + 99n) / 100n;
+}
+
+function minBigInt(left, right) {
+    return left < right ? left : right;
+}
+
+function maxBigInt(left, right) {
+    return left > right ? left : right;
+}
+
+function isReceiptUnavailableError(error) {
+    const name = String(error?.name ?? '');
+    const message = String(error?.shortMessage ?? error?.message ?? '').toLowerCase();
+    return (
+        name.includes('TransactionReceiptNotFoundError') || message.includes('could not be found')
+    );
+}
+
+function describeError(error) {
+    return error?.shortMessage ?? error?.message ?? String(error);
+}
+
+/**
+ * Assigns nonces for one signer from a shared journal, sends EIP-1559 transactions under
+ * configured fee ceilings, and on `reconcile()` settles mined transactions and replaces any that
+ * stayed pending longer than `stuckTxTimeoutMs` with a fee-bumped copy at the same nonce.
+ */
+function createNonceManager({
+    publicClient,
+    walletClient,
+    account,
+    journal,
+    maxFeePerGasWei = undefined,
+    maxPriorityFeePerGasWei = undefined,
+    feeBumpPercent = 20,
+    stuckTxTimeoutMs = 180_000,
+    nowFn = Date.now,
+}) {
+    if (!account?.address) {
+        throw new Error('createNonceManager requires an account with an address.');
+    }
+    if (!Number.isInteger(feeBumpPercent) || feeBumpPercent < MIN_REPLACEMENT_BUMP_PERCENT) {
+        throw new Error(`feeBumpPercent must be an integer >= ${MIN_REPLACEMENT_BUMP_PERCENT}.`);
+    }
+    const address = getAddress(account.address);
+    const maxFeeCeiling = maxFeePerGasWei === undefined ? null : BigInt(maxFeePerGasWei);
+    const priorityFeeCeiling =
+        maxPriorityFeePerGasWei === undefined ? null : BigInt(maxPriorityFeePerGasWei);
+
+    function applyCeilings({ maxFeePerGas, maxPriorityFeePerGas }) {
+        let maxFee = maxFeePerGas;
+        let priorityFee = maxPriorityFeePerGas;
+        if (maxFeeCeiling !== null) {
+            maxFee = minBigInt(maxFee, maxFeeCeiling);
+        }
+        if (priorityFeeCeiling !== null) {
+            priorityFee = minBigInt(priorityFee, priorityFeeCeiling);
+        }
+        return { maxFeePerGas: maxFee, maxPriorityFeePerGas: minBigInt(priorityFee, maxFee) };
+    }
+
+    // Returns null on chains without EIP-1559 fees; those transactions use viem's defaults.
+    async function estimateFees() {
+        let estimate;
+        try {
+            estimate = await publicClient.estimateFeesPerGas();
+        } catch (error) {
+            return null;
+        }
+        if (estimate?.maxFeePerGas === undefined || estimate?.maxFeePerGas === null) {
+            return null;
+        }
+        return {
+            maxFeePerGas: BigInt(estimate.maxFeePerGas),
+            maxPriorityFeePerGas: BigInt(estimate.maxPriorityFeePerGas ?? 0n),
+        };
+    }
+
+    async function resolveInitialFees(request) {
+        if (request.gasPrice !== undefined) {
+            return { gasPrice: request.gasPrice };
+        }
+        const estimate = await estimateFees();
+        const requested = {
+            maxFeePerGas: request.maxFeePerGas ?? estimate?.maxFeePerGas,
+            maxPriorityFeePerGas: request.maxPriorityFeePerGas ?? estimate?.maxPriorityFeePerGas,
+        };
+        if (requested.maxFeePerGas === undefined) {
+            return {};
+        }
+        return applyCeilings({
+            maxFeePerGas: BigInt(requested.maxFeePerGas),
+            maxPriorityFeePerGas: BigInt(requested.maxPriorityFeePerGas ?? 0n),
+        });
+    }
+
+    // Bumped fees for a replacement, or null when the ceilings leave no room for a valid bump.
+    async function resolveReplacementFees(previous) {
+        if (previous.maxFeePerGas === null || previous.maxPriorityFeePerGas === null) {
+            return null;
+        }
+        const estimate = await estimateFees();
+        const fees = applyCeilings({
+            maxFeePerGas: maxBigInt(
+                bumpByPercent(previous.maxFeePerGas, feeBumpPercent),
+                estimate?.maxFeePerGas ?? 0n
+            ),
+            maxPriorityFeePerGas: maxBigInt(
+                bumpByPercent(previous.maxPriorityFeePerGas, feeBumpPercent),
+                estimate?.maxPriorityFeePerGas ?? 0n
+            ),
+        });
+        if (
+            fees.maxFeePerGas <
+                bumpByPercent(previous.maxFeePerGas, MIN_REPLACEMENT_BUMP_PERCENT) ||
+            fees.maxPriorityFeePerGas <
+                bumpByPercent(previous.maxPriorityFeePerGas, MIN_REPLACEMENT_BUMP_PERCENT)
+        ) {
+            return null;
+        }
+        return fees;
+    }
+
+    function pruneSettled(transactions) {
+        const settled = transactions.filter((transaction) => transaction.status !== 'pending');
+        const dropCount = settled.length - SETTLED_HISTORY_LIMIT;
+        if (dropCount <= 0) {
+            return transactions;
+        }
+        const dropped = new Set(settled.slice(0, dropCount));
+        return transactions.filter((transaction) => !dropped.has(transaction));
+    }
+
+    async function sendTransaction(request) {
+        // Callers that pick their own nonce keep full control of it.
+        if (request.nonce !== undefined && request.nonce !== null) {
+            return walletClient.sendTransaction(request);
+        }
+        const sender = request.account ?? account;
+        const to = request.to ? getAddress(request.to) : request.to;
+        const data = request.data ?? '0x';
+        const value = BigInt(request.value ?? 0n);
+
+        return journal.withLock(async () => {
+            const state = journal.load();
+            const chainNonce = await publicClient.getTransactionCount({
+                address,
+                blockTag: 'pending',
+            });
+            // The journal covers transactions the node has not seen yet or has dropped.
+            const nonce = Math.max(Number(chainNonce), state.nextNonce ?? 0);
+            const gas =
+                request.gas ??
+                (await publicClient.estimateGas({ account: sender, to, data, value }));
+            const fees = await resolveInitialFees(request);
+            const hash = await walletClient.sendTransaction({
+                ...request,
+                account: sender,
+                to,
+                data,
+                value,
+                gas,
+                nonce,
+                ...fees,
+            });
+            const nowMs = nowFn();
+            state.transactions.push({
+                nonce,
+                status: 'pending',
+                to,
+                data,
+                value,
+                gas: BigInt(gas),
+                attempts: [
+                    {
+                        hash,
+                        kind: 'original',
+                        maxFeePerGas: fees.maxFeePerGas ?? null,
+                        maxPriorityFeePerGas: fees.maxPriorityFeePerGas ?? null,
+                        sentAtMs: nowMs,
+                    },
+                ],
+                minedHash: null,
+                createdAtMs: nowMs,
+                updatedAtMs: nowMs,
+            });
+            journal.save({
+                nextNonce: nonce + 1,
+                transactions: pruneSettled(state.transactions),
+                nowMs,
+            });
+            return hash;
+        });
+    }
+
+    async function replace(transaction, { cancel }) {
+        const previous = transaction.attempts[transaction.attempts.length - 1];
+        const fees = await resolveReplacementFees(previous);
+        if (!fees) {
+            return null;
+        }
+        const request = cancel
+            ? { to: address, data: '0x', value: 0n, gas: CANCEL_GAS }
+            : {
+                  to: transaction.to,
+                  data: transaction.data,
+                  value: transaction.value,
+                  gas: transaction.gas,
+              };
+        const hash = await walletClient.sendTransaction({
+            account,
+            ...request,
+            nonce: transaction.nonce,
+            ...fees,
+        });
+        const nowMs = nowFn();
+        transaction.attempts.push({
+            hash,
+            kind: cancel ? 'cancel' : 'speedup',
+            ...fees,
+            sentAtMs: nowMs,
+        });
+        transaction.updatedAtMs = nowMs;
+        return hash;
+    }
+
+    async function findMinedAttempt(transaction) {
+        for (const attempt of transaction.attempts) {
+            try {
+                const receipt = await publicClient.getTransactionReceipt({ hash: attempt.hash });
+                return { attempt, receipt };
+            } catch (error) {
+                if (!isReceiptUnavailableError(error)) {
+                    throw error;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Settles pending journal entries against the chain and fee-bumps the ones that are stuck.
+     * Returns `{ confirmed, replaced, bumped, pending }` counts for logging.
+     */
+    async function reconcile() {
+        return journal.withLock(async () => {
+            const state = journal.load();
+            const pending = state.transactions.filter(
+                (transaction) => transaction.status === 'pending'
+            );
+            const summary = { confirmed: 0, replaced: 0, bumped: 0, pending: 0 };
+            if (pending.length === 0) {
+                return summary;
+            }
+
+            const minedNonce = Number(
+                await publicClient.getTransactionCount({ address, blockTag: 'latest' })
+            );
+            for (const transaction of pending) {
+                const mined = await findMinedAttempt(transaction);
+                if (mined) {
+                    transaction.minedHash = mined.attempt.hash;
+                    transaction.status =
+                        mined.attempt.kind === 'cancel'
+                            ? 'cancelled'
+                            : mined.receipt.status === 'reverted'
+                              ? 'reverted'
+                              : 'confirmed';
+                    transaction.updatedAtMs = nowFn();
+                    summary.confirmed += 1;
+                    continue;
+                }
+                if (minedNonce > transaction.nonce) {
+                    transaction.status = 'replaced';
+                    transaction.updatedAtMs = nowFn();
+                    summary.replaced += 1;
+                    logger.warn(
+                        `[agent] Nonce ${transaction.nonce} for ${address} was used by a transaction outside the journal; ${transaction.attempts[0].hash} will not be mined.`
+                    );
+                    continue;
+                }
+
+                summary.pending += 1;
+                const lastAttempt = transaction.attempts[transaction.attempts.length - 1];
+                if (nowFn() - lastAttempt.sentAtMs < stuckTxTimeoutMs) {
+                    continue;
+                }
+                const cancel = lastAttempt.kind === 'cancel';
+                try {
+                    const hash = await replace(transaction, { cancel });
+                    if (!hash) {
+                        // Wait another timeout before logging the same transaction again.
+                        lastAttempt.sentAtMs = nowFn();
+                        logger.warn(
+                            `[agent] Transaction at nonce ${transaction.nonce} is stuck and cannot be fee-bumped (fee ceiling reached or no EIP-1559 fees).`
+                        );
+                        continue;
+                    }
+                    summary.bumped += 1;
+                    logger.warn(
+                        `[agent] Replaced stuck transaction at nonce ${transaction.nonce} with ${hash} (maxFeePerGas ${transaction.attempts.at(-1).maxFeePerGas}).`
+                    );
+                } catch (error) {
+                    logger.warn(
+                        `[agent] Failed to replace stuck transaction at nonce ${transaction.nonce}: ${describeError(error)}`
+                    );
+                }
+            }
+
+            journal.save({
+                nextNonce: state.nextNonce,
+                transactions: pruneSettled(state.transactions),
+                nowMs: nowFn(),
+            });
+            return summary;
+        });
+    }
+
+    /**
+     * Replaces the pending transaction at `nonce` with a zero-value transfer to the signer at
+     * bumped fees, and returns the cancelling transaction hash.
+     */
+    async function cancel({ nonce }) {
+        return journal.withLock(async () => {
+            const state = journal.load();
+            const transaction = state.transactions.find(
+                (candidate) => candidate.nonce === Number(nonce) && candidate.status === 'pending'
+            );
+            if (!transaction) {
+                throw new Error(`No pending journal transaction at nonce ${nonce}.`);
+            }
+            const hash = await replace(transaction, { cancel: true });
+            if (!hash) {
+                throw new Error(
+                    `Cannot cancel nonce ${nonce}: the fee ceiling leaves no room for a replacement, or it was sent without EIP-1559 fees.`
+                );
+            }
+            journal.save({
+                nextNonce: state.nextNonce,
+                transactions: state.transactions,
+                nowMs: nowFn(),
+            });
+            return hash;
+        });
+    }
+
+    /**
+     * Looks up the journal entry that any of the given transaction's hashes belong to. Returns
+     * `{ nonce, status, latestHash, minedHash }` or null for transactions sent outside the journal.
+     */
+    function findTransaction(hash) {
+        const normalized = String(hash ?? '').toLowerCase();
+        const transaction = journal
+            .load()
+            .transactions.find((candidate) =>
+                candidate.attempts.some((attempt) => attempt.hash.toLowerCase() === normalized)
+            );
+        if (!transaction) {
+            return null;
+        }
+        return {
+            nonce: transaction.nonce,
+            status: transaction.status,
+            latestHash: transaction.attempts[transaction.attempts.length - 1].hash,
+            minedHash: transaction.minedHash,
+        };
+    }
+
+    function getPendingTransactions() {
+        return journal
+            .load()
+            .transactions.filter((transaction) => transaction.status === 'pending');
+    }
+
+    return {
+        address,
+        stateFile: journal.stateFile,
+        sendTransaction,
+        reconcile,
+        cancel,
+        findTransaction,
+        getPendingTransactions,
+    };
+}
+
+/**
+ * Returns a wallet client whose `sendTransaction` and `writeContract` go through the nonce
+ * manager, so existing call sites pick up nonce tracking without changes.
+ */
+function createManagedWalletClient({ walletClient, nonceManager }) {
+    return {
+        ...walletClient,
+        sendTransaction: (request) => nonceManager.sendTransaction(request),
+        writeContract: ({ abi, functionName, args, address, dataSuffix, ...request }) => {
+            const calldata = encodeFunctionData({ abi, functionName, args });
+            return nonceManager.sendTransaction({
+                ...request,
+                to: address,
+                data: dataSuffix ? `${calldata}${dataSuffix.replace(/^0x/, '')}` : calldata,
+            });
+        },
+    };
+}
+
+export { createManagedWalletClient, createNonceManager };
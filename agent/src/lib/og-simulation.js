@@ -0,0 +1,380 @@
+import {
+    decodeErrorResult,
+    decodeFunctionData,
+    decodeFunctionResult,
+    encodeAbiParameters,
+    encodeFunctionData,
+    erc20Abi,
+    getAddress,
+    keccak256,
+    numberToHex,
+    parseAbi,
+} from 'viem';
+import { optimisticGovernorAbi } from './og.js';
+import {
+    SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES,
+    decodeMultiSendCall,
+    encodeMultiSendCall,
+    isSafeMultiSendCallOnly,
+} from './safe-multisend.js';
+
+const safeModuleAbi = parseAbi([
+    'function execTransactionFromModuleReturnData(address to, uint256 value, bytes data, uint8 operation) returns (bool success, bytes returnData)',
+]);
+
+const NATIVE_ASSET = 'native';
+
+function mappingSlot(key, slot) {
+    return keccak256(
+        encodeAbiParameters(
+            [{ type: 'address' }, { type: 'uint256' }],
+            [getAddress(key), BigInt(slot)]
+        )
+    );
+}
+
+// Storage overrides assume the common Solidity layout where balances and allowances are
+// top-level mappings; pass the token's slot indexes when it declares other state first.
+function buildErc20BalanceOverride({ token, holder, amountWei, balanceSlot = 0 }) {
+    return {
+        address: getAddress(token),
+        stateDiff: [
+            {
+                slot: mappingSlot(holder, balanceSlot),
+                value: numberToHex(BigInt(amountWei), { size: 32 }),
+            },
+        ],
+    };
+}
+
+function solidityAllowanceSlot(owner, spender, slot) {
+    return keccak256(
+        encodeAbiParameters(
+            [{ type: 'address' }, { type: 'bytes32' }],
+            [getAddress(spender), mappingSlot(owner, slot)]
+        )
+    );
+}
+
+function buildErc20AllowanceOverride({ token, owner, spender, amountWei, allowanceSlot = 1 }) {
+    return {
+        address: getAddress(token),
+        stateDiff: [
+            {
+                slot: solidityAllowanceSlot(owner, spender, allowanceSlot),
+                value: numberToHex(BigInt(amountWei), { size: 32 }),
+            },
+        ],
+    };
+}
+
+// viem rejects two overrides for one address, so entries for the same account are combined.
+function mergeStateOverrides(overrides = []) {
+    const byAddress = new Map();
+    for (const override of overrides) {
+        const address = getAddress(override.address);
+        const existing = byAddress.get(address) ?? { address };
+        const stateDiff = [...(existing.stateDiff ?? []), ...(override.stateDiff ?? [])];
+        byAddress.set(address, {
+            ...existing,
+            ...override,
+            address,
+            ...(stateDiff.length > 0 ? { stateDiff } : {}),
+        });
+    }
+    return Array.from(byAddress.values());
+}
+
+function describeRevertData(data) {
+    if (typeof data !== 'string' || data === '0x') {
+        return 'reverted without a reason';
+    }
+    try {
+        const decoded = decodeErrorResult({ data });
+        if (decoded.errorName === 'Error') {
+            return decoded.args[0];
+        }
+        if (decoded.errorName === 'Panic') {
+            return `panic 0x${decoded.args[0].toString(16)}`;
+        }
+        return `${decoded.errorName}(${(decoded.args ?? []).join(', ')})`;
+    } catch (error) {
+        return `reverted with data ${data}`;
+    }
+}
+
+// Revert data sits somewhere in viem's error cause chain; transport failures have none.
+function findRevertError(error) {
+    if (typeof error?.walk !== 'function') {
+        return null;
+    }
+    return (
+        error.walk(
+            (cause) =>
+                cause?.name === 'ExecutionRevertedError' ||
+                (typeof cause?.data === 'string' && cause.data.startsWith('0x'))
+        ) ?? null
+    );
+}
+
+function addDelta(deltas, token, account, amountWei) {
+    const key = `${token}:${account}`;
+    deltas.set(key, {
+        token,
+        account,
+        amountWei: (deltas.get(key)?.amountWei ?? 0n) + amountWei,
+    });
+}
+
+// Deltas are derived from the calls we can decode: native value and ERC20 transfer or
+// transferFrom. Anything else is flagged so callers know the deltas may be incomplete.
+function decodeBalanceDeltas({ safeAddress, transaction }) {
+    const deltas = new Map();
+    if (transaction.operation !== 0) {
+        return { deltas, decodedCall: null };
+    }
+    if (transaction.value > 0n) {
+        addDelta(deltas, NATIVE_ASSET, safeAddress, -transaction.value);
+        addDelta(deltas, NATIVE_ASSET, transaction.to, transaction.value);
+    }
+    if (transaction.data === '0x') {
+        return { deltas, decodedCall: transaction.value > 0n ? 'native_transfer' : null };
+    }
+
+    let decoded;
+    try {
+        decoded = decodeFunctionData({ abi: erc20Abi, data: transaction.data });
+    } catch (error) {
+        return { deltas, decodedCall: null };
+    }
+    const token = transaction.to;
+    if (decoded.functionName === 'transfer') {
+        const [recipient, amount] = decoded.args;
+        addDelta(deltas, token, safeAddress, -amount);
+        addDelta(deltas, token, getAddress(recipient), amount);
+        return { deltas, decodedCall: 'erc20_transfer' };
+    }
+    if (decoded.functionName === 'transferFrom') {
+        const [from, recipient, amount] = decoded.args;
+        addDelta(deltas, token, getAddress(from), -amount);
+        addDelta(deltas, token, getAddress(recipient), amount);
+        return { deltas, decodedCall: 'erc20_transfer_from' };
+    }
+    if (decoded.functionName === 'approve') {
+        return { deltas, decodedCall: 'erc20_approve' };
+    }
+    return { deltas, decodedCall: null };
+}
+
+function serializeDeltas(deltas) {
+    return Array.from(deltas.values())
+        .filter((delta) => delta.amountWei !== 0n)
+        .map((delta) => ({ ...delta, amountWei: delta.amountWei.toString() }));
+}
+
+async function resolveExecutingSafe({ publicClient, ogModule, safeAddress }) {
+    if (safeAddress) {
+        return getAddress(safeAddress);
+    }
+    return getAddress(
+        await publicClient.readContract({
+            address: ogModule,
+            abi: optimisticGovernorAbi,
+            functionName: 'target',
+        })
+    );
+}
+
+// Delegatecalls other than to MultiSendCallOnly cannot be wrapped in one, so a bundle is only
+// simulated as a whole when every delegatecall in it is a MultiSendCallOnly batch to inline.
+function flattenForMultiSend(transactions) {
+    return transactions.flatMap((transaction) => {
+        if (transaction.operation === 0) {
+            return [transaction];
+        }
+        if (!isSafeMultiSendCallOnly(transaction.to)) {
+            throw new Error(
+                `Cannot simulate a bundle with a DELEGATECALL to ${transaction.to}; only MultiSendCallOnly batches can be combined.`
+            );
+        }
+        return decodeMultiSendCall(transaction.data);
+    });
+}
+
+async function findDeployedMultiSend({ publicClient, multiSendCallOnly }) {
+    const candidates = multiSendCallOnly
+        ? [getAddress(multiSendCallOnly)]
+        : SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES;
+    for (const address of candidates) {
+        const code = await publicClient.getCode({ address });
+        if (code && code !== '0x') {
+            return address;
+        }
+    }
+    throw new Error('No MultiSendCallOnly is deployed on this chain to simulate the bundle with.');
+}
+
+async function callFromModule({ publicClient, ogModule, safeAddress, transaction, stateOverride }) {
+    try {
+        const response = await publicClient.call({
+            account: ogModule,
+            to: safeAddress,
+            data: encodeFunctionData({
+                abi: safeModuleAbi,
+                functionName: 'execTransactionFromModuleReturnData',
+                args: [transaction.to, transaction.value, transaction.data, transaction.operation],
+            }),
+            ...(stateOverride.length > 0 ? { stateOverride } : {}),
+        });
+        const [success, returnData] = decodeFunctionResult({
+            abi: safeModuleAbi,
+            functionName: 'execTransactionFromModuleReturnData',
+            data: response?.data ?? '0x',
+        });
+        return { success, returnData };
+    } catch (error) {
+        // A revert of the module call itself (for example GS104 when the OG module is not
+        // enabled) fails the transactions; transport errors propagate to the caller.
+        const revertError = findRevertError(error);
+        if (!revertError) {
+            throw error;
+        }
+        return {
+            success: false,
+            returnData: typeof revertError.data === 'string' ? revertError.data : '0x',
+        };
+    }
+}
+
+/**
+ * Simulates an OG transaction bundle the way the module executes it: an eth_call from the OG
+ * module into the Safe's execTransactionFromModuleReturnData, against the latest state plus
+ * `stateOverride`. A bundle of more than one transaction runs as a single DELEGATECALL to
+ * MultiSendCallOnly, so each transaction sees what the earlier ones did (approvals, swap
+ * output, split positions). When the bundle reverts, prefixes of it are re-run to find the
+ * first failing transaction; transactions after it did not run and report `success: null`.
+ */
+async function simulateOgTransactions({
+    publicClient,
+    ogModule,
+    safeAddress = undefined,
+    transactions,
+    stateOverride = [],
+    multiSendCallOnly = undefined,
+}) {
+    const normalizedOgModule = getAddress(ogModule);
+    const executingSafe = await resolveExecutingSafe({
+        publicClient,
+        ogModule: normalizedOgModule,
+        safeAddress,
+    });
+    const normalizedTransactions = transactions.map((transaction) => ({
+        to: getAddress(transaction.to),
+        value: BigInt(transaction.value ?? 0),
+        data: transaction.data ?? '0x',
+        operation: Number(transaction.operation ?? 0),
+    }));
+    const mergedStateOverride = mergeStateOverrides(stateOverride);
+
+    let multiSend;
+    const outcomes = new Map();
+    const runPrefix = async (length) => {
+        if (!outcomes.has(length)) {
+            let transaction = normalizedTransactions[0];
+            if (length > 1) {
+                multiSend ??= await findDeployedMultiSend({ publicClient, multiSendCallOnly });
+                transaction = {
+                    to: multiSend,
+                    value: 0n,
+                    data: encodeMultiSendCall(
+                        flattenForMultiSend(normalizedTransactions.slice(0, length))
+                    ),
+                    operation: 1,
+                };
+            }
+            outcomes.set(
+                length,
+                await callFromModule({
+                    publicClient,
+                    ogModule: normalizedOgModule,
+                    safeAddress: executingSafe,
+                    transaction,
+                    stateOverride: mergedStateOverride,
+                })
+            );
+        }
+        return outcomes.get(length);
+    };
+
+    let failedIndex = null;
+    if (normalizedTransactions.length > 0) {
+        const bundle = await runPrefix(normalizedTransactions.length);
+        if (!bundle.success) {
+            // Once a prefix reverts every longer prefix does too, so bisect for the shortest.
+            let low = 1;
+            let high = normalizedTransactions.length;
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if ((await runPrefix(middle)).success) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            failedIndex = low - 1;
+        }
+    }
+
+    const bundleDeltas = new Map();
+    const results = normalizedTransactions.map((normalized, index) => {
+        const { deltas, decodedCall } = decodeBalanceDeltas({
+            safeAddress: executingSafe,
+            transaction: normalized,
+        });
+        const ran = failedIndex === null || index <= failedIndex;
+        const success = ran ? index !== failedIndex : null;
+        if (success) {
+            for (const delta of deltas.values()) {
+                addDelta(bundleDeltas, delta.token, delta.account, delta.amountWei);
+            }
+        }
+        const returnData =
+            index === failedIndex ? outcomes.get(failedIndex + 1).returnData : null;
+        return {
+            index,
+            to: normalized.to,
+            operation: normalized.operation,
+            success,
+            revertReason: index === failedIndex ? describeRevertData(returnData) : null,
+            returnData,
+            decodedCall,
+            balanceDeltas: success ? serializeDeltas(deltas) : [],
+        };
+    });
+
+    return {
+        ogModule: normalizedOgModule,
+        safeAddress: executingSafe,
+        success: failedIndex === null,
+        transactions: results,
+        balanceDeltas: serializeDeltas(bundleDeltas),
+        undecodedTransactionIndexes: results
+            .filter((result) => result.success && !result.decodedCall)
+            .map((result) => result.index),
+    };
+}
+
+function summarizeSimulationFailures(simulation) {
+    return simulation.transactions
+        .filter((result) => result.success === false)
+        .map((result) => `transaction ${result.index} to ${result.to}: ${result.revertReason}`)
+        .join('; ');
+}
+
+export {
+    buildErc20AllowanceOverride,
+    buildErc20BalanceOverride,
+    mergeStateOverrides,
+    simulateOgTransactions,
+    summarizeSimulationFailures,
+};
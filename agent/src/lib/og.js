@@ -1,4 +1,5 @@
 import { erc20Abi, getAddress, parseAbi, parseAbiItem, stringToHex } from 'viem';
+import { logger } from './logger.js';
 
 const optimisticGovernorAbi = parseAbi([
     'function proposeTransactions((address to,uint8 operation,uint256 value,bytes data)[] transactions, bytes explanation)',
@@ -7,6 +8,8 @@ const optimisticGovernorAbi = parseAbi([
     'function bondAmount() view returns (uint256)',
     'function optimisticOracleV3() view returns (address)',
     'function rules() view returns (string)',
+    'function setRules(string rules)',
+    'function target() view returns (address)',
     'function identifier() view returns (bytes32)',
     'function liveness() view returns (uint64)',
     'function assertionIds(bytes32) view returns (bytes32)',
@@ -132,15 +135,14 @@ async function logOgFundingStatus({ publicClient, ogModule, account }) {
         const nativeBalance = await publicClient.getBalance({ address: account.address });
 
         if (identifier !== expectedIdentifier) {
-            console.warn(
+            logger.warn(
                 `[agent] OG identifier mismatch: expected ${expectedIdentifierStr}, onchain ${identifier}`
             );
         }
-        void requiredBond;
-        void collateralBalance;
-        void nativeBalance;
+        return { collateral, requiredBond, collateralBalance, nativeBalance };
     } catch (error) {
-        console.warn('[agent] Failed to log OG funding status:', error);
+        logger.warn('[agent] Failed to log OG funding status:', error);
+        return null;
     }
 }
 
@@ -1,4 +1,5 @@
 import {
+    encodeEventTopics,
     erc20Abi,
     erc1155Abi,
     getAddress,
@@ -15,6 +16,7 @@ import {
     transferEvent,
 } from './og.js';
 import { findContractDeploymentBlock, getLogsChunked } from './chain-history.js';
+import { logger } from './logger.js';
 
 const erc1155TransferSingleEvent = parseAbiItem(
     'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)'
@@ -87,7 +89,7 @@ async function runLogScanWithHeadFallback({
                 return null;
             }
 
-            console.warn(
+            logger.warn(
                 `[agent] RPC log head lagged behind blockNumber; retrying ${label} through block ${nextToBlock.toString()}.`
             );
             currentToBlock = nextToBlock;
@@ -97,11 +99,56 @@ async function runLogScanWithHeadFallback({
     return null;
 }
 
+// Scans stop `confirmationDepth` blocks behind head so shallow reorgs never reach signals.
+async function resolveConfirmedHead({ publicClient, confirmationDepth = 0 }) {
+    const headBlock = await publicClient.getBlockNumber();
+    const depth = BigInt(confirmationDepth ?? 0);
+    return headBlock > depth ? headBlock - depth : 0n;
+}
+
 function isReceiptReverted(receipt) {
     const status = receipt?.status;
     return status === 0n || status === 0 || status === 'reverted';
 }
 
+// `eth_subscribe` log filters for everything the commitment and proposal scans read: inbound
+// ERC20 and ERC1155 transfers to the Safe, and any event from the OG module.
+function buildChainSubscriptionLogFilters({
+    commitmentSafe,
+    ogModule,
+    trackedAssets = [],
+    trackedErc1155Assets = [],
+}) {
+    const filters = [{ address: [getAddress(ogModule)] }];
+    const erc20Assets = Array.from(trackedAssets)
+        .filter((asset) => !isAddressEqual(asset, zeroAddress))
+        .map((asset) => getAddress(asset));
+    if (erc20Assets.length > 0) {
+        filters.push({
+            address: erc20Assets,
+            topics: encodeEventTopics({
+                abi: [transferEvent],
+                args: { to: commitmentSafe },
+            }),
+        });
+    }
+    const erc1155Tokens = Array.from(
+        new Set(normalizeTrackedErc1155Assets(trackedErc1155Assets).map(({ token }) => token))
+    );
+    if (erc1155Tokens.length > 0) {
+        const [singleTopic, , , toTopic] = encodeEventTopics({
+            abi: [erc1155TransferSingleEvent],
+            args: { to: commitmentSafe },
+        });
+        const [batchTopic] = encodeEventTopics({ abi: [erc1155TransferBatchEvent] });
+        filters.push({
+            address: erc1155Tokens,
+            topics: [[singleTopic, batchTopic], null, null, toTopic],
+        });
+    }
+    return filters;
+}
+
 async function primeBalances({ publicClient, commitmentSafe, watchNativeBalance, blockNumber }) {
     if (!watchNativeBalance) return undefined;
 
@@ -334,8 +381,9 @@ async function pollCommitmentChanges({
     lastAssetBalances,
     logChunkSize,
     emitBalanceSnapshotsEveryPoll = false,
+    confirmationDepth = 0,
 }) {
-    const latestBlock = await publicClient.getBlockNumber();
+    const latestBlock = await resolveConfirmedHead({ publicClient, confirmationDepth });
     if (lastCheckedBlock === undefined) {
         const nextNativeBalance = await primeBalances({
             publicClient,
@@ -352,7 +400,7 @@ async function pollCommitmentChanges({
                 blockNumber: latestBlock,
             });
         if (initialAssetSignals.length > 0) {
-            console.log(
+            logger.log(
                 `[agent] Startup balance snapshot signals: ${initialAssetSignals
                     .map((signal) => formatBalanceSnapshotLogSignal(signal))
                     .join(', ')}`
@@ -408,6 +456,7 @@ async function pollCommitmentChanges({
                         from: log.args.from,
                         amount: log.args.value,
                         blockNumber: log.blockNumber,
+                        blockHash: log.blockHash,
                         transactionHash: log.transactionHash,
                         logIndex: log.logIndex,
                         id: log.transactionHash
@@ -466,6 +515,7 @@ async function pollCommitmentChanges({
                         from: log.args.from,
                         amount: log.args.value,
                         blockNumber: log.blockNumber,
+                        blockHash: log.blockHash,
                         transactionHash: log.transactionHash,
                         logIndex: log.logIndex,
                         id: log.transactionHash
@@ -494,6 +544,7 @@ async function pollCommitmentChanges({
                             from: log.args.from,
                             amount,
                             blockNumber: log.blockNumber,
+                            blockHash: log.blockHash,
                             transactionHash: log.transactionHash,
                             logIndex: log.logIndex,
                             batchIndex: index,
@@ -584,13 +635,13 @@ async function resolveInitialProposalScanStartBlock({
             latestBlock,
         });
         if (discovered !== null) {
-            console.log(
+            logger.log(
                 `[agent] Backfilling proposal history from OG deployment block ${discovered.toString()}.`
             );
             return discovered;
         }
     } catch (error) {
-        console.warn(
+        logger.warn(
             '[agent] Failed to auto-discover proposal scan start block; skipping startup backfill.',
             error?.message ?? error
         );
@@ -606,9 +657,10 @@ async function pollProposalChanges({
     proposalsByHash,
     startBlock,
     logChunkSize,
+    confirmationDepth = 0,
 }) {
     const isStartupBackfill = lastProposalCheckedBlock === undefined;
-    const latestBlock = await publicClient.getBlockNumber();
+    const latestBlock = await resolveConfirmedHead({ publicClient, confirmationDepth });
     let fromBlock;
     if (lastProposalCheckedBlock === undefined) {
         fromBlock = await resolveInitialProposalScanStartBlock({
@@ -622,6 +674,7 @@ async function pollProposalChanges({
                 newProposals: [],
                 executedProposals: [],
                 deletedProposals: [],
+                proposalEvents: [],
                 lastProposalCheckedBlock: latestBlock,
             };
         }
@@ -630,6 +683,7 @@ async function pollProposalChanges({
             newProposals: [],
             executedProposals: [],
             deletedProposals: [],
+            proposalEvents: [],
             lastProposalCheckedBlock,
         };
     } else {
@@ -675,6 +729,7 @@ async function pollProposalChanges({
             newProposals: [],
             executedProposals: [],
             deletedProposals: [],
+            proposalEvents: [],
             lastProposalCheckedBlock,
         };
     }
@@ -701,6 +756,7 @@ async function pollProposalChanges({
     const newProposalsByHash = new Map();
     const executedProposals = [];
     const deletedProposals = [];
+    const proposalEvents = [];
 
     for (const event of lifecycleEvents) {
         const log = event.log;
@@ -750,12 +806,26 @@ async function pollProposalChanges({
 
             proposalsByHash.set(proposalHash, proposalRecord);
             newProposalsByHash.set(proposalHash, proposalRecord);
+            proposalEvents.push({
+                kind: 'proposed',
+                proposalHash,
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+            });
             continue;
         }
 
         const proposalHash = log.args?.proposalHash;
         if (!proposalHash) continue;
 
+        // Keep the retired record so a reorg that drops this event can restore it.
+        proposalEvents.push({
+            kind: event.kind,
+            proposalHash,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            proposal: proposalsByHash.get(proposalHash),
+        });
         proposalsByHash.delete(proposalHash);
         newProposalsByHash.delete(proposalHash);
 
@@ -770,7 +840,7 @@ async function pollProposalChanges({
     const newProposals = [...newProposalsByHash.values()];
 
     if (isStartupBackfill) {
-        console.log(
+        logger.log(
             `[agent] Proposal history backfill complete through block ${scanResult.scannedToBlock.toString()}.`
         );
     }
@@ -779,6 +849,7 @@ async function pollProposalChanges({
         newProposals,
         executedProposals,
         deletedProposals,
+        proposalEvents,
         lastProposalCheckedBlock: scanResult.scannedToBlock,
     };
 }
@@ -791,6 +862,7 @@ async function executeReadyProposals({
     proposalsByHash,
     executeRetryMs,
     executePendingTxTimeoutMs,
+    nonceManager = null,
 }) {
     if (proposalsByHash.size === 0) return;
 
@@ -808,13 +880,27 @@ async function executeReadyProposals({
         if (proposal.challengeWindowEnds === undefined) continue;
         if (now < proposal.challengeWindowEnds) continue;
 
+        // The nonce manager bumps stuck executions at the same nonce, so its journal knows which
+        // hash, if any, was mined.
+        const tracked = proposal.executionTxHash
+            ? nonceManager?.findTransaction(proposal.executionTxHash) ?? null
+            : null;
+        if (tracked?.status === 'pending') continue;
+        if (tracked?.status === 'cancelled' || tracked?.status === 'replaced') {
+            logger.warn(
+                `[agent] Proposal execution tx ${proposal.executionTxHash} for ${proposal.proposalHash} was ${tracked.status}; allowing retry.`
+            );
+            proposal.executionTxHash = null;
+            proposal.executionSubmittedMs = null;
+        }
+
         if (proposal.executionTxHash) {
             try {
                 const receipt = await publicClient.getTransactionReceipt({
-                    hash: proposal.executionTxHash,
+                    hash: tracked?.minedHash ?? proposal.executionTxHash,
                 });
                 if (isReceiptReverted(receipt)) {
-                    console.warn(
+                    logger.warn(
                         `[agent] Proposal execution tx reverted for ${proposal.proposalHash}; retrying after backoff.`
                     );
                     proposal.executionTxHash = null;
@@ -824,7 +910,7 @@ async function executeReadyProposals({
                 }
             } catch (error) {
                 if (!isReceiptUnavailableError(error)) {
-                    console.warn(
+                    logger.warn(
                         `[agent] Failed to read proposal execution receipt for ${proposal.proposalHash}: ${error?.shortMessage ?? error?.message ?? error}`
                     );
                     continue;
@@ -842,7 +928,7 @@ async function executeReadyProposals({
                     continue;
                 }
 
-                console.warn(
+                logger.warn(
                     `[agent] Proposal execution tx ${proposal.executionTxHash} for ${proposal.proposalHash} has no receipt after ${pendingTxTimeoutMs}ms; allowing retry.`
                 );
                 proposal.executionTxHash = null;
@@ -865,7 +951,7 @@ async function executeReadyProposals({
                 args: [proposal.proposalHash],
             });
         } catch (error) {
-            console.warn('[agent] Failed to read assertionId:', error);
+            logger.warn('[agent] Failed to read assertionId:', error);
             continue;
         }
 
@@ -884,7 +970,7 @@ async function executeReadyProposals({
             });
         } catch (error) {
             const reason = error?.shortMessage ?? error?.message ?? String(error);
-            console.warn(
+            logger.warn(
                 `[agent] Proposal execution simulation failed for ${proposal.proposalHash}: ${reason}`
             );
             continue;
@@ -899,15 +985,17 @@ async function executeReadyProposals({
             });
             proposal.executionTxHash = txHash;
             proposal.executionSubmittedMs = nowMs;
-            console.log('[agent] Proposal execution submitted:', txHash);
+            logger.log('[agent] Proposal execution submitted:', txHash);
         } catch (error) {
-            console.warn('[agent] Proposal execution failed:', error?.shortMessage ?? error?.message ?? error);
+            logger.warn('[agent] Proposal execution failed:', error?.shortMessage ?? error?.message ?? error);
         }
     }
 }
 
 export {
+    buildChainSubscriptionLogFilters,
     primeBalances,
+    resolveConfirmedHead,
     getAlwaysEmitBalanceSnapshotPollingOptions,
     pollCommitmentChanges,
     pollProposalChanges,
@@ -10,6 +10,7 @@ import {
     zeroAddress,
 } from 'viem';
 import { normalizeAddressOrNull, normalizeHashOrNull } from './utils.js';
+import { logger } from './logger.js';
 
 const DEFAULT_RELAYER_HOST = 'https://relayer-v2.polymarket.com';
 const DEFAULT_RELAYER_REQUEST_TIMEOUT_MS = 15_000;
@@ -1075,7 +1076,7 @@ async function ensureSafeDeployed({
     }
 
     if (deployed === null) {
-        console.warn(
+        logger.warn(
             `[agent] Unable to verify SAFE deployment for ${safeAddress} via relayer /deployed endpoint; proceeding without deployment check.`
         );
         return;
@@ -0,0 +1,285 @@
+import { getAddress, isAddress } from 'viem';
+import { findBlockAtOrBeforeTimestamp } from './chain-history.js';
+import { getChainlinkLatestPrice } from './chainlink.js';
+import { loadPoolMeta, quotePerBaseFromRawPrice, readPoolTwap } from './uniswapV3Price.js';
+
+const USD_MICROS = 1_000_000n;
+const DEFAULT_CHAINLINK_HEARTBEAT_SECONDS = 3600;
+const DEFAULT_TWAP_WINDOW_SECONDS = 1800;
+
+// Token assets are keyed by checksummed address; anything else (for example `native`) is kept
+// verbatim so native-asset feeds can share the same maps.
+function normalizeAssetKey(asset) {
+    const candidate = typeof asset === 'string' ? asset.trim() : '';
+    if (!candidate) {
+        throw new Error('Price oracle asset must be a non-empty string.');
+    }
+    return isAddress(candidate) ? getAddress(candidate) : candidate;
+}
+
+function normalizeAssetMap(entries) {
+    const out = new Map();
+    for (const [asset, value] of Object.entries(entries ?? {})) {
+        out.set(normalizeAssetKey(asset), value);
+    }
+    return out;
+}
+
+function scaleToUsdMicros(answer, decimals) {
+    const scale = 10n ** BigInt(decimals);
+    return (BigInt(answer) * USD_MICROS) / scale;
+}
+
+function medianBigInt(values) {
+    const sorted = [...values].sort((left, right) => (left < right ? -1 : left > right ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    if (sorted.length % 2 === 1) {
+        return sorted[middle];
+    }
+    return (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+function deviationBps(value, reference) {
+    const diff = value > reference ? value - reference : reference - value;
+    return Number((diff * 10_000n) / reference);
+}
+
+/**
+ * Chainlink USD feeds read as of the requested block. A round older than the feed's heartbeat
+ * relative to the block timestamp is treated as stale rather than as a price.
+ */
+function createChainlinkPriceSource({ publicClient, feeds }) {
+    const feedsByAsset = normalizeAssetMap(feeds);
+    return {
+        id: 'chainlink',
+        hasAsset(asset) {
+            return feedsByAsset.has(normalizeAssetKey(asset));
+        },
+        async getPrice({ asset, blockNumber, timestampSec }) {
+            const feedConfig = feedsByAsset.get(normalizeAssetKey(asset));
+            const heartbeatSeconds =
+                feedConfig.heartbeatSeconds ?? DEFAULT_CHAINLINK_HEARTBEAT_SECONDS;
+            const latest = await getChainlinkLatestPrice({
+                publicClient,
+                feedAddress: getAddress(feedConfig.feed),
+                maxAgeSeconds: heartbeatSeconds,
+                nowMs: timestampSec * 1000,
+                blockNumber,
+            });
+            return {
+                priceUsdMicros: scaleToUsdMicros(latest.answer, latest.decimals),
+                updatedAtSec: latest.updatedAt,
+            };
+        },
+    };
+}
+
+/**
+ * Uniswap V3 TWAP ending at the requested block, priced in the pool's other token and converted
+ * to USD with that token's fixed `quoteUsdMicros` (1 USD by default, i.e. a stablecoin quote).
+ */
+function createUniswapV3TwapPriceSource({ publicClient, pools }) {
+    const poolsByAsset = normalizeAssetMap(pools);
+    const tokenMetaCache = new Map();
+    const poolMetaCache = new Map();
+    return {
+        id: 'uniswap_v3_twap',
+        hasAsset(asset) {
+            return poolsByAsset.has(normalizeAssetKey(asset));
+        },
+        async getPrice({ asset, blockNumber, timestampSec }) {
+            const baseToken = normalizeAssetKey(asset);
+            const poolConfig = poolsByAsset.get(baseToken);
+            const pool = getAddress(poolConfig.pool);
+            const quoteToken = getAddress(poolConfig.quoteToken);
+            const windowSeconds = Number(poolConfig.windowSeconds ?? DEFAULT_TWAP_WINDOW_SECONDS);
+            const poolMeta = await loadPoolMeta({
+                publicClient,
+                pool,
+                tokenMetaCache,
+                poolMetaCache,
+            });
+            const baseIsToken0 = poolMeta.token0 === baseToken && poolMeta.token1 === quoteToken;
+            const baseIsToken1 = poolMeta.token1 === baseToken && poolMeta.token0 === quoteToken;
+            if (!baseIsToken0 && !baseIsToken1) {
+                throw new Error(`Pool ${pool} does not pair ${baseToken} with ${quoteToken}.`);
+            }
+
+            const twap = await readPoolTwap({ publicClient, pool, windowSeconds, blockNumber });
+            if (
+                poolConfig.minLiquidity !== undefined &&
+                poolConfig.minLiquidity !== null &&
+                twap.harmonicMeanLiquidity < BigInt(poolConfig.minLiquidity)
+            ) {
+                throw new Error(
+                    `Pool ${pool} harmonic-mean liquidity ${twap.harmonicMeanLiquidity} is below minLiquidity ${poolConfig.minLiquidity}.`
+                );
+            }
+            const quotePerBase = quotePerBaseFromRawPrice({
+                rawToken1PerToken0: 1.0001 ** twap.meanTick,
+                token0Decimals: tokenMetaCache.get(poolMeta.token0).decimals,
+                token1Decimals: tokenMetaCache.get(poolMeta.token1).decimals,
+                baseIsToken0,
+            });
+            const quoteUsdMicros = BigInt(poolConfig.quoteUsdMicros ?? USD_MICROS);
+            return {
+                priceUsdMicros:
+                    (BigInt(Math.round(quotePerBase * 1e6)) * quoteUsdMicros) / USD_MICROS,
+                updatedAtSec: timestampSec,
+            };
+        },
+    };
+}
+
+/**
+ * Fixed USD prices, for pegged assets and for tests and fixtures.
+ */
+function createStaticPriceSource({ prices, id = 'static' }) {
+    const pricesByAsset = normalizeAssetMap(prices);
+    return {
+        id,
+        hasAsset(asset) {
+            return pricesByAsset.has(normalizeAssetKey(asset));
+        },
+        async getPrice({ asset, timestampSec }) {
+            return {
+                priceUsdMicros: BigInt(pricesByAsset.get(normalizeAssetKey(asset))),
+                updatedAtSec: timestampSec,
+            };
+        },
+    };
+}
+
+async function resolvePricePoint({ publicClient, blockNumber, timestampSec }) {
+    let resolvedBlock;
+    if (blockNumber !== undefined && blockNumber !== null) {
+        resolvedBlock = BigInt(blockNumber);
+    } else if (timestampSec !== undefined && timestampSec !== null) {
+        resolvedBlock = await findBlockAtOrBeforeTimestamp({
+            publicClient,
+            timestampSec,
+            toBlock: await publicClient.getBlockNumber(),
+        });
+        if (resolvedBlock === null) {
+            throw new Error(`No block exists at or before timestamp ${timestampSec}.`);
+        }
+    } else {
+        resolvedBlock = await publicClient.getBlockNumber();
+    }
+    const block = await publicClient.getBlock({ blockNumber: resolvedBlock });
+    return { blockNumber: resolvedBlock, timestampSec: Number(block.timestamp) };
+}
+
+/**
+ * Prices an asset in USD micros at a block (or the last block at or before a timestamp, or the
+ * latest block) by asking every source that knows the asset and taking the median. Sources that
+ * fail or are stale are reported under `skipped`; fewer than `minSources` answers, or any answer
+ * further than `maxDeviationBps` from the median, is an error.
+ */
+function createPriceOracle({ publicClient, sources, minSources = 1, maxDeviationBps = null }) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new Error('createPriceOracle requires at least one price source.');
+    }
+
+    async function getPrice({ asset, blockNumber = undefined, timestampSec = undefined }) {
+        const normalizedAsset = normalizeAssetKey(asset);
+        const point = await resolvePricePoint({ publicClient, blockNumber, timestampSec });
+        const answers = [];
+        const skipped = [];
+        for (const source of sources) {
+            if (!source.hasAsset(normalizedAsset)) {
+                continue;
+            }
+            try {
+                const answer = await source.getPrice({ asset: normalizedAsset, ...point });
+                if (answer.priceUsdMicros <= 0n) {
+                    throw new Error('Price must be positive.');
+                }
+                answers.push({
+                    source: source.id,
+                    priceUsdMicros: answer.priceUsdMicros,
+                    updatedAtSec: answer.updatedAtSec,
+                });
+            } catch (error) {
+                skipped.push({ source: source.id, reason: error?.message ?? String(error) });
+            }
+        }
+
+        if (answers.length < minSources) {
+            const reasons = skipped.map((entry) => `${entry.source}: ${entry.reason}`).join('; ');
+            throw new Error(
+                `Price oracle has ${answers.length} of ${minSources} required sources for ${normalizedAsset} at block ${point.blockNumber}${reasons ? ` (${reasons})` : ''}.`
+            );
+        }
+
+        const priceUsdMicros = medianBigInt(answers.map((answer) => answer.priceUsdMicros));
+        if (maxDeviationBps !== null && maxDeviationBps !== undefined) {
+            for (const answer of answers) {
+                const deviation = deviationBps(answer.priceUsdMicros, priceUsdMicros);
+                if (deviation > maxDeviationBps) {
+                    throw new Error(
+                        `Price source ${answer.source} deviates ${deviation} bps from the median for ${normalizedAsset}, max ${maxDeviationBps} bps.`
+                    );
+                }
+            }
+        }
+
+        return {
+            asset: normalizedAsset,
+            priceUsdMicros,
+            blockNumber: point.blockNumber,
+            timestampSec: point.timestampSec,
+            sources: answers,
+            skipped,
+        };
+    }
+
+    return { getPrice };
+}
+
+/**
+ * Builds the oracle described by `config.priceOracle`, or returns null when none is configured.
+ */
+function createPriceOracleFromConfig({ publicClient, config }) {
+    const oracleConfig = config?.priceOracle;
+    if (!oracleConfig) {
+        return null;
+    }
+    const sources = [];
+    if (oracleConfig.chainlinkFeeds && Object.keys(oracleConfig.chainlinkFeeds).length > 0) {
+        sources.push(
+            createChainlinkPriceSource({ publicClient, feeds: oracleConfig.chainlinkFeeds })
+        );
+    }
+    if (
+        oracleConfig.uniswapV3TwapPools &&
+        Object.keys(oracleConfig.uniswapV3TwapPools).length > 0
+    ) {
+        sources.push(
+            createUniswapV3TwapPriceSource({ publicClient, pools: oracleConfig.uniswapV3TwapPools })
+        );
+    }
+    if (
+        oracleConfig.staticPricesUsdMicros &&
+        Object.keys(oracleConfig.staticPricesUsdMicros).length > 0
+    ) {
+        sources.push(createStaticPriceSource({ prices: oracleConfig.staticPricesUsdMicros }));
+    }
+    if (sources.length === 0) {
+        return null;
+    }
+    return createPriceOracle({
+        publicClient,
+        sources,
+        minSources: oracleConfig.minSources ?? 1,
+        maxDeviationBps: oracleConfig.maxDeviationBps ?? null,
+    });
+}
+
+export {
+    createChainlinkPriceSource,
+    createPriceOracle,
+    createPriceOracleFromConfig,
+    createStaticPriceSource,
+    createUniswapV3TwapPriceSource,
+};
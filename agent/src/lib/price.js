@@ -1,24 +1,43 @@
-import { parseAbi } from 'viem';
+import { logger } from './logger.js';
+import {
+    createChainlinkPriceSource,
+    createPriceOracle,
+    createPriceOracleFromConfig,
+} from './price-oracle.js';
 
-const chainlinkAbi = parseAbi([
-    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
-]);
+const DEFAULT_ETH_USD_FEED = '0x694AA1769357215DE4FAC081bf1f309aDC325306';
+const DEFAULT_WETH = '0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9';
 
-async function getEthPriceUSD(publicClient, priceFeedAddress = '0x694AA1769357215DE4FAC081bf1f309aDC325306') {
-    try {
-        const result = await publicClient.readContract({
-            address: priceFeedAddress,
-            abi: chainlinkAbi,
-            functionName: 'latestRoundData',
+/**
+ * ETH/USD read through the price oracle, priced as the `weth` asset. Uses the module's
+ * `priceOracle` config when set, and otherwise the Chainlink ETH/USD feed on its own.
+ */
+async function getEthPriceUSD({
+    publicClient,
+    config,
+    weth = DEFAULT_WETH,
+    chainlinkFeed = DEFAULT_ETH_USD_FEED,
+}) {
+    const oracle =
+        createPriceOracleFromConfig({ publicClient, config }) ??
+        createPriceOracle({
+            publicClient,
+            sources: [
+                createChainlinkPriceSource({
+                    publicClient,
+                    feeds: { [weth]: { feed: chainlinkFeed } },
+                }),
+            ],
         });
-
-        const answer = result[1];
-        const price = Number(answer) / 1e8;
-        console.log(`[price] ETH/USD from Chainlink: $${price.toFixed(2)}`);
+    try {
+        const result = await oracle.getPrice({ asset: weth });
+        const price = Number(result.priceUsdMicros) / 1e6;
+        const sources = result.sources.map((answer) => answer.source).join(', ');
+        logger.log(`[price] ETH/USD from price oracle (${sources}): $${price.toFixed(2)}`);
         return price;
     } catch (error) {
-        console.error('[price] Failed to fetch ETH price from Chainlink:', error);
-        throw new Error('Unable to fetch ETH price from Chainlink oracle');
+        logger.error('[price] Failed to fetch ETH price from the price oracle:', error);
+        throw new Error('Unable to fetch ETH price from the price oracle');
     }
 }
 
@@ -32,10 +51,10 @@ async function getEthPriceUSDFallback() {
         }
         const data = await response.json();
         const price = data.ethereum.usd;
-        console.log(`[price] ETH/USD from Coingecko: $${price.toFixed(2)}`);
+        logger.log(`[price] ETH/USD from Coingecko: $${price.toFixed(2)}`);
         return price;
     } catch (error) {
-        console.error('[price] Failed to fetch ETH price from Coingecko:', error);
+        logger.error('[price] Failed to fetch ETH price from Coingecko:', error);
         throw error;
     }
 }
@@ -1,6 +1,9 @@
+import { getAddress } from 'viem';
 import { isPlainObject, stringifyCanonicalJson } from './canonical-json.js';
 import { normalizeHashOrNull } from './utils.js';
 
+const GOVERNANCE_ACTIONS = Object.freeze(['pause', 'unpause', 'rule_update']);
+
 function normalizeExplanationKind(value, label = 'kind') {
     if (typeof value !== 'string' || !value.trim()) {
         throw new Error(`${label} must be a non-empty string.`);
@@ -39,6 +42,62 @@ function normalizeExplanationDepositTxHashes(value, { required = false } = {}) {
     return normalized;
 }
 
+function normalizeExplanationFeePeriods(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new Error('feePeriods must be a non-empty array.');
+    }
+    const normalized = value.map((item, index) => {
+        const period = Number(item);
+        if (!Number.isInteger(period) || period < 0) {
+            throw new Error(`feePeriods[${index}] must be a non-negative integer.`);
+        }
+        return period;
+    });
+    if (new Set(normalized).size !== normalized.length) {
+        throw new Error('feePeriods must not contain duplicates.');
+    }
+    return normalized.sort((left, right) => left - right);
+}
+
+function normalizeExplanationIssuedAtMs(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const issuedAtMs = Number(value);
+    if (!Number.isSafeInteger(issuedAtMs) || issuedAtMs < 1) {
+        throw new Error('issuedAtMs must be a positive integer.');
+    }
+    return issuedAtMs;
+}
+
+function normalizeExplanationSignatures(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new Error('signatures must be a non-empty array.');
+    }
+    const normalized = value.map((item, index) => {
+        if (!isPlainObject(item)) {
+            throw new Error(`signatures[${index}] must be an object.`);
+        }
+        if (typeof item.signature !== 'string' || !/^0x(?:[0-9a-fA-F]{2})+$/.test(item.signature)) {
+            throw new Error(`signatures[${index}].signature must be a 0x-prefixed hex string.`);
+        }
+        return {
+            signer: getAddress(item.signer).toLowerCase(),
+            signature: item.signature.toLowerCase(),
+        };
+    });
+    if (new Set(normalized.map((item) => item.signer)).size !== normalized.length) {
+        throw new Error('signatures must not contain duplicate signers.');
+    }
+    return normalized;
+}
+
 function normalizeStructuredProposalExplanation(value, { requireDepositTxHashes = false } = {}) {
     if (!isPlainObject(value)) {
         throw new Error('Structured proposal explanation must be a JSON object.');
@@ -48,7 +107,10 @@ function normalizeStructuredProposalExplanation(value, { requireDepositTxHashes
         depositTxHashes: normalizeExplanationDepositTxHashes(value.depositTxHashes, {
             required: requireDepositTxHashes,
         }),
+        feePeriods: normalizeExplanationFeePeriods(value.feePeriods),
+        issuedAtMs: normalizeExplanationIssuedAtMs(value.issuedAtMs),
         kind: normalizeExplanationKind(value.kind),
+        signatures: normalizeExplanationSignatures(value.signatures),
     };
 }
 
@@ -56,17 +118,32 @@ function buildStructuredProposalExplanation({
     kind,
     description,
     depositTxHashes = undefined,
+    feePeriods = undefined,
+    issuedAtMs = undefined,
+    signatures = undefined,
 }) {
     const normalized = normalizeStructuredProposalExplanation(
         {
             kind,
             description,
             depositTxHashes,
+            feePeriods,
+            issuedAtMs,
+            signatures,
         },
         {
             requireDepositTxHashes: depositTxHashes !== undefined,
         }
     );
+    // Parsing rejects empty lists, so explanations omit the optional fields they do not use.
+    for (const field of ['depositTxHashes', 'feePeriods', 'signatures']) {
+        if (normalized[field].length === 0) {
+            delete normalized[field];
+        }
+    }
+    if (normalized.issuedAtMs === null) {
+        delete normalized.issuedAtMs;
+    }
     return stringifyCanonicalJson(normalized);
 }
 
@@ -81,7 +158,31 @@ function parseStructuredProposalExplanation(explanation, options = {}) {
     }
 }
 
+// The text guardians and recovery signers sign with personal_sign. It starts with the bare
+// action word from the templates and binds it to one OG module and issue time so a published
+// signature cannot be replayed elsewhere or after a later governance action.
+function buildGovernanceActionMessage({ action, chainId, ogModule, issuedAtMs, rulesHash = null }) {
+    if (!GOVERNANCE_ACTIONS.includes(action)) {
+        throw new Error(`action must be one of: ${GOVERNANCE_ACTIONS.join(', ')}.`);
+    }
+    const lines = [
+        action,
+        `chainId: ${Number(chainId)}`,
+        `ogModule: ${getAddress(ogModule).toLowerCase()}`,
+        `issuedAtMs: ${normalizeExplanationIssuedAtMs(issuedAtMs)}`,
+    ];
+    if (action === 'rule_update') {
+        const normalizedRulesHash = normalizeHashOrNull(rulesHash);
+        if (!normalizedRulesHash) {
+            throw new Error('rulesHash must be a 32-byte hex string for rule updates.');
+        }
+        lines.push(`rulesHash: ${normalizedRulesHash}`);
+    }
+    return lines.join('\n');
+}
+
 export {
+    buildGovernanceActionMessage,
     buildStructuredProposalExplanation,
     normalizeStructuredProposalExplanation,
     parseStructuredProposalExplanation,
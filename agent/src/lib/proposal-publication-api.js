@@ -1,7 +1,13 @@
 import http from 'node:http';
 import { getAddress } from 'viem';
 import { isPlainObject } from './canonical-json.js';
-import { readJsonBody, sendJson } from './http-api.js';
+import {
+    decodeListCursor,
+    encodeListCursor,
+    handleCorsRequest,
+    readJsonBody,
+    sendJson,
+} from './http-api.js';
 import { pinIpfsCid, publishIpfsContent } from './ipfs.js';
 import {
     buildBearerKeyEntries,
@@ -13,8 +19,10 @@ import {
     buildProposalPublicationFilename,
     buildSignedProposalEnvelope,
     buildSignedProposalPayload,
+    buildSignedProposalTypedData,
 } from './signed-proposal.js';
 import { buildPublicationKey } from './proposal-publication-store.js';
+import { createPriceOracleFromConfig } from './price-oracle.js';
 import {
     PROPOSAL_KIND_IDS,
     normalizeProposalKind,
@@ -22,6 +30,21 @@ import {
 } from './proposal-verification.js';
 import { hasCommittedToolSideEffects } from './tool-execution-error.js';
 import { postBondAndPropose, resolveProposalHashFromReceipt } from './tx.js';
+import {
+    annotateLogContext,
+    logger as defaultLogger,
+    runWithRequestLogContext,
+} from './logger.js';
+
+const PROPOSAL_LIST_DEFAULT_LIMIT = 50;
+const PROPOSAL_LIST_MAX_LIMIT = 500;
+const PROPOSAL_SUBMISSION_STATUSES = Object.freeze([
+    'not_started',
+    'submitted',
+    'resolved',
+    'failed',
+    'uncertain',
+]);
 
 class ApiResponseError extends Error {
     constructor(message, { statusCode, code, body } = {}) {
@@ -84,6 +107,19 @@ function canRefreshPendingRecord({ existingRecord, envelope }) {
     }
 }
 
+// Commitment Pause proposals are the only ones that carry no transactions.
+function allowsEmptyTransactions(metadata) {
+    try {
+        const { proposalKindId } = normalizeProposalKind(metadata?.verification?.proposalKind);
+        return (
+            proposalKindId === PROPOSAL_KIND_IDS.COMMITMENT_PAUSE ||
+            proposalKindId === PROPOSAL_KIND_IDS.COMMITMENT_UNPAUSE
+        );
+    } catch {
+        return false;
+    }
+}
+
 function validateProposalRequestBody(body) {
     if (!isPlainObject(body)) {
         return { ok: false, message: 'Request body must be a JSON object.' };
@@ -118,8 +154,15 @@ function validateProposalRequestBody(body) {
     if (typeof body.ogModule !== 'string' || !body.ogModule.trim()) {
         return { ok: false, message: 'ogModule is required and must be a string.' };
     }
-    if (!Array.isArray(body.transactions) || body.transactions.length === 0) {
-        return { ok: false, message: 'transactions is required and must be a non-empty array.' };
+    if (!Array.isArray(body.transactions)) {
+        return { ok: false, message: 'transactions is required and must be an array.' };
+    }
+    if (body.transactions.length === 0 && !allowsEmptyTransactions(body.metadata)) {
+        return {
+            ok: false,
+            message:
+                'transactions must be a non-empty array unless metadata.verification.proposalKind is commitment_pause or commitment_unpause.',
+        };
     }
     if (typeof body.explanation !== 'string' || !body.explanation.trim()) {
         return { ok: false, message: 'explanation is required and must be a non-empty string.' };
@@ -259,6 +302,148 @@ function canDegradeVerificationErrorToAdvisoryUnknown(error) {
     return error?.code !== 'verification_history_unavailable';
 }
 
+function buildProposalRecordResponse(record) {
+    let envelope = null;
+    try {
+        envelope = parseEnvelopeFromCanonicalMessage(record.canonicalMessage);
+    } catch (error) {
+        envelope = null;
+    }
+    return {
+        requestId: record.requestId,
+        signer: record.signer,
+        chainId: record.chainId,
+        commitmentSafe: envelope?.commitmentSafe ?? null,
+        ogModule: envelope?.ogModule ?? null,
+        cid: record.cid,
+        uri: record.uri,
+        pinned: Boolean(record.pinned),
+        receivedAtMs: record.receivedAtMs,
+        publishedAtMs: record.publishedAtMs,
+        updatedAtMs: record.updatedAtMs,
+        verification: buildVerificationResponse(record.verification),
+        submission: buildSubmissionResponse(record.submission),
+        lastError: record.lastError ?? null,
+    };
+}
+
+function parseOptionalQueryInteger(searchParams, name, { min }) {
+    const raw = searchParams.get(name);
+    if (raw === null) {
+        return { ok: true, value: undefined };
+    }
+    const parsed = Number(raw);
+    if (!raw.trim() || !Number.isInteger(parsed) || parsed < min) {
+        return { ok: false, message: `${name} must be an integer >= ${min}.` };
+    }
+    return { ok: true, value: parsed };
+}
+
+function parseProposalRecordQuery(searchParams) {
+    const filters = {};
+
+    const signerRaw = searchParams.get('signer');
+    if (signerRaw !== null) {
+        try {
+            filters.signer = getAddress(signerRaw.trim()).toLowerCase();
+        } catch (error) {
+            return { ok: false, message: 'signer must be a valid EVM address.' };
+        }
+    }
+
+    const chainId = parseOptionalQueryInteger(searchParams, 'chainId', { min: 1 });
+    if (!chainId.ok) {
+        return chainId;
+    }
+    filters.chainId = chainId.value;
+
+    return { ok: true, filters };
+}
+
+function parseProposalListQuery(searchParams) {
+    const parsed = parseProposalRecordQuery(searchParams);
+    if (!parsed.ok) {
+        return parsed;
+    }
+    const filters = parsed.filters;
+
+    const submissionStatusRaw = searchParams.get('submissionStatus');
+    if (submissionStatusRaw !== null) {
+        const statuses = submissionStatusRaw
+            .split(',')
+            .map((value) => value.trim().toLowerCase())
+            .filter(Boolean);
+        if (
+            statuses.length === 0 ||
+            statuses.some((status) => !PROPOSAL_SUBMISSION_STATUSES.includes(status))
+        ) {
+            return {
+                ok: false,
+                message: `submissionStatus must be a comma-separated list of: ${PROPOSAL_SUBMISSION_STATUSES.join(', ')}.`,
+            };
+        }
+        filters.submissionStatuses = new Set(statuses);
+    }
+
+    for (const name of ['fromMs', 'toMs']) {
+        const value = parseOptionalQueryInteger(searchParams, name, { min: 0 });
+        if (!value.ok) {
+            return value;
+        }
+        filters[name] = value.value;
+    }
+
+    const limit = parseOptionalQueryInteger(searchParams, 'limit', { min: 1 });
+    if (!limit.ok) {
+        return limit;
+    }
+    filters.limit = Math.min(limit.value ?? PROPOSAL_LIST_DEFAULT_LIMIT, PROPOSAL_LIST_MAX_LIMIT);
+
+    const cursorRaw = searchParams.get('cursor');
+    if (cursorRaw !== null) {
+        const cursor = decodeListCursor(cursorRaw);
+        if (
+            !cursor ||
+            !Number.isInteger(cursor.receivedAtMs) ||
+            typeof cursor.key !== 'string'
+        ) {
+            return { ok: false, message: 'cursor is invalid.' };
+        }
+        filters.cursor = cursor;
+    }
+
+    return { ok: true, filters };
+}
+
+function compareProposalListPositions(left, right) {
+    if (left.receivedAtMs !== right.receivedAtMs) {
+        return left.receivedAtMs - right.receivedAtMs;
+    }
+    return left.key.localeCompare(right.key);
+}
+
+function matchesProposalRecordFilters(record, filters) {
+    if (filters.signer !== undefined && record.signer !== filters.signer) {
+        return false;
+    }
+    if (filters.chainId !== undefined && record.chainId !== filters.chainId) {
+        return false;
+    }
+    if (
+        filters.submissionStatuses !== undefined &&
+        !filters.submissionStatuses.has(record.submission?.status ?? 'not_started')
+    ) {
+        return false;
+    }
+    if (filters.fromMs !== undefined && record.receivedAtMs < filters.fromMs) {
+        return false;
+    }
+    if (filters.toMs !== undefined && record.receivedAtMs >= filters.toMs) {
+        return false;
+    }
+    return true;
+}
+
 function canBypassProposalRuntimeForDuplicate(record, exactExistingMatch) {
     if (!exactExistingMatch || !record) {
         return false;
@@ -295,12 +480,12 @@ function normalizePotentialDepositTxHash(value) {
         : null;
 }
 
-function buildDepositSubmissionLockKeys(envelope) {
+// Verified submissions are serialized per referenced deposit and per commitment, so concurrent
+// requests cannot both reserve one deposit, both claim one fee period, both fit under a
+// rolling-window limit, or both submit one signed governance action.
+function buildSubmissionLockKeys(envelope) {
     const verificationMetadata = envelope?.metadata?.verification;
-    if (
-        !isPlainObject(verificationMetadata) ||
-        !Array.isArray(verificationMetadata.depositTxHashes)
-    ) {
+    if (!isPlainObject(verificationMetadata)) {
         return [];
     }
     let normalizedProposalKind;
@@ -309,9 +494,6 @@ function buildDepositSubmissionLockKeys(envelope) {
     } catch {
         return [];
     }
-    if (normalizedProposalKind.proposalKindId !== PROPOSAL_KIND_IDS.AGENT_PROXY_REIMBURSEMENT) {
-        return [];
-    }
 
     let commitmentSafe;
     let ogModule;
@@ -322,16 +504,22 @@ function buildDepositSubmissionLockKeys(envelope) {
         return [];
     }
 
+    const commitmentKey = `${Number(envelope.chainId)}:${commitmentSafe}:${ogModule}`;
+    if (normalizedProposalKind.proposalKindId !== PROPOSAL_KIND_IDS.AGENT_PROXY_REIMBURSEMENT) {
+        return [`${commitmentKey}:${normalizedProposalKind.proposalKind}`];
+    }
+    if (!Array.isArray(verificationMetadata.depositTxHashes)) {
+        return [];
+    }
+
     return Array.from(
-        new Set(
-            verificationMetadata.depositTxHashes
+        new Set([
+            `${commitmentKey}:${normalizedProposalKind.proposalKind}`,
+            ...verificationMetadata.depositTxHashes
                 .map((depositTxHash) => normalizePotentialDepositTxHash(depositTxHash))
                 .filter(Boolean)
-                .map(
-                    (depositTxHash) =>
-                        `${Number(envelope.chainId)}:${commitmentSafe}:${ogModule}:${depositTxHash}`
-                )
-        )
+                .map((depositTxHash) => `${commitmentKey}:${depositTxHash}`),
+        ])
     ).sort();
 }
 
@@ -357,7 +545,7 @@ function hasDurablePendingPublicationArtifact(record) {
 function createProposalPublicationApiServer({
     config,
     store,
-    logger = console,
+    logger = defaultLogger,
     resolveProposalRuntime = undefined,
     resolveVerificationRuntime = undefined,
     submitProposal = postBondAndPropose,
@@ -407,7 +595,7 @@ function createProposalPublicationApiServer({
     let server;
     const publishOperationTails = new Map();
     const submissionOperationTails = new Map();
-    const depositSubmissionOperationTails = new Map();
+    const verifiedSubmissionOperationTails = new Map();
     const volatilePublicationStates = new Map();
 
     function emitLog(level, message) {
@@ -484,6 +672,7 @@ function createProposalPublicationApiServer({
                 const envelope = parseEnvelopeFromCanonicalMessage(nextRecord.canonicalMessage);
                 const publishedAtMs = Date.now();
                 const artifact = buildProposalPublicationArtifact({
+                    authType: nextRecord.authType,
                     signer: nextRecord.signer,
                     signature: nextRecord.signature,
                     signedAtMs: envelope.timestampMs,
@@ -650,11 +839,21 @@ function createProposalPublicationApiServer({
             requestId: envelope.requestId,
         });
         const storeRecords = await listStoreRecordsForVerification();
+        const verificationConfig = verificationRuntime?.runtimeConfig ?? config;
+        const priceOracle = verificationRuntime?.publicClient
+            ? createPriceOracleFromConfig({
+                  publicClient: verificationRuntime.publicClient,
+                  config: verificationConfig,
+              })
+            : null;
         const verification = await verifyProposal({
             envelope,
             publicClient: verificationRuntime?.publicClient,
             storeRecords,
             currentPublicationKey: publicationKey,
+            priceOracle,
+            priceSnapshotToleranceBps: verificationConfig.priceOracle?.snapshotToleranceBps,
+            tokenSymbolAddresses: verificationConfig.tokenSymbolAddresses,
         });
         if (record) {
             return {
@@ -967,12 +1166,164 @@ function createProposalPublicationApiServer({
         }
     }
 
+    async function listOrderedRecords() {
+        return (await store.listRecords())
+            .map((record) => ({
+                record,
+                position: {
+                    receivedAtMs: record.receivedAtMs,
+                    key: buildPublicationKey(record),
+                },
+            }))
+            .sort((left, right) => compareProposalListPositions(left.position, right.position));
+    }
+
+    async function handleReadRequest(req, res, url) {
+        // Read endpoints are not covered by per-request signatures, so they always
+        // require one of the configured bearer tokens.
+        if (keyEntries.length === 0) {
+            sendJson(res, 503, {
+                error: 'Proposal read endpoints require PROPOSAL_PUBLISH_API_KEYS_JSON bearer tokens.',
+                code: 'read_auth_unconfigured',
+            });
+            return;
+        }
+        const bearerKeyId = authenticateBearerRequest({
+            authorizationHeader: req.headers.authorization,
+            keyEntries,
+        });
+        if (!bearerKeyId) {
+            sendJson(
+                res,
+                401,
+                { error: 'Bearer token is required.' },
+                { 'WWW-Authenticate': 'Bearer realm="oya-proposal-publish-api"' }
+            );
+            return;
+        }
+        if (typeof store.listRecords !== 'function') {
+            sendJson(res, 503, {
+                error: 'Proposal read endpoints require a store implementation that supports listRecords().',
+                code: 'store_unavailable',
+            });
+            return;
+        }
+
+        const pathSegments = url.pathname.split('/').slice(3);
+        let orderedRecords;
+        try {
+            orderedRecords = await listOrderedRecords();
+        } catch (error) {
+            emitLog(
+                'warn',
+                `[oya-node] Proposal read API failed (key=${bearerKeyId}): ${error?.message ?? error}`
+            );
+            sendJson(res, 503, {
+                error: `Proposal store could not be read: ${error?.message ?? error}`,
+                code: 'store_unavailable',
+            });
+            return;
+        }
+
+        if (url.pathname === '/v1/proposals') {
+            const query = parseProposalListQuery(url.searchParams);
+            if (!query.ok) {
+                sendJson(res, 400, { error: query.message, code: 'invalid_request' });
+                return;
+            }
+            const { filters } = query;
+            const matches = orderedRecords.filter(
+                ({ record, position }) =>
+                    matchesProposalRecordFilters(record, filters) &&
+                    (!filters.cursor || compareProposalListPositions(position, filters.cursor) > 0)
+            );
+            const page = matches.slice(0, filters.limit);
+            sendJson(res, 200, {
+                proposals: page.map(({ record }) => buildProposalRecordResponse(record)),
+                nextCursor:
+                    matches.length > page.length
+                        ? encodeListCursor(page[page.length - 1].position)
+                        : null,
+            });
+            return;
+        }
+
+        if (pathSegments.length === 2 && pathSegments[0] === 'by-og-proposal-hash') {
+            const ogProposalHash = pathSegments[1].toLowerCase();
+            if (!/^0x[0-9a-f]{64}$/.test(ogProposalHash)) {
+                sendJson(res, 400, {
+                    error: 'ogProposalHash must be a 32-byte hex string.',
+                    code: 'invalid_request',
+                });
+                return;
+            }
+            const match = orderedRecords.find(
+                ({ record }) => record.submission?.ogProposalHash === ogProposalHash
+            );
+            if (!match) {
+                sendJson(res, 404, {
+                    error: 'No proposal found for this OG proposal hash.',
+                    code: 'not_found',
+                });
+                return;
+            }
+            sendJson(res, 200, buildProposalRecordResponse(match.record));
+            return;
+        }
+
+        if (pathSegments.length === 1 && pathSegments[0]) {
+            let requestId;
+            try {
+                requestId = decodeURIComponent(pathSegments[0]).trim();
+            } catch (error) {
+                requestId = '';
+            }
+            const query = parseProposalRecordQuery(url.searchParams);
+            if (!requestId || !query.ok) {
+                sendJson(res, 400, {
+                    error: query.ok ? 'requestId must be a non-empty string.' : query.message,
+                    code: 'invalid_request',
+                });
+                return;
+            }
+            // requestIds are only unique per signer and chain, so callers may narrow
+            // the lookup with ?signer=&chainId= when several signers reuse one.
+            const matches = orderedRecords.filter(
+                ({ record }) =>
+                    record.requestId === requestId &&
+                    matchesProposalRecordFilters(record, query.filters)
+            );
+            if (matches.length === 0) {
+                sendJson(res, 404, {
+                    error: 'No proposal found for this requestId.',
+                    code: 'not_found',
+                });
+                return;
+            }
+            if (matches.length > 1) {
+                sendJson(res, 409, {
+                    error: 'requestId matches multiple proposals; filter by signer and chainId.',
+                    code: 'ambiguous_request_id',
+                    matches: matches.map(({ record }) => ({
+                        signer: record.signer,
+                        chainId: record.chainId,
+                    })),
+                });
+                return;
+            }
+            sendJson(res, 200, buildProposalRecordResponse(matches[0].record));
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found.' });
+    }
+
     async function start() {
         if (server) {
             return server;
         }
 
-        const nextServer = http.createServer(async (req, res) => {
+        async function handleRequest(req, res) {
             let url;
             try {
                 url = new URL(req.url ?? '/', 'http://localhost');
@@ -981,11 +1332,27 @@ function createProposalPublicationApiServer({
                 return;
             }
 
+            if (
+                handleCorsRequest(req, res, {
+                    allowedOrigins: config.proposalPublishApiAllowedOrigins,
+                })
+            ) {
+                return;
+            }
+
             if (req.method === 'GET' && url.pathname === '/healthz') {
                 sendJson(res, 200, { ok: true });
                 return;
             }
 
+            if (
+                req.method === 'GET' &&
+                (url.pathname === '/v1/proposals' || url.pathname.startsWith('/v1/proposals/'))
+            ) {
+                await handleReadRequest(req, res, url);
+                return;
+            }
+
             const isPublishRoute =
                 req.method === 'POST' && url.pathname === '/v1/proposals/publish';
             const isVerifyRoute =
@@ -1017,6 +1384,9 @@ function createProposalPublicationApiServer({
                 return;
             }
 
+            if (typeof body?.requestId === 'string') {
+                annotateLogContext({ requestId: body.requestId.trim() });
+            }
             const validation = validateProposalRequestBody(body);
             if (!validation.ok) {
                 emitLog(
@@ -1065,6 +1435,8 @@ function createProposalPublicationApiServer({
                 expectedChainId,
                 nowMs,
                 allowExpired: true,
+                resolvePublicClient: async ({ chainId }) =>
+                    (await resolveVerificationRuntimeForChain(chainId))?.publicClient ?? null,
                 buildPayload: ({ declaredAddress }) =>
                     buildSignedProposalPayload({
                         address: declaredAddress,
@@ -1078,6 +1450,19 @@ function createProposalPublicationApiServer({
                         metadata: body.metadata,
                         deadline: body.deadline,
                     }),
+                buildTypedData: ({ declaredAddress }) =>
+                    buildSignedProposalTypedData({
+                        address: declaredAddress,
+                        chainId: body.chainId,
+                        timestampMs: body.auth.timestampMs,
+                        requestId: body.requestId,
+                        commitmentSafe: body.commitmentSafe,
+                        ogModule: body.ogModule,
+                        transactions: body.transactions,
+                        explanation: body.explanation,
+                        metadata: body.metadata,
+                        deadline: body.deadline,
+                    }),
             });
             if (!signedAuth?.ok) {
                 emitLog(
@@ -1217,6 +1602,7 @@ function createProposalPublicationApiServer({
                     status: 'existing',
                     record: await store.saveRecord({
                         ...existingRecord,
+                        authType: signedAuth.sender.authType,
                         signature: signedAuth.sender.signature,
                         canonicalMessage: signedAuth.payload,
                         publishedAtMs: null,
@@ -1234,6 +1620,7 @@ function createProposalPublicationApiServer({
                     signer: signedAuth.sender.address,
                     chainId: body.chainId,
                     requestId: body.requestId,
+                    authType: signedAuth.sender.authType,
                     signature: signedAuth.sender.signature,
                     canonicalMessage: signedAuth.payload,
                     artifact: null,
@@ -1439,7 +1826,7 @@ function createProposalPublicationApiServer({
                         chainId: body.chainId,
                         requestId: body.requestId,
                     });
-                    const depositSubmissionLockKeys = buildDepositSubmissionLockKeys(envelope);
+                    const submissionLockKeys = buildSubmissionLockKeys(envelope);
                     ({ record, submissionAttempted } = await enqueuePublicationOperation(
                         submissionOperationTails,
                         publicationKey,
@@ -1554,12 +1941,12 @@ function createProposalPublicationApiServer({
                             await resolveRuntimeForLatestRecord();
                             if (
                                 proposalVerificationMode !== 'off' &&
-                                depositSubmissionLockKeys.length > 0 &&
+                                submissionLockKeys.length > 0 &&
                                 shouldVerifyBeforeSubmissionAttempt(latestRecord)
                             ) {
                                 return enqueueMultiKeyOperation(
-                                    depositSubmissionOperationTails,
-                                    depositSubmissionLockKeys,
+                                    verifiedSubmissionOperationTails,
+                                    submissionLockKeys,
                                     async () => {
                                         latestRecord = await loadLatestRecord();
                                         await resolveRuntimeForLatestRecord();
@@ -1627,7 +2014,11 @@ function createProposalPublicationApiServer({
                     ? { submission: buildSubmissionResponse(record.submission) }
                     : {}),
             });
-        });
+        }
+
+        const nextServer = http.createServer((req, res) =>
+            runWithRequestLogContext(req, res, () => handleRequest(req, res))
+        );
 
         try {
             await new Promise((resolve, reject) => {
@@ -1,3 +1,4 @@
+import { buildCorrelationHeaders } from './logger.js';
 import { buildSignedProposalPayload } from './signed-proposal.js';
 
 function normalizeBaseUrl(value) {
@@ -108,6 +109,7 @@ async function publishSignedProposal({
     const requestTimeoutMs = parseTimeoutMs(timeoutMs);
     const headers = {
         'Content-Type': 'application/json',
+        ...buildCorrelationHeaders(),
     };
     if (typeof bearerToken === 'string' && bearerToken.trim()) {
         headers.Authorization = `Bearer ${bearerToken.trim()}`;
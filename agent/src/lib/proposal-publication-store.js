@@ -3,6 +3,7 @@ import path from 'node:path';
 import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
 import { getAddress } from 'viem';
 import { canonicalizeJson, isPlainObject } from './canonical-json.js';
+import { isSignedAuthSignature, normalizeSignedAuthType } from './typed-data-signing.js';
 
 const STORE_VERSION = 'oya-proposal-publication-store-v1';
 const storeOperationTails = new Map();
@@ -175,11 +176,12 @@ function normalizeStoredRecord(record, label = 'record') {
         signer: getAddress(record.signer).toLowerCase(),
         chainId: deriveStoredRecordChainId(record, label),
         requestId: normalizeRequestId(record.requestId, `${label}.requestId`),
+        authType: normalizeSignedAuthType(record.authType, `${label}.authType`),
         signature:
-            typeof record.signature === 'string' && /^0x[0-9a-fA-F]{130}$/.test(record.signature)
+            isSignedAuthSignature(record.signature)
                 ? record.signature
                 : (() => {
-                      throw new Error(`${label}.signature must be a 65-byte hex string.`);
+                      throw new Error(`${label}.signature must be a hex string.`);
                   })(),
         canonicalMessage:
             typeof record.canonicalMessage === 'string' && record.canonicalMessage
@@ -311,6 +313,7 @@ function createProposalPublicationStore({ stateFile }) {
         signer,
         chainId,
         requestId,
+        authType,
         signature,
         canonicalMessage,
         artifact,
@@ -343,6 +346,7 @@ function createProposalPublicationStore({ stateFile }) {
                     signer,
                     chainId,
                     requestId,
+                    authType,
                     signature,
                     canonicalMessage,
                     artifact,
@@ -1,28 +1,53 @@
 import {
     decodeEventLog,
+    decodeFunctionData,
     erc20Abi,
     getAddress,
     hexToString,
     keccak256,
+    recoverMessageAddress,
     stringToHex,
 } from 'viem';
 import { isPlainObject } from './canonical-json.js';
-import { findContractDeploymentBlock, getLogsChunked } from './chain-history.js';
+import {
+    findBlockAtOrBeforeTimestamp,
+    findContractDeploymentBlock,
+    getLogsChunked,
+} from './chain-history.js';
 import {
     optimisticGovernorAbi,
     proposalDeletedEvent,
     proposalExecutedEvent,
     transactionsProposedEvent,
 } from './og.js';
-import { parseStructuredProposalExplanation } from './proposal-explanation.js';
+import {
+    buildGovernanceActionMessage,
+    parseStructuredProposalExplanation,
+} from './proposal-explanation.js';
+import {
+    KNOWN_TEMPLATE_IDS_BY_TITLE,
+    normalizeRulesText,
+    parseRuleSections,
+    resolveTemplateCoverage,
+} from './rule-templates.js';
 import { buildSignedProposalEnvelope } from './signed-proposal.js';
 import { normalizeHashOrNull, decodeErc20TransferCallData } from './utils.js';
 
 const PROPOSAL_KIND_IDS = Object.freeze({
     AGENT_PROXY_REIMBURSEMENT: 1,
+    USER_WITHDRAWAL: 2,
+    AGENT_FEE_WITHDRAWAL: 3,
+    COMMITMENT_PAUSE: 4,
+    COMMITMENT_UNPAUSE: 5,
+    RULE_UPDATE: 6,
 });
 const PROPOSAL_KIND_NAME_BY_ID = Object.freeze({
     [PROPOSAL_KIND_IDS.AGENT_PROXY_REIMBURSEMENT]: 'agent_proxy_reimbursement',
+    [PROPOSAL_KIND_IDS.USER_WITHDRAWAL]: 'user_withdrawal',
+    [PROPOSAL_KIND_IDS.AGENT_FEE_WITHDRAWAL]: 'agent_fee_withdrawal',
+    [PROPOSAL_KIND_IDS.COMMITMENT_PAUSE]: 'commitment_pause',
+    [PROPOSAL_KIND_IDS.COMMITMENT_UNPAUSE]: 'commitment_unpause',
+    [PROPOSAL_KIND_IDS.RULE_UPDATE]: 'rule_update',
 });
 const PROPOSAL_KIND_ID_BY_NAME = new Map(
     Object.entries(PROPOSAL_KIND_NAME_BY_ID).map(([proposalKindId, proposalKind]) => [
@@ -31,52 +56,17 @@ const PROPOSAL_KIND_ID_BY_NAME = new Map(
     ])
 );
 const SUPPORTED_PROPOSAL_KINDS = new Set(Object.values(PROPOSAL_KIND_NAME_BY_ID));
-const KNOWN_TEMPLATE_IDS_BY_TITLE = new Map(
-    [
-        ['Agent Proxy', 'agent_proxy'],
-        ['Proposal Delegation', 'proposal_delegation'],
-        ['Solo User', 'solo_user'],
-        ['Recurring Fee', 'recurring_fee'],
-        ['Performance Fee', 'performance_fee'],
-        ['Standard Period', 'standard_period'],
-        ['Day Definition', 'day_definition'],
-        ['Time Period Start', 'time_period_start'],
-        ['Fee Withholding', 'fee_withholding'],
-        ['Fair Valuation', 'fair_valuation'],
-        ['Trade Restrictions', 'trade_restrictions'],
-        ['Withdrawal Restrictions', 'withdrawal_restrictions'],
-        ['Commitment Pause', 'commitment_pause'],
-        ['Account Recovery and Rule Updates', 'account_recovery_and_rule_updates'],
-        ['Draft State', 'draft_state'],
-        ['Polymarket Liquidity', 'polymarket_liquidity'],
-        ['Transfer Address Restrictions', 'transfer_address_restrictions'],
-        ['Trading Limits', 'trading_limits'],
-        ['Staked External Polymarket Execution', 'staked_external_polymarket_execution'],
-    ].map(([title, templateId]) => [title.toLowerCase(), templateId])
+const DEFAULT_DAY_SECONDS = 86_400;
+const FEE_TYPES = Object.freeze(['recurring', 'performance']);
+const NATIVE_ASSET_ADDRESS = '0x0000000000000000000000000000000000000000';
+const erc20TransferEvent = erc20Abi.find(
+    (item) => item.type === 'event' && item.name === 'Transfer'
 );
 
-const TEMPLATE_COVERAGE_BY_KIND = Object.freeze({
-    agent_proxy_reimbursement: Object.freeze({
-        agent_proxy: 'enforced',
-        fair_valuation: 'partial',
-        proposal_delegation: 'not_applicable',
-        solo_user: 'not_applicable',
-        recurring_fee: 'not_applicable',
-        performance_fee: 'not_applicable',
-        standard_period: 'not_applicable',
-        day_definition: 'not_applicable',
-        time_period_start: 'not_applicable',
-        fee_withholding: 'not_applicable',
-        withdrawal_restrictions: 'not_applicable',
-        account_recovery_and_rule_updates: 'not_applicable',
-        draft_state: 'not_applicable',
-        trade_restrictions: 'unsupported',
-        commitment_pause: 'unsupported',
-        polymarket_liquidity: 'unsupported',
-        transfer_address_restrictions: 'unsupported',
-        trading_limits: 'unsupported',
-        staked_external_polymarket_execution: 'unsupported',
-    }),
+const GOVERNANCE_ACTION_BY_KIND_ID = Object.freeze({
+    [PROPOSAL_KIND_IDS.COMMITMENT_PAUSE]: 'pause',
+    [PROPOSAL_KIND_IDS.COMMITMENT_UNPAUSE]: 'unpause',
+    [PROPOSAL_KIND_IDS.RULE_UPDATE]: 'rule_update',
 });
 
 const DEPOSIT_STATUS_RANK = Object.freeze({
@@ -164,13 +154,6 @@ async function resolveOgHistoryStartBlock({
     return normalizedMinimum > deploymentBlock ? normalizedMinimum : deploymentBlock;
 }
 
-function normalizeRulesText(rulesText) {
-    if (typeof rulesText !== 'string' || !rulesText.trim()) {
-        throw new Error('rulesText must be a non-empty string.');
-    }
-    return rulesText.replace(/\r\n/g, '\n').trim();
-}
-
 function computeRulesHash(rulesText) {
     return keccak256(stringToHex(normalizeRulesText(rulesText)));
 }
@@ -181,20 +164,6 @@ function normalizeRuleBody(body) {
         .trim();
 }
 
-function parseRuleSections(rulesText) {
-    const normalized = normalizeRulesText(rulesText);
-    const sections = [];
-    const matcher = /(^[^\n]+)\n---\n([\s\S]*?)(?=\n{2,}[^\n]+\n---\n|$)/gm;
-    let match;
-    while ((match = matcher.exec(normalized)) !== null) {
-        sections.push({
-            title: match[1].trim(),
-            body: match[2].trim(),
-        });
-    }
-    return sections;
-}
-
 function parseAddressList(value, label) {
     if (typeof value !== 'string' || !value.trim()) {
         throw new Error(`${label} must be a non-empty comma-separated address list.`);
@@ -305,6 +274,22 @@ function parseAccountRecoveryTemplate(body) {
     }
 }
 
+function parseCommitmentPauseTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        /^This commitment may be paused by a proposal from the guardian address (0x[0-9a-fA-F]{40})\. The proposal should contain no transactions, but include a signed message of the word "pause" as the explanation field\. During a pause, the agent may propose withdrawals only to close trades already initiated by a deposit from the agent, or fees owed to the agent\. Additionally, if account recovery and rule updates are allowed, the recovery signers may propose a rule update during the pause\. The guardian address (0x[0-9a-fA-F]{40}) may unpause the commitment with a proposal containing no transactions and a signed message of the word "unpause" as the explanation field\. No other transaction proposals are valid during a pause\.$/
+    );
+    if (!match) {
+        return { ok: false, reason: 'Body does not match the standard Commitment Pause template.' };
+    }
+    return {
+        ok: true,
+        params: {
+            pauseGuardian: getAddress(match[1]).toLowerCase(),
+            unpauseGuardian: getAddress(match[2]).toLowerCase(),
+        },
+    };
+}
+
 function parseGenericKnownTemplate(body) {
     if (!normalizeRuleBody(body)) {
         return { ok: false, reason: 'Template body must not be blank.' };
@@ -317,17 +302,214 @@ function parseGenericKnownTemplate(body) {
     };
 }
 
+function parseDecimalMicros(value, label) {
+    const match = String(value ?? '')
+        .replace(/,/g, '')
+        .match(/^(\d+)(?:\.(\d{1,6}))?$/);
+    if (!match) {
+        throw new Error(`${label} must be a decimal number with at most 6 decimals.`);
+    }
+    const micros = BigInt(match[1]) * 1_000_000n + BigInt((match[2] ?? '').padEnd(6, '0'));
+    if (micros <= 0n) {
+        throw new Error(`${label} must be greater than zero.`);
+    }
+    return micros;
+}
+
+function parseDayDefinitionTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        /^For the purposes of these rules, a day is ([\d,]+) seconds\.$/
+    );
+    if (!match) {
+        return { ok: false, reason: 'Body does not match the standard Day Definition template.' };
+    }
+    try {
+        return {
+            ok: true,
+            params: {
+                daySeconds: parsePositiveInteger(match[1].replace(/,/g, ''), 'daySeconds'),
+            },
+        };
+    } catch (error) {
+        return { ok: false, reason: error?.message ?? String(error) };
+    }
+}
+
+function parseTradeRestrictionsTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        /^The agent may only trade between the following tokens or markets: (.+?)\.?$/
+    );
+    if (!match) {
+        return {
+            ok: false,
+            reason: 'Body does not match the standard Trade Restrictions template.',
+        };
+    }
+    const allowedTokens = [];
+    const allowedSymbols = [];
+    const entries = match[1]
+        .split(/\s*,\s*(?:and\s+)?|\s+and\s+/)
+        .map((item) => item.trim())
+        .filter(Boolean);
+    for (const entry of entries) {
+        if (/^0x[0-9a-fA-F]{40}$/.test(entry)) {
+            allowedTokens.push(getAddress(entry).toLowerCase());
+        } else if (/^[A-Za-z0-9][\w.$-]{0,31}$/.test(entry)) {
+            allowedSymbols.push(entry);
+        } else {
+            // Market descriptions cannot be matched to proposal transfers deterministically.
+            return {
+                ok: false,
+                reason: `Trade Restrictions entry "${entry}" is neither a token address nor a token symbol.`,
+            };
+        }
+    }
+    if (allowedTokens.length === 0 && allowedSymbols.length === 0) {
+        return { ok: false, reason: 'Trade Restrictions must list at least one token.' };
+    }
+    return {
+        ok: true,
+        params: {
+            allowedTokens,
+            allowedSymbols,
+        },
+    };
+}
+
+function parseTradingLimitsTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        /^The designated agent at address (0x[0-9a-fA-F]{40}) may not execute more than \$?([\d,]+(?:\.\d+)?) dollars worth of trades per (hour|day|week)\.$/
+    );
+    if (!match) {
+        return { ok: false, reason: 'Body does not match the standard Trading Limits template.' };
+    }
+    try {
+        return {
+            ok: true,
+            params: {
+                agentAddress: getAddress(match[1]).toLowerCase(),
+                limitUsdMicros: parseDecimalMicros(match[2], 'limitUsd').toString(),
+                period: match[3],
+            },
+        };
+    } catch (error) {
+        return { ok: false, reason: error?.message ?? String(error) };
+    }
+}
+
+function parseWithdrawalRestrictionsTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        /^User withdrawals are limited to \$?([\d,]+(?:\.\d+)?) dollars in value every ([\d,]+) days?\.$/
+    );
+    if (!match) {
+        return {
+            ok: false,
+            reason: 'Body does not match the standard Withdrawal Restrictions template.',
+        };
+    }
+    try {
+        return {
+            ok: true,
+            params: {
+                limitUsdMicros: parseDecimalMicros(match[1], 'limitUsd').toString(),
+                periodDays: parsePositiveInteger(match[2].replace(/,/g, ''), 'periodDays'),
+            },
+        };
+    } catch (error) {
+        return { ok: false, reason: error?.message ?? String(error) };
+    }
+}
+
+const FEE_WITHDRAWAL_TEMPLATE_SUFFIX =
+    'The dollar value is calculated based on the fair token price at the end of each period\\. The agent may withdraw tokens equal to or less than the fees owed at any time after, with the value of the tokens withdrawn calculated at the time of the withdrawal proposal\\. The explanation for the withdrawal proposals must specify which period\\(s\\) the fee withdrawal represents\\.';
+
+function parseFeeTemplateMatch(match, templateTitle) {
+    if (!match) {
+        return {
+            ok: false,
+            reason: `Body does not match the standard ${templateTitle} template.`,
+        };
+    }
+    try {
+        return {
+            ok: true,
+            params: {
+                agentAddress: getAddress(match[1]).toLowerCase(),
+                feeRateMicros: parseDecimalMicros(match[2], 'feePercent').toString(),
+                periodDays: parsePositiveInteger(match[3].replace(/,/g, ''), 'periodDays'),
+            },
+        };
+    } catch (error) {
+        return { ok: false, reason: error?.message ?? String(error) };
+    }
+}
+
+function parseRecurringFeeTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        new RegExp(
+            `^The designated agent at address (0x[0-9a-fA-F]{40}) accrues a recurring fee of ([\\d.]+)% of the value in the commitment every ([\\d,]+) days\\. ${FEE_WITHDRAWAL_TEMPLATE_SUFFIX}$`
+        )
+    );
+    return parseFeeTemplateMatch(match, 'Recurring Fee');
+}
+
+function parsePerformanceFeeTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        new RegExp(
+            `^The designated agent at address (0x[0-9a-fA-F]{40}) accrues a performance fee of ([\\d.]+)% of the increase in the value of the Safe over each ([\\d,]+) day period\\. ${FEE_WITHDRAWAL_TEMPLATE_SUFFIX}$`
+        )
+    );
+    return parseFeeTemplateMatch(match, 'Performance Fee');
+}
+
+function parseStandardPeriodTemplate(body) {
+    const match = normalizeRuleBody(body).match(
+        /^The standard period for calculating fees for this commitment is ([\d,]+) days, and the first period begins at deployment time\.$/
+    );
+    if (!match) {
+        return { ok: false, reason: 'Body does not match the standard Standard Period template.' };
+    }
+    try {
+        return {
+            ok: true,
+            params: {
+                periodDays: parsePositiveInteger(match[1].replace(/,/g, ''), 'periodDays'),
+            },
+        };
+    } catch (error) {
+        return { ok: false, reason: error?.message ?? String(error) };
+    }
+}
+
+function parseTimePeriodStartTemplate(body) {
+    if (
+        normalizeRuleBody(body) !==
+        'Any time period specified in these rules begins at the deployment timestamp of this commitment.'
+    ) {
+        return {
+            ok: false,
+            reason: 'Body does not match the standard Time Period Start template.',
+        };
+    }
+    return { ok: true, params: {} };
+}
+
 const TEMPLATE_PARSERS = Object.freeze({
     agent_proxy: parseAgentProxyTemplate,
     solo_user: parseSoloUserTemplate,
     fair_valuation: parseFairValuationTemplate,
     account_recovery_and_rule_updates: parseAccountRecoveryTemplate,
+    commitment_pause: parseCommitmentPauseTemplate,
+    day_definition: parseDayDefinitionTemplate,
+    trade_restrictions: parseTradeRestrictionsTemplate,
+    trading_limits: parseTradingLimitsTemplate,
+    withdrawal_restrictions: parseWithdrawalRestrictionsTemplate,
+    recurring_fee: parseRecurringFeeTemplate,
+    performance_fee: parsePerformanceFeeTemplate,
+    standard_period: parseStandardPeriodTemplate,
+    time_period_start: parseTimePeriodStartTemplate,
 });
 
-function resolveTemplateCoverage(templateId, proposalKind) {
-    return TEMPLATE_COVERAGE_BY_KIND[proposalKind]?.[templateId] ?? 'unsupported';
-}
-
 function parseStandardCommitmentRules(rulesText, { proposalKind } = {}) {
     const sections = parseRuleSections(rulesText);
     const matchedTemplates = [];
@@ -489,6 +671,38 @@ function normalizeReimbursementAllocations(value) {
     return allocations;
 }
 
+function normalizeFeePeriods(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new Error('metadata.verification.feePeriods must be a non-empty array.');
+    }
+    const normalized = value.map((item, index) => {
+        const period = Number(item);
+        if (!Number.isInteger(period) || period < 0) {
+            throw new Error(
+                `metadata.verification.feePeriods[${index}] must be a non-negative integer.`
+            );
+        }
+        return period;
+    });
+    if (new Set(normalized).size !== normalized.length) {
+        throw new Error('metadata.verification.feePeriods must not contain duplicates.');
+    }
+    return normalized.sort((left, right) => left - right);
+}
+
+function normalizeFeeWithdrawalMetadata(verification) {
+    const feeType = String(verification.feeType ?? '')
+        .trim()
+        .toLowerCase();
+    if (!FEE_TYPES.includes(feeType)) {
+        throw new Error(`metadata.verification.feeType must be one of: ${FEE_TYPES.join(', ')}.`);
+    }
+    return {
+        feeType,
+        feePeriods: normalizeFeePeriods(verification.feePeriods),
+    };
+}
+
 function normalizeProposalKind(value, label = 'metadata.verification.proposalKind') {
     const normalizedProposalKind = String(value ?? '')
         .trim()
@@ -516,6 +730,28 @@ function normalizeVerificationMetadata(metadata) {
     if (!rulesHash) {
         throw new Error('metadata.verification.rulesHash must be a 32-byte hex string.');
     }
+    if (GOVERNANCE_ACTION_BY_KIND_ID[proposalKindId]) {
+        return {
+            proposalKind,
+            proposalKindId,
+            rulesHash,
+        };
+    }
+    if (proposalKindId === PROPOSAL_KIND_IDS.AGENT_FEE_WITHDRAWAL) {
+        return {
+            proposalKind,
+            proposalKindId,
+            rulesHash,
+            ...normalizeFeeWithdrawalMetadata(metadata.verification),
+        };
+    }
+    if (proposalKindId === PROPOSAL_KIND_IDS.USER_WITHDRAWAL) {
+        return {
+            proposalKind,
+            proposalKindId,
+            rulesHash,
+        };
+    }
     const depositTxHashes = normalizeDepositTxHashes(metadata.verification.depositTxHashes);
     const depositPriceSnapshots = normalizeDepositPriceSnapshots(
         metadata.verification.depositPriceSnapshots
@@ -551,6 +787,19 @@ function computeUsdValueMicros({ amountWei, decimals, priceMicros }) {
     return (BigInt(amountWei) * BigInt(priceMicros)) / 10n ** BigInt(decimals);
 }
 
+// Withdrawals are priced by the oracle, never by signed metadata: the signer is the party that
+// gains from a low or high price.
+async function loadOraclePrice({ priceOracle, asset, blockNumber, timestampSec, label }) {
+    try {
+        return await priceOracle.getPrice({ asset, blockNumber, timestampSec });
+    } catch (error) {
+        throw wrapVerificationUnknownError(
+            error,
+            `Price oracle could not price ${asset} for ${label}`
+        );
+    }
+}
+
 async function loadTokenDecimals({ publicClient, token, cache }) {
     if (cache.has(token)) {
         return cache.get(token);
@@ -620,7 +869,7 @@ function normalizeAddressOrNull(value) {
 
 function inferAuthorizedAgentFromEnvelope(envelope) {
     try {
-        const reimbursements = normalizeProposalReimbursementTransfers(envelope);
+        const reimbursements = normalizeProposalTransfers(envelope);
         const recipients = Array.from(new Set(reimbursements.map((entry) => entry.recipient)));
         return recipients.length === 1 ? recipients[0] : null;
     } catch {
@@ -931,6 +1180,19 @@ function decodeProposalExplanationText(explanationValue) {
     }
 }
 
+function resolveProposalHashLifecycle({ proposalHash, executedHashes, deletedHashes }) {
+    if (executedHashes.has(proposalHash) && deletedHashes.has(proposalHash)) {
+        return 'unknown';
+    }
+    if (executedHashes.has(proposalHash)) {
+        return 'consumed';
+    }
+    if (deletedHashes.has(proposalHash)) {
+        return 'available';
+    }
+    return 'reserved';
+}
+
 async function resolveOnchainProposalDepositStatuses({
     depositTxHashes,
     publicClient,
@@ -1040,14 +1302,11 @@ async function resolveOnchainProposalDepositStatuses({
             continue;
         }
 
-        let lifecycle = 'reserved';
-        if (executedHashes.has(proposalHash) && deletedHashes.has(proposalHash)) {
-            lifecycle = 'unknown';
-        } else if (executedHashes.has(proposalHash)) {
-            lifecycle = 'consumed';
-        } else if (deletedHashes.has(proposalHash)) {
-            lifecycle = 'available';
-        }
+        const lifecycle = resolveProposalHashLifecycle({
+            proposalHash,
+            executedHashes,
+            deletedHashes,
+        });
 
         for (const depositTxHash of referenced) {
             statuses.set(
@@ -1101,18 +1360,21 @@ async function resolveDepositReceiptEvidence({
     };
 }
 
-function normalizeProposalReimbursementTransfers(envelope) {
-    const reimbursements = [];
+function normalizeProposalTransfers(
+    envelope,
+    { proposalKind = 'agent_proxy_reimbursement', transferLabel = 'reimbursement' } = {}
+) {
+    const transfers = [];
     for (let index = 0; index < envelope.transactions.length; index += 1) {
         const transaction = envelope.transactions[index];
         if (transaction.operation !== 0) {
             throw new Error(
-                `transactions[${index}] uses operation=${transaction.operation}; only direct ERC20 transfers are supported for agent_proxy_reimbursement verification.`
+                `transactions[${index}] uses operation=${transaction.operation}; only direct ERC20 transfers are supported for ${proposalKind} verification.`
             );
         }
         if (BigInt(transaction.value) !== 0n) {
             throw new Error(
-                `transactions[${index}] uses native value transfer; only ERC20 transfers are supported for agent_proxy_reimbursement verification.`
+                `transactions[${index}] uses native value transfer; only ERC20 transfers are supported for ${proposalKind} verification.`
             );
         }
         const decoded = decodeErc20TransferCallData(transaction.data);
@@ -1121,17 +1383,17 @@ function normalizeProposalReimbursementTransfers(envelope) {
                 `transactions[${index}] is not a decodable ERC20 transfer() call.`
             );
         }
-        reimbursements.push({
+        transfers.push({
             transactionIndex: index,
             token: getAddress(transaction.to).toLowerCase(),
             recipient: decoded.to,
             amountWei: decoded.amount.toString(),
         });
     }
-    if (reimbursements.length === 0) {
-        throw new Error('No reimbursement transfers were found in the proposal transactions.');
+    if (transfers.length === 0) {
+        throw new Error(`No ${transferLabel} transfers were found in the proposal transactions.`);
     }
-    return reimbursements;
+    return transfers;
 }
 
 function sumAmountsByToken(reimbursements) {
@@ -1156,318 +1418,2263 @@ function mapsEqualBigIntAmounts(left, right) {
     return true;
 }
 
-async function verifyAgentProxyReimbursement({
-    envelope,
-    parsedRules,
-    verificationMetadata,
-    publicClient,
-    storeRecords,
-    currentPublicationKey,
-    checks,
-    derivedFacts,
-}) {
-    const agentProxyTemplate = parsedRules.matchedTemplates.find(
-        (template) => template.templateId === 'agent_proxy'
+async function loadBlockTimestampSec({ publicClient, blockNumber, cache }) {
+    const cacheKey = BigInt(blockNumber).toString();
+    if (cache.has(cacheKey)) {
+        return cache.get(cacheKey);
+    }
+    let block;
+    try {
+        block = await publicClient.getBlock({ blockNumber: BigInt(blockNumber) });
+    } catch (error) {
+        throw wrapVerificationUnknownError(error, `Block ${cacheKey} could not be loaded from chain`);
+    }
+    if (block?.timestamp === undefined || block?.timestamp === null) {
+        throw new VerificationUnknownError(`Block ${cacheKey} is missing a timestamp.`);
+    }
+    const timestampSec = Number(block.timestamp);
+    cache.set(cacheKey, timestampSec);
+    return timestampSec;
+}
+
+function findMatchedTemplate(parsedRules, templateId) {
+    return (
+        parsedRules.matchedTemplates.find((template) => template.templateId === templateId) ??
+        null
     );
-    if (!agentProxyTemplate?.params?.agentAddress) {
-        checks.push(
-            buildCheck(
-                'agent_proxy_rule_present',
-                'fail',
-                'The rules do not contain a parseable Agent Proxy template.'
-            )
-        );
-        return;
+}
+
+function resolveDaySeconds(parsedRules) {
+    return (
+        findMatchedTemplate(parsedRules, 'day_definition')?.params?.daySeconds ??
+        DEFAULT_DAY_SECONDS
+    );
+}
+
+function resolveTradingLimitWindowSeconds(period, daySeconds) {
+    if (period === 'hour') {
+        return 3_600;
     }
+    return period === 'week' ? daySeconds * 7 : daySeconds;
+}
 
-    const authorizedAgent = agentProxyTemplate.params.agentAddress;
-    derivedFacts.authorizedAgent = authorizedAgent;
-    const normalizedSignerAddress = normalizeAddressOrNull(envelope.address);
-    if (!normalizedSignerAddress || normalizedSignerAddress !== authorizedAgent) {
-        checks.push(
-            buildCheck(
-                'authorized_agent_signer',
-                'fail',
-                'agent_proxy_reimbursement proposals must be signed by the authorized agent address from the Agent Proxy rules.',
-                {
-                    signer: normalizedSignerAddress,
-                }
-            )
+// Windows are (end - windowSeconds, end]. Only windows holding at least one new entry can be
+// pushed over a limit by the proposal under review, and the heaviest of those ends on an entry.
+function findPeakRollingWindow({ entries, windowSeconds }) {
+    let peak = { totalUsdMicros: 0n, windowEndSec: null };
+    for (const anchor of entries) {
+        const windowEntries = entries.filter(
+            (entry) =>
+                entry.timestampSec > anchor.timestampSec - windowSeconds &&
+                entry.timestampSec <= anchor.timestampSec
         );
-        return;
+        if (!windowEntries.some((entry) => entry.isNew)) {
+            continue;
+        }
+        const totalUsdMicros = windowEntries.reduce(
+            (sum, entry) => sum + entry.valueUsdMicros,
+            0n
+        );
+        if (peak.windowEndSec === null || totalUsdMicros > peak.totalUsdMicros) {
+            peak = { totalUsdMicros, windowEndSec: anchor.timestampSec };
+        }
     }
-    checks.push(
-        buildCheck(
-            'authorized_agent_signer',
-            'pass',
-            'Proposal signer matches the authorized agent address from the Agent Proxy rules.'
-        )
+    return peak;
+}
+
+function isWithinRollingWindowOfAny(timestampSec, newTimestamps, windowSeconds) {
+    return newTimestamps.some(
+        (newTimestampSec) => Math.abs(timestampSec - newTimestampSec) < windowSeconds
     );
+}
 
-    let reimbursements;
+async function loadOnchainProposalHistory({ publicClient, ogModule }) {
+    let proposedLogs;
+    let executedLogs;
+    let deletedLogs;
     try {
-        reimbursements = normalizeProposalReimbursementTransfers(envelope);
-        checks.push(
-            buildCheck(
-                'reimbursement_transfers_decoded',
-                'pass',
+        const latestBlock = await publicClient.getBlockNumber();
+        const historyFromBlock = await resolveOgHistoryStartBlock({
+            publicClient,
+            ogModule,
+            latestBlock,
+        });
+        [proposedLogs, executedLogs, deletedLogs] = await Promise.all(
+            [transactionsProposedEvent, proposalExecutedEvent, proposalDeletedEvent].map((event) =>
+                getLogsChunked({
+                    publicClient,
+                    address: ogModule,
+                    event,
+                    fromBlock: historyFromBlock,
+                    toBlock: latestBlock,
+                })
+            )
+        );
+    } catch (error) {
+        throw wrapVerificationUnknownError(
+            error,
+            `Proposal history for OG module ${ogModule} could not be loaded`
+        );
+    }
+
+    const executedBlockByHash = new Map();
+    for (const log of executedLogs) {
+        const proposalHash = normalizeHashOrNull(log?.args?.proposalHash);
+        if (proposalHash) {
+            executedBlockByHash.set(proposalHash, log?.blockNumber ?? null);
+        }
+    }
+    const executedHashes = new Set(executedBlockByHash.keys());
+    const deletedHashes = new Set(
+        deletedLogs.map((log) => normalizeHashOrNull(log?.args?.proposalHash)).filter(Boolean)
+    );
+    const proposals = [];
+    for (const log of proposedLogs) {
+        const proposalHash = normalizeHashOrNull(log?.args?.proposalHash);
+        if (!proposalHash) {
+            continue;
+        }
+        proposals.push({
+            proposalHash,
+            blockNumber: log?.blockNumber ?? null,
+            executedBlockNumber: executedBlockByHash.get(proposalHash) ?? null,
+            transactions: log?.args?.proposal?.transactions ?? [],
+            lifecycle: resolveProposalHashLifecycle({
+                proposalHash,
+                executedHashes,
+                deletedHashes,
+            }),
+            explanation: parseStructuredProposalExplanation(
+                decodeProposalExplanationText(log?.args?.explanation),
+                { requireDepositTxHashes: false }
+            ),
+        });
+    }
+    return proposals;
+}
+
+async function resolveStoredProposalHash({ record, envelope, publicClient }) {
+    const submission = record?.submission;
+    const storedProposalHash = normalizeHashOrNull(submission?.ogProposalHash);
+    if (storedProposalHash || !submission?.transactionHash) {
+        return storedProposalHash;
+    }
+    try {
+        const receipt = await publicClient.getTransactionReceipt({
+            hash: submission.transactionHash,
+        });
+        return extractProposalHashFromReceipt({ receipt, ogModule: envelope.ogModule });
+    } catch {
+        return null;
+    }
+}
+
+function listSameCommitmentRecords({
+    storeRecords,
+    envelope,
+    currentPublicationKey,
+    proposalKindId,
+}) {
+    const matches = [];
+    for (const record of storeRecords) {
+        if (!record || Number(record.chainId) !== Number(envelope.chainId)) {
+            continue;
+        }
+        const recordKey = `${record.signer}:${record.chainId}:${record.requestId}`;
+        if (currentPublicationKey && recordKey === currentPublicationKey) {
+            continue;
+        }
+        const recordEnvelope = parseEnvelopeFromRecord(record);
+        if (!hasSameCommitmentContext(recordEnvelope, envelope)) {
+            continue;
+        }
+        let recordVerification;
+        try {
+            recordVerification = normalizeVerificationMetadata(recordEnvelope.metadata);
+        } catch {
+            continue;
+        }
+        if (recordVerification.proposalKindId !== proposalKindId) {
+            continue;
+        }
+        matches.push({
+            record,
+            envelope: recordEnvelope,
+            verification: recordVerification,
+        });
+    }
+    return matches;
+}
+
+// Prior trades are valued from the verification stored with each local record. Trades that only
+// appear onchain, or whose proposal state is unresolved, come back as unresolved deposit hashes.
+async function collectPriorReimbursementTrades({
+    envelope,
+    authorizedAgent,
+    currentDepositTxHashes,
+    storeRecords,
+    currentPublicationKey,
+    publicClient,
+}) {
+    const trades = [];
+    const unresolvedDepositTxHashes = [];
+    const accountedDepositTxHashes = new Set(currentDepositTxHashes);
+    const lifecycleCache = new Map();
+
+    for (const { record, envelope: recordEnvelope, verification } of listSameCommitmentRecords({
+        storeRecords,
+        envelope,
+        currentPublicationKey,
+        proposalKindId: PROPOSAL_KIND_IDS.AGENT_PROXY_REIMBURSEMENT,
+    })) {
+        const recordAuthorizedAgent = resolveRecordAuthorizedAgent(record, recordEnvelope);
+        if (recordAuthorizedAgent && recordAuthorizedAgent !== authorizedAgent) {
+            continue;
+        }
+        const lifecycle = await resolveStoredProposalLifecycle({
+            record,
+            envelope: recordEnvelope,
+            publicClient,
+            lifecycleCache,
+        });
+        if (lifecycle === 'available') {
+            continue;
+        }
+        const depositFacts = record.verification?.derivedFacts?.referencedDeposits ?? [];
+        for (const depositTxHash of verification.depositTxHashes) {
+            if (accountedDepositTxHashes.has(depositTxHash)) {
+                continue;
+            }
+            accountedDepositTxHashes.add(depositTxHash);
+            const depositFact = depositFacts.find(
+                (entry) => entry?.depositTxHash === depositTxHash
+            );
+            if (lifecycle === 'unknown' || !depositFact?.depositUsdMicros) {
+                unresolvedDepositTxHashes.push(depositTxHash);
+                continue;
+            }
+            trades.push({
+                depositTxHash,
+                valueUsdMicros: BigInt(depositFact.depositUsdMicros),
+                timestampSec: depositFact.depositTimestampSec ?? null,
+            });
+        }
+    }
+
+    const onchainProposals = await loadOnchainProposalHistory({
+        publicClient,
+        ogModule: envelope.ogModule,
+    });
+    for (const proposal of onchainProposals) {
+        if (
+            proposal.lifecycle === 'available' ||
+            proposal.explanation?.kind !== 'agent_proxy_reimbursement'
+        ) {
+            continue;
+        }
+        for (const depositTxHash of proposal.explanation.depositTxHashes) {
+            if (!accountedDepositTxHashes.has(depositTxHash)) {
+                accountedDepositTxHashes.add(depositTxHash);
+                unresolvedDepositTxHashes.push(depositTxHash);
+            }
+        }
+    }
+
+    return { trades, unresolvedDepositTxHashes };
+}
+
+async function collectPriorUserWithdrawals({
+    envelope,
+    storeRecords,
+    currentPublicationKey,
+    publicClient,
+    blockTimestampCache,
+}) {
+    const withdrawals = [];
+    const unresolved = [];
+    const knownProposalHashes = new Set();
+    const lifecycleCache = new Map();
+
+    for (const { record, envelope: recordEnvelope } of listSameCommitmentRecords({
+        storeRecords,
+        envelope,
+        currentPublicationKey,
+        proposalKindId: PROPOSAL_KIND_IDS.USER_WITHDRAWAL,
+    })) {
+        const proposalHash = await resolveStoredProposalHash({
+            record,
+            envelope: recordEnvelope,
+            publicClient,
+        });
+        if (proposalHash) {
+            knownProposalHashes.add(proposalHash);
+        }
+        const lifecycle = await resolveStoredProposalLifecycle({
+            record,
+            envelope: recordEnvelope,
+            publicClient,
+            lifecycleCache,
+        });
+        if (lifecycle === 'available') {
+            continue;
+        }
+        const timestampSec = Math.floor(recordEnvelope.timestampMs / 1000);
+        const valueUsdMicros = record.verification?.derivedFacts?.withdrawalValueUsdMicros;
+        if (lifecycle === 'unknown' || !valueUsdMicros) {
+            unresolved.push({ timestampSec, reference: `requestId ${record.requestId}` });
+            continue;
+        }
+        withdrawals.push({ timestampSec, valueUsdMicros: BigInt(valueUsdMicros) });
+    }
+
+    const onchainProposals = await loadOnchainProposalHistory({
+        publicClient,
+        ogModule: envelope.ogModule,
+    });
+    for (const proposal of onchainProposals) {
+        if (
+            proposal.lifecycle === 'available' ||
+            proposal.explanation?.kind !== 'user_withdrawal' ||
+            knownProposalHashes.has(proposal.proposalHash)
+        ) {
+            continue;
+        }
+        if (proposal.blockNumber === null) {
+            throw new VerificationUnknownError(
+                `Withdrawal proposal ${proposal.proposalHash} is missing a blockNumber, so it could not be dated.`
+            );
+        }
+        unresolved.push({
+            timestampSec: await loadBlockTimestampSec({
+                publicClient,
+                blockNumber: proposal.blockNumber,
+                cache: blockTimestampCache,
+            }),
+            reference: `proposal ${proposal.proposalHash}`,
+        });
+    }
+
+    return { withdrawals, unresolved };
+}
+
+async function runTemplateCheck(checkId, checks, verify) {
+    try {
+        await verify();
+    } catch (error) {
+        checks.push(
+            buildCheck(
+                checkId,
+                error instanceof VerificationUnknownError ? 'unknown' : 'fail',
+                error?.message ?? String(error)
+            )
+        );
+    }
+}
+
+// Onchain symbol() is not evidence: anyone can deploy a token reporting "USDC". Symbol entries
+// only allow the address the operator mapped them to for this chain in tokenSymbolAddresses.
+async function verifyTradeRestrictions({ template, tokens, tokenSymbolAddresses, checks }) {
+    const addressesBySymbol = new Map(
+        Object.entries(tokenSymbolAddresses ?? {}).map(([symbol, address]) => [
+            symbol.toLowerCase(),
+            address.toLowerCase(),
+        ])
+    );
+    const allowedTokens = new Set(template.params.allowedTokens);
+    const unresolvedSymbols = [];
+    for (const symbol of template.params.allowedSymbols) {
+        const address = addressesBySymbol.get(symbol.toLowerCase());
+        if (address) {
+            allowedTokens.add(address);
+        } else {
+            unresolvedSymbols.push(symbol);
+        }
+    }
+    const disallowedTokens = Array.from(new Set(tokens)).filter(
+        (token) => !allowedTokens.has(token)
+    );
+    if (disallowedTokens.length > 0 && unresolvedSymbols.length > 0) {
+        checks.push(
+            buildCheck(
+                'trade_restrictions',
+                'unknown',
+                `One or more traded tokens are not listed by address, and the Trade Restrictions symbols ${unresolvedSymbols.join(', ')} have no configured tokenSymbolAddresses entry for this chain.`,
+                { tokens: disallowedTokens, symbols: unresolvedSymbols }
+            )
+        );
+        return;
+    }
+    if (disallowedTokens.length > 0) {
+        checks.push(
+            buildCheck(
+                'trade_restrictions',
+                'fail',
+                'One or more traded tokens are not allowed by the Trade Restrictions rules.',
+                { tokens: disallowedTokens }
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'trade_restrictions',
+            'pass',
+            'Every deposited and reimbursed token is allowed by the Trade Restrictions rules.'
+        )
+    );
+}
+
+async function verifyTradingLimits({
+    template,
+    parsedRules,
+    envelope,
+    authorizedAgent,
+    referencedDeposits,
+    publicClient,
+    storeRecords,
+    currentPublicationKey,
+    checks,
+    derivedFacts,
+}) {
+    if (template.params.agentAddress !== authorizedAgent) {
+        checks.push(
+            buildCheck(
+                'trading_limits',
+                'pass',
+                'The Trading Limits rules name a different agent than the authorized Agent Proxy signer.'
+            )
+        );
+        return;
+    }
+
+    const windowSeconds = resolveTradingLimitWindowSeconds(
+        template.params.period,
+        resolveDaySeconds(parsedRules)
+    );
+    const limitUsdMicros = BigInt(template.params.limitUsdMicros);
+    const blockTimestampCache = new Map();
+    const loadDepositTimestampSec = async (depositTxHash, blockNumber = undefined) => {
+        let depositBlockNumber = blockNumber;
+        if (depositBlockNumber === undefined || depositBlockNumber === null) {
+            let receipt;
+            try {
+                receipt = await publicClient.getTransactionReceipt({ hash: depositTxHash });
+            } catch (error) {
+                throw wrapVerificationUnknownError(
+                    error,
+                    `Deposit transaction ${depositTxHash} receipt could not be loaded to date the trade`
+                );
+            }
+            depositBlockNumber = receipt?.blockNumber;
+            if (depositBlockNumber === undefined || depositBlockNumber === null) {
+                throw new VerificationUnknownError(
+                    `Deposit transaction ${depositTxHash} receipt is missing a blockNumber, so the trade could not be dated.`
+                );
+            }
+        }
+        return loadBlockTimestampSec({
+            publicClient,
+            blockNumber: depositBlockNumber,
+            cache: blockTimestampCache,
+        });
+    };
+
+    // Trades are dated by their deposit block, since that is when prices are fixed.
+    const entries = [];
+    for (const deposit of referencedDeposits) {
+        deposit.depositTimestampSec = await loadDepositTimestampSec(
+            deposit.depositTxHash,
+            deposit.depositBlockNumber
+        );
+        entries.push({
+            timestampSec: deposit.depositTimestampSec,
+            valueUsdMicros: BigInt(deposit.depositUsdMicros),
+            isNew: true,
+        });
+    }
+    const newTimestamps = entries.map((entry) => entry.timestampSec);
+
+    const priorTrades = await collectPriorReimbursementTrades({
+        envelope,
+        authorizedAgent,
+        currentDepositTxHashes: referencedDeposits.map((entry) => entry.depositTxHash),
+        storeRecords,
+        currentPublicationKey,
+        publicClient,
+    });
+    for (const depositTxHash of priorTrades.unresolvedDepositTxHashes) {
+        const timestampSec = await loadDepositTimestampSec(depositTxHash);
+        if (isWithinRollingWindowOfAny(timestampSec, newTimestamps, windowSeconds)) {
+            checks.push(
+                buildCheck(
+                    'trading_limits',
+                    'unknown',
+                    `Trade ${depositTxHash} falls inside the Trading Limits window, but its value could not be resolved from verified proposal history.`
+                )
+            );
+            return;
+        }
+    }
+    for (const trade of priorTrades.trades) {
+        entries.push({
+            timestampSec:
+                trade.timestampSec ?? (await loadDepositTimestampSec(trade.depositTxHash)),
+            valueUsdMicros: trade.valueUsdMicros,
+            isNew: false,
+        });
+    }
+
+    const peak = findPeakRollingWindow({ entries, windowSeconds });
+    derivedFacts.tradingLimit = {
+        windowSeconds,
+        limitUsdMicros: limitUsdMicros.toString(),
+        peakWindowUsdMicros: peak.totalUsdMicros.toString(),
+        peakWindowEndSec: peak.windowEndSec,
+    };
+    if (peak.totalUsdMicros > limitUsdMicros) {
+        checks.push(
+            buildCheck(
+                'trading_limits',
+                'fail',
+                `Trades in a rolling ${windowSeconds}-second window would total ${peak.totalUsdMicros.toString()} USD micros, above the Trading Limits cap of ${limitUsdMicros.toString()}.`
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'trading_limits',
+            'pass',
+            'Trades in every rolling window that includes this proposal stay within the Trading Limits cap.'
+        )
+    );
+}
+
+async function verifyWithdrawalRestrictions({
+    template,
+    parsedRules,
+    envelope,
+    withdrawalValueUsdMicros,
+    publicClient,
+    storeRecords,
+    currentPublicationKey,
+    checks,
+    derivedFacts,
+}) {
+    const windowSeconds = template.params.periodDays * resolveDaySeconds(parsedRules);
+    const limitUsdMicros = BigInt(template.params.limitUsdMicros);
+    const timestampSec = Math.floor(envelope.timestampMs / 1000);
+    const priorWithdrawals = await collectPriorUserWithdrawals({
+        envelope,
+        storeRecords,
+        currentPublicationKey,
+        publicClient,
+        blockTimestampCache: new Map(),
+    });
+    const unresolvedInWindow = priorWithdrawals.unresolved.find((entry) =>
+        isWithinRollingWindowOfAny(entry.timestampSec, [timestampSec], windowSeconds)
+    );
+    if (unresolvedInWindow) {
+        checks.push(
+            buildCheck(
+                'withdrawal_restrictions',
+                'unknown',
+                `Withdrawal ${unresolvedInWindow.reference} falls inside the Withdrawal Restrictions window, but its value could not be resolved from verified proposal history.`
+            )
+        );
+        return;
+    }
+
+    const peak = findPeakRollingWindow({
+        entries: [
+            { timestampSec, valueUsdMicros: withdrawalValueUsdMicros, isNew: true },
+            ...priorWithdrawals.withdrawals.map((entry) => ({ ...entry, isNew: false })),
+        ],
+        windowSeconds,
+    });
+    derivedFacts.withdrawalLimit = {
+        windowSeconds,
+        limitUsdMicros: limitUsdMicros.toString(),
+        peakWindowUsdMicros: peak.totalUsdMicros.toString(),
+        peakWindowEndSec: peak.windowEndSec,
+    };
+    if (peak.totalUsdMicros > limitUsdMicros) {
+        checks.push(
+            buildCheck(
+                'withdrawal_restrictions',
+                'fail',
+                `User withdrawals in a rolling ${windowSeconds}-second window would total ${peak.totalUsdMicros.toString()} USD micros, above the Withdrawal Restrictions cap of ${limitUsdMicros.toString()}.`
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'withdrawal_restrictions',
+            'pass',
+            'User withdrawals in every rolling window that includes this proposal stay within the Withdrawal Restrictions cap.'
+        )
+    );
+}
+
+// Signed snapshot prices are agent-supplied; when an oracle is configured each one is re-priced
+// at its deposit block and must land within `toleranceBps` of the oracle median.
+async function verifyDepositPriceSnapshots({
+    priceOracle,
+    toleranceBps,
+    verificationMetadata,
+    referencedDeposits,
+    checks,
+    derivedFacts,
+}) {
+    const comparisons = [];
+    for (const deposit of referencedDeposits) {
+        const snapshot = verificationMetadata.depositPriceSnapshots.get(deposit.depositTxHash);
+        const snapshotPrices = [
+            [deposit.depositToken, snapshot.depositAssetPriceUsdMicros],
+            ...Object.entries(snapshot.reimbursementAssetPricesUsdMicros),
+        ];
+        for (const [token, snapshotPriceUsdMicros] of snapshotPrices) {
+            let oraclePrice;
+            try {
+                oraclePrice = await priceOracle.getPrice({
+                    asset: token,
+                    blockNumber: BigInt(deposit.depositBlockNumber),
+                });
+            } catch (error) {
+                throw wrapVerificationUnknownError(
+                    error,
+                    `Price oracle could not price ${token} at deposit ${deposit.depositTxHash}`
+                );
+            }
+            const signed = BigInt(snapshotPriceUsdMicros);
+            const reference = oraclePrice.priceUsdMicros;
+            const diff = signed > reference ? signed - reference : reference - signed;
+            comparisons.push({
+                depositTxHash: deposit.depositTxHash,
+                token,
+                blockNumber: deposit.depositBlockNumber,
+                snapshotPriceUsdMicros: signed.toString(),
+                oraclePriceUsdMicros: reference.toString(),
+                deviationBps: Number((diff * 10_000n) / reference),
+            });
+        }
+    }
+    derivedFacts.oraclePriceComparisons = comparisons;
+
+    const mismatches = comparisons.filter((entry) => entry.deviationBps > toleranceBps);
+    if (mismatches.length > 0) {
+        checks.push(
+            buildCheck(
+                'deposit_price_snapshots_oracle',
+                'fail',
+                `${mismatches.length} signed deposit-time price(s) deviate from the price oracle by more than ${toleranceBps} bps.`,
+                { mismatches }
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'deposit_price_snapshots_oracle',
+            'pass',
+            `Signed deposit-time prices are within ${toleranceBps} bps of the price oracle at each deposit block.`
+        )
+    );
+}
+
+async function verifyAgentProxyReimbursement({
+    envelope,
+    parsedRules,
+    verificationMetadata,
+    publicClient,
+    storeRecords,
+    currentPublicationKey,
+    priceOracle,
+    priceSnapshotToleranceBps,
+    tokenSymbolAddresses,
+    checks,
+    derivedFacts,
+}) {
+    const agentProxyTemplate = parsedRules.matchedTemplates.find(
+        (template) => template.templateId === 'agent_proxy'
+    );
+    if (!agentProxyTemplate?.params?.agentAddress) {
+        checks.push(
+            buildCheck(
+                'agent_proxy_rule_present',
+                'fail',
+                'The rules do not contain a parseable Agent Proxy template.'
+            )
+        );
+        return;
+    }
+
+    const authorizedAgent = agentProxyTemplate.params.agentAddress;
+    derivedFacts.authorizedAgent = authorizedAgent;
+    const normalizedSignerAddress = normalizeAddressOrNull(envelope.address);
+    if (!normalizedSignerAddress || normalizedSignerAddress !== authorizedAgent) {
+        checks.push(
+            buildCheck(
+                'authorized_agent_signer',
+                'fail',
+                'agent_proxy_reimbursement proposals must be signed by the authorized agent address from the Agent Proxy rules.',
+                {
+                    signer: normalizedSignerAddress,
+                }
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'authorized_agent_signer',
+            'pass',
+            'Proposal signer matches the authorized agent address from the Agent Proxy rules.'
+        )
+    );
+
+    let reimbursements;
+    try {
+        reimbursements = normalizeProposalTransfers(envelope);
+        checks.push(
+            buildCheck(
+                'reimbursement_transfers_decoded',
+                'pass',
                 'Proposal transactions decode to direct ERC20 reimbursement transfers.'
             )
         );
-    } catch (error) {
+    } catch (error) {
+        checks.push(
+            buildCheck(
+                'reimbursement_transfers_decoded',
+                'fail',
+                error?.message ?? String(error)
+            )
+        );
+        return;
+    }
+
+    const wrongRecipients = reimbursements.filter(
+        (reimbursement) => reimbursement.recipient !== authorizedAgent
+    );
+    if (wrongRecipients.length > 0) {
+        checks.push(
+            buildCheck(
+                'authorized_agent_recipient',
+                'fail',
+                'One or more reimbursement transfers target an address other than the authorized agent.',
+                {
+                    recipients: Array.from(
+                        new Set(wrongRecipients.map((entry) => entry.recipient))
+                    ),
+                }
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'authorized_agent_recipient',
+            'pass',
+            'All reimbursement transfers target the authorized agent.'
+        )
+    );
+
+    const explanation = parseStructuredProposalExplanation(envelope.explanation, {
+        requireDepositTxHashes: true,
+    });
+    if (!explanation || explanation.kind !== verificationMetadata.proposalKind) {
+        checks.push(
+            buildCheck(
+                'explanation_references',
+                'fail',
+                'Proposal explanation must be a structured JSON object with kind, description, and depositTxHashes for agent_proxy_reimbursement.'
+            )
+        );
+        return;
+    }
+    const explanationDepositTxHashes = explanation.depositTxHashes;
+    const metadataDepositTxHashes = verificationMetadata.depositTxHashes;
+    const explanationMatchesMetadata =
+        explanationDepositTxHashes.length === metadataDepositTxHashes.length &&
+        explanationDepositTxHashes.every(
+            (depositTxHash, index) => depositTxHash === metadataDepositTxHashes[index]
+        );
+    if (!explanationMatchesMetadata) {
+        checks.push(
+            buildCheck(
+                'explanation_references',
+                'fail',
+                'Proposal explanation depositTxHashes do not match signed metadata.verification.depositTxHashes.'
+            )
+        );
+        return;
+    }
+    derivedFacts.explanationDescription = explanation.description;
+    checks.push(
+        buildCheck(
+            'explanation_references',
+            'pass',
+            'Proposal explanation includes structured deposit references that match the signed verification metadata.'
+        )
+    );
+
+    if (!publicClient) {
+        checks.push(
+            buildCheck(
+                'onchain_evidence_available',
+                'unknown',
+                'A verification runtime was not available, so deposit receipts and token decimals could not be checked.'
+            )
+        );
+        return;
+    }
+
+    const depositStatuses = await resolveReferencedDepositStatuses({
+        depositTxHashes: verificationMetadata.depositTxHashes,
+        storeRecords,
+        chainId: envelope.chainId,
+        currentPublicationKey,
+        publicClient,
+        commitmentSafe: envelope.commitmentSafe,
+        ogModule: envelope.ogModule,
+        authorizedAgent,
+        currentRulesHash: verificationMetadata.rulesHash,
+    });
+    const referencedDeposits = [];
+    let hasUnavailableDeposit = false;
+    let hasUnknownDepositState = false;
+
+    for (const depositTxHash of verificationMetadata.depositTxHashes) {
+        const status = depositStatuses.get(depositTxHash) ?? 'available';
+        referencedDeposits.push({
+            depositTxHash,
+            statusBeforeVerification: status,
+        });
+        if (status === 'reserved' || status === 'consumed') {
+            hasUnavailableDeposit = true;
+        } else if (status === 'unknown') {
+            hasUnknownDepositState = true;
+        }
+    }
+    derivedFacts.referencedDeposits = referencedDeposits;
+    if (hasUnavailableDeposit) {
+        checks.push(
+            buildCheck(
+                'deposit_reuse',
+                'fail',
+                'At least one referenced deposit is already reserved by a live proposal or consumed by an executed proposal.'
+            )
+        );
+        return;
+    }
+    if (hasUnknownDepositState) {
+        checks.push(
+            buildCheck(
+                'deposit_reuse',
+                'unknown',
+                'At least one referenced deposit has an unresolved proposal lifecycle state.'
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'deposit_reuse',
+            'pass',
+            'All referenced deposits are currently available for reimbursement.'
+        )
+    );
+
+    const proposalTotalsByToken = sumAmountsByToken(reimbursements);
+    const allocatedTotalsByToken = new Map();
+    const tokenDecimalsCache = new Map();
+    let aggregateDepositUsdMicros = 0n;
+    let aggregateAllocatedUsdMicros = 0n;
+
+    for (const depositTxHash of verificationMetadata.depositTxHashes) {
+        const depositEvidence = await resolveDepositReceiptEvidence({
+            publicClient,
+            depositTxHash,
+            agentAddress: authorizedAgent,
+            commitmentSafe: envelope.commitmentSafe,
+        });
+        const snapshot = verificationMetadata.depositPriceSnapshots.get(depositTxHash);
+        const allocation = verificationMetadata.reimbursementAllocations.get(depositTxHash);
+        const depositDecimals = await loadTokenDecimals({
+            publicClient,
+            token: depositEvidence.token,
+            cache: tokenDecimalsCache,
+        });
+        const depositUsdMicros = computeUsdValueMicros({
+            amountWei: depositEvidence.amountWei,
+            decimals: depositDecimals,
+            priceMicros: snapshot.depositAssetPriceUsdMicros,
+        });
+
+        let allocatedUsdMicros = 0n;
+        for (const reimbursement of allocation) {
+            const tokenDecimals = await loadTokenDecimals({
+                publicClient,
+                token: reimbursement.token,
+                cache: tokenDecimalsCache,
+            });
+            const reimbursementPriceUsdMicros =
+                snapshot.reimbursementAssetPricesUsdMicros[reimbursement.token];
+            if (!reimbursementPriceUsdMicros) {
+                throw new Error(
+                    `No reimbursementAssetPricesUsdMicros entry exists for token ${reimbursement.token} in deposit snapshot ${depositTxHash}.`
+                );
+            }
+            allocatedUsdMicros += computeUsdValueMicros({
+                amountWei: reimbursement.amountWei,
+                decimals: tokenDecimals,
+                priceMicros: reimbursementPriceUsdMicros,
+            });
+            allocatedTotalsByToken.set(
+                reimbursement.token,
+                (allocatedTotalsByToken.get(reimbursement.token) ?? 0n) +
+                    BigInt(reimbursement.amountWei)
+            );
+        }
+
+        aggregateDepositUsdMicros += depositUsdMicros;
+        aggregateAllocatedUsdMicros += allocatedUsdMicros;
+
+        const referencedDeposit = referencedDeposits.find(
+            (entry) => entry.depositTxHash === depositTxHash
+        );
+        Object.assign(referencedDeposit, {
+            depositToken: depositEvidence.token,
+            depositAmountWei: depositEvidence.amountWei,
+            depositUsdMicros: depositUsdMicros.toString(),
+            depositBlockNumber: depositEvidence.blockNumber,
+            allocatedUsdMicros: allocatedUsdMicros.toString(),
+            statusAfterExecution: 'consumed',
+        });
+
+        if (allocatedUsdMicros > depositUsdMicros) {
+            checks.push(
+                buildCheck(
+                    'whole_batch_value_ceiling',
+                    'fail',
+                    `Allocated reimbursement value for deposit ${depositTxHash} exceeds that deposit's deposit-time value ceiling.`
+                )
+            );
+            return;
+        }
+    }
+
+    if (!mapsEqualBigIntAmounts(proposalTotalsByToken, allocatedTotalsByToken)) {
+        checks.push(
+            buildCheck(
+                'allocation_matches_transactions',
+                'fail',
+                'Signed reimbursement allocations do not sum to the proposal transactions.'
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'allocation_matches_transactions',
+            'pass',
+            'Signed reimbursement allocations sum exactly to the proposal transactions.'
+        )
+    );
+
+    derivedFacts.totalBatchDepositValueUsdMicros = aggregateDepositUsdMicros.toString();
+    derivedFacts.reimbursementValueUsdMicros = aggregateAllocatedUsdMicros.toString();
+    derivedFacts.roundingShortfallUsdMicros = (
+        aggregateDepositUsdMicros > aggregateAllocatedUsdMicros
+            ? aggregateDepositUsdMicros - aggregateAllocatedUsdMicros
+            : 0n
+    ).toString();
+
+    checks.push(
+        buildCheck(
+            'whole_batch_value_ceiling',
+            'pass',
+            'Allocated reimbursement value does not exceed the aggregate deposit-time value of the referenced deposit batch.'
+        )
+    );
+    if (priceOracle) {
+        await runTemplateCheck('deposit_price_snapshots_oracle', checks, () =>
+            verifyDepositPriceSnapshots({
+                priceOracle,
+                toleranceBps: priceSnapshotToleranceBps,
+                verificationMetadata,
+                referencedDeposits,
+                checks,
+                derivedFacts,
+            })
+        );
+    }
+
+    const tradeRestrictionsTemplate = findMatchedTemplate(parsedRules, 'trade_restrictions');
+    if (tradeRestrictionsTemplate) {
+        await runTemplateCheck('trade_restrictions', checks, () =>
+            verifyTradeRestrictions({
+                template: tradeRestrictionsTemplate,
+                tokens: [
+                    ...referencedDeposits.map((entry) => entry.depositToken),
+                    ...reimbursements.map((entry) => entry.token),
+                ],
+                tokenSymbolAddresses,
+                checks,
+            })
+        );
+    }
+    const tradingLimitsTemplate = findMatchedTemplate(parsedRules, 'trading_limits');
+    if (tradingLimitsTemplate) {
+        await runTemplateCheck('trading_limits', checks, () =>
+            verifyTradingLimits({
+                template: tradingLimitsTemplate,
+                parsedRules,
+                envelope,
+                authorizedAgent,
+                referencedDeposits,
+                publicClient,
+                storeRecords,
+                currentPublicationKey,
+                checks,
+                derivedFacts,
+            })
+        );
+    }
+}
+
+async function verifyUserWithdrawal({
+    envelope,
+    parsedRules,
+    verificationMetadata,
+    publicClient,
+    storeRecords,
+    currentPublicationKey,
+    priceOracle,
+    checks,
+    derivedFacts,
+}) {
+    const soloUserTemplate = findMatchedTemplate(parsedRules, 'solo_user');
+    if (!soloUserTemplate?.params?.userAddress) {
+        checks.push(
+            buildCheck(
+                'solo_user_rule_present',
+                'fail',
+                'The rules do not contain a parseable Solo User template.'
+            )
+        );
+        return;
+    }
+
+    const userAddress = soloUserTemplate.params.userAddress;
+    derivedFacts.withdrawalUser = userAddress;
+    const normalizedSignerAddress = normalizeAddressOrNull(envelope.address);
+    if (normalizedSignerAddress !== userAddress) {
+        checks.push(
+            buildCheck(
+                'withdrawal_signer',
+                'fail',
+                'user_withdrawal proposals must be signed by the user address from the Solo User rules.',
+                {
+                    signer: normalizedSignerAddress,
+                }
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'withdrawal_signer',
+            'pass',
+            'Proposal signer matches the user address from the Solo User rules.'
+        )
+    );
+
+    let withdrawals;
+    try {
+        withdrawals = normalizeProposalTransfers(envelope, {
+            proposalKind: 'user_withdrawal',
+            transferLabel: 'withdrawal',
+        });
+    } catch (error) {
+        checks.push(
+            buildCheck('withdrawal_transfers_decoded', 'fail', error?.message ?? String(error))
+        );
+        return;
+    }
+    if (withdrawals.some((withdrawal) => withdrawal.recipient !== userAddress)) {
+        checks.push(
+            buildCheck(
+                'withdrawal_recipient',
+                'fail',
+                'One or more withdrawal transfers target an address other than the user.'
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'withdrawal_recipient',
+            'pass',
+            'Proposal transactions decode to direct ERC20 transfers to the user.'
+        )
+    );
+
+    const explanation = parseStructuredProposalExplanation(envelope.explanation);
+    if (!explanation || explanation.kind !== verificationMetadata.proposalKind) {
+        checks.push(
+            buildCheck(
+                'explanation_kind',
+                'fail',
+                'Proposal explanation must be a structured JSON object with kind user_withdrawal and a description.'
+            )
+        );
+        return;
+    }
+    derivedFacts.explanationDescription = explanation.description;
+    checks.push(
+        buildCheck(
+            'explanation_kind',
+            'pass',
+            'Proposal explanation is a structured user_withdrawal explanation.'
+        )
+    );
+
+    if (!publicClient) {
+        checks.push(
+            buildCheck(
+                'onchain_evidence_available',
+                'unknown',
+                'A verification runtime was not available, so token decimals and withdrawal history could not be checked.'
+            )
+        );
+        return;
+    }
+
+    const withdrawalRestrictionsTemplate = findMatchedTemplate(
+        parsedRules,
+        'withdrawal_restrictions'
+    );
+    if (!priceOracle) {
+        if (withdrawalRestrictionsTemplate) {
+            checks.push(
+                buildCheck(
+                    'withdrawal_value',
+                    'unknown',
+                    'No price oracle is configured, so the withdrawal could not be valued independently of the signer.'
+                )
+            );
+        }
+        return;
+    }
+
+    // Priced at the last block at or before the signed request, the moment the user asked.
+    const tokenDecimalsCache = new Map();
+    const timestampSec = Math.floor(envelope.timestampMs / 1000);
+    let withdrawalValueUsdMicros = 0n;
+    let pricedAtBlock;
+    try {
+        for (const withdrawal of withdrawals) {
+            const price = await loadOraclePrice({
+                priceOracle,
+                asset: withdrawal.token,
+                timestampSec,
+                label: 'the withdrawal',
+            });
+            pricedAtBlock = price.blockNumber;
+            withdrawalValueUsdMicros += computeUsdValueMicros({
+                amountWei: withdrawal.amountWei,
+                decimals: await loadTokenDecimals({
+                    publicClient,
+                    token: withdrawal.token,
+                    cache: tokenDecimalsCache,
+                }),
+                priceMicros: price.priceUsdMicros,
+            });
+        }
+    } catch (error) {
+        checks.push(
+            buildCheck(
+                'withdrawal_value',
+                error instanceof VerificationUnknownError ? 'unknown' : 'fail',
+                error?.message ?? String(error)
+            )
+        );
+        return;
+    }
+    derivedFacts.withdrawalValueUsdMicros = withdrawalValueUsdMicros.toString();
+    derivedFacts.withdrawalPriceBlock = pricedAtBlock.toString();
+    checks.push(
+        buildCheck(
+            'withdrawal_value',
+            'pass',
+            `Every withdrawn token was priced by the price oracle at block ${pricedAtBlock}.`
+        )
+    );
+
+    if (withdrawalRestrictionsTemplate) {
+        await runTemplateCheck('withdrawal_restrictions', checks, () =>
+            verifyWithdrawalRestrictions({
+                template: withdrawalRestrictionsTemplate,
+                parsedRules,
+                envelope,
+                withdrawalValueUsdMicros,
+                publicClient,
+                storeRecords,
+                currentPublicationKey,
+                checks,
+                derivedFacts,
+            })
+        );
+    }
+}
+
+async function loadSafeTransferLogs({ publicClient, commitmentSafe, direction, fromBlock, toBlock }) {
+    try {
+        return await getLogsChunked({
+            publicClient,
+            event: erc20TransferEvent,
+            args: { [direction]: commitmentSafe },
+            fromBlock,
+            toBlock,
+        });
+    } catch (error) {
+        throw wrapVerificationUnknownError(
+            error,
+            `Safe ${direction === 'to' ? 'inbound' : 'outbound'} token transfers could not be loaded`
+        );
+    }
+}
+
+// Values every asset the Safe held at a block: native balance plus any ERC20 it ever received.
+// Native balances are priced under the oracle's `native` asset key.
+async function loadSafeValuationUsdMicros({
+    publicClient,
+    commitmentSafe,
+    fromBlock,
+    blockNumber,
+    priceOracle,
+    tokenDecimalsCache,
+    label,
+}) {
+    const inboundLogs = await loadSafeTransferLogs({
+        publicClient,
+        commitmentSafe,
+        direction: 'to',
+        fromBlock,
+        toBlock: blockNumber,
+    });
+    const holdings = [];
+    let nativeBalance;
+    try {
+        nativeBalance = BigInt(
+            await publicClient.getBalance({ address: commitmentSafe, blockNumber })
+        );
+    } catch (error) {
+        throw wrapVerificationUnknownError(
+            error,
+            `Native Safe balance could not be loaded for ${label}`
+        );
+    }
+    if (nativeBalance > 0n) {
+        holdings.push({ token: NATIVE_ASSET_ADDRESS, amountWei: nativeBalance, decimals: 18 });
+    }
+    const tokens = new Set(
+        inboundLogs.map((log) => normalizeAddressOrNull(log?.address)).filter(Boolean)
+    );
+    for (const token of Array.from(tokens).sort()) {
+        let balance;
+        try {
+            balance = BigInt(
+                await publicClient.readContract({
+                    address: token,
+                    abi: erc20Abi,
+                    functionName: 'balanceOf',
+                    args: [commitmentSafe],
+                    blockNumber,
+                })
+            );
+        } catch (error) {
+            throw wrapVerificationUnknownError(
+                error,
+                `Safe balance of ${token} could not be loaded for ${label}`
+            );
+        }
+        if (balance === 0n) {
+            continue;
+        }
+        holdings.push({
+            token,
+            amountWei: balance,
+            decimals: await loadTokenDecimals({ publicClient, token, cache: tokenDecimalsCache }),
+        });
+    }
+
+    let valueUsdMicros = 0n;
+    for (const holding of holdings) {
+        const price = await loadOraclePrice({
+            priceOracle,
+            asset: holding.token === NATIVE_ASSET_ADDRESS ? 'native' : holding.token,
+            blockNumber,
+            label,
+        });
+        valueUsdMicros += computeUsdValueMicros({
+            amountWei: holding.amountWei,
+            decimals: holding.decimals,
+            priceMicros: price.priceUsdMicros,
+        });
+    }
+    return valueUsdMicros;
+}
+
+// A performance period is only attributable to the agent when nobody but the agent moved ERC20
+// tokens in or out of the Safe; user deposits or withdrawals would otherwise count as gains.
+async function assertNoExternalSafeFlows({
+    publicClient,
+    commitmentSafe,
+    feeAgent,
+    fromBlock,
+    toBlock,
+    label,
+}) {
+    if (fromBlock > toBlock) {
+        return;
+    }
+    const [inboundLogs, outboundLogs] = await Promise.all(
+        ['to', 'from'].map((direction) =>
+            loadSafeTransferLogs({ publicClient, commitmentSafe, direction, fromBlock, toBlock })
+        )
+    );
+    const hasExternalFlow =
+        inboundLogs.some((log) => normalizeAddressOrNull(log?.args?.from) !== feeAgent) ||
+        outboundLogs.some((log) => normalizeAddressOrNull(log?.args?.to) !== feeAgent);
+    if (hasExternalFlow) {
+        throw new VerificationUnknownError(
+            `The Safe had deposits or withdrawals from addresses other than the agent during ${label}, so the performance gain cannot be attributed deterministically.`
+        );
+    }
+}
+
+async function findPriorFeePeriodClaims({
+    envelope,
+    feeType,
+    feePeriods,
+    storeRecords,
+    currentPublicationKey,
+    publicClient,
+    hasMultipleFeeTypes,
+}) {
+    const claimStatusByPeriod = new Map();
+    const recordClaim = (periods, status) => {
+        for (const periodIndex of periods) {
+            if (!feePeriods.includes(periodIndex)) {
+                continue;
+            }
+            if (claimStatusByPeriod.get(periodIndex) !== 'claimed') {
+                claimStatusByPeriod.set(periodIndex, status);
+            }
+        }
+    };
+    const knownProposalHashes = new Set();
+    const lifecycleCache = new Map();
+
+    for (const { record, envelope: recordEnvelope, verification } of listSameCommitmentRecords({
+        storeRecords,
+        envelope,
+        currentPublicationKey,
+        proposalKindId: PROPOSAL_KIND_IDS.AGENT_FEE_WITHDRAWAL,
+    })) {
+        const proposalHash = await resolveStoredProposalHash({
+            record,
+            envelope: recordEnvelope,
+            publicClient,
+        });
+        if (proposalHash) {
+            knownProposalHashes.add(proposalHash);
+        }
+        if (verification.feeType !== feeType) {
+            continue;
+        }
+        const lifecycle = await resolveStoredProposalLifecycle({
+            record,
+            envelope: recordEnvelope,
+            publicClient,
+            lifecycleCache,
+        });
+        if (lifecycle !== 'available') {
+            recordClaim(verification.feePeriods, lifecycle === 'unknown' ? 'unknown' : 'claimed');
+        }
+    }
+
+    const onchainProposals = await loadOnchainProposalHistory({
+        publicClient,
+        ogModule: envelope.ogModule,
+    });
+    for (const proposal of onchainProposals) {
+        if (
+            proposal.lifecycle === 'available' ||
+            proposal.explanation?.kind !== 'agent_fee_withdrawal' ||
+            knownProposalHashes.has(proposal.proposalHash)
+        ) {
+            continue;
+        }
+        // Onchain explanations do not say which fee they claim, so an overlap is only a definite
+        // double claim when the rules define a single fee.
+        recordClaim(
+            proposal.explanation.feePeriods,
+            proposal.lifecycle === 'unknown' || hasMultipleFeeTypes ? 'unknown' : 'claimed'
+        );
+    }
+
+    return claimStatusByPeriod;
+}
+
+async function verifyAgentFeeWithdrawal({
+    envelope,
+    parsedRules,
+    verificationMetadata,
+    publicClient,
+    storeRecords,
+    currentPublicationKey,
+    priceOracle,
+    checks,
+    derivedFacts,
+}) {
+    const { feeType, feePeriods } = verificationMetadata;
+    const feeTemplate = findMatchedTemplate(parsedRules, `${feeType}_fee`);
+    if (!feeTemplate?.params?.agentAddress) {
+        checks.push(
+            buildCheck(
+                'fee_rule_present',
+                'fail',
+                `The rules do not contain a parseable ${feeType === 'recurring' ? 'Recurring Fee' : 'Performance Fee'} template.`
+            )
+        );
+        return;
+    }
+    const standardPeriod = findMatchedTemplate(parsedRules, 'standard_period');
+    if (standardPeriod) {
+        // Fees accrue over the fee template's own period; a Standard Period that disagrees
+        // leaves the period length ambiguous.
+        if (standardPeriod.params.periodDays !== feeTemplate.params.periodDays) {
+            checks.push(
+                buildCheck(
+                    'fee_standard_period',
+                    'unknown',
+                    `The ${feeType === 'recurring' ? 'Recurring Fee' : 'Performance Fee'} period does not match the Standard Period, so the fee period length is ambiguous.`,
+                    {
+                        feePeriodDays: feeTemplate.params.periodDays,
+                        standardPeriodDays: standardPeriod.params.periodDays,
+                    }
+                )
+            );
+            return;
+        }
+        checks.push(
+            buildCheck(
+                'fee_standard_period',
+                'pass',
+                'The fee period matches the Standard Period.'
+            )
+        );
+    }
+
+    const feeAgent = feeTemplate.params.agentAddress;
+    derivedFacts.feeAgent = feeAgent;
+    derivedFacts.feeType = feeType;
+    const normalizedSignerAddress = normalizeAddressOrNull(envelope.address);
+    if (normalizedSignerAddress !== feeAgent) {
+        checks.push(
+            buildCheck(
+                'fee_agent_signer',
+                'fail',
+                'agent_fee_withdrawal proposals must be signed by the designated agent address from the fee rules.',
+                {
+                    signer: normalizedSignerAddress,
+                }
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'fee_agent_signer',
+            'pass',
+            'Proposal signer matches the designated agent address from the fee rules.'
+        )
+    );
+
+    let withdrawals;
+    try {
+        withdrawals = normalizeProposalTransfers(envelope, {
+            proposalKind: 'agent_fee_withdrawal',
+            transferLabel: 'fee withdrawal',
+        });
+    } catch (error) {
+        checks.push(
+            buildCheck('fee_withdrawal_transfers_decoded', 'fail', error?.message ?? String(error))
+        );
+        return;
+    }
+    if (withdrawals.some((withdrawal) => withdrawal.recipient !== feeAgent)) {
+        checks.push(
+            buildCheck(
+                'fee_withdrawal_recipient',
+                'fail',
+                'One or more fee withdrawal transfers target an address other than the designated agent.'
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'fee_withdrawal_recipient',
+            'pass',
+            'Proposal transactions decode to direct ERC20 transfers to the designated agent.'
+        )
+    );
+
+    const explanation = parseStructuredProposalExplanation(envelope.explanation);
+    const explanationMatchesMetadata =
+        explanation?.kind === verificationMetadata.proposalKind &&
+        explanation.feePeriods.length === feePeriods.length &&
+        explanation.feePeriods.every((periodIndex, index) => periodIndex === feePeriods[index]);
+    if (!explanationMatchesMetadata) {
+        checks.push(
+            buildCheck(
+                'explanation_fee_periods',
+                'fail',
+                'Proposal explanation must be a structured JSON object with kind agent_fee_withdrawal and feePeriods matching metadata.verification.feePeriods.'
+            )
+        );
+        return;
+    }
+    derivedFacts.explanationDescription = explanation.description;
+    checks.push(
+        buildCheck(
+            'explanation_fee_periods',
+            'pass',
+            'Proposal explanation names the same fee periods as the signed verification metadata.'
+        )
+    );
+
+    if (!publicClient) {
         checks.push(
             buildCheck(
-                'reimbursement_transfers_decoded',
+                'onchain_evidence_available',
+                'unknown',
+                'A verification runtime was not available, so period valuations and prior fee withdrawals could not be checked.'
+            )
+        );
+        return;
+    }
+
+    const claimStatusByPeriod = await findPriorFeePeriodClaims({
+        envelope,
+        feeType,
+        feePeriods,
+        storeRecords,
+        currentPublicationKey,
+        publicClient,
+        hasMultipleFeeTypes:
+            Boolean(findMatchedTemplate(parsedRules, 'recurring_fee')) &&
+            Boolean(findMatchedTemplate(parsedRules, 'performance_fee')),
+    });
+    const claimedPeriods = feePeriods.filter(
+        (periodIndex) => claimStatusByPeriod.get(periodIndex) === 'claimed'
+    );
+    if (claimedPeriods.length > 0) {
+        checks.push(
+            buildCheck(
+                'fee_period_double_claim',
                 'fail',
-                error?.message ?? String(error)
+                'At least one fee period is already claimed by a live or executed fee withdrawal.',
+                { feePeriods: claimedPeriods }
+            )
+        );
+        return;
+    }
+    if (claimStatusByPeriod.size > 0) {
+        checks.push(
+            buildCheck(
+                'fee_period_double_claim',
+                'unknown',
+                'At least one fee period is referenced by a fee withdrawal with an unresolved state.',
+                { feePeriods: Array.from(claimStatusByPeriod.keys()) }
             )
         );
         return;
     }
+    checks.push(
+        buildCheck(
+            'fee_period_double_claim',
+            'pass',
+            'No live or executed fee withdrawal already claims these fee periods.'
+        )
+    );
 
-    const wrongRecipients = reimbursements.filter(
-        (reimbursement) => reimbursement.recipient !== authorizedAgent
+    let latestBlock;
+    try {
+        latestBlock = await publicClient.getBlockNumber();
+    } catch (error) {
+        throw wrapVerificationUnknownError(error, 'Latest block could not be loaded');
+    }
+    const deploymentBlock = await resolveOgHistoryStartBlock({
+        publicClient,
+        ogModule: envelope.ogModule,
+        latestBlock,
+    });
+    const blockTimestampCache = new Map();
+    const commitmentStartSec = await loadBlockTimestampSec({
+        publicClient,
+        blockNumber: deploymentBlock,
+        cache: blockTimestampCache,
+    });
+    const latestTimestampSec = await loadBlockTimestampSec({
+        publicClient,
+        blockNumber: latestBlock,
+        cache: blockTimestampCache,
+    });
+    const periodSeconds = feeTemplate.params.periodDays * resolveDaySeconds(parsedRules);
+    const openPeriods = feePeriods.filter(
+        (periodIndex) => commitmentStartSec + (periodIndex + 1) * periodSeconds > latestTimestampSec
     );
-    if (wrongRecipients.length > 0) {
+    if (openPeriods.length > 0) {
         checks.push(
             buildCheck(
-                'authorized_agent_recipient',
+                'fee_periods_ended',
                 'fail',
-                'One or more reimbursement transfers target an address other than the authorized agent.',
-                {
-                    recipients: Array.from(
-                        new Set(wrongRecipients.map((entry) => entry.recipient))
-                    ),
-                }
+                'Fees can only be withdrawn for periods that have already ended.',
+                { feePeriods: openPeriods }
+            )
+        );
+        return;
+    }
+    checks.push(
+        buildCheck('fee_periods_ended', 'pass', 'Every claimed fee period has ended.')
+    );
+
+    // The agent gains from a high Safe valuation, so only oracle prices can value its fee.
+    if (!priceOracle) {
+        checks.push(
+            buildCheck(
+                'fee_withdrawal_value_ceiling',
+                'unknown',
+                'No price oracle is configured, so the Safe and the fee withdrawal could not be valued independently of the agent.'
+            )
+        );
+        return;
+    }
+
+    const resolveBoundaryBlock = async (timestampSec) => {
+        let blockNumber;
+        try {
+            blockNumber = await findBlockAtOrBeforeTimestamp({
+                publicClient,
+                timestampSec,
+                fromBlock: deploymentBlock,
+                toBlock: latestBlock,
+            });
+        } catch (error) {
+            throw wrapVerificationUnknownError(
+                error,
+                `The block at timestamp ${timestampSec} could not be resolved`
+            );
+        }
+        return blockNumber ?? deploymentBlock;
+    };
+
+    const tokenDecimalsCache = new Map();
+    const feeRateMicros = BigInt(feeTemplate.params.feeRateMicros);
+    const periodFacts = [];
+    let feesOwedUsdMicros = 0n;
+    for (const periodIndex of feePeriods) {
+        const periodStartSec = commitmentStartSec + periodIndex * periodSeconds;
+        const periodEndSec = periodStartSec + periodSeconds;
+        const endBlock = await resolveBoundaryBlock(periodEndSec);
+        const endValueUsdMicros = await loadSafeValuationUsdMicros({
+            publicClient,
+            commitmentSafe: envelope.commitmentSafe,
+            fromBlock: deploymentBlock,
+            blockNumber: endBlock,
+            priceOracle,
+            tokenDecimalsCache,
+            label: `the end of fee period ${periodIndex}`,
+        });
+        const periodFact = {
+            periodIndex,
+            periodStartSec,
+            periodEndSec,
+            endBlock: endBlock.toString(),
+            endValueUsdMicros: endValueUsdMicros.toString(),
+        };
+
+        let feeBaseUsdMicros = endValueUsdMicros;
+        if (feeType === 'performance') {
+            const startBlock = await resolveBoundaryBlock(periodStartSec);
+            await assertNoExternalSafeFlows({
+                publicClient,
+                commitmentSafe: envelope.commitmentSafe,
+                feeAgent,
+                fromBlock: startBlock + 1n,
+                toBlock: endBlock,
+                label: `fee period ${periodIndex}`,
+            });
+            const startValueUsdMicros = await loadSafeValuationUsdMicros({
+                publicClient,
+                commitmentSafe: envelope.commitmentSafe,
+                fromBlock: deploymentBlock,
+                blockNumber: startBlock,
+                priceOracle,
+                tokenDecimalsCache,
+                label: `the start of fee period ${periodIndex}`,
+            });
+            periodFact.startBlock = startBlock.toString();
+            periodFact.startValueUsdMicros = startValueUsdMicros.toString();
+            feeBaseUsdMicros =
+                endValueUsdMicros > startValueUsdMicros
+                    ? endValueUsdMicros - startValueUsdMicros
+                    : 0n;
+        }
+
+        // feeRateMicros is a percentage scaled by 1e6, so divide by 100 * 1e6.
+        const feeUsdMicros = (feeBaseUsdMicros * feeRateMicros) / 100_000_000n;
+        periodFact.feeUsdMicros = feeUsdMicros.toString();
+        periodFacts.push(periodFact);
+        feesOwedUsdMicros += feeUsdMicros;
+    }
+    derivedFacts.feePeriods = periodFacts;
+    derivedFacts.feesOwedUsdMicros = feesOwedUsdMicros.toString();
+
+    // Withdrawn tokens are priced at the last block at or before the signed request.
+    const requestTimestampSec = Math.floor(envelope.timestampMs / 1000);
+    let withdrawalValueUsdMicros = 0n;
+    for (const withdrawal of withdrawals) {
+        const price = await loadOraclePrice({
+            priceOracle,
+            asset: withdrawal.token,
+            timestampSec: requestTimestampSec,
+            label: 'the fee withdrawal',
+        });
+        withdrawalValueUsdMicros += computeUsdValueMicros({
+            amountWei: withdrawal.amountWei,
+            decimals: await loadTokenDecimals({
+                publicClient,
+                token: withdrawal.token,
+                cache: tokenDecimalsCache,
+            }),
+            priceMicros: price.priceUsdMicros,
+        });
+    }
+    derivedFacts.withdrawalValueUsdMicros = withdrawalValueUsdMicros.toString();
+    if (withdrawalValueUsdMicros > feesOwedUsdMicros) {
+        checks.push(
+            buildCheck(
+                'fee_withdrawal_value_ceiling',
+                'fail',
+                'The fee withdrawal is worth more than the fees accrued in the claimed periods.'
             )
         );
         return;
     }
     checks.push(
         buildCheck(
-            'authorized_agent_recipient',
+            'fee_withdrawal_value_ceiling',
             'pass',
-            'All reimbursement transfers target the authorized agent.'
+            'The fee withdrawal is worth no more than the fees accrued in the claimed periods.'
         )
     );
+}
 
-    const explanation = parseStructuredProposalExplanation(envelope.explanation, {
-        requireDepositTxHashes: true,
+const GOVERNANCE_PROPOSAL_KINDS = new Set(
+    Object.keys(GOVERNANCE_ACTION_BY_KIND_ID).map(
+        (proposalKindId) => PROPOSAL_KIND_NAME_BY_ID[proposalKindId]
+    )
+);
+
+// A rule update is exactly one setRules(...) call on the OG module itself.
+function decodeRuleUpdateTransactions({ transactions, ogModule }) {
+    if (transactions.length !== 1) {
+        throw new Error('rule_update proposals must contain exactly one transaction.');
+    }
+    const [transaction] = transactions;
+    if (
+        normalizeAddressOrNull(transaction.to) !== normalizeAddressOrNull(ogModule) ||
+        BigInt(transaction.value ?? 0) !== 0n ||
+        Number(transaction.operation ?? 0) !== 0
+    ) {
+        throw new Error(
+            'rule_update proposals must call the OG module with zero value and operation 0.'
+        );
+    }
+    let decoded;
+    try {
+        decoded = decodeFunctionData({ abi: optimisticGovernorAbi, data: transaction.data });
+    } catch (error) {
+        throw new Error('rule_update transaction calldata could not be decoded.');
+    }
+    if (decoded.functionName !== 'setRules' || !String(decoded.args?.[0] ?? '').trim()) {
+        throw new Error('rule_update transaction must call setRules(...) with non-empty rules.');
+    }
+    return decoded.args[0];
+}
+
+// Returns the explanation signers whose signatures recover over the action message, or null
+// when the explanation cannot carry a governance action or any signature is forged.
+async function recoverGovernanceSigners({ explanation, action, chainId, ogModule, rulesHash }) {
+    if (!explanation || explanation.issuedAtMs === null || explanation.signatures.length === 0) {
+        return null;
+    }
+    const message = buildGovernanceActionMessage({
+        action,
+        chainId,
+        ogModule,
+        issuedAtMs: explanation.issuedAtMs,
+        rulesHash,
     });
-    if (!explanation || explanation.kind !== verificationMetadata.proposalKind) {
+    const signers = [];
+    for (const { signer, signature } of explanation.signatures) {
+        let recoveredSigner = null;
+        try {
+            recoveredSigner = normalizeAddressOrNull(
+                await recoverMessageAddress({ message, signature })
+            );
+        } catch (error) {
+            recoveredSigner = null;
+        }
+        if (recoveredSigner !== signer) {
+            return null;
+        }
+        signers.push(signer);
+    }
+    return signers;
+}
+
+// Rebuilds governance state from the OG module's proposal history. Only proposals signed by a
+// currently authorized guardian or recovery signer count, so forged proposals cannot move the
+// replay floor or toggle the paused state.
+async function loadGovernanceHistory({ publicClient, envelope, pauseParams, authorizedSigners }) {
+    const proposals = await loadOnchainProposalHistory({
+        publicClient,
+        ogModule: envelope.ogModule,
+    });
+    let latestIssuedAtMs = null;
+    let hasUnresolvedPauseAction = false;
+    const executedPauseActions = [];
+
+    for (const proposal of proposals) {
+        const kind = proposal.explanation?.kind;
+        if (!GOVERNANCE_PROPOSAL_KINDS.has(kind) || proposal.lifecycle === 'available') {
+            continue;
+        }
+        const action = GOVERNANCE_ACTION_BY_KIND_ID[PROPOSAL_KIND_ID_BY_NAME.get(kind)];
+        let rulesHash = null;
+        if (action === 'rule_update') {
+            try {
+                rulesHash = computeRulesHash(
+                    decodeRuleUpdateTransactions({
+                        transactions: proposal.transactions,
+                        ogModule: envelope.ogModule,
+                    })
+                );
+            } catch (error) {
+                continue;
+            }
+        }
+        const signers = await recoverGovernanceSigners({
+            explanation: proposal.explanation,
+            action,
+            chainId: envelope.chainId,
+            ogModule: envelope.ogModule,
+            rulesHash,
+        });
+        if (!signers?.some((signer) => authorizedSigners.has(signer))) {
+            continue;
+        }
+        if (latestIssuedAtMs === null || proposal.explanation.issuedAtMs > latestIssuedAtMs) {
+            latestIssuedAtMs = proposal.explanation.issuedAtMs;
+        }
+
+        if (action === 'rule_update' || !pauseParams) {
+            continue;
+        }
+        const guardian =
+            action === 'pause' ? pauseParams.pauseGuardian : pauseParams.unpauseGuardian;
+        if (!signers.includes(guardian)) {
+            continue;
+        }
+        if (proposal.lifecycle === 'unknown') {
+            hasUnresolvedPauseAction = true;
+        } else if (proposal.lifecycle === 'consumed') {
+            executedPauseActions.push({
+                action,
+                executedBlockNumber: BigInt(proposal.executedBlockNumber ?? 0n),
+                issuedAtMs: proposal.explanation.issuedAtMs,
+            });
+        }
+    }
+
+    executedPauseActions.sort((left, right) => {
+        if (left.executedBlockNumber !== right.executedBlockNumber) {
+            return left.executedBlockNumber < right.executedBlockNumber ? -1 : 1;
+        }
+        return left.issuedAtMs - right.issuedAtMs;
+    });
+    return {
+        latestIssuedAtMs,
+        paused: hasUnresolvedPauseAction ? null : executedPauseActions.at(-1)?.action === 'pause',
+    };
+}
+
+function collectAuthorizedGovernanceSigners(parsedRules) {
+    const pauseParams = findMatchedTemplate(parsedRules, 'commitment_pause')?.params;
+    const recoveryParams = findMatchedTemplate(
+        parsedRules,
+        'account_recovery_and_rule_updates'
+    )?.params;
+    return new Set(
+        [
+            pauseParams?.pauseGuardian,
+            pauseParams?.unpauseGuardian,
+            ...(recoveryParams?.signers ?? []),
+        ].filter(Boolean)
+    );
+}
+
+async function verifyGovernanceExplanation({
+    envelope,
+    verificationMetadata,
+    action,
+    rulesHash = null,
+    checks,
+    derivedFacts,
+}) {
+    const explanation = parseStructuredProposalExplanation(envelope.explanation);
+    const signers =
+        explanation?.kind === verificationMetadata.proposalKind
+            ? await recoverGovernanceSigners({
+                  explanation,
+                  action,
+                  chainId: envelope.chainId,
+                  ogModule: envelope.ogModule,
+                  rulesHash,
+              })
+            : null;
+    if (!signers) {
         checks.push(
             buildCheck(
-                'explanation_references',
+                'explanation_signatures',
                 'fail',
-                'Proposal explanation must be a structured JSON object with kind, description, and depositTxHashes for agent_proxy_reimbursement.'
+                `Proposal explanation must be a structured JSON object with kind ${verificationMetadata.proposalKind}, an issuedAtMs, and signatures that recover to their listed signers over the "${action}" action message.`
+            )
+        );
+        return null;
+    }
+    derivedFacts.explanationDescription = explanation.description;
+    derivedFacts.governanceIssuedAtMs = explanation.issuedAtMs;
+    derivedFacts.governanceSigners = signers;
+    return { explanation, signers };
+}
+
+async function verifyGovernanceHistory({
+    envelope,
+    parsedRules,
+    publicClient,
+    issuedAtMs,
+    checks,
+    derivedFacts,
+}) {
+    if (!publicClient) {
+        checks.push(
+            buildCheck(
+                'onchain_evidence_available',
+                'unknown',
+                'A verification runtime was not available, so prior governance proposals could not be checked.'
+            )
+        );
+        return null;
+    }
+    const history = await loadGovernanceHistory({
+        publicClient,
+        envelope,
+        pauseParams: findMatchedTemplate(parsedRules, 'commitment_pause')?.params ?? null,
+        authorizedSigners: collectAuthorizedGovernanceSigners(parsedRules),
+    });
+    if (history.latestIssuedAtMs !== null && issuedAtMs <= history.latestIssuedAtMs) {
+        checks.push(
+            buildCheck(
+                'governance_replay',
+                'fail',
+                'Governance signatures must be issued after every live or executed governance proposal for this OG module.',
+                { latestIssuedAtMs: history.latestIssuedAtMs }
+            )
+        );
+        return null;
+    }
+    checks.push(
+        buildCheck(
+            'governance_replay',
+            'pass',
+            'Governance signatures are newer than every live or executed governance proposal for this OG module.'
+        )
+    );
+    derivedFacts.paused = history.paused;
+    return history;
+}
+
+async function verifyCommitmentPauseAction({
+    envelope,
+    parsedRules,
+    verificationMetadata,
+    publicClient,
+    checks,
+    derivedFacts,
+}) {
+    const action = GOVERNANCE_ACTION_BY_KIND_ID[verificationMetadata.proposalKindId];
+    const pauseParams = findMatchedTemplate(parsedRules, 'commitment_pause')?.params;
+    if (!pauseParams) {
+        checks.push(
+            buildCheck(
+                'pause_rule_present',
+                'fail',
+                'The rules do not contain a parseable Commitment Pause template.'
             )
         );
         return;
     }
-    const explanationDepositTxHashes = explanation.depositTxHashes;
-    const metadataDepositTxHashes = verificationMetadata.depositTxHashes;
-    const explanationMatchesMetadata =
-        explanationDepositTxHashes.length === metadataDepositTxHashes.length &&
-        explanationDepositTxHashes.every(
-            (depositTxHash, index) => depositTxHash === metadataDepositTxHashes[index]
+
+    const guardian = action === 'pause' ? pauseParams.pauseGuardian : pauseParams.unpauseGuardian;
+    derivedFacts.guardian = guardian;
+    const normalizedSignerAddress = normalizeAddressOrNull(envelope.address);
+    if (normalizedSignerAddress !== guardian) {
+        checks.push(
+            buildCheck(
+                'governance_signer',
+                'fail',
+                `${verificationMetadata.proposalKind} proposals must be signed by the ${action} guardian from the Commitment Pause rules.`,
+                {
+                    signer: normalizedSignerAddress,
+                }
+            )
         );
-    if (!explanationMatchesMetadata) {
+        return;
+    }
+    checks.push(
+        buildCheck(
+            'governance_signer',
+            'pass',
+            `Proposal signer matches the ${action} guardian from the Commitment Pause rules.`
+        )
+    );
+
+    if (envelope.transactions.length !== 0) {
         checks.push(
             buildCheck(
-                'explanation_references',
+                'governance_transactions_empty',
                 'fail',
-                'Proposal explanation depositTxHashes do not match signed metadata.verification.depositTxHashes.'
+                `${verificationMetadata.proposalKind} proposals must contain no transactions.`
             )
         );
         return;
     }
-    derivedFacts.explanationDescription = explanation.description;
     checks.push(
         buildCheck(
-            'explanation_references',
+            'governance_transactions_empty',
             'pass',
-            'Proposal explanation includes structured deposit references that match the signed verification metadata.'
+            'Proposal contains no transactions.'
         )
     );
 
-    if (!publicClient) {
+    const verifiedExplanation = await verifyGovernanceExplanation({
+        envelope,
+        verificationMetadata,
+        action,
+        checks,
+        derivedFacts,
+    });
+    if (!verifiedExplanation) {
+        return;
+    }
+    if (!verifiedExplanation.signers.includes(guardian)) {
         checks.push(
             buildCheck(
-                'onchain_evidence_available',
-                'unknown',
-                'A verification runtime was not available, so deposit receipts and token decimals could not be checked.'
+                'explanation_signatures',
+                'fail',
+                `Proposal explanation does not include a signature from the ${action} guardian.`
             )
         );
         return;
     }
+    checks.push(
+        buildCheck(
+            'explanation_signatures',
+            'pass',
+            `Proposal explanation includes the ${action} guardian's signed "${action}" message.`
+        )
+    );
 
-    const depositStatuses = await resolveReferencedDepositStatuses({
-        depositTxHashes: verificationMetadata.depositTxHashes,
-        storeRecords,
-        chainId: envelope.chainId,
-        currentPublicationKey,
+    const history = await verifyGovernanceHistory({
+        envelope,
+        parsedRules,
         publicClient,
-        commitmentSafe: envelope.commitmentSafe,
-        ogModule: envelope.ogModule,
-        authorizedAgent,
-        currentRulesHash: verificationMetadata.rulesHash,
+        issuedAtMs: verifiedExplanation.explanation.issuedAtMs,
+        checks,
+        derivedFacts,
     });
-    const referencedDeposits = [];
-    let hasUnavailableDeposit = false;
-    let hasUnknownDepositState = false;
-
-    for (const depositTxHash of verificationMetadata.depositTxHashes) {
-        const status = depositStatuses.get(depositTxHash) ?? 'available';
-        referencedDeposits.push({
-            depositTxHash,
-            statusBeforeVerification: status,
-        });
-        if (status === 'reserved' || status === 'consumed') {
-            hasUnavailableDeposit = true;
-        } else if (status === 'unknown') {
-            hasUnknownDepositState = true;
-        }
+    if (!history) {
+        return;
     }
-    derivedFacts.referencedDeposits = referencedDeposits;
-    if (hasUnavailableDeposit) {
+    if (history.paused === null) {
         checks.push(
             buildCheck(
-                'deposit_reuse',
-                'fail',
-                'At least one referenced deposit is already reserved by a live proposal or consumed by an executed proposal.'
+                'pause_state',
+                'unknown',
+                'A pause or unpause proposal has an unresolved onchain state, so the current paused state is unknown.'
             )
         );
         return;
     }
-    if (hasUnknownDepositState) {
+    if (history.paused === (action === 'pause')) {
         checks.push(
             buildCheck(
-                'deposit_reuse',
-                'unknown',
-                'At least one referenced deposit has an unresolved proposal lifecycle state.'
+                'pause_state',
+                'fail',
+                `The commitment is already ${history.paused ? 'paused' : 'unpaused'}.`
             )
         );
         return;
     }
     checks.push(
         buildCheck(
-            'deposit_reuse',
+            'pause_state',
             'pass',
-            'All referenced deposits are currently available for reimbursement.'
+            `The commitment is currently ${history.paused ? 'paused' : 'unpaused'}, so it may be ${action}d.`
         )
     );
+}
 
-    const proposalTotalsByToken = sumAmountsByToken(reimbursements);
-    const allocatedTotalsByToken = new Map();
-    const tokenDecimalsCache = new Map();
-    let aggregateDepositUsdMicros = 0n;
-    let aggregateAllocatedUsdMicros = 0n;
-
-    for (const depositTxHash of verificationMetadata.depositTxHashes) {
-        const depositEvidence = await resolveDepositReceiptEvidence({
-            publicClient,
-            depositTxHash,
-            agentAddress: authorizedAgent,
-            commitmentSafe: envelope.commitmentSafe,
-        });
-        const snapshot = verificationMetadata.depositPriceSnapshots.get(depositTxHash);
-        const allocation = verificationMetadata.reimbursementAllocations.get(depositTxHash);
-        const depositDecimals = await loadTokenDecimals({
-            publicClient,
-            token: depositEvidence.token,
-            cache: tokenDecimalsCache,
-        });
-        const depositUsdMicros = computeUsdValueMicros({
-            amountWei: depositEvidence.amountWei,
-            decimals: depositDecimals,
-            priceMicros: snapshot.depositAssetPriceUsdMicros,
-        });
-
-        let allocatedUsdMicros = 0n;
-        for (const reimbursement of allocation) {
-            const tokenDecimals = await loadTokenDecimals({
-                publicClient,
-                token: reimbursement.token,
-                cache: tokenDecimalsCache,
-            });
-            const reimbursementPriceUsdMicros =
-                snapshot.reimbursementAssetPricesUsdMicros[reimbursement.token];
-            if (!reimbursementPriceUsdMicros) {
-                throw new Error(
-                    `No reimbursementAssetPricesUsdMicros entry exists for token ${reimbursement.token} in deposit snapshot ${depositTxHash}.`
-                );
-            }
-            allocatedUsdMicros += computeUsdValueMicros({
-                amountWei: reimbursement.amountWei,
-                decimals: tokenDecimals,
-                priceMicros: reimbursementPriceUsdMicros,
-            });
-            allocatedTotalsByToken.set(
-                reimbursement.token,
-                (allocatedTotalsByToken.get(reimbursement.token) ?? 0n) +
-                    BigInt(reimbursement.amountWei)
-            );
-        }
-
-        aggregateDepositUsdMicros += depositUsdMicros;
-        aggregateAllocatedUsdMicros += allocatedUsdMicros;
-
-        const referencedDeposit = referencedDeposits.find(
-            (entry) => entry.depositTxHash === depositTxHash
+async function verifyRuleUpdate({
+    envelope,
+    parsedRules,
+    verificationMetadata,
+    publicClient,
+    checks,
+    derivedFacts,
+}) {
+    const recoveryParams = findMatchedTemplate(
+        parsedRules,
+        'account_recovery_and_rule_updates'
+    )?.params;
+    if (!recoveryParams) {
+        checks.push(
+            buildCheck(
+                'rule_update_rule_present',
+                'fail',
+                'The rules do not contain a parseable Account Recovery and Rule Updates template.'
+            )
         );
-        Object.assign(referencedDeposit, {
-            depositToken: depositEvidence.token,
-            depositAmountWei: depositEvidence.amountWei,
-            depositUsdMicros: depositUsdMicros.toString(),
-            allocatedUsdMicros: allocatedUsdMicros.toString(),
-            statusAfterExecution: 'consumed',
-        });
-
-        if (allocatedUsdMicros > depositUsdMicros) {
-            checks.push(
-                buildCheck(
-                    'whole_batch_value_ceiling',
-                    'fail',
-                    `Allocated reimbursement value for deposit ${depositTxHash} exceeds that deposit's deposit-time value ceiling.`
-                )
-            );
-            return;
-        }
+        return;
     }
 
-    if (!mapsEqualBigIntAmounts(proposalTotalsByToken, allocatedTotalsByToken)) {
+    const recoverySigners = new Set(recoveryParams.signers);
+    const normalizedSignerAddress = normalizeAddressOrNull(envelope.address);
+    if (!recoverySigners.has(normalizedSignerAddress)) {
         checks.push(
             buildCheck(
-                'allocation_matches_transactions',
+                'governance_signer',
                 'fail',
-                'Signed reimbursement allocations do not sum to the proposal transactions.'
+                'rule_update proposals must be signed by one of the recovery signers from the Account Recovery and Rule Updates rules.',
+                {
+                    signer: normalizedSignerAddress,
+                }
             )
         );
         return;
     }
     checks.push(
         buildCheck(
-            'allocation_matches_transactions',
+            'governance_signer',
             'pass',
-            'Signed reimbursement allocations sum exactly to the proposal transactions.'
+            'Proposal signer is one of the recovery signers.'
         )
     );
 
-    derivedFacts.totalBatchDepositValueUsdMicros = aggregateDepositUsdMicros.toString();
-    derivedFacts.reimbursementValueUsdMicros = aggregateAllocatedUsdMicros.toString();
-    derivedFacts.roundingShortfallUsdMicros = (
-        aggregateDepositUsdMicros > aggregateAllocatedUsdMicros
-            ? aggregateDepositUsdMicros - aggregateAllocatedUsdMicros
-            : 0n
-    ).toString();
+    let newRulesHash;
+    try {
+        newRulesHash = computeRulesHash(
+            decodeRuleUpdateTransactions({
+                transactions: envelope.transactions,
+                ogModule: envelope.ogModule,
+            })
+        );
+    } catch (error) {
+        checks.push(buildCheck('rule_update_transaction', 'fail', error?.message ?? String(error)));
+        return;
+    }
+    derivedFacts.newRulesHash = newRulesHash;
+    checks.push(
+        buildCheck(
+            'rule_update_transaction',
+            'pass',
+            'Proposal transaction calls setRules(...) on the OG module.'
+        )
+    );
 
+    const verifiedExplanation = await verifyGovernanceExplanation({
+        envelope,
+        verificationMetadata,
+        action: 'rule_update',
+        rulesHash: newRulesHash,
+        checks,
+        derivedFacts,
+    });
+    if (!verifiedExplanation) {
+        return;
+    }
+    const outsideSigners = verifiedExplanation.signers.filter(
+        (signer) => !recoverySigners.has(signer)
+    );
+    if (outsideSigners.length > 0) {
+        checks.push(
+            buildCheck(
+                'explanation_signatures',
+                'fail',
+                'Proposal explanation includes signatures from addresses that are not recovery signers.',
+                { signers: outsideSigners }
+            )
+        );
+        return;
+    }
+    if (verifiedExplanation.signers.length < recoveryParams.requiredSigners) {
+        checks.push(
+            buildCheck(
+                'explanation_signatures',
+                'fail',
+                `Rule updates need signatures from ${recoveryParams.requiredSigners} of ${recoveryParams.totalSigners} recovery signers; found ${verifiedExplanation.signers.length}.`
+            )
+        );
+        return;
+    }
     checks.push(
         buildCheck(
-            'whole_batch_value_ceiling',
+            'explanation_signatures',
             'pass',
-            'Allocated reimbursement value does not exceed the aggregate deposit-time value of the referenced deposit batch.'
+            `Proposal explanation carries ${verifiedExplanation.signers.length} of the ${recoveryParams.requiredSigners} required recovery signer signatures over the new rules hash.`
         )
     );
+
+    // Commitment Pause explicitly allows rule updates during a pause, so paused state is only
+    // reported, not enforced.
+    await verifyGovernanceHistory({
+        envelope,
+        parsedRules,
+        publicClient,
+        issuedAtMs: verifiedExplanation.explanation.issuedAtMs,
+        checks,
+        derivedFacts,
+    });
 }
 
 async function verifyProposal({
@@ -1475,6 +3682,9 @@ async function verifyProposal({
     publicClient = undefined,
     storeRecords = [],
     currentPublicationKey = null,
+    priceOracle = null,
+    priceSnapshotToleranceBps = 100,
+    tokenSymbolAddresses = {},
     nowMs = Date.now(),
 } = {}) {
     const normalizedEnvelope = buildSignedProposalEnvelope(envelope);
@@ -1640,6 +3850,9 @@ async function verifyProposal({
                 publicClient,
                 storeRecords,
                 currentPublicationKey,
+                priceOracle,
+                priceSnapshotToleranceBps,
+                tokenSymbolAddresses,
                 checks,
                 derivedFacts,
             });
@@ -1653,6 +3866,76 @@ async function verifyProposal({
             );
         }
     }
+    if (GOVERNANCE_ACTION_BY_KIND_ID[verificationMetadata.proposalKindId] && rules) {
+        const verifyGovernanceProposal =
+            verificationMetadata.proposalKindId === PROPOSAL_KIND_IDS.RULE_UPDATE
+                ? verifyRuleUpdate
+                : verifyCommitmentPauseAction;
+        try {
+            await verifyGovernanceProposal({
+                envelope: normalizedEnvelope,
+                parsedRules: rules,
+                verificationMetadata,
+                publicClient,
+                checks,
+                derivedFacts,
+            });
+        } catch (error) {
+            checks.push(
+                buildCheck(
+                    verificationMetadata.proposalKind,
+                    error instanceof VerificationUnknownError ? 'unknown' : 'fail',
+                    error?.message ?? String(error)
+                )
+            );
+        }
+    }
+    if (verificationMetadata.proposalKindId === PROPOSAL_KIND_IDS.AGENT_FEE_WITHDRAWAL && rules) {
+        try {
+            await verifyAgentFeeWithdrawal({
+                envelope: normalizedEnvelope,
+                parsedRules: rules,
+                verificationMetadata,
+                publicClient,
+                storeRecords,
+                currentPublicationKey,
+                priceOracle,
+                checks,
+                derivedFacts,
+            });
+        } catch (error) {
+            checks.push(
+                buildCheck(
+                    'agent_fee_withdrawal',
+                    error instanceof VerificationUnknownError ? 'unknown' : 'fail',
+                    error?.message ?? String(error)
+                )
+            );
+        }
+    }
+    if (verificationMetadata.proposalKindId === PROPOSAL_KIND_IDS.USER_WITHDRAWAL && rules) {
+        try {
+            await verifyUserWithdrawal({
+                envelope: normalizedEnvelope,
+                parsedRules: rules,
+                verificationMetadata,
+                publicClient,
+                storeRecords,
+                currentPublicationKey,
+                priceOracle,
+                checks,
+                derivedFacts,
+            });
+        } catch (error) {
+            checks.push(
+                buildCheck(
+                    'user_withdrawal',
+                    error instanceof VerificationUnknownError ? 'unknown' : 'fail',
+                    error?.message ?? String(error)
+                )
+            );
+        }
+    }
 
     let status = 'valid';
     if (checks.some((check) => check.status === 'fail')) {
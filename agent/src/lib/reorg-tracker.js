@@ -0,0 +1,161 @@
+import { logger } from './logger.js';
+
+function normalizeHash(value) {
+    return typeof value === 'string' && value ? value.toLowerCase() : null;
+}
+
+async function readCanonicalBlockHash({ publicClient, blockNumber }) {
+    try {
+        const block = await publicClient.getBlock({ blockNumber });
+        return normalizeHash(block?.hash);
+    } catch (error) {
+        // A block past the new head is gone from the canonical chain.
+        const name = String(error?.name ?? '');
+        const message = String(error?.shortMessage ?? error?.message ?? '').toLowerCase();
+        if (name.includes('BlockNotFoundError') || message.includes('could not be found')) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Tracks the hashes of recently scanned blocks and the events ingested from them. Each poll
+ * compares the highest tracked hash with the canonical chain; on a mismatch it walks down to the
+ * last block that still matches and retracts every event recorded above it.
+ */
+function createReorgTracker({ publicClient, trackingDepth = 64 }) {
+    const depth = BigInt(trackingDepth);
+    const hashesByBlock = new Map();
+    const events = [];
+
+    function noteBlockHash({ blockNumber, blockHash }) {
+        const hash = normalizeHash(blockHash);
+        if (blockNumber === undefined || blockNumber === null || !hash) {
+            return;
+        }
+        const key = BigInt(blockNumber);
+        // Keep the first hash seen so a conflicting later log surfaces as a reorg on the next check.
+        if (!hashesByBlock.has(key)) {
+            hashesByBlock.set(key, hash);
+        }
+    }
+
+    async function observeBlock(blockNumber) {
+        if (blockNumber === undefined || blockNumber === null) {
+            return;
+        }
+        const key = BigInt(blockNumber);
+        if (hashesByBlock.has(key)) {
+            return;
+        }
+        const hash = await readCanonicalBlockHash({ publicClient, blockNumber: key });
+        if (hash) {
+            hashesByBlock.set(key, hash);
+        }
+    }
+
+    /**
+     * Records ingested events for retraction. Each event needs `kind` and `blockNumber`; a
+     * `blockHash`, when present, is tracked alongside the scanned block hashes.
+     */
+    function recordEvents(nextEvents) {
+        for (const event of nextEvents ?? []) {
+            if (event?.blockNumber === undefined || event?.blockNumber === null) {
+                continue;
+            }
+            noteBlockHash(event);
+            events.push({ ...event, blockNumber: BigInt(event.blockNumber) });
+        }
+    }
+
+    function prune(headBlock) {
+        if (headBlock === undefined || headBlock === null) {
+            return;
+        }
+        const floor = BigInt(headBlock) - depth;
+        for (const blockNumber of hashesByBlock.keys()) {
+            if (blockNumber <= floor) {
+                hashesByBlock.delete(blockNumber);
+            }
+        }
+        for (let index = events.length - 1; index >= 0; index -= 1) {
+            if (events[index].blockNumber <= floor) {
+                events.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Returns null when the highest tracked block is still canonical. Otherwise returns
+     * `{ commonAncestorBlock, retractedEvents }`, where `commonAncestorBlock` is the highest
+     * tracked block that still matches (or one below the lowest tracked block when none match),
+     * and forgets everything above it.
+     */
+    async function detectReorg() {
+        const tracked = [...hashesByBlock.keys()].sort((left, right) =>
+            left < right ? 1 : left > right ? -1 : 0
+        );
+        if (tracked.length === 0) {
+            return null;
+        }
+
+        let commonAncestorBlock;
+        for (const [index, blockNumber] of tracked.entries()) {
+            const canonicalHash = await readCanonicalBlockHash({ publicClient, blockNumber });
+            if (canonicalHash === hashesByBlock.get(blockNumber)) {
+                if (index === 0) {
+                    return null;
+                }
+                commonAncestorBlock = blockNumber;
+                break;
+            }
+        }
+        if (commonAncestorBlock === undefined) {
+            const lowest = tracked[tracked.length - 1];
+            commonAncestorBlock = lowest > 0n ? lowest - 1n : 0n;
+            logger.warn(
+                `[agent] Reorg reaches below the ${tracked.length} tracked block(s); rewinding to block ${commonAncestorBlock.toString()}.`
+            );
+        }
+
+        for (const blockNumber of tracked) {
+            if (blockNumber > commonAncestorBlock) {
+                hashesByBlock.delete(blockNumber);
+            }
+        }
+        const retractedEvents = [];
+        for (let index = 0; index < events.length; ) {
+            if (events[index].blockNumber > commonAncestorBlock) {
+                retractedEvents.push(...events.splice(index, 1));
+            } else {
+                index += 1;
+            }
+        }
+        return { commonAncestorBlock, retractedEvents };
+    }
+
+    function getBlockHashes() {
+        return [...hashesByBlock.entries()]
+            .sort(([left], [right]) => (left < right ? -1 : left > right ? 1 : 0))
+            .map(([blockNumber, blockHash]) => ({ blockNumber, blockHash }));
+    }
+
+    function restoreBlockHashes(entries) {
+        for (const entry of entries ?? []) {
+            noteBlockHash(entry);
+        }
+    }
+
+    return {
+        noteBlockHash,
+        observeBlock,
+        recordEvents,
+        prune,
+        detectReorg,
+        getBlockHashes,
+        restoreBlockHashes,
+    };
+}
+
+export { createReorgTracker };
@@ -0,0 +1,460 @@
+import { custom, http, keccak256 } from 'viem';
+import { stringifyCanonicalJson } from './canonical-json.js';
+import { logger } from './logger.js';
+
+const DEFAULT_COOLDOWN_MS = 5_000;
+const MAX_COOLDOWN_MS = 300_000;
+const HEALTH_DECAY = 0.8;
+
+// Errors every healthy provider returns for the same request; retrying elsewhere only burns quota.
+const DETERMINISTIC_ERROR_CODES = new Set([3, 4001, 5000, -32003]);
+const DETERMINISTIC_ERROR_PATTERN = new RegExp(
+    [
+        'execution reverted',
+        'nonce too low',
+        'already known',
+        'replacement transaction underpriced',
+        'insufficient funds',
+    ].join('|'),
+    'i'
+);
+const ALREADY_KNOWN_PATTERN = /already known|known transaction/i;
+
+function defaultSleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isAlreadyKnownError(error) {
+    for (let current = error; current; current = current.cause) {
+        const message = `${current.shortMessage ?? ''} ${current.details ?? ''} ${current.message ?? ''}`;
+        if (ALREADY_KNOWN_PATTERN.test(message)) {
+            return true;
+        }
+        if (current.cause === current) {
+            break;
+        }
+    }
+    return false;
+}
+
+function describeEndpoint(url, index) {
+    // Provider URLs often embed API keys; only the host goes to logs and errors.
+    try {
+        return new URL(url).host || `endpoint #${index + 1}`;
+    } catch (error) {
+        return `endpoint #${index + 1}`;
+    }
+}
+
+function isDeterministicRpcError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (typeof current.code === 'number' && DETERMINISTIC_ERROR_CODES.has(current.code)) {
+            return true;
+        }
+        const message = `${current.shortMessage ?? ''} ${current.details ?? ''} ${current.message ?? ''}`;
+        if (DETERMINISTIC_ERROR_PATTERN.test(message)) {
+            return true;
+        }
+        if (current.cause === current) {
+            break;
+        }
+    }
+    return false;
+}
+
+function projectLog(log) {
+    return {
+        address: log.address?.toLowerCase(),
+        topics: (log.topics ?? []).map((topic) => topic.toLowerCase()),
+        data: log.data?.toLowerCase(),
+        blockHash: log.blockHash?.toLowerCase(),
+        transactionHash: log.transactionHash?.toLowerCase(),
+        logIndex: log.logIndex,
+    };
+}
+
+// Providers add or omit non-consensus fields (`totalDifficulty`, L2 fee fields, log
+// `blockTimestamp`), so quorum compares only the consensus fields of these results.
+const QUORUM_PROJECTIONS = Object.freeze({
+    eth_getBlockByNumber: (block) => ({
+        hash: block.hash?.toLowerCase(),
+        number: block.number,
+        timestamp: block.timestamp,
+    }),
+    eth_getBlockByHash: (block) => ({
+        hash: block.hash?.toLowerCase(),
+        number: block.number,
+        timestamp: block.timestamp,
+    }),
+    eth_getTransactionReceipt: (receipt) => ({
+        status: receipt.status,
+        blockHash: receipt.blockHash?.toLowerCase(),
+        logs: (receipt.logs ?? []).map(projectLog),
+    }),
+    eth_getLogs: (logs) => logs.map(projectLog),
+});
+
+function projectQuorumResult(method, result) {
+    const project = QUORUM_PROJECTIONS[method];
+    return project && result !== null && result !== undefined ? project(result) : result ?? null;
+}
+
+/**
+ * Normalizes `rpcUrl` plus the optional `rpcEndpoints` list into `{ url, rateLimitPerSecond }`
+ * entries, primary first and without duplicate URLs.
+ */
+function resolveRpcEndpoints({ rpcUrl, rpcEndpoints = [] } = {}) {
+    const resolved = [];
+    const seen = new Set();
+    const candidates = [
+        ...(typeof rpcUrl === 'string' && rpcUrl.trim() ? [rpcUrl] : []),
+        ...(rpcEndpoints ?? []),
+    ];
+    for (const candidate of candidates) {
+        const entry = typeof candidate === 'string' ? { url: candidate } : candidate;
+        const url = typeof entry?.url === 'string' ? entry.url.trim() : '';
+        if (!url) {
+            throw new Error('RPC endpoints must be non-empty URL strings or { url } objects.');
+        }
+        if (seen.has(url)) {
+            continue;
+        }
+        seen.add(url);
+        resolved.push({
+            url,
+            rateLimitPerSecond: entry.rateLimitPerSecond ?? undefined,
+        });
+    }
+    return resolved;
+}
+
+/**
+ * Spreads JSON-RPC requests over several providers. Each endpoint keeps a health score (a
+ * decaying success rate discounted by average latency); requests go to the healthiest endpoint
+ * that has rate-limit budget, failures put an endpoint in an exponential cooldown, and requests
+ * fail over to the next endpoint unless the error is one every provider would return.
+ */
+function createRpcEndpointPool({
+    endpoints,
+    expectedChainId = undefined,
+    cooldownMs = DEFAULT_COOLDOWN_MS,
+    httpTransportFn = http,
+    nowFn = Date.now,
+    sleepFn = defaultSleep,
+}) {
+    if (!Array.isArray(endpoints) || endpoints.length === 0) {
+        throw new Error('createRpcEndpointPool requires at least one endpoint.');
+    }
+
+    const states = endpoints.map((endpoint, index) => {
+        const rateLimitPerSecond = endpoint.rateLimitPerSecond ?? null;
+        return {
+            index,
+            url: endpoint.url,
+            label: describeEndpoint(endpoint.url, index),
+            transport: httpTransportFn(endpoint.url, { retryCount: 0 })({ retryCount: 0 }),
+            rateLimitPerSecond,
+            tokens: rateLimitPerSecond ? Math.max(1, rateLimitPerSecond) : 0,
+            lastRefillMs: nowFn(),
+            successRate: 1,
+            latencyMs: 0,
+            consecutiveFailures: 0,
+            cooldownUntilMs: 0,
+            disabledReason: null,
+            chainVerified: expectedChainId === undefined,
+            requests: 0,
+            failures: 0,
+        };
+    });
+    let verifiedChainId = expectedChainId;
+
+    function score(state) {
+        return state.successRate / (1 + state.latencyMs / 1_000);
+    }
+
+    function rank(excluded) {
+        const nowMs = nowFn();
+        const candidates = states.filter(
+            (state) => !state.disabledReason && !excluded.has(state)
+        );
+        const ready = candidates
+            .filter((state) => state.cooldownUntilMs <= nowMs)
+            .sort((left, right) => score(right) - score(left) || left.index - right.index);
+        // When every endpoint is cooling down, try the one that recovers first rather than fail.
+        const cooling = candidates
+            .filter((state) => state.cooldownUntilMs > nowMs)
+            .sort((left, right) => left.cooldownUntilMs - right.cooldownUntilMs);
+        return ready.length > 0 ? ready : cooling;
+    }
+
+    function takeToken(state) {
+        if (!state.rateLimitPerSecond) {
+            return 0;
+        }
+        const nowMs = nowFn();
+        const capacity = Math.max(1, state.rateLimitPerSecond);
+        state.tokens = Math.min(
+            capacity,
+            state.tokens + ((nowMs - state.lastRefillMs) * state.rateLimitPerSecond) / 1_000
+        );
+        state.lastRefillMs = nowMs;
+        if (state.tokens >= 1) {
+            state.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - state.tokens) * 1_000) / state.rateLimitPerSecond);
+    }
+
+    async function acquire(excluded) {
+        for (;;) {
+            const ranked = rank(excluded);
+            if (ranked.length === 0) {
+                return null;
+            }
+            let waitMs = Infinity;
+            for (const state of ranked) {
+                const wait = takeToken(state);
+                if (wait === 0) {
+                    return state;
+                }
+                waitMs = Math.min(waitMs, wait);
+            }
+            await sleepFn(waitMs);
+        }
+    }
+
+    function recordSuccess(state, latencyMs) {
+        state.successRate = state.successRate * HEALTH_DECAY + (1 - HEALTH_DECAY);
+        state.latencyMs =
+            state.latencyMs === 0
+                ? latencyMs
+                : state.latencyMs * HEALTH_DECAY + latencyMs * (1 - HEALTH_DECAY);
+        state.consecutiveFailures = 0;
+        state.cooldownUntilMs = 0;
+    }
+
+    function recordFailure(state) {
+        state.failures += 1;
+        state.successRate *= HEALTH_DECAY;
+        state.consecutiveFailures += 1;
+        state.cooldownUntilMs =
+            nowFn() + Math.min(cooldownMs * 2 ** (state.consecutiveFailures - 1), MAX_COOLDOWN_MS);
+    }
+
+    async function verifyChain(state) {
+        if (state.chainVerified) {
+            return;
+        }
+        const chainId = Number(await state.transport.request({ method: 'eth_chainId' }));
+        if (chainId !== Number(verifiedChainId)) {
+            state.disabledReason = `connected to chainId ${chainId}`;
+            logger.error(
+                `[rpc] Disabled ${state.label}: expected chainId ${verifiedChainId} but it is ${state.disabledReason}.`
+            );
+            throw new Error(`RPC endpoint ${state.label} is ${state.disabledReason}.`);
+        }
+        state.chainVerified = true;
+    }
+
+    async function send(state, args) {
+        state.requests += 1;
+        const startedMs = nowFn();
+        try {
+            await verifyChain(state);
+            const result = await state.transport.request(args);
+            recordSuccess(state, nowFn() - startedMs);
+            return { ok: true, result };
+        } catch (error) {
+            if (isDeterministicRpcError(error)) {
+                recordSuccess(state, nowFn() - startedMs);
+                return { ok: false, deterministic: true, error };
+            }
+            recordFailure(state);
+            return { ok: false, deterministic: false, error };
+        }
+    }
+
+    async function request(args) {
+        const attempted = new Set();
+        let lastError;
+        for (;;) {
+            const state = await acquire(attempted);
+            if (!state) {
+                break;
+            }
+            attempted.add(state);
+            const outcome = await send(state, args);
+            if (outcome.ok) {
+                return outcome.result;
+            }
+            if (outcome.deterministic) {
+                // An endpoint that timed out may still have broadcast the transaction; the
+                // next one then already holds it in its mempool, which means it was sent.
+                if (
+                    args.method === 'eth_sendRawTransaction' &&
+                    attempted.size > 1 &&
+                    isAlreadyKnownError(outcome.error)
+                ) {
+                    logger.warn(
+                        `[rpc] ${state.label} already knows the transaction sent during failover; treating it as broadcast.`
+                    );
+                    return keccak256(args.params[0]);
+                }
+                throw outcome.error;
+            }
+            lastError = outcome.error;
+            if (attempted.size < states.length) {
+                logger.warn(
+                    `[rpc] ${args.method} failed on ${state.label}; failing over: ${outcome.error?.shortMessage ?? outcome.error?.message ?? outcome.error}`
+                );
+            }
+        }
+        throw lastError ?? new Error(`No usable RPC endpoint for ${args.method}.`);
+    }
+
+    /**
+     * Sends the request to endpoints until `quorum` of them return the same result (or the same
+     * deterministic error), querying more endpoints only while agreement is still reachable.
+     * Blocks, receipts, and logs agree when their consensus fields do; the first of the agreeing
+     * answers is returned. Other methods must match exactly.
+     * Heads legitimately differ between providers, so `eth_blockNumber` resolves to the lowest
+     * head among `quorum` answers, a block every one of them can serve.
+     */
+    async function quorumRequest(args, quorum) {
+        const usable = states.filter((state) => !state.disabledReason).length;
+        if (quorum > usable) {
+            throw new Error(
+                `RPC quorum of ${quorum} for ${args.method} exceeds the ${usable} usable endpoint(s).`
+            );
+        }
+        const attempted = new Set();
+        const tallies = new Map();
+        const heads = [];
+        const failures = [];
+        let best = 0;
+        for (;;) {
+            const needed =
+                args.method === 'eth_blockNumber' ? quorum - heads.length : quorum - best;
+            const batch = [];
+            while (batch.length < needed) {
+                const state = await acquire(attempted);
+                if (!state) {
+                    break;
+                }
+                attempted.add(state);
+                batch.push(state);
+            }
+            if (batch.length === 0) {
+                break;
+            }
+            const outcomes = await Promise.all(batch.map((state) => send(state, args)));
+            for (const [index, outcome] of outcomes.entries()) {
+                if (!outcome.ok && !outcome.deterministic) {
+                    const reason = outcome.error?.shortMessage ?? outcome.error?.message;
+                    failures.push(`${batch[index].label}: ${reason ?? outcome.error}`);
+                    continue;
+                }
+                if (args.method === 'eth_blockNumber' && outcome.ok) {
+                    heads.push(BigInt(outcome.result));
+                    continue;
+                }
+                const key = outcome.ok
+                    ? `result:${stringifyCanonicalJson(projectQuorumResult(args.method, outcome.result))}`
+                    : `error:${outcome.error?.shortMessage ?? outcome.error?.message}`;
+                const tally = tallies.get(key) ?? { count: 0, outcome };
+                tally.count += 1;
+                tallies.set(key, tally);
+                best = Math.max(best, tally.count);
+                if (tally.count >= quorum) {
+                    if (!tally.outcome.ok) {
+                        throw tally.outcome.error;
+                    }
+                    return tally.outcome.result;
+                }
+            }
+            if (heads.length >= quorum) {
+                const lowest = heads.reduce((left, right) => (right < left ? right : left));
+                return `0x${lowest.toString(16)}`;
+            }
+        }
+        const disagreement = tallies.size > 1 ? `${tallies.size} different answers` : null;
+        throw new Error(
+            `RPC quorum of ${quorum} not reached for ${args.method}: ${[disagreement, ...failures].filter(Boolean).join('; ') || 'no endpoint answered'}.`
+        );
+    }
+
+    /**
+     * Checks every endpoint's chain up front. Mismatches are returned for the caller to reject;
+     * unreachable endpoints are cooled down and checked again before their first request.
+     */
+    async function verifyEndpoints(chainId) {
+        verifiedChainId = chainId;
+        return Promise.all(
+            states.map(async (state) => {
+                state.chainVerified = false;
+                try {
+                    const observed = Number(
+                        await state.transport.request({ method: 'eth_chainId' })
+                    );
+                    state.chainVerified = observed === Number(chainId);
+                    if (!state.chainVerified) {
+                        state.disabledReason = `connected to chainId ${observed}`;
+                    }
+                    return { label: state.label, chainId: observed };
+                } catch (error) {
+                    recordFailure(state);
+                    logger.warn(
+                        `[rpc] Could not verify ${state.label} at startup; it is checked again before use.`
+                    );
+                    return { label: state.label, chainId: null, error };
+                }
+            })
+        );
+    }
+
+    function getHealth() {
+        const nowMs = nowFn();
+        return states.map((state) => ({
+            endpoint: state.label,
+            score: Number(score(state).toFixed(3)),
+            successRate: Number(state.successRate.toFixed(3)),
+            latencyMs: Math.round(state.latencyMs),
+            requests: state.requests,
+            failures: state.failures,
+            coolingDown: state.cooldownUntilMs > nowMs,
+            disabled: state.disabledReason !== null,
+        }));
+    }
+
+    return {
+        size: states.length,
+        request,
+        quorumRequest,
+        verifyEndpoints,
+        getHealth,
+    };
+}
+
+/**
+ * Wraps a pool in a viem transport. With `quorum` above 1 every request must be confirmed by
+ * that many endpoints; use it for reads the agent cannot afford to get wrong from one provider.
+ */
+function createRpcTransport({ pool, quorum = 1 }) {
+    const request =
+        quorum > 1 ? (args) => pool.quorumRequest(args, quorum) : (args) => pool.request(args);
+    return custom(
+        { request },
+        {
+            key: quorum > 1 ? 'oyaRpcQuorum' : 'oyaRpcPool',
+            name: quorum > 1 ? `RPC quorum (${quorum} of ${pool.size})` : 'RPC failover pool',
+            retryCount: 0,
+        }
+    );
+}
+
+export {
+    createRpcEndpointPool,
+    createRpcTransport,
+    isDeterministicRpcError,
+    resolveRpcEndpoints,
+};
@@ -0,0 +1,368 @@
+// Imports nothing but viem so the deploy frontend can load the same catalog, placeholder typing,
+// and coverage table the verifier applies.
+import { getAddress, isAddress } from 'viem';
+
+const KNOWN_TEMPLATE_IDS_BY_TITLE = new Map(
+    [
+        ['Agent Proxy', 'agent_proxy'],
+        ['Proposal Delegation', 'proposal_delegation'],
+        ['Solo User', 'solo_user'],
+        ['Recurring Fee', 'recurring_fee'],
+        ['Performance Fee', 'performance_fee'],
+        ['Standard Period', 'standard_period'],
+        ['Day Definition', 'day_definition'],
+        ['Time Period Start', 'time_period_start'],
+        ['Fee Withholding', 'fee_withholding'],
+        ['Fair Valuation', 'fair_valuation'],
+        ['Trade Restrictions', 'trade_restrictions'],
+        ['Withdrawal Restrictions', 'withdrawal_restrictions'],
+        ['Commitment Pause', 'commitment_pause'],
+        ['Account Recovery and Rule Updates', 'account_recovery_and_rule_updates'],
+        ['Draft State', 'draft_state'],
+        ['Polymarket Liquidity', 'polymarket_liquidity'],
+        ['Transfer Address Restrictions', 'transfer_address_restrictions'],
+        ['Trading Limits', 'trading_limits'],
+        ['Staked External Polymarket Execution', 'staked_external_polymarket_execution'],
+    ].map(([title, templateId]) => [title.toLowerCase(), templateId])
+);
+
+const TEMPLATE_COVERAGE_BY_KIND = Object.freeze({
+    agent_proxy_reimbursement: Object.freeze({
+        agent_proxy: 'enforced',
+        fair_valuation: 'partial',
+        proposal_delegation: 'not_applicable',
+        solo_user: 'not_applicable',
+        recurring_fee: 'not_applicable',
+        performance_fee: 'not_applicable',
+        standard_period: 'not_applicable',
+        day_definition: 'enforced',
+        time_period_start: 'not_applicable',
+        fee_withholding: 'not_applicable',
+        withdrawal_restrictions: 'not_applicable',
+        account_recovery_and_rule_updates: 'not_applicable',
+        draft_state: 'not_applicable',
+        trade_restrictions: 'enforced',
+        commitment_pause: 'unsupported',
+        polymarket_liquidity: 'unsupported',
+        transfer_address_restrictions: 'unsupported',
+        trading_limits: 'enforced',
+        staked_external_polymarket_execution: 'unsupported',
+    }),
+    user_withdrawal: Object.freeze({
+        solo_user: 'enforced',
+        withdrawal_restrictions: 'enforced',
+        day_definition: 'enforced',
+        fair_valuation: 'partial',
+        agent_proxy: 'not_applicable',
+        proposal_delegation: 'not_applicable',
+        recurring_fee: 'not_applicable',
+        performance_fee: 'not_applicable',
+        standard_period: 'not_applicable',
+        time_period_start: 'not_applicable',
+        account_recovery_and_rule_updates: 'not_applicable',
+        draft_state: 'not_applicable',
+        trade_restrictions: 'not_applicable',
+        trading_limits: 'not_applicable',
+        transfer_address_restrictions: 'not_applicable',
+        fee_withholding: 'unsupported',
+        commitment_pause: 'unsupported',
+        polymarket_liquidity: 'unsupported',
+        staked_external_polymarket_execution: 'unsupported',
+    }),
+    agent_fee_withdrawal: Object.freeze({
+        recurring_fee: 'enforced',
+        performance_fee: 'enforced',
+        standard_period: 'enforced',
+        day_definition: 'enforced',
+        time_period_start: 'enforced',
+        fair_valuation: 'partial',
+        agent_proxy: 'not_applicable',
+        proposal_delegation: 'not_applicable',
+        solo_user: 'not_applicable',
+        fee_withholding: 'not_applicable',
+        withdrawal_restrictions: 'not_applicable',
+        account_recovery_and_rule_updates: 'not_applicable',
+        draft_state: 'not_applicable',
+        trade_restrictions: 'not_applicable',
+        trading_limits: 'not_applicable',
+        commitment_pause: 'not_applicable',
+        polymarket_liquidity: 'not_applicable',
+        transfer_address_restrictions: 'unsupported',
+        staked_external_polymarket_execution: 'unsupported',
+    }),
+    commitment_pause: Object.freeze({
+        commitment_pause: 'enforced',
+        agent_proxy: 'not_applicable',
+        proposal_delegation: 'not_applicable',
+        solo_user: 'not_applicable',
+        recurring_fee: 'not_applicable',
+        performance_fee: 'not_applicable',
+        standard_period: 'not_applicable',
+        day_definition: 'not_applicable',
+        time_period_start: 'not_applicable',
+        fee_withholding: 'not_applicable',
+        fair_valuation: 'not_applicable',
+        trade_restrictions: 'not_applicable',
+        withdrawal_restrictions: 'not_applicable',
+        account_recovery_and_rule_updates: 'not_applicable',
+        draft_state: 'not_applicable',
+        polymarket_liquidity: 'not_applicable',
+        transfer_address_restrictions: 'not_applicable',
+        trading_limits: 'not_applicable',
+        staked_external_polymarket_execution: 'not_applicable',
+    }),
+    commitment_unpause: Object.freeze({
+        commitment_pause: 'enforced',
+        agent_proxy: 'not_applicable',
+        proposal_delegation: 'not_applicable',
+        solo_user: 'not_applicable',
+        recurring_fee: 'not_applicable',
+        performance_fee: 'not_applicable',
+        standard_period: 'not_applicable',
+        day_definition: 'not_applicable',
+        time_period_start: 'not_applicable',
+        fee_withholding: 'not_applicable',
+        fair_valuation: 'not_applicable',
+        trade_restrictions: 'not_applicable',
+        withdrawal_restrictions: 'not_applicable',
+        account_recovery_and_rule_updates: 'not_applicable',
+        draft_state: 'not_applicable',
+        polymarket_liquidity: 'not_applicable',
+        transfer_address_restrictions: 'not_applicable',
+        trading_limits: 'not_applicable',
+        staked_external_polymarket_execution: 'not_applicable',
+    }),
+    rule_update: Object.freeze({
+        account_recovery_and_rule_updates: 'enforced',
+        commitment_pause: 'enforced',
+        agent_proxy: 'not_applicable',
+        proposal_delegation: 'not_applicable',
+        solo_user: 'not_applicable',
+        recurring_fee: 'not_applicable',
+        performance_fee: 'not_applicable',
+        standard_period: 'not_applicable',
+        day_definition: 'not_applicable',
+        time_period_start: 'not_applicable',
+        fee_withholding: 'not_applicable',
+        fair_valuation: 'not_applicable',
+        trade_restrictions: 'not_applicable',
+        withdrawal_restrictions: 'not_applicable',
+        polymarket_liquidity: 'not_applicable',
+        transfer_address_restrictions: 'not_applicable',
+        trading_limits: 'not_applicable',
+        staked_external_polymarket_execution: 'not_applicable',
+        draft_state: 'unsupported',
+    }),
+});
+
+const PLACEHOLDER_PATTERN = /\[([^\]]*)\]/g;
+const SYMBOL_PATTERN = /^[A-Za-z0-9][\w.$-]{0,31}$/;
+const DECIMAL_PATTERN = /^\d+(?:\.\d{1,6})?$/;
+
+// Placeholder types in template order, matching the formats the template parsers in
+// proposal-verification.js accept. Untyped placeholders are free text.
+const TEMPLATE_PLACEHOLDER_TYPES = Object.freeze({
+    agent_proxy: [{ type: 'address', label: 'Agent address' }],
+    solo_user: [
+        { type: 'address', label: 'User address' },
+        { type: 'address', label: 'Agent address' },
+    ],
+    recurring_fee: [
+        { type: 'address', label: 'Agent address' },
+        { type: 'percent', label: 'Fee (%)' },
+        { type: 'days', label: 'Period (days)' },
+    ],
+    performance_fee: [
+        { type: 'address', label: 'Agent address' },
+        { type: 'percent', label: 'Fee (%)' },
+        { type: 'days', label: 'Period (days)' },
+    ],
+    standard_period: [{ type: 'days', label: 'Period (days)' }],
+    trade_restrictions: [{ type: 'tokenList', label: 'Tokens' }],
+    withdrawal_restrictions: [
+        { type: 'dollars', label: 'Limit (USD)' },
+        { type: 'days', label: 'Window (days)' },
+    ],
+    commitment_pause: [
+        { type: 'address', label: 'Pause guardian' },
+        { type: 'address', label: 'Unpause guardian' },
+    ],
+    account_recovery_and_rule_updates: [
+        { type: 'integer', label: 'Required signers' },
+        { type: 'integer', label: 'Total signers' },
+        { type: 'addressList', label: 'Signer addresses' },
+    ],
+    polymarket_liquidity: [{ type: 'text', label: 'Minimum liquidity' }],
+    transfer_address_restrictions: [
+        { type: 'address', label: 'Primary user address' },
+        { type: 'address', label: 'Agent address' },
+        { type: 'addressList', label: 'Additional addresses' },
+    ],
+    trading_limits: [
+        { type: 'address', label: 'Agent address' },
+        { type: 'dollars', label: 'Limit (USD)' },
+        { type: 'choice', label: 'Per' },
+    ],
+    staked_external_polymarket_execution: [
+        { type: 'address', label: 'Agent address' },
+        { type: 'text', label: 'Stake' },
+        { type: 'address', label: 'Node address' },
+        { type: 'integer', label: 'Logging deadline (minutes)' },
+        { type: 'integer', label: 'Deposit deadline (hours)' },
+        { type: 'integer', label: 'Default deadline' },
+    ],
+});
+
+/**
+ * Splits the RULE_TEMPLATES.md catalog into `{ title, templateId, body, placeholders }` entries.
+ * Each `[...]` placeholder is typed by position from TEMPLATE_PLACEHOLDER_TYPES; `[a/b]` is a
+ * choice between its options.
+ */
+function parseTemplateCatalog(markdown) {
+    const text = markdown.replace(/\r\n/g, '\n');
+    const headings = [...text.matchAll(/^([^\n]+)\n---\n/gm)];
+    return headings.map((heading, index) => {
+        const title = heading[1].trim();
+        const bodyStart = heading.index + heading[0].length;
+        const bodyEnd = index + 1 < headings.length ? headings[index + 1].index : text.length;
+        const body = text.slice(bodyStart, bodyEnd).trim();
+        const templateId = KNOWN_TEMPLATE_IDS_BY_TITLE.get(title.toLowerCase()) ?? null;
+        const types = TEMPLATE_PLACEHOLDER_TYPES[templateId] ?? [];
+        const placeholders = [...body.matchAll(PLACEHOLDER_PATTERN)].map((match, position) => {
+            const inner = match[1].trim();
+            const options = inner.includes('/') ? inner.split('/') : null;
+            return {
+                token: match[0],
+                options,
+                type: options ? 'choice' : (types[position]?.type ?? 'text'),
+                label: types[position]?.label ?? `Value ${position + 1}`,
+            };
+        });
+        return { title, templateId, body, placeholders };
+    });
+}
+
+function splitList(value) {
+    return value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+// Returns an error message for a placeholder value, or '' when the verifier would accept it.
+function validatePlaceholder(placeholder, value) {
+    const trimmed = value.trim();
+    if (!trimmed) {
+        return 'Required.';
+    }
+    switch (placeholder.type) {
+        case 'address':
+            return isAddress(trimmed) ? '' : 'Must be a valid address.';
+        case 'addressList': {
+            const invalid = splitList(trimmed).filter((item) => !isAddress(item));
+            return invalid.length > 0 ? `Invalid address: ${invalid[0]}` : '';
+        }
+        case 'percent':
+        case 'dollars':
+            return DECIMAL_PATTERN.test(trimmed) && Number(trimmed) > 0
+                ? ''
+                : 'Must be a positive number with at most 6 decimals.';
+        case 'days':
+        case 'integer':
+            return /^\d+$/.test(trimmed) && Number(trimmed) > 0
+                ? ''
+                : 'Must be a positive whole number.';
+        case 'tokenList': {
+            const invalid = splitList(trimmed).filter(
+                (item) => !isAddress(item) && !SYMBOL_PATTERN.test(item)
+            );
+            return invalid.length > 0
+                ? `"${invalid[0]}" is neither a token address nor a token symbol.`
+                : '';
+        }
+        case 'choice':
+            return placeholder.options.includes(trimmed)
+                ? ''
+                : `Must be one of ${placeholder.options.join(', ')}.`;
+        default:
+            return '';
+    }
+}
+
+function formatPlaceholder(placeholder, value) {
+    const trimmed = value.trim();
+    if (placeholder.type === 'address' && isAddress(trimmed)) {
+        return getAddress(trimmed);
+    }
+    if (placeholder.type === 'addressList' || placeholder.type === 'tokenList') {
+        return splitList(trimmed)
+            .map((item) => (isAddress(item) ? getAddress(item) : item))
+            .join(', ');
+    }
+    return trimmed;
+}
+
+// Checks that span placeholders: an N/M recovery threshold is over exactly the M listed addresses.
+function validateTemplate(template, values) {
+    if (template.templateId !== 'account_recovery_and_rule_updates') {
+        return '';
+    }
+    const [required, total, signers] = values;
+    const signerCount = splitList(signers).length;
+    if (Number(required) > Number(total)) {
+        return 'Required signers cannot exceed total signers.';
+    }
+    if (signerCount > 0 && total.trim() && signerCount !== Number(total)) {
+        return `Total signers is ${total.trim()} but ${signerCount} addresses are listed.`;
+    }
+    return '';
+}
+
+// Substitutes values by placeholder position; empty values leave the `[...]` token in place.
+function fillTemplate(template, values) {
+    let position = 0;
+    return template.body.replace(PLACEHOLDER_PATTERN, (token) => {
+        const placeholder = template.placeholders[position];
+        const value = values[position] ?? '';
+        position += 1;
+        return value.trim() ? formatPlaceholder(placeholder, value) : token;
+    });
+}
+
+function normalizeRulesText(rulesText) {
+    if (typeof rulesText !== 'string' || !rulesText.trim()) {
+        throw new Error('rulesText must be a non-empty string.');
+    }
+    return rulesText.replace(/\r\n/g, '\n').trim();
+}
+
+function parseRuleSections(rulesText) {
+    const normalized = normalizeRulesText(rulesText);
+    const sections = [];
+    const matcher = /(^[^\n]+)\n---\n([\s\S]*?)(?=\n{2,}[^\n]+\n---\n|$)/gm;
+    let match;
+    while ((match = matcher.exec(normalized)) !== null) {
+        sections.push({
+            title: match[1].trim(),
+            body: match[2].trim(),
+        });
+    }
+    return sections;
+}
+
+function resolveTemplateCoverage(templateId, proposalKind) {
+    return TEMPLATE_COVERAGE_BY_KIND[proposalKind]?.[templateId] ?? 'unsupported';
+}
+
+export {
+    KNOWN_TEMPLATE_IDS_BY_TITLE,
+    TEMPLATE_COVERAGE_BY_KIND,
+    TEMPLATE_PLACEHOLDER_TYPES,
+    fillTemplate,
+    normalizeRulesText,
+    parseRuleSections,
+    parseTemplateCatalog,
+    resolveTemplateCoverage,
+    validatePlaceholder,
+    validateTemplate,
+};
@@ -13,8 +13,13 @@ import {
     validateMessageApiDecisionEngine,
 } from './decision-support.js';
 import { createMessageInbox } from './message-inbox.js';
+import { createMessageInboxStore } from './message-inbox-store.js';
+import { createChainScanCheckpointStore } from './chain-scan-checkpoint-store.js';
+import { createManagedWalletClient, createNonceManager } from './nonce-manager.js';
+import { createTxJournal } from './tx-journal.js';
 import { createSignerClient } from './signer.js';
 import { createValidatedReadWriteRuntime } from './chain-runtime.js';
+import { configureLogging, logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,7 +54,7 @@ async function loadAgentModule({ agentModuleRef }) {
     try {
         commitmentText = (await readFile(commitmentPath, 'utf8')).trim();
     } catch (error) {
-        console.warn('[agent] Missing commitment.txt next to agent module:', commitmentPath);
+        logger.warn('[agent] Missing commitment.txt next to agent module:', commitmentPath);
     }
 
     const agentConfigPath = path.join(path.dirname(resolvedPath), 'config.json');
@@ -62,11 +67,151 @@ async function loadAgentModule({ agentModuleRef }) {
     };
 }
 
-function createRuntimeMessageInbox(config) {
+function sanitizeStatePathSegment(value) {
+    return String(value)
+        .trim()
+        .replace(/[^a-zA-Z0-9._-]+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 80);
+}
+
+export function resolveMessageInboxStateFile({ config, agentRef, repoRootPath = repoRoot }) {
+    const configured = config.messageApiStateFile;
+    if (typeof configured === 'string' && configured.trim()) {
+        return path.isAbsolute(configured)
+            ? configured
+            : path.resolve(repoRootPath, configured.trim());
+    }
+
+    const agentName = sanitizeStatePathSegment(normalizeAgentModuleName(agentRef)) || 'default';
+    const chainSegment =
+        config.chainId === undefined || config.chainId === null
+            ? 'unknown'
+            : String(config.chainId).trim();
+    return path.join(
+        repoRootPath,
+        'agent',
+        '.state',
+        'message-inbox',
+        `${agentName}-chain-${sanitizeStatePathSegment(chainSegment) || 'unknown'}.json`
+    );
+}
+
+export function resolveChainScanCheckpointFile({ config, repoRootPath = repoRoot }) {
+    const configured = config.chainScanCheckpointFile;
+    if (typeof configured === 'string' && configured.trim()) {
+        return path.isAbsolute(configured)
+            ? configured
+            : path.resolve(repoRootPath, configured.trim());
+    }
+
+    const chainSegment =
+        config.chainId === undefined || config.chainId === null
+            ? 'unknown'
+            : String(config.chainId).trim();
+    return path.join(
+        repoRootPath,
+        'agent',
+        '.state',
+        'chain-scan',
+        [
+            `chain-${sanitizeStatePathSegment(chainSegment) || 'unknown'}`,
+            sanitizeStatePathSegment(String(config.commitmentSafe).toLowerCase()),
+            sanitizeStatePathSegment(String(config.ogModule).toLowerCase()),
+        ].join('-') + '.json'
+    );
+}
+
+function createRuntimeChainScanCheckpointStore(config) {
+    if (!config.chainScanCheckpointEnabled) {
+        return null;
+    }
+    const store = createChainScanCheckpointStore({
+        stateFile: resolveChainScanCheckpointFile({ config }),
+        chainId: config.chainId,
+        commitmentSafe: config.commitmentSafe,
+        ogModule: config.ogModule,
+    });
+    logger.log(`[agent] Chain scan checkpoint file: ${store.stateFile}`);
+    return store;
+}
+
+export function resolveTxJournalFile({ config, signerAddress, repoRootPath = repoRoot }) {
+    const configured = config.txJournalFile;
+    if (typeof configured === 'string' && configured.trim()) {
+        return path.isAbsolute(configured)
+            ? configured
+            : path.resolve(repoRootPath, configured.trim());
+    }
+
+    // Keyed by signer, not agent, so every process sharing a key shares one journal and lock.
+    const chainSegment =
+        config.chainId === undefined || config.chainId === null
+            ? 'unknown'
+            : String(config.chainId).trim();
+    return path.join(
+        repoRootPath,
+        'agent',
+        '.state',
+        'tx-journal',
+        [
+            `chain-${sanitizeStatePathSegment(chainSegment) || 'unknown'}`,
+            sanitizeStatePathSegment(String(signerAddress).toLowerCase()),
+        ].join('-') + '.json'
+    );
+}
+
+/**
+ * Wraps the wallet client in a journal-backed nonce manager unless `nonceManagerEnabled` is off.
+ * Returns the wallet client to use and the manager (null when disabled).
+ */
+export function createRuntimeNonceManager({
+    config,
+    publicClient,
+    walletClient,
+    account,
+    repoRootPath = repoRoot,
+}) {
+    if (!config.nonceManagerEnabled) {
+        return { walletClient, nonceManager: null };
+    }
+    const journal = createTxJournal({
+        stateFile: resolveTxJournalFile({
+            config,
+            signerAddress: account.address,
+            repoRootPath,
+        }),
+        chainId: config.chainId,
+        signerAddress: account.address,
+    });
+    const nonceManager = createNonceManager({
+        publicClient,
+        walletClient,
+        account,
+        journal,
+        maxFeePerGasWei: config.maxFeePerGasWei,
+        maxPriorityFeePerGasWei: config.maxPriorityFeePerGasWei,
+        feeBumpPercent: config.txFeeBumpPercent,
+        stuckTxTimeoutMs: config.txStuckTimeoutMs,
+    });
+    logger.log(`[agent] Transaction journal file: ${journal.stateFile}`);
+    return {
+        walletClient: createManagedWalletClient({ walletClient, nonceManager }),
+        nonceManager,
+    };
+}
+
+function createRuntimeMessageInbox(config, { agentRef } = {}) {
     if (!config.messageApiEnabled) {
         return null;
     }
+    const store = createMessageInboxStore({
+        stateFile: resolveMessageInboxStateFile({ config, agentRef }),
+    });
+    logger.log(`[agent] Message inbox state file: ${store.stateFile}`);
     return createMessageInbox({
+        store,
         queueLimit: config.messageApiQueueLimit,
         defaultTtlSeconds: config.messageApiDefaultTtlSeconds,
         minTtlSeconds: config.messageApiMinTtlSeconds,
@@ -86,7 +231,7 @@ function resolvePollingOptions({ agentModule, commitmentText }) {
     try {
         return agentModule.getPollingOptions({ commitmentText }) ?? {};
     } catch (error) {
-        console.warn('[agent] getPollingOptions() failed; using defaults.');
+        logger.warn('[agent] getPollingOptions() failed; using defaults.');
         return {};
     }
 }
@@ -135,15 +280,19 @@ export async function initializeAgentRuntime({
             chainId: runtimeChainId,
         })
     );
-    const { publicClient, account, walletClient } = await createValidatedReadWriteRuntime({
-        rpcUrl: config.rpcUrl,
-        expectedChainId: runtimeChainId,
-        publicClientLabel: 'Resolved runtime rpcUrl',
-        signerClientLabel: 'Resolved runtime signer',
-        createPublicClientFn,
-        createSignerClientFn,
-        httpTransportFn,
-    });
+    configureLogging({ level: config.logLevel, format: config.logFormat });
+    const { publicClient, quorumPublicClient, account, walletClient } =
+        await createValidatedReadWriteRuntime({
+            rpcUrl: config.rpcUrl,
+            rpcEndpoints: config.rpcEndpoints,
+            rpcQuorum: config.rpcQuorum,
+            expectedChainId: runtimeChainId,
+            publicClientLabel: 'Resolved runtime rpcUrl',
+            signerClientLabel: 'Resolved runtime signer',
+            createPublicClientFn,
+            createSignerClientFn,
+            httpTransportFn,
+        });
     const agentAddress = account.address;
 
     if (!config.commitmentSafe) {
@@ -157,22 +306,41 @@ export async function initializeAgentRuntime({
         );
     }
 
+    if (config.llmFixtureDir) {
+        config.llmFixtureDir = path.resolve(repoRoot, config.llmFixtureDir);
+    }
+    if (config.llmFixtureMode && config.llmFixtureMode !== 'off') {
+        logger.log(
+            `[agent] LLM fixture mode: ${config.llmFixtureMode} (${config.llmFixtureDir ?? 'no llmFixtureDir'})`
+        );
+    }
+
     const trackedAssets = new Set(
         config.watchAssets.map((asset) => String(asset).toLowerCase())
     );
-    const messageInbox = createRuntimeMessageInbox(config);
+    const messageInbox = createRuntimeMessageInbox(config, { agentRef });
     validateMessageApiDecisionEngineFn({ config, agentModule });
+    const checkpointStore = createRuntimeChainScanCheckpointStore(config);
+    const { walletClient: managedWalletClient, nonceManager } = createRuntimeNonceManager({
+        config,
+        publicClient,
+        walletClient,
+        account,
+    });
 
     return {
         config,
         publicClient,
+        quorumPublicClient,
         account,
-        walletClient,
+        walletClient: managedWalletClient,
+        nonceManager,
         agentAddress,
         agentModule,
         commitmentText,
         trackedAssets,
         messageInbox,
+        checkpointStore,
         pollingOptions: resolvePollingOptions({ agentModule, commitmentText }),
     };
 }
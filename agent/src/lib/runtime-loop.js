@@ -1,22 +1,29 @@
 import { createMessageApiServer } from './message-api.js';
 import { processQueuedUserMessages } from './message-loop.js';
+import { createMetricsApiServer } from './metrics-api.js';
 import { DECISION_STATUS } from './decision-support.js';
 import { runLoopPhase } from './loop-phase.js';
+import { createChainSubscription } from './chain-runtime.js';
 import {
     loadOgContext,
     loadOptimisticGovernorDefaults,
     logOgFundingStatus,
 } from './og.js';
 import {
+    buildChainSubscriptionLogFilters,
     executeReadyProposals,
     pollCommitmentChanges,
     pollProposalChanges,
     primeBalances,
+    resolveConfirmedHead,
 } from './polling.js';
+import { createReorgTracker } from './reorg-tracker.js';
+import { createCorrelationId, logger, withLogContext } from './logger.js';
 
 export function createAgentLoopRunner({
     config,
     publicClient,
+    quorumPublicClient = publicClient,
     walletClient,
     account,
     agentModule,
@@ -26,6 +33,10 @@ export function createAgentLoopRunner({
     pollingOptions,
     signalPreparation,
     decideOnSignals,
+    metrics,
+    checkpointStore = null,
+    nonceManager = null,
+    createChainSubscriptionFn = createChainSubscription,
 }) {
     let decideOnSignalsFn = decideOnSignals;
     let lastCheckedBlock = config.startBlock;
@@ -34,7 +45,159 @@ export function createAgentLoopRunner({
     let lastAssetBalances = new Map();
     let ogContext;
     let messageApiServer;
+    let metricsApiServer;
+    let fundingStatusStale = false;
     const proposalsByHash = new Map();
+    let loopTimer = null;
+    let loopRunning = false;
+    let wakeRequested = false;
+    let lastIterationStartedMs = 0;
+    let chainSubscription = null;
+    const reorgTracker =
+        Number(config.reorgTrackingDepth ?? 0) > 0
+            ? createReorgTracker({ publicClient, trackingDepth: config.reorgTrackingDepth })
+            : null;
+
+    function runPhase(name, work, options = {}) {
+        return runLoopPhase(name, work, { ...options, metrics });
+    }
+
+    async function decide(signals, options) {
+        const status = await decideOnSignalsFn(signals, options);
+        metrics?.recordDecision(status);
+        if (status === DECISION_STATUS.HANDLED) {
+            fundingStatusStale = true;
+        }
+        return status;
+    }
+
+    async function refreshFundingStatus() {
+        const funding = await logOgFundingStatus({
+            publicClient,
+            ogModule: config.ogModule,
+            account,
+        });
+        metrics?.setFundingStatus(funding);
+        fundingStatusStale = false;
+    }
+
+    function publishLoopState(latestBlock) {
+        metrics?.updateLoopState({
+            headBlock: latestBlock,
+            lastCheckedBlock,
+            lastProposalCheckedBlock,
+            pendingProposals: proposalsByHash.size,
+        });
+    }
+
+    function restoreCheckpoint() {
+        if (!checkpointStore) {
+            return;
+        }
+        const checkpoint = checkpointStore.load();
+        if (!checkpoint) {
+            logger.log(
+                `[agent] No chain scan checkpoint at ${checkpointStore.stateFile}; starting fresh.`
+            );
+            return;
+        }
+        if (checkpoint.lastCheckedBlock !== undefined) {
+            lastCheckedBlock = checkpoint.lastCheckedBlock;
+        }
+        if (checkpoint.lastProposalCheckedBlock !== undefined) {
+            lastProposalCheckedBlock = checkpoint.lastProposalCheckedBlock;
+        }
+        for (const proposal of checkpoint.proposals) {
+            proposalsByHash.set(proposal.proposalHash, proposal);
+        }
+        reorgTracker?.restoreBlockHashes(checkpoint.blockHashes);
+        logger.log(
+            `[agent] Resuming from chain scan checkpoint: commitment block ${lastCheckedBlock?.toString?.() ?? 'unset'}, proposal block ${lastProposalCheckedBlock?.toString?.() ?? 'unset'}, ${proposalsByHash.size} tracked proposal(s).`
+        );
+    }
+
+    // Only iterations that finish every phase move the checkpoint, so a crash mid-iteration
+    // replays that iteration's block range on the next boot.
+    function persistCheckpoint() {
+        if (!checkpointStore) {
+            return;
+        }
+        try {
+            checkpointStore.save({
+                lastCheckedBlock,
+                lastProposalCheckedBlock,
+                proposals: proposalsByHash.values(),
+                blockHashes: reorgTracker?.getBlockHashes() ?? [],
+            });
+        } catch (error) {
+            logger.warn('[agent] Failed to persist chain scan checkpoint:', error?.message ?? error);
+        }
+    }
+
+    function lowerCursor(cursor, block) {
+        return cursor === undefined || cursor <= block ? cursor : block;
+    }
+
+    // Rewinds both scan cursors to the common ancestor, undoes proposal lifecycle changes from
+    // the dropped blocks (newest first), and tells the module what was retracted. Events that are
+    // still canonical are picked up again by the next scan.
+    async function handleReorg({ commonAncestorBlock, retractedEvents }) {
+        lastCheckedBlock = lowerCursor(lastCheckedBlock, commonAncestorBlock);
+        lastProposalCheckedBlock = lowerCursor(lastProposalCheckedBlock, commonAncestorBlock);
+
+        const retractedDeposits = retractedEvents
+            .filter((event) => event.kind === 'deposit')
+            .map((event) => event.deposit);
+        const retractedProposals = [];
+        const retractedExecutedProposals = [];
+        const retractedDeletedProposals = [];
+        const proposalEvents = retractedEvents.filter((event) => event.kind === 'proposal');
+        for (const { event } of proposalEvents.reverse()) {
+            if (event.kind === 'proposed') {
+                proposalsByHash.delete(event.proposalHash);
+                retractedProposals.push(event.proposalHash);
+                continue;
+            }
+            if (event.proposal) {
+                proposalsByHash.set(event.proposalHash, event.proposal);
+            }
+            if (event.kind === 'executed') {
+                retractedExecutedProposals.push(event.proposalHash);
+            } else {
+                retractedDeletedProposals.push(event.proposalHash);
+            }
+        }
+        if (retractedExecutedProposals.length > 0 || retractedDeletedProposals.length > 0) {
+            fundingStatusStale = true;
+        }
+        if (config.watchNativeBalance && lastCheckedBlock !== undefined) {
+            lastNativeBalance = await primeBalances({
+                publicClient,
+                commitmentSafe: config.commitmentSafe,
+                watchNativeBalance: config.watchNativeBalance,
+                blockNumber: lastCheckedBlock,
+            });
+        }
+        signalPreparation.retractDeposits(retractedDeposits);
+
+        logger.warn(
+            `[agent] Chain reorg detected; rewound scans to block ${commonAncestorBlock.toString()} and retracted ${retractedDeposits.length} deposit(s) and ${proposalEvents.length} proposal event(s).`
+        );
+        if (agentModule?.onReorg) {
+            try {
+                await agentModule.onReorg({
+                    commonAncestorBlock,
+                    retractedDeposits,
+                    retractedProposals,
+                    retractedExecutedProposals,
+                    retractedDeletedProposals,
+                    config,
+                });
+            } catch (error) {
+                logger.error('[agent] onReorg() failed:', error);
+            }
+        }
+    }
 
     function getOgContext() {
         return ogContext;
@@ -42,17 +205,22 @@ export function createAgentLoopRunner({
 
     async function ensureOgContext() {
         if (!ogContext) {
-            ogContext = await loadOgContext({ publicClient, ogModule: config.ogModule });
+            ogContext = await loadOgContext({
+                publicClient: quorumPublicClient,
+                ogModule: config.ogModule,
+            });
         }
         return ogContext;
     }
 
-    async function agentLoop() {
+    async function runLoopIteration() {
+        let latestBlockSeen;
+        metrics?.recordLoopStarted();
         try {
             const queuedMessageCountAtLoopStart = messageInbox?.getQueueDepth?.() ?? 0;
             const noisyLoop = queuedMessageCountAtLoopStart > 0;
             if (noisyLoop) {
-                console.log(
+                logger.log(
                     `[agent] Starting loop with ${queuedMessageCountAtLoopStart} queued user message(s).`
                 );
             }
@@ -60,7 +228,7 @@ export function createAgentLoopRunner({
             const triggerSeedRulesText = getOgContext()?.rules ?? commitmentText ?? '';
             await signalPreparation.seedTrackedAssetsFromRules({ rulesText: triggerSeedRulesText });
 
-            const { latestBlock, latestBlockData } = await runLoopPhase(
+            const { latestBlock, latestBlockData } = await runPhase(
                 'load_head_block',
                 async () => {
                     const latestBlock = await publicClient.getBlockNumber();
@@ -76,15 +244,25 @@ export function createAgentLoopRunner({
                     },
                 }
             );
+            latestBlockSeen = latestBlock;
             const nowMs = Number(latestBlockData.timestamp) * 1000;
 
+            if (reorgTracker) {
+                const reorg = await runPhase('detect_reorg', async () =>
+                    reorgTracker.detectReorg()
+                );
+                if (reorg) {
+                    await handleReorg(reorg);
+                }
+            }
+
             const {
                 deposits,
                 balanceSnapshots,
                 lastCheckedBlock: nextCheckedBlock,
                 lastNativeBalance: nextNative,
                 lastAssetBalances: nextAssetBalances,
-            } = await runLoopPhase(
+            } = await runPhase(
                 'poll_commitment_changes',
                 async () =>
                     pollCommitmentChanges({
@@ -100,6 +278,7 @@ export function createAgentLoopRunner({
                         emitBalanceSnapshotsEveryPoll: Boolean(
                             pollingOptions.emitBalanceSnapshotsEveryPoll
                         ),
+                        confirmationDepth: config.confirmationDepth,
                     }),
                 {
                     logStart: noisyLoop,
@@ -118,8 +297,9 @@ export function createAgentLoopRunner({
                 newProposals,
                 executedProposals,
                 deletedProposals,
+                proposalEvents,
                 lastProposalCheckedBlock: nextProposalBlock,
-            } = await runLoopPhase(
+            } = await runPhase(
                 'poll_proposal_changes',
                 async () =>
                     pollProposalChanges({
@@ -129,6 +309,7 @@ export function createAgentLoopRunner({
                         proposalsByHash,
                         startBlock: config.startBlock,
                         logChunkSize: config.logChunkSize,
+                        confirmationDepth: config.confirmationDepth,
                     }),
                 {
                     logStart: noisyLoop,
@@ -139,8 +320,32 @@ export function createAgentLoopRunner({
                 }
             );
             lastProposalCheckedBlock = nextProposalBlock;
+            if (reorgTracker) {
+                reorgTracker.recordEvents([
+                    ...deposits.map((deposit) => ({
+                        kind: 'deposit',
+                        blockNumber: deposit.blockNumber,
+                        blockHash: deposit.blockHash,
+                        deposit,
+                    })),
+                    ...(proposalEvents ?? []).map((event) => ({
+                        kind: 'proposal',
+                        blockNumber: event.blockNumber,
+                        blockHash: event.blockHash,
+                        event,
+                    })),
+                ]);
+                await runPhase('track_block_hashes', async () => {
+                    await reorgTracker.observeBlock(lastCheckedBlock);
+                    await reorgTracker.observeBlock(lastProposalCheckedBlock);
+                    reorgTracker.prune(latestBlock);
+                });
+            }
             const executedProposalCount = executedProposals?.length ?? 0;
             const deletedProposalCount = deletedProposals?.length ?? 0;
+            if (executedProposalCount > 0 || deletedProposalCount > 0) {
+                fundingStatusStale = true;
+            }
             if (agentModule?.onProposalEvents) {
                 agentModule.onProposalEvents({
                     executedProposalCount,
@@ -159,7 +364,13 @@ export function createAgentLoopRunner({
                 });
             }
 
-            await runLoopPhase(
+            if (nonceManager) {
+                await runPhase('reconcile_transactions', async () => nonceManager.reconcile(), {
+                    logStart: noisyLoop,
+                });
+            }
+
+            await runPhase(
                 'execute_ready_proposals',
                 async () =>
                     executeReadyProposals({
@@ -170,6 +381,7 @@ export function createAgentLoopRunner({
                         proposalsByHash,
                         executeRetryMs: config.executeRetryMs,
                         executePendingTxTimeoutMs: config.executePendingTxTimeoutMs,
+                        nonceManager,
                     }),
                 {
                     logStart: noisyLoop && proposalsByHash.size > 0,
@@ -186,7 +398,7 @@ export function createAgentLoopRunner({
             const activePriceTriggers = await signalPreparation.getActivePriceTriggers({
                 rulesText,
             });
-            const duePriceSignals = await runLoopPhase(
+            const duePriceSignals = await runPhase(
                 'collect_price_trigger_signals',
                 async () =>
                     signalPreparation.collectPriceSignals({
@@ -226,11 +438,12 @@ export function createAgentLoopRunner({
                 });
             }
             baseSignals.push(...duePriceSignals);
+            metrics?.recordSignals(baseSignals);
 
             const onchainPendingProposal = proposalsByHash.size > 0;
             let decisionStatus = DECISION_STATUS.NO_ACTION;
             if (baseSignals.length > 0) {
-                const signalsToProcess = await runLoopPhase(
+                const signalsToProcess = await runPhase(
                     'prepare_base_signals',
                     async () =>
                         signalPreparation.prepareSignalsForDecision(baseSignals, {
@@ -247,10 +460,10 @@ export function createAgentLoopRunner({
                     }
                 );
                 if (signalsToProcess.length > 0) {
-                    decisionStatus = await runLoopPhase(
+                    decisionStatus = await runPhase(
                         'decide_on_base_signals',
                         async () =>
-                            decideOnSignalsFn(signalsToProcess, {
+                            decide(signalsToProcess, {
                                 onchainPendingProposal,
                             }),
                         {
@@ -271,7 +484,7 @@ export function createAgentLoopRunner({
             }
 
             const queuedMessageCountBeforeProcessing = messageInbox?.getQueueDepth?.() ?? 0;
-            await runLoopPhase(
+            await runPhase(
                 'process_queued_user_messages',
                 async () =>
                     processQueuedUserMessages({
@@ -281,7 +494,7 @@ export function createAgentLoopRunner({
                         latestBlock,
                         onchainPendingProposal,
                         prepareSignals: signalPreparation.prepareSignalsForDecision,
-                        decideOnSignals: decideOnSignalsFn,
+                        decideOnSignals: decide,
                     }),
                 {
                     logStart: queuedMessageCountBeforeProcessing > 0,
@@ -291,11 +504,69 @@ export function createAgentLoopRunner({
                     },
                 }
             );
+            if (metricsApiServer && fundingStatusStale) {
+                await refreshFundingStatus();
+            }
+            persistCheckpoint();
+            metrics?.recordLoopCompleted();
         } catch (error) {
-            console.error('[agent] loop error', error);
+            metrics?.recordLoopError(error);
+            logger.error('[agent] loop error', error);
+        }
+        publishLoopState(latestBlockSeen);
+    }
+
+    function scheduleLoop(delayMs) {
+        if (loopTimer) {
+            clearTimeout(loopTimer);
+        }
+        loopTimer = setTimeout(agentLoop, Math.max(0, delayMs));
+    }
+
+    async function agentLoop() {
+        loopTimer = null;
+        loopRunning = true;
+        wakeRequested = false;
+        lastIterationStartedMs = Date.now();
+        // Each iteration gets its own correlation id; queued user messages override it
+        // with their requestId while they are being decided on.
+        await withLogContext({ correlationId: createCorrelationId() }, runLoopIteration);
+        loopRunning = false;
+        if (wakeRequested) {
+            wakeLoop();
+            return;
         }
+        scheduleLoop(config.pollIntervalMs);
+    }
 
-        setTimeout(agentLoop, config.pollIntervalMs);
+    // Runs the next iteration early, but no sooner than wsMinWakeIntervalMs after the last one
+    // started. A wake during an iteration queues exactly one follow-up iteration.
+    function wakeLoop() {
+        if (loopRunning) {
+            wakeRequested = true;
+            return;
+        }
+        const elapsedMs = Date.now() - lastIterationStartedMs;
+        scheduleLoop(Number(config.wsMinWakeIntervalMs ?? 0) - elapsedMs);
+    }
+
+    async function startChainSubscription() {
+        if (!config.wsRpcUrl || chainSubscription) {
+            return;
+        }
+        chainSubscription = createChainSubscriptionFn({
+            wsRpcUrl: config.wsRpcUrl,
+            expectedChainId: config.chainId,
+            logFilters: buildChainSubscriptionLogFilters({
+                commitmentSafe: config.commitmentSafe,
+                ogModule: config.ogModule,
+                trackedAssets,
+                trackedErc1155Assets: config.watchErc1155Assets,
+            }),
+            wakeOnNewHeads: config.wsWakeOnNewHeads !== false,
+            onWake: wakeLoop,
+        });
+        await chainSubscription.start();
     }
 
     async function startAgent() {
@@ -308,11 +579,18 @@ export function createAgentLoopRunner({
             trackedAssets,
         });
 
-        ogContext = await loadOgContext({ publicClient, ogModule: config.ogModule });
-        await logOgFundingStatus({ publicClient, ogModule: config.ogModule, account });
+        ogContext = await loadOgContext({
+            publicClient: quorumPublicClient,
+            ogModule: config.ogModule,
+        });
+        await refreshFundingStatus();
 
+        restoreCheckpoint();
         if (lastCheckedBlock === undefined) {
-            lastCheckedBlock = await publicClient.getBlockNumber();
+            lastCheckedBlock = await resolveConfirmedHead({
+                publicClient,
+                confirmationDepth: config.confirmationDepth,
+            });
         }
         lastNativeBalance = await primeBalances({
             publicClient,
@@ -325,12 +603,19 @@ export function createAgentLoopRunner({
             messageApiServer = createMessageApiServer({
                 config,
                 inbox: messageInbox,
+                publicClient,
             });
             await messageApiServer.start();
         }
 
-        console.log('[agent] running...');
+        if (config.metricsApiEnabled && metrics && !metricsApiServer) {
+            metricsApiServer = createMetricsApiServer({ config, metrics });
+            await metricsApiServer.start();
+        }
+
+        logger.log('[agent] running...');
         agentLoop();
+        await startChainSubscription();
     }
 
     return {
@@ -0,0 +1,87 @@
+import {
+    concat,
+    decodeFunctionData,
+    encodeFunctionData,
+    encodePacked,
+    getAddress,
+    hexToBigInt,
+    hexToNumber,
+    parseAbi,
+    size,
+    slice,
+} from 'viem';
+
+const multiSendAbi = parseAbi(['function multiSend(bytes transactions) payable']);
+
+// Safe's MultiSendCallOnly refuses nested delegatecalls, so it is the only contract the
+// Safe may delegatecall: v1.3.0, v1.3.0 (EIP-155 deployment) and v1.4.1.
+const SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES = Object.freeze([
+    '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D',
+    '0xA1dabEF33b3B82c7814B6D82A79e50F4AC44102B',
+    '0x9641d764fc13c8B624c04430C7356C1C7C8102e2',
+]);
+const DEFAULT_MULTI_SEND_CALL_ONLY_ADDRESS = SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES[0];
+
+function isSafeMultiSendCallOnly(address) {
+    return SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES.includes(getAddress(address));
+}
+
+function encodeMultiSendTransactions(transactions) {
+    return concat(
+        transactions.map((tx) =>
+            encodePacked(
+                ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+                [tx.operation, getAddress(tx.to), BigInt(tx.value), BigInt(size(tx.data)), tx.data]
+            )
+        )
+    );
+}
+
+// Inverse of encodeMultiSendTransactions: 1-byte operation, 20-byte to, 32-byte value,
+// 32-byte data length, then the data.
+function decodeMultiSendTransactions(packed) {
+    const transactions = [];
+    let offset = 0;
+    const total = size(packed);
+    while (offset < total) {
+        if (offset + 85 > total) {
+            throw new Error('Truncated multiSend transaction encoding.');
+        }
+        const dataLength = hexToNumber(slice(packed, offset + 53, offset + 85));
+        const dataEnd = offset + 85 + dataLength;
+        if (dataEnd > total) {
+            throw new Error('Truncated multiSend transaction data.');
+        }
+        transactions.push({
+            operation: hexToNumber(slice(packed, offset, offset + 1)),
+            to: getAddress(slice(packed, offset + 1, offset + 21)),
+            value: hexToBigInt(slice(packed, offset + 21, offset + 53)),
+            data: dataLength > 0 ? slice(packed, offset + 85, dataEnd) : '0x',
+        });
+        offset = dataEnd;
+    }
+    return transactions;
+}
+
+function encodeMultiSendCall(transactions) {
+    return encodeFunctionData({
+        abi: multiSendAbi,
+        functionName: 'multiSend',
+        args: [encodeMultiSendTransactions(transactions)],
+    });
+}
+
+function decodeMultiSendCall(data) {
+    const { args } = decodeFunctionData({ abi: multiSendAbi, data });
+    return decodeMultiSendTransactions(args[0]);
+}
+
+export {
+    DEFAULT_MULTI_SEND_CALL_ONLY_ADDRESS,
+    SAFE_MULTI_SEND_CALL_ONLY_ADDRESSES,
+    decodeMultiSendCall,
+    decodeMultiSendTransactions,
+    encodeMultiSendCall,
+    encodeMultiSendTransactions,
+    isSafeMultiSendCallOnly,
+};
@@ -1,5 +1,6 @@
 import { extractTimelockTriggers } from './timelock.js';
 import { collectPriceTriggerSignals } from './uniswapV3Price.js';
+import { logger } from './logger.js';
 
 export function createSignalPreparationRuntime({
     agentModule,
@@ -40,6 +41,24 @@ export function createSignalPreparationRuntime({
         }
     }
 
+    // Drops reorged-out deposits and any timelock they anchored that has not fired yet.
+    function retractDeposits(deposits) {
+        const retractedIds = new Set(deposits.map((deposit) => deposit.id));
+        if (retractedIds.size === 0) {
+            return;
+        }
+        for (let index = depositHistory.length - 1; index >= 0; index -= 1) {
+            if (retractedIds.has(depositHistory[index].id)) {
+                depositHistory.splice(index, 1);
+            }
+        }
+        for (const [triggerId, trigger] of timelockTriggers.entries()) {
+            if (!trigger.fired && retractedIds.has(trigger.deposit?.id)) {
+                timelockTriggers.delete(triggerId);
+            }
+        }
+    }
+
     function updateTimelockSchedule({ rulesText }) {
         const triggers = extractTimelockTriggers({
             rulesText,
@@ -88,10 +107,10 @@ export function createSignalPreparationRuntime({
             if (Array.isArray(parsed)) {
                 return parsed;
             }
-            console.warn('[agent] getPriceTriggers() returned non-array; ignoring.');
+            logger.warn('[agent] getPriceTriggers() returned non-array; ignoring.');
             return [];
         } catch (error) {
-            console.warn(
+            logger.warn(
                 '[agent] getPriceTriggers() failed; skipping price triggers:',
                 error?.message ?? error
             );
@@ -147,7 +166,7 @@ export function createSignalPreparationRuntime({
                     latestBlock,
                 });
             } catch (error) {
-                console.error('[agent] Failed to enrich signals:', error);
+                logger.error('[agent] Failed to enrich signals:', error);
             }
         }
         return Array.isArray(signalsToProcess) ? signalsToProcess : [];
@@ -155,6 +174,7 @@ export function createSignalPreparationRuntime({
 
     return {
         recordDeposits,
+        retractDeposits,
         updateTimelockSchedule,
         collectDueTimelocks,
         markTimelocksFired,
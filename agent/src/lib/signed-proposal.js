@@ -1,10 +1,35 @@
 import { getAddress } from 'viem';
-import { recoverMessageAddress } from 'viem';
 import { canonicalizeJson, isPlainObject, stringifyCanonicalJson } from './canonical-json.js';
+import {
+    buildOyaTypedDataDomain,
+    encodeTypedJsonField,
+    encodeTypedTimestamp,
+    isSignedAuthSignature,
+    normalizeSignedAuthType,
+    verifySignedAuthSignature,
+} from './typed-data-signing.js';
 
 const SIGNED_PROPOSAL_VERSION = 'oya-signed-proposal-v1';
 const SIGNED_PROPOSAL_KIND = 'og_proposal_publication';
 const PROPOSAL_PUBLICATION_RECORD_VERSION = 'oya-proposal-publication-record-v1';
+const SIGNED_PROPOSAL_TYPES = {
+    SignedProposal: [
+        { name: 'proposer', type: 'address' },
+        { name: 'requestId', type: 'string' },
+        { name: 'commitmentSafe', type: 'address' },
+        { name: 'transactions', type: 'Transaction[]' },
+        { name: 'explanation', type: 'string' },
+        { name: 'metadata', type: 'string' },
+        { name: 'timestampMs', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+    ],
+    Transaction: [
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'data', type: 'bytes' },
+        { name: 'operation', type: 'uint8' },
+    ],
+};
 
 function parsePositiveInteger(value, label) {
     const parsed = Number(value);
@@ -82,9 +107,11 @@ function normalizeMetadata(value, label) {
     return canonicalizeJson(value);
 }
 
-function normalizeTransactions(transactions, label = 'transactions') {
-    if (!Array.isArray(transactions) || transactions.length === 0) {
-        throw new Error(`${label} must be a non-empty array.`);
+// Pause and unpause proposals carry no transactions, so empty arrays are left for the
+// publication API to gate by proposal kind.
+function normalizeTransactions(transactions, label = 'transactions', { allowEmpty = false } = {}) {
+    if (!Array.isArray(transactions) || (transactions.length === 0 && !allowEmpty)) {
+        throw new Error(`${label} must be a ${allowEmpty ? '' : 'non-empty '}array.`);
     }
 
     return transactions.map((transaction, index) => {
@@ -132,7 +159,7 @@ function buildSignedProposalEnvelope({
         requestId: normalizeNonEmptyString(requestId, 'requestId'),
         commitmentSafe: getAddress(commitmentSafe).toLowerCase(),
         ogModule: getAddress(ogModule).toLowerCase(),
-        transactions: normalizeTransactions(transactions),
+        transactions: normalizeTransactions(transactions, 'transactions', { allowEmpty: true }),
         explanation: normalizedExplanation,
         metadata: normalizeMetadata(metadata, 'metadata'),
         deadline: parseOptionalTimestamp(deadline, 'deadline'),
@@ -143,6 +170,37 @@ function buildSignedProposalPayload(args) {
     return stringifyCanonicalJson(buildSignedProposalEnvelope(args));
 }
 
+/**
+ * EIP-712 form of the signed proposal envelope, with the domain bound to its chain and OG module
+ * so wallets can show each transaction field by field.
+ */
+function buildSignedProposalTypedData(args) {
+    const envelope = buildSignedProposalEnvelope(args);
+    return {
+        domain: buildOyaTypedDataDomain({
+            chainId: envelope.chainId,
+            verifyingContract: envelope.ogModule,
+        }),
+        types: SIGNED_PROPOSAL_TYPES,
+        primaryType: 'SignedProposal',
+        message: {
+            proposer: getAddress(envelope.address),
+            requestId: envelope.requestId,
+            commitmentSafe: getAddress(envelope.commitmentSafe),
+            transactions: envelope.transactions.map((transaction) => ({
+                to: getAddress(transaction.to),
+                value: BigInt(transaction.value),
+                data: transaction.data,
+                operation: transaction.operation,
+            })),
+            explanation: envelope.explanation,
+            metadata: encodeTypedJsonField(envelope.metadata),
+            timestampMs: encodeTypedTimestamp(envelope.timestampMs, 'timestampMs'),
+            deadline: encodeTypedTimestamp(envelope.deadline, 'deadline'),
+        },
+    };
+}
+
 function sanitizeFilenameSegment(value) {
     return String(value)
         .trim()
@@ -159,6 +217,7 @@ function buildProposalPublicationFilename({ requestId, signer }) {
 }
 
 function buildProposalPublicationArtifact({
+    authType,
     signer,
     signature,
     signedAtMs,
@@ -184,7 +243,7 @@ function buildProposalPublicationArtifact({
             ...(nodeName ? { nodeName: normalizeNonEmptyString(nodeName, 'nodeName') } : {}),
         },
         signedProposal: {
-            authType: 'eip191',
+            authType: normalizeSignedAuthType(authType, 'authType'),
             signer: getAddress(signer).toLowerCase(),
             signature,
             signedAtMs: parsePositiveInteger(signedAtMs, 'signedAtMs'),
@@ -192,13 +251,17 @@ function buildProposalPublicationArtifact({
             envelope: normalizedEnvelope,
         },
     };
-    if (!/^0x[0-9a-fA-F]{130}$/.test(signature)) {
-        throw new Error('signature must be a 65-byte hex string.');
+    if (!isSignedAuthSignature(signature)) {
+        throw new Error('signature must be a hex string.');
     }
     return canonicalizeJson(artifact);
 }
 
-async function verifySignedProposalArtifact(artifact) {
+/**
+ * Contract wallet signers are verified through `publicClient` against current chain state, so an
+ * artifact signed by a Safe owner who has since been removed no longer verifies.
+ */
+async function verifySignedProposalArtifact(artifact, { publicClient = undefined } = {}) {
     if (!isPlainObject(artifact)) {
         throw new Error('artifact must be a JSON object.');
     }
@@ -243,23 +306,36 @@ async function verifySignedProposalArtifact(artifact) {
     if (signedProposal.signedAtMs !== normalizedEnvelope.timestampMs) {
         throw new Error('artifact signedProposal.signedAtMs does not match the signed envelope timestamp.');
     }
-    if (typeof signedProposal.signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signedProposal.signature)) {
-        throw new Error('artifact signedProposal.signature must be a 65-byte hex string.');
+    if (!isSignedAuthSignature(signedProposal.signature)) {
+        throw new Error('artifact signedProposal.signature must be a hex string.');
     }
 
-    const recoveredSigner = getAddress(
-        await recoverMessageAddress({
-            message: canonicalMessage,
-            signature: signedProposal.signature,
-        })
-    ).toLowerCase();
+    const authType = normalizeSignedAuthType(
+        signedProposal.authType,
+        'artifact signedProposal.authType'
+    );
     const declaredSigner = getAddress(signedProposal.signer).toLowerCase();
-    if (recoveredSigner !== declaredSigner) {
-        throw new Error('artifact signature does not recover to the archived signer.');
+    const signerType = await verifySignedAuthSignature({
+        authType,
+        address: declaredSigner,
+        message: canonicalMessage,
+        typedData:
+            authType === 'eip712' ? buildSignedProposalTypedData(normalizedEnvelope) : null,
+        signature: signedProposal.signature,
+        resolvePublicClient: publicClient ? async () => publicClient : undefined,
+    });
+    if (!signerType) {
+        throw new Error(
+            publicClient
+                ? 'artifact signature does not recover to the archived signer.'
+                : 'artifact signature does not recover to the archived signer; pass publicClient to verify contract wallet signers.'
+        );
     }
 
     return {
         ok: true,
+        authType,
+        signerType,
         signer: declaredSigner,
         requestId: normalizedEnvelope.requestId,
         chainId: normalizedEnvelope.chainId,
@@ -283,6 +359,7 @@ export {
     buildProposalPublicationFilename,
     buildSignedProposalEnvelope,
     buildSignedProposalPayload,
+    buildSignedProposalTypedData,
     normalizeTransactions,
     verifySignedProposalArtifact,
 };
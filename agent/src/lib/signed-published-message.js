@@ -1,6 +1,14 @@
 import { getAddress, recoverMessageAddress } from 'viem';
 import { canonicalizeJson, isPlainObject, stringifyCanonicalJson } from './canonical-json.js';
 import { normalizeMessagePublicationValidation } from './message-publication-validation.js';
+import {
+    buildOyaTypedDataDomain,
+    encodeTypedJsonField,
+    encodeTypedTimestamp,
+    isSignedAuthSignature,
+    normalizeSignedAuthType,
+    verifySignedAuthSignature,
+} from './typed-data-signing.js';
 
 const SIGNED_PUBLISHED_MESSAGE_VERSION = 'oya-signed-message-v1';
 const SIGNED_PUBLISHED_MESSAGE_KIND = 'generic_message_publication';
@@ -8,6 +16,15 @@ const MESSAGE_PUBLICATION_RECORD_VERSION = 'oya-message-publication-record-v1';
 const NODE_MESSAGE_PUBLICATION_ATTESTATION_VERSION =
     'oya-node-message-publication-attestation-v1';
 const NODE_MESSAGE_PUBLICATION_ATTESTATION_KIND = 'message_publication_attestation';
+const PUBLISHED_MESSAGE_TYPES = {
+    PublishedMessage: [
+        { name: 'agent', type: 'address' },
+        { name: 'requestId', type: 'string' },
+        { name: 'commitmentAddresses', type: 'address[]' },
+        { name: 'timestampMs', type: 'uint256' },
+        { name: 'message', type: 'string' },
+    ],
+};
 
 function parsePositiveInteger(value, label) {
     const parsed = Number(value);
@@ -73,6 +90,31 @@ function buildSignedPublishedMessagePayload(args) {
     return stringifyCanonicalJson(buildSignedPublishedMessageEnvelope(args));
 }
 
+/**
+ * EIP-712 form of a published message. The domain is bound to the message chain and its first
+ * commitment address; the full message is signed as canonical JSON.
+ */
+function buildSignedPublishedMessageTypedData(args) {
+    const envelope = buildSignedPublishedMessageEnvelope(args);
+    return {
+        domain: buildOyaTypedDataDomain({
+            chainId: envelope.message.chainId,
+            verifyingContract: envelope.message.commitmentAddresses[0],
+        }),
+        types: PUBLISHED_MESSAGE_TYPES,
+        primaryType: 'PublishedMessage',
+        message: {
+            agent: getAddress(envelope.address),
+            requestId: envelope.message.requestId,
+            commitmentAddresses: envelope.message.commitmentAddresses.map((address) =>
+                getAddress(address)
+            ),
+            timestampMs: encodeTypedTimestamp(envelope.timestampMs, 'timestampMs'),
+            message: encodeTypedJsonField(envelope.message),
+        },
+    };
+}
+
 function normalizePublicationMetadata({
     receivedAtMs,
     publishedAtMs,
@@ -104,8 +146,8 @@ function normalizeSignedMessageReference({
     signature,
     canonicalMessage,
 }) {
-    if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
-        throw new Error('signature must be a 65-byte hex string.');
+    if (!isSignedAuthSignature(signature)) {
+        throw new Error('signature must be a hex string.');
     }
     if (typeof canonicalMessage !== 'string' || !canonicalMessage.trim()) {
         throw new Error('canonicalMessage must be a non-empty string.');
@@ -119,6 +161,7 @@ function normalizeSignedMessageReference({
 }
 
 function buildArchivedSignedMessageRecord({
+    authType,
     signer,
     signature,
     signedAtMs,
@@ -130,8 +173,8 @@ function buildArchivedSignedMessageRecord({
     if (canonicalMessage !== normalizedCanonicalMessage) {
         throw new Error('canonicalMessage does not match the normalized signed message envelope.');
     }
-    if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
-        throw new Error('signature must be a 65-byte hex string.');
+    if (!isSignedAuthSignature(signature)) {
+        throw new Error('signature must be a hex string.');
     }
     const normalizedSignedAtMs = parsePositiveInteger(signedAtMs, 'signedAtMs');
     if (normalizedSignedAtMs !== normalizedEnvelope.timestampMs) {
@@ -139,7 +182,7 @@ function buildArchivedSignedMessageRecord({
     }
 
     return canonicalizeJson({
-        authType: 'eip191',
+        authType: normalizeSignedAuthType(authType, 'authType'),
         signer: getAddress(signer).toLowerCase(),
         signature,
         signedAtMs: normalizedSignedAtMs,
@@ -218,6 +261,7 @@ function buildMessagePublicationFilename({ requestId, signer }) {
 }
 
 function buildMessagePublicationArtifact({
+    authType,
     signer,
     signature,
     signedAtMs,
@@ -238,6 +282,7 @@ function buildMessagePublicationArtifact({
         validation,
     });
     const normalizedSignedMessage = buildArchivedSignedMessageRecord({
+        authType,
         signer,
         signature,
         signedAtMs,
@@ -283,7 +328,11 @@ function buildMessagePublicationArtifact({
     });
 }
 
-async function verifySignedPublishedMessageArtifact(artifact) {
+/**
+ * Contract wallet signers are verified through `publicClient` against current chain state. Node
+ * attestations are always EOA signatures.
+ */
+async function verifySignedPublishedMessageArtifact(artifact, { publicClient = undefined } = {}) {
     if (!isPlainObject(artifact)) {
         throw new Error('artifact must be a JSON object.');
     }
@@ -305,6 +354,7 @@ async function verifySignedPublishedMessageArtifact(artifact) {
         validation: artifact.publication.validation,
     });
     const normalizedSignedMessage = buildArchivedSignedMessageRecord({
+        authType: artifact.signedMessage.authType,
         signer: artifact.signedMessage.signer,
         signature: artifact.signedMessage.signature,
         signedAtMs: artifact.signedMessage.signedAtMs,
@@ -313,18 +363,27 @@ async function verifySignedPublishedMessageArtifact(artifact) {
     });
     const canonicalMessage = normalizedSignedMessage.canonicalMessage;
 
-    const recoveredSigner = getAddress(
-        await recoverMessageAddress({
-            message: canonicalMessage,
-            signature: normalizedSignedMessage.signature,
-        })
-    ).toLowerCase();
     const declaredSigner = normalizedSignedMessage.signer;
     if (declaredSigner !== normalizedSignedMessage.envelope.address) {
         throw new Error('artifact signer does not match the signed message envelope address.');
     }
-    if (recoveredSigner !== declaredSigner) {
-        throw new Error('artifact signature does not recover to the archived signer.');
+    const signerType = await verifySignedAuthSignature({
+        authType: normalizedSignedMessage.authType,
+        address: declaredSigner,
+        message: canonicalMessage,
+        typedData:
+            normalizedSignedMessage.authType === 'eip712'
+                ? buildSignedPublishedMessageTypedData(normalizedSignedMessage.envelope)
+                : null,
+        signature: normalizedSignedMessage.signature,
+        resolvePublicClient: publicClient ? async () => publicClient : undefined,
+    });
+    if (!signerType) {
+        throw new Error(
+            publicClient
+                ? 'artifact signature does not recover to the archived signer.'
+                : 'artifact signature does not recover to the archived signer; pass publicClient to verify contract wallet signers.'
+        );
     }
 
     let normalizedNodeAttestation = null;
@@ -370,6 +429,8 @@ async function verifySignedPublishedMessageArtifact(artifact) {
 
     return {
         ok: true,
+        authType: normalizedSignedMessage.authType,
+        signerType,
         signer: declaredSigner,
         chainId: normalizedSignedMessage.envelope.message.chainId,
         requestId: normalizedSignedMessage.envelope.message.requestId,
@@ -399,6 +460,7 @@ export {
     buildMessagePublicationNodeAttestationRecord,
     buildSignedPublishedMessageEnvelope,
     buildSignedPublishedMessagePayload,
+    buildSignedPublishedMessageTypedData,
     normalizePublishedMessage,
     verifySignedPublishedMessageArtifact,
 };
@@ -1,6 +1,11 @@
 import { timingSafeEqual } from 'node:crypto';
-import { getAddress, recoverMessageAddress } from 'viem';
+import { getAddress } from 'viem';
 import { isPlainObject } from './canonical-json.js';
+import {
+    SIGNED_AUTH_TYPES,
+    isSignedAuthSignature,
+    verifySignedAuthSignature,
+} from './typed-data-signing.js';
 
 function safeTokenEquals(leftRaw, rightRaw) {
     const left = Buffer.from(String(leftRaw));
@@ -34,6 +39,13 @@ function authenticateBearerRequest({ authorizationHeader, keyEntries }) {
     return matchedKeyId;
 }
 
+/**
+ * Verifies `body.auth` against the canonical payload from `buildPayload`. `eip712` auth is
+ * accepted when the caller also passes `buildTypedData`; the canonical payload is still returned
+ * so records and dedupe stay keyed the same way for both auth types. Signatures that do not
+ * recover to `auth.address` are checked as ERC-1271/ERC-6492 contract wallet signatures when
+ * `resolvePublicClient({ chainId })` returns a client.
+ */
 async function authenticateSignedRequest({
     body,
     signerAllowlist,
@@ -42,6 +54,8 @@ async function authenticateSignedRequest({
     expectedChainId,
     nowMs,
     buildPayload,
+    buildTypedData = undefined,
+    resolvePublicClient = undefined,
     allowExpired = false,
 }) {
     if (!body?.auth) {
@@ -56,14 +70,21 @@ async function authenticateSignedRequest({
     }
 
     const auth = body.auth;
-    if (auth.type !== 'eip191') {
-        return { ok: false, statusCode: 400, message: 'auth.type must be "eip191".' };
+    if (auth.type === 'eip712' && typeof buildTypedData !== 'function') {
+        return { ok: false, statusCode: 400, message: 'auth.type "eip712" is not supported here.' };
+    }
+    if (!SIGNED_AUTH_TYPES.includes(auth.type)) {
+        return {
+            ok: false,
+            statusCode: 400,
+            message: 'auth.type must be "eip191" or "eip712".',
+        };
     }
     if (typeof auth.address !== 'string') {
         return { ok: false, statusCode: 400, message: 'auth.address must be a string.' };
     }
-    if (typeof auth.signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(auth.signature)) {
-        return { ok: false, statusCode: 400, message: 'auth.signature must be a 65-byte hex string.' };
+    if (!isSignedAuthSignature(auth.signature)) {
+        return { ok: false, statusCode: 400, message: 'auth.signature must be a hex string.' };
     }
     if (!Number.isInteger(auth.timestampMs)) {
         return { ok: false, statusCode: 400, message: 'auth.timestampMs must be an integer.' };
@@ -114,8 +135,12 @@ async function authenticateSignedRequest({
     }
 
     let payload;
+    let typedData = null;
     try {
         payload = await buildPayload({ declaredAddress });
+        if (auth.type === 'eip712') {
+            typedData = await buildTypedData({ declaredAddress });
+        }
     } catch (error) {
         return {
             ok: false,
@@ -124,19 +149,33 @@ async function authenticateSignedRequest({
         };
     }
 
-    let recoveredAddress;
+    let signerType;
     try {
-        recoveredAddress = getAddress(
-            await recoverMessageAddress({
-                message: payload,
-                signature: auth.signature,
-            })
-        );
+        signerType = await verifySignedAuthSignature({
+            authType: auth.type,
+            address: declaredAddress,
+            message: payload,
+            typedData,
+            signature: auth.signature,
+            resolvePublicClient:
+                typeof resolvePublicClient === 'function'
+                    ? async () => {
+                          try {
+                              return await resolvePublicClient({ chainId: body.chainId });
+                          } catch (error) {
+                              return null;
+                          }
+                      }
+                    : undefined,
+        });
     } catch (error) {
-        return { ok: false, statusCode: 401, message: 'Invalid message signature.' };
+        return {
+            ok: false,
+            statusCode: 503,
+            message: 'Unable to verify contract wallet signature.',
+        };
     }
-
-    if (recoveredAddress.toLowerCase() !== normalizedDeclared) {
+    if (!signerType) {
         return { ok: false, statusCode: 401, message: 'Signature does not match auth.address.' };
     }
 
@@ -146,7 +185,8 @@ async function authenticateSignedRequest({
         payload,
         senderKeyId: `addr:${normalizedDeclared}`,
         sender: {
-            authType: 'eip191',
+            authType: auth.type,
+            signerType,
             address: declaredAddress,
             signedAtMs: auth.timestampMs,
             signature: auth.signature,
@@ -88,15 +88,17 @@ async function loadPrivateKeyFromVault() {
     return value;
 }
 
-async function createSignerClient({ rpcUrl }) {
+async function createSignerClient({ rpcUrl, transport = undefined }) {
     const signerType = (process.env.SIGNER_TYPE ?? 'env').toLowerCase();
+    // Locally signed transactions can use the runtime's failover transport when one is provided.
+    const rpcTransport = transport ?? http(rpcUrl);
 
     if (signerType === 'env') {
         const privateKey = normalizePrivateKey(mustGetEnv('PRIVATE_KEY'));
         const account = privateKeyToAccount(privateKey);
         return {
             account,
-            walletClient: createWalletClient({ account, transport: http(rpcUrl) }),
+            walletClient: createWalletClient({ account, transport: rpcTransport }),
         };
     }
 
@@ -105,7 +107,7 @@ async function createSignerClient({ rpcUrl }) {
         const account = privateKeyToAccount(privateKey);
         return {
             account,
-            walletClient: createWalletClient({ account, transport: http(rpcUrl) }),
+            walletClient: createWalletClient({ account, transport: rpcTransport }),
         };
     }
 
@@ -114,7 +116,7 @@ async function createSignerClient({ rpcUrl }) {
         const account = privateKeyToAccount(privateKey);
         return {
             account,
-            walletClient: createWalletClient({ account, transport: http(rpcUrl) }),
+            walletClient: createWalletClient({ account, transport: rpcTransport }),
         };
     }
 
@@ -123,7 +125,7 @@ async function createSignerClient({ rpcUrl }) {
         const account = privateKeyToAccount(privateKey);
         return {
             account,
-            walletClient: createWalletClient({ account, transport: http(rpcUrl) }),
+            walletClient: createWalletClient({ account, transport: rpcTransport }),
         };
     }
 
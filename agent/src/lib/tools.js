@@ -8,7 +8,13 @@ import {
     postBondAndDispute,
     postBondAndPropose,
 } from './tx.js';
+import {
+    buildErc20AllowanceOverride,
+    buildErc20BalanceOverride,
+    simulateOgTransactions,
+} from './og-simulation.js';
 import { publishIpfsContent } from './ipfs.js';
+import { createPriceOracleFromConfig } from './price-oracle.js';
 import {
     buildClobOrderFromRaw,
     cancelClobOrders,
@@ -20,6 +26,7 @@ import { publishSignedMessage } from './message-publication-client.js';
 import { publishSignedProposal } from './proposal-publication-client.js';
 import { parseToolArguments } from './utils.js';
 import { annotateToolExecutionError, hasCommittedToolSideEffects } from './tool-execution-error.js';
+import { logger } from './logger.js';
 
 function safeStringify(value) {
     return JSON.stringify(value, (_, item) => (typeof item === 'bigint' ? item.toString() : item));
@@ -240,6 +247,7 @@ function toolDefinitions({
     disputeEnabled,
     clobEnabled,
     ipfsEnabled,
+    priceOracleEnabled = false,
     onchainToolsEnabled = proposeEnabled || disputeEnabled,
 }) {
     const tools = [
@@ -262,7 +270,7 @@ function toolDefinitions({
                                 kind: {
                                     type: 'string',
                                     description:
-                                        'Action type: erc20_transfer | native_transfer | contract_call | uniswap_v3_exact_input_single | ctf_split | ctf_merge | ctf_redeem',
+                                        'Action type: erc20_transfer | native_transfer | contract_call | uniswap_v3_exact_input_single | uniswap_v3_exact_input | uniswap_v3_exact_output_single | ctf_split | ctf_merge | ctf_redeem | multisend',
                                 },
                                 token: {
                                     type: ['string', 'null'],
@@ -271,7 +279,8 @@ function toolDefinitions({
                                 },
                                 to: {
                                     type: ['string', 'null'],
-                                    description: 'Recipient or target contract address.',
+                                    description:
+                                        'Recipient or target contract address. For multisend, an optional canonical Safe MultiSendCallOnly address.',
                                 },
                                 amountWei: {
                                     type: ['string', 'null'],
@@ -355,7 +364,7 @@ function toolDefinitions({
                                 router: {
                                     type: ['string', 'null'],
                                     description:
-                                        'Uniswap V3 router address for uniswap_v3_exact_input_single.',
+                                        'Uniswap V3 SwapRouter02 address for Uniswap swap actions.',
                                 },
                                 tokenIn: {
                                     type: ['string', 'null'],
@@ -381,11 +390,39 @@ function toolDefinitions({
                                     type: ['string', 'null'],
                                     description: 'Minimum output amount for Uniswap swap in token wei.',
                                 },
+                                pathTokens: {
+                                    type: ['array', 'null'],
+                                    description:
+                                        'Token addresses in swap order for uniswap_v3_exact_input, from tokenIn to tokenOut.',
+                                    items: { type: 'string' },
+                                },
+                                pathFees: {
+                                    type: ['array', 'null'],
+                                    description:
+                                        'Pool fee tier for each hop of uniswap_v3_exact_input (one fewer than pathTokens).',
+                                    items: { type: 'integer' },
+                                },
+                                amountOutWei: {
+                                    type: ['string', 'null'],
+                                    description:
+                                        'Exact output amount for uniswap_v3_exact_output_single in token wei.',
+                                },
+                                amountInMaxWei: {
+                                    type: ['string', 'null'],
+                                    description:
+                                        'Maximum input amount for uniswap_v3_exact_output_single in token wei.',
+                                },
                                 sqrtPriceLimitX96: {
                                     type: ['string', 'null'],
                                     description:
                                         'Optional Uniswap sqrtPriceLimitX96 guard (default 0 for no limit).',
                                 },
+                                actions: {
+                                    type: ['array', 'null'],
+                                    description:
+                                        'Nested actions for multisend, executed atomically in one DELEGATECALL to MultiSendCallOnly. Nested actions must use operation 0.',
+                                    items: { type: 'object' },
+                                },
                             },
                             required: ['kind'],
                         },
@@ -514,6 +551,35 @@ function toolDefinitions({
         tools.length = 0;
     }
 
+    if (priceOracleEnabled) {
+        tools.push({
+            type: 'function',
+            name: 'get_asset_price',
+            description:
+                'Read the USD price of an asset from the configured price oracle (median of its Chainlink, Uniswap V3 TWAP and static sources) at a block, at the last block before a unix timestamp, or at the latest block.',
+            strict: true,
+            parameters: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    asset: {
+                        type: 'string',
+                        description: 'Token address, or an asset key such as native configured in priceOracle.',
+                    },
+                    blockNumber: {
+                        type: ['string', 'null'],
+                        description: 'Block number to price at. Takes precedence over timestampSec.',
+                    },
+                    timestampSec: {
+                        type: ['integer', 'null'],
+                        description: 'Unix timestamp in seconds to price at when blockNumber is null.',
+                    },
+                },
+                required: ['asset', 'blockNumber', 'timestampSec'],
+            },
+        });
+    }
+
     if (ipfsEnabled) {
         tools.push({
             type: 'function',
@@ -622,6 +688,53 @@ function toolDefinitions({
                 required: ['transactions', 'explanation'],
             },
         });
+        tools.push({
+            type: 'function',
+            name: 'simulate_og_transactions',
+            description:
+                'Simulate a Safe transaction batch as the Optimistic Governor would execute it, without bonding or proposing. The batch runs as one call, so each transaction sees what earlier ones did. Returns the first reverting transaction with its reason (later ones report success null) and token balance deltas. Use erc20Overrides to simulate against balances or allowances the Safe does not have yet.',
+            strict: true,
+            parameters: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    transactions: {
+                        type: 'array',
+                        description: 'Safe transaction batch to simulate. Use value as string wei.',
+                        items: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                to: { type: 'string' },
+                                value: { type: 'string' },
+                                data: { type: 'string' },
+                                operation: { type: 'integer' },
+                            },
+                            required: ['to', 'value', 'data', 'operation'],
+                        },
+                    },
+                    erc20Overrides: {
+                        type: ['array', 'null'],
+                        description:
+                            'Optional ERC20 storage overrides. kind=balance sets owner balance; kind=allowance sets owner->spender allowance. slot is the mapping storage slot, or null for the standard layout (balances 0, allowances 1).',
+                        items: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                token: { type: 'string' },
+                                kind: { type: 'string', enum: ['balance', 'allowance'] },
+                                owner: { type: 'string' },
+                                spender: { type: ['string', 'null'] },
+                                amountWei: { type: 'string' },
+                                slot: { type: ['integer', 'null'] },
+                            },
+                            required: ['token', 'kind', 'owner', 'spender', 'amountWei', 'slot'],
+                        },
+                    },
+                },
+                required: ['transactions', 'erc20Overrides'],
+            },
+        });
     }
 
     if (onchainToolsEnabled && disputeEnabled) {
@@ -861,7 +974,7 @@ async function executeToolCalls({
         for (const call of toolCalls) {
             const args = parseToolArguments(call.arguments);
             if (!args) {
-                console.warn('[agent] Tool call has invalid args:', call);
+                logger.warn('[agent] Tool call has invalid args:', call);
                 await emitOutput({
                     callId: call.callId,
                     name: call.name,
@@ -898,6 +1011,47 @@ async function executeToolCalls({
                 continue;
             }
 
+            if (call.name === 'get_asset_price') {
+                const priceOracle = createPriceOracleFromConfig({ publicClient, config });
+                if (!priceOracle) {
+                    await emitOutput({
+                        callId: call.callId,
+                        name: call.name,
+                        output: safeStringify({
+                            status: 'skipped',
+                            reason: 'price oracle not configured',
+                        }),
+                    });
+                    continue;
+                }
+                try {
+                    const price = await priceOracle.getPrice({
+                        asset: args.asset,
+                        blockNumber:
+                            args.blockNumber !== null && args.blockNumber !== undefined
+                                ? BigInt(args.blockNumber)
+                                : undefined,
+                        timestampSec: args.timestampSec ?? undefined,
+                    });
+                    await emitOutput({
+                        callId: call.callId,
+                        name: call.name,
+                        output: safeStringify({ status: 'ok', ...price }),
+                    });
+                } catch (error) {
+                    await emitOutput({
+                        callId: call.callId,
+                        name: call.name,
+                        output: safeStringify({
+                            status: 'error',
+                            message: error?.message ?? String(error),
+                            retryable: isRetryableToolError(error),
+                        }),
+                    });
+                }
+                continue;
+            }
+
             if (call.name === 'ipfs_publish') {
                 if (!config.ipfsEnabled) {
                     await emitOutput({
@@ -921,6 +1075,9 @@ async function executeToolCalls({
                         mediaType: args.mediaType,
                         pin: args.pin,
                     });
+                    logger.info(
+                        `[agent] IPFS publish complete: cid=${result.cid} pinned=${result.pinned}.`
+                    );
                     await emitOutput({
                         callId: call.callId,
                         name: call.name,
@@ -1637,6 +1794,81 @@ async function executeToolCalls({
             continue;
         }
 
+        if (call.name === 'simulate_og_transactions') {
+            if (!config.proposeEnabled) {
+                await emitOutput({
+                    callId: call.callId,
+                    name: call.name,
+                    output: safeStringify({
+                        status: 'skipped',
+                        reason: 'proposals disabled',
+                    }),
+                });
+                continue;
+            }
+            try {
+                const transactions = args.transactions.map((tx) => ({
+                    to: getAddress(tx.to),
+                    value: BigInt(tx.value),
+                    data: tx.data,
+                    operation: Number(tx.operation),
+                }));
+                const stateOverride = (args.erc20Overrides ?? []).map((override) => {
+                    if (override.kind === 'allowance') {
+                        if (!override.spender) {
+                            throw new Error('erc20Overrides allowance entries require spender.');
+                        }
+                        return buildErc20AllowanceOverride({
+                            token: override.token,
+                            owner: override.owner,
+                            spender: override.spender,
+                            amountWei: override.amountWei,
+                            ...(override.slot !== null && override.slot !== undefined
+                                ? { allowanceSlot: override.slot }
+                                : {}),
+                        });
+                    }
+                    if (override.kind === 'balance') {
+                        return buildErc20BalanceOverride({
+                            token: override.token,
+                            holder: override.owner,
+                            amountWei: override.amountWei,
+                            ...(override.slot !== null && override.slot !== undefined
+                                ? { balanceSlot: override.slot }
+                                : {}),
+                        });
+                    }
+                    throw new Error(`Unsupported erc20Overrides kind: ${override.kind}.`);
+                });
+                const simulation = await simulateOgTransactions({
+                    publicClient,
+                    ogModule: config.ogModule,
+                    safeAddress: config.commitmentSafe,
+                    transactions,
+                    stateOverride,
+                });
+                await emitOutput({
+                    callId: call.callId,
+                    name: call.name,
+                    output: safeStringify({
+                        status: 'ok',
+                        ...simulation,
+                    }),
+                });
+            } catch (error) {
+                await emitOutput({
+                    callId: call.callId,
+                    name: call.name,
+                    output: safeStringify({
+                        status: 'error',
+                        message: error?.message ?? String(error),
+                        retryable: isRetryableToolError(error),
+                    }),
+                });
+            }
+            continue;
+        }
+
             if (call.name === 'post_bond_and_propose') {
                 if (!config.proposeEnabled) {
                     await emitOutput({
@@ -1794,7 +2026,7 @@ async function executeToolCalls({
             continue;
         }
 
-        console.warn('[agent] Unknown tool call:', call.name);
+        logger.warn('[agent] Unknown tool call:', call.name);
         await emitOutput({
             callId: call.callId,
             name: call.name,
@@ -1804,7 +2036,7 @@ async function executeToolCalls({
 
         if (builtTransactions && !hasPostProposal) {
             if (!config.proposeEnabled) {
-                console.log('[agent] Built transactions but proposals are disabled; skipping propose.');
+                logger.log('[agent] Built transactions but proposals are disabled; skipping propose.');
             } else {
                 try {
                     let submittedOutput = null;
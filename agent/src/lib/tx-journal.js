@@ -0,0 +1,246 @@
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import {
+    closeSync,
+    mkdirSync,
+    openSync,
+    readFileSync,
+    renameSync,
+    rmSync,
+    statSync,
+    writeFileSync,
+} from 'node:fs';
+import { getAddress } from 'viem';
+import { isPlainObject } from './canonical-json.js';
+
+const STORE_VERSION = 'oya-tx-journal-v1';
+const TX_STATUSES = Object.freeze(['pending', 'confirmed', 'reverted', 'cancelled', 'replaced']);
+const DEFAULT_LOCK_TIMEOUT_MS = 30_000;
+const DEFAULT_STALE_LOCK_MS = 120_000;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseOptionalBigInt(value, label) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    try {
+        return BigInt(value);
+    } catch (error) {
+        throw new Error(`${label} must be an integer string.`);
+    }
+}
+
+function serializeOptionalBigInt(value) {
+    return value === undefined || value === null ? null : BigInt(value).toString();
+}
+
+function serializeAttempt(attempt) {
+    return {
+        hash: attempt.hash,
+        kind: attempt.kind,
+        maxFeePerGas: serializeOptionalBigInt(attempt.maxFeePerGas),
+        maxPriorityFeePerGas: serializeOptionalBigInt(attempt.maxPriorityFeePerGas),
+        sentAtMs: attempt.sentAtMs,
+    };
+}
+
+function deserializeAttempt(entry, label) {
+    if (!isPlainObject(entry) || typeof entry.hash !== 'string') {
+        throw new Error(`${label} must be an object with a hash.`);
+    }
+    return {
+        hash: entry.hash,
+        kind: entry.kind ?? 'original',
+        maxFeePerGas: parseOptionalBigInt(entry.maxFeePerGas, `${label}.maxFeePerGas`),
+        maxPriorityFeePerGas: parseOptionalBigInt(
+            entry.maxPriorityFeePerGas,
+            `${label}.maxPriorityFeePerGas`
+        ),
+        sentAtMs: Number(entry.sentAtMs ?? 0),
+    };
+}
+
+function serializeTransaction(transaction) {
+    return {
+        nonce: transaction.nonce,
+        status: transaction.status,
+        to: transaction.to ?? null,
+        data: transaction.data ?? '0x',
+        value: serializeOptionalBigInt(transaction.value ?? 0n),
+        gas: serializeOptionalBigInt(transaction.gas),
+        attempts: transaction.attempts.map(serializeAttempt),
+        minedHash: transaction.minedHash ?? null,
+        createdAtMs: transaction.createdAtMs,
+        updatedAtMs: transaction.updatedAtMs,
+    };
+}
+
+function deserializeTransaction(entry, label) {
+    if (!isPlainObject(entry)) {
+        throw new Error(`${label} must be an object.`);
+    }
+    if (!Number.isInteger(entry.nonce) || entry.nonce < 0) {
+        throw new Error(`${label}.nonce must be a non-negative integer.`);
+    }
+    if (!TX_STATUSES.includes(entry.status)) {
+        throw new Error(`${label}.status must be one of: ${TX_STATUSES.join(', ')}.`);
+    }
+    if (!Array.isArray(entry.attempts) || entry.attempts.length === 0) {
+        throw new Error(`${label}.attempts must be a non-empty array.`);
+    }
+    return {
+        nonce: entry.nonce,
+        status: entry.status,
+        to: entry.to ?? null,
+        data: entry.data ?? '0x',
+        value: parseOptionalBigInt(entry.value, `${label}.value`) ?? 0n,
+        gas: parseOptionalBigInt(entry.gas, `${label}.gas`),
+        attempts: entry.attempts.map((attempt, index) =>
+            deserializeAttempt(attempt, `${label}.attempts[${index}]`)
+        ),
+        minedHash: entry.minedHash ?? null,
+        createdAtMs: Number(entry.createdAtMs ?? 0),
+        updatedAtMs: Number(entry.updatedAtMs ?? 0),
+    };
+}
+
+/**
+ * Durable record of the transactions one signer has broadcast on one chain: the nonce each one
+ * holds and every fee-bumped or cancelling replacement sent for it. Every process that signs with
+ * the address resolves the same file, and `withLock` serializes nonce assignment between them.
+ */
+function createTxJournal({
+    stateFile,
+    chainId,
+    signerAddress,
+    lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS,
+    staleLockMs = DEFAULT_STALE_LOCK_MS,
+}) {
+    if (typeof stateFile !== 'string' || !stateFile.trim()) {
+        throw new Error('createTxJournal requires a non-empty stateFile path.');
+    }
+    const resolvedStateFile = path.resolve(stateFile.trim());
+    const lockFile = `${resolvedStateFile}.lock`;
+    const scope = {
+        chainId: Number(chainId),
+        signerAddress: getAddress(signerAddress),
+    };
+
+    function load() {
+        let raw;
+        try {
+            raw = readFileSync(resolvedStateFile, 'utf8');
+        } catch (error) {
+            if (error?.code === 'ENOENT') {
+                return { ...scope, nextNonce: null, transactions: [], updatedAtMs: 0 };
+            }
+            throw error;
+        }
+
+        const parsed = JSON.parse(raw);
+        if (!isPlainObject(parsed)) {
+            throw new Error(`State file ${resolvedStateFile} must contain a JSON object.`);
+        }
+        if (parsed.version !== STORE_VERSION) {
+            throw new Error(`Unsupported tx journal version in ${resolvedStateFile}.`);
+        }
+        if (
+            Number(parsed.chainId) !== scope.chainId ||
+            getAddress(parsed.signerAddress) !== scope.signerAddress
+        ) {
+            throw new Error(
+                `Tx journal ${resolvedStateFile} belongs to signer ${parsed.signerAddress} on chainId ${parsed.chainId}, not the configured signer.`
+            );
+        }
+        const transactions = parsed.transactions ?? [];
+        if (!Array.isArray(transactions)) {
+            throw new Error(`State file ${resolvedStateFile}.transactions must be an array.`);
+        }
+        if (
+            parsed.nextNonce !== null &&
+            parsed.nextNonce !== undefined &&
+            (!Number.isInteger(parsed.nextNonce) || parsed.nextNonce < 0)
+        ) {
+            throw new Error(`State file ${resolvedStateFile}.nextNonce must be a non-negative integer.`);
+        }
+        return {
+            ...scope,
+            nextNonce: parsed.nextNonce ?? null,
+            transactions: transactions.map((entry, index) =>
+                deserializeTransaction(entry, `State file ${resolvedStateFile}.transactions[${index}]`)
+            ),
+            updatedAtMs: Number(parsed.updatedAtMs ?? 0),
+        };
+    }
+
+    function save({ nextNonce = null, transactions = [], nowMs = Date.now() }) {
+        mkdirSync(path.dirname(resolvedStateFile), { recursive: true });
+        const tempPath = `${resolvedStateFile}.${process.pid}.${Date.now()}.${randomUUID()}.tmp`;
+        const snapshot = {
+            version: STORE_VERSION,
+            ...scope,
+            nextNonce,
+            transactions: transactions.map(serializeTransaction),
+            updatedAtMs: nowMs,
+        };
+        try {
+            writeFileSync(tempPath, `${JSON.stringify(snapshot, null, 2)}\n`, 'utf8');
+            renameSync(tempPath, resolvedStateFile);
+        } catch (error) {
+            rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Runs `work` while holding an exclusive lock file next to the journal. A lock older than
+     * `staleLockMs` is assumed to belong to a crashed process and is taken over.
+     */
+    async function withLock(work) {
+        mkdirSync(path.dirname(resolvedStateFile), { recursive: true });
+        const deadline = Date.now() + lockTimeoutMs;
+        for (;;) {
+            try {
+                closeSync(openSync(lockFile, 'wx'));
+                break;
+            } catch (error) {
+                if (error?.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+            try {
+                if (Date.now() - statSync(lockFile).mtimeMs > staleLockMs) {
+                    rmSync(lockFile, { force: true });
+                    continue;
+                }
+            } catch (error) {
+                if (error?.code !== 'ENOENT') {
+                    throw error;
+                }
+                continue;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting for tx journal lock ${lockFile}.`);
+            }
+            await sleep(25);
+        }
+
+        try {
+            return await work();
+        } finally {
+            rmSync(lockFile, { force: true });
+        }
+    }
+
+    return {
+        stateFile: resolvedStateFile,
+        load,
+        save,
+        withLock,
+    };
+}
+
+export { TX_STATUSES, createTxJournal };
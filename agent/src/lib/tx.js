@@ -13,6 +13,13 @@ import {
     transactionsProposedEvent,
 } from './og.js';
 import { normalizeAssertion } from './og.js';
+import { simulateOgTransactions, summarizeSimulationFailures } from './og-simulation.js';
+import {
+    DEFAULT_MULTI_SEND_CALL_ONLY_ADDRESS,
+    encodeMultiSendCall,
+    isSafeMultiSendCallOnly,
+} from './safe-multisend.js';
+import { encodeUniswapV3Path } from './uniswapV3Swap.js';
 import {
     isPolymarketRelayerEnabled,
     relayPolymarketTransaction,
@@ -20,6 +27,7 @@ import {
 } from './polymarket-relayer.js';
 import { annotateToolExecutionError } from './tool-execution-error.js';
 import { normalizeHashOrNull, summarizeViemError } from './utils.js';
+import { logger } from './logger.js';
 
 const conditionalTokensAbi = parseAbi([
     'function splitPosition(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
@@ -27,6 +35,12 @@ const conditionalTokensAbi = parseAbi([
     'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
 ]);
 
+// SwapRouter02 structs carry no deadline field.
+const swapRouter02Abi = parseAbi([
+    'function exactInput((bytes path,address recipient,uint256 amountIn,uint256 amountOutMinimum) params) payable returns (uint256 amountOut)',
+    'function exactOutputSingle((address tokenIn,address tokenOut,uint24 fee,address recipient,uint256 amountOut,uint256 amountInMaximum,uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountIn)',
+]);
+
 const erc1155TransferAbi = parseAbi([
     'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
 ]);
@@ -200,6 +214,42 @@ async function resolveProposalHashFromReceipt({
     return null;
 }
 
+// Runs before any bond allowance or proposal transaction so a bundle that would revert when
+// the Safe executes it after liveness never costs a bond. Only `enforce` blocks, and
+// allowProposeOnSimulationFail lets the proposal through this check like the propose-call one.
+async function simulateProposalExecution({ publicClient, config, ogModule, transactions }) {
+    const mode = config.proposalSimulationMode ?? 'warn';
+    if (mode === 'off' || transactions.length === 0) {
+        return null;
+    }
+    const blocking = mode === 'enforce' && !config.allowProposeOnSimulationFail;
+
+    let simulation;
+    try {
+        simulation = await simulateOgTransactions({
+            publicClient,
+            ogModule,
+            safeAddress: config.commitmentSafe,
+            transactions,
+        });
+    } catch (error) {
+        if (blocking) {
+            throw error;
+        }
+        logger.warn('[agent] Proposal execution simulation could not run:', error);
+        return null;
+    }
+
+    if (!simulation.success) {
+        const failures = summarizeSimulationFailures(simulation);
+        if (blocking) {
+            throw new Error(`Proposal would revert when the Safe executes it: ${failures}`);
+        }
+        logger.warn('[agent] Proposal would revert when the Safe executes it:', failures);
+    }
+    return simulation;
+}
+
 async function postBondAndPropose({
     publicClient,
     walletClient,
@@ -244,10 +294,16 @@ async function postBondAndPropose({
                 args: [collateral],
             });
         } catch (error) {
-            console.warn('[agent] Failed to fetch minimum bond from optimistic oracle:', error);
+            logger.warn('[agent] Failed to fetch minimum bond from optimistic oracle:', error);
         }
 
         const requiredBond = bondAmount > minimumBond ? bondAmount : minimumBond;
+        const executionSimulation = await simulateProposalExecution({
+            publicClient,
+            config,
+            ogModule,
+            transactions: normalizedTransactions,
+        });
 
         if (requiredBond > 0n) {
             const collateralBalance = await publicClient.readContract({
@@ -319,10 +375,10 @@ async function postBondAndPropose({
                 error?.message ??
                 summarizeViemError(error)?.message ??
                 String(error);
-            console.warn('[agent] Proposal simulation failed:', simulationMessage);
+            logger.warn('[agent] Proposal simulation failed:', simulationMessage);
             if (!config.allowProposeOnSimulationFail) {
                 if (isDuplicateProposalError(error)) {
-                    console.log('[agent] Proposal skipped: duplicate proposal already exists onchain.');
+                    logger.log('[agent] Proposal skipped: duplicate proposal already exists onchain.');
                     return {
                         transactionHash: null,
                         proposalHash: null,
@@ -330,6 +386,7 @@ async function postBondAndPropose({
                         bondAmount,
                         collateral,
                         optimisticOracle,
+                        executionSimulation,
                         skipped: true,
                         skipReason: 'duplicate_proposal',
                         submissionError: summarizeViemError(error),
@@ -338,7 +395,7 @@ async function postBondAndPropose({
                 }
                 throw error;
             }
-            console.warn('[agent] Simulation failed; attempting to propose anyway.');
+            logger.warn('[agent] Simulation failed; attempting to propose anyway.');
         }
 
         try {
@@ -370,11 +427,11 @@ async function postBondAndPropose({
                 simulationError?.shortMessage ??
                 simulationError?.message ??
                 String(error ?? simulationError);
-            console.warn('[agent] Propose submission failed:', message);
+            logger.warn('[agent] Propose submission failed:', message);
         }
 
         if (proposalTxHash) {
-            console.log('[agent] Proposal submitted tx:', proposalTxHash);
+            logger.log('[agent] Proposal submitted tx:', proposalTxHash);
             try {
                 proposalHash = await resolveProposalHashFromReceipt({
                     publicClient,
@@ -384,18 +441,18 @@ async function postBondAndPropose({
                     pollIntervalMs: config.proposalHashResolvePollIntervalMs,
                 });
                 if (!proposalHash) {
-                    console.log(
+                    logger.log(
                         '[agent] Proposal hash not yet available from receipt; continuing and relying on OG log polling.'
                     );
                 }
             } catch (error) {
                 const reason = error?.shortMessage ?? error?.message ?? String(error);
-                console.warn('[agent] Failed to resolve OG proposalHash from receipt:', reason);
+                logger.warn('[agent] Failed to resolve OG proposalHash from receipt:', reason);
             }
         }
 
         if (proposalHash) {
-            console.log('[agent] OG proposal hash:', proposalHash);
+            logger.log('[agent] OG proposal hash:', proposalHash);
         }
 
         return {
@@ -407,6 +464,7 @@ async function postBondAndPropose({
             bondAmount,
             collateral,
             optimisticOracle,
+            executionSimulation,
             submissionError: submissionError ? summarizeViemError(submissionError) : null,
             sideEffectsLikelyCommitted,
         };
@@ -521,10 +579,10 @@ async function postBondAndDispute({
         }
 
         if (explanation) {
-            console.log(`[agent] Dispute rationale: ${explanation}`);
+            logger.log(`[agent] Dispute rationale: ${explanation}`);
         }
 
-        console.log('[agent] Dispute submitted:', disputeHash);
+        logger.log('[agent] Dispute submitted:', disputeHash);
 
         return {
             disputeHash,
@@ -686,6 +744,120 @@ function buildOgTransactions(actions, options = {}) {
             continue;
         }
 
+        if (action.kind === 'uniswap_v3_exact_input') {
+            if (
+                !action.router ||
+                !Array.isArray(action.pathTokens) ||
+                !Array.isArray(action.pathFees) ||
+                !action.recipient ||
+                action.amountInWei === undefined ||
+                action.amountOutMinWei === undefined
+            ) {
+                throw new Error(
+                    'uniswap_v3_exact_input requires router, pathTokens, pathFees, recipient, amountInWei, amountOutMinWei'
+                );
+            }
+
+            const router = getAddress(action.router);
+            const path = encodeUniswapV3Path({
+                tokens: action.pathTokens,
+                fees: action.pathFees,
+            });
+            const amountIn = BigInt(action.amountInWei);
+
+            transactions.push({
+                to: getAddress(action.pathTokens[0]),
+                value: '0',
+                data: encodeFunctionData({
+                    abi: erc20Abi,
+                    functionName: 'approve',
+                    args: [router, amountIn],
+                }),
+                operation,
+            });
+            transactions.push({
+                to: router,
+                value: '0',
+                data: encodeFunctionData({
+                    abi: swapRouter02Abi,
+                    functionName: 'exactInput',
+                    args: [
+                        {
+                            path,
+                            recipient: getAddress(action.recipient),
+                            amountIn,
+                            amountOutMinimum: BigInt(action.amountOutMinWei),
+                        },
+                    ],
+                }),
+                operation,
+            });
+            continue;
+        }
+
+        if (action.kind === 'uniswap_v3_exact_output_single') {
+            if (
+                !action.router ||
+                !action.tokenIn ||
+                !action.tokenOut ||
+                action.fee === undefined ||
+                !action.recipient ||
+                action.amountOutWei === undefined ||
+                action.amountInMaxWei === undefined
+            ) {
+                throw new Error(
+                    'uniswap_v3_exact_output_single requires router, tokenIn, tokenOut, fee, recipient, amountOutWei, amountInMaxWei'
+                );
+            }
+
+            const router = getAddress(action.router);
+            const tokenIn = getAddress(action.tokenIn);
+            const amountInMaximum = BigInt(action.amountInMaxWei);
+
+            transactions.push({
+                to: tokenIn,
+                value: '0',
+                data: encodeFunctionData({
+                    abi: erc20Abi,
+                    functionName: 'approve',
+                    args: [router, amountInMaximum],
+                }),
+                operation,
+            });
+            transactions.push({
+                to: router,
+                value: '0',
+                data: encodeFunctionData({
+                    abi: swapRouter02Abi,
+                    functionName: 'exactOutputSingle',
+                    args: [
+                        {
+                            tokenIn,
+                            tokenOut: getAddress(action.tokenOut),
+                            fee: Number(action.fee),
+                            recipient: getAddress(action.recipient),
+                            amountOut: BigInt(action.amountOutWei),
+                            amountInMaximum,
+                            sqrtPriceLimitX96: BigInt(action.sqrtPriceLimitX96 ?? 0),
+                        },
+                    ],
+                }),
+                operation,
+            });
+            // Exact-output swaps usually spend less than the cap; clear the leftover allowance.
+            transactions.push({
+                to: tokenIn,
+                value: '0',
+                data: encodeFunctionData({
+                    abi: erc20Abi,
+                    functionName: 'approve',
+                    args: [router, 0n],
+                }),
+                operation,
+            });
+            continue;
+        }
+
         if (action.kind === 'ctf_split' || action.kind === 'ctf_merge') {
             if (!action.collateralToken || !action.conditionId || action.amount === undefined) {
                 throw new Error(`${action.kind} requires collateralToken, conditionId, amount`);
@@ -791,9 +963,39 @@ function buildOgTransactions(actions, options = {}) {
             continue;
         }
 
+        if (action.kind === 'multisend') {
+            if (!Array.isArray(action.actions) || action.actions.length === 0) {
+                throw new Error('multisend requires a non-empty actions array');
+            }
+            const multiSend = getAddress(action.to ?? DEFAULT_MULTI_SEND_CALL_ONLY_ADDRESS);
+            if (!isSafeMultiSendCallOnly(multiSend)) {
+                throw new Error(`multisend target ${multiSend} is not a canonical MultiSendCallOnly`);
+            }
+            const nested = buildOgTransactions(action.actions, options);
+            if (nested.some((tx) => tx.operation !== 0)) {
+                throw new Error('multisend nested actions must use operation 0 (CALL)');
+            }
+
+            transactions.push({
+                to: multiSend,
+                value: '0',
+                data: encodeMultiSendCall(nested),
+                operation: 1,
+            });
+            continue;
+        }
+
         throw new Error(`Unknown action kind: ${action.kind}`);
     }
 
+    for (const tx of transactions) {
+        if (tx.operation === 1 && !isSafeMultiSendCallOnly(tx.to)) {
+            throw new Error(
+                `Refusing DELEGATECALL to ${tx.to}; only canonical MultiSendCallOnly may be delegatecalled`
+            );
+        }
+    }
+
     return transactions;
 }
 
@@ -0,0 +1,135 @@
+import { getAddress, recoverMessageAddress, recoverTypedDataAddress } from 'viem';
+import { stringifyCanonicalJson } from './canonical-json.js';
+
+const SIGNED_AUTH_TYPES = Object.freeze(['eip191', 'eip712']);
+const OYA_TYPED_DATA_DOMAIN_NAME = 'Oya Commitments';
+const OYA_TYPED_DATA_DOMAIN_VERSION = '1';
+
+function buildOyaTypedDataDomain({ chainId, verifyingContract }) {
+    const normalizedChainId = Number(chainId);
+    if (!Number.isInteger(normalizedChainId) || normalizedChainId < 1) {
+        throw new Error('chainId is required for eip712 auth and must be a positive integer.');
+    }
+    return {
+        name: OYA_TYPED_DATA_DOMAIN_NAME,
+        version: OYA_TYPED_DATA_DOMAIN_VERSION,
+        chainId: normalizedChainId,
+        ...(verifyingContract ? { verifyingContract: getAddress(verifyingContract) } : {}),
+    };
+}
+
+// Free-form JSON objects have no fixed struct shape, so they are signed as canonical JSON text.
+function encodeTypedJsonField(value) {
+    return value === undefined || value === null ? '' : stringifyCanonicalJson(value);
+}
+
+function encodeTypedTimestamp(value, label) {
+    if (value === undefined || value === null) {
+        return 0n;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`${label} must be a non-negative integer for eip712 auth.`);
+    }
+    return BigInt(parsed);
+}
+
+// Records and artifacts written before typed-data auth existed carry no authType.
+function normalizeSignedAuthType(value, label) {
+    const authType = value ?? 'eip191';
+    if (!SIGNED_AUTH_TYPES.includes(authType)) {
+        throw new Error(`${label} must be one of: ${SIGNED_AUTH_TYPES.join(', ')}.`);
+    }
+    return authType;
+}
+
+/**
+ * Recovers the signer of an EIP-191 personal message or of EIP-712 typed data, depending on the
+ * auth type the signature was made with.
+ */
+async function recoverSignedAuthAddress({ authType, message, typedData, signature }) {
+    if (authType === 'eip712') {
+        return getAddress(await recoverTypedDataAddress({ ...typedData, signature }));
+    }
+    if (authType === 'eip191') {
+        return getAddress(await recoverMessageAddress({ message, signature }));
+    }
+    throw new Error(`Unsupported authType "${authType}".`);
+}
+
+// Contract wallet signatures are whatever the wallet's isValidSignature accepts (a Safe packs one
+// signature per owner) and ERC-6492 wrappers also carry the factory deployment call.
+function isSignedAuthSignature(value) {
+    return typeof value === 'string' && /^0x(?:[0-9a-fA-F]{2})+$/.test(value);
+}
+
+function isEcdsaSignature(value) {
+    return typeof value === 'string' && /^0x[0-9a-fA-F]{130}$/.test(value);
+}
+
+/**
+ * Checks that `address` signed the message or typed data. A 65-byte signature that recovers to
+ * `address` is accepted without RPC; anything else is checked onchain through the client from
+ * `resolvePublicClient()`, which covers ERC-1271 `isValidSignature` on deployed contract wallets
+ * and ERC-6492 wrapped signatures from counterfactual ones. Returns `'eoa'` or `'contract'`, or
+ * null when the signature is not valid for `address`; viem reports a failed validator call the
+ * same way, so an unreachable RPC rejects contract wallet signers rather than admitting them.
+ */
+async function verifySignedAuthSignature({
+    authType,
+    address,
+    message,
+    typedData,
+    signature,
+    resolvePublicClient = undefined,
+}) {
+    const expectedAddress = getAddress(address);
+    if (isEcdsaSignature(signature)) {
+        try {
+            const recovered = await recoverSignedAuthAddress({
+                authType,
+                message,
+                typedData,
+                signature,
+            });
+            if (recovered === expectedAddress) {
+                return 'eoa';
+            }
+        } catch (error) {
+            // Not an ECDSA signature after all; a contract wallet may still accept it.
+        }
+    }
+    if (!isSignedAuthSignature(signature) || typeof resolvePublicClient !== 'function') {
+        return null;
+    }
+    const publicClient = await resolvePublicClient();
+    if (!publicClient) {
+        return null;
+    }
+    let valid;
+    if (authType === 'eip712') {
+        valid = await publicClient.verifyTypedData({
+            ...typedData,
+            address: expectedAddress,
+            signature,
+        });
+    } else if (authType === 'eip191') {
+        valid = await publicClient.verifyMessage({ address: expectedAddress, message, signature });
+    } else {
+        throw new Error(`Unsupported authType "${authType}".`);
+    }
+    return valid ? 'contract' : null;
+}
+
+export {
+    OYA_TYPED_DATA_DOMAIN_NAME,
+    OYA_TYPED_DATA_DOMAIN_VERSION,
+    SIGNED_AUTH_TYPES,
+    buildOyaTypedDataDomain,
+    encodeTypedJsonField,
+    encodeTypedTimestamp,
+    isSignedAuthSignature,
+    normalizeSignedAuthType,
+    recoverSignedAuthAddress,
+    verifySignedAuthSignature,
+};
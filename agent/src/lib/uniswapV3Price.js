@@ -1,4 +1,6 @@
 import { erc20Abi, getAddress, parseAbi, zeroAddress } from 'viem';
+import { getChainlinkLatestPrice } from './chainlink.js';
+import { logger } from './logger.js';
 
 const uniswapV3PoolAbi = parseAbi([
     'function token0() view returns (address)',
@@ -6,8 +8,12 @@ const uniswapV3PoolAbi = parseAbi([
     'function fee() view returns (uint24)',
     'function liquidity() view returns (uint128)',
     'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
 ]);
 
+const DEFAULT_TWAP_WINDOW_SECONDS = 1800;
+const DEFAULT_CHAINLINK_MAX_DEVIATION_BPS = 200;
+
 const uniswapV3FactoryAbi = parseAbi([
     'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
 ]);
@@ -146,6 +152,23 @@ async function resolvePoolForTrigger({
     return resolved;
 }
 
+function quotePerBaseFromRawPrice({
+    rawToken1PerToken0,
+    token0Decimals,
+    token1Decimals,
+    baseIsToken0,
+}) {
+    if (baseIsToken0) {
+        return rawToken1PerToken0 * 10 ** (token0Decimals - token1Decimals);
+    }
+
+    if (rawToken1PerToken0 === 0) {
+        throw new Error('Pool price resolved to zero.');
+    }
+
+    return (1 / rawToken1PerToken0) * 10 ** (token1Decimals - token0Decimals);
+}
+
 function quotePerBaseFromSqrtPriceX96({ sqrtPriceX96, token0Decimals, token1Decimals, baseIsToken0 }) {
     const sqrt = Number(sqrtPriceX96);
     if (!Number.isFinite(sqrt) || sqrt <= 0) {
@@ -153,17 +176,68 @@ function quotePerBaseFromSqrtPriceX96({ sqrtPriceX96, token0Decimals, token1Deci
     }
 
     const q192 = 2 ** 192;
-    const rawToken1PerToken0 = (sqrt * sqrt) / q192;
+    return quotePerBaseFromRawPrice({
+        rawToken1PerToken0: (sqrt * sqrt) / q192,
+        token0Decimals,
+        token1Decimals,
+        baseIsToken0,
+    });
+}
 
-    if (baseIsToken0) {
-        return rawToken1PerToken0 * 10 ** (token0Decimals - token1Decimals);
+/**
+ * Reads the arithmetic-mean tick and harmonic-mean liquidity over the `windowSeconds` ending at
+ * `blockNumber` (latest when unset) from the pool oracle, matching Uniswap's
+ * OracleLibrary.consult. Reverts (OLD) when the pool's observation history is shorter than the
+ * window.
+ */
+async function readPoolTwap({ publicClient, pool, windowSeconds, blockNumber = undefined }) {
+    const [tickCumulatives, secondsPerLiquidityCumulativeX128s] = await publicClient.readContract({
+        address: pool,
+        abi: uniswapV3PoolAbi,
+        functionName: 'observe',
+        args: [[windowSeconds, 0]],
+        ...(blockNumber !== undefined ? { blockNumber: BigInt(blockNumber) } : {}),
+    });
+    const window = BigInt(windowSeconds);
+    const tickDelta = BigInt(tickCumulatives[1]) - BigInt(tickCumulatives[0]);
+    let meanTick = tickDelta / window;
+    if (tickDelta < 0n && tickDelta % window !== 0n) {
+        meanTick -= 1n;
     }
+    const secondsPerLiquidityDelta =
+        BigInt(secondsPerLiquidityCumulativeX128s[1]) - BigInt(secondsPerLiquidityCumulativeX128s[0]);
+    const harmonicMeanLiquidity =
+        secondsPerLiquidityDelta > 0n ? (window << 128n) / secondsPerLiquidityDelta : 0n;
+    return { meanTick: Number(meanTick), harmonicMeanLiquidity };
+}
 
-    if (rawToken1PerToken0 === 0) {
-        throw new Error('Pool price resolved to zero.');
+function resolveTriggerPricing(trigger) {
+    const priceSource = trigger.priceSource ?? 'spot';
+    if (priceSource !== 'spot' && priceSource !== 'twap') {
+        throw new Error(`Unsupported priceSource: ${priceSource}`);
     }
-
-    return (1 / rawToken1PerToken0) * 10 ** (token1Decimals - token0Decimals);
+    const twapWindowSeconds = Number(trigger.twapWindowSeconds ?? DEFAULT_TWAP_WINDOW_SECONDS);
+    if (priceSource === 'twap' && (!Number.isInteger(twapWindowSeconds) || twapWindowSeconds <= 0)) {
+        throw new Error('twapWindowSeconds must be a positive integer.');
+    }
+    const minLiquidity =
+        trigger.minLiquidity !== undefined && trigger.minLiquidity !== null
+            ? BigInt(trigger.minLiquidity)
+            : null;
+    const maxChainlinkDeviationBps = Number(
+        trigger.maxChainlinkDeviationBps ?? DEFAULT_CHAINLINK_MAX_DEVIATION_BPS
+    );
+    if (!Number.isFinite(maxChainlinkDeviationBps) || maxChainlinkDeviationBps < 0) {
+        throw new Error('maxChainlinkDeviationBps must be a non-negative number.');
+    }
+    return {
+        priceSource,
+        twapWindowSeconds: priceSource === 'twap' ? twapWindowSeconds : undefined,
+        minLiquidity,
+        chainlinkFeed: trigger.chainlinkFeed ? getAddress(trigger.chainlinkFeed) : null,
+        chainlinkMaxAgeSeconds: trigger.chainlinkMaxAgeSeconds,
+        maxChainlinkDeviationBps,
+    };
 }
 
 function evaluateComparator({ comparator, price, threshold }) {
@@ -193,7 +267,7 @@ async function collectPriceTriggerSignals({
             ? String(trigger.id)
             : 'unknown-trigger';
         if (!trigger || typeof trigger !== 'object') {
-            console.warn(`[agent] Price trigger ${triggerId} skipped: malformed trigger entry.`);
+            logger.warn(`[agent] Price trigger ${triggerId} skipped: malformed trigger entry.`);
             continue;
         }
         try {
@@ -219,27 +293,78 @@ async function collectPriceTriggerSignals({
             const baseIsToken1 = poolMeta.token1 === baseToken && poolMeta.token0 === quoteToken;
 
             if (!baseIsToken0 && !baseIsToken1) {
-                console.warn(
+                logger.warn(
                     `[agent] Price trigger ${trigger.id} skipped: pool ${pool} does not match base/quote tokens.`
                 );
                 continue;
             }
 
-            const slot0 = await publicClient.readContract({
-                address: pool,
-                abi: uniswapV3PoolAbi,
-                functionName: 'slot0',
-            });
-
+            const pricing = resolveTriggerPricing(trigger);
             const token0Meta = tokenMetaCache.get(poolMeta.token0);
             const token1Meta = tokenMetaCache.get(poolMeta.token1);
 
-            const price = quotePerBaseFromSqrtPriceX96({
-                sqrtPriceX96: slot0[0],
-                token0Decimals: token0Meta.decimals,
-                token1Decimals: token1Meta.decimals,
-                baseIsToken0,
-            });
+            let price;
+            let liquidity;
+            if (pricing.priceSource === 'twap') {
+                const twap = await readPoolTwap({
+                    publicClient,
+                    pool,
+                    windowSeconds: pricing.twapWindowSeconds,
+                });
+                liquidity = twap.harmonicMeanLiquidity;
+                price = quotePerBaseFromRawPrice({
+                    rawToken1PerToken0: 1.0001 ** twap.meanTick,
+                    token0Decimals: token0Meta.decimals,
+                    token1Decimals: token1Meta.decimals,
+                    baseIsToken0,
+                });
+            } else {
+                const slot0 = await publicClient.readContract({
+                    address: pool,
+                    abi: uniswapV3PoolAbi,
+                    functionName: 'slot0',
+                });
+                price = quotePerBaseFromSqrtPriceX96({
+                    sqrtPriceX96: slot0[0],
+                    token0Decimals: token0Meta.decimals,
+                    token1Decimals: token1Meta.decimals,
+                    baseIsToken0,
+                });
+            }
+
+            if (pricing.minLiquidity !== null) {
+                if (liquidity === undefined) {
+                    liquidity = BigInt(
+                        await publicClient.readContract({
+                            address: pool,
+                            abi: uniswapV3PoolAbi,
+                            functionName: 'liquidity',
+                        })
+                    );
+                }
+                if (liquidity < pricing.minLiquidity) {
+                    throw new Error(
+                        `pool ${pool} liquidity ${liquidity.toString()} is below minLiquidity ${pricing.minLiquidity.toString()}.`
+                    );
+                }
+            }
+
+            let chainlinkPrice;
+            if (pricing.chainlinkFeed) {
+                // The feed must quote the base token in units of the trigger's quote token.
+                ({ price: chainlinkPrice } = await getChainlinkLatestPrice({
+                    publicClient,
+                    feedAddress: pricing.chainlinkFeed,
+                    maxAgeSeconds: pricing.chainlinkMaxAgeSeconds,
+                    nowMs,
+                }));
+                const deviationBps = (Math.abs(price - chainlinkPrice) / chainlinkPrice) * 10_000;
+                if (deviationBps > pricing.maxChainlinkDeviationBps) {
+                    throw new Error(
+                        `pool price ${price} deviates ${deviationBps.toFixed(0)} bps from Chainlink ${chainlinkPrice}, max ${pricing.maxChainlinkDeviationBps}.`
+                    );
+                }
+            }
 
             const matches = evaluateComparator({
                 comparator: trigger.comparator,
@@ -275,10 +400,15 @@ async function collectPriceTriggerSignals({
                 comparator: trigger.comparator,
                 threshold: trigger.threshold,
                 observedPrice: price,
+                priceSource: pricing.priceSource,
+                ...(pricing.twapWindowSeconds !== undefined
+                    ? { twapWindowSeconds: pricing.twapWindowSeconds }
+                    : {}),
+                ...(chainlinkPrice !== undefined ? { chainlinkPrice } : {}),
                 triggerTimestampMs: nowMs,
             });
         } catch (error) {
-            console.warn(`[agent] Price trigger ${triggerId} skipped:`, error?.message ?? error);
+            logger.warn(`[agent] Price trigger ${triggerId} skipped:`, error?.message ?? error);
             continue;
         }
     }
@@ -292,4 +422,4 @@ async function collectPriceTriggerSignals({
     return evaluations;
 }
 
-export { collectPriceTriggerSignals };
+export { collectPriceTriggerSignals, loadPoolMeta, quotePerBaseFromRawPrice, readPoolTwap };
@@ -0,0 +1,400 @@
+import { encodePacked, getAddress, parseAbi } from 'viem';
+
+const quoterCandidatesByChainId = new Map([
+    [1, ['0x61fFE014bA17989E743c5F6cB21bF9697530B21e', '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6']],
+    [11155111, ['0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3', '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6']],
+]);
+
+const quoterV2Abi = parseAbi([
+    'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+    'function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+    'function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+]);
+
+// The original Quoter uses positional arguments and returns a bare amount.
+const quoterV1Abi = parseAbi([
+    'function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) view returns (uint256 amountOut)',
+    'function quoteExactInput(bytes path, uint256 amountIn) view returns (uint256 amountOut)',
+    'function quoteExactOutputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountOut, uint160 sqrtPriceLimitX96) view returns (uint256 amountIn)',
+]);
+
+const DEFAULT_FEE_TIERS = [500, 3000, 10000];
+const DEFAULT_SLIPPAGE_BPS = 50;
+
+function normalizeSlippageBps(slippageBps) {
+    const value = Number(slippageBps);
+    if (!Number.isInteger(value) || value < 0 || value >= 10_000) {
+        throw new Error('slippageBps must be an integer in [0, 10000).');
+    }
+    return value;
+}
+
+function applySlippageToAmountOut(amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+    const bps = BigInt(normalizeSlippageBps(slippageBps));
+    return (BigInt(amountOut) * (10_000n - bps)) / 10_000n;
+}
+
+// Rounds up so the maximum input never falls below quote plus slippage.
+function applySlippageToAmountIn(amountIn, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+    const bps = BigInt(normalizeSlippageBps(slippageBps));
+    return (BigInt(amountIn) * (10_000n + bps) + 9_999n) / 10_000n;
+}
+
+/**
+ * Encodes a Uniswap V3 path as token (20 bytes) | fee (3 bytes) | token ... in swap order.
+ * Exact-output routers expect the reverse order, from tokenOut back to tokenIn.
+ */
+function encodeUniswapV3Path({ tokens, fees }) {
+    if (!Array.isArray(tokens) || tokens.length < 2) {
+        throw new Error('Uniswap V3 path requires at least two tokens.');
+    }
+    if (!Array.isArray(fees) || fees.length !== tokens.length - 1) {
+        throw new Error('Uniswap V3 path requires exactly one fee per hop.');
+    }
+    const types = [];
+    const values = [];
+    tokens.forEach((token, index) => {
+        types.push('address');
+        values.push(getAddress(token));
+        if (index < fees.length) {
+            types.push('uint24');
+            values.push(Number(fees[index]));
+        }
+    });
+    return encodePacked(types, values);
+}
+
+async function resolveQuoterCandidates({ publicClient, config }) {
+    if (!publicClient) {
+        throw new Error('publicClient is required for Uniswap quoter reads.');
+    }
+    if (config?.uniswapV3Quoter) {
+        return [getAddress(String(config.uniswapV3Quoter))];
+    }
+    const chainId = await publicClient.getChainId();
+    const byChain = quoterCandidatesByChainId.get(Number(chainId));
+    if (!Array.isArray(byChain) || byChain.length === 0) {
+        throw new Error(
+            `No Uniswap V3 quoter configured for chainId ${chainId}. Set UNISWAP_V3_QUOTER.`
+        );
+    }
+    return byChain.map((value) => getAddress(value));
+}
+
+function firstResult(result) {
+    return Array.isArray(result) && result.length > 0 ? BigInt(result[0]) : BigInt(result ?? 0n);
+}
+
+function describeQuoteError(error) {
+    return error?.shortMessage ?? error?.message ?? 'quote failed';
+}
+
+// Tries QuoterV2 first, then the V1 signature, on each candidate quoter in order.
+async function quoteAcrossQuoters({ publicClient, quoters, functionName, v2Args, v1Args }) {
+    const failures = [];
+    for (const quoter of quoters) {
+        try {
+            const quoteCall = await publicClient.simulateContract({
+                address: quoter,
+                abi: quoterV2Abi,
+                functionName,
+                args: v2Args,
+            });
+            return { quoter, amount: firstResult(quoteCall?.result) };
+        } catch (v2Error) {
+            try {
+                const quoteCall = await publicClient.simulateContract({
+                    address: quoter,
+                    abi: quoterV1Abi,
+                    functionName,
+                    args: v1Args,
+                });
+                return { quoter, amount: firstResult(quoteCall?.result) };
+            } catch (v1Error) {
+                failures.push(`${quoter}: ${describeQuoteError(v1Error ?? v2Error)}`);
+            }
+        }
+    }
+    const error = new Error(`No compatible Uniswap quoter found. Tried: ${failures.join(' | ')}`);
+    error.quoteFailures = failures;
+    throw error;
+}
+
+async function quoteExactInputRoute({ publicClient, quoters, tokens, fees, amountIn }) {
+    if (tokens.length === 2) {
+        return quoteAcrossQuoters({
+            publicClient,
+            quoters,
+            functionName: 'quoteExactInputSingle',
+            v2Args: [
+                {
+                    tokenIn: tokens[0],
+                    tokenOut: tokens[1],
+                    amountIn,
+                    fee: fees[0],
+                    sqrtPriceLimitX96: 0n,
+                },
+            ],
+            v1Args: [tokens[0], tokens[1], fees[0], amountIn, 0n],
+        });
+    }
+    const path = encodeUniswapV3Path({ tokens, fees });
+    return quoteAcrossQuoters({
+        publicClient,
+        quoters,
+        functionName: 'quoteExactInput',
+        v2Args: [path, amountIn],
+        v1Args: [path, amountIn],
+    });
+}
+
+/**
+ * Lists direct routes for every fee tier, plus two-hop routes through each intermediate token
+ * for every pair of fee tiers.
+ */
+function enumerateRoutes({ tokenIn, tokenOut, feeTiers, intermediateTokens = [] }) {
+    const routes = feeTiers.map((fee) => ({ tokens: [tokenIn, tokenOut], fees: [fee] }));
+    const seen = new Set([tokenIn, tokenOut]);
+    for (const candidate of intermediateTokens) {
+        const intermediate = getAddress(candidate);
+        if (seen.has(intermediate)) {
+            continue;
+        }
+        seen.add(intermediate);
+        for (const firstFee of feeTiers) {
+            for (const secondFee of feeTiers) {
+                routes.push({
+                    tokens: [tokenIn, intermediate, tokenOut],
+                    fees: [firstFee, secondFee],
+                });
+            }
+        }
+    }
+    return routes;
+}
+
+function resolveFeeTiers({ config, feeTiers }) {
+    const tiers = feeTiers ?? config?.uniswapV3FeeTiers ?? DEFAULT_FEE_TIERS;
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('At least one Uniswap V3 fee tier is required.');
+    }
+    return tiers.map((fee) => Number(fee));
+}
+
+async function quoteExactInputSingle({ publicClient, config, tokenIn, tokenOut, fee, amountIn }) {
+    const quoters = await resolveQuoterCandidates({ publicClient, config });
+    const { quoter, amount } = await quoteExactInputRoute({
+        publicClient,
+        quoters,
+        tokens: [getAddress(tokenIn), getAddress(tokenOut)],
+        fees: [Number(fee)],
+        amountIn: BigInt(amountIn),
+    });
+    return { quoter, quotedAmountOut: amount };
+}
+
+/**
+ * Quotes one fixed pool and returns the slippage-guarded minimum output. Refuses swaps whose
+ * quote or guarded minimum is zero.
+ */
+async function quoteMinOutWithSlippage({
+    publicClient,
+    config,
+    tokenIn,
+    tokenOut,
+    fee,
+    amountIn,
+    slippageBps = DEFAULT_SLIPPAGE_BPS,
+}) {
+    const { quoter, quotedAmountOut } = await quoteExactInputSingle({
+        publicClient,
+        config,
+        tokenIn,
+        tokenOut,
+        fee,
+        amountIn,
+    });
+    if (quotedAmountOut <= 0n) {
+        throw new Error('Uniswap quoter returned zero output for this swap.');
+    }
+    const minAmountOut = applySlippageToAmountOut(quotedAmountOut, slippageBps);
+    if (minAmountOut <= 0n) {
+        throw new Error('Swap output is too small after slippage guard; refusing proposal.');
+    }
+    return { quoter, quotedAmountOut, minAmountOut };
+}
+
+/**
+ * Quotes every direct and one-intermediate route and picks the one with the largest output.
+ * The returned `action` is ready for buildOgTransactions: `uniswap_v3_exact_input_single` for a
+ * direct route, `uniswap_v3_exact_input` for a multi-hop one.
+ */
+async function quoteBestExactInput({
+    publicClient,
+    config,
+    router,
+    recipient,
+    tokenIn,
+    tokenOut,
+    amountIn,
+    feeTiers = undefined,
+    intermediateTokens = [],
+    slippageBps = DEFAULT_SLIPPAGE_BPS,
+}) {
+    const normalizedAmountIn = BigInt(amountIn);
+    if (normalizedAmountIn <= 0n) {
+        throw new Error('amountIn must be > 0.');
+    }
+    const quoters = await resolveQuoterCandidates({ publicClient, config });
+    const routes = enumerateRoutes({
+        tokenIn: getAddress(tokenIn),
+        tokenOut: getAddress(tokenOut),
+        feeTiers: resolveFeeTiers({ config, feeTiers }),
+        intermediateTokens,
+    });
+
+    let best = null;
+    const failures = [];
+    for (const route of routes) {
+        try {
+            const { quoter, amount } = await quoteExactInputRoute({
+                publicClient,
+                quoters,
+                tokens: route.tokens,
+                fees: route.fees,
+                amountIn: normalizedAmountIn,
+            });
+            if (amount > 0n && (!best || amount > best.quotedAmountOut)) {
+                best = { ...route, quoter, quotedAmountOut: amount };
+            }
+        } catch (error) {
+            failures.push(`${route.tokens.join('>')} fees ${route.fees.join('/')}`);
+        }
+    }
+    if (!best) {
+        throw new Error(
+            `No Uniswap V3 route returned a quote for ${tokenIn} -> ${tokenOut}. Tried: ${failures.join(' | ')}`
+        );
+    }
+
+    const minAmountOut = applySlippageToAmountOut(best.quotedAmountOut, slippageBps);
+    if (minAmountOut <= 0n) {
+        throw new Error('Swap output is too small after slippage guard; refusing proposal.');
+    }
+    const common = {
+        router: getAddress(router),
+        recipient: getAddress(recipient),
+        amountInWei: normalizedAmountIn.toString(),
+        amountOutMinWei: minAmountOut.toString(),
+    };
+    const action =
+        best.tokens.length === 2
+            ? {
+                  kind: 'uniswap_v3_exact_input_single',
+                  ...common,
+                  tokenIn: best.tokens[0],
+                  tokenOut: best.tokens[1],
+                  fee: best.fees[0],
+              }
+            : {
+                  kind: 'uniswap_v3_exact_input',
+                  ...common,
+                  pathTokens: best.tokens,
+                  pathFees: best.fees,
+              };
+
+    return {
+        quoter: best.quoter,
+        tokens: best.tokens,
+        fees: best.fees,
+        quotedAmountOut: best.quotedAmountOut,
+        minAmountOut,
+        action,
+    };
+}
+
+/**
+ * Quotes an exact-output swap on every fee tier of the direct pool and picks the one needing the
+ * least input. The returned `action` is a `uniswap_v3_exact_output_single` capped at the quoted
+ * input plus slippage.
+ */
+async function quoteBestExactOutputSingle({
+    publicClient,
+    config,
+    router,
+    recipient,
+    tokenIn,
+    tokenOut,
+    amountOut,
+    feeTiers = undefined,
+    slippageBps = DEFAULT_SLIPPAGE_BPS,
+}) {
+    const normalizedAmountOut = BigInt(amountOut);
+    if (normalizedAmountOut <= 0n) {
+        throw new Error('amountOut must be > 0.');
+    }
+    const normalizedTokenIn = getAddress(tokenIn);
+    const normalizedTokenOut = getAddress(tokenOut);
+    const quoters = await resolveQuoterCandidates({ publicClient, config });
+
+    let best = null;
+    const failures = [];
+    for (const fee of resolveFeeTiers({ config, feeTiers })) {
+        try {
+            const { quoter, amount } = await quoteAcrossQuoters({
+                publicClient,
+                quoters,
+                functionName: 'quoteExactOutputSingle',
+                v2Args: [
+                    {
+                        tokenIn: normalizedTokenIn,
+                        tokenOut: normalizedTokenOut,
+                        amount: normalizedAmountOut,
+                        fee,
+                        sqrtPriceLimitX96: 0n,
+                    },
+                ],
+                v1Args: [normalizedTokenIn, normalizedTokenOut, fee, normalizedAmountOut, 0n],
+            });
+            if (amount > 0n && (!best || amount < best.quotedAmountIn)) {
+                best = { fee, quoter, quotedAmountIn: amount };
+            }
+        } catch (error) {
+            failures.push(`fee ${fee}`);
+        }
+    }
+    if (!best) {
+        throw new Error(
+            `No Uniswap V3 pool returned an exact-output quote for ${tokenIn} -> ${tokenOut}. Tried: ${failures.join(' | ')}`
+        );
+    }
+
+    const maxAmountIn = applySlippageToAmountIn(best.quotedAmountIn, slippageBps);
+    return {
+        quoter: best.quoter,
+        fee: best.fee,
+        quotedAmountIn: best.quotedAmountIn,
+        maxAmountIn,
+        action: {
+            kind: 'uniswap_v3_exact_output_single',
+            router: getAddress(router),
+            recipient: getAddress(recipient),
+            tokenIn: normalizedTokenIn,
+            tokenOut: normalizedTokenOut,
+            fee: best.fee,
+            amountOutWei: normalizedAmountOut.toString(),
+            amountInMaxWei: maxAmountIn.toString(),
+        },
+    };
+}
+
+export {
+    applySlippageToAmountIn,
+    applySlippageToAmountOut,
+    encodeUniswapV3Path,
+    quoteBestExactInput,
+    quoteBestExactOutputSingle,
+    quoteExactInputSingle,
+    quoteMinOutWithSlippage,
+    resolveQuoterCandidates,
+};
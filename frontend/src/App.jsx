@@ -12,6 +12,10 @@ import {
   zeroAddress,
 } from 'viem';
 import { usePublicClient, useWalletClient } from 'wagmi';
+import CommitmentDashboard from './CommitmentDashboard.jsx';
+import RuleTemplateComposer from './RuleTemplateComposer.jsx';
+import SignedMessageComposer from './SignedMessageComposer.jsx';
+import SignedProposalComposer from './SignedProposalComposer.jsx';
 
 const safeProxyFactoryAbi = [
   {
@@ -180,8 +184,41 @@ const defaults = {
   safeSaltNonce: '1',
   ogSaltNonce: '1',
   moduleProxyFactory: defaultModuleProxyFactory,
+  messageApiUrl: readEnvWithPrefixes('MESSAGE_API_URL') ?? 'http://127.0.0.1:8787',
+  proposalPublishApiUrl: readEnvWithPrefixes('PROPOSAL_PUBLISH_API_URL') ?? 'http://127.0.0.1:9890',
 };
 
+const views = [
+  {
+    id: 'deploy',
+    tab: 'Deploy',
+    title: 'Deploy Safe + Optimistic Governor',
+    subtext: (
+      <>
+        Mirrors the <code>DeploySafeWithOptimisticGovernor.s.sol</code> flow with UI-driven parameters.
+      </>
+    ),
+  },
+  {
+    id: 'dashboard',
+    tab: 'Dashboard',
+    title: 'Commitment Dashboard',
+    subtext: 'Inspect a deployed Safe + Optimistic Governor and execute or dispute its proposals.',
+  },
+  {
+    id: 'message',
+    tab: 'Send Message',
+    title: 'Signed Agent Message',
+    subtext: "Sign a message to an agent's Message API with the connected wallet.",
+  },
+  {
+    id: 'proposal',
+    tab: 'Send Proposal',
+    title: 'Delegated Proposal',
+    subtext: 'Sign a proposal with the connected wallet and hand it to a proposal publication node.',
+  },
+];
+
 const zeroLike = '0x0000000000000000000000000000000000000000';
 const BURN_OWNER = '0x000000000000000000000000000000000000dEaD';
 const SENTINEL_OWNERS = '0x0000000000000000000000000000000000000001';
@@ -217,6 +254,8 @@ function App() {
   const [error, setError] = useState('');
   const [status, setStatus] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [view, setView] = useState('deploy');
+  const activeView = views.find((item) => item.id === view);
 
   const isConnected = Boolean(walletClient?.account?.address);
 
@@ -564,124 +603,162 @@ function App() {
       <header className="header">
         <div>
           <p className="eyebrow">OG Deployer</p>
-          <h1>Deploy Safe + Optimistic Governor</h1>
-          <p className="subtext">
-            Mirrors the <code>DeploySafeWithOptimisticGovernor.s.sol</code> flow with UI-driven parameters.
-          </p>
+          <h1>{activeView.title}</h1>
+          <p className="subtext">{activeView.subtext}</p>
+          <nav className="view-tabs">
+            {views.map((item) => (
+              <button
+                key={item.id}
+                type="button"
+                className={view === item.id ? 'active' : ''}
+                onClick={() => setView(item.id)}
+              >
+                {item.tab}
+              </button>
+            ))}
+          </nav>
         </div>
         <ConnectButton />
       </header>
 
-      <section className="card">
-        <h2>Governance Parameters</h2>
-        <div className="grid">
-          <label>
-            OG Rules
-            <textarea name="rules" value={form.rules} onChange={onChange} rows={4} />
-          </label>
-          <label>
-            Collateral Address
-            <input name="collateral" value={form.collateral} onChange={onChange} placeholder="0x..." />
-          </label>
-          <label>
-            Bond Amount (uint256)
-            <input name="bondAmount" value={form.bondAmount} onChange={onChange} placeholder="1000000000000000000" />
-          </label>
-          <label>
-            Liveness (seconds)
-            <input name="liveness" value={form.liveness} onChange={onChange} />
-          </label>
-          <label>
-            Identifier String
-            <input name="identifier" value={form.identifier} onChange={onChange} />
-          </label>
-          <label>
-            Safe Salt Nonce
-            <input name="safeSaltNonce" value={form.safeSaltNonce} onChange={onChange} />
-          </label>
-          <label>
-            OG Salt Nonce
-            <input name="ogSaltNonce" value={form.ogSaltNonce} onChange={onChange} />
-          </label>
-        </div>
-      </section>
-
-      <section className="card">
-        <h2>Safe / OG Overrides</h2>
-        <div className="grid">
-          <label>
-            Safe Singleton
-            <input name="safeSingleton" value={form.safeSingleton} onChange={onChange} />
-          </label>
-          <label>
-            Safe Proxy Factory
-            <input name="safeProxyFactory" value={form.safeProxyFactory} onChange={onChange} />
-          </label>
-          <label>
-            Safe Fallback Handler
-            <input name="safeFallbackHandler" value={form.safeFallbackHandler} onChange={onChange} />
-          </label>
-          <label>
-            OG Master Copy
-            <input name="ogMasterCopy" value={form.ogMasterCopy} onChange={onChange} />
-          </label>
-          <label>
-            Module Proxy Factory
-            <input name="moduleProxyFactory" value={form.moduleProxyFactory} onChange={onChange} placeholder="0x..." />
-            <span className="hint">Required unless you deploy a ModuleProxyFactory separately.</span>
-          </label>
-        </div>
-      </section>
-
-      <section className="card">
-        <h2>Deployment</h2>
-        <div className="actions">
-          <button type="button" onClick={handleDeploy} disabled={isSubmitting}>
-            {isSubmitting ? 'Deploying…' : 'Deploy Safe + OG'}
-          </button>
-          <div className="status">
-            {status && <p>{status}</p>}
-            {error && <p className="error">{error}</p>}
-            {missingWallet && <p className="hint">Connect a wallet and select the target network.</p>}
-          </div>
-        </div>
-      </section>
-
-      <section className="card">
-        <h2>Outputs</h2>
-        <div className="outputs">
-          <div>
-            <span>ModuleProxyFactory</span>
-            <code>{deployment.moduleProxyFactory || zeroLike}</code>
-          </div>
-          <div>
-            <span>Safe</span>
-            <code>{deployment.safe || zeroLike}</code>
-          </div>
-          <div>
-            <span>Optimistic Governor Module</span>
-            <code>{deployment.ogModule || zeroLike}</code>
-          </div>
-        </div>
-      </section>
-
-      <section className="card">
-        <h2>Transaction Hashes</h2>
-        <div className="outputs">
-          <div>
-            <span>Safe Proxy Deployment</span>
-            <code>{txHashes.safeProxy || '-'}</code>
-          </div>
-          <div>
-            <span>OG Module Deployment</span>
-            <code>{txHashes.ogModule || '-'}</code>
-          </div>
-          <div>
-            <span>Enable Module</span>
-            <code>{txHashes.enableModule || '-'}</code>
-          </div>
-        </div>
-      </section>
+      {view === 'dashboard' && (
+        <CommitmentDashboard initialSafe={deployment.safe} initialOgModule={deployment.ogModule} />
+      )}
+
+      {view === 'message' && <SignedMessageComposer defaultApiUrl={defaults.messageApiUrl} />}
+
+      {view === 'proposal' && (
+        <SignedProposalComposer
+          defaultApiUrl={defaults.proposalPublishApiUrl}
+          initialSafe={deployment.safe}
+          initialOgModule={deployment.ogModule}
+        />
+      )}
+
+      {view === 'deploy' && (
+        <>
+          <RuleTemplateComposer onApply={(rules) => setForm((prev) => ({ ...prev, rules }))} />
+
+          <section className="card">
+            <h2>Governance Parameters</h2>
+            <div className="grid">
+              <label>
+                OG Rules
+                <textarea name="rules" value={form.rules} onChange={onChange} rows={4} />
+                <span className="hint">Fill from the rule templates above or write custom rules.</span>
+              </label>
+              <label>
+                Collateral Address
+                <input name="collateral" value={form.collateral} onChange={onChange} placeholder="0x..." />
+              </label>
+              <label>
+                Bond Amount (uint256)
+                <input name="bondAmount" value={form.bondAmount} onChange={onChange} placeholder="1000000000000000000" />
+              </label>
+              <label>
+                Liveness (seconds)
+                <input name="liveness" value={form.liveness} onChange={onChange} />
+              </label>
+              <label>
+                Identifier String
+                <input name="identifier" value={form.identifier} onChange={onChange} />
+              </label>
+              <label>
+                Safe Salt Nonce
+                <input name="safeSaltNonce" value={form.safeSaltNonce} onChange={onChange} />
+              </label>
+              <label>
+                OG Salt Nonce
+                <input name="ogSaltNonce" value={form.ogSaltNonce} onChange={onChange} />
+              </label>
+            </div>
+          </section>
+
+          <section className="card">
+            <h2>Safe / OG Overrides</h2>
+            <div className="grid">
+              <label>
+                Safe Singleton
+                <input name="safeSingleton" value={form.safeSingleton} onChange={onChange} />
+              </label>
+              <label>
+                Safe Proxy Factory
+                <input name="safeProxyFactory" value={form.safeProxyFactory} onChange={onChange} />
+              </label>
+              <label>
+                Safe Fallback Handler
+                <input name="safeFallbackHandler" value={form.safeFallbackHandler} onChange={onChange} />
+              </label>
+              <label>
+                OG Master Copy
+                <input name="ogMasterCopy" value={form.ogMasterCopy} onChange={onChange} />
+              </label>
+              <label>
+                Module Proxy Factory
+                <input name="moduleProxyFactory" value={form.moduleProxyFactory} onChange={onChange} placeholder="0x..." />
+                <span className="hint">Required unless you deploy a ModuleProxyFactory separately.</span>
+              </label>
+            </div>
+          </section>
+
+          <section className="card">
+            <h2>Deployment</h2>
+            <div className="actions">
+              <button type="button" onClick={handleDeploy} disabled={isSubmitting}>
+                {isSubmitting ? 'Deploying…' : 'Deploy Safe + OG'}
+              </button>
+              <div className="status">
+                {status && <p>{status}</p>}
+                {error && <p className="error">{error}</p>}
+                {missingWallet && <p className="hint">Connect a wallet and select the target network.</p>}
+              </div>
+            </div>
+          </section>
+
+          <section className="card">
+            <h2>Outputs</h2>
+            <div className="outputs">
+              <div>
+                <span>ModuleProxyFactory</span>
+                <code>{deployment.moduleProxyFactory || zeroLike}</code>
+              </div>
+              <div>
+                <span>Safe</span>
+                <code>{deployment.safe || zeroLike}</code>
+              </div>
+              <div>
+                <span>Optimistic Governor Module</span>
+                <code>{deployment.ogModule || zeroLike}</code>
+              </div>
+            </div>
+            {deployment.ogModule && (
+              <div className="agent-actions">
+                <button type="button" onClick={() => setView('dashboard')}>
+                  Open in Dashboard
+                </button>
+              </div>
+            )}
+          </section>
+
+          <section className="card">
+            <h2>Transaction Hashes</h2>
+            <div className="outputs">
+              <div>
+                <span>Safe Proxy Deployment</span>
+                <code>{txHashes.safeProxy || '-'}</code>
+              </div>
+              <div>
+                <span>OG Module Deployment</span>
+                <code>{txHashes.ogModule || '-'}</code>
+              </div>
+              <div>
+                <span>Enable Module</span>
+                <code>{txHashes.enableModule || '-'}</code>
+              </div>
+            </div>
+          </section>
+        </>
+      )}
 
     </div>
   );
@@ -0,0 +1,566 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  decodeFunctionData,
+  erc20Abi,
+  formatUnits,
+  getAddress,
+  hexToString,
+  isAddress,
+  parseAbi,
+  parseAbiItem,
+  zeroAddress,
+} from 'viem';
+import { usePublicClient, useWalletClient } from 'wagmi';
+import { getLogsChunked } from '../../agent/src/lib/chain-history.js';
+
+// Mirrors the OG/OOv3 surface the agent reads in agent/src/lib/og.js.
+const optimisticGovernorAbi = parseAbi([
+  'function executeProposal((address to,uint8 operation,uint256 value,bytes data)[] transactions)',
+  'function collateral() view returns (address)',
+  'function bondAmount() view returns (uint256)',
+  'function optimisticOracleV3() view returns (address)',
+  'function rules() view returns (string)',
+  'function target() view returns (address)',
+  'function liveness() view returns (uint64)',
+]);
+
+const optimisticOracleAbi = parseAbi([
+  'function disputeAssertion(bytes32 assertionId, address disputer)',
+  'function getAssertion(bytes32 assertionId) view returns ((bool arbitrateViaEscalationManager,bool discardOracle,bool validateDisputers,address assertingCaller,address escalationManager) escalationManagerSettings,address asserter,uint64 assertionTime,bool settled,address currency,uint64 expirationTime,bool settlementResolution,bytes32 domainId,bytes32 identifier,uint256 bond,address callbackRecipient,address disputer)',
+]);
+
+const transactionsProposedEvent = parseAbiItem(
+  'event TransactionsProposed(address indexed proposer,uint256 indexed proposalTime,bytes32 indexed assertionId,((address to,uint8 operation,uint256 value,bytes data)[] transactions,uint256 requestTime) proposal,bytes32 proposalHash,bytes explanation,string rules,uint256 challengeWindowEnds)'
+);
+const proposalExecutedEvent = parseAbiItem(
+  'event ProposalExecuted(bytes32 indexed proposalHash, bytes32 indexed assertionId)'
+);
+const proposalDeletedEvent = parseAbiItem(
+  'event ProposalDeleted(bytes32 indexed proposalHash, bytes32 indexed assertionId)'
+);
+
+const DEFAULT_LOOKBACK_BLOCKS = '50000';
+const REFRESH_INTERVAL_MS = 15_000;
+
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const days = Math.floor(seconds / 86_400);
+  const hours = Math.floor((seconds % 86_400) / 3_600);
+  const minutes = Math.floor((seconds % 3_600) / 60);
+  const rest = seconds % 60;
+  const clock = [hours, minutes, rest].map((part) => String(part).padStart(2, '0')).join(':');
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+function decodeExplanation(explanation) {
+  if (!explanation || explanation === '0x') {
+    return '';
+  }
+  try {
+    return hexToString(explanation);
+  } catch {
+    return explanation;
+  }
+}
+
+function describeTransaction(transaction) {
+  if (!transaction.data || transaction.data === '0x') {
+    return 'Native transfer';
+  }
+  try {
+    const decoded = decodeFunctionData({ abi: erc20Abi, data: transaction.data });
+    const args = (decoded.args ?? []).map((arg) => String(arg)).join(', ');
+    return `${decoded.functionName}(${args})`;
+  } catch {
+    return `Call ${transaction.data.slice(0, 10)}`;
+  }
+}
+
+function proposalStatus(proposal, nowSeconds) {
+  if (proposal.executed) {
+    return 'executed';
+  }
+  if (proposal.deleted) {
+    return 'deleted';
+  }
+  return nowSeconds >= Number(proposal.challengeWindowEnds) ? 'ready' : 'challenge window';
+}
+
+async function loadTokenInfo(publicClient, token, holder) {
+  const [symbol, decimals, balance] = await Promise.all([
+    publicClient.readContract({ address: token, abi: erc20Abi, functionName: 'symbol' }),
+    publicClient.readContract({ address: token, abi: erc20Abi, functionName: 'decimals' }),
+    publicClient.readContract({
+      address: token,
+      abi: erc20Abi,
+      functionName: 'balanceOf',
+      args: [holder],
+    }),
+  ]);
+  return { token, symbol, decimals: Number(decimals), balance };
+}
+
+function CommitmentDashboard({ initialSafe = '', initialOgModule = '' }) {
+  const publicClient = usePublicClient();
+  const { data: walletClient } = useWalletClient();
+  const [form, setForm] = useState({
+    safe: initialSafe,
+    ogModule: initialOgModule,
+    trackedTokens: '',
+    lookbackBlocks: DEFAULT_LOOKBACK_BLOCKS,
+  });
+  const [commitment, setCommitment] = useState(null);
+  const [balances, setBalances] = useState([]);
+  const [proposals, setProposals] = useState([]);
+  const [nowSeconds, setNowSeconds] = useState(() => Math.floor(Date.now() / 1000));
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [pendingAction, setPendingAction] = useState('');
+  const scanRef = useRef({ nextBlock: null, byHash: new Map() });
+  const refreshRef = useRef(null);
+
+  const isConnected = Boolean(walletClient?.account?.address);
+
+  useEffect(() => {
+    setForm((prev) => ({
+      ...prev,
+      safe: initialSafe || prev.safe,
+      ogModule: initialOgModule || prev.ogModule,
+    }));
+  }, [initialSafe, initialOgModule]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNowSeconds(Math.floor(Date.now() / 1000)), 1_000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const onChange = (event) => {
+    const { name, value } = event.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const loadBalances = useCallback(
+    async (loaded) => {
+      const extraTokens = form.trackedTokens
+        .split(',')
+        .map((value) => value.trim())
+        .filter((value) => isAddress(value))
+        .map((value) => getAddress(value));
+      const tokens = Array.from(new Set([loaded.collateral, ...extraTokens]));
+      const [nativeBalance, ...tokenBalances] = await Promise.all([
+        publicClient.getBalance({ address: loaded.safe }),
+        ...tokens.map((token) => loadTokenInfo(publicClient, token, loaded.safe)),
+      ]);
+      setBalances([
+        { token: zeroAddress, symbol: 'Native', decimals: 18, balance: nativeBalance },
+        ...tokenBalances,
+      ]);
+    },
+    [form.trackedTokens, publicClient]
+  );
+
+  // Scans forward from the last scanned block so each refresh only reads new logs.
+  const scanProposals = useCallback(
+    async (loaded) => {
+      const latestBlock = await publicClient.getBlockNumber();
+      const scan = scanRef.current;
+      const fromBlock = scan.nextBlock ?? loaded.startBlock;
+      if (fromBlock > latestBlock) {
+        return;
+      }
+      // Chunked like the agent's scans, since RPCs cap the block range of eth_getLogs.
+      const range = { publicClient, address: loaded.ogModule, fromBlock, toBlock: latestBlock };
+      const [proposedLogs, executedLogs, deletedLogs] = await Promise.all([
+        getLogsChunked({ ...range, event: transactionsProposedEvent }),
+        getLogsChunked({ ...range, event: proposalExecutedEvent }),
+        getLogsChunked({ ...range, event: proposalDeletedEvent }),
+      ]);
+      for (const log of proposedLogs) {
+        scan.byHash.set(log.args.proposalHash, {
+          proposalHash: log.args.proposalHash,
+          assertionId: log.args.assertionId,
+          proposer: log.args.proposer,
+          transactions: log.args.proposal.transactions,
+          explanation: decodeExplanation(log.args.explanation),
+          challengeWindowEnds: log.args.challengeWindowEnds,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          executed: false,
+          deleted: false,
+        });
+      }
+      for (const log of executedLogs) {
+        const proposal = scan.byHash.get(log.args.proposalHash);
+        if (proposal && proposal.assertionId === log.args.assertionId) {
+          proposal.executed = true;
+        }
+      }
+      for (const log of deletedLogs) {
+        const proposal = scan.byHash.get(log.args.proposalHash);
+        if (proposal && proposal.assertionId === log.args.assertionId) {
+          proposal.deleted = true;
+        }
+      }
+      scan.nextBlock = latestBlock + 1n;
+      setProposals(
+        Array.from(scan.byHash.values())
+          .map((proposal) => ({ ...proposal }))
+          .sort((left, right) => Number(right.blockNumber - left.blockNumber))
+      );
+    },
+    [publicClient]
+  );
+
+  // Runs one refresh at a time; callers get the in-flight refresh instead of starting another.
+  const refresh = useCallback(
+    (loaded) => {
+      if (refreshRef.current) {
+        return refreshRef.current;
+      }
+      const pending = Promise.all([loadBalances(loaded), scanProposals(loaded)]).finally(() => {
+        refreshRef.current = null;
+      });
+      refreshRef.current = pending;
+      return pending;
+    },
+    [loadBalances, scanProposals]
+  );
+
+  const handleLoad = async () => {
+    if (!publicClient) {
+      setError('Select a network to load a commitment.');
+      return;
+    }
+    if (!isAddress(form.ogModule || '')) {
+      setError('Optimistic Governor address is invalid.');
+      return;
+    }
+    if (form.safe && !isAddress(form.safe)) {
+      setError('Safe address is invalid.');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    setStatus('Loading commitment...');
+    try {
+      const ogModule = getAddress(form.ogModule);
+      const [rules, collateral, bondAmount, liveness, optimisticOracle, target] =
+        await Promise.all(
+          ['rules', 'collateral', 'bondAmount', 'liveness', 'optimisticOracleV3', 'target'].map(
+            (functionName) =>
+              publicClient.readContract({
+                address: ogModule,
+                abi: optimisticGovernorAbi,
+                functionName,
+              })
+          )
+        );
+      const safe = form.safe ? getAddress(form.safe) : getAddress(target);
+      const collateralInfo = await loadTokenInfo(publicClient, collateral, safe);
+      const latestBlock = await publicClient.getBlockNumber();
+      const lookback = BigInt(form.lookbackBlocks || '0');
+      const loaded = {
+        safe,
+        ogModule,
+        target: getAddress(target),
+        rules,
+        collateral: getAddress(collateral),
+        collateralSymbol: collateralInfo.symbol,
+        collateralDecimals: collateralInfo.decimals,
+        bondAmount,
+        liveness,
+        optimisticOracle: getAddress(optimisticOracle),
+        startBlock: latestBlock > lookback ? latestBlock - lookback : 0n,
+      };
+      // Let a refresh of the previous commitment finish before its scan state is replaced.
+      await refreshRef.current?.catch(() => {});
+      scanRef.current = { nextBlock: null, byHash: new Map() };
+      setCommitment(loaded);
+      setProposals([]);
+      await refresh(loaded);
+      setStatus('');
+    } catch (err) {
+      setCommitment(null);
+      setError(err?.shortMessage || err?.message || 'Failed to load commitment.');
+      setStatus('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!commitment) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      // Skip this tick while the previous scan is still reading logs.
+      if (refreshRef.current) {
+        return;
+      }
+      refresh(commitment).catch((err) => {
+        setError(err?.shortMessage || err?.message || 'Failed to refresh commitment.');
+      });
+    }, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [commitment, refresh]);
+
+  const handleExecute = async (proposal) => {
+    if (!isConnected) {
+      setError('Connect a wallet to execute proposals.');
+      return;
+    }
+    setPendingAction(proposal.proposalHash);
+    setError('');
+    setStatus('Executing proposal...');
+    try {
+      const account = walletClient.account.address;
+      const simulation = await publicClient.simulateContract({
+        account,
+        address: commitment.ogModule,
+        abi: optimisticGovernorAbi,
+        functionName: 'executeProposal',
+        args: [proposal.transactions],
+      });
+      const hash = await walletClient.writeContract(simulation.request);
+      await publicClient.waitForTransactionReceipt({ hash });
+      // A refresh already in flight may have read state from before this transaction.
+      await refreshRef.current?.catch(() => {});
+      await refresh(commitment);
+      setStatus(`Proposal executed in ${hash}.`);
+    } catch (err) {
+      setError(err?.shortMessage || err?.message || 'Execution failed.');
+      setStatus('');
+    } finally {
+      setPendingAction('');
+    }
+  };
+
+  // Same checks as the agent's dispute path: the assertion must be live and undisputed, and
+  // the wallet posts the assertion's bond in its currency.
+  const handleDispute = async (proposal) => {
+    if (!isConnected) {
+      setError('Connect a wallet to dispute proposals.');
+      return;
+    }
+    setPendingAction(proposal.proposalHash);
+    setError('');
+    setStatus('Checking assertion...');
+    try {
+      const account = walletClient.account.address;
+      const assertion = await publicClient.readContract({
+        address: commitment.optimisticOracle,
+        abi: optimisticOracleAbi,
+        functionName: 'getAssertion',
+        args: [proposal.assertionId],
+      });
+      if (assertion.settled) {
+        throw new Error('Assertion is already settled.');
+      }
+      if (assertion.disputer !== zeroAddress) {
+        throw new Error(`Assertion is already disputed by ${assertion.disputer}.`);
+      }
+      if (BigInt(nowSeconds) >= BigInt(assertion.expirationTime)) {
+        throw new Error('The challenge window has closed.');
+      }
+
+      if (assertion.bond > 0n) {
+        const allowance = await publicClient.readContract({
+          address: assertion.currency,
+          abi: erc20Abi,
+          functionName: 'allowance',
+          args: [account, commitment.optimisticOracle],
+        });
+        if (allowance < assertion.bond) {
+          setStatus('Approving dispute bond...');
+          const approval = await publicClient.simulateContract({
+            account,
+            address: assertion.currency,
+            abi: erc20Abi,
+            functionName: 'approve',
+            args: [commitment.optimisticOracle, assertion.bond],
+          });
+          const approvalHash = await walletClient.writeContract(approval.request);
+          await publicClient.waitForTransactionReceipt({ hash: approvalHash });
+        }
+      }
+
+      setStatus('Disputing proposal...');
+      const simulation = await publicClient.simulateContract({
+        account,
+        address: commitment.optimisticOracle,
+        abi: optimisticOracleAbi,
+        functionName: 'disputeAssertion',
+        args: [proposal.assertionId, account],
+      });
+      const hash = await walletClient.writeContract(simulation.request);
+      await publicClient.waitForTransactionReceipt({ hash });
+      await refreshRef.current?.catch(() => {});
+      await refresh(commitment);
+      setStatus(`Dispute submitted in ${hash}.`);
+    } catch (err) {
+      setError(err?.shortMessage || err?.message || 'Dispute failed.');
+      setStatus('');
+    } finally {
+      setPendingAction('');
+    }
+  };
+
+  return (
+    <>
+      <section className="card">
+        <h2>Load Commitment</h2>
+        <div className="grid">
+          <label>
+            Optimistic Governor Module
+            <input name="ogModule" value={form.ogModule} onChange={onChange} placeholder="0x..." />
+          </label>
+          <label>
+            Safe
+            <input name="safe" value={form.safe} onChange={onChange} placeholder="0x..." />
+            <span className="hint">Defaults to the module's target.</span>
+          </label>
+          <label>
+            Tracked Tokens
+            <input
+              name="trackedTokens"
+              value={form.trackedTokens}
+              onChange={onChange}
+              placeholder="0x..., 0x..."
+            />
+            <span className="hint">Comma-separated ERC-20s to show beside the collateral.</span>
+          </label>
+          <label>
+            Proposal Lookback (blocks)
+            <input name="lookbackBlocks" value={form.lookbackBlocks} onChange={onChange} />
+          </label>
+        </div>
+        <div className="actions">
+          <button type="button" onClick={handleLoad} disabled={isLoading}>
+            {isLoading ? 'Loading…' : 'Load Commitment'}
+          </button>
+          <div className="status">
+            {status && <p>{status}</p>}
+            {error && <p className="error">{error}</p>}
+            {!isConnected && (
+              <p className="hint">Connect a wallet to execute or dispute proposals.</p>
+            )}
+          </div>
+        </div>
+      </section>
+
+      {commitment && (
+        <>
+          <section className="card">
+            <h2>Commitment</h2>
+            <div className="outputs">
+              <div>
+                <span>Rules</span>
+                <pre className="rules-text">{commitment.rules}</pre>
+              </div>
+              <div>
+                <span>Bond</span>
+                <code>
+                  {formatUnits(commitment.bondAmount, commitment.collateralDecimals)}{' '}
+                  {commitment.collateralSymbol}
+                </code>
+              </div>
+              <div>
+                <span>Collateral</span>
+                <code>{commitment.collateral}</code>
+              </div>
+              <div>
+                <span>Liveness</span>
+                <code>{formatDuration(Number(commitment.liveness))}</code>
+              </div>
+              <div>
+                <span>Safe</span>
+                <code>{commitment.safe}</code>
+                {commitment.safe !== commitment.target && (
+                  <span className="error">The module targets {commitment.target}.</span>
+                )}
+              </div>
+            </div>
+          </section>
+
+          <section className="card">
+            <h2>Safe Balances</h2>
+            <div className="outputs">
+              {balances.map((entry) => (
+                <div key={entry.token}>
+                  <span>{entry.symbol}</span>
+                  <code>{formatUnits(entry.balance, entry.decimals)}</code>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section className="card">
+            <h2>Proposals</h2>
+            {proposals.length === 0 && (
+              <p className="hint">No proposals in the scanned block range.</p>
+            )}
+            <div className="proposal-list">
+              {proposals.map((proposal) => {
+                const proposalState = proposalStatus(proposal, nowSeconds);
+                const isBusy = pendingAction === proposal.proposalHash;
+                return (
+                  <article key={proposal.proposalHash} className="proposal">
+                    <div className="proposal-header">
+                      <code>{proposal.proposalHash}</code>
+                      <span className={`badge badge-${proposalState.replace(' ', '-')}`}>
+                        {proposalState === 'challenge window'
+                          ? `${formatDuration(Number(proposal.challengeWindowEnds) - nowSeconds)} left`
+                          : proposalState}
+                      </span>
+                    </div>
+                    <p className="hint">
+                      Proposed by <code>{proposal.proposer}</code> in block{' '}
+                      {proposal.blockNumber.toString()}
+                    </p>
+                    {proposal.explanation && (
+                      <pre className="rules-text">{proposal.explanation}</pre>
+                    )}
+                    <ol className="transaction-list">
+                      {proposal.transactions.map((transaction, index) => (
+                        <li key={`${proposal.proposalHash}-${index}`}>
+                          <code>{transaction.to}</code> {describeTransaction(transaction)}
+                          {transaction.value > 0n && ` + ${formatUnits(transaction.value, 18)} native`}
+                          {transaction.operation === 1 && ' (delegatecall)'}
+                        </li>
+                      ))}
+                    </ol>
+                    <div className="actions">
+                      {proposalState === 'ready' && (
+                        <button
+                          type="button"
+                          onClick={() => handleExecute(proposal)}
+                          disabled={Boolean(pendingAction) || !isConnected}
+                        >
+                          {isBusy ? 'Executing…' : 'Execute'}
+                        </button>
+                      )}
+                      {proposalState === 'challenge window' && (
+                        <button
+                          type="button"
+                          className="danger"
+                          onClick={() => handleDispute(proposal)}
+                          disabled={Boolean(pendingAction) || !isConnected}
+                        >
+                          {isBusy ? 'Disputing…' : 'Dispute'}
+                        </button>
+                      )}
+                    </div>
+                  </article>
+                );
+              })}
+            </div>
+          </section>
+        </>
+      )}
+    </>
+  );
+}
+
+export default CommitmentDashboard;
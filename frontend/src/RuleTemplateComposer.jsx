@@ -0,0 +1,221 @@
+import { useMemo, useState } from 'react';
+import ruleTemplatesMarkdown from '../../agent-library/RULE_TEMPLATES.md?raw';
+import {
+  TEMPLATE_COVERAGE_BY_KIND,
+  fillTemplate,
+  parseTemplateCatalog,
+  validatePlaceholder,
+  validateTemplate,
+} from '../../agent/src/lib/rule-templates.js';
+
+const COVERAGE_RANK = { enforced: 0, partial: 1, not_applicable: 2, unsupported: 3 };
+
+function formatKindName(proposalKind) {
+  const words = proposalKind.split('_').join(' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Mirrors the verifier's template_coverage check: an unsupported template leaves the kind
+// unverified, and a kind is only checked when some selected template is (partially) enforced.
+function summarizeCoverage(templates) {
+  return Object.entries(TEMPLATE_COVERAGE_BY_KIND).map(([proposalKind, coverageById]) => {
+    const entries = templates
+      .map((template) => ({
+        title: template.title,
+        coverage: coverageById[template.templateId] ?? 'unsupported',
+      }))
+      .sort((a, b) => COVERAGE_RANK[a.coverage] - COVERAGE_RANK[b.coverage]);
+    const unsupported = entries.filter((entry) => entry.coverage === 'unsupported');
+    const checked = entries.filter(
+      (entry) => entry.coverage === 'enforced' || entry.coverage === 'partial'
+    );
+    let status = 'covered';
+    if (unsupported.length > 0) {
+      status = 'unverified';
+    } else if (checked.length === 0) {
+      status = 'not covered';
+    }
+    return { proposalKind, status, entries };
+  });
+}
+
+const catalog = parseTemplateCatalog(ruleTemplatesMarkdown);
+
+function RuleTemplateComposer({ onApply }) {
+  const [selected, setSelected] = useState({});
+  const [values, setValues] = useState({});
+
+  const selectedTemplates = useMemo(
+    () => catalog.filter((template) => selected[template.title]),
+    [selected]
+  );
+
+  const validation = useMemo(
+    () =>
+      selectedTemplates.map((template) => {
+        const templateValues = values[template.title] ?? [];
+        return {
+          title: template.title,
+          fieldErrors: template.placeholders.map((placeholder, position) =>
+            validatePlaceholder(placeholder, templateValues[position] ?? '')
+          ),
+          templateError: validateTemplate(
+            template,
+            template.placeholders.map((_, position) => templateValues[position] ?? '')
+          ),
+        };
+      }),
+    [selectedTemplates, values]
+  );
+
+  const preview = useMemo(
+    () =>
+      selectedTemplates
+        .map((template) => {
+          const body = fillTemplate(template, values[template.title] ?? []);
+          return `${template.title}\n---\n${body}`;
+        })
+        .join('\n\n'),
+    [selectedTemplates, values]
+  );
+
+  const coverage = useMemo(() => summarizeCoverage(selectedTemplates), [selectedTemplates]);
+
+  const isComplete =
+    selectedTemplates.length > 0 &&
+    validation.every(
+      (entry) => !entry.templateError && entry.fieldErrors.every((fieldError) => !fieldError)
+    );
+
+  const toggleTemplate = (title) => {
+    setSelected((prev) => ({ ...prev, [title]: !prev[title] }));
+  };
+
+  const onValueChange = (title, position, value) => {
+    setValues((prev) => {
+      const next = [...(prev[title] ?? [])];
+      next[position] = value;
+      return { ...prev, [title]: next };
+    });
+  };
+
+  return (
+    <section className="card">
+      <h2>Rule Templates</h2>
+      <p className="hint">
+        Compose OG rules from <code>agent-library/RULE_TEMPLATES.md</code>. Templates are
+        assembled in catalog order in the format the proposal verifier parses.
+      </p>
+      <div className="template-list">
+        {catalog.map((template) => {
+          const isSelected = Boolean(selected[template.title]);
+          const entry = validation.find((item) => item.title === template.title);
+          const templateValues = values[template.title] ?? [];
+          return (
+            <div key={template.title} className="template">
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={isSelected}
+                  onChange={() => toggleTemplate(template.title)}
+                />
+                {template.title}
+              </label>
+              {isSelected && template.placeholders.length > 0 && (
+                <div className="grid">
+                  {template.placeholders.map((placeholder, position) => (
+                    <label key={position}>
+                      {placeholder.label}
+                      {placeholder.type === 'choice' ? (
+                        <select
+                          value={templateValues[position] ?? ''}
+                          onChange={(event) =>
+                            onValueChange(template.title, position, event.target.value)
+                          }
+                        >
+                          <option value="">Select…</option>
+                          {placeholder.options.map((option) => (
+                            <option key={option} value={option}>
+                              {option}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          value={templateValues[position] ?? ''}
+                          onChange={(event) =>
+                            onValueChange(template.title, position, event.target.value)
+                          }
+                          placeholder={
+                            placeholder.type === 'address' || placeholder.type === 'addressList'
+                              ? '0x...'
+                              : ''
+                          }
+                        />
+                      )}
+                      {entry?.fieldErrors[position] && (
+                        <span className="hint error">{entry.fieldErrors[position]}</span>
+                      )}
+                    </label>
+                  ))}
+                </div>
+              )}
+              {isSelected && entry?.templateError && <p className="error">{entry.templateError}</p>}
+            </div>
+          );
+        })}
+      </div>
+
+      {selectedTemplates.length > 0 && (
+        <>
+          <h3>Preview</h3>
+          <pre className="rules-text">{preview}</pre>
+
+          <h3>Verifier Coverage</h3>
+          <table className="coverage-table">
+            <thead>
+              <tr>
+                <th>Proposal kind</th>
+                <th>Status</th>
+                <th>Templates</th>
+              </tr>
+            </thead>
+            <tbody>
+              {coverage.map((row) => (
+                <tr key={row.proposalKind}>
+                  <td>{formatKindName(row.proposalKind)}</td>
+                  <td>
+                    <span className={`badge badge-${row.status.replace(' ', '-')}`}>
+                      {row.status}
+                    </span>
+                  </td>
+                  <td>
+                    {row.entries
+                      .filter((item) => item.coverage !== 'not_applicable')
+                      .map((item) => `${item.title} (${item.coverage})`)
+                      .join(', ') || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="hint">
+            Covered kinds are checked deterministically. Unverified kinds include a template the
+            verifier cannot check for that kind, so their proposals need manual review.
+          </p>
+        </>
+      )}
+
+      <div className="actions">
+        <button type="button" onClick={() => onApply(preview)} disabled={!isComplete}>
+          Use These Rules
+        </button>
+        {selectedTemplates.length > 0 && !isComplete && (
+          <p className="hint">Fill every placeholder to use the composed rules.</p>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default RuleTemplateComposer;
@@ -0,0 +1,266 @@
+import { useEffect, useState } from 'react';
+import { isAddress } from 'viem';
+import { useChainId, useWalletClient } from 'wagmi';
+import {
+  buildSignedMessagePayload,
+  buildSignedMessageTypedData,
+} from '../../agent/src/lib/message-signing.js';
+import {
+  formatJson,
+  generateRequestId,
+  normalizeBaseUrl,
+  parseOptionalInteger,
+  parseOptionalJsonObject,
+  requestJson,
+  signWithWallet,
+} from './signedRequests.js';
+
+function SignedMessageComposer({ defaultApiUrl = '' }) {
+  const chainId = useChainId();
+  const { data: walletClient } = useWalletClient();
+  const [form, setForm] = useState({
+    apiUrl: defaultApiUrl,
+    bearerToken: '',
+    authType: 'eip191',
+    chainId: chainId ? String(chainId) : '',
+    commitmentSafe: '',
+    text: '',
+    command: '',
+    argsJson: '',
+    metadataJson: '',
+    requestId: '',
+    deadlineMs: '',
+  });
+  const [signed, setSigned] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const isConnected = Boolean(walletClient?.account?.address);
+
+  useEffect(() => {
+    if (chainId) {
+      setForm((prev) => ({ ...prev, chainId: String(chainId) }));
+    }
+  }, [chainId]);
+
+  const onChange = (event) => {
+    const { name, value } = event.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSend = async () => {
+    setError('');
+    setResult(null);
+    setSigned(null);
+    if (!isConnected) {
+      setError('Connect a wallet to sign the message.');
+      return;
+    }
+    if (!form.text.trim()) {
+      setError('Message text is required.');
+      return;
+    }
+    if (form.authType === 'eip712' && form.commitmentSafe && !isAddress(form.commitmentSafe)) {
+      setError('Commitment Safe must be a valid address.');
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const baseUrl = normalizeBaseUrl(form.apiUrl);
+      const requestId = form.requestId.trim() || generateRequestId('sig');
+      const signedFields = {
+        address: walletClient.account.address,
+        chainId: parseOptionalInteger(form.chainId, 'Chain ID'),
+        timestampMs: Date.now(),
+        text: form.text,
+        command: form.command.trim() || undefined,
+        args: parseOptionalJsonObject(form.argsJson, 'Args'),
+        metadata: parseOptionalJsonObject(form.metadataJson, 'Metadata'),
+        requestId,
+        deadline: parseOptionalInteger(form.deadlineMs, 'Deadline'),
+      };
+      const payload = buildSignedMessagePayload(signedFields);
+      const typedData =
+        form.authType === 'eip712'
+          ? buildSignedMessageTypedData({
+              ...signedFields,
+              commitmentSafe: form.commitmentSafe || undefined,
+            })
+          : null;
+      const signature = await signWithWallet({
+        walletClient,
+        authType: form.authType,
+        payload,
+        typedData,
+      });
+
+      const body = {
+        text: signedFields.text,
+        ...(signedFields.chainId !== undefined ? { chainId: signedFields.chainId } : {}),
+        requestId,
+        auth: {
+          type: form.authType,
+          address: signedFields.address,
+          timestampMs: signedFields.timestampMs,
+          signature,
+        },
+      };
+      if (signedFields.command !== undefined) body.command = signedFields.command;
+      if (signedFields.args !== undefined) body.args = signedFields.args;
+      if (signedFields.metadata !== undefined) body.metadata = signedFields.metadata;
+      if (signedFields.deadline !== undefined) body.deadline = signedFields.deadline;
+      setSigned({ payload, typedData, requestId });
+
+      setResult(
+        await requestJson({
+          url: `${baseUrl}/v1/messages`,
+          body,
+          bearerToken: form.bearerToken.trim(),
+        })
+      );
+      setForm((prev) => ({ ...prev, requestId: '' }));
+    } catch (err) {
+      setError(err?.shortMessage ?? err?.message ?? String(err));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <>
+      <section className="card">
+        <h2>Message API</h2>
+        <div className="grid">
+          <label>
+            Message API URL
+            <input name="apiUrl" value={form.apiUrl} onChange={onChange} placeholder="http://127.0.0.1:8787" />
+            <span className="hint">The agent's <code>messageApi</code> host and port.</span>
+          </label>
+          <label>
+            Bearer Token
+            <input name="bearerToken" type="password" value={form.bearerToken} onChange={onChange} />
+            <span className="hint">Only if the agent sets <code>MESSAGE_API_KEYS_JSON</code>.</span>
+          </label>
+          <label>
+            Signature Type
+            <select name="authType" value={form.authType} onChange={onChange}>
+              <option value="eip191">EIP-191 canonical JSON</option>
+              <option value="eip712">EIP-712 typed data</option>
+            </select>
+          </label>
+          <label>
+            Chain ID
+            <input name="chainId" value={form.chainId} onChange={onChange} />
+            <span className="hint">Must match the agent's chain; leave blank for chainless agents.</span>
+          </label>
+          {form.authType === 'eip712' && (
+            <label>
+              Commitment Safe
+              <input name="commitmentSafe" value={form.commitmentSafe} onChange={onChange} placeholder="0x..." />
+              <span className="hint">EIP-712 verifying contract; the agent's commitmentSafe, if it has one.</span>
+            </label>
+          )}
+        </div>
+      </section>
+
+      <section className="card">
+        <h2>Message</h2>
+        <div className="grid">
+          <label>
+            Text
+            <textarea name="text" value={form.text} onChange={onChange} rows={4} />
+          </label>
+          <label>
+            Command
+            <input name="command" value={form.command} onChange={onChange} />
+          </label>
+          <label>
+            Args (JSON object)
+            <textarea name="argsJson" value={form.argsJson} onChange={onChange} rows={3} />
+          </label>
+          <label>
+            Metadata (JSON object)
+            <textarea name="metadataJson" value={form.metadataJson} onChange={onChange} rows={3} />
+          </label>
+          <label>
+            Request ID
+            <input name="requestId" value={form.requestId} onChange={onChange} />
+            <span className="hint">Generated when blank.</span>
+          </label>
+          <label>
+            Deadline (Unix ms)
+            <input name="deadlineMs" value={form.deadlineMs} onChange={onChange} />
+          </label>
+        </div>
+        <div className="actions">
+          <button type="button" onClick={handleSend} disabled={isSending}>
+            {isSending ? 'Sending…' : 'Sign & Send'}
+          </button>
+          <div className="status">
+            {error && <p className="error">{error}</p>}
+            {!isConnected && <p className="hint">Connect a wallet to sign messages.</p>}
+          </div>
+        </div>
+      </section>
+
+      {(signed || result) && (
+        <section className="card">
+          <h2>Result</h2>
+          {result && (
+            <div className="outputs">
+              <div>
+                <span>HTTP Status</span>
+                <code>
+                  {result.status} {result.ok ? '' : '(rejected)'}
+                </code>
+              </div>
+              <div>
+                <span>Request ID</span>
+                <code>{signed?.requestId}</code>
+              </div>
+              {result.response.messageId && (
+                <div>
+                  <span>Message</span>
+                  <code>
+                    {result.response.messageId} ({result.response.status})
+                  </code>
+                </div>
+              )}
+              {result.response.expiresAtMs && (
+                <div>
+                  <span>Expires</span>
+                  <code>{new Date(result.response.expiresAtMs).toLocaleString()}</code>
+                </div>
+              )}
+              {result.response.error && (
+                <div>
+                  <span>Error</span>
+                  <code>
+                    {result.response.error}
+                    {result.response.code ? ` (${result.response.code})` : ''}
+                  </code>
+                </div>
+              )}
+            </div>
+          )}
+          {signed && (
+            <details>
+              <summary>Signed payload</summary>
+              <pre className="rules-text">{signed.typedData ? formatJson(signed.typedData) : signed.payload}</pre>
+            </details>
+          )}
+          {result && (
+            <details>
+              <summary>Response</summary>
+              <pre className="rules-text">{formatJson(result.response)}</pre>
+            </details>
+          )}
+        </section>
+      )}
+    </>
+  );
+}
+
+export default SignedMessageComposer;
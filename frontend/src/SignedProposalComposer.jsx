@@ -0,0 +1,395 @@
+import { useEffect, useState } from 'react';
+import { isAddress } from 'viem';
+import { useChainId, useWalletClient } from 'wagmi';
+import {
+  buildSignedProposalPayload,
+  buildSignedProposalTypedData,
+} from '../../agent/src/lib/signed-proposal.js';
+import {
+  formatJson,
+  generateRequestId,
+  normalizeBaseUrl,
+  parseOptionalInteger,
+  parseOptionalJsonObject,
+  requestJson,
+  signWithWallet,
+} from './signedRequests.js';
+
+const DEFAULT_TRANSACTIONS_JSON = formatJson([
+  { to: '0x...', value: '0', data: '0x', operation: 0 },
+]);
+
+function parseTransactions(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error('Transactions must be valid JSON.');
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('Transactions must be a JSON array.');
+  }
+  return parsed;
+}
+
+function VerificationResult({ verification }) {
+  if (!verification) {
+    return <p className="hint">The node returned no verification result.</p>;
+  }
+  return (
+    <div className="verification">
+      <p>
+        <span className={`badge badge-verification-${verification.status}`}>{verification.status}</span>
+        {verification.proposalKind && <> {verification.proposalKind}</>}
+      </p>
+      {Array.isArray(verification.checks) && verification.checks.length > 0 && (
+        <table className="coverage-table">
+          <thead>
+            <tr>
+              <th>Check</th>
+              <th>Status</th>
+              <th>Detail</th>
+            </tr>
+          </thead>
+          <tbody>
+            {verification.checks.map((check, index) => (
+              <tr key={`${check.id}-${index}`}>
+                <td>
+                  <code>{check.id}</code>
+                </td>
+                <td>{check.status}</td>
+                <td>{check.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function SignedProposalComposer({ defaultApiUrl = '', initialSafe = '', initialOgModule = '' }) {
+  const chainId = useChainId();
+  const { data: walletClient } = useWalletClient();
+  const [form, setForm] = useState({
+    apiUrl: defaultApiUrl,
+    bearerToken: '',
+    authType: 'eip191',
+    chainId: chainId ? String(chainId) : '',
+    commitmentSafe: initialSafe,
+    ogModule: initialOgModule,
+    transactionsJson: DEFAULT_TRANSACTIONS_JSON,
+    explanation: '',
+    metadataJson: '',
+    requestId: '',
+    deadlineMs: '',
+  });
+  const [submitted, setSubmitted] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [pendingAction, setPendingAction] = useState('');
+
+  const isConnected = Boolean(walletClient?.account?.address);
+
+  useEffect(() => {
+    if (chainId) {
+      setForm((prev) => ({ ...prev, chainId: String(chainId) }));
+    }
+  }, [chainId]);
+
+  useEffect(() => {
+    setForm((prev) => ({
+      ...prev,
+      commitmentSafe: initialSafe || prev.commitmentSafe,
+      ogModule: initialOgModule || prev.ogModule,
+    }));
+  }, [initialSafe, initialOgModule]);
+
+  const onChange = (event) => {
+    const { name, value } = event.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // /v1/proposals/verify checks the same signed body without publishing it.
+  const handleSubmit = async (action) => {
+    setError('');
+    setResult(null);
+    setSubmitted(null);
+    if (!isConnected) {
+      setError('Connect a wallet to sign the proposal.');
+      return;
+    }
+    if (!isAddress(form.commitmentSafe) || !isAddress(form.ogModule)) {
+      setError('Commitment Safe and OG module must be valid addresses.');
+      return;
+    }
+    if (!form.explanation.trim()) {
+      setError('Explanation is required.');
+      return;
+    }
+
+    setPendingAction(action);
+    try {
+      const baseUrl = normalizeBaseUrl(form.apiUrl);
+      const requestId = form.requestId.trim() || generateRequestId('proposal');
+      const signedFields = {
+        address: walletClient.account.address,
+        chainId: parseOptionalInteger(form.chainId, 'Chain ID'),
+        timestampMs: Date.now(),
+        requestId,
+        commitmentSafe: form.commitmentSafe,
+        ogModule: form.ogModule,
+        transactions: parseTransactions(form.transactionsJson),
+        explanation: form.explanation,
+        metadata: parseOptionalJsonObject(form.metadataJson, 'Metadata'),
+        deadline: parseOptionalInteger(form.deadlineMs, 'Deadline'),
+      };
+      // Builds the canonical envelope first so malformed fields fail before the wallet prompt.
+      const payload = buildSignedProposalPayload(signedFields);
+      const typedData =
+        form.authType === 'eip712' ? buildSignedProposalTypedData(signedFields) : null;
+      const signature = await signWithWallet({
+        walletClient,
+        authType: form.authType,
+        payload,
+        typedData,
+      });
+
+      const body = {
+        chainId: signedFields.chainId,
+        requestId,
+        commitmentSafe: signedFields.commitmentSafe,
+        ogModule: signedFields.ogModule,
+        transactions: signedFields.transactions,
+        explanation: signedFields.explanation,
+        auth: {
+          type: form.authType,
+          address: signedFields.address,
+          timestampMs: signedFields.timestampMs,
+          signature,
+        },
+      };
+      if (signedFields.metadata !== undefined) body.metadata = signedFields.metadata;
+      if (signedFields.deadline !== undefined) body.deadline = signedFields.deadline;
+      setSubmitted({
+        action,
+        baseUrl,
+        payload,
+        typedData,
+        requestId,
+        signer: signedFields.address,
+        chainId: signedFields.chainId,
+      });
+
+      setResult(
+        await requestJson({
+          url: `${baseUrl}/v1/proposals/${action}`,
+          body,
+          bearerToken: form.bearerToken.trim(),
+        })
+      );
+      if (action === 'publish') {
+        setForm((prev) => ({ ...prev, requestId: '' }));
+      }
+    } catch (err) {
+      setError(err?.shortMessage ?? err?.message ?? String(err));
+    } finally {
+      setPendingAction('');
+    }
+  };
+
+  // Reads the stored record back; the node's read endpoints always require a bearer token.
+  const handleRefresh = async () => {
+    setError('');
+    setPendingAction('refresh');
+    try {
+      const query = new URLSearchParams({
+        signer: submitted.signer,
+        chainId: String(submitted.chainId),
+      });
+      setResult(
+        await requestJson({
+          url: `${submitted.baseUrl}/v1/proposals/${encodeURIComponent(submitted.requestId)}?${query}`,
+          method: 'GET',
+          bearerToken: form.bearerToken.trim(),
+        })
+      );
+    } catch (err) {
+      setError(err?.message ?? String(err));
+    } finally {
+      setPendingAction('');
+    }
+  };
+
+  const response = result?.response ?? {};
+  const verification =
+    submitted?.action === 'verify' && result?.ok ? response : response.verification;
+
+  return (
+    <>
+      <section className="card">
+        <h2>Proposal Node</h2>
+        <div className="grid">
+          <label>
+            Proposal Publication URL
+            <input name="apiUrl" value={form.apiUrl} onChange={onChange} placeholder="http://127.0.0.1:9890" />
+            <span className="hint">The node's <code>proposalPublishApi</code> host and port.</span>
+          </label>
+          <label>
+            Bearer Token
+            <input name="bearerToken" type="password" value={form.bearerToken} onChange={onChange} />
+            <span className="hint">
+              From <code>PROPOSAL_PUBLISH_API_KEYS_JSON</code>; required to refresh status.
+            </span>
+          </label>
+          <label>
+            Signature Type
+            <select name="authType" value={form.authType} onChange={onChange}>
+              <option value="eip191">EIP-191 canonical JSON</option>
+              <option value="eip712">EIP-712 typed data</option>
+            </select>
+          </label>
+          <label>
+            Chain ID
+            <input name="chainId" value={form.chainId} onChange={onChange} />
+          </label>
+        </div>
+      </section>
+
+      <section className="card">
+        <h2>Proposal</h2>
+        <div className="grid">
+          <label>
+            Commitment Safe
+            <input name="commitmentSafe" value={form.commitmentSafe} onChange={onChange} placeholder="0x..." />
+          </label>
+          <label>
+            Optimistic Governor Module
+            <input name="ogModule" value={form.ogModule} onChange={onChange} placeholder="0x..." />
+          </label>
+          <label>
+            Transactions (JSON array)
+            <textarea name="transactionsJson" value={form.transactionsJson} onChange={onChange} rows={6} />
+            <span className="hint">
+              Each entry is <code>{'{ to, value, data, operation }'}</code>; pause and unpause
+              proposals use <code>[]</code>.
+            </span>
+          </label>
+          <label>
+            Explanation
+            <textarea name="explanation" value={form.explanation} onChange={onChange} rows={6} />
+          </label>
+          <label>
+            Metadata (JSON object)
+            <textarea name="metadataJson" value={form.metadataJson} onChange={onChange} rows={3} />
+            <span className="hint">
+              Include <code>verification.proposalKind</code> for the deterministic verifier.
+            </span>
+          </label>
+          <label>
+            Request ID
+            <input name="requestId" value={form.requestId} onChange={onChange} />
+            <span className="hint">Generated when blank.</span>
+          </label>
+          <label>
+            Deadline (Unix ms)
+            <input name="deadlineMs" value={form.deadlineMs} onChange={onChange} />
+          </label>
+        </div>
+        <div className="actions">
+          <button type="button" onClick={() => handleSubmit('verify')} disabled={Boolean(pendingAction)}>
+            {pendingAction === 'verify' ? 'Verifying…' : 'Sign & Verify'}
+          </button>
+          <button type="button" onClick={() => handleSubmit('publish')} disabled={Boolean(pendingAction)}>
+            {pendingAction === 'publish' ? 'Publishing…' : 'Sign & Publish'}
+          </button>
+          <div className="status">
+            {error && <p className="error">{error}</p>}
+            {!isConnected && <p className="hint">Connect a wallet to sign proposals.</p>}
+          </div>
+        </div>
+      </section>
+
+      {(submitted || result) && (
+        <section className="card">
+          <h2>Result</h2>
+          {result && (
+            <div className="outputs">
+              <div>
+                <span>HTTP Status</span>
+                <code>
+                  {result.status} {result.ok ? '' : '(rejected)'}
+                </code>
+              </div>
+              <div>
+                <span>Request ID</span>
+                <code>
+                  {submitted?.requestId}
+                  {response.status ? ` (${response.status})` : ''}
+                </code>
+              </div>
+              {response.cid && (
+                <div>
+                  <span>CID</span>
+                  <code>
+                    {response.cid}
+                    {response.pinned === false ? ' (not pinned)' : ''}
+                  </code>
+                </div>
+              )}
+              {response.submission && response.submission.status !== 'not_started' && (
+                <div>
+                  <span>Submission</span>
+                  <code>
+                    {response.submission.status}
+                    {response.submission.transactionHash
+                      ? ` ${response.submission.transactionHash}`
+                      : ''}
+                  </code>
+                </div>
+              )}
+              {response.error && (
+                <div>
+                  <span>Error</span>
+                  <code>
+                    {response.error}
+                    {response.code ? ` (${response.code})` : ''}
+                  </code>
+                </div>
+              )}
+            </div>
+          )}
+          {result && (result.ok || response.verification) && (
+            <>
+              <h3>Verification</h3>
+              <VerificationResult verification={verification} />
+            </>
+          )}
+          {submitted?.action === 'publish' && result && (
+            <div className="actions">
+              <button type="button" onClick={handleRefresh} disabled={Boolean(pendingAction)}>
+                {pendingAction === 'refresh' ? 'Refreshing…' : 'Refresh Status'}
+              </button>
+            </div>
+          )}
+          {submitted && (
+            <details>
+              <summary>Signed payload</summary>
+              <pre className="rules-text">
+                {submitted.typedData ? formatJson(submitted.typedData) : submitted.payload}
+              </pre>
+            </details>
+          )}
+          {result && (
+            <details>
+              <summary>Response</summary>
+              <pre className="rules-text">{formatJson(response)}</pre>
+            </details>
+          )}
+        </section>
+      )}
+    </>
+  );
+}
+
+export default SignedProposalComposer;
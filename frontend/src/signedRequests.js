@@ -0,0 +1,109 @@
+// Shared plumbing for the pages that sign requests with the connected wallet, mirroring
+// agent/scripts/send-signed-message.mjs and send-signed-proposal.mjs.
+
+const REQUEST_TIMEOUT_MS = 10_000;
+
+function normalizeBaseUrl(value) {
+  const trimmed = value.trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    throw new Error('API URL is required.');
+  }
+  try {
+    new URL(trimmed);
+  } catch {
+    throw new Error('API URL must be a valid URL.');
+  }
+  return trimmed;
+}
+
+function parseOptionalJsonObject(raw, label) {
+  if (!raw.trim()) {
+    return undefined;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error(`${label} must be valid JSON.`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${label} must be a JSON object.`);
+  }
+  return parsed;
+}
+
+function parseOptionalInteger(raw, label) {
+  if (!raw.trim()) {
+    return undefined;
+  }
+  const parsed = Number(raw);
+  if (!Number.isInteger(parsed)) {
+    throw new Error(`${label} must be an integer.`);
+  }
+  return parsed;
+}
+
+function generateRequestId(prefix) {
+  return `${prefix}-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+async function signWithWallet({ walletClient, authType, payload, typedData }) {
+  const account = walletClient.account;
+  if (authType === 'eip712') {
+    return walletClient.signTypedData({ account, ...typedData });
+  }
+  return walletClient.signMessage({ account, message: payload });
+}
+
+async function requestJson({ url, method = 'POST', body, bearerToken }) {
+  const headers = {};
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (bearerToken) {
+    headers.Authorization = `Bearer ${bearerToken}`;
+  }
+  const abortController = new AbortController();
+  const timeout = setTimeout(() => abortController.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: abortController.signal,
+    });
+    const raw = await response.text();
+    let json;
+    try {
+      json = raw ? JSON.parse(raw) : {};
+    } catch {
+      json = { raw };
+    }
+    return { endpoint: url, status: response.status, ok: response.ok, response: json };
+  } catch (error) {
+    // Browsers report CORS rejections as a bare network error.
+    throw new Error(
+      `Request to ${url} failed: ${error?.message ?? error}. Check the URL and that the API lists this page's origin in allowedOrigins.`
+    );
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function formatJson(value) {
+  return JSON.stringify(
+    value,
+    (_key, item) => (typeof item === 'bigint' ? item.toString() : item),
+    2
+  );
+}
+
+export {
+  formatJson,
+  generateRequestId,
+  normalizeBaseUrl,
+  parseOptionalInteger,
+  parseOptionalJsonObject,
+  requestJson,
+  signWithWallet,
+};
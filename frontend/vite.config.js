@@ -1,9 +1,22 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react';
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // Shared agent modules import viem from outside this package; use the frontend's copy.
+    dedupe: ['viem'],
+  },
   server: {
     port: 5173,
+    fs: {
+      // The rule template composer and signing pages reuse the agent's template catalog,
+      // coverage table, and signed payload builders; the dashboard reuses its chunked log reader.
+      allow: [
+        searchForWorkspaceRoot(process.cwd()),
+        '../agent-library/RULE_TEMPLATES.md',
+        '../agent/src/lib',
+      ],
+    },
   },
 });
@@ -6,6 +6,7 @@ const [
     { loadOgContext },
     { pollProposalChanges },
     { executeToolCalls },
+    { createRuntimeNonceManager },
 ] = await Promise.all([
     importAgentModule(
         new URL('../../../agent/src/lib/chain-runtime.js', import.meta.url).href,
@@ -27,10 +28,15 @@ const [
         new URL('../../../agent/src/lib/tools.js', import.meta.url).href,
         'src/lib/tools.js'
     ),
+    importAgentModule(
+        new URL('../../../agent/src/lib/runtime-bootstrap.js', import.meta.url).href,
+        'src/lib/runtime-bootstrap.js'
+    ),
 ]);
 
 export {
     createMessagePublicationStore,
+    createRuntimeNonceManager,
     createValidatedReadWriteRuntime,
     executeToolCalls,
     loadOgContext,
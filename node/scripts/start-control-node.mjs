@@ -2,6 +2,7 @@ import { pathToFileURL } from 'node:url';
 import {
     createValidatedReadWriteRuntime,
     createMessagePublicationStore,
+    createRuntimeNonceManager,
     executeToolCalls,
     loadOgContext,
     pollProposalChanges,
@@ -146,12 +147,26 @@ async function main({ argv = process.argv } = {}) {
         return;
     }
 
-    const { publicClient, walletClient, account } = await createValidatedReadWriteRuntime({
+    const {
+        publicClient,
+        quorumPublicClient,
+        walletClient: signerWalletClient,
+        account,
+    } = await createValidatedReadWriteRuntime({
         rpcUrl: runtimeConfig.rpcUrl,
+        rpcEndpoints: runtimeConfig.rpcEndpoints,
+        rpcQuorum: runtimeConfig.rpcQuorum,
         expectedChainId: runtimeConfig.chainId,
         publicClientLabel: 'Control node rpcUrl',
         signerClientLabel: 'Control node signer',
     });
+    // Shares the agent's journal when both sign with the same key, so their nonces never collide.
+    const { walletClient, nonceManager } = createRuntimeNonceManager({
+        config: runtimeConfig,
+        publicClient,
+        walletClient: signerWalletClient,
+        account,
+    });
     const messagePublicationStore = createMessagePublicationStore({
         stateFile: messagePublicationStateFile,
     });
@@ -186,6 +201,7 @@ async function main({ argv = process.argv } = {}) {
             return;
         }
         try {
+            await nonceManager?.reconcile();
             const {
                 newProposals,
                 executedProposals,
@@ -222,7 +238,7 @@ async function main({ argv = process.argv } = {}) {
             if (Array.isArray(toolCalls) && toolCalls.length > 0) {
                 ogContext = await resolveToolExecutionOgContext({
                     toolCalls,
-                    publicClient,
+                    publicClient: quorumPublicClient,
                     ogModule: runtimeConfig.ogModule,
                     cachedOgContext: ogContext,
                 });